@@ -0,0 +1,155 @@
+// allergens.js — alérgenos/atributos de ingredientes y cambios de producto en una línea de mezclado
+// ------------------------------------------------------------------
+// Cada ingrediente lleva etiquetas (IngredientesEtiquetas): alérgenos del catálogo ALERGENOS y atributos
+// libres (organico, kosher, halal…). El perfil de un producto o lote se deriva de sus ingredientes:
+//   Alergenos = los de cualquiera de sus ingredientes (unión)
+//   Atributos = los que tienen todos sus ingredientes (intersección; un ingrediente sin el atributo lo quita)
+// Cambio incompatible en una línea: el lote anterior deja alérgenos que el siguiente no declara, o el siguiente
+// exige un atributo que el anterior no tiene. Sólo una limpieza antes del siguiente (LimpiezaPrevia) lo resuelve.
+// La secuencia es por línea y día (FechaProgramada, Consecutivo); el primer lote del día no tiene anterior:
+// la línea arranca limpia.
+
+export const ALERGENOS = {
+    gluten: 'Cereales con gluten',
+    crustaceos: 'Crustáceos',
+    huevo: 'Huevo',
+    pescado: 'Pescado',
+    cacahuate: 'Cacahuate',
+    soya: 'Soya',
+    leche: 'Leche',
+    nueces: 'Nueces de árbol',
+    apio: 'Apio',
+    mostaza: 'Mostaza',
+    ajonjoli: 'Ajonjolí',
+    sulfitos: 'Sulfitos',
+    altramuces: 'Altramuces',
+    moluscos: 'Moluscos',
+};
+
+// advertir (default) → programar/mover responden con advertencias · bloquear → 409 allergen_conflict
+export const MODOS_ALERGENOS = ['advertir', 'bloquear'];
+export const MODO_ALERGENOS = process.env.ALERGENOS_MODO === 'bloquear' ? 'bloquear' : 'advertir';
+
+const ATRIBUTO = /^[a-z0-9][a-z0-9_-]{1,29}$/;
+const ETIQUETAS_MAX = 30;
+
+const ordenados = (s) => [...s].sort();
+const texto = (x) => String(x ?? '').trim().toLowerCase();
+
+// Cuerpo { Alergenos: [código], Atributos: [código] } → { Alergenos, Atributos } normalizados | { error }
+export function parseTags(body) {
+    const { Alergenos = [], Atributos = [] } = body ?? {};
+    if (!Array.isArray(Alergenos) || !Array.isArray(Atributos)) return { error: 'Alergenos y Atributos deben ser listas de códigos' };
+    const alergenos = new Set(Alergenos.map(texto));
+    const atributos = new Set(Atributos.map(texto));
+    const desconocidos = [...alergenos].filter(a => !ALERGENOS[a]);
+    if (desconocidos.length) return { error: `Alérgenos desconocidos: ${desconocidos.join(', ')}` };
+    const invalidos = [...atributos].filter(a => !ATRIBUTO.test(a));
+    if (invalidos.length) return { error: `Atributos inválidos (2-30 de a-z, 0-9, _ o -): ${invalidos.join(', ')}` };
+    if (atributos.size > ETIQUETAS_MAX) return { error: `Máximo ${ETIQUETAS_MAX} atributos` };
+    return { Alergenos: ordenados(alergenos), Atributos: ordenados(atributos) };
+}
+
+// Filas [{ Tipo, Codigo }] de un ingrediente → { Alergenos, Atributos }
+export function tagsFromRows(filas) {
+    return {
+        Alergenos: ordenados(filas.filter(f => f.Tipo === 'alergeno').map(f => f.Codigo)),
+        Atributos: ordenados(filas.filter(f => f.Tipo === 'atributo').map(f => f.Codigo)),
+    };
+}
+
+// Filas [{ [campo], Ingrediente, Tipo, Codigo }] (Tipo null = ingrediente sin etiquetas) → Map(clave → perfil)
+// perfil = { Alergenos, Atributos, Ingredientes: n }
+export function profiles(filas, campo) {
+    const porClave = new Map();
+    for (const f of filas) {
+        const clave = f[campo];
+        if (!porClave.has(clave)) porClave.set(clave, new Map());
+        const ingredientes = porClave.get(clave);
+        const ing = String(f.Ingrediente).trim();
+        if (!ingredientes.has(ing)) ingredientes.set(ing, []);
+        if (f.Tipo) ingredientes.get(ing).push(f);
+    }
+    const perfiles = new Map();
+    for (const [clave, ingredientes] of porClave) {
+        const etiquetas = [...ingredientes.values()].map(tagsFromRows);
+        const alergenos = new Set(etiquetas.flatMap(e => e.Alergenos));
+        const atributos = etiquetas.length
+            ? etiquetas.map(e => new Set(e.Atributos)).reduce((a, b) => new Set([...a].filter(x => b.has(x))))
+            : new Set();
+        perfiles.set(clave, { Alergenos: ordenados(alergenos), Atributos: ordenados(atributos), Ingredientes: ingredientes.size });
+    }
+    return perfiles;
+}
+
+export const EMPTY_PROFILE = { Alergenos: [], Atributos: [], Ingredientes: 0 };
+
+// anterior → siguiente en la misma línea: null si es compatible, si no { Alergenos (arrastrados), Atributos (perdidos) }
+export function changeover(anterior, siguiente) {
+    if (!anterior || !siguiente) return null;
+    const alergenos = anterior.Alergenos.filter(a => !siguiente.Alergenos.includes(a));
+    const atributos = siguiente.Atributos.filter(a => !anterior.Atributos.includes(a));
+    return alergenos.length || atributos.length ? { Alergenos: alergenos, Atributos: atributos } : null;
+}
+
+// -------------------- Secuencia por línea y día --------------------
+// lote = { Consecutivo (null = aún no existe), Lote, Producto, LineadeMezclado, FechaProgramada, LimpiezaPrevia, Fijo, Perfil }
+//   Fijo = ya empezó o se completó: la recomendación no lo mueve.
+
+const diaIso = (d) => new Date(d).toISOString().slice(0, 10);
+export const cellKey = (linea, fecha) => `${linea}|${diaIso(fecha)}`;
+
+// Orden de producción: hora programada y luego Consecutivo (los que aún no existen van al final)
+function byProduction(a, b) {
+    return new Date(a.FechaProgramada) - new Date(b.FechaProgramada)
+        || (a.Consecutivo ?? Infinity) - (b.Consecutivo ?? Infinity);
+}
+
+// [lote] → Map(cellKey → [lote] en orden de producción)
+export function groupCells(lotes) {
+    const celdas = new Map();
+    for (const l of lotes) {
+        const clave = cellKey(l.LineadeMezclado, l.FechaProgramada);
+        if (!celdas.has(clave)) celdas.set(clave, []);
+        celdas.get(clave).push(l);
+    }
+    for (const lista of celdas.values()) lista.sort(byProduction);
+    return celdas;
+}
+
+// Cambios incompatibles de una celda ordenada → [{ Anterior, Siguiente, Alergenos, Atributos, Limpieza }]
+//   Limpieza = el siguiente ya tiene LimpiezaPrevia (el cambio está resuelto)
+export function sequenceChangeovers(lotes) {
+    const cambios = [];
+    for (let i = 1; i < lotes.length; i++) {
+        const c = changeover(lotes[i - 1].Perfil, lotes[i].Perfil);
+        if (c) cambios.push({ Anterior: lotes[i - 1], Siguiente: lotes[i], ...c, Limpieza: !!lotes[i].LimpiezaPrevia });
+    }
+    return cambios;
+}
+
+// Menos alérgenos primero y, a igualdad, más atributos (lo más restrictivo antes); luego el orden actual
+function byRestriction(a, b) {
+    return a.Perfil.Alergenos.length - b.Perfil.Alergenos.length
+        || b.Perfil.Atributos.length - a.Perfil.Atributos.length
+        || a.orden - b.orden;
+}
+
+// Celda ordenada → [{ ...lote, LimpiezaPrevia }] recomendada: los fijos quedan delante en su orden; el resto se
+// encadena tomando siempre un lote compatible con el anterior (el menos alergénico) y, si no queda ninguno,
+// se limpia y se sigue con el menos alergénico de los pendientes.
+export function recommendSequence(lotes) {
+    const fijos = lotes.filter(l => l.Fijo);
+    const pendientes = lotes.filter(l => !l.Fijo).map((l, orden) => ({ ...l, orden }));
+    const secuencia = fijos.map(l => ({ ...l }));
+    let previo = secuencia.at(-1)?.Perfil ?? null;
+    while (pendientes.length) {
+        const compatibles = pendientes.filter(l => !changeover(previo, l.Perfil));
+        const siguiente = (compatibles.length ? compatibles : pendientes).sort(byRestriction)[0];
+        pendientes.splice(pendientes.indexOf(siguiente), 1);
+        const { orden, ...lote } = siguiente;
+        secuencia.push({ ...lote, LimpiezaPrevia: !compatibles.length });
+        previo = lote.Perfil;
+    }
+    return secuencia;
+}
@@ -0,0 +1,189 @@
+// analytics.js — indicadores de producción sobre los lotes de un rango
+// ------------------------------------------------------------------
+// Reglas puras; los datos vienen de repos/analitica.js con los pesos ya en kg (server.js).
+//   pesado = { Consecutivo, Ingrediente, NombreIngrediente, UsuarioPesado, TiempoDePesado, ProgramadoKg, RealKg,
+//              Producto, DescripcionPT, LineadeMezclado, NombreLinea }
+//   lote   = { Consecutivo, Producto, DescripcionPT, LineadeMezclado, NombreLinea, FechaProgramada,
+//              ProduccionInicio, ProduccionFinal, LoteCompletado, Cancelado }
+// Cada reporte → { total, grupos: [{ Clave, Nombre, ...indicadores }] }; total usa las mismas reglas sin agrupar.
+
+export const AGRUPACIONES = ['producto', 'ingrediente', 'linea', 'operador'];
+// Los indicadores por lote (ciclo, cumplimiento) sólo se agrupan por atributos del lote
+export const AGRUPACIONES_LOTE = ['producto', 'linea'];
+
+const CLAVES = {
+    producto: (x) => ({ Clave: x.Producto ?? null, Nombre: x.DescripcionPT ?? null }),
+    ingrediente: (x) => ({ Clave: x.Ingrediente ?? null, Nombre: x.NombreIngrediente ?? null }),
+    linea: (x) => ({ Clave: x.LineadeMezclado ?? null, Nombre: x.NombreLinea ?? null }),
+    operador: (x) => ({ Clave: x.UsuarioPesado ?? null, Nombre: x.UsuarioPesado ?? null }),
+};
+
+const MINUTO = 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+const round3 = (n) => Math.round(n * 1000) / 1000;
+const pct = (parte, base) => (base > 0 ? round2(parte / base * 100) : null);
+const dia = (d) => new Date(d).toISOString().slice(0, 10);
+
+// Agrupa por `agrupar` → Map(clave texto → { Clave, Nombre, items })
+function groupBy(items, agrupar) {
+    const grupos = new Map();
+    for (const x of items) {
+        const g = CLAVES[agrupar](x);
+        const k = String(g.Clave);
+        if (!grupos.has(k)) grupos.set(k, { ...g, items: [] });
+        grupos.get(k).items.push(x);
+    }
+    return grupos;
+}
+
+const byClave = (a, b) => String(a.Clave).localeCompare(String(b.Clave), 'es', { numeric: true });
+
+// { Muestras, PromedioMin, MedianaMin, P90Min, MaxMin } | null (percentil por rango más cercano)
+export function timeStats(minutos) {
+    if (!minutos.length) return null;
+    const v = [...minutos].sort((a, b) => a - b);
+    const percentil = (q) => v[Math.max(0, Math.ceil(q * v.length) - 1)];
+    return {
+        Muestras: v.length,
+        PromedioMin: round2(v.reduce((a, x) => a + x, 0) / v.length),
+        MedianaMin: round2(percentil(0.5)),
+        P90Min: round2(percentil(0.9)),
+        MaxMin: round2(v[v.length - 1]),
+    };
+}
+
+// -------------------- Variación de peso --------------------
+// Regalo (give-away) = kg pesados de más; Faltante = kg de menos. Los % son sobre lo programado.
+function varianceSummary(pesados) {
+    let programado = 0, real = 0, regalo = 0, faltante = 0, desvAbsPct = 0, conBase = 0;
+    for (const p of pesados) {
+        const d = p.RealKg - p.ProgramadoKg;
+        programado += p.ProgramadoKg;
+        real += p.RealKg;
+        if (d > 0) regalo += d;
+        else faltante -= d;
+        if (p.ProgramadoKg > 0) {
+            desvAbsPct += Math.abs(d) / p.ProgramadoKg * 100;
+            conBase++;
+        }
+    }
+    return {
+        Pesados: pesados.length,
+        ProgramadoKg: round3(programado),
+        RealKg: round3(real),
+        VariacionKg: round3(real - programado),
+        VariacionPct: pct(real - programado, programado),
+        RegaloKg: round3(regalo),
+        RegaloPct: pct(regalo, programado),
+        FaltanteKg: round3(faltante),
+        FaltantePct: pct(faltante, programado),
+        DesviacionAbsMediaPct: conBase ? round2(desvAbsPct / conBase) : null,
+    };
+}
+
+export function weightVariance(pesados, agrupar) {
+    const grupos = [...groupBy(pesados, agrupar).values()]
+        .map(({ Clave, Nombre, items }) => ({ Clave, Nombre, ...varianceSummary(items) }))
+        .sort(byClave);
+    return { total: varianceSummary(pesados), grupos };
+}
+
+// -------------------- Tiempos y ritmo --------------------
+// Minutos desde el pesado anterior del mismo lote (null en el primero). pesados ordenados por lote y hora.
+function withIntervals(pesados) {
+    return pesados.map((p, i) => {
+        const previo = pesados[i - 1];
+        const intervalo = previo && previo.Consecutivo === p.Consecutivo
+            ? (new Date(p.TiempoDePesado) - new Date(previo.TiempoDePesado)) / MINUTO
+            : null;
+        return { ...p, IntervaloMin: intervalo };
+    });
+}
+
+// Ritmo del grupo en su propia línea de tiempo: cada pesado cuenta con el hueco desde el anterior; si el hueco
+// pasa de pausaMin es el primero de una sesión nueva y no suma ni tiempo ni pesados (abre el reloj).
+function throughput(pesados, pausaMin) {
+    const orden = pesados
+        .map(p => ({ t: new Date(p.TiempoDePesado).getTime(), kg: p.RealKg }))
+        .sort((a, b) => a.t - b.t);
+    let activoMin = 0, contados = 0, kg = 0;
+    for (let i = 1; i < orden.length; i++) {
+        const m = (orden[i].t - orden[i - 1].t) / MINUTO;
+        if (m > pausaMin) continue;
+        activoMin += m;
+        contados++;
+        kg += orden[i].kg;
+    }
+    const horas = activoMin / 60;
+    return {
+        HorasActivas: round2(horas),
+        PesadosPorHora: horas > 0 ? round2(contados / horas) : null,
+        KgPorHora: horas > 0 ? round3(kg / horas) : null,
+    };
+}
+
+const cycleMinutes = (l) => (new Date(l.ProduccionFinal) - new Date(l.ProduccionInicio)) / MINUTO;
+const isFinished = (l) => l.LoteCompletado && l.ProduccionInicio && l.ProduccionFinal;
+
+function timesSummary(pesados, lotes, pausaMin) {
+    return {
+        Lotes: new Set(pesados.map(p => p.Consecutivo)).size,
+        Pesados: pesados.length,
+        KgPesados: round3(pesados.reduce((a, p) => a + p.RealKg, 0)),
+        CicloLote: lotes ? timeStats(lotes.filter(isFinished).map(cycleMinutes)) : null,
+        EntrePesados: timeStats(pesados.map(p => p.IntervaloMin).filter(m => m != null)),
+        ...throughput(pesados, pausaMin),
+    };
+}
+
+// CicloLote sólo con agrupar producto/linea (un lote lo pesan varios operadores e ingredientes)
+export function cycleTimes(lotes, pesados, agrupar, pausaMin) {
+    const conIntervalo = withIntervals(pesados);
+    const porLote = AGRUPACIONES_LOTE.includes(agrupar);
+    const gPesados = groupBy(conIntervalo, agrupar);
+    const gLotes = porLote ? groupBy(lotes, agrupar) : new Map();
+    const claves = new Set([...gPesados.keys(), ...gLotes.keys()]);
+    const grupos = [...claves].map(k => {
+        const g = gPesados.get(k) ?? gLotes.get(k);
+        return { Clave: g.Clave, Nombre: g.Nombre, ...timesSummary(gPesados.get(k)?.items ?? [], porLote ? gLotes.get(k)?.items ?? [] : null, pausaMin) };
+    }).sort(byClave);
+    return { total: timesSummary(conIntervalo, lotes, pausaMin), grupos };
+}
+
+// -------------------- Cumplimiento del programa --------------------
+// Atrasado: completado un día posterior a FechaProgramada, o abierto (no cancelado) con FechaProgramada ya pasada.
+// Días de atraso: hasta ProduccionFinal o, si sigue abierto, hasta hoy.
+function lateDays(l, hoy) {
+    if (l.Cancelado) return null;
+    const programado = dia(l.FechaProgramada);
+    const hasta = l.LoteCompletado ? (l.ProduccionFinal ? dia(l.ProduccionFinal) : null) : hoy;
+    if (!hasta || hasta <= programado) return null;
+    return Math.round((Date.parse(hasta) - Date.parse(programado)) / (24 * 60 * MINUTO));
+}
+
+function adherenceSummary(lotes, hoy) {
+    const cuenta = (f) => lotes.filter(f).length;
+    const atrasos = lotes.map(l => lateDays(l, hoy)).filter(d => d != null);
+    const vigentes = cuenta(l => !l.Cancelado);
+    const completados = cuenta(l => !l.Cancelado && l.LoteCompletado);
+    const completadosTarde = cuenta(l => !l.Cancelado && l.LoteCompletado && lateDays(l, hoy) != null);
+    return {
+        Programados: lotes.length,
+        Completados: completados,
+        EnProceso: cuenta(l => !l.Cancelado && !l.LoteCompletado && l.ProduccionInicio),
+        Pendientes: cuenta(l => !l.Cancelado && !l.LoteCompletado && !l.ProduccionInicio),
+        Cancelados: lotes.length - vigentes,
+        Atrasados: atrasos.length,
+        CompletadosATiempo: completados - completadosTarde,
+        CumplimientoPct: pct(completados - completadosTarde, vigentes),
+        AtrasoPromedioDias: atrasos.length ? round2(atrasos.reduce((a, d) => a + d, 0) / atrasos.length) : null,
+    };
+}
+
+// hoy = YYYY-MM-DD (UTC, como el resto de fechas de día)
+export function scheduleAdherence(lotes, agrupar, hoy = dia(new Date())) {
+    const grupos = [...groupBy(lotes, agrupar).values()]
+        .map(({ Clave, Nombre, items }) => ({ Clave, Nombre, ...adherenceSummary(items, hoy) }))
+        .sort(byClave);
+    return { total: adherenceSummary(lotes, hoy), grupos };
+}
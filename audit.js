@@ -0,0 +1,134 @@
+// audit.js — bitácora de auditoría de escrituras (POST/PUT/PATCH/DELETE)
+// ------------------------------------------------------------------
+// Entradas { id, Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip }.
+// El middleware registra toda escritura (salvo skipAudit) al terminar la respuesta. Los handlers que conocen
+// la entidad y su valor previo lo indican con setAudit(req, ...); si no, Despues = body.
+// Se guardan las últimas AUDITORIA_BUFFER entradas en memoria (lo único que hay en MOCK);
+// server.js además las persiste en la tabla Auditoria (repos/auditoria.js).
+
+const BUFFER = Number(process.env.AUDITORIA_BUFFER || 5000);
+const METODOS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Campos que no se guardan nunca (credenciales) o que no aportan (binarios)
+const SENSIBLES = new Set(['Password', 'PasswordHash', 'refreshToken', 'accessToken', 'access_token']);
+const BINARIOS = new Set(['FotoBase64', 'Foto', 'FotoEscaneo']);
+
+export function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+        if (SENSIBLES.has(k)) out[k] = '***';
+        else if (BINARIOS.has(k)) out[k] = v ? '[omitido]' : v;
+        else out[k] = redact(v);
+    }
+    return out;
+}
+
+// Lo llama el handler: entidad + id afectados y, si se conocen, valores antes/después
+export function setAudit(req, entidad, entidadId, { antes, despues } = {}) {
+    req.audit = { entidad, entidadId, antes, despues };
+}
+
+// Escrituras rutinarias que no se registran (latidos de estación)
+export function skipAudit(req) {
+    req.audit = false;
+}
+
+// "/api/Ingredientes/actualizar/5" → "Ingredientes"; "/lotesprogramados/eliminar" → "lotesprogramados"
+function entityFromPath(path) {
+    const seg = String(path).split('/').filter(Boolean);
+    return (seg[0] === 'api' ? seg[1] : seg[0]) ?? null;
+}
+
+class AuditLog {
+    constructor() {
+        this.entradas = [];
+        this.ultimoId = 0;
+    }
+
+    push(entrada, id) {
+        this.ultimoId = id != null ? Math.max(Number(id), this.ultimoId) : this.ultimoId + 1;
+        const e = { ...entrada, id: id != null ? Number(id) : this.ultimoId };
+        this.entradas.push(e);
+        if (this.entradas.length > BUFFER) this.entradas.shift();
+        return e;
+    }
+
+    // Más reciente primero
+    query(filtro) {
+        const out = [];
+        for (let i = this.entradas.length - 1; i >= 0 && out.length < filtro.limite; i--) {
+            if (matchesAuditFilter(this.entradas[i], filtro)) out.push(this.entradas[i]);
+        }
+        return out;
+    }
+}
+
+export const auditLog = new AuditLog();
+
+// Middleware: registra cada escritura al terminar. persist(entrada) es opcional (BD).
+export function auditTrail(persist) {
+    return (req, res, next) => {
+        if (!METODOS.includes(req.method)) return next();
+        const ruta = req.originalUrl.split('?')[0];
+        res.on('finish', () => {
+            if (req.audit === false) return;
+            const a = req.audit || {};
+            const entrada = {
+                Fecha: new Date().toISOString(),
+                Usuario: req.user?.sub ?? (req.body?.Username != null ? String(req.body.Username) : null),
+                Rol: req.user?.rol ?? null,
+                Metodo: req.method,
+                Ruta: ruta,
+                Estado: res.statusCode,
+                Entidad: a.entidad ?? entityFromPath(ruta),
+                EntidadId: a.entidadId != null ? String(a.entidadId) : null,
+                Antes: a.antes !== undefined ? redact(a.antes) : null,
+                Despues: redact(a.despues !== undefined ? a.despues : (req.body ?? null)),
+                Ip: req.ip,
+            };
+            recordAudit(entrada, persist);
+        });
+        next();
+    };
+}
+
+// Guarda una entrada ya armada (también las de tareas programadas, sin petición)
+export function recordAudit(entrada, persist) {
+    return Promise.resolve(persist ? persist(entrada) : null)
+        .then(id => auditLog.push(entrada, id))
+        .catch(err => {
+            console.error('Auditoría: no se pudo guardar', err.message);
+            return auditLog.push(entrada);
+        });
+}
+
+// Filtros: entidad, entidadId, usuario, desde, hasta (YYYY-MM-DD o ISO), limite (máx. 1000)
+export function parseAuditFilter(query) {
+    const limite = Math.min(Math.max(Number(query.limite) || 200, 1), 1000);
+    const fecha = (v, finDeDia) => {
+        if (!v) return null;
+        const s = String(v);
+        const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) && finDeDia ? `${s}T23:59:59.999Z` : s);
+        return isNaN(d.getTime()) ? null : d;
+    };
+    return {
+        entidad: query.entidad ? String(query.entidad) : null,
+        entidadId: query.entidadId != null && query.entidadId !== '' ? String(query.entidadId) : null,
+        usuario: query.usuario ? String(query.usuario) : null,
+        desde: fecha(query.desde, false),
+        hasta: fecha(query.hasta, true),
+        limite,
+    };
+}
+
+export function matchesAuditFilter(e, { entidad, entidadId, usuario, desde, hasta }) {
+    if (entidad && String(e.Entidad).toLowerCase() !== entidad.toLowerCase()) return false;
+    if (entidadId && !String(e.EntidadId ?? '').split(',').includes(entidadId)) return false;
+    if (usuario && e.Usuario !== usuario) return false;
+    const f = new Date(e.Fecha);
+    if (desde && f < desde) return false;
+    if (hasta && f > hasta) return false;
+    return true;
+}
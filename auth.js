@@ -0,0 +1,101 @@
+// auth.js — tokens firmados (JWT HS256) y control de acceso por rol
+// ------------------------------------------------------------------
+// Sin dependencias externas: firma/verifica con node:crypto. La revocación se
+// guarda en memoria; server.js la replica en BD cuando hay pool.
+
+import crypto from 'crypto';
+
+export const ROLES = ['operator', 'planner', 'quality', 'admin'];
+
+const SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET no definido: se usa un secreto efímero (los tokens no sobreviven reinicios)');
+}
+
+const ACCESS_TTL = Number(process.env.JWT_ACCESS_TTL || 15 * 60);          // segundos
+const REFRESH_TTL = Number(process.env.JWT_REFRESH_TTL || 7 * 24 * 60 * 60); // segundos
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(payload) {
+    const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = b64url(JSON.stringify(payload));
+    const sig = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${sig}`;
+}
+
+// Devuelve el payload si la firma y la expiración son válidas; si no, null.
+export function verifyToken(token, expectedType) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+    const [header, body, sig] = parts;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest();
+    const given = Buffer.from(sig, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let payload;
+    try { payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8')); } catch { return null; }
+    if (!payload?.exp || payload.exp * 1000 <= Date.now()) return null;
+    if (expectedType && payload.typ !== expectedType) return null;
+    if (isRevoked(payload.jti)) return null;
+    return payload;
+}
+
+// Emite el par access/refresh para un usuario { Username, Nombre, Correo, Rol }.
+export function issueTokens(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        sub: String(user.Username),
+        nombre: user.Nombre,
+        correo: user.Correo,
+        rol: user.Rol,
+    };
+    const accessToken = sign({ ...claims, typ: 'access', jti: crypto.randomUUID(), iat: now, exp: now + ACCESS_TTL });
+    const refreshToken = sign({ ...claims, typ: 'refresh', jti: crypto.randomUUID(), iat: now, exp: now + REFRESH_TTL });
+    return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TTL };
+}
+
+// -------------------- Revocación --------------------
+const revoked = new Map(); // jti → exp (epoch s)
+
+export function revokeToken(payload) {
+    if (!payload?.jti) return;
+    revoked.set(payload.jti, payload.exp);
+}
+
+export function isRevoked(jti) {
+    if (!jti) return false;
+    const exp = revoked.get(jti);
+    if (exp == null) return false;
+    if (exp * 1000 <= Date.now()) { revoked.delete(jti); return false; }
+    return true;
+}
+
+// Lee "Authorization: Bearer <token>"; ?access_token= sólo para SSE (EventSource no envía headers)
+export function bearerToken(req) {
+    const h = req.header('authorization') || '';
+    if (h.startsWith('Bearer ')) return h.slice(7).trim();
+    const accept = req.header('accept') || '';
+    return accept.includes('text/event-stream') && req.query?.access_token ? String(req.query.access_token) : null;
+}
+
+// Middleware: exige access token válido y, opcionalmente, uno de los roles dados.
+// El admin siempre pasa.
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        const payload = verifyToken(bearerToken(req), 'access');
+        if (!payload) return res.status(401).json({ error: 'unauthorized', mensaje: 'Token inválido o expirado' });
+        req.user = payload;
+        if (roles.length && payload.rol !== 'admin' && !roles.includes(payload.rol)) {
+            return res.status(403).json({ error: 'forbidden', mensaje: 'Rol sin permiso para esta operación' });
+        }
+        next();
+    };
+}
+
+// Igual que requireRole, pero con roles distintos para lectura (GET/HEAD) y escritura. read: null = lectura pública.
+export function requireRoleByMethod({ read = [], write = [] }) {
+    const readGuard = read ? requireRole(...read) : (req, res, next) => next();
+    const writeGuard = requireRole(...write);
+    return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? readGuard : writeGuard)(req, res, next);
+}
@@ -0,0 +1,244 @@
+// batchrecord.js — registro de lote (batch record) en PDF por Consecutivo
+// ------------------------------------------------------------------
+// renderBatchRecord({ lote, lineas }) → Promise<Buffer>
+//   lote:   { Consecutivo, LotePT, Producto, DescripcionPT, Cliente, LineadeMezclado,
+//             FechaProgramada, ProduccionInicio, ProduccionFinal, LoteCompletado }
+//   lineas: [{ Secuencia, Ingrediente, NombreIngrediente, LoteProveedor, PesoProgramado, PesoReal,
+//              TaraReal, EtiquetaLeida, TiempoDePesado, UsuarioPesado, OverrideSupervisor, Foto (Buffer|null),
+//              FotoPurgada (fecha si la foto se depuró por retención) }]
+//   correcciones: [{ Secuencia, Accion, PesoAnterior, PesoNuevo, Motivo, Supervisor, Usuario, Fecha }] (PesadosCorrecciones)
+//   parciales: [{ Secuencia, Parcial, TaraReal, PesoReal, LoteProveedor, EtiquetaLeida, UsuarioPesado, TiempoDePesado, Anulado }]
+//              (PesadosParciales: contenedores de las líneas pesadas por partes)
+
+import PDFDocument from 'pdfkit';
+
+const MARGIN = 36;
+const THUMB = 44;
+
+// Columnas de la tabla de ingredientes (A4 horizontal: 770 pt útiles)
+const COLS = [
+    { key: 'Secuencia', title: 'Sec', width: 28, align: 'right' },
+    { key: 'Ingrediente', title: 'Ingrediente', width: 146 },
+    { key: 'LoteProveedor', title: 'Lote prov.', width: 70 },
+    { key: 'PesoProgramado', title: 'Programado', width: 62, align: 'right' },
+    { key: 'PesoReal', title: 'Real', width: 56, align: 'right' },
+    { key: 'TaraReal', title: 'Tara', width: 50, align: 'right' },
+    { key: 'Desviacion', title: 'Desviación', width: 78, align: 'right' },
+    { key: 'EtiquetaLeida', title: 'Etiqueta', width: 110 },
+    { key: 'TiempoDePesado', title: 'Pesado', width: 82 },
+    { key: 'UsuarioPesado', title: 'Operador', width: 40 },
+    { key: 'Foto', title: 'Foto', width: THUMB + 4 },
+];
+
+export function renderBatchRecord({ lote, lineas, correcciones = [], parciales = [] }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN, bufferPages: true });
+        const chunks = [];
+        doc.on('data', c => chunks.push(c));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        header(doc, lote);
+        table(doc, lineas);
+        totals(doc, lineas);
+        partials(doc, parciales);
+        corrections(doc, correcciones);
+        signatures(doc);
+        footer(doc, lote);
+        doc.end();
+    });
+}
+
+function header(doc, lote) {
+    doc.font('Helvetica-Bold').fontSize(16).text('Registro de lote de producción', { align: 'center' });
+    doc.moveDown(0.5);
+
+    const left = [
+        ['Lote', lote.LotePT],
+        ['Consecutivo', lote.Consecutivo],
+        ['Producto', lote.Producto],
+        ['Descripción', lote.DescripcionPT],
+        ['Cliente', lote.Cliente],
+    ];
+    const right = [
+        ['Línea de mezclado', lote.LineadeMezclado],
+        ['Fecha programada', fmtDate(lote.FechaProgramada)],
+        ['Inicio de producción', fmtDate(lote.ProduccionInicio)],
+        ['Fin de producción', fmtDate(lote.ProduccionFinal)],
+        ['Estado', lote.LoteCompletado ? 'Completado' : 'En proceso'],
+    ];
+    const y = doc.y;
+    keyValues(doc, left, MARGIN, y);
+    keyValues(doc, right, doc.page.width / 2, y);
+    doc.y = y + left.length * 14 + 10;
+    doc.x = MARGIN;
+}
+
+function keyValues(doc, pairs, x, y) {
+    pairs.forEach(([k, v], i) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(`${k}:`, x, y + i * 14, { width: 110 });
+        doc.font('Helvetica').fontSize(9).text(v == null || v === '' ? '—' : String(v), x + 112, y + i * 14, { width: 250 });
+    });
+}
+
+function table(doc, lineas) {
+    const rowHeight = THUMB + 6;
+    const drawHeader = () => {
+        let x = MARGIN;
+        const y = doc.y;
+        doc.rect(MARGIN, y - 2, tableWidth(), 16).fill('#e6e6e6').fillColor('black');
+        doc.font('Helvetica-Bold').fontSize(8);
+        for (const c of COLS) {
+            doc.text(c.title, x + 2, y + 2, { width: c.width - 4, align: c.align || 'left' });
+            x += c.width;
+        }
+        doc.y = y + 18;
+    };
+
+    drawHeader();
+    for (const l of lineas) {
+        if (doc.y + rowHeight > doc.page.height - MARGIN - 20) {
+            doc.addPage();
+            drawHeader();
+        }
+        const y = doc.y;
+        let x = MARGIN;
+        const values = rowValues(l);
+        doc.font('Helvetica').fontSize(8);
+        for (const c of COLS) {
+            if (c.key === 'Foto') {
+                thumbnail(doc, l.Foto, x + 2, y, l.FotoPurgada);
+            } else {
+                doc.fillColor(c.key === 'Desviacion' && l.OverrideSupervisor ? '#b00020' : 'black')
+                    .text(values[c.key], x + 2, y + 2, { width: c.width - 4, height: rowHeight - 4, align: c.align || 'left', ellipsis: true });
+            }
+            x += c.width;
+        }
+        doc.fillColor('black');
+        doc.moveTo(MARGIN, y + rowHeight - 2).lineTo(MARGIN + tableWidth(), y + rowHeight - 2).strokeColor('#cccccc').stroke().strokeColor('black');
+        doc.y = y + rowHeight;
+    }
+    doc.x = MARGIN;
+}
+
+function rowValues(l) {
+    const dev = l.PesoReal != null && l.PesoProgramado != null ? Number(l.PesoReal) - Number(l.PesoProgramado) : null;
+    const pct = dev != null && Number(l.PesoProgramado) ? dev / Number(l.PesoProgramado) * 100 : null;
+    return {
+        Secuencia: String(l.Secuencia ?? ''),
+        Ingrediente: `${l.Ingrediente ?? ''} ${l.NombreIngrediente ?? ''}`.trim(),
+        LoteProveedor: l.LoteProveedor || '—',
+        PesoProgramado: fmtKg(l.PesoProgramado),
+        PesoReal: fmtKg(l.PesoReal),
+        TaraReal: fmtKg(l.TaraReal),
+        Desviacion: dev == null ? '—'
+            : `${dev >= 0 ? '+' : ''}${dev.toFixed(3)} (${pct == null ? '—' : `${pct.toFixed(2)}%`})${l.OverrideSupervisor ? ` *${l.OverrideSupervisor}` : ''}`,
+        EtiquetaLeida: l.EtiquetaLeida || '—',
+        TiempoDePesado: fmtDate(l.TiempoDePesado),
+        UsuarioPesado: l.UsuarioPesado || '—',
+    };
+}
+
+function thumbnail(doc, foto, x, y, purgada) {
+    if (foto && foto.length) {
+        try {
+            doc.image(foto, x, y, { fit: [THUMB, THUMB] });
+            return;
+        } catch {
+            // Formato no soportado por pdfkit (sólo JPEG/PNG): se dibuja el marcador
+        }
+    }
+    doc.rect(x, y, THUMB, THUMB).strokeColor('#cccccc').stroke().strokeColor('black');
+    doc.fontSize(6).fillColor('#888888').text(purgada ? 'Depurada' : 'Sin foto', x, y + THUMB / 2 - 3, { width: THUMB, align: 'center' }).fillColor('black');
+}
+
+function totals(doc, lineas) {
+    const prog = lineas.reduce((a, l) => a + Number(l.PesoProgramado || 0), 0);
+    const real = lineas.reduce((a, l) => a + Number(l.PesoReal || 0), 0);
+    const pesados = lineas.filter(l => l.TiempoDePesado).length;
+    const overrides = lineas.filter(l => l.OverrideSupervisor).length;
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(9).text(
+        `Total programado: ${fmtKg(prog)} kg    Total real: ${fmtKg(real)} kg    ` +
+        `Ingredientes pesados: ${pesados}/${lineas.length}    Autorizaciones fuera de tolerancia: ${overrides}`,
+        MARGIN);
+    if (overrides) {
+        doc.font('Helvetica').fontSize(7).fillColor('#b00020')
+            .text('* Desviación autorizada por el supervisor indicado.', MARGIN).fillColor('black');
+    }
+}
+
+// Contenedores de las líneas pesadas por partes: la tabla muestra la suma y aquí va cada uno con su lote y operador
+function partials(doc, parciales) {
+    if (!parciales.length) return;
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(9).text(`Pesados parciales (${parciales.length})`, MARGIN);
+    doc.font('Helvetica').fontSize(7);
+    for (const p of parciales) {
+        doc.text(
+            `Sec. ${p.Secuencia} · contenedor ${p.Parcial}: ${fmtKg(p.PesoReal)} (tara ${fmtKg(p.TaraReal)}) · ` +
+            `Lote prov. ${p.LoteProveedor ?? '—'} · Etiqueta ${p.EtiquetaLeida || '—'} · ${p.UsuarioPesado} ${fmtDate(p.TiempoDePesado)}` +
+            (p.Anulado ? ` · anulado ${fmtDate(p.Anulado)}` : ''),
+            MARGIN, doc.y, { width: doc.page.width - 2 * MARGIN });
+    }
+}
+
+// Historial de correcciones: el registro muestra lo vigente y, debajo, lo que se cambió y quién lo aprobó
+function corrections(doc, correcciones) {
+    if (!correcciones.length) return;
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(9).text(`Correcciones de pesado (${correcciones.length})`, MARGIN);
+    doc.font('Helvetica').fontSize(7);
+    for (const c of correcciones) {
+        const cambio = c.Accion === 'reabrir'
+            ? `reabierto para volver a pesar (antes ${fmtKg(c.PesoAnterior)})`
+            : `${fmtKg(c.PesoAnterior)} → ${fmtKg(c.PesoNuevo)}`;
+        doc.text(
+            `${fmtDate(c.Fecha)} · Sec. ${c.Secuencia}: ${cambio} · ` +
+            `Solicitó ${c.Usuario}, aprobó ${c.Supervisor} · Motivo: ${c.Motivo}`,
+            MARGIN, doc.y, { width: doc.page.width - 2 * MARGIN });
+    }
+}
+
+function signatures(doc) {
+    const blocks = ['Elaboró (Operador)', 'Revisó (Supervisor de producción)', 'Aprobó (Aseguramiento de calidad)'];
+    const needed = 80;
+    if (doc.y + needed > doc.page.height - MARGIN) doc.addPage();
+    const y = doc.y + 40;
+    const w = (doc.page.width - 2 * MARGIN - 40) / blocks.length;
+    blocks.forEach((title, i) => {
+        const x = MARGIN + i * (w + 20);
+        doc.moveTo(x, y).lineTo(x + w, y).stroke();
+        doc.font('Helvetica-Bold').fontSize(8).text(title, x, y + 4, { width: w, align: 'center' });
+        doc.font('Helvetica').fontSize(8).text('Nombre, firma y fecha', x, y + 16, { width: w, align: 'center' });
+    });
+    doc.y = y + 30;
+}
+
+function footer(doc, lote) {
+    const range = doc.bufferedPageRange();
+    const generado = fmtDate(new Date());
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.page.margins.bottom = 0; // escribir en el margen sin que pdfkit agregue página
+        doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+            `Lote ${lote.LotePT ?? ''} · Consecutivo ${lote.Consecutivo} · Generado ${generado} · Página ${i + 1} de ${range.count}`,
+            MARGIN, doc.page.height - MARGIN + 10, { width: doc.page.width - 2 * MARGIN, align: 'center', lineBreak: false });
+    }
+    doc.fillColor('black');
+}
+
+function tableWidth() {
+    return COLS.reduce((a, c) => a + c.width, 0);
+}
+
+function fmtKg(n) {
+    return n == null || n === '' ? '—' : Number(n).toFixed(3);
+}
+
+function fmtDate(d) {
+    if (!d) return '—';
+    const dt = new Date(d);
+    if (isNaN(dt.getTime())) return String(d);
+    return dt.toISOString().replace('T', ' ').slice(0, 16);
+}
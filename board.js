@@ -0,0 +1,73 @@
+// board.js — feed en tiempo real del tablero de producción
+// ------------------------------------------------------------------
+// Eventos { id, tipo, ts, Consecutivo, LineadeMezclado, FechaProgramada, datos }.
+// Se guardan los últimos BOARD_BUFFER eventos en memoria para que un cliente
+// reconecte con Last-Event-ID sin perder nada; server.js además los persiste en BD (repos/tablero.js).
+
+import { EventEmitter } from 'events';
+
+export const TIPOS_EVENTO = [
+    'lote_programado',
+    'pesado_iniciado',
+    'ingrediente_pesado',
+    'pesado_parcial',
+    'lote_completado',
+    'lote_cancelado',
+    'lote_restaurado',
+    'lote_reprogramado',
+    'pesado_corregido',
+    'lote_reabierto',
+];
+
+const BUFFER = Number(process.env.BOARD_BUFFER || 1000);
+
+class BoardFeed extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.eventos = [];
+        this.ultimoId = 0;
+    }
+
+    // id opcional: el de BD cuando se persistió; si no, consecutivo en memoria
+    push(evento, id) {
+        this.ultimoId = id != null ? Math.max(Number(id), this.ultimoId) : this.ultimoId + 1;
+        const e = { ...evento, id: id != null ? Number(id) : this.ultimoId };
+        this.eventos.push(e);
+        if (this.eventos.length > BUFFER) this.eventos.shift();
+        this.emit('evento', e);
+        return e;
+    }
+
+    // Eventos posteriores a `id`; null si el buffer ya no los cubre (hay que ir a BD)
+    since(id) {
+        const desde = Number(id);
+        if (this.eventos.length && this.eventos[0].id > desde + 1) return null;
+        return this.eventos.filter(e => e.id > desde);
+    }
+}
+
+export const board = new BoardFeed();
+
+// Filtros del cliente: { desde, hasta } (YYYY-MM-DD, sobre FechaProgramada) y lineas: [n]
+export function parseBoardFilter(query) {
+    const lineas = query.linea
+        ? String(query.linea).split(',').map(Number).filter(Number.isFinite)
+        : null;
+    return {
+        desde: query.desde ? String(query.desde).slice(0, 10) : null,
+        hasta: query.hasta ? String(query.hasta).slice(0, 10) : null,
+        lineas: lineas?.length ? lineas : null,
+    };
+}
+
+export function matchesBoardFilter(evento, { desde, hasta, lineas }) {
+    if (lineas && !lineas.includes(Number(evento.LineadeMezclado))) return false;
+    if (desde || hasta) {
+        const fecha = evento.FechaProgramada ? new Date(evento.FechaProgramada).toISOString().slice(0, 10) : null;
+        if (!fecha) return false;
+        if (desde && fecha < desde) return false;
+        if (hasta && fecha > hasta) return false;
+    }
+    return true;
+}
@@ -0,0 +1,93 @@
+// formulas.js — versiones de fórmula (ProductosTerminados_Detalle versionado)
+// ------------------------------------------------------------------
+// Flujo: borrador → aprobada → activa → retirada. Sólo la versión activa se
+// materializa en ProductosTerminados_Detalle, que es lo que lee SP_ProgramarLotesProduccion.
+
+export const ESTADOS_VERSION = ['borrador', 'aprobada', 'activa', 'retirada'];
+
+// Transiciones permitidas: estado actual → acción → estado nuevo
+const TRANSICIONES = {
+    aprobar: { borrador: 'aprobada' },
+    activar: { aprobada: 'activa', retirada: 'activa' },
+};
+
+export function nextVersionState(estado, accion) {
+    return TRANSICIONES[accion]?.[estado] ?? null;
+}
+
+// Compara dos listas de ingredientes [{ Clave, Nombre?, Porcentaje, Comentario }] por Clave.
+// → [{ Clave, Nombre, cambio: 'agregado'|'eliminado'|'modificado'|'igual', PorcentajeAnterior, PorcentajeNuevo, Delta, ... }]
+export function diffVersions(anterior, nueva) {
+    const a = new Map(anterior.map(i => [String(i.Clave), i]));
+    const b = new Map(nueva.map(i => [String(i.Clave), i]));
+    const claves = [...new Set([...a.keys(), ...b.keys()])];
+
+    return claves.map(clave => {
+        const x = a.get(clave);
+        const y = b.get(clave);
+        const pa = x ? Number(x.Porcentaje) : null;
+        const pb = y ? Number(y.Porcentaje) : null;
+        let cambio = 'igual';
+        if (!x) cambio = 'agregado';
+        else if (!y) cambio = 'eliminado';
+        else if (pa !== pb || (x.Comentario ?? '') !== (y.Comentario ?? '') || Number(x.NumIngrediente) !== Number(y.NumIngrediente)) cambio = 'modificado';
+        return {
+            Clave: clave,
+            Nombre: (y ?? x).Nombre ?? null,
+            cambio,
+            PorcentajeAnterior: pa,
+            PorcentajeNuevo: pb,
+            Delta: pa != null && pb != null ? Math.round((pb - pa) * 100000) / 100000 : null,
+            ComentarioAnterior: x?.Comentario ?? null,
+            ComentarioNuevo: y?.Comentario ?? null,
+            OrdenAnterior: x?.NumIngrediente ?? null,
+            OrdenNuevo: y?.NumIngrediente ?? null,
+        };
+    });
+}
+
+// -------------------- Validación de integridad --------------------
+// La suma de porcentajes debe ser 100 ± FORMULA_TOLERANCIA_SUMA (puntos porcentuales).
+export const TOLERANCIA_SUMA = Number(process.env.FORMULA_TOLERANCIA_SUMA ?? 0.01);
+
+// ingredientes: [{ Clave, Porcentaje, Comentario }] tal como llegan del editor
+// catalogo: Map(Clave → { Nombre, Activo }) con las claves que existen en Ingredientes
+// → { valido, suma, tolerancia, errores: [{ linea, Clave, error, mensaje }] }  (linea = índice base 1; null = fórmula completa)
+export function validateFormula(ingredientes, catalogo, tolerancia = TOLERANCIA_SUMA) {
+    const errores = [];
+    if (!Array.isArray(ingredientes) || !ingredientes.length) {
+        errores.push({ linea: null, Clave: null, error: 'empty_formula', mensaje: 'La fórmula no tiene ingredientes' });
+        return { valido: false, suma: 0, tolerancia, errores };
+    }
+
+    const vistas = new Map(); // Clave → primera línea
+    let suma = 0;
+    ingredientes.forEach((ing, i) => {
+        const linea = i + 1;
+        const clave = ing?.Clave == null ? '' : String(ing.Clave).trim();
+        const err = (error, mensaje) => errores.push({ linea, Clave: clave || null, error, mensaje });
+
+        if (!clave) {
+            err('missing_key', 'Falta la clave del ingrediente');
+        } else if (vistas.has(clave)) {
+            err('duplicate_key', `Ingrediente repetido (ya aparece en la línea ${vistas.get(clave)})`);
+        } else {
+            vistas.set(clave, linea);
+            const info = catalogo.get(clave);
+            if (!info) err('unknown_ingredient', 'El ingrediente no existe');
+            else if (!info.Activo) err('inactive_ingredient', `El ingrediente ${info.Nombre} está inactivo`);
+        }
+
+        const raw = ing?.Porcentaje;
+        const pct = raw == null || String(raw).trim() === '' ? NaN : Number(raw);
+        if (!Number.isFinite(pct)) err('invalid_percentage', `Porcentaje no numérico: ${raw ?? '(vacío)'}`);
+        else if (pct <= 0) err('non_positive_percentage', 'El porcentaje debe ser mayor a cero');
+        else suma += pct;
+    });
+
+    suma = Math.round(suma * 100000) / 100000;
+    if (Math.abs(suma - 100) > tolerancia) {
+        errores.push({ linea: null, Clave: null, error: 'percentage_sum', mensaje: `Los porcentajes suman ${suma} (se espera 100 ± ${tolerancia})` });
+    }
+    return { valido: errores.length === 0, suma, tolerancia, errores };
+}
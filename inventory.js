@@ -0,0 +1,40 @@
+// inventory.js — reglas del libro de inventario de ingredientes
+// ------------------------------------------------------------------
+// Las existencias son la suma de InventarioMovimientos por lote; aquí sólo
+// viven las reglas puras (asignación FEFO), el acceso a datos está en repos/inventario.js.
+
+export const TIPOS_MOVIMIENTO = ['recepcion', 'ajuste', 'conteo', 'consumo'];
+
+// Permite consumir más de lo que hay (existencia negativa) en lugar de bloquear el pesado
+export const PERMITIR_NEGATIVO = String(process.env.INVENTARIO_PERMITIR_NEGATIVO ?? 'true') === 'true';
+
+// Ordena lotes FEFO: caducidad más próxima primero (sin caducidad al final), luego recepción más antigua
+export function sortFefo(lotes) {
+    return [...lotes].sort((a, b) => {
+        const ca = a.Caducidad ? new Date(a.Caducidad).getTime() : Infinity;
+        const cb = b.Caducidad ? new Date(b.Caducidad).getTime() : Infinity;
+        if (ca !== cb) return ca - cb;
+        return new Date(a.FechaRecepcion).getTime() - new Date(b.FechaRecepcion).getTime();
+    });
+}
+
+// Reparte `cantidad` entre lotes [{ LoteInventarioId, Existencia, Caducidad, FechaRecepcion, ... }].
+// Omite caducados (a la fecha `hoy`). → { asignaciones: [{ ...lote, Cantidad }], faltante }
+export function allocateFefo(lotes, cantidad, hoy = new Date().toISOString().slice(0, 10)) {
+    const vigentes = sortFefo(lotes.filter(l =>
+        Number(l.Existencia) > 0 && (!l.Caducidad || new Date(l.Caducidad).toISOString().slice(0, 10) >= hoy)));
+
+    let pendiente = round3(cantidad);
+    const asignaciones = [];
+    for (const lote of vigentes) {
+        if (pendiente <= 0) break;
+        const toma = round3(Math.min(pendiente, Number(lote.Existencia)));
+        asignaciones.push({ ...lote, Cantidad: toma });
+        pendiente = round3(pendiente - toma);
+    }
+    return { asignaciones, faltante: Math.max(pendiente, 0) };
+}
+
+export function round3(n) {
+    return Math.round(Number(n) * 1000) / 1000;
+}
@@ -0,0 +1,162 @@
+// label.js — lectura de etiquetas escaneadas: código plano o GS1-128
+// ------------------------------------------------------------------
+// Formatos aceptados para GS1:
+//   - crudo con FNC1 como <GS> (\x1d), con o sin prefijo de simbología "]C1"
+//   - legible con paréntesis: (01)07501234567893(10)L123(17)261231(3102)002500
+
+const GS = '\x1d';
+
+// AI → { nombre, largo fijo | max (variable), decimales? }
+const AIS = {
+    '00': { nombre: 'sscc', fijo: 18 },
+    '01': { nombre: 'gtin', fijo: 14 },
+    '02': { nombre: 'gtinContenido', fijo: 14 },
+    '10': { nombre: 'lote', max: 20 },
+    '11': { nombre: 'fechaProduccion', fijo: 6, fecha: true },
+    '15': { nombre: 'consumirPreferente', fijo: 6, fecha: true },
+    '17': { nombre: 'caducidad', fijo: 6, fecha: true },
+    '21': { nombre: 'serie', max: 20 },
+    '37': { nombre: 'cantidad', max: 8 },
+    '240': { nombre: 'codigoProducto', max: 30 },
+};
+// Peso neto: 310n (kg) y 320n (lb), n = decimales
+const PESO_AIS = { '310': 'kg', '320': 'lb' };
+
+export class LabelError extends Error { }
+
+// Devuelve { formato: 'plain', codigo } o { formato: 'gs1', gtin, lote, caducidad, pesoNeto, codigoProducto, ais }
+// hoy ('YYYY-MM-DD') fija el siglo de las fechas YYMMDD (ver parseGs1Date)
+export function parseLabel(raw, hoy = new Date().toISOString().slice(0, 10)) {
+    let text = String(raw ?? '').trim();
+    if (!text) return null;
+
+    if (text.startsWith(']C1')) text = text.slice(3);
+    const anio = Number(hoy.slice(0, 4));
+    if (text.startsWith('(')) return toResult(parseParenthesized(text), anio);
+    if (text.includes(GS) || /^(01|02|00)\d{14,}/.test(text)) return toResult(parseRaw(text), anio);
+    return { formato: 'plain', codigo: text };
+}
+
+function parseParenthesized(text) {
+    const ais = {};
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let m;
+    let consumed = 0;
+    while ((m = re.exec(text))) {
+        ais[m[1]] = m[2].trim();
+        consumed += m[0].length;
+    }
+    if (consumed !== text.length) throw new LabelError('Etiqueta GS1 mal formada');
+    for (const [ai, value] of Object.entries(ais)) checkLength(ai, value);
+    return ais;
+}
+
+function parseRaw(text) {
+    const ais = {};
+    let i = 0;
+    while (i < text.length) {
+        if (text[i] === GS) { i++; continue; }
+        const ai = matchAi(text, i);
+        if (!ai) throw new LabelError(`AI GS1 desconocido en posición ${i}`);
+        i += ai.length;
+        const def = AIS[ai] || { fijo: 6 }; // 310n / 320n
+        let value;
+        if (def.fijo) {
+            value = text.slice(i, i + def.fijo);
+            i += def.fijo;
+        } else {
+            const end = text.indexOf(GS, i);
+            value = text.slice(i, end === -1 ? text.length : end);
+            i += value.length;
+        }
+        checkLength(ai, value);
+        ais[ai] = value;
+    }
+    return ais;
+}
+
+function matchAi(text, i) {
+    for (const len of [4, 3, 2]) {
+        const ai = text.slice(i, i + len);
+        if (AIS[ai] || (len === 4 && PESO_AIS[ai.slice(0, 3)] && /\d/.test(ai[3]))) return ai;
+    }
+    return null;
+}
+
+function checkLength(ai, value) {
+    const def = AIS[ai] || (PESO_AIS[ai.slice(0, 3)] && ai.length === 4 ? { fijo: 6 } : null);
+    if (!def) throw new LabelError(`AI GS1 no soportado: (${ai})`);
+    if (def.fijo && value.length !== def.fijo) throw new LabelError(`AI (${ai}) debe tener ${def.fijo} caracteres`);
+    if (def.max && (value.length === 0 || value.length > def.max)) throw new LabelError(`AI (${ai}) excede ${def.max} caracteres`);
+    if (def.fijo && !/^\d+$/.test(value)) throw new LabelError(`AI (${ai}) debe ser numérico`);
+}
+
+function toResult(ais, anio) {
+    const out = { formato: 'gs1', ais };
+    for (const [ai, value] of Object.entries(ais)) {
+        const def = AIS[ai];
+        if (def) {
+            out[def.nombre] = def.fecha ? parseGs1Date(value, anio) : value;
+            continue;
+        }
+        const unidad = PESO_AIS[ai.slice(0, 3)];
+        const dec = Number(ai[3]);
+        out.pesoNeto = { valor: Number(value) / 10 ** dec, unidad };
+    }
+    if (out.gtin && !isValidGtin(out.gtin)) throw new LabelError('Dígito verificador de GTIN inválido');
+    return out;
+}
+
+// YYMMDD → 'YYYY-MM-DD'. DD = 00 significa último día del mes (regla GS1).
+// Siglo según GS1 General Specifications 7.12: el año queda entre anio - 49 y anio + 50.
+function parseGs1Date(v, anio) {
+    const yy = Number(v.slice(0, 2));
+    const mm = Number(v.slice(2, 4));
+    let dd = Number(v.slice(4, 6));
+    if (mm < 1 || mm > 12) throw new LabelError(`Fecha GS1 inválida: ${v}`);
+    const diferencia = yy - (anio % 100);
+    const siglo = Math.floor(anio / 100) + (diferencia >= 51 ? -1 : diferencia <= -50 ? 1 : 0);
+    const year = siglo * 100 + yy;
+    const diasMes = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+    if (dd > diasMes) throw new LabelError(`Fecha GS1 inválida: ${v}`);
+    if (dd === 0) dd = diasMes;
+    return `${year}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
+}
+
+// GTIN-8/12/13/14 con dígito verificador módulo 10
+export function isValidGtin(gtin) {
+    const s = String(gtin || '');
+    if (!/^\d{8}$|^\d{12,14}$/.test(s)) return false;
+    const digits = s.padStart(14, '0').split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reduce((acc, d, idx) => acc + d * (idx % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+}
+
+// Compara la etiqueta leída con el ingrediente esperado.
+// esperado: { ingrediente, gtin } ; hoy: 'YYYY-MM-DD'. → null si todo bien, o { error, mensaje }
+export function verifyLabel(label, esperado, hoy = new Date().toISOString().slice(0, 10)) {
+    const clave = String(esperado.ingrediente).trim();
+    if (label.formato === 'plain') {
+        return label.codigo === clave ? null : { error: 'label_mismatch', mensaje: `❌ La etiqueta (${label.codigo}) no corresponde al ingrediente ${clave}` };
+    }
+
+    if (label.codigoProducto != null) {
+        if (label.codigoProducto !== clave) {
+            return { error: 'label_mismatch', mensaje: `❌ La etiqueta (${label.codigoProducto}) no corresponde al ingrediente ${clave}` };
+        }
+    } else if (label.gtin) {
+        const gtin = esperado.gtin ? String(esperado.gtin).padStart(14, '0') : null;
+        if (!gtin) return { error: 'label_mismatch', mensaje: `❌ El ingrediente ${clave} no tiene GTIN registrado` };
+        if (label.gtin.padStart(14, '0') !== gtin) {
+            return { error: 'label_mismatch', mensaje: `❌ El GTIN ${label.gtin} no corresponde al ingrediente ${clave}` };
+        }
+    } else {
+        return { error: 'label_mismatch', mensaje: '❌ La etiqueta GS1 no identifica el producto (falta AI 01 o 240)' };
+    }
+
+    if (label.caducidad && label.caducidad < hoy) {
+        return { error: 'label_expired', mensaje: `❌ Material caducado (${label.caducidad})` };
+    }
+    return null;
+}
@@ -0,0 +1,110 @@
+// listing.js — contrato común de listados: paginación, orden y búsqueda
+// ------------------------------------------------------------------
+// Query: ?pagina=1&tamano=50&orden=Nombre,-Categoria&q=texto
+//   orden: campos separados por coma; prefijo "-" = descendente. Sólo campos de la lista blanca.
+//   q: busca (LIKE) en los campos de búsqueda de cada listado.
+// Sin pagina/tamano se responde el arreglo de siempre (clientes anteriores); con cualquiera
+// de los dos, el sobre { datos, pagina, tamano, total, paginas, orden, q }.
+
+export const TAMANO_DEFAULT = Number(process.env.LISTADO_TAMANO_DEFAULT || 50);
+export const TAMANO_MAX = Number(process.env.LISTADO_TAMANO_MAX || 500);
+
+// campos: { Campo: 'expresión SQL' } (ordenables); porDefecto: 'Campo' | '-Campo'
+// → { paginado, pagina, tamano, offset, orden: [{ campo, desc }], q } | { error }
+export function parseListing(query, { campos, porDefecto }) {
+    const paginado = query.pagina != null || query.tamano != null;
+    const pagina = query.pagina != null ? Number(query.pagina) : 1;
+    const tamano = query.tamano != null ? Number(query.tamano) : TAMANO_DEFAULT;
+    if (!Number.isInteger(pagina) || pagina < 1) return { error: 'pagina debe ser un entero >= 1' };
+    if (!Number.isInteger(tamano) || tamano < 1 || tamano > TAMANO_MAX) return { error: `tamano debe ser un entero entre 1 y ${TAMANO_MAX}` };
+
+    const orden = [];
+    for (const raw of String(query.orden || porDefecto).split(',').map(s => s.trim()).filter(Boolean)) {
+        const desc = raw.startsWith('-');
+        const campo = desc ? raw.slice(1) : raw;
+        if (!Object.hasOwn(campos, campo)) {
+            return { error: `No se puede ordenar por ${campo}; campos permitidos: ${Object.keys(campos).join(', ')}` };
+        }
+        orden.push({ campo, desc });
+    }
+
+    const q = query.q != null && String(query.q).trim() ? String(query.q).trim().slice(0, 100) : null;
+    return { paginado, pagina, tamano, offset: (pagina - 1) * tamano, orden, q };
+}
+
+// ORDER BY con desempate por una clave única (paginación estable)
+export function orderBySql(listing, campos, desempate) {
+    const partes = listing.orden.map(o => `${campos[o.campo]} ${o.desc ? 'DESC' : 'ASC'}`);
+    if (desempate && !listing.orden.some(o => campos[o.campo] === desempate)) partes.push(desempate);
+    return `ORDER BY ${partes.join(', ')}`;
+}
+
+// "AND (a LIKE @q OR b LIKE @q ...)" o '' sin búsqueda; requiere bindListing
+export function searchSql(listing, expresiones) {
+    if (!listing.q) return '';
+    return `AND (${expresiones.map(e => `${e} LIKE @q`).join(' OR ')})`;
+}
+
+// "OFFSET ... FETCH ..." sólo en modo paginado
+export function pageSql(listing) {
+    return listing.paginado ? 'OFFSET @offset ROWS FETCH NEXT @tamano ROWS ONLY' : '';
+}
+
+// Agrega @q, @offset, @tamano al request (tipos del driver recibidos para no acoplar el módulo a mssql)
+export function bindListing(request, listing, sql) {
+    return request
+        .input('q', sql.NVarChar(110), listing.q ? `%${listing.q.replace(/[[%_]/g, '[$&]')}%` : null)
+        .input('offset', sql.Int, listing.offset)
+        .input('tamano', sql.Int, listing.tamano);
+}
+
+// SQLite (DB_BACKEND=sqlite): mismas cláusulas con LIKE ... ESCAPE y LIMIT/OFFSET; parámetros como objeto
+export function searchSqlite(listing, expresiones) {
+    if (!listing.q) return '';
+    return `AND (${expresiones.map(e => `${e} LIKE @q ESCAPE '\\'`).join(' OR ')})`;
+}
+
+export function pageSqlite(listing) {
+    return listing.paginado ? 'LIMIT @tamano OFFSET @offset' : '';
+}
+
+export function listingParams(listing) {
+    return {
+        q: listing.q ? `%${listing.q.replace(/[\\%_]/g, '\\$&')}%` : null,
+        offset: listing.offset,
+        tamano: listing.tamano,
+    };
+}
+
+export function listingResponse(listing, datos, total) {
+    if (!listing.paginado) return datos;
+    return {
+        datos,
+        pagina: listing.pagina,
+        tamano: listing.tamano,
+        total,
+        paginas: Math.ceil(total / listing.tamano),
+        orden: listing.orden.map(o => (o.desc ? `-${o.campo}` : o.campo)).join(','),
+        q: listing.q,
+    };
+}
+
+// MOCK: aplica búsqueda, orden y página sobre un arreglo → respuesta lista para res.json
+export function applyListing(rows, listing, camposBusqueda) {
+    const q = listing.q?.toLowerCase();
+    const filtradas = q
+        ? rows.filter(r => camposBusqueda.some(c => String(r[c] ?? '').toLowerCase().includes(q)))
+        : rows.slice();
+    filtradas.sort((a, b) => {
+        for (const { campo, desc } of listing.orden) {
+            const x = a[campo];
+            const y = b[campo];
+            if (x === y) continue;
+            const cmp = x == null ? -1 : y == null ? 1 : (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y)));
+            return desc ? -cmp : cmp;
+        }
+        return 0;
+    });
+    const datos = listing.paginado ? filtradas.slice(listing.offset, listing.offset + listing.tamano) : filtradas;
+    return listingResponse(listing, datos, filtradas.length);
+}
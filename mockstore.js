@@ -0,0 +1,272 @@
+// mockstore.js — base de datos en memoria para el modo MOCK (DB_BACKEND=memoria; ver repos/index.js)
+// ------------------------------------------------------------------
+// Refleja las tablas que leen/escriben los handlers con los mismos nombres de columna.
+// Se siembra desde fixtures/mock.json (MOCK_FIXTURES = otra ruta) y vive mientras corre
+// el proceso: lo que se registra en MOCK aparece después en listados, pesaje, etc.
+//   - Productos sin FormulasVersiones reciben su versión 1 activa (como ensureBaseVersion).
+//   - "Programacion" de los fixtures se programa al arrancar con programarLotes, relativo a hoy.
+
+import { readFileSync } from 'fs';
+import { round3 } from './inventory.js';
+
+const TABLAS = [
+    'Clientes', 'CategoriasIngredientes', 'ProveedoresIngredientes', 'Ingredientes',
+    'ToleranciasIngredientes', 'ToleranciasCategorias', 'UnidadesDeMedida', 'Usuarios',
+    'ProductosTerminados', 'ProductosTerminados_Detalle', 'FormulasVersiones', 'FormulasVersiones_Detalle',
+    'ProgramacionProduccion', 'ProgramacionProduccion_Control', 'ProgramacionProduccion_Detalle', 'CancelacionesLotes',
+    'PesadosIdempotencia', 'BloqueosLotes', 'LineasMezclado', 'PesadosCorrecciones',
+    'PesadosParciales', 'IngredientesEtiquetas', 'InventarioLotes', 'InventarioMovimientos',
+    'Basculas',
+];
+
+// Columnas DATETIME que en los fixtures vienen como texto ISO
+const FECHAS = ['FechaCreacion', 'FechaAprobacion', 'FechaActivacion', 'FechaProgramada', 'ProduccionInicio', 'ProduccionFinal',
+    'TiempoDePesado', 'OverrideFecha', 'Fecha', 'FechaRestauracion', 'FechaCaptura',
+    'Desde', 'Expira', 'UltimoLatido', 'FotoPurgada', 'TiempoDePesadoAnterior', 'Anulado',
+    'Caducidad', 'FechaRecepcion'];
+
+const PRIMER_CONSECUTIVO = 1001;
+
+// CAST(fecha AS DATE) como texto YYYY-MM-DD
+export function dia(d) {
+    return d ? new Date(d).toISOString().slice(0, 10) : null;
+}
+
+export function loadFixtures(ruta = process.env.MOCK_FIXTURES || new URL('./fixtures/mock.json', import.meta.url)) {
+    return JSON.parse(readFileSync(ruta, 'utf8'));
+}
+
+export class MockStore {
+    constructor(fixtures = {}) {
+        this.reset(fixtures);
+    }
+
+    // Vuelve al estado de los fixtures
+    reset(fixtures = this.fixtures) {
+        this.fixtures = fixtures;
+        const copia = structuredClone(fixtures);
+        for (const t of TABLAS) {
+            this[t] = (copia[t] ?? []).map(row => {
+                for (const f of FECHAS) if (typeof row[f] === 'string') row[f] = new Date(row[f]);
+                return row;
+            });
+        }
+        this.ultimoId = {};
+
+        for (const pt of this.ProductosTerminados) {
+            if (this.FormulasVersiones.some(v => v.CodigoProducto === pt.CodigoProducto)) continue;
+            const lineas = this.ProductosTerminados_Detalle
+                .filter(d => d.CodigoProducto === pt.CodigoProducto)
+                .sort((a, b) => a.NumIngrediente - b.NumIngrediente)
+                .map(d => ({ NumIngrediente: d.NumIngrediente, Clave: d.Ingrediente, Porcentaje: d.Porcentaje, Comentario: d.Comentario }));
+            this.insertFormulaVersion(pt.CodigoProducto, lineas, { estado: 'activa', nota: 'Versión inicial', autor: pt.UsuarioCreador ?? 'fixtures' });
+        }
+
+        const hoy = new Date();
+        hoy.setUTCHours(8, 0, 0, 0);
+        for (const p of copia.Programacion ?? []) {
+            const fecha = new Date(hoy.getTime() + (p.DiasDesdeHoy ?? 0) * 86400000);
+            this.programarLotes({ ...p, FechaProgramada: fecha, UsuarioProgramo: p.UsuarioProgramo ?? 'fixtures' });
+        }
+    }
+
+    // IDENTITY: siguiente valor de la columna (parte del máximo sembrado)
+    nextId(tabla, campo = 'Identificador', inicial = 1) {
+        const clave = `${tabla}.${campo}`;
+        if (this.ultimoId[clave] == null) {
+            this.ultimoId[clave] = this[tabla].reduce((m, r) => Math.max(m, Number(r[campo]) || 0), inicial - 1);
+        }
+        return ++this.ultimoId[clave];
+    }
+
+    // -------------------- Consultas comunes --------------------
+    ingrediente(clave) {
+        return this.Ingredientes.find(i => String(i.Identificador) === String(clave).trim()) ?? null;
+    }
+
+    // i.Ingrediente + '; ' + ISNULL(i.Descripcion, '')
+    nombreIngrediente(clave) {
+        const i = this.ingrediente(clave);
+        return i ? `${i.Ingrediente}; ${i.Descripcion ?? ''}` : null;
+    }
+
+    producto(codigo) {
+        return this.ProductosTerminados.find(p => p.CodigoProducto === String(codigo)) ?? null;
+    }
+
+    cliente(id) {
+        return this.Clientes.find(c => c.Identificador === Number(id)) ?? null;
+    }
+
+    proveedor(id) {
+        return id == null ? null : this.ProveedoresIngredientes.find(p => p.Identificador === Number(id)) ?? null;
+    }
+
+    // ISNULL(SUM(InventarioMovimientos.Cantidad), 0) de un lote de inventario
+    existenciaLote(id) {
+        return round3(this.InventarioMovimientos.filter(m => m.LoteInventarioID === Number(id)).reduce((a, m) => a + Number(m.Cantidad), 0));
+    }
+
+    usuario(username) {
+        return this.Usuarios.find(u => u.Username === String(username)) ?? null;
+    }
+
+    // ProgramacionProduccion a LEFT JOIN _Control b → { a, b } | null
+    lote(consecutivo) {
+        const a = this.ProgramacionProduccion.find(l => l.Consecutivo === Number(consecutivo));
+        if (!a) return null;
+        return { a, b: this.ProgramacionProduccion_Control.find(c => c.Consecutivo === a.Consecutivo) ?? {} };
+    }
+
+    // Todas las filas de lotes unidas a su control
+    lotes() {
+        return this.ProgramacionProduccion.map(a => ({ a, b: this.ProgramacionProduccion_Control.find(c => c.Consecutivo === a.Consecutivo) ?? {} }));
+    }
+
+    detalleLote(consecutivo) {
+        return this.ProgramacionProduccion_Detalle
+            .filter(d => d.Consecutivo === Number(consecutivo))
+            .sort((x, y) => x.Secuencia - y.Secuencia);
+    }
+
+    // Siguiente ingrediente sin pesar, con las columnas de /lotesprogramados/detallelote
+    siguientePendiente(consecutivo) {
+        const l = this.lote(consecutivo);
+        const d = l && this.detalleLote(consecutivo).find(x => x.TiempoDePesado == null);
+        if (!d) return null;
+        return {
+            Consecutivo: l.a.Consecutivo,
+            ProductoTerminado: l.a.Producto,
+            LotePT: l.a.ID_Lot,
+            Ingrediente: d.Ingrediente,
+            NombreIngrediente: this.nombreIngrediente(d.Ingrediente),
+            PesoProgramado: d.PesoProgramado,
+            Porcentaje: d.Porcentaje,
+            Secuencia: d.Secuencia,
+            DescripcionPT: this.producto(l.a.Producto)?.Descripcion ?? null,
+        };
+    }
+
+    // Tolerancias del ingrediente y de su categoría (entradas de resolveTolerance)
+    tolerancias(clave) {
+        const i = this.ingrediente(clave);
+        const ti = i && this.ToleranciasIngredientes.find(t => t.Ingrediente === i.Identificador);
+        const tc = i && this.ToleranciasCategorias.find(t => t.CategoriaID === i.CategoriaID);
+        return [{ Tipo: ti?.Tipo, Valor: ti?.Valor }, { Tipo: tc?.Tipo, Valor: tc?.Valor }];
+    }
+
+    // -------------------- Versiones de fórmula --------------------
+    // Igual que insertFormulaVersion de server.js → número de versión
+    insertFormulaVersion(codigo, ingredientes, { estado, nota, autor }) {
+        const version = this.FormulasVersiones
+            .filter(v => v.CodigoProducto === codigo)
+            .reduce((m, v) => Math.max(m, v.Version), 0) + 1;
+        const id = this.nextId('FormulasVersiones');
+        const ahora = new Date();
+        this.FormulasVersiones.push({
+            Identificador: id, CodigoProducto: codigo, Version: version, Estado: estado, NotaCambio: nota ?? null, Autor: autor,
+            FechaCreacion: ahora, UsuarioAprobo: null, FechaAprobacion: null,
+            UsuarioActivo: estado === 'activa' ? autor : null, FechaActivacion: estado === 'activa' ? ahora : null,
+        });
+        ingredientes.forEach((ing, i) => {
+            this.FormulasVersiones_Detalle.push({
+                VersionID: id, NumIngrediente: ing.NumIngrediente ?? i + 1, Ingrediente: String(ing.Clave),
+                Porcentaje: Number(ing.Porcentaje), Comentario: ing.Comentario ?? null,
+            });
+        });
+        return version;
+    }
+
+    formulaVersion(codigo, version) {
+        return this.FormulasVersiones.find(v => v.CodigoProducto === String(codigo) && v.Version === Number(version)) ?? null;
+    }
+
+    // Igual que formulaVersionLines → [{ NumIngrediente, Clave, Nombre, Porcentaje, Comentario }]
+    formulaVersionLines(codigo, version) {
+        const v = this.formulaVersion(codigo, version);
+        if (!v) return [];
+        return this.FormulasVersiones_Detalle
+            .filter(d => d.VersionID === v.Identificador)
+            .sort((a, b) => a.NumIngrediente - b.NumIngrediente)
+            .map(d => ({
+                NumIngrediente: d.NumIngrediente, Clave: d.Ingrediente, Nombre: this.ingrediente(d.Ingrediente)?.Ingrediente ?? null,
+                Porcentaje: Number(d.Porcentaje).toFixed(5), Comentario: d.Comentario ?? '',
+            }));
+    }
+
+    // Retira la activa, activa la indicada y la copia a ProductosTerminados_Detalle
+    activateFormulaVersion(codigo, version, usuario) {
+        const v = this.formulaVersion(codigo, version);
+        for (const x of this.FormulasVersiones) if (x.CodigoProducto === codigo && x.Estado === 'activa') x.Estado = 'retirada';
+        Object.assign(v, { Estado: 'activa', UsuarioActivo: usuario, FechaActivacion: new Date() });
+        this.ProductosTerminados_Detalle = this.ProductosTerminados_Detalle.filter(d => d.CodigoProducto !== codigo);
+        for (const d of this.FormulasVersiones_Detalle.filter(x => x.VersionID === v.Identificador)) {
+            this.ProductosTerminados_Detalle.push({ CodigoProducto: codigo, NumIngrediente: d.NumIngrediente, Ingrediente: d.Ingrediente, Porcentaje: d.Porcentaje, Comentario: d.Comentario });
+        }
+    }
+
+    // -------------------- SP_ProgramarLotesProduccion --------------------
+    // Crea CantidadLotes lotes (ProgramacionProduccion + _Control) y expande la receta de
+    // ProductosTerminados_Detalle en _Detalle: Secuencia = NumIngrediente, Porcentaje como
+    // fracción y PesoProgramado = PesoPorLote × fracción. Sella la versión activa.
+    // → [{ Consecutivo, Lote, LineadeMezclado, FechaProgramada, VersionFormula }]
+    programarLotes({ CodigoProducto, FechaProgramada, UsuarioProgramo, CantidadLotes, PesoPorLote, IdUnidadMedida = null, LineadeMezclado = 1, LimpiezaPrevia = false }) {
+        const codigo = String(CodigoProducto);
+        const pt = this.producto(codigo);
+        const receta = this.ProductosTerminados_Detalle
+            .filter(d => d.CodigoProducto === codigo)
+            .sort((a, b) => a.NumIngrediente - b.NumIngrediente);
+        if (!pt || !pt.Activo || !receta.length) {
+            throw new Error(`SP_ProgramarLotesProduccion: el producto ${codigo} no existe, está inactivo o no tiene fórmula`);
+        }
+        const version = this.FormulasVersiones.find(v => v.CodigoProducto === codigo && v.Estado === 'activa')?.Version ?? null;
+        const peso = Number(PesoPorLote);
+        const fecha = new Date(FechaProgramada);
+
+        const lotes = [];
+        for (let n = 0; n < parseInt(CantidadLotes, 10); n++) {
+            const Consecutivo = this.nextId('ProgramacionProduccion', 'Consecutivo', PRIMER_CONSECUTIVO);
+            const ID_Lot = `LOT-${Consecutivo}`;
+            this.ProgramacionProduccion.push({
+                Consecutivo, ID_Lot, Producto: codigo, PesoLote: peso, Cancelado: 0, VersionFormula: version,
+                UsuarioProgramo: String(UsuarioProgramo), IdUnidadMedida,
+            });
+            this.ProgramacionProduccion_Control.push({
+                Consecutivo, LineadeMezclado, FechaProgramada: fecha, ProduccionInicio: null, ProduccionFinal: null, LoteCompletado: 0,
+                LimpiezaPrevia: LimpiezaPrevia && n === 0 ? 1 : null,
+            });
+            for (const r of receta) {
+                const fraccion = Number(r.Porcentaje) / 100;
+                this.ProgramacionProduccion_Detalle.push({
+                    Consecutivo, ProductoTerminado: codigo, Secuencia: r.NumIngrediente, Ingrediente: String(r.Ingrediente),
+                    Porcentaje: Math.round(fraccion * 100000) / 100000, PesoProgramado: round3(peso * fraccion),
+                    TaraReal: null, PesoReal: null, TiempoDePesado: null, EtiquetaLeida: null, FotoEscaneo: null,
+                    FotoHash: null, FotoMime: null, FotoTamano: null, FotoPurgada: null,
+                    DesviacionPeso: null, OverrideSupervisor: null, OverrideMotivo: null, OverrideFecha: null,
+                    LoteProveedor: null, ProveedorID: null, UsuarioPesado: null,
+                });
+            }
+            lotes.push({ Consecutivo, Lote: ID_Lot, LineadeMezclado, FechaProgramada: fecha, VersionFormula: version });
+        }
+        return lotes;
+    }
+
+    // -------------------- Cancelación --------------------
+    // Igual que cancelLots: cancela los lotes que cumplan `filtro({ a, b })` y no estén cancelados
+    // → { rows: [{ Consecutivo, LineadeMezclado, FechaProgramada }], rowsAffected: [n] }
+    cancelLots(filtro, { motivo, comentario, usuario, origen }) {
+        const rows = [];
+        for (const l of this.lotes()) {
+            if (l.a.Cancelado || !filtro(l)) continue;
+            l.a.Cancelado = 1;
+            this.CancelacionesLotes.push({
+                Consecutivo: l.a.Consecutivo, Motivo: motivo, Comentario: comentario, Usuario: usuario, Fecha: new Date(), Origen: origen,
+                FechaRestauracion: null, UsuarioRestauro: null, ComentarioRestauracion: null,
+            });
+            rows.push({ Consecutivo: l.a.Consecutivo, LineadeMezclado: l.b.LineadeMezclado ?? null, FechaProgramada: l.b.FechaProgramada ?? null });
+        }
+        return { rows, rowsAffected: [rows.length] };
+    }
+}
+
+export const mockDb = new MockStore(loadFixtures());
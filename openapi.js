@@ -0,0 +1,1176 @@
+// openapi.js — contrato OpenAPI 3.1 de la API y validación contra él
+// ------------------------------------------------------------------
+// `spec` describe cada ruta de server.js; se sirve en GET /openapi.json (UI en /docs).
+// validateContract(): valida params/query/body de la operación que coincida y, fuera de
+//   producción, también las respuestas JSON (OPENAPI_VALIDAR_RESPUESTAS=false lo apaga;
+//   OPENAPI_RESPUESTAS_ESTRICTAS=true convierte una respuesta fuera de contrato en 500).
+// errorEnvelope(): toda respuesta >= 400 sale como { error, mensaje, campos?, detalle?, ... }.
+// Al agregar una ruta en server.js, agréguela también en `paths`.
+
+import Ajv from 'ajv/dist/2020.js';
+import { STATUS_CODES } from 'http';
+
+const VALIDAR_RESPUESTAS = process.env.NODE_ENV !== 'production' && process.env.OPENAPI_VALIDAR_RESPUESTAS !== 'false';
+const RESPUESTAS_ESTRICTAS = String(process.env.OPENAPI_RESPUESTAS_ESTRICTAS) === 'true';
+
+// -------------------- Constructores de esquemas --------------------
+const ref = (nombre) => ({ $ref: `#/components/schemas/${nombre}` });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const bool = { type: 'boolean' };
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const obj = (properties, required = [], extra = {}) => ({ type: 'object', properties, required, ...extra });
+const nul = (s) => (s.$ref ? { anyOf: [s, { type: 'null' }] } : { ...s, type: [].concat(s.type, 'null') });
+
+const Numero = { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$', description: 'Número o texto numérico' };
+const Entero = { type: ['integer', 'string'], pattern: '^\\d+$', description: 'Entero (BIGINT llega como texto desde SQL)' };
+const Clave = { type: ['string', 'integer'], description: 'Clave (Identificador) del ingrediente' };
+const Fecha = str({ pattern: '^\\d{4}-\\d{2}-\\d{2}', description: 'YYYY-MM-DD o fecha ISO' });
+const FechaHora = str({ description: 'Fecha ISO 8601' });
+const Mock = { mock: bool };
+const GrupoAnalitica = { Clave: { type: ['string', 'integer', 'null'] }, Nombre: nul(str()) };
+const UnidadPeso = str({ minLength: 1, maxLength: 10, description: 'Abreviatura (kg, g, lb…) o Identificador de UnidadesDeMedida; por defecto kg' });
+
+// -------------------- Componentes --------------------
+const schemas = {
+    Error: obj({
+        error: str({ description: 'Código estable (snake_case)' }),
+        mensaje: str({ description: 'Texto para el usuario' }),
+        campos: arr(obj({ campo: str(), mensaje: str() }, ['campo', 'mensaje']), { description: 'Errores por campo (validación)' }),
+        detalle: {},
+    }, ['error', 'mensaje']),
+    Mensaje: obj({ mensaje: str(), ...Mock }, ['mensaje']),
+    Ok: obj({ ok: bool, ...Mock }, ['ok']),
+    Tolerancia: obj({ Tipo: str({ enum: ['abs', 'pct'] }), Valor: num(), Origen: str({ enum: ['ingrediente', 'categoria', 'global'] }) }, ['Tipo', 'Valor']),
+    ToleranciaEntrada: obj({ Tipo: str({ enum: ['abs', 'pct'] }), Valor: Numero }, ['Tipo', 'Valor']),
+    Desviacion: obj({
+        dentro: bool, programado: num(), real: num(), diferencia: num(), porcentaje: nul(num()),
+        minimo: num(), maximo: num(), tolerancia: ref('Tolerancia'),
+    }, ['dentro', 'programado', 'real', 'diferencia']),
+    Etiqueta: obj({ formato: str({ enum: ['plain', 'gs1'] }), codigo: str(), gtin: str(), lote: str(), caducidad: str(), pesoNeto: num() }, ['formato']),
+    Lectura: obj({
+        basculaId: { type: ['integer', 'string'] }, peso: num(), unidad: str(), estable: bool,
+        neto: bool, tara: num(), ts: FechaHora,
+    }, ['basculaId', 'peso', 'unidad', 'estable', 'ts']),
+    BasculaEntrada: obj({
+        Nombre: str({ minLength: 1 }), LineadeMezclado: int(), Protocolo: str({ enum: ['mt-sics', 'continuo', 'simulador'] }),
+        Transporte: str({ enum: ['tcp', 'serial', 'simulador'] }), Host: nul(str()), Puerto: nul(int()), RutaSerial: nul(str()),
+        Baudios: nul(int()), Unidad: str({ maxLength: 5 }), Resolucion: num({ exclusiveMinimum: 0 }), Activo: bool,
+    }, ['Nombre', 'LineadeMezclado', 'Protocolo', 'Transporte']),
+    BasculaEstado: obj({
+        Id: int(), Nombre: str(), LineadeMezclado: int(), Protocolo: str(), Transporte: str(), Resolucion: num(),
+        conectada: bool, error: nul(str()), lectura: nul(ref('Lectura')),
+    }, ['Id', 'conectada']),
+    LoteProgramado: obj({
+        Consecutivo: Entero, Lote: nul(str()), LineadeMezclado: nul(int()), FechaProgramada: nul(FechaHora), VersionFormula: nul(int()),
+    }, ['Consecutivo']),
+    LoteLista: obj({
+        Consecutivo: Entero, Lote: nul(str()), Producto: nul(str()), PesoLote: nul(num()), Unidad: str({ description: 'Unidad de PesoLote' }),
+        LineadeMezclado: nul(int()), FechaProgramada: nul(FechaHora), VersionFormula: nul(int()),
+        Estacion: nul(str()), Operador: nul(str()), BloqueoExpira: nul(FechaHora),
+    }, ['Consecutivo']),
+    LineaMezclado: obj({
+        Identificador: int(), Nombre: str(), Capacidad: nul(num({ description: 'Por turno; null = sin límite' })),
+        UnidadCapacidad: str({ enum: ['kg', 'lotes'] }), TurnosPorDia: int(), Activo: bool,
+    }, ['Identificador', 'Nombre', 'UnidadCapacidad', 'TurnosPorDia', 'Activo']),
+    LineaEntrada: obj({
+        Nombre: str({ minLength: 1, maxLength: 100 }), Capacidad: nul(Numero), UnidadCapacidad: str({ enum: ['kg', 'lotes'] }),
+        TurnosPorDia: int({ minimum: 1, maximum: 4 }), Activo: { type: ['boolean', 'integer'] },
+    }, ['Nombre']),
+    CargaLinea: obj({
+        LineadeMezclado: int(), Nombre: nul(str()), Fecha: str(), Lotes: int(), Kg: num(),
+        Capacidad: nul(num()), UnidadCapacidad: nul(str()), TurnosPorDia: nul(int()),
+        CapacidadDia: nul(num()), Ocupacion: nul(num({ description: 'Porcentaje de CapacidadDia' })), Excedido: bool,
+    }, ['LineadeMezclado', 'Fecha', 'Lotes', 'Kg', 'Excedido']),
+    Catalogo: obj({ Id: int(), Nombre: str(), Activo: bool }, ['Id', 'Nombre', 'Activo']),
+    CatalogoEntrada: obj({ Nombre: str({ minLength: 1, maxLength: 100 }), Activo: { type: ['boolean', 'integer'], enum: [true, false, 0, 1], description: 'Sólo al registrar; default true' } }, ['Nombre']),
+    UnidadMedida: obj({
+        Id: int(), Nombre: str(), Abreviatura: str(),
+        FactorKg: nul(num({ description: 'kg que equivalen a 1 unidad; null = no convertible' })), Decimales: nul(int()), Activo: bool,
+    }, ['Id', 'Nombre', 'Abreviatura', 'Activo']),
+    UnidadMedidaEntrada: obj({
+        Nombre: str({ minLength: 1, maxLength: 100 }), Abreviatura: str({ minLength: 1, maxLength: 10 }),
+        FactorKg: { ...Numero, description: 'kg que equivalen a 1 unidad (> 0; kg = 1). No cambia si ya hay lotes en la unidad' },
+        Decimales: int({ minimum: 0, maximum: 6, description: 'Default 3' }),
+        Activo: { type: ['boolean', 'integer'], enum: [true, false, 0, 1], description: 'Sólo al registrar; default true' },
+    }, ['Nombre', 'Abreviatura', 'FactorKg']),
+    ReferenciaCatalogo: obj({
+        Tabla: str(), Clave: str({ description: 'CodigoProducto, Identificador o Consecutivo' }), Nombre: nul(str()), Detalle: nul(str()),
+    }, ['Tabla', 'Clave']),
+    Etiquetas: obj({
+        Alergenos: arr(str(), { description: 'Códigos de GET /api/Ingredientes/alergenos' }),
+        Atributos: arr(str({ pattern: '^[a-z0-9][a-z0-9_-]{1,29}$' }), { description: 'Libres: organico, kosher, vegano…' }),
+    }, ['Alergenos', 'Atributos']),
+    CambioAlergenos: obj({
+        Alergenos: arr(str(), { description: 'Del lote anterior que el siguiente no declara' }),
+        Atributos: arr(str(), { description: 'Del siguiente que el anterior no cumple' }),
+    }, ['Alergenos', 'Atributos']),
+    AdvertenciaAlergenos: obj({
+        LineadeMezclado: int(), Fecha: str(),
+        Anterior: obj({ Consecutivo: nul(int()), Lote: nul(str()), Producto: nul(str()) }),
+        Siguiente: obj({ Consecutivo: nul(int({ description: 'null = lote aún no programado' })), Lote: nul(str()), Producto: nul(str()) }),
+        Alergenos: arr(str()), Atributos: arr(str()),
+    }, ['LineadeMezclado', 'Fecha', 'Anterior', 'Siguiente', 'Alergenos', 'Atributos']),
+    LoteSecuencia: obj({
+        Consecutivo: int(), Lote: nul(str()), Producto: nul(str()), Alergenos: arr(str()), Atributos: arr(str()),
+        LimpiezaPrevia: bool, Fijo: { ...bool, description: 'Iniciado o completado: no se reordena' },
+        Cambio: nul(ref('CambioAlergenos')),
+    }, ['Consecutivo', 'Alergenos', 'Atributos', 'LimpiezaPrevia', 'Fijo', 'Cambio']),
+    Bloqueo: obj({
+        Consecutivo: int(), Estacion: str(), Usuario: str(), Desde: FechaHora, Expira: FechaHora, UltimoLatido: FechaHora,
+        Vigente: { ...bool, description: 'false = vencido; otra estación puede reclamarlo' },
+    }, ['Consecutivo', 'Estacion', 'Usuario', 'Expira', 'Vigente']),
+    IngredientePendiente: obj({
+        Consecutivo: Entero, ProductoTerminado: nul(str()), LotePT: nul(str()), Ingrediente: nul(str()),
+        NombreIngrediente: nul(str()), PesoProgramado: nul(num()), Unidad: str({ description: 'Unidad de PesoProgramado (en next: la de la respuesta)' }),
+        Porcentaje: nul(num()), Secuencia: nul(int()), DescripcionPT: nul(str()),
+        Parciales: int({ description: 'Contenedores vigentes de la línea (detallelote)' }),
+        PesoAcumulado: num({ description: 'Suma de esos contenedores, en Unidad (detallelote)' }),
+    }, ['Consecutivo']),
+    PesoRegistrado: obj({
+        ok: bool, mensaje: str(), remaining: int(), completed: bool,
+        Unidad: str({ description: 'Unidad de todos los pesos de la respuesta (next, desviacion, consumo)' }), next: nul(ref('IngredientePendiente')),
+        ingrediente: ref('AvanceIngrediente'),
+        desviacion: ref('Desviacion'), etiqueta: nul(ref('Etiqueta')), loteProveedor: nul(str()), lectura: nul(ref('Lectura')),
+        consumo: arr(obj({ LoteInventarioId: int(), LoteProveedor: nul(str()), Cantidad: num() })),
+        override: nul(obj({ Supervisor: str(), Motivo: str() })), ...Mock,
+    }, ['ok', 'remaining', 'completed', 'next']),
+    AvanceIngrediente: obj({
+        Secuencia: int(), Parcial: nul(int({ description: 'Número del contenedor registrado; null en un pesado de un solo contenedor' })),
+        Parciales: int(), cerrado: bool, PesoProgramado: num(), Acumulado: num({ description: 'Suma de los contenedores vigentes' }),
+        Pendiente: num({ description: 'Lo que falta para PesoProgramado (0 con la línea cerrada)' }), Minimo: num(), Maximo: num(),
+    }, ['Secuencia', 'Parciales', 'cerrado', 'PesoProgramado', 'Acumulado', 'Pendiente']),
+    PesadoParcial: obj({
+        Consecutivo: int(), Secuencia: int(), Parcial: int(), TaraReal: num(), PesoReal: num(), EtiquetaLeida: nul(str()),
+        LoteProveedor: nul(str()), ProveedorID: nul(int()), FotoHash: nul(str()), FotoPurgada: nul(FechaHora),
+        UsuarioPesado: str(), TiempoDePesado: FechaHora, Anulado: nul({ ...FechaHora, description: 'Contenedor anulado por reabrir/corregir' }),
+    }, ['Consecutivo', 'Secuencia', 'Parcial', 'TaraReal', 'PesoReal', 'UsuarioPesado', 'TiempoDePesado']),
+    CorreccionPesado: obj({
+        Identificador: int(), Consecutivo: int(), Secuencia: int(), Accion: str({ enum: ['reabrir', 'corregir'] }),
+        TaraAnterior: nul(num()), PesoAnterior: nul(num()), EtiquetaAnterior: nul(str()), TiempoDePesadoAnterior: nul(FechaHora),
+        UsuarioPesadoAnterior: nul(str()), LoteProveedorAnterior: nul(str()), FotoHashAnterior: nul(str()),
+        TaraNueva: nul(num()), PesoNuevo: nul(num()), EtiquetaNueva: nul(str()),
+        Motivo: str(), Supervisor: str(), Usuario: str(), LoteReabierto: bool, Fecha: FechaHora,
+    }, ['Identificador', 'Consecutivo', 'Secuencia', 'Accion', 'Motivo', 'Supervisor', 'Usuario', 'LoteReabierto', 'Fecha']),
+    PesoDuplicado: obj({
+        ok: bool, duplicado: { const: true }, mensaje: str(),
+        registro: obj({ Consecutivo: int(), Secuencia: int(), Usuario: str(), FechaCaptura: nul(FechaHora), Fecha: FechaHora }, ['Consecutivo', 'Secuencia']),
+        respuesta: nul(ref('PesoRegistrado')),
+    }, ['ok', 'duplicado', 'registro']),
+    LineaFormula: obj({
+        Clave,
+        Porcentaje: { type: ['number', 'string'], description: 'Porcentaje (se valida en validateFormula)' },
+        Comentario: nul(str()),
+        NumIngrediente: int(),
+    }, ['Clave', 'Porcentaje']),
+    ValidacionFormula: obj({
+        valido: bool, suma: num(), tolerancia: num(),
+        errores: arr(obj({ linea: nul(int()), Clave: nul(str()), error: str(), mensaje: str() }, ['linea', 'Clave', 'error', 'mensaje'])),
+    }, ['valido', 'suma', 'tolerancia', 'errores']),
+    LineaVersion: obj({ NumIngrediente: int(), Clave: str(), Nombre: nul(str()), Porcentaje: str(), Comentario: str() }, ['Clave', 'Porcentaje']),
+    VersionFormula: obj({
+        Version: int(), Estado: str({ enum: ['borrador', 'aprobada', 'activa', 'retirada'] }), NotaCambio: nul(str()), Autor: str(),
+        FechaCreacion: FechaHora, UsuarioAprobo: nul(str()), FechaAprobacion: nul(FechaHora), UsuarioActivo: nul(str()), FechaActivacion: nul(FechaHora),
+    }, ['Version', 'Estado', 'Autor']),
+    DiffVersion: obj({
+        Clave: str(), Nombre: nul(str()), cambio: str({ enum: ['agregado', 'eliminado', 'modificado', 'igual'] }),
+        PorcentajeAnterior: nul(num()), PorcentajeNuevo: nul(num()), Delta: nul(num()),
+        ComentarioAnterior: nul(str()), ComentarioNuevo: nul(str()), OrdenAnterior: nul(int()), OrdenNuevo: nul(int()),
+    }, ['Clave', 'cambio']),
+    IngredienteLista: obj({ Id: int(), Nombre: str(), Activo: int(), Categoria: str(), Descripcion: str() }, ['Id', 'Nombre']),
+    ProductoLista: obj({
+        CodigoProducto: str(), Descripcion: nul(str()), NombreCliente: nul(str()), Cliente: nul(str()),
+        ClienteId: nul(int()), FechaCreacion: nul(FechaHora), Activo: { type: ['integer', 'boolean'] },
+    }, ['CodigoProducto']),
+    Tokens: obj({ accessToken: str(), refreshToken: str(), tokenType: str(), expiresIn: int() }, ['accessToken', 'refreshToken']),
+    Auditoria: obj({
+        id: { type: ['integer', 'string'] }, Fecha: FechaHora, Usuario: nul(str()), Rol: nul(str()), Metodo: str(), Ruta: str(),
+        Estado: int(), Entidad: nul(str()), EntidadId: nul(str()), Antes: {}, Despues: {}, Ip: nul(str()),
+    }, ['Fecha', 'Metodo', 'Ruta', 'Estado']),
+    MovimientoInventario: obj({
+        Identificador: int(), LoteInventarioId: nul(int()), Ingrediente: int(), Tipo: str(), Cantidad: num(), Fecha: FechaHora,
+        Usuario: nul(str()), Referencia: nul(str()), Comentario: nul(str()), Consecutivo: nul(Entero), Secuencia: nul(int()),
+    }, ['Identificador', 'Tipo', 'Cantidad']),
+    LoteInventario: obj({
+        LoteInventarioId: int(), Ingrediente: int(), Nombre: nul(str()), ProveedorId: nul(int()), Proveedor: nul(str()),
+        LoteProveedor: str(), Caducidad: nul(str()), FechaRecepcion: FechaHora, Existencia: num(),
+    }, ['LoteInventarioId', 'Existencia']),
+    // Indicadores (analytics.js): Clave = Producto | Ingrediente | LineadeMezclado | UsuarioPesado; el total no la trae
+    VariacionPeso: obj({
+        ...GrupoAnalitica, Pesados: int(), ProgramadoKg: num(), RealKg: num(), VariacionKg: num(), VariacionPct: nul(num()),
+        RegaloKg: num({ description: 'Kg pesados de más (give-away)' }), RegaloPct: nul(num()),
+        FaltanteKg: num({ description: 'Kg pesados de menos' }), FaltantePct: nul(num()), DesviacionAbsMediaPct: nul(num()),
+    }, ['Pesados', 'ProgramadoKg', 'RealKg', 'VariacionKg', 'RegaloKg', 'FaltanteKg']),
+    EstadisticaTiempo: obj({ Muestras: int(), PromedioMin: num(), MedianaMin: num(), P90Min: num(), MaxMin: num() },
+        ['Muestras', 'PromedioMin', 'MedianaMin', 'P90Min', 'MaxMin']),
+    TiemposProduccion: obj({
+        ...GrupoAnalitica, Lotes: int(), Pesados: int(), KgPesados: num(),
+        CicloLote: nul(ref('EstadisticaTiempo')), EntrePesados: nul(ref('EstadisticaTiempo')),
+        HorasActivas: num(), PesadosPorHora: nul(num()), KgPorHora: nul(num()),
+    }, ['Lotes', 'Pesados', 'KgPesados', 'HorasActivas']),
+    CumplimientoProgramado: obj({
+        ...GrupoAnalitica, Programados: int(), Completados: int(), EnProceso: int(), Pendientes: int(), Cancelados: int(),
+        Atrasados: int({ description: 'Completados después del día programado o abiertos con el día ya pasado' }),
+        CompletadosATiempo: int(), CumplimientoPct: nul(num()), AtrasoPromedioDias: nul(num()),
+    }, ['Programados', 'Completados', 'EnProceso', 'Pendientes', 'Cancelados', 'Atrasados', 'CompletadosATiempo']),
+};
+
+// Listado con paginación opcional (listing.js): arreglo (clientes anteriores) o sobre con total
+const listado = (item) => ({
+    anyOf: [
+        arr(item),
+        obj({ datos: arr(item), pagina: int(), tamano: int(), total: int(), paginas: int(), orden: str(), q: nul(str()) },
+            ['datos', 'pagina', 'tamano', 'total', 'paginas']),
+    ],
+});
+
+// -------------------- Parámetros comunes --------------------
+const q = (name, schema, extra = {}) => ({ name, in: 'query', schema, ...extra });
+const p = (name, schema = str()) => ({ name, in: 'path', required: true, schema });
+const listadoParams = (campos) => [
+    q('pagina', int({ minimum: 1 }), { description: 'Con pagina/tamano la respuesta es el sobre paginado' }),
+    q('tamano', int({ minimum: 1 })),
+    q('orden', str(), { description: `Campos separados por coma; "-" = descendente. Permitidos: ${campos}` }),
+    q('q', str({ maxLength: 100 }), { description: 'Búsqueda de texto' }),
+];
+
+// -------------------- Constructor de operaciones --------------------
+const json = (schema) => ({ 'application/json': { schema } });
+const err = (description) => ({ description, content: json(ref('Error')) });
+
+// op({ tag, summary, roles, params, body, ok, status, extra }) — roles: null = público
+function op({ tag, summary, roles = [], params = [], body, bodyRequired = true, ok, status = 200, respuestas = {}, content }) {
+    const o = { tags: [tag], summary };
+    if (roles !== null) {
+        o.security = [{ bearer: [] }];
+        o['x-roles'] = roles.length ? roles : ['(cualquier usuario autenticado)'];
+    } else {
+        o.security = [];
+    }
+    if (params.length) o.parameters = params;
+    if (body) o.requestBody = { required: bodyRequired, content: json(body) };
+    o.responses = {
+        [status]: { description: 'OK', content: content ?? json(ok) },
+        ...(body || params.length ? { 400: err('Solicitud inválida') } : {}),
+        ...(roles !== null ? { 401: err('Token inválido o expirado'), 403: err('Rol sin permiso') } : {}),
+        503: err('DB_BACKEND=mssql sin conexión a SQL Server (db_unavailable)'),
+        ...respuestas,
+    };
+    return o;
+}
+
+const LECTURA = ['operator', 'planner', 'quality'];
+
+// Reportes de /api/Analitica: rango de FechaProgramada (máx. 366 días) y agrupación
+const analiticaParams = (agrupaciones) => [
+    q('inicio', Fecha, { required: true }), q('fin', Fecha, { required: true }),
+    q('agrupar', str({ enum: agrupaciones }), { description: 'Default producto' }),
+];
+const reporteAnalitica = (item, extra = {}) => obj({ inicio: str(), fin: str(), agrupar: str(), ...extra, total: item, grupos: arr(item) },
+    ['inicio', 'fin', 'agrupar', 'total', 'grupos']);
+const ESCRITURA_CATALOGO = ['planner', 'quality'];
+
+// Catálogos maestros (ver CATALOGOS MAESTROS en server.js): las mismas cinco rutas bajo cada base
+function catalogoPaths(base, { tag, nombre, item = ref('Catalogo'), entrada = ref('CatalogoEntrada'), conflicto = 'Nombre duplicado', referencias }) {
+    const id = [p('id', int({ minimum: 1 }))];
+    const noEncontrado = { 404: err('No existe ese id') };
+    return {
+        [`${base}/listado`]: {
+            get: op({ tag, summary: `${nombre}: todos, activos o inactivos`, roles: LECTURA, params: [q('estado', str({ enum: ['activo', 'inactivo'] }))], ok: arr(item) }),
+        },
+        [`${base}/nuevo`]: {
+            post: op({
+                tag, summary: `Registra ${nombre.toLowerCase()}`, roles: ESCRITURA_CATALOGO, status: 201, body: entrada,
+                ok: obj({ mensaje: str(), id: int() }, ['mensaje', 'id']), respuestas: { 409: err(conflicto) },
+            }),
+        },
+        [`${base}/actualizar/{id}`]: {
+            put: op({
+                tag, summary: `Actualiza ${nombre.toLowerCase()} (Activo sólo con activar/desactivar)`, roles: ESCRITURA_CATALOGO, params: id, body: entrada,
+                ok: ref('Mensaje'), respuestas: { ...noEncontrado, 409: err(conflicto) },
+            }),
+        },
+        [`${base}/{id}/activar`]: {
+            post: op({ tag, summary: `Activa ${nombre.toLowerCase()}`, roles: ESCRITURA_CATALOGO, params: id, ok: ref('Mensaje'), respuestas: noEncontrado }),
+        },
+        [`${base}/{id}/desactivar`]: {
+            post: op({
+                tag, summary: `Desactiva ${nombre.toLowerCase()} si ya no lo usan ${referencias}`, roles: ESCRITURA_CATALOGO, params: id, ok: ref('Mensaje'),
+                respuestas: {
+                    ...noEncontrado,
+                    409: { description: `En uso (in_use): ${referencias}`, content: json({ allOf: [ref('Error'), obj({ referencias: arr(ref('ReferenciaCatalogo')) })] }) },
+                },
+            }),
+        },
+    };
+}
+const SSE = { 'text/event-stream': { schema: str() } };
+
+// Campos de un pesado (/peso y cada elemento de /peso/sincronizar)
+const CLAVE_MAX = 100;
+const Pesado = {
+    Consecutivo: Entero, ProductoTerminado: str({ minLength: 1 }), Secuencia: Entero, Ingrediente: { type: ['string', 'integer'] },
+    Tara: Numero, Peso: Numero, Etiqueta: nul(str()),
+    FotoBase64: nul(str({ description: 'JPEG o PNG en base64 (con o sin prefijo data:); hasta FOTO_MAX_BYTES (2 MB)' })),
+    Override: obj({ Username: str(), Password: str(), Motivo: str() }, ['Username', 'Password', 'Motivo']),
+    LoteProveedor: nul(str({ maxLength: 50 })), ProveedorId: nul(Entero), CapturarBascula: bool, BasculaId: nul(Entero),
+    Estacion: str({ minLength: 1, maxLength: 50, description: 'Estación que tiene el bloqueo del lote (POST /estaciones/reclamar)' }),
+    ClaveIdempotencia: nul(str({ minLength: 1, maxLength: CLAVE_MAX, description: 'Generada por la tableta; un reintento con la misma clave no se vuelve a aplicar' })),
+    FechaCaptura: nul({ ...FechaHora, description: 'Hora del pesado en la tableta (cola fuera de línea)' }),
+    Unidad: nul({ ...UnidadPeso, description: 'Unidad de Tara/Peso y de la respuesta; por defecto kg (la lectura de báscula siempre es kg)' }),
+    Parcial: bool,
+};
+
+// /peso en multipart/form-data: archivo Foto y los campos de Pesado como texto, o todo el pesado en "datos" (JSON)
+const PesadoMultipart = obj({
+    ...Pesado,
+    Override: str({ description: 'JSON { Username, Password, Motivo }' }),
+    CapturarBascula: str({ enum: ['true', 'false', '1', '0'] }),
+    Parcial: str({ enum: ['true', 'false', '1', '0'] }),
+    Foto: str({ contentEncoding: 'binary', description: 'image/jpeg o image/png; reemplaza a FotoBase64' }),
+    datos: str({ description: 'Pesado completo en JSON (alternativa a los campos sueltos)' }),
+});
+const multipart = (o, schema) => {
+    o.requestBody.content['multipart/form-data'] = { schema, encoding: { Foto: { contentType: 'image/jpeg, image/png' } } };
+    return o;
+};
+
+const Imagen = { schema: str({ contentEncoding: 'binary' }) };
+const FotoParams = [
+    p('consecutivo', int({ minimum: 1 })), p('secuencia', int({ minimum: 1 })),
+    q('parcial', int({ minimum: 1 }), { description: 'Contenedor de un pesado por partes; sin él, la foto de la línea' }),
+    { name: 'If-None-Match', in: 'header', schema: str(), description: 'ETag de una descarga anterior → 304' },
+];
+const FotoRespuestas = {
+    304: { description: 'Sin cambios desde la descarga con ese ETag' },
+    404: err('El lote no tiene esa secuencia (not_found) o el pesado no tiene foto (photo_not_found)'),
+    410: err('Foto depurada por retención (photo_purged; incluye FotoPurgada y FotoHash)'),
+};
+
+const BloqueoPedido = obj({ Consecutivo: Entero, Estacion: Pesado.Estacion }, ['Consecutivo', 'Estacion']);
+
+// -------------------- Rutas --------------------
+const paths = {
+    '/health': {
+        get: op({ tag: 'Sistema', summary: 'Estado del servicio, de la conexión a BD y backend de datos (DB_BACKEND)', roles: null, ok: obj({ ok: bool, dbConnected: bool, backend: str({ enum: ['mssql', 'sqlite', 'memoria'] }) }, ['ok', 'dbConnected', 'backend']) }),
+    },
+
+    // ---------- Sesión ----------
+    '/login': {
+        post: op({
+            tag: 'Sesion', summary: 'Inicia sesión (BCrypt) y emite tokens', roles: null,
+            body: { ...obj({ Username: str({ minLength: 1 }), Password: str({ minLength: 1 }), username: str(), password: str() }), anyOf: [{ required: ['Username', 'Password'] }, { required: ['username', 'password'] }] },
+            ok: { allOf: [ref('Tokens'), obj({ Nombre: nul(str()), Correo: nul(str()), PlanActivo: bool, Rol: str() }, ['Rol'])] },
+        }),
+    },
+    '/refresh': {
+        post: op({ tag: 'Sesion', summary: 'Rota el refresh token y emite un par nuevo', roles: null, body: obj({ refreshToken: str({ minLength: 1 }) }, ['refreshToken']), ok: ref('Tokens') }),
+    },
+    '/logout': {
+        post: op({ tag: 'Sesion', summary: 'Revoca el access token actual y el refresh indicado', body: obj({ refreshToken: str() }), bodyRequired: false, ok: ref('Ok') }),
+    },
+    '/me': {
+        get: op({ tag: 'Sesion', summary: 'Usuario autenticado', ok: obj({ Username: str(), Nombre: nul(str()), Correo: nul(str()), Rol: str(), expiraEn: FechaHora }, ['Username', 'Rol']) }),
+    },
+
+    // ---------- Clientes ----------
+    '/api/Clientes/activos': {
+        get: op({ tag: 'Clientes', summary: 'Clientes activos', roles: null, ok: arr(obj({ identificador: int(), cliente: str() }, ['identificador', 'cliente'])) }),
+    },
+    ...catalogoPaths('/api/Clientes', { tag: 'Clientes', nombre: 'Cliente', referencias: 'productos activos' }),
+
+    // ---------- Ingredientes ----------
+    '/api/Ingredientes/categorias': {
+        get: op({ tag: 'Ingredientes', summary: 'Categorías activas', roles: LECTURA, ok: arr(obj({ Id: int(), Nombre: str() }, ['Id', 'Nombre'])) }),
+    },
+    '/api/Ingredientes/proveedores': {
+        get: op({ tag: 'Ingredientes', summary: 'Proveedores activos', roles: LECTURA, ok: arr(obj({ Id: int(), Nombre: str() }, ['Id', 'Nombre'])) }),
+    },
+    ...catalogoPaths('/api/Ingredientes/categorias', { tag: 'Ingredientes', nombre: 'Categoría', referencias: 'ingredientes activos' }),
+    ...catalogoPaths('/api/Ingredientes/proveedores', { tag: 'Ingredientes', nombre: 'Proveedor', referencias: 'lotes de inventario con existencia (SQL Server)' }),
+    '/api/Ingredientes/listado': {
+        get: op({
+            tag: 'Ingredientes', summary: 'Listado con filtros, orden, búsqueda y paginación', roles: LECTURA,
+            params: [q('nombre', str()), q('categoriaId', int()), q('estado', str({ enum: ['activo', 'inactivo'] })), ...listadoParams('Id, Nombre, Activo, Categoria, Descripcion')],
+            ok: listado(ref('IngredienteLista')),
+        }),
+    },
+    '/api/Ingredientes/nuevo': {
+        post: op({
+            tag: 'Ingredientes', summary: 'Registra un ingrediente', roles: ESCRITURA_CATALOGO, status: 201,
+            body: obj({ Nombre: str({ minLength: 1 }), Descripcion: nul(str()), CategoriaId: Entero, Activo: { type: ['boolean', 'integer'] }, GTIN: nul(str({ pattern: '^\\d{8,14}$' })) }, ['Nombre', 'CategoriaId', 'Activo']),
+            ok: obj({ mensaje: str(), id: int() }, ['mensaje', 'id']),
+            respuestas: { 409: err('Nombre duplicado') },
+        }),
+    },
+    '/api/Ingredientes/actualizar/{id}': {
+        put: op({
+            tag: 'Ingredientes', summary: 'Actualiza un ingrediente (GTIN omitido se conserva)', roles: ESCRITURA_CATALOGO,
+            params: [p('id', int({ minimum: 1 }))],
+            body: obj({ Nombre: str({ minLength: 1 }), Descripcion: nul(str()), CategoriaId: Entero, Activo: { type: ['boolean', 'integer'] }, GTIN: nul(str({ pattern: '^(\\d{8,14})?$' })) }, ['Nombre', 'CategoriaId', 'Activo']),
+            ok: ref('Mensaje'),
+            respuestas: { 409: err('Nombre duplicado') },
+        }),
+    },
+    '/api/Ingredientes/activos': {
+        get: op({ tag: 'Ingredientes', summary: 'Ingredientes activos (para fórmulas)', roles: LECTURA, ok: arr(obj({ Clave: str(), Nombre: str(), Descripcion: str() }, ['Clave', 'Nombre'])) }),
+    },
+    '/api/Ingredientes/tolerancias': {
+        get: op({ tag: 'Ingredientes', summary: 'Tolerancia efectiva por ingrediente', roles: LECTURA, ok: arr({ allOf: [obj({ Id: int(), Nombre: str(), CategoriaId: nul(int()) }, ['Id']), ref('Tolerancia')] }) }),
+    },
+    '/api/Ingredientes/tolerancias/{id}': {
+        put: op({ tag: 'Ingredientes', summary: 'Tolerancia propia del ingrediente', roles: ESCRITURA_CATALOGO, params: [p('id', int({ minimum: 1 }))], body: ref('ToleranciaEntrada'), ok: ref('Mensaje') }),
+        delete: op({ tag: 'Ingredientes', summary: 'Quita la tolerancia propia (vuelve a la de categoría/global)', roles: ESCRITURA_CATALOGO, params: [p('id', int({ minimum: 1 }))], ok: ref('Mensaje') }),
+    },
+    '/api/Ingredientes/alergenos': {
+        get: op({ tag: 'Ingredientes', summary: 'Catálogo de alérgenos', roles: LECTURA, ok: arr(obj({ Codigo: str(), Nombre: str() }, ['Codigo', 'Nombre'])) }),
+    },
+    '/api/Ingredientes/{id}/etiquetas': {
+        get: op({
+            tag: 'Ingredientes', summary: 'Alérgenos y atributos del ingrediente', roles: LECTURA, params: [p('id', int({ minimum: 1 }))],
+            ok: { allOf: [obj({ Id: int() }, ['Id']), ref('Etiquetas')] }, respuestas: { 404: err('Ingrediente no encontrado') },
+        }),
+        put: op({
+            tag: 'Ingredientes', summary: 'Reemplaza los alérgenos y atributos del ingrediente', roles: ESCRITURA_CATALOGO, params: [p('id', int({ minimum: 1 }))],
+            body: obj({ Alergenos: arr(str()), Atributos: arr(str()) }),
+            ok: { allOf: [obj({ mensaje: str(), Id: int() }, ['mensaje', 'Id']), ref('Etiquetas')] }, respuestas: { 404: err('Ingrediente no encontrado') },
+        }),
+    },
+    '/api/Ingredientes/categorias/{id}/tolerancia': {
+        put: op({ tag: 'Ingredientes', summary: 'Tolerancia por defecto de la categoría', roles: ESCRITURA_CATALOGO, params: [p('id', int({ minimum: 1 }))], body: ref('ToleranciaEntrada'), ok: ref('Mensaje') }),
+    },
+
+    // ---------- Fórmulas ----------
+    '/api/Formulas/activas': {
+        get: op({ tag: 'Formulas', summary: 'Productos terminados activos (fórmulas programables)', roles: null, ok: arr(obj({ nombre: str() }, ['nombre'])) }),
+    },
+
+    // ---------- Lotes ----------
+    '/api/lotes/programar': {
+        post: op({
+            tag: 'Lotes', summary: 'Programa lotes (UsuarioProgramo = usuario del token)', roles: ['planner'], status: 201,
+            body: obj({ FormulaId: str({ minLength: 1 }), Fecha: Fecha, Cantidad: int({ minimum: 1 }), Peso: Numero, UsuarioProgramo: str({ description: 'Ignorado' }) }, ['FormulaId', 'Fecha', 'Cantidad', 'Peso']),
+            ok: obj({ mensaje: str(), lotes: arr(ref('LoteProgramado')) }, ['mensaje']),
+        }),
+    },
+    '/lotesprogramados': {
+        get: op({
+            tag: 'Lotes', summary: 'Lotes programados pendientes en un rango', roles: LECTURA,
+            params: [
+                q('inicio', Fecha, { required: true }), q('fin', Fecha, { required: true }), q('unidad', UnidadPeso),
+                ...listadoParams('Consecutivo, Lote, Producto, PesoLote, LineadeMezclado, FechaProgramada, VersionFormula'),
+            ],
+            ok: listado(ref('LoteLista')),
+            respuestas: { 409: err('Lote en una unidad sin factor de conversión') },
+        }),
+    },
+    '/unidadesdemedida/activas': {
+        get: op({
+            tag: 'Lotes', summary: 'Unidades de medida activas', roles: null,
+            ok: arr(obj({
+                Identificador: int(), UnidaddeMedida: str(), Abreviatura: str(),
+                FactorKg: nul(num({ description: 'kg que equivalen a 1 unidad; null = no convertible' })), Decimales: nul(int()),
+            }, ['Identificador'])),
+        }),
+    },
+    ...catalogoPaths('/unidadesdemedida', {
+        tag: 'Lotes', nombre: 'Unidad de medida', item: ref('UnidadMedida'), entrada: ref('UnidadMedidaEntrada'),
+        conflicto: 'Nombre o Abreviatura duplicados, o FactorKg distinto en una unidad con lotes o abreviatura de kg (unit_in_use)',
+        referencias: 'lotes pendientes (ni completados ni cancelados); kg nunca (unit_in_use)',
+    }),
+    '/lotesprogramados/programar': {
+        post: op({
+            tag: 'Lotes', summary: 'Programa lotes con unidad de medida', roles: ['planner'], status: 201,
+            body: {
+                ...obj({
+                    CodigoProducto: str({ minLength: 1 }), FechaProgramada: Fecha, CantidadLotes: int({ minimum: 1 }), PesoPorLote: Numero,
+                    UnidadMedidaId: Entero, IdUnidadMedida: Entero, UsuarioProgramo: str({ description: 'Ignorado' }),
+                    LineadeMezclado: nul(Entero), LimpiezaPrevia: { ...bool, description: 'Limpiar la línea antes del primer lote' },
+                }, ['CodigoProducto', 'FechaProgramada', 'CantidadLotes', 'PesoPorLote']),
+                anyOf: [{ required: ['UnidadMedidaId'] }, { required: ['IdUnidadMedida'] }],
+            },
+            ok: obj({ mensaje: str(), lotes: arr(ref('LoteProgramado')), advertencias: arr(ref('AdvertenciaAlergenos')) }, ['mensaje']),
+            respuestas: { 400: err('Parámetros inválidos o línea inexistente'), 409: err('Línea inactiva o allergen_conflict (ALERGENOS_MODO=bloquear; conflictos)') },
+        }),
+    },
+    '/lotesprogramados/eventos': {
+        get: op({
+            tag: 'Tablero', summary: 'SSE del tablero de producción (reanuda con Last-Event-ID o ?ultimoId)', roles: LECTURA,
+            params: [q('desde', Fecha), q('hasta', Fecha), q('linea', str({ pattern: '^\\d+(,\\d+)*$' })), q('ultimoId', int()), q('access_token', str())],
+            content: SSE,
+        }),
+    },
+    '/lotesprogramados/detallelote': {
+        get: op({
+            tag: 'Lotes', summary: 'Siguiente ingrediente pendiente del lote', roles: LECTURA,
+            params: [q('consecutivo', int({ minimum: 1 }), { required: true }), q('unidad', UnidadPeso)],
+            ok: obj({ detalle: nul(ref('IngredientePendiente')), maxSecuencia: int() }, ['detalle', 'maxSecuencia']),
+            respuestas: { 409: err('Lote en una unidad sin factor de conversión') },
+        }),
+    },
+    '/lotesprogramados/{consecutivo}/registro.pdf': {
+        get: op({
+            tag: 'Lotes', summary: 'Registro de lote (batch record) en PDF', roles: LECTURA,
+            params: [p('consecutivo', int({ minimum: 1 }))],
+            content: { 'application/pdf': { schema: str({ contentEncoding: 'binary' }) } },
+            respuestas: { 404: err('Lote no encontrado') },
+        }),
+    },
+    '/lotesprogramados/{consecutivo}/fotos/{secuencia}': {
+        get: op({
+            tag: 'Fotos', summary: 'Foto original del pesado de un ingrediente (ETag = sha-256)', roles: LECTURA,
+            params: FotoParams, content: { 'image/jpeg': Imagen, 'image/png': Imagen }, respuestas: FotoRespuestas,
+        }),
+    },
+    '/lotesprogramados/{consecutivo}/fotos/{secuencia}/miniatura': {
+        get: op({
+            tag: 'Fotos', summary: 'Miniatura JPEG de la foto del pesado', roles: LECTURA,
+            params: [...FotoParams, q('lado', int({ minimum: 32, maximum: 1024 }), { description: 'Lado mayor en px (default FOTO_MINIATURA_LADO = 200)' })],
+            content: { 'image/jpeg': Imagen },
+            respuestas: { ...FotoRespuestas, 503: err('Miniaturas no disponibles (sharp no instalado)') },
+        }),
+    },
+    '/lotesprogramados/{consecutivo}/parciales': {
+        get: op({
+            tag: 'Pesaje', summary: 'Contenedores de las líneas pesadas por partes (incluye anulados)', roles: LECTURA,
+            params: [p('consecutivo', int({ minimum: 1 })), q('unidad', UnidadPeso)],
+            ok: obj({ Unidad: str(), parciales: arr(ref('PesadoParcial')) }, ['Unidad', 'parciales']),
+            respuestas: { 404: err('Lote no encontrado'), 409: err('Lote en una unidad sin factor') },
+        }),
+    },
+    '/lotesprogramados/{consecutivo}/correcciones': {
+        get: op({
+            tag: 'Pesaje', summary: 'Historial de correcciones de pesados del lote', roles: LECTURA,
+            params: [p('consecutivo', int({ minimum: 1 })), q('unidad', UnidadPeso)],
+            ok: obj({ Unidad: str(), correcciones: arr(ref('CorreccionPesado')) }, ['Unidad', 'correcciones']),
+            respuestas: { 404: err('Lote no encontrado'), 409: err('Lote en una unidad sin factor') },
+        }),
+    },
+    '/lotesprogramados/motivos-cancelacion': {
+        get: op({ tag: 'Lotes', summary: 'Catálogo de motivos de cancelación', roles: LECTURA, ok: arr(obj({ Codigo: str(), Descripcion: str() }, ['Codigo', 'Descripcion'])) }),
+    },
+    '/lotesprogramados/eliminar': {
+        post: op({
+            tag: 'Lotes', summary: 'Cancela lotes por consecutivo', roles: ['planner'],
+            body: obj({ consecutivos: arr(Entero, { minItems: 1 }), Motivo: str(), Comentario: str() }, ['consecutivos', 'Motivo', 'Comentario']),
+            ok: obj({ eliminados: int(), rowsAffected: arr(int()), ...Mock }, ['eliminados']),
+        }),
+    },
+    '/lotesprogramados/{consecutivo}': {
+        delete: op({
+            tag: 'Lotes', summary: 'Cancela un lote (Motivo/Comentario en body o query)', roles: ['planner'],
+            params: [p('consecutivo', int({ minimum: 1 })), q('Motivo', str()), q('Comentario', str())],
+            body: obj({ Motivo: str(), Comentario: str() }), bodyRequired: false,
+            ok: obj({ ok: bool, rowsAffected: arr(int()), ...Mock }, ['ok']),
+        }),
+    },
+    '/lotesprogramados/eliminar-rango': {
+        post: op({
+            tag: 'Lotes', summary: 'Cancela los lotes no iniciados de un rango (dryRun sólo los lista)', roles: ['planner'],
+            params: [q('inicio', Fecha), q('fin', Fecha), q('dryRun', str({ enum: ['1', '0', 'true', 'false'] }))],
+            body: obj({ inicio: Fecha, fin: Fecha, Motivo: str(), Comentario: str(), dryRun: { type: ['boolean', 'string'] } }), bodyRequired: false,
+            ok: obj({ eliminados: int(), dryRun: bool, consecutivos: arr(Entero), lotes: arr(ref('LoteLista')), ...Mock }, ['eliminados']),
+        }),
+    },
+    '/lotesprogramados/restaurar': {
+        post: op({
+            tag: 'Lotes', summary: 'Restaura lotes cancelados que no han iniciado', roles: ['planner'],
+            body: obj({ consecutivos: arr(Entero, { minItems: 1 }), Comentario: nul(str()) }, ['consecutivos']),
+            ok: obj({
+                restaurados: arr(int()),
+                omitidos: arr(obj({ Consecutivo: int(), motivo: str({ enum: ['no_cancelado', 'iniciado', 'no_existe'] }) }, ['Consecutivo', 'motivo'])),
+                ...Mock,
+            }, ['restaurados', 'omitidos']),
+        }),
+    },
+    '/lotesprogramados/cancelaciones': {
+        get: op({
+            tag: 'Lotes', summary: 'Cancelaciones registradas', roles: LECTURA,
+            params: [q('desde', Fecha, { required: true }), q('hasta', Fecha, { required: true }), q('motivo', str())],
+            ok: arr(obj({
+                Consecutivo: Entero, Lote: nul(str()), Producto: nul(str()), Motivo: str(), Comentario: str(), Usuario: str(), Fecha: FechaHora,
+                Origen: str(), FechaRestauracion: nul(FechaHora), UsuarioRestauro: nul(str()),
+            }, ['Consecutivo', 'Motivo', 'Usuario', 'Fecha'])),
+        }),
+    },
+    '/lotesprogramados/cancelaciones/reporte': {
+        get: op({
+            tag: 'Lotes', summary: 'Cancelaciones por motivo y periodo', roles: LECTURA,
+            params: [q('desde', Fecha, { required: true }), q('hasta', Fecha, { required: true }), q('periodo', str({ enum: ['dia', 'semana', 'mes'] }))],
+            ok: obj({
+                desde: str(), hasta: str(), periodo: str(), total: int(), restaurados: int(),
+                porMotivo: arr(obj({ Motivo: str(), Descripcion: str(), Cancelados: int(), Restaurados: int() }, ['Motivo', 'Cancelados', 'Restaurados'])),
+                porPeriodo: arr(obj({ Periodo: str(), Motivo: str(), Cancelados: int(), Restaurados: int() }, ['Periodo', 'Motivo', 'Cancelados', 'Restaurados'])),
+            }, ['total', 'porMotivo', 'porPeriodo']),
+        }),
+    },
+    '/lotesprogramados/mover': {
+        post: op({
+            tag: 'Lotes', summary: 'Asigna o mueve lotes entre líneas y fechas (todos o ninguno)', roles: ['planner'],
+            body: obj({
+                Movimientos: arr(obj({
+                    Consecutivo: Entero, LineadeMezclado: nul(Entero),
+                    FechaProgramada: nul(str({ pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD; conserva la hora programada' })),
+                    LimpiezaPrevia: nul({ ...bool, description: 'Limpiar la línea antes del lote; null = se conserva' }),
+                }, ['Consecutivo']), { minItems: 1 }),
+            }, ['Movimientos']),
+            ok: obj({
+                mensaje: str(),
+                movidos: arr(obj({
+                    Consecutivo: int(), Lote: nul(str()),
+                    antes: obj({ LineadeMezclado: nul(int()), FechaProgramada: FechaHora }),
+                    despues: obj({ LineadeMezclado: nul(int()), FechaProgramada: FechaHora }),
+                }, ['Consecutivo', 'antes', 'despues'])),
+                advertencias: arr(ref('AdvertenciaAlergenos')),
+            }, ['mensaje', 'movidos']),
+            respuestas: {
+                404: err('Lote no encontrado (consecutivos)'),
+                409: err('Lote cancelado/completado/en pesaje (lot_locked), línea inactiva, capacidad excedida (excedidos) o allergen_conflict (conflictos)'),
+            },
+        }),
+    },
+    '/lotesprogramados/{consecutivo}/limpieza': {
+        put: op({
+            tag: 'Lotes', summary: 'Programa o quita la limpieza de la línea antes del lote', roles: ['planner'],
+            params: [p('consecutivo', int({ minimum: 1 }))], body: obj({ LimpiezaPrevia: bool }, ['LimpiezaPrevia']),
+            ok: obj({ mensaje: str(), Consecutivo: int(), LimpiezaPrevia: bool }, ['mensaje', 'Consecutivo', 'LimpiezaPrevia']),
+            respuestas: { 404: err('Lote no encontrado'), 409: err('Lote cancelado/completado/en pesaje (lot_locked)') },
+        }),
+    },
+    '/lotesprogramados/secuencia': {
+        get: op({
+            tag: 'Lotes', summary: 'Secuencia actual y recomendada por línea para un día (cambios de alérgenos)', roles: LECTURA,
+            params: [q('fecha', Fecha, { required: true }), q('linea', str({ pattern: '^\\d+(,\\d+)*$' }))],
+            ok: arr(obj({
+                LineadeMezclado: int(), Nombre: nul(str()), Fecha: str(),
+                Actual: obj({ Lotes: arr(ref('LoteSecuencia')), Cambios: int(), SinLimpieza: int() }, ['Lotes', 'Cambios', 'SinLimpieza']),
+                Recomendada: obj({ Lotes: arr(ref('LoteSecuencia')), Limpiezas: int() }, ['Lotes', 'Limpiezas']),
+            }, ['LineadeMezclado', 'Fecha', 'Actual', 'Recomendada'])),
+        }),
+    },
+    '/lotesprogramados/carga': {
+        get: op({
+            tag: 'Lotes', summary: 'Carga por línea y día contra su capacidad', roles: LECTURA,
+            params: [q('inicio', Fecha, { required: true }), q('fin', Fecha, { required: true }), q('linea', str({ pattern: '^\\d+(,\\d+)*$' }))],
+            ok: arr(ref('CargaLinea')),
+        }),
+    },
+
+    // ---------- Líneas de mezclado ----------
+    '/api/Lineas': {
+        get: op({ tag: 'Lineas', summary: 'Líneas de mezclado y su capacidad', roles: LECTURA, ok: arr(ref('LineaMezclado')) }),
+    },
+    '/api/Lineas/nuevo': {
+        post: op({
+            tag: 'Lineas', summary: 'Registra una línea (Identificador = LineadeMezclado)', roles: ['planner'], status: 201,
+            body: { allOf: [ref('LineaEntrada'), obj({ Identificador: int({ minimum: 1 }) }, ['Identificador'])] },
+            ok: obj({ mensaje: str(), id: int() }, ['mensaje', 'id']),
+            respuestas: { 409: err('Identificador duplicado') },
+        }),
+    },
+    '/api/Lineas/actualizar/{id}': {
+        put: op({
+            tag: 'Lineas', summary: 'Actualiza nombre, capacidad, turnos o estado de una línea', roles: ['planner'],
+            params: [p('id', int({ minimum: 1 }))], body: ref('LineaEntrada'), ok: ref('Mensaje'),
+            respuestas: { 404: err('Línea no encontrada') },
+        }),
+    },
+
+    // ---------- Básculas ----------
+    '/basculas': {
+        get: op({ tag: 'Basculas', summary: 'Básculas configuradas y su estado', roles: LECTURA, ok: arr(ref('BasculaEstado')) }),
+        post: op({ tag: 'Basculas', summary: 'Registra una báscula', roles: ['admin'], status: 201, body: ref('BasculaEntrada'), ok: obj({ mensaje: str(), id: int() }, ['mensaje', 'id']) }),
+    },
+    '/basculas/stream': {
+        get: op({ tag: 'Basculas', summary: 'SSE de lecturas de todas las básculas', roles: LECTURA, params: [q('linea', int()), q('soloEstables', str({ enum: ['true', 'false'] })), q('access_token', str())], content: SSE }),
+    },
+    '/basculas/{id}': {
+        put: op({ tag: 'Basculas', summary: 'Actualiza una báscula', roles: ['admin'], params: [p('id', int({ minimum: 1 }))], body: ref('BasculaEntrada'), ok: ref('Mensaje'), respuestas: { 404: err('Báscula no encontrada') } }),
+    },
+    '/basculas/{id}/lectura': {
+        get: op({ tag: 'Basculas', summary: 'Última lectura', roles: LECTURA, params: [p('id', int())], ok: ref('Lectura'), respuestas: { 404: err('Báscula no encontrada'), 503: err('Báscula sin lecturas') } }),
+    },
+    '/basculas/{id}/stream': {
+        get: op({ tag: 'Basculas', summary: 'SSE de lecturas de una báscula', roles: LECTURA, params: [p('id', int()), q('soloEstables', str({ enum: ['true', 'false'] })), q('access_token', str())], content: SSE }),
+    },
+    '/basculas/{id}/tara': {
+        post: op({ tag: 'Basculas', summary: 'Tara remota', roles: ['operator'], params: [p('id', int())], ok: ref('Ok') }),
+    },
+    '/basculas/{id}/cero': {
+        post: op({ tag: 'Basculas', summary: 'Cero remoto', roles: ['operator'], params: [p('id', int())], ok: ref('Ok') }),
+    },
+    '/basculas/{id}/simulador': {
+        post: op({ tag: 'Basculas', summary: 'Coloca carga en una báscula simulada', roles: ['admin'], params: [p('id', int())], body: obj({ Peso: Numero }, ['Peso']), ok: ref('Ok') }),
+    },
+
+    // ---------- Estaciones (bloqueo de lotes) ----------
+    '/estaciones/reclamar': {
+        post: op({
+            tag: 'Estaciones', summary: 'La estación toma el lote para pesarlo (renueva si ya es suyo)', roles: ['operator', 'quality'],
+            body: BloqueoPedido, ok: obj({ mensaje: str(), bloqueo: ref('Bloqueo'), segundos: int() }, ['bloqueo', 'segundos']),
+            respuestas: { 404: err('Lote no encontrado'), 409: err('Lote de otra estación (incluye bloqueo) o completado/cancelado') },
+        }),
+    },
+    '/estaciones/latido': {
+        post: op({
+            tag: 'Estaciones', summary: 'Extiende el bloqueo de la estación', roles: ['operator', 'quality'],
+            body: BloqueoPedido, ok: obj({ bloqueo: ref('Bloqueo'), segundos: int() }, ['bloqueo', 'segundos']),
+            respuestas: { 409: err('La estación perdió el lote (incluye el bloqueo actual)') },
+        }),
+    },
+    '/estaciones/liberar': {
+        post: op({
+            tag: 'Estaciones', summary: 'La estación suelta el lote', roles: ['operator', 'quality'],
+            body: BloqueoPedido, ok: ref('Ok'), respuestas: { 409: err('La estación no tiene el lote') },
+        }),
+    },
+    '/estaciones/tomar': {
+        post: op({
+            tag: 'Estaciones', summary: 'Supervisor reasigna el lote aunque otra estación lo tenga', roles: ['quality'],
+            body: obj({ ...BloqueoPedido.properties, Usuario: nul(str({ minLength: 1 })), Motivo: str({ minLength: 1, maxLength: 500 }) }, ['Consecutivo', 'Estacion', 'Motivo']),
+            ok: obj({ mensaje: str(), bloqueo: ref('Bloqueo'), anterior: nul(ref('Bloqueo')), segundos: int() }, ['bloqueo', 'anterior', 'segundos']),
+            respuestas: { 404: err('Lote o usuario no encontrado'), 409: err('Lote completado o cancelado') },
+        }),
+    },
+
+    // ---------- Pesaje ----------
+    '/peso/verificar-etiqueta': {
+        post: op({
+            tag: 'Pesaje', summary: 'Valida el escaneo de etiqueta antes de pesar', roles: ['operator'],
+            body: obj({ Consecutivo: Entero, Secuencia: Entero, Etiqueta: str({ minLength: 1 }) }, ['Consecutivo', 'Secuencia', 'Etiqueta']),
+            ok: obj({ ok: bool, etiqueta: ref('Etiqueta') }, ['ok', 'etiqueta']),
+            respuestas: { 422: err('La etiqueta no corresponde o está caducada') },
+        }),
+    },
+    '/peso': {
+        post: multipart(op({
+            tag: 'Pesaje', summary: 'Registra un pesado y devuelve el siguiente pendiente', roles: ['operator'], status: 201,
+            params: [{ name: 'Idempotency-Key', in: 'header', schema: str({ maxLength: CLAVE_MAX }), description: 'Alternativa a ClaveIdempotencia; reintentos seguros' }],
+            body: {
+                ...obj(Pesado, ['Consecutivo', 'ProductoTerminado', 'Secuencia', 'Ingrediente', 'Estacion']),
+                if: { not: { properties: { CapturarBascula: { const: true } }, required: ['CapturarBascula'] } },
+                then: { required: ['Tara', 'Peso'] },
+            },
+            ok: ref('PesoRegistrado'),
+            respuestas: {
+                200: { description: 'Reintento de una clave ya aplicada (no se vuelve a aplicar)', content: json(ref('PesoDuplicado')) },
+                409: err('Estación sin el bloqueo del lote / ya pesado (already_weighed; se cambia con /peso/correccion) / sin existencia / clave usada en otro pesado / lote en una unidad sin factor'),
+                413: err('Foto mayor a FOTO_MAX_BYTES'),
+                415: err('La foto no es JPEG/PNG o no coincide con el tipo declarado'),
+                422: err('Fuera de tolerancia o etiqueta incorrecta (incluye desviacion)'),
+            },
+        }), PesadoMultipart),
+    },
+    '/peso/correccion': {
+        post: op({
+            tag: 'Pesaje', summary: 'Reabre o corrige un pesado ya registrado con motivo y aprobación de supervisor', roles: ['operator'],
+            body: {
+                ...obj({
+                    Consecutivo: Entero, Secuencia: Entero,
+                    Accion: str({ enum: ['reabrir', 'corregir'], description: 'reabrir → la línea vuelve a pendiente; corregir → Tara/Peso/Etiqueta nuevos' }),
+                    Motivo: str({ minLength: 1, maxLength: 500 }),
+                    Supervisor: obj({ Username: str({ minLength: 1 }), Password: str({ minLength: 1 }) }, ['Username', 'Password']),
+                    Tara: Numero, Peso: Numero, Unidad: nul(UnidadPeso),
+                    Etiqueta: nul(str({ description: 'Omitida conserva la etiqueta leída; si viene se verifica contra el ingrediente' })),
+                }, ['Consecutivo', 'Secuencia', 'Accion', 'Motivo', 'Supervisor']),
+                if: { properties: { Accion: { const: 'corregir' } } },
+                then: { required: ['Tara', 'Peso'] },
+            },
+            ok: obj({
+                mensaje: str(), correccion: ref('CorreccionPesado'), reabierto: bool, remaining: int(),
+                Unidad: str({ description: 'Unidad de los pesos de correccion y desviacion' }), desviacion: nul(ref('Desviacion')),
+            }, ['correccion', 'reabierto', 'remaining']),
+            respuestas: {
+                401: err('Token inválido o credenciales de supervisor incorrectas'),
+                403: err('Rol sin permiso o el aprobador no es supervisor'),
+                404: err('No existe el ingrediente en el lote'),
+                409: err('Lote cancelado / ingrediente sin pesar / sin existencia / lote en una unidad sin factor'),
+                422: err('La etiqueta no corresponde o está caducada'),
+            },
+        }),
+    },
+    '/peso/sincronizar': {
+        post: op({
+            tag: 'Pesaje', summary: 'Aplica la cola de pesados capturados sin red (orden de captura) con resultado por elemento', roles: ['operator'],
+            body: obj({
+                Estacion: Pesado.Estacion,
+                Pesados: arr(obj(Pesado, ['ClaveIdempotencia', 'FechaCaptura', 'Consecutivo', 'ProductoTerminado', 'Secuencia', 'Ingrediente', 'Tara', 'Peso']), { minItems: 1 }),
+            }, ['Estacion', 'Pesados']),
+            ok: obj({
+                total: int(), aplicados: int(), duplicados: int(), conflictos: int(), rechazados: int(),
+                resultados: arr(obj({
+                    ClaveIdempotencia: str(), Consecutivo: nul(Entero), Secuencia: nul(Entero),
+                    estado: str({ enum: ['aplicado', 'duplicado', 'conflicto', 'rechazado'] }), status: int(),
+                    respuesta: { description: 'Cuerpo que habría respondido POST /peso' },
+                }, ['ClaveIdempotencia', 'estado', 'status'])),
+            }, ['total', 'aplicados', 'duplicados', 'conflictos', 'rechazados', 'resultados']),
+        }),
+    },
+
+    // ---------- Productos terminados ----------
+    '/api/ProductosTerminados/validar': {
+        post: op({ tag: 'ProductosTerminados', summary: 'Valida una fórmula (editor en vivo)', roles: ESCRITURA_CATALOGO, body: obj({ Ingredientes: arr({}) }, ['Ingredientes']), ok: ref('ValidacionFormula') }),
+    },
+    '/api/ProductosTerminados/nuevo': {
+        post: op({
+            tag: 'ProductosTerminados', summary: 'Registra producto y su versión 1 de fórmula', roles: ESCRITURA_CATALOGO, status: 201,
+            body: obj({ Codigo: str({ minLength: 1 }), Descripcion: str({ minLength: 1 }), ClienteId: Entero, NombreCliente: str({ minLength: 1 }), Ingredientes: arr({}) },
+                ['Codigo', 'Descripcion', 'ClienteId', 'NombreCliente', 'Ingredientes']),
+            ok: obj({ mensaje: str(), version: int() }, ['mensaje']),
+            respuestas: { 422: err('Fórmula inválida (incluye errores por línea)') },
+        }),
+    },
+    '/api/ProductosTerminados/editar/{codigo}': {
+        put: op({
+            tag: 'ProductosTerminados', summary: 'Actualiza producto; los cambios de receta crean una versión borrador', roles: ESCRITURA_CATALOGO,
+            params: [p('codigo')],
+            body: obj({ Descripcion: str({ minLength: 1 }), ClienteId: Entero, NombreCliente: str({ minLength: 1 }), Activo: bool, Ingredientes: arr({}), NotaCambio: nul(str({ maxLength: 500 })) },
+                ['Descripcion', 'ClienteId', 'NombreCliente', 'Activo', 'Ingredientes']),
+            ok: obj({ mensaje: str(), version: nul(int()), estado: nul(str()) }, ['mensaje']),
+            respuestas: { 422: err('Fórmula inválida (incluye errores por línea)') },
+        }),
+    },
+    '/api/ProductosTerminados/{codigo}/versiones': {
+        get: op({ tag: 'ProductosTerminados', summary: 'Versiones de la fórmula', roles: LECTURA, params: [p('codigo')], ok: arr({ allOf: [ref('VersionFormula'), obj({ Ingredientes: int() })] }) }),
+    },
+    '/api/ProductosTerminados/{codigo}/versiones/diff': {
+        get: op({ tag: 'ProductosTerminados', summary: 'Diferencias entre dos versiones', roles: LECTURA, params: [p('codigo'), q('de', int(), { required: true }), q('a', int(), { required: true })], ok: arr(ref('DiffVersion')) }),
+    },
+    '/api/ProductosTerminados/{codigo}/versiones/{version}': {
+        get: op({
+            tag: 'ProductosTerminados', summary: 'Una versión con sus ingredientes', roles: LECTURA, params: [p('codigo'), p('version', int())],
+            ok: { allOf: [ref('VersionFormula'), obj({ Ingredientes: arr(ref('LineaVersion')) }, ['Ingredientes'])] }, respuestas: { 404: err('Versión no encontrada') },
+        }),
+    },
+    '/api/ProductosTerminados/{codigo}/versiones/{version}/aprobar': {
+        post: op({ tag: 'ProductosTerminados', summary: 'Aprueba un borrador (calidad; no el autor)', roles: ['quality'], params: [p('codigo'), p('version', int())], ok: obj({ mensaje: str(), estado: str() }, ['mensaje', 'estado']), respuestas: { 409: err('Estado no permite aprobar') } }),
+    },
+    '/api/ProductosTerminados/{codigo}/versiones/{version}/activar': {
+        post: op({ tag: 'ProductosTerminados', summary: 'Activa una versión aprobada (retira la anterior)', roles: ESCRITURA_CATALOGO, params: [p('codigo'), p('version', int())], ok: obj({ mensaje: str(), estado: str() }, ['mensaje', 'estado']), respuestas: { 409: err('Estado no permite activar') } }),
+    },
+    '/api/ProductosTerminados/{codigo}/alergenos': {
+        get: op({
+            tag: 'ProductosTerminados', summary: 'Perfil de alérgenos y atributos derivado de la receta', roles: LECTURA, params: [p('codigo')],
+            ok: {
+                allOf: [obj({
+                    CodigoProducto: str(),
+                    Ingredientes: arr({ allOf: [obj({ Ingrediente: str(), Nombre: nul(str()) }, ['Ingrediente']), ref('Etiquetas')] }),
+                }, ['CodigoProducto', 'Ingredientes']), ref('Etiquetas')],
+            },
+            respuestas: { 404: err('Producto no encontrado o sin fórmula') },
+        }),
+    },
+    '/api/ProductosTerminados/listado': {
+        get: op({
+            tag: 'ProductosTerminados', summary: 'Listado con filtros, orden, búsqueda y paginación', roles: LECTURA,
+            params: [q('codigo', str()), q('cliente', str()), q('nombreCliente', str()), q('activo', str({ pattern: '^(0|1|todos)$' })), ...listadoParams('CodigoProducto, Descripcion, NombreCliente, Cliente, FechaCreacion, Activo')],
+            ok: listado(ref('ProductoLista')),
+        }),
+    },
+    '/api/ProductosTerminados/detalle/{codigo}': {
+        get: op({ tag: 'ProductosTerminados', summary: 'Ingredientes de la versión activa', roles: LECTURA, params: [p('codigo')], ok: arr(obj({ Clave: str(), Nombre: nul(str()), Porcentaje: str(), Comentario: str() }, ['Clave', 'Porcentaje'])) }),
+    },
+    '/api/ProductosTerminados/existecodigo': {
+        get: op({ tag: 'ProductosTerminados', summary: '¿Existe el código?', roles: LECTURA, params: [q('codigo', str({ minLength: 1 }), { required: true })], ok: bool }),
+    },
+
+    // ---------- Inventario ----------
+    '/api/Inventario/recepciones': {
+        post: op({
+            tag: 'Inventario', summary: 'Recepción de un lote de proveedor', roles: ESCRITURA_CATALOGO, status: 201,
+            body: obj({ Ingrediente: Entero, ProveedorId: Entero, LoteProveedor: str({ minLength: 1, maxLength: 50 }), Caducidad: nul(Fecha), Cantidad: Numero, Referencia: nul(str()) },
+                ['Ingrediente', 'ProveedorId', 'LoteProveedor', 'Cantidad']),
+            ok: obj({ mensaje: str(), loteInventarioId: int() }, ['mensaje', 'loteInventarioId']),
+        }),
+    },
+    '/api/Inventario/ajustes': {
+        post: op({
+            tag: 'Inventario', summary: 'Ajuste (±) de existencia de un lote', roles: ESCRITURA_CATALOGO, status: 201,
+            body: obj({ LoteInventarioId: Entero, Cantidad: Numero, Comentario: str({ minLength: 1 }) }, ['LoteInventarioId', 'Cantidad', 'Comentario']),
+            ok: obj({ mensaje: str(), existencia: num() }, ['mensaje', 'existencia']),
+            respuestas: { 404: err('Lote no encontrado') },
+        }),
+    },
+    '/api/Inventario/conteos': {
+        post: op({
+            tag: 'Inventario', summary: 'Conteo físico de un lote', roles: ESCRITURA_CATALOGO, status: 201,
+            body: obj({ LoteInventarioId: Entero, CantidadContada: Numero, Comentario: nul(str()) }, ['LoteInventarioId', 'CantidadContada']),
+            ok: obj({ mensaje: str(), anterior: num(), contada: num(), diferencia: num() }, ['mensaje', 'anterior', 'contada', 'diferencia']),
+            respuestas: { 404: err('Lote no encontrado') },
+        }),
+    },
+    '/api/Inventario/existencias': {
+        get: op({ tag: 'Inventario', summary: 'Existencia por ingrediente', roles: LECTURA, params: [q('ingrediente', int())], ok: arr(obj({ Ingrediente: int(), Nombre: str(), Existencia: num(), SinLote: num(), Lotes: int() }, ['Ingrediente', 'Existencia'])) }),
+    },
+    '/api/Inventario/existencias/lotes': {
+        get: op({ tag: 'Inventario', summary: 'Existencia por lote en orden FEFO', roles: LECTURA, params: [q('ingrediente', int()), q('incluirAgotados', str({ enum: ['true', 'false'] }))], ok: arr(ref('LoteInventario')) }),
+    },
+    '/api/Inventario/movimientos': {
+        get: op({
+            tag: 'Inventario', summary: 'Libro de movimientos (máx. 1000)', roles: LECTURA,
+            params: [q('ingrediente', int()), q('lote', int()), q('tipo', str()), q('desde', Fecha), q('hasta', Fecha)],
+            ok: arr(ref('MovimientoInventario')),
+        }),
+    },
+
+    // ---------- Trazabilidad ----------
+    '/api/Trazabilidad/adelante': {
+        get: op({
+            tag: 'Trazabilidad', summary: 'Lote de proveedor → lotes terminados y clientes', roles: ['planner', 'quality'],
+            params: [q('loteProveedor', str({ minLength: 1 }), { required: true }), q('proveedorId', int()), q('ingrediente', str())],
+            ok: obj({ loteProveedor: str(), lotes: arr(obj({ Consecutivo: Entero, LotePT: nul(str()) }, ['Consecutivo'])), clientes: arr(obj({ ClienteId: nul(int()), Cliente: nul(str()), Lotes: arr(nul(str())) })), ...Mock }, ['loteProveedor', 'lotes', 'clientes']),
+        }),
+    },
+    '/api/Trazabilidad/atras': {
+        get: op({
+            tag: 'Trazabilidad', summary: 'Lote terminado → lotes de materia prima', roles: ['planner', 'quality'],
+            params: [q('consecutivo', int()), q('lote', str())],
+            ok: obj({ lote: obj({ Consecutivo: Entero, LotePT: nul(str()), Producto: nul(str()) }, ['Consecutivo']), materiales: arr(obj({ Secuencia: int(), Ingrediente: nul(str()) }, ['Secuencia'])), ...Mock }, ['lote', 'materiales']),
+            respuestas: { 404: err('Lote no encontrado') },
+        }),
+    },
+
+    // ---------- Auditoría ----------
+    '/api/Fotos/purgar': {
+        post: op({
+            tag: 'Fotos', summary: 'Depura las fotos de pesados de hace más de Dias días (dryRun sólo las lista)', roles: ['quality'],
+            params: [q('dryRun', str({ enum: ['1', '0', 'true', 'false'] }))],
+            body: obj({ Dias: int({ minimum: 1, description: 'Por defecto FOTOS_RETENCION_DIAS' }) }), bodyRequired: false,
+            ok: obj({
+                dryRun: bool, dias: int(), antes: FechaHora,
+                purgadas: int(), bytes: int(), archivosBorrados: int(),
+                pendientes: arr(obj({
+                    Consecutivo: Entero, Secuencia: int(), Parcial: nul(int()), TiempoDePesado: FechaHora, FotoHash: nul(str()), FotoTamano: nul(int())
+                },
+                    ['Consecutivo', 'Secuencia', 'TiempoDePesado'])),
+                hayMas: bool,
+            }, ['dryRun', 'dias', 'antes']),
+        }),
+    },
+    '/api/Analitica/variacion': {
+        get: op({
+            tag: 'Analitica', summary: 'Variación de peso y regalo (give-away) en kg y % por grupo', roles: ['planner', 'quality'],
+            params: analiticaParams(['producto', 'ingrediente', 'linea', 'operador']),
+            ok: reporteAnalitica(ref('VariacionPeso'), { Unidad: str(), omitidos: arr(Entero) }),
+        }),
+    },
+    '/api/Analitica/tiempos': {
+        get: op({
+            tag: 'Analitica', summary: 'Ciclo de lote, tiempo entre pesados y ritmo (por operador con agrupar=operador)', roles: ['planner', 'quality'],
+            params: [...analiticaParams(['producto', 'ingrediente', 'linea', 'operador']), q('pausa', num({ exclusiveMinimum: 0 }), { description: 'Minutos; huecos mayores no cuentan como tiempo activo (default ANALITICA_PAUSA_MIN = 30)' })],
+            ok: reporteAnalitica(ref('TiemposProduccion'), { pausaMin: num(), omitidos: arr(Entero) }),
+        }),
+    },
+    '/api/Analitica/cumplimiento': {
+        get: op({
+            tag: 'Analitica', summary: 'Lotes programados, completados, cancelados y atrasados vs FechaProgramada', roles: ['planner', 'quality'],
+            params: analiticaParams(['producto', 'linea']),
+            ok: reporteAnalitica(ref('CumplimientoProgramado'), { hoy: str() }),
+        }),
+    },
+    '/api/Auditoria': {
+        get: op({
+            tag: 'Auditoria', summary: 'Bitácora de escrituras', roles: ['quality'],
+            params: [q('entidad', str()), q('entidadId', str()), q('usuario', str()), q('desde', Fecha), q('hasta', Fecha), q('limite', int({ minimum: 1, maximum: 1000 }))],
+            ok: arr(ref('Auditoria')),
+        }),
+    },
+    '/api/Auditoria/{entidad}/{entidadId}': {
+        get: op({ tag: 'Auditoria', summary: 'Historial de una entidad', roles: ['quality'], params: [p('entidad'), p('entidadId'), q('desde', Fecha), q('hasta', Fecha), q('limite', int({ minimum: 1, maximum: 1000 }))], ok: arr(ref('Auditoria')) }),
+    },
+};
+
+export const spec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Sistema de pesado — API',
+        version: '1.0.0',
+        description: 'Programación de lotes, pesaje, fórmulas, inventario y trazabilidad. Los errores usan el esquema Error.',
+    },
+    servers: [{ url: '/' }],
+    components: {
+        securitySchemes: {
+            bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'accessToken de POST /login' },
+            apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'Sólo si el servidor define API_KEY' },
+        },
+        schemas,
+    },
+    paths,
+};
+
+// -------------------- Validación --------------------
+const ajvBody = new Ajv({ allErrors: true, strict: false });
+const ajvQuery = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+ajvBody.addSchema(spec, 'openapi.json');
+ajvQuery.addSchema(spec, 'openapi.json');
+
+const pointer = (...partes) => 'openapi.json#/' + partes.map(s => String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+// Compila cada operación: regex de la ruta + validadores de parámetros, body y respuestas
+const operaciones = [];
+for (const [ruta, metodos] of Object.entries(paths)) {
+    const nombres = [];
+    const regex = new RegExp('^' + ruta.replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g, (_, n) => { nombres.push(n); return '([^/]+)'; }) + '/?$');
+    for (const [metodo, o] of Object.entries(metodos)) {
+        const params = o.parameters || [];
+        const seccion = (donde) => {
+            const ps = params.filter(x => x.in === donde);
+            if (!ps.length) return null;
+            return ajvQuery.compile({
+                type: 'object',
+                properties: Object.fromEntries(ps.map(x => [x.name, x.schema])),
+                required: ps.filter(x => x.required).map(x => x.name),
+            });
+        };
+        const respuestas = {};
+        for (const [status, r] of Object.entries(o.responses)) {
+            if (r.content?.['application/json']) {
+                respuestas[status] = ajvBody.compile({ $ref: pointer('paths', ruta, metodo, 'responses', status, 'content', 'application/json', 'schema') });
+            }
+        }
+        operaciones.push({
+            metodo: metodo.toUpperCase(),
+            ruta,
+            regex,
+            nombres,
+            estaticos: ruta.split('/').filter(s => s && !s.startsWith('{')).length,
+            path: seccion('path'),
+            query: seccion('query'),
+            body: o.requestBody ? ajvBody.compile({ $ref: pointer('paths', ruta, metodo, 'requestBody', 'content', 'application/json', 'schema') }) : null,
+            bodyRequerido: !!o.requestBody?.required,
+            respuestas,
+        });
+    }
+}
+// Rutas más específicas primero (/versiones/diff antes que /versiones/{version})
+operaciones.sort((a, b) => b.estaticos - a.estaticos);
+const errorValidator = ajvBody.compile({ $ref: pointer('components', 'schemas', 'Error') });
+
+function findOperation(method, path) {
+    const metodo = method === 'HEAD' ? 'GET' : method;
+    for (const o of operaciones) {
+        if (o.metodo !== metodo) continue;
+        const m = o.regex.exec(path);
+        if (m) return { o, params: Object.fromEntries(o.nombres.map((n, i) => [n, decodeURIComponent(m[i + 1])])) };
+    }
+    return null;
+}
+
+// Errores de ajv → [{ campo, mensaje }] ("body.Peso", "query.inicio", ...)
+function toFieldErrors(errors, prefijo) {
+    const vistos = new Set();
+    const out = [];
+    for (const e of errors || []) {
+        if (['anyOf', 'oneOf', 'if'].includes(e.keyword)) continue;
+        let campo = e.instancePath.split('/').filter(Boolean).join('.');
+        if (e.keyword === 'required') campo = campo ? `${campo}.${e.params.missingProperty}` : e.params.missingProperty;
+        campo = campo ? `${prefijo}.${campo}` : prefijo;
+        const mensaje = e.keyword === 'required' ? 'es requerido' : traducir(e);
+        const k = `${campo}|${mensaje}`;
+        if (!vistos.has(k)) { vistos.add(k); out.push({ campo, mensaje }); }
+    }
+    return out;
+}
+
+function traducir(e) {
+    switch (e.keyword) {
+        case 'type': return `debe ser de tipo ${[].concat(e.params.type).join(' o ')}`;
+        case 'enum': return `debe ser uno de: ${e.params.allowedValues.join(', ')}`;
+        case 'minLength': return 'no puede estar vacío';
+        case 'maxLength': return `máximo ${e.params.limit} caracteres`;
+        case 'minimum': return `debe ser >= ${e.params.limit}`;
+        case 'maximum': return `debe ser <= ${e.params.limit}`;
+        case 'exclusiveMinimum': return `debe ser > ${e.params.limit}`;
+        case 'minItems': return `debe tener al menos ${e.params.limit} elemento(s)`;
+        case 'pattern': return 'formato inválido';
+        default: return e.message;
+    }
+}
+
+export function validationError(campos) {
+    return { error: 'validation_error', mensaje: 'Solicitud inválida', campos };
+}
+
+// Middleware: valida la petición contra la operación del contrato (rutas sin operación pasan)
+export function validateContract() {
+    return (req, res, next) => {
+        const found = findOperation(req.method, req.path);
+        if (!found) return next();
+        const { o, params } = found;
+        req.operacion = o;
+
+        const campos = [];
+        if (o.path && !o.path({ ...params })) campos.push(...toFieldErrors(o.path.errors, 'path'));
+        if (o.query && !o.query({ ...req.query })) campos.push(...toFieldErrors(o.query.errors, 'query'));
+        if (o.body) {
+            const vacio = req.body == null || (typeof req.body === 'object' && !Array.isArray(req.body) && !Object.keys(req.body).length);
+            if (!(vacio && !o.bodyRequerido) && !o.body(req.body ?? {})) campos.push(...toFieldErrors(o.body.errors, 'body'));
+        }
+        if (campos.length) return res.status(400).json(validationError(campos));
+
+        if (VALIDAR_RESPUESTAS) watchResponse(req, res, o);
+        next();
+    };
+}
+
+// Valida el JSON de salida contra el contrato (sólo desarrollo)
+function watchResponse(req, res, o) {
+    const original = res.json.bind(res);
+    res.json = (body) => {
+        const validar = o.respuestas[res.statusCode] ?? (res.statusCode >= 400 ? errorValidator : null);
+        if (validar) {
+            // Date → texto y errores con su sobre, igual que lo verá el cliente (errorEnvelope envuelve después)
+            const plano = JSON.parse(JSON.stringify(res.statusCode >= 400 ? toErrorEnvelope(res.statusCode, body) : body ?? null));
+            if (!validar(plano)) {
+                const campos = toFieldErrors(validar.errors, 'respuesta');
+                console.error(`⚠️  Respuesta fuera de contrato: ${req.method} ${o.ruta} ${res.statusCode}`, JSON.stringify(campos));
+                if (RESPUESTAS_ESTRICTAS) {
+                    res.status(500);
+                    return original({ error: 'response_contract_violation', mensaje: 'La respuesta no cumple el contrato OpenAPI', campos });
+                }
+            }
+        }
+        return original(body);
+    };
+}
+
+// -------------------- Sobre de error --------------------
+const CODIGOS = { 400: 'bad_request', 401: 'unauthorized', 403: 'forbidden', 404: 'not_found', 408: 'timeout', 409: 'conflict', 422: 'unprocessable', 501: 'not_implemented', 503: 'unavailable' };
+
+// Normaliza un cuerpo de error a { error, mensaje, ... } conservando los demás campos
+export function toErrorEnvelope(status, body) {
+    const b = body && typeof body === 'object' && !Array.isArray(body) ? { ...body } : { detalle: body };
+    const codigo = typeof b.mensaje === 'string' && /^[a-z][a-z0-9_]*$/.test(b.mensaje) ? b.mensaje : null;
+    const error = b.error ?? codigo ?? CODIGOS[status] ?? (status >= 500 ? 'server_error' : 'error');
+    const mensaje = b.mensaje ?? (typeof b.detalle === 'string' ? b.detalle : STATUS_CODES[status] ?? 'Error');
+    return { ...b, error, mensaje };
+}
+
+// Middleware: aplica toErrorEnvelope a toda respuesta JSON con status >= 400
+export function errorEnvelope() {
+    return (req, res, next) => {
+        const original = res.json.bind(res);
+        res.json = (body) => original(res.statusCode >= 400 ? toErrorEnvelope(res.statusCode, body) : body);
+        next();
+    };
+}
+
+// Página de documentación (Swagger UI desde CDN; DOCS_UI_CDN para un espejo interno)
+const CDN = process.env.DOCS_UI_CDN || 'https://unpkg.com/swagger-ui-dist@5';
+export const docsHtml = `<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${spec.info.title}</title>
+  <link rel="stylesheet" href="${CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${CDN}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
@@ -0,0 +1,209 @@
+// photos.js — fotos del pesado: validación, almacenamiento y miniaturas
+// ------------------------------------------------------------------
+// Se aceptan JPEG y PNG (los que el registro PDF puede incrustar), reconocidos por su firma y no por
+// el Content-Type declarado, hasta FOTO_MAX_BYTES (default 2 MB). Llegan como FotoBase64 en el JSON
+// de /peso o como archivo "Foto" en multipart/form-data (photoUpload).
+// Almacén (FOTOS_ALMACEN):
+//   'bd'      (default) → los bytes van en ProgramacionProduccion_Detalle.FotoEscaneo (PesadosParciales en un contenedor)
+//   'archivo' → FOTOS_RUTA/ab/abcdef…(sha-256); FotoEscaneo queda NULL y la fila guarda sólo FotoHash
+// En ambos casos la fila guarda FotoHash, FotoMime y FotoTamano; FotoPurgada marca las depuradas.
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+
+export const FOTO_MAX_BYTES = Number(process.env.FOTO_MAX_BYTES || 2 * 1024 * 1024);
+export const MINIATURA_LADO = Number(process.env.FOTO_MINIATURA_LADO || 200);
+export const ALMACENES = ['bd', 'archivo'];
+
+// Firma (magic bytes) → MIME
+const FIRMAS = [
+    { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+];
+export const FOTO_TIPOS = FIRMAS.map(f => f.mime);
+
+// code: photo_invalid (400) | photo_type (415) | photo_too_large (413) | thumbnail_unavailable (503)
+export class PhotoError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// MIME por la firma de los bytes; null si no es un tipo aceptado
+export function sniffMime(bytes) {
+    const f = FIRMAS.find(({ bytes: b }) => bytes?.length >= b.length && b.every((x, i) => bytes[i] === x));
+    return f?.mime ?? null;
+}
+
+export function photoHash(bytes) {
+    return createHash('sha256').update(bytes).digest('hex');
+}
+
+// FotoBase64 (con o sin prefijo data:…;base64,) → Buffer. Texto que no es base64 → PhotoError
+export function decodePhotoBase64(texto) {
+    let b64 = String(texto).trim();
+    if (/^data:/i.test(b64)) b64 = b64.substring(b64.indexOf(',') + 1);
+    b64 = b64.replace(/\s+/g, '');
+    if (!b64 || b64.length % 4 === 1 || !/^[A-Za-z0-9+/_-]*={0,2}$/.test(b64)) {
+        throw new PhotoError('photo_invalid', 'FotoBase64 no es base64 válido');
+    }
+    // El tamaño se revisa antes de decodificar (3 bytes por cada 4 caracteres)
+    if (Math.floor(b64.length * 3 / 4) - (b64.match(/=+$/)?.[0].length ?? 0) > FOTO_MAX_BYTES) {
+        throw new PhotoError('photo_too_large', `La foto excede ${FOTO_MAX_BYTES} bytes`);
+    }
+    return Buffer.from(b64, 'base64');
+}
+
+// Bytes recibidos → { datos, mime, hash, tamano }. mimeDeclarado (multipart) debe coincidir con la firma
+export function readPhoto(bytes, mimeDeclarado = null) {
+    if (!bytes?.length) throw new PhotoError('photo_invalid', 'La foto está vacía');
+    if (bytes.length > FOTO_MAX_BYTES) throw new PhotoError('photo_too_large', `La foto excede ${FOTO_MAX_BYTES} bytes`);
+    const mime = sniffMime(bytes);
+    if (!mime) throw new PhotoError('photo_type', `Tipo de imagen no admitido; se aceptan ${FOTO_TIPOS.join(', ')}`);
+    const declarado = String(mimeDeclarado ?? '').split(';')[0].trim().toLowerCase();
+    if (declarado && declarado !== 'application/octet-stream' && declarado !== mime) {
+        throw new PhotoError('photo_type', `El contenido es ${mime} pero se declaró ${declarado}`);
+    }
+    return { datos: bytes, mime, hash: photoHash(bytes), tamano: bytes.length };
+}
+
+// -------------------- Almacén --------------------
+// guardar(foto) → columnas { FotoEscaneo, FotoHash, FotoMime, FotoTamano } para la fila del pesado
+// leer(fila) → Buffer | null (fila con Foto/FotoEscaneo y FotoHash)
+// miniatura(hash, lado, generar) → Buffer (en 'archivo' se guarda junto al original)
+// borrar(hash) → elimina el archivo y sus miniaturas (en 'bd' no hay nada fuera de la fila)
+function dbStore() {
+    return {
+        tipo: 'bd',
+        async guardar(foto) {
+            return { FotoEscaneo: foto.datos, FotoHash: foto.hash, FotoMime: foto.mime, FotoTamano: foto.tamano };
+        },
+        async leer(fila) {
+            return fila.Foto ?? fila.FotoEscaneo ?? null;
+        },
+        async miniatura(hash, lado, generar) {
+            return generar();
+        },
+        async borrar() { },
+    };
+}
+
+function fileStore(ruta) {
+    const archivo = (hash) => join(ruta, hash.slice(0, 2), hash);
+    const miniatura = (hash, lado) => join(ruta, 'miniaturas', hash.slice(0, 2), `${hash}-${lado}.jpg`);
+
+    // Escritura atómica: otro pesado con la misma foto ve el archivo completo o no lo ve
+    async function escribir(destino, datos) {
+        await mkdir(dirname(destino), { recursive: true });
+        const temporal = `${destino}.${process.pid}.${Date.now()}.tmp`;
+        await writeFile(temporal, datos);
+        await rename(temporal, destino);
+    }
+
+    async function leerSiExiste(destino) {
+        try {
+            return await readFile(destino);
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    return {
+        tipo: 'archivo',
+        ruta,
+        // Se escribe antes de la transacción del pesado (mejor un archivo sin fila que una fila sin archivo);
+        // si el pesado se rechaza, server.js lo borra cuando ninguna otra fila usa el hash.
+        async guardar(foto) {
+            const destino = archivo(foto.hash);
+            if (!(await leerSiExiste(destino))) await escribir(destino, foto.datos);
+            return { FotoEscaneo: null, FotoHash: foto.hash, FotoMime: foto.mime, FotoTamano: foto.tamano };
+        },
+        // Filas guardadas en 'bd' antes de cambiar de almacén siguen teniendo los bytes en la columna
+        async leer(fila) {
+            const enFila = fila.Foto ?? fila.FotoEscaneo ?? null;
+            if (enFila) return enFila;
+            return fila.FotoHash ? leerSiExiste(archivo(fila.FotoHash)) : null;
+        },
+        async miniatura(hash, lado, generar) {
+            const destino = miniatura(hash, lado);
+            const previa = await leerSiExiste(destino);
+            if (previa) return previa;
+            const datos = await generar();
+            await escribir(destino, datos);
+            return datos;
+        },
+        async borrar(hash) {
+            await rm(archivo(hash), { force: true });
+            const carpeta = join(ruta, 'miniaturas', hash.slice(0, 2));
+            const miniaturas = await readdir(carpeta).catch(() => []);
+            await Promise.all(miniaturas.filter(f => f.startsWith(`${hash}-`)).map(f => rm(join(carpeta, f), { force: true })));
+        },
+    };
+}
+
+export function createPhotoStore(tipo = process.env.FOTOS_ALMACEN || 'bd') {
+    if (!ALMACENES.includes(tipo)) throw new Error(`FOTOS_ALMACEN inválido: ${tipo} (${ALMACENES.join(' | ')})`);
+    if (tipo === 'bd') return dbStore();
+    return fileStore(process.env.FOTOS_RUTA || fileURLToPath(new URL('./data/fotos/', import.meta.url)));
+}
+
+export const photoStore = createPhotoStore();
+
+// -------------------- Miniaturas --------------------
+// JPEG de `lado` px como máximo (sin agrandar). sharp es nativo: si no está instalado → PhotoError
+export async function makeThumbnail(bytes, lado = MINIATURA_LADO) {
+    let sharp;
+    try {
+        ({ default: sharp } = await import('sharp'));
+    } catch {
+        throw new PhotoError('thumbnail_unavailable', 'Miniaturas no disponibles: sharp no está instalado');
+    }
+    try {
+        return await sharp(bytes).rotate().resize(lado, lado, { fit: 'inside', withoutEnlargement: true }).jpeg({ quality: 80 }).toBuffer();
+    } catch {
+        throw new PhotoError('photo_invalid', 'La foto guardada no se pudo leer como imagen');
+    }
+}
+
+// -------------------- multipart/form-data --------------------
+// Middleware para /peso: archivo "Foto" → req.file; los demás campos → req.body. Los campos llegan como
+// texto: "datos" puede traer todo el pesado como JSON; si no, Override va en JSON y CapturarBascula/Parcial como true/false.
+const subida = multer({ storage: multer.memoryStorage(), limits: { fileSize: FOTO_MAX_BYTES, files: 1, fields: 50 } }).single('Foto');
+
+export function photoUpload() {
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        subida(req, res, (err) => {
+            if (err) {
+                const grande = err.code === 'LIMIT_FILE_SIZE';
+                return res.status(grande ? 413 : 400).json({
+                    error: grande ? 'photo_too_large' : 'bad_request',
+                    mensaje: grande ? `La foto excede ${FOTO_MAX_BYTES} bytes` : `multipart inválido: ${err.message}`
+                });
+            }
+            try {
+                req.body = multipartFields(req.body);
+            } catch {
+                return res.status(400).json({ error: 'bad_request', mensaje: 'Los campos datos/Override deben ser JSON' });
+            }
+            next();
+        });
+    };
+}
+
+function multipartFields(campos) {
+    if (campos.datos != null) return JSON.parse(campos.datos);
+    const body = {};
+    for (const [k, v] of Object.entries(campos)) {
+        if (v === '') continue;
+        if (k === 'Override') body[k] = JSON.parse(v);
+        else if (k === 'CapturarBascula' || k === 'Parcial') body[k] = v === 'true' || v === '1';
+        else body[k] = v;
+    }
+    return body;
+}
@@ -0,0 +1,275 @@
+// repos/alergenos.js — etiquetas de ingredientes (IngredientesEtiquetas) y datos para los cambios de línea (ver allergens.js)
+// ------------------------------------------------------------------
+// etiqueta = { Ingrediente, Tipo ('alergeno'|'atributo'), Codigo }
+// etiquetas(ids = null) → [etiqueta] de esos ingredientes (null = todos)
+// asignar(id, { Alergenos, Atributos }) → { antes, despues } | null (no existe el ingrediente); reemplaza todas
+//   antes/despues = [etiqueta]
+// recetas(codigos) → [{ CodigoProducto, Ingrediente, NombreIngrediente, Tipo, Codigo }] de ProductosTerminados_Detalle
+//   una fila por etiqueta; Tipo/Codigo null si el ingrediente no tiene ninguna
+// lotes({ inicio, fin, lineas? }) → [{ Consecutivo, Lote, Producto, LineadeMezclado, FechaProgramada, LimpiezaPrevia,
+//   ProduccionInicio, LoteCompletado }] sin cancelados, por día de FechaProgramada
+// ingredientesLotes(ids) → [{ Consecutivo, Ingrediente, Tipo, Codigo }] igual que recetas pero de la receta sellada del lote
+// limpieza(consecutivo, valor) → { antes, despues } (LimpiezaPrevia) | null (no existe el lote)
+
+import sql from 'mssql';
+import { dia } from '../mockstore.js';
+import { bit } from './sqlite.js';
+
+function tagRecord(row) {
+    return { ...row, Ingrediente: String(row.Ingrediente).trim(), Tipo: row.Tipo ?? null, Codigo: row.Codigo ?? null };
+}
+
+function lotRecord(row) {
+    return {
+        ...row, Consecutivo: Number(row.Consecutivo), LimpiezaPrevia: !!row.LimpiezaPrevia, LoteCompletado: !!row.LoteCompletado,
+        ProduccionInicio: row.ProduccionInicio ?? null
+    };
+}
+
+const filas = ({ Alergenos, Atributos }) => [
+    ...Alergenos.map(Codigo => ({ Tipo: 'alergeno', Codigo })),
+    ...Atributos.map(Codigo => ({ Tipo: 'atributo', Codigo })),
+];
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => {
+    const lista = (request, valores, tipo, prefijo) =>
+        valores.map((v, i) => { request.input(`${prefijo}${i}`, tipo, v); return `@${prefijo}${i}`; }).join(',');
+
+    return {
+        async etiquetas(ids = null) {
+            if (ids && !ids.length) return [];
+            const request = pool.request();
+            const filtro = ids ? `WHERE Ingrediente IN (${lista(request, ids.map(Number), sql.Int, 'i')})` : '';
+            const r = await request.query(`SELECT Ingrediente, Tipo, Codigo FROM IngredientesEtiquetas ${filtro} ORDER BY Ingrediente, Tipo, Codigo;`);
+            return r.recordset.map(tagRecord);
+        },
+
+        async asignar(id, etiquetas) {
+            const tx = new sql.Transaction(pool);
+            await tx.begin();
+            try {
+                const r = await new sql.Request(tx)
+                    .input('id', sql.Int, Number(id))
+                    .query(`
+          SELECT 1 AS existe FROM Ingredientes WITH (UPDLOCK) WHERE Identificador = @id;
+          SELECT Ingrediente, Tipo, Codigo FROM IngredientesEtiquetas WHERE Ingrediente = @id ORDER BY Tipo, Codigo;
+          DELETE FROM IngredientesEtiquetas WHERE Ingrediente = @id;
+        `);
+                if (!r.recordsets[0].length) {
+                    await tx.rollback();
+                    return null;
+                }
+                const nuevas = filas(etiquetas).map(f => ({ Ingrediente: String(id), ...f }));
+                for (const f of nuevas) {
+                    await new sql.Request(tx)
+                        .input('id', sql.Int, Number(id))
+                        .input('tipo', sql.VarChar(10), f.Tipo)
+                        .input('codigo', sql.VarChar(30), f.Codigo)
+                        .query(`INSERT INTO IngredientesEtiquetas (Ingrediente, Tipo, Codigo) VALUES (@id, @tipo, @codigo);`);
+                }
+                await tx.commit();
+                return { antes: r.recordsets[1].map(tagRecord), despues: nuevas };
+            } catch (err) {
+                await tx.rollback();
+                throw err;
+            }
+        },
+
+        async recetas(codigos) {
+            if (!codigos.length) return [];
+            const request = pool.request();
+            const r = await request.query(`
+        SELECT d.CodigoProducto, d.Ingrediente, i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente, e.Tipo, e.Codigo
+        FROM ProductosTerminados_Detalle d
+        LEFT JOIN Ingredientes i ON d.Ingrediente = i.Identificador
+        LEFT JOIN IngredientesEtiquetas e ON e.Ingrediente = i.Identificador
+        WHERE d.CodigoProducto IN (${lista(request, codigos.map(String), sql.NVarChar, 'c')})
+        ORDER BY d.CodigoProducto, d.NumIngrediente, e.Tipo, e.Codigo;
+      `);
+            return r.recordset.map(tagRecord);
+        },
+
+        async lotes({ inicio, fin, lineas = null }) {
+            const request = pool.request()
+                .input('inicio', sql.Date, String(inicio))
+                .input('fin', sql.Date, String(fin));
+            const filtro = lineas?.length ? `AND b.LineadeMezclado IN (${lista(request, lineas, sql.Int, 'l')})` : '';
+            const r = await request.query(`
+        SELECT a.Consecutivo, a.ID_Lot AS Lote, a.Producto, b.LineadeMezclado, b.FechaProgramada, ISNULL(b.LimpiezaPrevia, 0) AS LimpiezaPrevia,
+               b.ProduccionInicio, ISNULL(b.LoteCompletado, 0) AS LoteCompletado
+        FROM ProgramacionProduccion a
+        JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        WHERE CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
+          AND ISNULL(a.Cancelado, 0) = 0
+          ${filtro}
+        ORDER BY b.LineadeMezclado, b.FechaProgramada, a.Consecutivo;
+      `);
+            return r.recordset.map(lotRecord);
+        },
+
+        async ingredientesLotes(ids) {
+            if (!ids.length) return [];
+            const request = pool.request();
+            const r = await request.query(`
+        SELECT DISTINCT d.Consecutivo, d.Ingrediente, e.Tipo, e.Codigo
+        FROM ProgramacionProduccion_Detalle d
+        LEFT JOIN IngredientesEtiquetas e ON e.Ingrediente = d.Ingrediente
+        WHERE d.Consecutivo IN (${lista(request, ids.map(Number), sql.BigInt, 'id')});
+      `);
+            return r.recordset.map(x => ({ ...tagRecord(x), Consecutivo: Number(x.Consecutivo) }));
+        },
+
+        async limpieza(consecutivo, valor) {
+            const r = await pool.request()
+                .input('consecutivo', sql.BigInt, Number(consecutivo))
+                .input('valor', sql.Bit, bit(valor))
+                .query(`
+        UPDATE ProgramacionProduccion_Control SET LimpiezaPrevia = @valor
+        OUTPUT ISNULL(deleted.LimpiezaPrevia, 0) AS antes, inserted.LimpiezaPrevia AS despues
+        WHERE Consecutivo = @consecutivo;
+      `);
+            const x = r.recordset[0];
+            return x ? { antes: { LimpiezaPrevia: !!x.antes }, despues: { LimpiezaPrevia: !!x.despues } } : null;
+        },
+    };
+};
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const marcas = (n) => Array(n).fill('?').join(',');
+    const deIngrediente = db.prepare(`SELECT Ingrediente, Tipo, Codigo FROM IngredientesEtiquetas WHERE Ingrediente = ? ORDER BY Tipo, Codigo;`);
+
+    return {
+        async etiquetas(ids = null) {
+            if (ids && !ids.length) return [];
+            const filtro = ids ? `WHERE Ingrediente IN (${marcas(ids.length)})` : '';
+            return db.prepare(`SELECT Ingrediente, Tipo, Codigo FROM IngredientesEtiquetas ${filtro} ORDER BY Ingrediente, Tipo, Codigo;`)
+                .all(...(ids ?? []).map(Number)).map(tagRecord);
+        },
+
+        async asignar(id, etiquetas) {
+            return db.transaction(() => {
+                if (!db.prepare(`SELECT 1 FROM Ingredientes WHERE Identificador = ?;`).get(Number(id))) return null;
+                const antes = deIngrediente.all(Number(id)).map(tagRecord);
+                db.prepare(`DELETE FROM IngredientesEtiquetas WHERE Ingrediente = ?;`).run(Number(id));
+                const insertar = db.prepare(`INSERT INTO IngredientesEtiquetas (Ingrediente, Tipo, Codigo) VALUES (?, ?, ?);`);
+                for (const f of filas(etiquetas)) insertar.run(Number(id), f.Tipo, f.Codigo);
+                return { antes, despues: deIngrediente.all(Number(id)).map(tagRecord) };
+            })();
+        },
+
+        async recetas(codigos) {
+            if (!codigos.length) return [];
+            return db.prepare(`
+        SELECT d.CodigoProducto, d.Ingrediente, i.Ingrediente || '; ' || IFNULL(i.Descripcion, '') AS NombreIngrediente, e.Tipo, e.Codigo
+        FROM ProductosTerminados_Detalle d
+        LEFT JOIN Ingredientes i ON d.Ingrediente = i.Identificador
+        LEFT JOIN IngredientesEtiquetas e ON e.Ingrediente = i.Identificador
+        WHERE d.CodigoProducto IN (${marcas(codigos.length)})
+        ORDER BY d.CodigoProducto, d.NumIngrediente, e.Tipo, e.Codigo;
+      `).all(...codigos.map(String)).map(tagRecord);
+        },
+
+        async lotes({ inicio, fin, lineas = null }) {
+            const filtro = lineas?.length ? `AND b.LineadeMezclado IN (${marcas(lineas.length)})` : '';
+            return db.prepare(`
+        SELECT a.Consecutivo, a.ID_Lot AS Lote, a.Producto, b.LineadeMezclado, b.FechaProgramada, IFNULL(b.LimpiezaPrevia, 0) AS LimpiezaPrevia,
+               b.ProduccionInicio, IFNULL(b.LoteCompletado, 0) AS LoteCompletado
+        FROM ProgramacionProduccion a
+        JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        WHERE date(b.FechaProgramada) BETWEEN date(?) AND date(?)
+          AND IFNULL(a.Cancelado, 0) = 0
+          ${filtro}
+        ORDER BY b.LineadeMezclado, b.FechaProgramada, a.Consecutivo;
+      `).all(String(inicio), String(fin), ...(lineas ?? [])).map(lotRecord);
+        },
+
+        async ingredientesLotes(ids) {
+            if (!ids.length) return [];
+            return db.prepare(`
+        SELECT DISTINCT d.Consecutivo, d.Ingrediente, e.Tipo, e.Codigo
+        FROM ProgramacionProduccion_Detalle d
+        LEFT JOIN IngredientesEtiquetas e ON e.Ingrediente = d.Ingrediente
+        WHERE d.Consecutivo IN (${marcas(ids.length)});
+      `).all(...ids.map(Number)).map(x => ({ ...tagRecord(x), Consecutivo: Number(x.Consecutivo) }));
+        },
+
+        async limpieza(consecutivo, valor) {
+            return db.transaction(() => {
+                const previo = db.prepare(`SELECT IFNULL(LimpiezaPrevia, 0) AS v FROM ProgramacionProduccion_Control WHERE Consecutivo = ?;`).get(Number(consecutivo));
+                if (!previo) return null;
+                db.prepare(`UPDATE ProgramacionProduccion_Control SET LimpiezaPrevia = ? WHERE Consecutivo = ?;`).run(bit(valor), Number(consecutivo));
+                return { antes: { LimpiezaPrevia: !!previo.v }, despues: { LimpiezaPrevia: !!valor } };
+            })();
+        },
+    };
+};
+
+// -------------------- Memoria (MOCK) --------------------
+export const memoria = (store) => {
+    const deIngrediente = (id) => store.IngredientesEtiquetas
+        .filter(e => Number(e.Ingrediente) === Number(id))
+        .map(tagRecord)
+        .sort((a, b) => a.Tipo.localeCompare(b.Tipo) || a.Codigo.localeCompare(b.Codigo));
+    // Una fila por etiqueta del ingrediente, o una sin etiqueta (LEFT JOIN)
+    const conEtiquetas = (base, ingrediente) => {
+        const propias = deIngrediente(ingrediente);
+        return propias.length
+            ? propias.map(e => tagRecord({ ...base, Ingrediente: ingrediente, Tipo: e.Tipo, Codigo: e.Codigo }))
+            : [tagRecord({ ...base, Ingrediente: ingrediente, Tipo: null, Codigo: null })];
+    };
+
+    return {
+        async etiquetas(ids = null) {
+            const filtro = ids ? new Set(ids.map(Number)) : null;
+            return store.IngredientesEtiquetas
+                .filter(e => !filtro || filtro.has(Number(e.Ingrediente)))
+                .map(tagRecord)
+                .sort((a, b) => Number(a.Ingrediente) - Number(b.Ingrediente) || a.Tipo.localeCompare(b.Tipo) || a.Codigo.localeCompare(b.Codigo));
+        },
+
+        async asignar(id, etiquetas) {
+            if (!store.ingrediente(id)) return null;
+            const antes = deIngrediente(id);
+            store.IngredientesEtiquetas = store.IngredientesEtiquetas.filter(e => Number(e.Ingrediente) !== Number(id));
+            store.IngredientesEtiquetas.push(...filas(etiquetas).map(f => ({ Ingrediente: Number(id), ...f })));
+            return { antes, despues: deIngrediente(id) };
+        },
+
+        async recetas(codigos) {
+            const pedidos = new Set(codigos.map(String));
+            return store.ProductosTerminados_Detalle
+                .filter(d => pedidos.has(d.CodigoProducto))
+                .sort((a, b) => a.CodigoProducto.localeCompare(b.CodigoProducto) || a.NumIngrediente - b.NumIngrediente)
+                .flatMap(d => conEtiquetas({ CodigoProducto: d.CodigoProducto, NombreIngrediente: store.nombreIngrediente(d.Ingrediente) }, d.Ingrediente));
+        },
+
+        async lotes({ inicio, fin, lineas = null }) {
+            return store.lotes()
+                .filter(({ a, b }) => !a.Cancelado && dia(b.FechaProgramada) >= dia(inicio) && dia(b.FechaProgramada) <= dia(fin))
+                .filter(({ b }) => !lineas?.length || lineas.includes(b.LineadeMezclado))
+                .map(({ a, b }) => lotRecord({
+                    Consecutivo: a.Consecutivo, Lote: a.ID_Lot, Producto: a.Producto, LineadeMezclado: b.LineadeMezclado,
+                    FechaProgramada: b.FechaProgramada, LimpiezaPrevia: b.LimpiezaPrevia, ProduccionInicio: b.ProduccionInicio,
+                    LoteCompletado: b.LoteCompletado
+                }))
+                .sort((x, y) => x.LineadeMezclado - y.LineadeMezclado || new Date(x.FechaProgramada) - new Date(y.FechaProgramada) || x.Consecutivo - y.Consecutivo);
+        },
+
+        async ingredientesLotes(ids) {
+            return ids.flatMap(id => {
+                const ingredientes = [...new Set(store.detalleLote(id).map(d => String(d.Ingrediente).trim()))];
+                return ingredientes.flatMap(ing => conEtiquetas({ Consecutivo: Number(id) }, ing));
+            });
+        },
+
+        async limpieza(consecutivo, valor) {
+            const l = store.lote(consecutivo);
+            if (!l) return null;
+            const antes = { LimpiezaPrevia: !!l.b.LimpiezaPrevia };
+            l.b.LimpiezaPrevia = bit(valor);
+            return { antes, despues: { LimpiezaPrevia: !!valor } };
+        },
+    };
+};
@@ -0,0 +1,123 @@
+// repos/analitica.js — datos crudos para los indicadores de producción (ver analytics.js)
+// ------------------------------------------------------------------
+// Ambas consultas toman los lotes con FechaProgramada (día) entre inicio y fin, cancelados incluidos.
+// lotes({ inicio, fin }) → [{ Consecutivo, Producto, DescripcionPT, IdUnidadMedida, Cancelado, LineadeMezclado, NombreLinea,
+//                             FechaProgramada, ProduccionInicio, ProduccionFinal, LoteCompletado }]
+// pesados({ inicio, fin }) → [{ Consecutivo, Secuencia, Ingrediente, NombreIngrediente, PesoProgramado, PesoReal,
+//                               TiempoDePesado, UsuarioPesado }] sólo ingredientes ya pesados, por lote y hora
+//   Los pesos están en la unidad del lote (IdUnidadMedida de lotes()); server.js los pasa a kg.
+
+import sql from 'mssql';
+import { dia } from '../mockstore.js';
+
+function lotRecord(row) {
+    return {
+        ...row, Consecutivo: Number(row.Consecutivo), Cancelado: !!row.Cancelado, LoteCompletado: !!row.LoteCompletado,
+        IdUnidadMedida: row.IdUnidadMedida != null ? Number(row.IdUnidadMedida) : null
+    };
+}
+
+function weighingRecord(row) {
+    return {
+        ...row, Consecutivo: Number(row.Consecutivo), Secuencia: Number(row.Secuencia), Ingrediente: String(row.Ingrediente).trim(),
+        PesoProgramado: Number(row.PesoProgramado ?? 0), PesoReal: Number(row.PesoReal ?? 0)
+    };
+}
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => {
+    const rango = (inicio, fin) => pool.request()
+        .input('inicio', sql.Date, String(inicio))
+        .input('fin', sql.Date, String(fin));
+
+    return {
+        async lotes({ inicio, fin }) {
+            const r = await rango(inicio, fin).query(`
+        SELECT a.Consecutivo, a.Producto, pt.Descripcion AS DescripcionPT, a.IdUnidadMedida, ISNULL(a.Cancelado, 0) AS Cancelado,
+               b.LineadeMezclado, l.Nombre AS NombreLinea, b.FechaProgramada, b.ProduccionInicio, b.ProduccionFinal,
+               ISNULL(b.LoteCompletado, 0) AS LoteCompletado
+        FROM ProgramacionProduccion a
+        JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN LineasMezclado l ON l.Identificador = b.LineadeMezclado
+        WHERE CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
+        ORDER BY a.Consecutivo;
+      `);
+            return r.recordset.map(lotRecord);
+        },
+
+        async pesados({ inicio, fin }) {
+            const r = await rango(inicio, fin).query(`
+        SELECT d.Consecutivo, d.Secuencia, d.Ingrediente, i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente,
+               d.PesoProgramado, d.PesoReal, d.TiempoDePesado, d.UsuarioPesado
+        FROM ProgramacionProduccion_Detalle d
+        JOIN ProgramacionProduccion_Control b ON b.Consecutivo = d.Consecutivo
+        LEFT JOIN Ingredientes i ON d.Ingrediente = i.Identificador
+        WHERE CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
+          AND d.TiempoDePesado IS NOT NULL
+        ORDER BY d.Consecutivo, d.TiempoDePesado, d.Secuencia;
+      `);
+            return r.recordset.map(weighingRecord);
+        },
+    };
+};
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => ({
+    async lotes({ inicio, fin }) {
+        return db.prepare(`
+      SELECT a.Consecutivo, a.Producto, pt.Descripcion AS DescripcionPT, a.IdUnidadMedida, IFNULL(a.Cancelado, 0) AS Cancelado,
+             b.LineadeMezclado, l.Nombre AS NombreLinea, b.FechaProgramada, b.ProduccionInicio, b.ProduccionFinal,
+             IFNULL(b.LoteCompletado, 0) AS LoteCompletado
+      FROM ProgramacionProduccion a
+      JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+      LEFT JOIN LineasMezclado l ON l.Identificador = b.LineadeMezclado
+      WHERE date(b.FechaProgramada) BETWEEN date(?) AND date(?)
+      ORDER BY a.Consecutivo;
+    `).all(String(inicio), String(fin)).map(lotRecord);
+    },
+
+    async pesados({ inicio, fin }) {
+        return db.prepare(`
+      SELECT d.Consecutivo, d.Secuencia, d.Ingrediente, i.Ingrediente || '; ' || IFNULL(i.Descripcion, '') AS NombreIngrediente,
+             d.PesoProgramado, d.PesoReal, d.TiempoDePesado, d.UsuarioPesado
+      FROM ProgramacionProduccion_Detalle d
+      JOIN ProgramacionProduccion_Control b ON b.Consecutivo = d.Consecutivo
+      LEFT JOIN Ingredientes i ON d.Ingrediente = i.Identificador
+      WHERE date(b.FechaProgramada) BETWEEN date(?) AND date(?)
+        AND d.TiempoDePesado IS NOT NULL
+      ORDER BY d.Consecutivo, d.TiempoDePesado, d.Secuencia;
+    `).all(String(inicio), String(fin)).map(weighingRecord);
+    },
+});
+
+// -------------------- Memoria (MOCK) --------------------
+export const memoria = (store) => {
+    const enRango = (inicio, fin) => store.lotes().filter(({ b }) => {
+        const fecha = dia(b.FechaProgramada);
+        return fecha && fecha >= dia(inicio) && fecha <= dia(fin);
+    });
+
+    return {
+        async lotes({ inicio, fin }) {
+            return enRango(inicio, fin).map(({ a, b }) => lotRecord({
+                Consecutivo: a.Consecutivo, Producto: a.Producto, DescripcionPT: store.producto(a.Producto)?.Descripcion ?? null,
+                IdUnidadMedida: a.IdUnidadMedida ?? null, Cancelado: a.Cancelado, LineadeMezclado: b.LineadeMezclado,
+                NombreLinea: store.LineasMezclado.find(l => l.Identificador === b.LineadeMezclado)?.Nombre ?? null,
+                FechaProgramada: b.FechaProgramada, ProduccionInicio: b.ProduccionInicio, ProduccionFinal: b.ProduccionFinal,
+                LoteCompletado: b.LoteCompletado
+            })).sort((x, y) => x.Consecutivo - y.Consecutivo);
+        },
+
+        async pesados({ inicio, fin }) {
+            return enRango(inicio, fin)
+                .flatMap(({ a }) => store.detalleLote(a.Consecutivo).filter(d => d.TiempoDePesado))
+                .sort((x, y) => x.Consecutivo - y.Consecutivo || new Date(x.TiempoDePesado) - new Date(y.TiempoDePesado) || x.Secuencia - y.Secuencia)
+                .map(d => weighingRecord({
+                    Consecutivo: d.Consecutivo, Secuencia: d.Secuencia, Ingrediente: d.Ingrediente, NombreIngrediente: store.nombreIngrediente(d.Ingrediente),
+                    PesoProgramado: d.PesoProgramado, PesoReal: d.PesoReal, TiempoDePesado: d.TiempoDePesado, UsuarioPesado: d.UsuarioPesado
+                }));
+        },
+    };
+};
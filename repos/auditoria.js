@@ -0,0 +1,107 @@
+// repos/auditoria.js — bitácora de escrituras persistida (Auditoria)
+// ------------------------------------------------------------------
+// guardar(entrada) → Id | null (memoria: la entrada sólo vive en el buffer de audit.js)
+//   entrada = { Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip } (Antes/Despues → JSON)
+// consultar({ entidad, entidadId, usuario, desde, hasta, limite }) → [{ id, ...entrada }] más reciente primero
+//   entidadId coincide con cualquiera de los ids separados por coma de EntidadId
+
+import sql from 'mssql';
+import { auditLog } from '../audit.js';
+import { iso } from './sqlite.js';
+
+const json = (v) => v == null ? null : JSON.stringify(v);
+
+function auditRecord(row) {
+    return {
+        ...row,
+        Antes: row.Antes ? JSON.parse(row.Antes) : null,
+        Despues: row.Despues ? JSON.parse(row.Despues) : null
+    };
+}
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => ({
+    async guardar(e) {
+        const r = await pool.request()
+            .input('fecha', sql.DateTime, new Date(e.Fecha))
+            .input('usuario', sql.NVarChar(50), e.Usuario)
+            .input('rol', sql.VarChar(20), e.Rol)
+            .input('metodo', sql.VarChar(10), e.Metodo)
+            .input('ruta', sql.NVarChar(400), e.Ruta)
+            .input('estado', sql.Int, e.Estado)
+            .input('entidad', sql.NVarChar(100), e.Entidad)
+            .input('entidadId', sql.NVarChar(400), e.EntidadId)
+            .input('antes', sql.NVarChar(sql.MAX), json(e.Antes))
+            .input('despues', sql.NVarChar(sql.MAX), json(e.Despues))
+            .input('ip', sql.NVarChar(64), e.Ip ?? null)
+            .query(`
+        INSERT INTO Auditoria (Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip)
+        VALUES (@fecha, @usuario, @rol, @metodo, @ruta, @estado, @entidad, @entidadId, @antes, @despues, @ip);
+        SELECT CAST(SCOPE_IDENTITY() AS BIGINT) AS id;
+      `);
+        return r.recordset[0].id;
+    },
+
+    async consultar(f) {
+        const r = await pool.request()
+            .input('entidad', sql.NVarChar(100), f.entidad)
+            .input('entidadId', sql.NVarChar(400), f.entidadId)
+            .input('usuario', sql.NVarChar(50), f.usuario)
+            .input('desde', sql.DateTime, f.desde)
+            .input('hasta', sql.DateTime, f.hasta)
+            .input('limite', sql.Int, f.limite)
+            .query(`
+        SELECT TOP (@limite) Id AS id, Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip
+        FROM Auditoria
+        WHERE (@entidad IS NULL OR Entidad = @entidad)
+          AND (@entidadId IS NULL OR ',' + EntidadId + ',' LIKE '%,' + @entidadId + ',%')
+          AND (@usuario IS NULL OR Usuario = @usuario)
+          AND (@desde IS NULL OR Fecha >= @desde)
+          AND (@hasta IS NULL OR Fecha <= @hasta)
+        ORDER BY Id DESC;
+      `);
+        return r.recordset.map(auditRecord);
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => ({
+    async guardar(e) {
+        const r = db.prepare(`
+      INSERT INTO Auditoria (Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip)
+      VALUES (@fecha, @usuario, @rol, @metodo, @ruta, @estado, @entidad, @entidadId, @antes, @despues, @ip);
+    `).run({
+            fecha: iso(e.Fecha), usuario: e.Usuario, rol: e.Rol, metodo: e.Metodo, ruta: e.Ruta, estado: e.Estado,
+            entidad: e.Entidad, entidadId: e.EntidadId, antes: json(e.Antes), despues: json(e.Despues), ip: e.Ip ?? null
+        });
+        return Number(r.lastInsertRowid);
+    },
+
+    // Entidad sin distinguir mayúsculas, como la intercalación de SQL Server
+    async consultar(f) {
+        return db.prepare(`
+      SELECT Id AS id, Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip
+      FROM Auditoria
+      WHERE (@entidad IS NULL OR Entidad = @entidad COLLATE NOCASE)
+        AND (@entidadId IS NULL OR ',' || EntidadId || ',' LIKE '%,' || @entidadId || ',%')
+        AND (@usuario IS NULL OR Usuario = @usuario)
+        AND (@desde IS NULL OR Fecha >= @desde)
+        AND (@hasta IS NULL OR Fecha <= @hasta)
+      ORDER BY Id DESC
+      LIMIT @limite;
+    `).all({
+            entidad: f.entidad, entidadId: f.entidadId, usuario: f.usuario, desde: iso(f.desde), hasta: iso(f.hasta), limite: f.limite
+        }).map(auditRecord);
+    },
+});
+
+// -------------------- Memoria --------------------
+export const memoria = () => ({
+    async guardar() {
+        return null;
+    },
+
+    async consultar(f) {
+        return auditLog.query(f);
+    },
+});
@@ -0,0 +1,125 @@
+// repos/basculas.js — configuración de básculas por línea de mezclado (Basculas)
+// ------------------------------------------------------------------
+// bascula = { Nombre, LineadeMezclado, Protocolo, Transporte, Host, Puerto, RutaSerial, Baudios, Unidad, Resolucion, Activo }
+// activas() → [{ Id, Nombre, LineadeMezclado, Protocolo, Transporte, Host, Puerto, RutaSerial, Baudios, Unidad, Resolucion }]
+//   lo que scales.configure() conecta; en memoria son las básculas simuladas de los fixtures
+// obtener(id) → { Id, ...bascula } | null (activa o no) · crear(bascula) → Id · actualizar(id, bascula)
+
+import sql from 'mssql';
+import { bit } from './sqlite.js';
+
+const COLUMNAS = `Identificador AS Id, Nombre, LineadeMezclado, Protocolo, Transporte, Host, Puerto, RutaSerial, Baudios, Unidad, Resolucion`;
+
+const scaleRecord = (row) => row ? { ...row, Activo: !!row.Activo } : null;
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => {
+    const request = (b) => pool.request()
+        .input('nombre', sql.NVarChar(100), b.Nombre)
+        .input('linea', sql.Int, b.LineadeMezclado)
+        .input('protocolo', sql.VarChar(20), b.Protocolo)
+        .input('transporte', sql.VarChar(20), b.Transporte)
+        .input('host', sql.NVarChar(100), b.Host)
+        .input('puerto', sql.Int, b.Puerto)
+        .input('rutaSerial', sql.NVarChar(100), b.RutaSerial)
+        .input('baudios', sql.Int, b.Baudios)
+        .input('unidad', sql.VarChar(5), b.Unidad)
+        .input('resolucion', sql.Decimal(18, 6), b.Resolucion)
+        .input('activo', sql.Bit, bit(b.Activo));
+
+    return {
+        async activas() {
+            const r = await pool.request().query(`SELECT ${COLUMNAS} FROM Basculas WHERE Activo = 1;`);
+            return r.recordset;
+        },
+
+        async obtener(id) {
+            const r = await pool.request()
+                .input('id', sql.Int, Number(id))
+                .query(`SELECT ${COLUMNAS}, Activo FROM Basculas WHERE Identificador = @id;`);
+            return scaleRecord(r.recordset[0]);
+        },
+
+        async crear(b) {
+            const r = await request(b).query(`
+        INSERT INTO Basculas (Nombre, LineadeMezclado, Protocolo, Transporte, Host, Puerto, RutaSerial, Baudios, Unidad, Resolucion, Activo)
+        VALUES (@nombre, @linea, @protocolo, @transporte, @host, @puerto, @rutaSerial, @baudios, @unidad, @resolucion, @activo);
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS id;
+      `);
+            return r.recordset[0].id;
+        },
+
+        async actualizar(id, b) {
+            await request(b)
+                .input('id', sql.Int, Number(id))
+                .query(`
+          UPDATE Basculas
+          SET Nombre = @nombre, LineadeMezclado = @linea, Protocolo = @protocolo, Transporte = @transporte,
+              Host = @host, Puerto = @puerto, RutaSerial = @rutaSerial, Baudios = @baudios,
+              Unidad = @unidad, Resolucion = @resolucion, Activo = @activo
+          WHERE Identificador = @id;
+        `);
+        },
+    };
+};
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const params = (b) => ({
+        nombre: b.Nombre, linea: b.LineadeMezclado, protocolo: b.Protocolo, transporte: b.Transporte, host: b.Host, puerto: b.Puerto,
+        rutaSerial: b.RutaSerial, baudios: b.Baudios, unidad: b.Unidad, resolucion: b.Resolucion, activo: bit(b.Activo)
+    });
+
+    return {
+        async activas() {
+            return db.prepare(`SELECT ${COLUMNAS} FROM Basculas WHERE Activo = 1;`).all();
+        },
+
+        async obtener(id) {
+            return scaleRecord(db.prepare(`SELECT ${COLUMNAS}, Activo FROM Basculas WHERE Identificador = ?;`).get(Number(id)));
+        },
+
+        async crear(b) {
+            const r = db.prepare(`
+        INSERT INTO Basculas (Nombre, LineadeMezclado, Protocolo, Transporte, Host, Puerto, RutaSerial, Baudios, Unidad, Resolucion, Activo)
+        VALUES (@nombre, @linea, @protocolo, @transporte, @host, @puerto, @rutaSerial, @baudios, @unidad, @resolucion, @activo);
+      `).run(params(b));
+            return Number(r.lastInsertRowid);
+        },
+
+        async actualizar(id, b) {
+            db.prepare(`
+        UPDATE Basculas
+        SET Nombre = @nombre, LineadeMezclado = @linea, Protocolo = @protocolo, Transporte = @transporte,
+            Host = @host, Puerto = @puerto, RutaSerial = @rutaSerial, Baudios = @baudios,
+            Unidad = @unidad, Resolucion = @resolucion, Activo = @activo
+        WHERE Identificador = @id;
+      `).run({ ...params(b), id: Number(id) });
+        },
+    };
+};
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => ({
+    async activas() {
+        return store.Basculas.filter(b => b.Activo).map(({ Identificador, Activo, ...b }) => ({ Id: Identificador, ...b }));
+    },
+
+    async obtener(id) {
+        const fila = store.Basculas.find(x => x.Identificador === Number(id));
+        if (!fila) return null;
+        const { Identificador, ...b } = fila;
+        return scaleRecord({ Id: Identificador, ...b });
+    },
+
+    async crear(b) {
+        const id = store.nextId('Basculas');
+        store.Basculas.push({ Identificador: id, ...b, Activo: bit(b.Activo) });
+        return id;
+    },
+
+    async actualizar(id, b) {
+        const fila = store.Basculas.find(x => x.Identificador === Number(id));
+        if (fila) Object.assign(fila, { ...b, Activo: bit(b.Activo) });
+    },
+});
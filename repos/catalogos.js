@@ -0,0 +1,291 @@
+// repos/catalogos.js — catálogos maestros: Clientes, CategoriasIngredientes, ProveedoresIngredientes y UnidadesDeMedida
+// ------------------------------------------------------------------
+// catalogo = clave de CATALOGOS. registro = { Id, Nombre, Activo } (+ Abreviatura, FactorKg, Decimales en unidades)
+// listado(catalogo, { estado }) → [registro] por nombre (estado 'activo' | 'inactivo' | null = todos)
+// obtener(catalogo, id) → registro | null
+// duplicado(catalogo, registro, exceptoId?) → campo repetido ('Nombre' | 'Abreviatura') | null
+//   Sin distinguir mayúsculas ni espacios alrededor, igual que la revisión de nombres de ingredientes.
+// crear(catalogo, registro) → Id · actualizar(catalogo, id, campos) → { antes, despues } | null (campos parciales)
+// referencias(catalogo, id) → [{ Tabla, Clave, Nombre, Detalle }] filas activas que lo usan (impiden desactivarlo):
+//   clientes → productos activos · categorias → ingredientes activos
+//   proveedores → lotes de inventario con existencia de ingredientes activos
+//   unidades → lotes pendientes (ni completados ni cancelados) programados en la unidad
+// unidadConLotes(id) → boolean: algún lote guarda sus pesos en la unidad (su FactorKg ya no puede cambiar)
+
+import sql from 'mssql';
+import { bit } from './sqlite.js';
+
+export const CATALOGOS = {
+    clientes: { tabla: 'Clientes', columnas: { Nombre: 'Cliente' }, unicos: ['Nombre'] },
+    categorias: { tabla: 'CategoriasIngredientes', columnas: { Nombre: 'Categoria' }, unicos: ['Nombre'] },
+    proveedores: { tabla: 'ProveedoresIngredientes', columnas: { Nombre: 'Proveedor' }, unicos: ['Nombre'] },
+    unidades: {
+        tabla: 'UnidadesDeMedida',
+        columnas: { Nombre: 'UnidaddeMedida', Abreviatura: 'Abreviatura', FactorKg: 'FactorKg', Decimales: 'Decimales' },
+        unicos: ['Nombre', 'Abreviatura'],
+    },
+};
+
+const TIPOS = {
+    Nombre: sql.NVarChar(100), Abreviatura: sql.NVarChar(10), FactorKg: sql.Decimal(18, 9), Decimales: sql.Int, Activo: sql.Bit,
+};
+
+const descriptor = (catalogo) => CATALOGOS[catalogo];
+const columna = (c, campo) => campo === 'Activo' ? 'Activo' : c.columnas[campo];
+const camposDe = (c, registro) => Object.keys(registro).filter(k => registro[k] !== undefined && columna(c, k));
+
+function selectColumns(c) {
+    return ['Identificador AS Id', ...Object.entries(c.columnas).map(([campo, col]) => `${col} AS ${campo}`), 'Activo'].join(', ');
+}
+
+function catalogRecord(row) {
+    if (!row) return null;
+    const r = { ...row, Id: Number(row.Id), Activo: !!row.Activo };
+    if ('FactorKg' in row) r.FactorKg = row.FactorKg != null ? Number(row.FactorKg) : null;
+    if ('Decimales' in row) r.Decimales = row.Decimales != null ? Number(row.Decimales) : null;
+    return r;
+}
+
+const FILTRO_ESTADO = `(@estado IS NULL OR (@estado = 'activo' AND Activo = 1) OR (@estado = 'inactivo' AND Activo = 0))`;
+
+// Mismo SQL en SQL Server y SQLite (@id con nombre en ambos).
+const REFERENCIAS = {
+    clientes: `
+      SELECT 'ProductosTerminados' AS Tabla, CodigoProducto AS Clave, Descripcion AS Nombre, NULL AS Detalle
+      FROM ProductosTerminados
+      WHERE Cliente = @id AND Activo = 1
+      ORDER BY CodigoProducto;`,
+    categorias: `
+      SELECT 'Ingredientes' AS Tabla, CAST(Identificador AS VARCHAR(20)) AS Clave, Ingrediente AS Nombre, NULL AS Detalle
+      FROM Ingredientes
+      WHERE CategoriaID = @id AND Activo = 1
+      ORDER BY Identificador;`,
+    proveedores: `
+      SELECT 'InventarioLotes' AS Tabla, CAST(l.Identificador AS VARCHAR(20)) AS Clave, i.Ingrediente AS Nombre, l.LoteProveedor AS Detalle
+      FROM InventarioLotes l
+      JOIN Ingredientes i ON i.Identificador = l.Ingrediente
+      WHERE l.ProveedorID = @id AND i.Activo = 1
+        AND (SELECT COALESCE(SUM(m.Cantidad), 0) FROM InventarioMovimientos m WHERE m.LoteInventarioID = l.Identificador) > 0
+      ORDER BY l.Identificador;`,
+    unidades: `
+      SELECT 'ProgramacionProduccion' AS Tabla, CAST(a.Consecutivo AS VARCHAR(20)) AS Clave, a.ID_Lot AS Nombre, a.Producto AS Detalle
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      WHERE a.IdUnidadMedida = @id AND COALESCE(a.Cancelado, 0) = 0 AND COALESCE(b.LoteCompletado, 0) = 0
+      ORDER BY a.Consecutivo;`,
+};
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => {
+    const bind = (request, c, registro) => {
+        for (const campo of camposDe(c, registro)) request.input(campo, TIPOS[campo], campo === 'Activo' ? bit(registro[campo]) : registro[campo]);
+        return request;
+    };
+
+    return {
+        async listado(catalogo, { estado = null } = {}) {
+            const c = descriptor(catalogo);
+            const r = await pool.request()
+                .input('estado', sql.VarChar(10), estado)
+                .query(`SELECT ${selectColumns(c)} FROM ${c.tabla} WHERE ${FILTRO_ESTADO} ORDER BY ${c.columnas.Nombre};`);
+            return r.recordset.map(catalogRecord);
+        },
+
+        async obtener(catalogo, id) {
+            const c = descriptor(catalogo);
+            const r = await pool.request()
+                .input('id', sql.Int, Number(id))
+                .query(`SELECT ${selectColumns(c)} FROM ${c.tabla} WHERE Identificador = @id;`);
+            return catalogRecord(r.recordset[0]);
+        },
+
+        async duplicado(catalogo, registro, exceptoId = null) {
+            const c = descriptor(catalogo);
+            for (const campo of c.unicos.filter(k => registro[k] != null)) {
+                const r = await pool.request()
+                    .input('valor', sql.NVarChar(100), String(registro[campo]).trim())
+                    .input('id', sql.Int, exceptoId)
+                    .query(`
+          SELECT COUNT(*) AS c FROM ${c.tabla}
+          WHERE LTRIM(RTRIM(${c.columnas[campo]})) = @valor AND (@id IS NULL OR Identificador <> @id);
+        `);
+                if (r.recordset[0].c > 0) return campo;
+            }
+            return null;
+        },
+
+        async crear(catalogo, registro) {
+            const c = descriptor(catalogo);
+            const campos = camposDe(c, registro);
+            const r = await bind(pool.request(), c, registro).query(`
+        INSERT INTO ${c.tabla} (${campos.map(k => columna(c, k)).join(', ')})
+        VALUES (${campos.map(k => `@${k}`).join(', ')});
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS id;
+      `);
+            return r.recordset[0].id;
+        },
+
+        async actualizar(catalogo, id, campos) {
+            const c = descriptor(catalogo);
+            const set = camposDe(c, campos).map(k => `${columna(c, k)} = @${k}`);
+            const salida = selectColumns(c).split(', ').map(s => `deleted.${s}`).join(', ');
+            const r = await bind(pool.request(), c, campos)
+                .input('id', sql.Int, Number(id))
+                .query(`
+        UPDATE ${c.tabla} SET ${set.join(', ')}
+        OUTPUT ${salida}
+        WHERE Identificador = @id;
+        SELECT ${selectColumns(c)} FROM ${c.tabla} WHERE Identificador = @id;
+      `);
+            const antes = catalogRecord(r.recordsets[0][0]);
+            return antes ? { antes, despues: catalogRecord(r.recordsets[1][0]) } : null;
+        },
+
+        async referencias(catalogo, id) {
+            const r = await pool.request().input('id', sql.Int, Number(id)).query(REFERENCIAS[catalogo]);
+            return r.recordset;
+        },
+
+        async unidadConLotes(id) {
+            const r = await pool.request()
+                .input('id', sql.Int, Number(id))
+                .query(`SELECT CASE WHEN EXISTS (SELECT 1 FROM ProgramacionProduccion WHERE IdUnidadMedida = @id) THEN 1 ELSE 0 END AS usada;`);
+            return !!r.recordset[0].usada;
+        },
+    };
+};
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const valores = (c, registro) => Object.fromEntries(camposDe(c, registro).map(k => [k, k === 'Activo' ? bit(registro[k]) : registro[k]]));
+    const leer = (c, id) => catalogRecord(db.prepare(`SELECT ${selectColumns(c)} FROM ${c.tabla} WHERE Identificador = ?;`).get(Number(id)));
+
+    return {
+        async listado(catalogo, { estado = null } = {}) {
+            const c = descriptor(catalogo);
+            return db.prepare(`SELECT ${selectColumns(c)} FROM ${c.tabla} WHERE ${FILTRO_ESTADO} ORDER BY ${c.columnas.Nombre} COLLATE NOCASE;`)
+                .all({ estado }).map(catalogRecord);
+        },
+
+        async obtener(catalogo, id) {
+            return leer(descriptor(catalogo), id);
+        },
+
+        async duplicado(catalogo, registro, exceptoId = null) {
+            const c = descriptor(catalogo);
+            return c.unicos.filter(k => registro[k] != null).find(campo => db.prepare(`
+        SELECT 1 FROM ${c.tabla}
+        WHERE trim(${c.columnas[campo]}) = @valor COLLATE NOCASE AND (@id IS NULL OR Identificador <> @id);
+      `).get({ valor: String(registro[campo]).trim(), id: exceptoId })) ?? null;
+        },
+
+        async crear(catalogo, registro) {
+            const c = descriptor(catalogo);
+            const campos = camposDe(c, registro);
+            const r = db.prepare(`
+        INSERT INTO ${c.tabla} (${campos.map(k => columna(c, k)).join(', ')})
+        VALUES (${campos.map(k => `@${k}`).join(', ')});
+      `).run(valores(c, registro));
+            return Number(r.lastInsertRowid);
+        },
+
+        async actualizar(catalogo, id, campos) {
+            const c = descriptor(catalogo);
+            const set = camposDe(c, campos).map(k => `${columna(c, k)} = @${k}`);
+            return db.transaction(() => {
+                const antes = leer(c, id);
+                if (!antes) return null;
+                db.prepare(`UPDATE ${c.tabla} SET ${set.join(', ')} WHERE Identificador = @id;`).run({ ...valores(c, campos), id: Number(id) });
+                return { antes, despues: leer(c, id) };
+            })();
+        },
+
+        async referencias(catalogo, id) {
+            return db.prepare(REFERENCIAS[catalogo]).all({ id: Number(id) });
+        },
+
+        async unidadConLotes(id) {
+            return !!db.prepare(`SELECT 1 FROM ProgramacionProduccion WHERE IdUnidadMedida = ?;`).get(Number(id));
+        },
+    };
+};
+
+// -------------------- Memoria --------------------
+export const memoria = (store) => {
+    const filas = (c) => store[c.tabla];
+    const fila = (c, id) => filas(c).find(r => r.Identificador === Number(id));
+    const texto = (v) => String(v ?? '').trim().toLowerCase();
+    const registro = (c, r) => catalogRecord(r && {
+        Id: r.Identificador, ...Object.fromEntries(Object.entries(c.columnas).map(([campo, col]) => [campo, r[col] ?? null])), Activo: r.Activo
+    });
+
+    return {
+        async listado(catalogo, { estado = null } = {}) {
+            const c = descriptor(catalogo);
+            return filas(c)
+                .filter(r => !estado || (estado === 'activo') === !!r.Activo)
+                .map(r => registro(c, r))
+                .sort((a, b) => a.Nombre.localeCompare(b.Nombre));
+        },
+
+        async obtener(catalogo, id) {
+            const c = descriptor(catalogo);
+            return registro(c, fila(c, id));
+        },
+
+        async duplicado(catalogo, nuevo, exceptoId = null) {
+            const c = descriptor(catalogo);
+            return c.unicos.filter(k => nuevo[k] != null).find(campo => filas(c).some(r =>
+                texto(r[c.columnas[campo]]) === texto(nuevo[campo]) && r.Identificador !== exceptoId
+            )) ?? null;
+        },
+
+        async crear(catalogo, nuevo) {
+            const c = descriptor(catalogo);
+            const id = store.nextId(c.tabla);
+            const r = { Identificador: id, Activo: 1 };
+            for (const campo of camposDe(c, nuevo)) r[columna(c, campo)] = campo === 'Activo' ? bit(nuevo[campo]) : nuevo[campo];
+            filas(c).push(r);
+            return id;
+        },
+
+        async actualizar(catalogo, id, campos) {
+            const c = descriptor(catalogo);
+            const r = fila(c, id);
+            if (!r) return null;
+            const antes = registro(c, r);
+            for (const campo of camposDe(c, campos)) r[columna(c, campo)] = campo === 'Activo' ? bit(campos[campo]) : campos[campo];
+            return { antes, despues: registro(c, r) };
+        },
+
+        async referencias(catalogo, id) {
+            const n = Number(id);
+            if (catalogo === 'clientes') {
+                return store.ProductosTerminados.filter(p => p.Cliente === n && p.Activo)
+                    .sort((a, b) => a.CodigoProducto.localeCompare(b.CodigoProducto))
+                    .map(p => ({ Tabla: 'ProductosTerminados', Clave: p.CodigoProducto, Nombre: p.Descripcion, Detalle: null }));
+            }
+            if (catalogo === 'categorias') {
+                return store.Ingredientes.filter(i => i.CategoriaID === n && i.Activo)
+                    .sort((a, b) => a.Identificador - b.Identificador)
+                    .map(i => ({ Tabla: 'Ingredientes', Clave: String(i.Identificador), Nombre: i.Ingrediente, Detalle: null }));
+            }
+            if (catalogo === 'proveedores') {
+                return store.InventarioLotes
+                    .filter(l => l.ProveedorID === n && store.ingrediente(l.Ingrediente)?.Activo && store.existenciaLote(l.Identificador) > 0)
+                    .sort((a, b) => a.Identificador - b.Identificador)
+                    .map(l => ({ Tabla: 'InventarioLotes', Clave: String(l.Identificador), Nombre: store.ingrediente(l.Ingrediente).Ingrediente, Detalle: l.LoteProveedor }));
+            }
+            if (catalogo === 'unidades') {
+                return store.lotes().filter(({ a, b }) => a.IdUnidadMedida === n && !a.Cancelado && !b.LoteCompletado)
+                    .sort((x, y) => x.a.Consecutivo - y.a.Consecutivo)
+                    .map(({ a }) => ({ Tabla: 'ProgramacionProduccion', Clave: String(a.Consecutivo), Nombre: a.ID_Lot, Detalle: a.Producto }));
+            }
+            return [];
+        },
+
+        async unidadConLotes(id) {
+            return store.ProgramacionProduccion.some(a => a.IdUnidadMedida === Number(id));
+        },
+    };
+};
@@ -0,0 +1,35 @@
+// repos/clientes.js — repositorio de Clientes
+// ------------------------------------------------------------------
+// activos() → [{ identificador, cliente }] ordenados por nombre
+
+export const mssql = (pool) => ({
+    async activos() {
+        const r = await pool.request().query(`
+      SELECT Identificador AS identificador, Cliente AS cliente
+      FROM Clientes
+      WHERE Activo = 1
+      ORDER BY Cliente;
+    `);
+        return r.recordset;
+    },
+});
+
+export const sqlite = (db) => ({
+    async activos() {
+        return db.prepare(`
+      SELECT Identificador AS identificador, Cliente AS cliente
+      FROM Clientes
+      WHERE Activo = 1
+      ORDER BY Cliente COLLATE NOCASE;
+    `).all();
+    },
+});
+
+export const memoria = (store) => ({
+    async activos() {
+        return store.Clientes
+            .filter(c => c.Activo)
+            .map(c => ({ identificador: c.Identificador, cliente: c.Cliente }))
+            .sort((a, b) => a.cliente.localeCompare(b.cliente));
+    },
+});
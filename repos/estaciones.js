@@ -0,0 +1,219 @@
+// repos/estaciones.js — bloqueo de lotes por estación de pesaje (BloqueosLotes)
+// ------------------------------------------------------------------
+// bloqueo = { Consecutivo, Estacion, Usuario, Desde, Expira, UltimoLatido, Vigente }
+// bloqueo(consecutivo) → bloqueo | null
+// reclamar({ consecutivo, estacion, usuario, segundos, forzar }) → { bloqueo, anterior }
+//   | { error: 'not_found' } | { error: 'closed' } (cancelado o completado)
+//   | { error: 'held', bloqueo } (vigente de otra estación/usuario; forzar = toma de supervisor)
+//   Reclamar el propio bloqueo lo renueva sin cambiar Desde; anterior = bloqueo de otro que se reemplazó.
+// latido({ consecutivo, estacion, usuario, segundos }) → bloqueo | null (ya no es suyo)
+// liberar(consecutivo, { estacion, usuario }?) → boolean; sin estación libera el de quien sea
+
+import sql from 'mssql';
+import { ahora } from './sqlite.js';
+
+const COLUMNAS = 'Consecutivo, Estacion, Usuario, Desde, Expira, UltimoLatido';
+
+// Fila → bloqueo (Vigente lo calcula SQL Server con su reloj; sqlite/memoria con el del proceso)
+function leaseRecord(row) {
+    if (!row) return null;
+    const vigente = row.Vigente ?? new Date(row.Expira) > new Date();
+    return { ...row, Consecutivo: Number(row.Consecutivo), Vigente: !!vigente };
+}
+
+function isOwn(b, { estacion, usuario }) {
+    return !!b && b.Estacion === estacion && b.Usuario === usuario;
+}
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => {
+    const seleccion = `SELECT ${COLUMNAS}, CAST(CASE WHEN Expira > GETDATE() THEN 1 ELSE 0 END AS BIT) AS Vigente FROM BloqueosLotes`;
+
+    return {
+        async bloqueo(consecutivo) {
+            const r = await pool.request()
+                .input('consecutivo', sql.BigInt, Number(consecutivo))
+                .query(`${seleccion} WHERE Consecutivo = @consecutivo;`);
+            return leaseRecord(r.recordset[0]);
+        },
+
+        async reclamar({ consecutivo, estacion, usuario, segundos, forzar = false }) {
+            const tx = new sql.Transaction(pool);
+            await tx.begin();
+            try {
+                const r = await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Number(consecutivo))
+                    .query(`
+          SELECT ISNULL(a.Cancelado, 0) AS Cancelado, ISNULL(b.LoteCompletado, 0) AS LoteCompletado
+          FROM ProgramacionProduccion a
+          LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+          WHERE a.Consecutivo = @consecutivo;
+          SELECT ${COLUMNAS}, CAST(CASE WHEN Expira > GETDATE() THEN 1 ELSE 0 END AS BIT) AS Vigente
+          FROM BloqueosLotes WITH (UPDLOCK, HOLDLOCK)
+          WHERE Consecutivo = @consecutivo;
+        `);
+                const lote = r.recordsets[0][0];
+                const actual = leaseRecord(r.recordsets[1][0]);
+                const propio = isOwn(actual, { estacion, usuario });
+                let error = null;
+                if (!lote) error = { error: 'not_found' };
+                else if (lote.Cancelado || lote.LoteCompletado) error = { error: 'closed' };
+                else if (actual?.Vigente && !propio && !forzar) error = { error: 'held', bloqueo: actual };
+                if (error) {
+                    await tx.rollback();
+                    return error;
+                }
+
+                const rUpsert = await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Number(consecutivo))
+                    .input('estacion', sql.NVarChar(50), estacion)
+                    .input('usuario', sql.NVarChar(50), usuario)
+                    .input('segundos', sql.Int, segundos)
+                    .input('propio', sql.Bit, propio ? 1 : 0)
+                    .query(`
+          IF EXISTS (SELECT 1 FROM BloqueosLotes WHERE Consecutivo = @consecutivo)
+              UPDATE BloqueosLotes
+              SET Estacion = @estacion, Usuario = @usuario,
+                  Desde = CASE WHEN @propio = 1 THEN Desde ELSE GETDATE() END,
+                  Expira = DATEADD(SECOND, @segundos, GETDATE()), UltimoLatido = GETDATE()
+              WHERE Consecutivo = @consecutivo;
+          ELSE
+              INSERT INTO BloqueosLotes (Consecutivo, Estacion, Usuario, Desde, Expira, UltimoLatido)
+              VALUES (@consecutivo, @estacion, @usuario, GETDATE(), DATEADD(SECOND, @segundos, GETDATE()), GETDATE());
+          ${seleccion} WHERE Consecutivo = @consecutivo;
+        `);
+                await tx.commit();
+                return { bloqueo: leaseRecord(rUpsert.recordset[0]), anterior: propio ? null : actual };
+            } catch (err) {
+                await tx.rollback();
+                throw err;
+            }
+        },
+
+        async latido({ consecutivo, estacion, usuario, segundos }) {
+            const r = await pool.request()
+                .input('consecutivo', sql.BigInt, Number(consecutivo))
+                .input('estacion', sql.NVarChar(50), estacion)
+                .input('usuario', sql.NVarChar(50), usuario)
+                .input('segundos', sql.Int, segundos)
+                .query(`
+        UPDATE BloqueosLotes
+        SET Expira = DATEADD(SECOND, @segundos, GETDATE()), UltimoLatido = GETDATE()
+        WHERE Consecutivo = @consecutivo AND Estacion = @estacion AND Usuario = @usuario;
+        ${seleccion} WHERE Consecutivo = @consecutivo AND Estacion = @estacion AND Usuario = @usuario;
+      `);
+            return leaseRecord(r.recordset[0]);
+        },
+
+        async liberar(consecutivo, { estacion, usuario } = {}) {
+            const r = await pool.request()
+                .input('consecutivo', sql.BigInt, Number(consecutivo))
+                .input('estacion', sql.NVarChar(50), estacion ?? null)
+                .input('usuario', sql.NVarChar(50), usuario ?? null)
+                .query(`
+        DELETE FROM BloqueosLotes
+        WHERE Consecutivo = @consecutivo
+          AND (@estacion IS NULL OR (Estacion = @estacion AND Usuario = @usuario));
+      `);
+            return r.rowsAffected[0] > 0;
+        },
+    };
+};
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const expira = (segundos) => new Date(Date.now() + segundos * 1000).toISOString();
+    const leer = (consecutivo) => leaseRecord(db.prepare(`SELECT ${COLUMNAS} FROM BloqueosLotes WHERE Consecutivo = ?;`).get(Number(consecutivo)));
+
+    return {
+        async bloqueo(consecutivo) {
+            return leer(consecutivo);
+        },
+
+        async reclamar({ consecutivo, estacion, usuario, segundos, forzar = false }) {
+            return db.transaction(() => {
+                const lote = db.prepare(`
+          SELECT IFNULL(a.Cancelado, 0) AS Cancelado, IFNULL(b.LoteCompletado, 0) AS LoteCompletado
+          FROM ProgramacionProduccion a
+          LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+          WHERE a.Consecutivo = ?;
+        `).get(Number(consecutivo));
+                if (!lote) return { error: 'not_found' };
+                if (lote.Cancelado || lote.LoteCompletado) return { error: 'closed' };
+                const actual = leer(consecutivo);
+                const propio = isOwn(actual, { estacion, usuario });
+                if (actual?.Vigente && !propio && !forzar) return { error: 'held', bloqueo: actual };
+
+                const fecha = ahora();
+                db.prepare(`
+          INSERT INTO BloqueosLotes (Consecutivo, Estacion, Usuario, Desde, Expira, UltimoLatido)
+          VALUES (@consecutivo, @estacion, @usuario, @fecha, @expira, @fecha)
+          ON CONFLICT (Consecutivo) DO UPDATE SET
+              Estacion = excluded.Estacion, Usuario = excluded.Usuario,
+              Desde = CASE WHEN @propio = 1 THEN Desde ELSE excluded.Desde END,
+              Expira = excluded.Expira, UltimoLatido = excluded.UltimoLatido;
+        `).run({ consecutivo: Number(consecutivo), estacion, usuario, fecha, expira: expira(segundos), propio: propio ? 1 : 0 });
+                return { bloqueo: leer(consecutivo), anterior: propio ? null : actual };
+            })();
+        },
+
+        async latido({ consecutivo, estacion, usuario, segundos }) {
+            const r = db.prepare(`
+        UPDATE BloqueosLotes SET Expira = ?, UltimoLatido = ?
+        WHERE Consecutivo = ? AND Estacion = ? AND Usuario = ?;
+      `).run(expira(segundos), ahora(), Number(consecutivo), estacion, usuario);
+            return r.changes ? leer(consecutivo) : null;
+        },
+
+        async liberar(consecutivo, { estacion, usuario } = {}) {
+            const r = db.prepare(`
+        DELETE FROM BloqueosLotes
+        WHERE Consecutivo = @consecutivo
+          AND (@estacion IS NULL OR (Estacion = @estacion AND Usuario = @usuario));
+      `).run({ consecutivo: Number(consecutivo), estacion: estacion ?? null, usuario: usuario ?? null });
+            return r.changes > 0;
+        },
+    };
+};
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => {
+    const fila = (consecutivo) => store.BloqueosLotes.find(b => b.Consecutivo === Number(consecutivo));
+
+    return {
+        async bloqueo(consecutivo) {
+            return leaseRecord(fila(consecutivo));
+        },
+
+        async reclamar({ consecutivo, estacion, usuario, segundos, forzar = false }) {
+            const l = store.lote(consecutivo);
+            if (!l) return { error: 'not_found' };
+            if (l.a.Cancelado || l.b.LoteCompletado) return { error: 'closed' };
+            const actual = leaseRecord(fila(consecutivo));
+            const propio = isOwn(actual, { estacion, usuario });
+            if (actual?.Vigente && !propio && !forzar) return { error: 'held', bloqueo: actual };
+
+            const fecha = new Date();
+            const nuevo = { Estacion: estacion, Usuario: usuario, Expira: new Date(fecha.getTime() + segundos * 1000), UltimoLatido: fecha };
+            const f = fila(consecutivo);
+            if (f) Object.assign(f, nuevo, propio ? {} : { Desde: fecha });
+            else store.BloqueosLotes.push({ Consecutivo: Number(consecutivo), ...nuevo, Desde: fecha });
+            return { bloqueo: leaseRecord(fila(consecutivo)), anterior: propio ? null : actual };
+        },
+
+        async latido({ consecutivo, estacion, usuario, segundos }) {
+            const f = fila(consecutivo);
+            if (!isOwn(f, { estacion, usuario })) return null;
+            const fecha = new Date();
+            Object.assign(f, { Expira: new Date(fecha.getTime() + segundos * 1000), UltimoLatido: fecha });
+            return leaseRecord(f);
+        },
+
+        async liberar(consecutivo, { estacion, usuario } = {}) {
+            const f = fila(consecutivo);
+            if (!f || (estacion != null && !isOwn(f, { estacion, usuario }))) return false;
+            store.BloqueosLotes.splice(store.BloqueosLotes.indexOf(f), 1);
+            return true;
+        },
+    };
+};
@@ -0,0 +1,620 @@
+// repos/formulas.js — repositorio de ProductosTerminados y sus versiones de fórmula
+// ------------------------------------------------------------------
+// Cada edición crea una versión inmutable en FormulasVersiones(_Detalle). Sólo la
+// versión activa se copia a ProductosTerminados_Detalle (lo que usa el SP de programación).
+//
+// activas() → [{ nombre }] · listado({ codigo, cliente, nombreCliente, activo }, listing) → respuesta de listado
+// detalle(codigo) → [{ Clave, Nombre, Porcentaje, Comentario }] · existe(codigo) → boolean
+// crear({ Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes }, autor) → versión (PK duplicada = excepción)
+// editar(codigo, { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes, NotaCambio }, propuesta, autor)
+//   → { antes, ultima, anterior, version, estado }  (sin cambios en la receta → estado null, version = ultima)
+// versiones(codigo) · version(codigo, n) → fila | null · lineas(codigo, n) → [{ NumIngrediente, Clave, Nombre, Porcentaje, Comentario }]
+// aprobar(codigo, n, usuario) · activar(codigo, n, usuario) → { antes, estado } | { error: 'not_found' | 'conflict', Estado }
+
+import sql from 'mssql';
+import { diffVersions, nextVersionState } from '../formulas.js';
+import { orderBySql, searchSql, pageSql, bindListing, listingResponse, applyListing, searchSqlite, pageSqlite, listingParams } from '../listing.js';
+import { ahora, bit } from './sqlite.js';
+
+export const LISTADO = {
+    campos: {
+        CodigoProducto: 'pt.CodigoProducto', Descripcion: 'pt.Descripcion', NombreCliente: 'pt.NombreCliente',
+        Cliente: 'c.Cliente', FechaCreacion: 'pt.FechaCreacion', Activo: 'pt.Activo'
+    },
+    porDefecto: 'CodigoProducto',
+};
+
+// Compara contra la última versión (sea cual sea su estado) → ¿hay que crear un borrador?
+function recetaCambio(anterior, propuesta, ultima) {
+    return !(ultima && diffVersions(anterior, propuesta).every(d => d.cambio === 'igual'));
+}
+
+// -------------------- SQL Server --------------------
+
+// Inserta una versión nueva (Version = MAX + 1) → número de versión
+async function insertFormulaVersion(tx, codigo, ingredientes, { estado, nota, autor }) {
+    const r = await new sql.Request(tx)
+        .input('codigo', sql.NVarChar, codigo)
+        .input('estado', sql.VarChar(12), estado)
+        .input('nota', sql.NVarChar(500), nota ?? null)
+        .input('autor', sql.NVarChar(50), autor)
+        .query(`
+      DECLARE @version INT = ISNULL((SELECT MAX(Version) FROM FormulasVersiones WITH (UPDLOCK, HOLDLOCK) WHERE CodigoProducto = @codigo), 0) + 1;
+      INSERT INTO FormulasVersiones (CodigoProducto, Version, Estado, NotaCambio, Autor, FechaCreacion,
+                                     FechaActivacion, UsuarioActivo)
+      VALUES (@codigo, @version, @estado, @nota, @autor, GETDATE(),
+              CASE WHEN @estado = 'activa' THEN GETDATE() END, CASE WHEN @estado = 'activa' THEN @autor END);
+      SELECT CAST(SCOPE_IDENTITY() AS INT) AS id, @version AS version;
+    `);
+    const { id, version } = r.recordset[0];
+
+    let num = 1;
+    for (const ing of ingredientes) {
+        await new sql.Request(tx)
+            .input('VersionID', sql.Int, id)
+            .input('Num', sql.Int, ing.NumIngrediente ?? num)
+            .input('Ingrediente', sql.NVarChar, String(ing.Clave))
+            .input('Porcentaje', sql.Decimal(18, 5), String(ing.Porcentaje))
+            .input('Comentario', sql.NVarChar, ing.Comentario ?? null)
+            .query(`
+        INSERT INTO FormulasVersiones_Detalle (VersionID, NumIngrediente, Ingrediente, Porcentaje, Comentario)
+        VALUES (@VersionID, @Num, @Ingrediente, @Porcentaje, @Comentario);
+      `);
+        num++;
+    }
+    return version;
+}
+
+// Productos creados antes del versionado: congela la receta vigente como versión 1 activa
+async function ensureBaseVersion(tx, codigo) {
+    const r = await new sql.Request(tx)
+        .input('codigo', sql.NVarChar, codigo)
+        .query(`
+      SELECT COUNT(*) AS c FROM FormulasVersiones WHERE CodigoProducto = @codigo;
+      SELECT NumIngrediente, Ingrediente AS Clave, Porcentaje, Comentario
+      FROM ProductosTerminados_Detalle WHERE CodigoProducto = @codigo ORDER BY NumIngrediente;
+    `);
+    if (r.recordsets[0][0].c > 0) return;
+    await insertFormulaVersion(tx, codigo, r.recordsets[1], { estado: 'activa', nota: 'Receta previa al versionado', autor: 'migracion' });
+}
+
+// Ingredientes de una versión → [{ NumIngrediente, Clave, Nombre, Porcentaje, Comentario }]
+async function formulaVersionLines(request, codigo, version) {
+    const r = await request
+        .input('codigo', sql.NVarChar, codigo)
+        .input('version', sql.Int, Number(version))
+        .query(`
+      SELECT d.NumIngrediente, d.Ingrediente AS Clave, i.Ingrediente AS Nombre,
+             CONVERT(VARCHAR(32), CONVERT(DECIMAL(18,5), d.Porcentaje)) AS Porcentaje,
+             ISNULL(d.Comentario, '') AS Comentario
+      FROM FormulasVersiones v
+      INNER JOIN FormulasVersiones_Detalle d ON d.VersionID = v.Identificador
+      LEFT JOIN Ingredientes i ON d.Ingrediente = i.Identificador
+      WHERE v.CodigoProducto = @codigo AND v.Version = @version
+      ORDER BY d.NumIngrediente;
+    `);
+    return r.recordset;
+}
+
+export const mssql = (pool) => ({
+    async activas() {
+        const r = await pool.request().query(`
+      SELECT CodigoProducto AS nombre
+      FROM ProductosTerminados
+      WHERE Activo = 1
+      ORDER BY CodigoProducto COLLATE Latin1_General_CI_AS;
+    `);
+        return r.recordset;
+    },
+
+    async listado({ codigo, cliente, nombreCliente, activo }, listing) {
+        const fromWhere = `
+        FROM ProductosTerminados pt
+        LEFT JOIN Clientes c ON pt.Cliente = c.Identificador
+        WHERE 1=1
+          AND (@codigo IS NULL OR pt.CodigoProducto LIKE @codigo)
+          AND (@cliente IS NULL OR c.Cliente LIKE @cliente)
+          AND (@nombreCliente IS NULL OR pt.NombreCliente LIKE @nombreCliente)
+          AND (@activo IS NULL OR pt.Activo = @activo)
+          ${searchSql(listing, ['pt.CodigoProducto', 'pt.Descripcion', 'pt.NombreCliente', 'c.Cliente'])}`;
+        const r = await bindListing(pool.request(), listing, sql)
+            .input('codigo', sql.NVarChar, codigo ? `%${String(codigo)}%` : null)
+            .input('cliente', sql.NVarChar, cliente ? `%${String(cliente)}%` : null)
+            .input('nombreCliente', sql.NVarChar, nombreCliente ? `%${String(nombreCliente)}%` : null)
+            .input('activo', sql.Int, (activo && String(activo) !== 'todos') ? Number(activo) : null)
+            .query(`
+        SELECT COUNT(*) AS total ${fromWhere};
+        SELECT 
+          pt.CodigoProducto AS CodigoProducto, 
+          pt.Descripcion AS Descripcion, 
+          pt.NombreCliente AS NombreCliente,
+          c.Cliente AS Cliente,
+          pt.Cliente AS ClienteId,
+          pt.FechaCreacion AS FechaCreacion,
+          pt.Activo AS Activo
+        ${fromWhere}
+        ${orderBySql(listing, LISTADO.campos, 'pt.CodigoProducto')}
+        ${pageSql(listing)}
+      `);
+        return listingResponse(listing, r.recordsets[1], r.recordsets[0][0].total);
+    },
+
+    async detalle(codigo) {
+        const r = await pool.request()
+            .input('codigo', sql.NVarChar, codigo)
+            .query(`
+        SELECT 
+          pd.Ingrediente AS Clave,
+          i.Ingrediente AS Nombre,
+          CONVERT(VARCHAR(32), CONVERT(DECIMAL(18,5), pd.Porcentaje)) AS Porcentaje,
+          ISNULL(pd.Comentario, '') AS Comentario
+        FROM ProductosTerminados_Detalle pd
+        LEFT JOIN Ingredientes i ON pd.Ingrediente = i.Identificador
+        WHERE pd.CodigoProducto = @codigo
+        ORDER BY pd.NumIngrediente;
+      `);
+        return r.recordset;
+    },
+
+    async existe(codigo) {
+        const r = await pool.request()
+            .input('codigo', sql.NVarChar, String(codigo))
+            .query(`SELECT COUNT(*) AS c FROM ProductosTerminados WHERE CodigoProducto = @codigo;`);
+        return r.recordset[0].c > 0;
+    },
+
+    async crear({ Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes }, autor) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            await new sql.Request(tx)
+                .input('Codigo', sql.NVarChar, Codigo)
+                .input('Descripcion', sql.NVarChar, Descripcion)
+                .input('ClienteId', sql.Int, Number(ClienteId))
+                .input('NombreCliente', sql.NVarChar, NombreCliente)
+                .input('Usuario', sql.NVarChar(50), autor)
+                .query(`
+          INSERT INTO ProductosTerminados (CodigoProducto, Descripcion, Cliente, NombreCliente, FechaCreacion, UsuarioCreador, Activo)
+          VALUES (@Codigo, @Descripcion, @ClienteId, @NombreCliente, GETDATE(), @Usuario, 1);
+        `);
+
+            let num = 1;
+            for (const ing of Ingredientes) {
+                await new sql.Request(tx)
+                    .input('CodigoProducto', sql.NVarChar, Codigo)
+                    .input('Num', sql.Int, num++)
+                    .input('Ingrediente', sql.NVarChar, String(ing.Clave))
+                    .input('Porcentaje', sql.Decimal(18, 5), String(ing.Porcentaje)) // ← solo precisión/valor
+                    .input('Comentario', sql.NVarChar, ing.Comentario ?? null)
+                    .query(`
+            INSERT INTO ProductosTerminados_Detalle (CodigoProducto, NumIngrediente, Ingrediente, Porcentaje, Comentario)
+            VALUES (@CodigoProducto, @Num, @Ingrediente, @Porcentaje, @Comentario);
+          `);
+            }
+
+            const version = await insertFormulaVersion(tx, Codigo, Ingredientes, { estado: 'activa', nota: 'Versión inicial', autor });
+            await tx.commit();
+            return version;
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async editar(codigo, { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes, NotaCambio }, propuesta, autor) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const rH = await new sql.Request(tx)
+                .input('Codigo', sql.NVarChar, codigo)
+                .input('Descripcion', sql.NVarChar, Descripcion)
+                .input('ClienteId', sql.Int, Number(ClienteId))
+                .input('NombreCliente', sql.NVarChar, NombreCliente)
+                .input('Activo', sql.Int, Activo ? 1 : 0)
+                .query(`
+          UPDATE ProductosTerminados
+          SET Descripcion = @Descripcion,
+              Cliente = @ClienteId,
+              NombreCliente = @NombreCliente,
+              Activo = @Activo
+          OUTPUT deleted.Descripcion, deleted.Cliente AS ClienteId, deleted.NombreCliente, CAST(deleted.Activo AS BIT) AS Activo
+          WHERE CodigoProducto = @Codigo;
+        `);
+
+            await ensureBaseVersion(tx, codigo);
+
+            const rUlt = await new sql.Request(tx)
+                .input('codigo', sql.NVarChar, codigo)
+                .query(`SELECT MAX(Version) AS version FROM FormulasVersiones WHERE CodigoProducto = @codigo;`);
+            const ultima = rUlt.recordset[0]?.version;
+            const anterior = ultima ? await formulaVersionLines(new sql.Request(tx), codigo, ultima) : [];
+
+            let version = ultima;
+            let estado = null;
+            if (recetaCambio(anterior, propuesta, ultima)) {
+                version = await insertFormulaVersion(tx, codigo, Ingredientes, { estado: 'borrador', nota: NotaCambio, autor });
+                estado = 'borrador';
+            }
+
+            await tx.commit();
+            return { antes: rH.recordset[0] ?? null, ultima, anterior, version, estado };
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async versiones(codigo) {
+        const r = await pool.request()
+            .input('codigo', sql.NVarChar, codigo)
+            .query(`
+        SELECT v.Version, v.Estado, v.NotaCambio, v.Autor, v.FechaCreacion,
+               v.UsuarioAprobo, v.FechaAprobacion, v.UsuarioActivo, v.FechaActivacion,
+               (SELECT COUNT(*) FROM FormulasVersiones_Detalle d WHERE d.VersionID = v.Identificador) AS Ingredientes
+        FROM FormulasVersiones v
+        WHERE v.CodigoProducto = @codigo
+        ORDER BY v.Version DESC;
+      `);
+        return r.recordset;
+    },
+
+    async version(codigo, version) {
+        const r = await pool.request()
+            .input('codigo', sql.NVarChar, codigo)
+            .input('version', sql.Int, version)
+            .query(`
+        SELECT Version, Estado, NotaCambio, Autor, FechaCreacion, UsuarioAprobo, FechaAprobacion, UsuarioActivo, FechaActivacion
+        FROM FormulasVersiones
+        WHERE CodigoProducto = @codigo AND Version = @version;
+      `);
+        return r.recordset[0] ?? null;
+    },
+
+    async lineas(codigo, version) {
+        return formulaVersionLines(pool.request(), codigo, version);
+    },
+
+    async aprobar(codigo, version, usuario) {
+        await pool.request()
+            .input('codigo', sql.NVarChar, codigo)
+            .input('version', sql.Int, version)
+            .input('usuario', sql.NVarChar(50), usuario)
+            .query(`
+        UPDATE FormulasVersiones
+        SET Estado = 'aprobada', UsuarioAprobo = @usuario, FechaAprobacion = GETDATE()
+        WHERE CodigoProducto = @codigo AND Version = @version AND Estado = 'borrador';
+      `);
+    },
+
+    async activar(codigo, version, usuario) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const r = await new sql.Request(tx)
+                .input('codigo', sql.NVarChar, codigo)
+                .input('version', sql.Int, version)
+                .query(`SELECT Identificador, Estado FROM FormulasVersiones WITH (UPDLOCK) WHERE CodigoProducto = @codigo AND Version = @version;`);
+            const v = r.recordset[0];
+            const estado = v && nextVersionState(v.Estado, 'activar');
+            if (!estado) {
+                await tx.rollback();
+                return v ? { error: 'conflict', Estado: v.Estado } : { error: 'not_found' };
+            }
+
+            await new sql.Request(tx)
+                .input('codigo', sql.NVarChar, codigo)
+                .input('id', sql.Int, v.Identificador)
+                .input('usuario', sql.NVarChar(50), usuario)
+                .query(`
+          UPDATE FormulasVersiones SET Estado = 'retirada'
+          WHERE CodigoProducto = @codigo AND Estado = 'activa';
+
+          UPDATE FormulasVersiones
+          SET Estado = 'activa', UsuarioActivo = @usuario, FechaActivacion = GETDATE()
+          WHERE Identificador = @id;
+
+          DELETE FROM ProductosTerminados_Detalle WHERE CodigoProducto = @codigo;
+          INSERT INTO ProductosTerminados_Detalle (CodigoProducto, NumIngrediente, Ingrediente, Porcentaje, Comentario)
+          SELECT @codigo, NumIngrediente, Ingrediente, Porcentaje, Comentario
+          FROM FormulasVersiones_Detalle
+          WHERE VersionID = @id;
+        `);
+
+            await tx.commit();
+            return { antes: v.Estado, estado };
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const insertarVersion = (codigo, ingredientes, { estado, nota, autor }) => {
+        const version = db.prepare(`SELECT IFNULL(MAX(Version), 0) + 1 FROM FormulasVersiones WHERE CodigoProducto = ?;`).pluck().get(codigo);
+        const fecha = ahora();
+        const { lastInsertRowid: id } = db.prepare(`
+      INSERT INTO FormulasVersiones (CodigoProducto, Version, Estado, NotaCambio, Autor, FechaCreacion, FechaActivacion, UsuarioActivo)
+      VALUES (@codigo, @version, @estado, @nota, @autor, @fecha,
+              CASE WHEN @estado = 'activa' THEN @fecha END, CASE WHEN @estado = 'activa' THEN @autor END);
+    `).run({ codigo, version, estado, nota: nota ?? null, autor, fecha });
+        const linea = db.prepare(`
+      INSERT INTO FormulasVersiones_Detalle (VersionID, NumIngrediente, Ingrediente, Porcentaje, Comentario)
+      VALUES (?, ?, ?, ?, ?);
+    `);
+        ingredientes.forEach((ing, i) => linea.run(id, ing.NumIngrediente ?? i + 1, String(ing.Clave), Number(ing.Porcentaje), ing.Comentario ?? null));
+        return version;
+    };
+
+    const lineas = (codigo, version) => db.prepare(`
+      SELECT d.NumIngrediente, d.Ingrediente AS Clave, i.Ingrediente AS Nombre,
+             printf('%.5f', d.Porcentaje) AS Porcentaje,
+             IFNULL(d.Comentario, '') AS Comentario
+      FROM FormulasVersiones v
+      INNER JOIN FormulasVersiones_Detalle d ON d.VersionID = v.Identificador
+      LEFT JOIN Ingredientes i ON d.Ingrediente = CAST(i.Identificador AS TEXT)
+      WHERE v.CodigoProducto = ? AND v.Version = ?
+      ORDER BY d.NumIngrediente;
+    `).all(codigo, Number(version));
+
+    return {
+        async activas() {
+            return db.prepare(`
+        SELECT CodigoProducto AS nombre
+        FROM ProductosTerminados
+        WHERE Activo = 1
+        ORDER BY CodigoProducto COLLATE NOCASE;
+      `).all();
+        },
+
+        async listado({ codigo, cliente, nombreCliente, activo }, listing) {
+            const params = {
+                ...listingParams(listing),
+                codigo: codigo ? `%${String(codigo)}%` : null,
+                cliente: cliente ? `%${String(cliente)}%` : null,
+                nombreCliente: nombreCliente ? `%${String(nombreCliente)}%` : null,
+                activo: (activo && String(activo) !== 'todos') ? Number(activo) : null,
+            };
+            const fromWhere = `
+        FROM ProductosTerminados pt
+        LEFT JOIN Clientes c ON pt.Cliente = c.Identificador
+        WHERE 1=1
+          AND (@codigo IS NULL OR pt.CodigoProducto LIKE @codigo)
+          AND (@cliente IS NULL OR c.Cliente LIKE @cliente)
+          AND (@nombreCliente IS NULL OR pt.NombreCliente LIKE @nombreCliente)
+          AND (@activo IS NULL OR pt.Activo = @activo)
+          ${searchSqlite(listing, ['pt.CodigoProducto', 'pt.Descripcion', 'pt.NombreCliente', 'c.Cliente'])}`;
+            const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromWhere}`).get(params);
+            const datos = db.prepare(`
+        SELECT 
+          pt.CodigoProducto AS CodigoProducto, 
+          pt.Descripcion AS Descripcion, 
+          pt.NombreCliente AS NombreCliente,
+          c.Cliente AS Cliente,
+          pt.Cliente AS ClienteId,
+          pt.FechaCreacion AS FechaCreacion,
+          pt.Activo AS Activo
+        ${fromWhere}
+        ${orderBySql(listing, LISTADO.campos, 'pt.CodigoProducto')}
+        ${pageSqlite(listing)}
+      `).all(params);
+            return listingResponse(listing, datos, total);
+        },
+
+        async detalle(codigo) {
+            return db.prepare(`
+        SELECT 
+          pd.Ingrediente AS Clave,
+          i.Ingrediente AS Nombre,
+          printf('%.5f', pd.Porcentaje) AS Porcentaje,
+          IFNULL(pd.Comentario, '') AS Comentario
+        FROM ProductosTerminados_Detalle pd
+        LEFT JOIN Ingredientes i ON pd.Ingrediente = CAST(i.Identificador AS TEXT)
+        WHERE pd.CodigoProducto = ?
+        ORDER BY pd.NumIngrediente;
+      `).all(codigo);
+        },
+
+        async existe(codigo) {
+            return !!db.prepare(`SELECT 1 FROM ProductosTerminados WHERE CodigoProducto = ?;`).get(String(codigo));
+        },
+
+        async crear({ Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes }, autor) {
+            return db.transaction(() => {
+                db.prepare(`
+          INSERT INTO ProductosTerminados (CodigoProducto, Descripcion, Cliente, NombreCliente, FechaCreacion, UsuarioCreador, Activo)
+          VALUES (?, ?, ?, ?, ?, ?, 1);
+        `).run(Codigo, Descripcion, Number(ClienteId), NombreCliente, ahora(), autor);
+                const linea = db.prepare(`
+          INSERT INTO ProductosTerminados_Detalle (CodigoProducto, NumIngrediente, Ingrediente, Porcentaje, Comentario)
+          VALUES (?, ?, ?, ?, ?);
+        `);
+                Ingredientes.forEach((ing, i) => linea.run(Codigo, i + 1, String(ing.Clave), Number(ing.Porcentaje), ing.Comentario ?? null));
+                return insertarVersion(Codigo, Ingredientes, { estado: 'activa', nota: 'Versión inicial', autor });
+            })();
+        },
+
+        async editar(codigo, { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes, NotaCambio }, propuesta, autor) {
+            return db.transaction(() => {
+                const antes = db.prepare(`
+          SELECT Descripcion, Cliente AS ClienteId, NombreCliente, Activo FROM ProductosTerminados WHERE CodigoProducto = ?;
+        `).get(codigo);
+                db.prepare(`
+          UPDATE ProductosTerminados
+          SET Descripcion = ?, Cliente = ?, NombreCliente = ?, Activo = ?
+          WHERE CodigoProducto = ?;
+        `).run(Descripcion, Number(ClienteId), NombreCliente, bit(Activo), codigo);
+
+                // Productos cargados sin versiones: congela la receta vigente como versión 1 activa
+                const ultimaPrevia = db.prepare(`SELECT MAX(Version) FROM FormulasVersiones WHERE CodigoProducto = ?;`).pluck();
+                if (!ultimaPrevia.get(codigo)) {
+                    const receta = db.prepare(`
+            SELECT NumIngrediente, Ingrediente AS Clave, Porcentaje, Comentario
+            FROM ProductosTerminados_Detalle WHERE CodigoProducto = ? ORDER BY NumIngrediente;
+          `).all(codigo);
+                    insertarVersion(codigo, receta, { estado: 'activa', nota: 'Receta previa al versionado', autor: 'migracion' });
+                }
+
+                const ultima = ultimaPrevia.get(codigo);
+                const anterior = ultima ? lineas(codigo, ultima) : [];
+                let version = ultima;
+                let estado = null;
+                if (recetaCambio(anterior, propuesta, ultima)) {
+                    version = insertarVersion(codigo, Ingredientes, { estado: 'borrador', nota: NotaCambio, autor });
+                    estado = 'borrador';
+                }
+                return { antes: antes ? { ...antes, Activo: !!antes.Activo } : null, ultima, anterior, version, estado };
+            })();
+        },
+
+        async versiones(codigo) {
+            return db.prepare(`
+        SELECT v.Version, v.Estado, v.NotaCambio, v.Autor, v.FechaCreacion,
+               v.UsuarioAprobo, v.FechaAprobacion, v.UsuarioActivo, v.FechaActivacion,
+               (SELECT COUNT(*) FROM FormulasVersiones_Detalle d WHERE d.VersionID = v.Identificador) AS Ingredientes
+        FROM FormulasVersiones v
+        WHERE v.CodigoProducto = ?
+        ORDER BY v.Version DESC;
+      `).all(codigo);
+        },
+
+        async version(codigo, version) {
+            return db.prepare(`
+        SELECT Version, Estado, NotaCambio, Autor, FechaCreacion, UsuarioAprobo, FechaAprobacion, UsuarioActivo, FechaActivacion
+        FROM FormulasVersiones
+        WHERE CodigoProducto = ? AND Version = ?;
+      `).get(codigo, version) ?? null;
+        },
+
+        async lineas(codigo, version) {
+            return lineas(codigo, version);
+        },
+
+        async aprobar(codigo, version, usuario) {
+            db.prepare(`
+        UPDATE FormulasVersiones
+        SET Estado = 'aprobada', UsuarioAprobo = ?, FechaAprobacion = ?
+        WHERE CodigoProducto = ? AND Version = ? AND Estado = 'borrador';
+      `).run(usuario, ahora(), codigo, version);
+        },
+
+        async activar(codigo, version, usuario) {
+            return db.transaction(() => {
+                const v = db.prepare(`SELECT Identificador, Estado FROM FormulasVersiones WHERE CodigoProducto = ? AND Version = ?;`).get(codigo, version);
+                const estado = v && nextVersionState(v.Estado, 'activar');
+                if (!estado) return v ? { error: 'conflict', Estado: v.Estado } : { error: 'not_found' };
+
+                const p = { codigo, id: v.Identificador, usuario, fecha: ahora() };
+                db.prepare(`UPDATE FormulasVersiones SET Estado = 'retirada' WHERE CodigoProducto = @codigo AND Estado = 'activa';`).run(p);
+                db.prepare(`UPDATE FormulasVersiones SET Estado = 'activa', UsuarioActivo = @usuario, FechaActivacion = @fecha WHERE Identificador = @id;`).run(p);
+                db.prepare(`DELETE FROM ProductosTerminados_Detalle WHERE CodigoProducto = @codigo;`).run(p);
+                db.prepare(`
+          INSERT INTO ProductosTerminados_Detalle (CodigoProducto, NumIngrediente, Ingrediente, Porcentaje, Comentario)
+          SELECT @codigo, NumIngrediente, Ingrediente, Porcentaje, Comentario
+          FROM FormulasVersiones_Detalle
+          WHERE VersionID = @id;
+        `).run(p);
+                return { antes: v.Estado, estado };
+            })();
+        },
+    };
+};
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => ({
+    async activas() {
+        return store.ProductosTerminados
+            .filter(p => p.Activo)
+            .map(p => ({ nombre: p.CodigoProducto }))
+            .sort((a, b) => a.nombre.localeCompare(b.nombre, undefined, { sensitivity: 'accent' }));
+    },
+
+    async listado({ codigo, cliente, nombreCliente, activo }, listing) {
+        const contiene = (valor, filtro) => !filtro || String(valor ?? '').toLowerCase().includes(String(filtro).toLowerCase());
+        const filas = store.ProductosTerminados
+            .map(pt => ({
+                CodigoProducto: pt.CodigoProducto,
+                Descripcion: pt.Descripcion,
+                NombreCliente: pt.NombreCliente,
+                Cliente: store.cliente(pt.Cliente)?.Cliente ?? null,
+                ClienteId: pt.Cliente,
+                FechaCreacion: pt.FechaCreacion,
+                Activo: Number(pt.Activo)
+            }))
+            .filter(p => contiene(p.CodigoProducto, codigo) && contiene(p.Cliente, cliente) && contiene(p.NombreCliente, nombreCliente))
+            .filter(p => !activo || String(activo) === 'todos' || p.Activo === Number(activo));
+        return applyListing(filas, listing, ['CodigoProducto', 'Descripcion', 'NombreCliente', 'Cliente']);
+    },
+
+    async detalle(codigo) {
+        return store.ProductosTerminados_Detalle
+            .filter(d => d.CodigoProducto === codigo)
+            .sort((a, b) => a.NumIngrediente - b.NumIngrediente)
+            .map(d => ({
+                Clave: d.Ingrediente, Nombre: store.ingrediente(d.Ingrediente)?.Ingrediente ?? null,
+                Porcentaje: Number(d.Porcentaje).toFixed(5), Comentario: d.Comentario ?? ''
+            }));
+    },
+
+    async existe(codigo) {
+        return !!store.producto(codigo);
+    },
+
+    async crear({ Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes }, autor) {
+        if (store.producto(Codigo)) {
+            // Mismo resultado que la PK de ProductosTerminados
+            throw new Error(`Violation of PRIMARY KEY constraint. Cannot insert duplicate key in object 'dbo.ProductosTerminados'. The duplicate key value is (${Codigo}).`);
+        }
+        store.ProductosTerminados.push({
+            CodigoProducto: Codigo, Descripcion, Cliente: Number(ClienteId), NombreCliente, FechaCreacion: new Date(), UsuarioCreador: autor, Activo: 1
+        });
+        Ingredientes.forEach((ing, i) => store.ProductosTerminados_Detalle.push({
+            CodigoProducto: Codigo, NumIngrediente: i + 1, Ingrediente: String(ing.Clave), Porcentaje: Number(ing.Porcentaje), Comentario: ing.Comentario ?? null
+        }));
+        return store.insertFormulaVersion(Codigo, Ingredientes, { estado: 'activa', nota: 'Versión inicial', autor });
+    },
+
+    async editar(codigo, { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes, NotaCambio }, propuesta, autor) {
+        const pt = store.producto(codigo);
+        const antes = pt ? { Descripcion: pt.Descripcion, ClienteId: pt.Cliente, NombreCliente: pt.NombreCliente, Activo: !!pt.Activo } : null;
+        if (pt) Object.assign(pt, { Descripcion, Cliente: Number(ClienteId), NombreCliente, Activo: Activo ? 1 : 0 });
+        const ultima = store.FormulasVersiones.filter(v => v.CodigoProducto === codigo).reduce((m, v) => Math.max(m, v.Version), 0) || null;
+        const anterior = ultima ? store.formulaVersionLines(codigo, ultima) : [];
+        const cambio = recetaCambio(anterior, propuesta, ultima);
+        const version = cambio ? store.insertFormulaVersion(codigo, Ingredientes, { estado: 'borrador', nota: NotaCambio, autor }) : ultima;
+        return { antes, ultima, anterior, version, estado: cambio ? 'borrador' : null };
+    },
+
+    async versiones(codigo) {
+        return store.FormulasVersiones
+            .filter(v => v.CodigoProducto === codigo)
+            .sort((x, y) => y.Version - x.Version)
+            .map(({ Identificador, CodigoProducto, ...v }) => ({ ...v, Ingredientes: store.FormulasVersiones_Detalle.filter(d => d.VersionID === Identificador).length }));
+    },
+
+    async version(codigo, version) {
+        const v = store.formulaVersion(codigo, version);
+        if (!v) return null;
+        const { Identificador, CodigoProducto, ...datos } = v;
+        return datos;
+    },
+
+    async lineas(codigo, version) {
+        return store.formulaVersionLines(codigo, version);
+    },
+
+    async aprobar(codigo, version, usuario) {
+        const v = store.formulaVersion(codigo, version);
+        if (v?.Estado === 'borrador') Object.assign(v, { Estado: 'aprobada', UsuarioAprobo: usuario, FechaAprobacion: new Date() });
+    },
+
+    async activar(codigo, version, usuario) {
+        const v = store.formulaVersion(codigo, version);
+        const estado = v && nextVersionState(v.Estado, 'activar');
+        if (!estado) return v ? { error: 'conflict', Estado: v.Estado } : { error: 'not_found' };
+        const antes = v.Estado;
+        store.activateFormulaVersion(codigo, version, usuario);
+        return { antes, estado };
+    },
+});
@@ -0,0 +1,190 @@
+// repos/fotos.js — fotos del pesado guardadas en ProgramacionProduccion_Detalle y PesadosParciales (ver photos.js)
+// ------------------------------------------------------------------
+// foto = { Consecutivo, Secuencia, Parcial, TiempoDePesado, Foto (Buffer|null), FotoHash, FotoMime, FotoTamano, FotoPurgada }
+//   Parcial = número de contenedor (PesadosParciales) o null para la foto de la línea.
+// obtener(consecutivo, secuencia, parcial = null) → foto | null (no existe el ingrediente o el contenedor en el lote)
+// vencidas({ antes, limite }) → [{ Consecutivo, Secuencia, Parcial, TiempoDePesado, FotoHash, FotoTamano }]
+//   fotos no depuradas de pesados anteriores a `antes` (líneas y contenedores), las más viejas primero
+// purgar({ antes, limite }) → { purgadas: [las de vencidas], huerfanos: [FotoHash] }
+//   Borra los bytes de la fila y marca FotoPurgada (FotoHash queda como evidencia). huerfanos = hashes que
+//   ya no usa ninguna fila sin depurar: server.js los borra del almacén de archivos.
+// enUso(hash) → boolean: alguna fila sin depurar (línea o contenedor) guarda esa foto
+
+import sql from 'mssql';
+import { ahora, iso } from './sqlite.js';
+
+const COLUMNAS = 'Consecutivo, Secuencia, TiempoDePesado, FotoEscaneo AS Foto, FotoHash, FotoMime, FotoTamano, FotoPurgada';
+const VENCIDA = '(FotoEscaneo IS NOT NULL OR FotoHash IS NOT NULL) AND FotoPurgada IS NULL AND TiempoDePesado < ';
+const ORDEN = 'ORDER BY TiempoDePesado, Consecutivo, Secuencia, Parcial';
+const EN_USO = `
+    SELECT 1 AS x FROM ProgramacionProduccion_Detalle WHERE FotoHash = @hash AND FotoPurgada IS NULL
+    UNION ALL
+    SELECT 1 AS x FROM PesadosParciales WHERE FotoHash = @hash AND FotoPurgada IS NULL`;
+
+// Vencidas de ambas tablas; `antes` = parámetro con nombre (@antes en los dos motores)
+const vencidasSql = (entero) => `
+    SELECT Consecutivo, Secuencia, CAST(NULL AS ${entero}) AS Parcial, TiempoDePesado, FotoHash, FotoTamano
+    FROM ProgramacionProduccion_Detalle WHERE ${VENCIDA} @antes
+    UNION ALL
+    SELECT Consecutivo, Secuencia, Parcial, TiempoDePesado, FotoHash, FotoTamano
+    FROM PesadosParciales WHERE ${VENCIDA} @antes`;
+
+function photoRecord(row) {
+    if (!row) return null;
+    return {
+        ...row, Consecutivo: Number(row.Consecutivo), Secuencia: Number(row.Secuencia), Parcial: row.Parcial != null ? Number(row.Parcial) : null,
+        FotoHash: row.FotoHash ? String(row.FotoHash).trim() : null,
+        FotoTamano: row.FotoTamano != null ? Number(row.FotoTamano) : null,
+        Foto: row.Foto?.length ? Buffer.from(row.Foto) : null
+    };
+}
+
+function expiredRecord(row) {
+    return {
+        Consecutivo: Number(row.Consecutivo), Secuencia: Number(row.Secuencia), Parcial: row.Parcial != null ? Number(row.Parcial) : null,
+        TiempoDePesado: row.TiempoDePesado,
+        FotoHash: row.FotoHash ? String(row.FotoHash).trim() : null, FotoTamano: row.FotoTamano != null ? Number(row.FotoTamano) : null
+    };
+}
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => ({
+    async obtener(consecutivo, secuencia, parcial = null) {
+        const r = await pool.request()
+            .input('consecutivo', sql.BigInt, Number(consecutivo))
+            .input('secuencia', sql.Int, Number(secuencia))
+            .input('parcial', sql.Int, parcial)
+            .query(parcial == null
+                ? `SELECT TOP 1 ${COLUMNAS} FROM ProgramacionProduccion_Detalle WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia;`
+                : `SELECT TOP 1 ${COLUMNAS}, Parcial FROM PesadosParciales WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia AND Parcial = @parcial;`);
+        return photoRecord(r.recordset[0]);
+    },
+
+    async vencidas({ antes, limite }) {
+        const r = await pool.request()
+            .input('antes', sql.DateTime, antes)
+            .input('limite', sql.Int, limite)
+            .query(`SELECT TOP (@limite) * FROM (${vencidasSql('INT')}) v ${ORDEN};`);
+        return r.recordset.map(expiredRecord);
+    },
+
+    async purgar({ antes, limite }) {
+        const r = await pool.request()
+            .input('antes', sql.DateTime, antes)
+            .input('limite', sql.Int, limite)
+            .query(`
+        SET XACT_ABORT ON;
+        BEGIN TRAN;
+        DECLARE @purgadas TABLE (Consecutivo BIGINT, Secuencia INT, Parcial INT, TiempoDePesado DATETIME, FotoHash CHAR(64), FotoTamano INT);
+        INSERT INTO @purgadas
+        SELECT TOP (@limite) * FROM (${vencidasSql('INT')}) v ${ORDEN};
+
+        UPDATE d SET FotoEscaneo = NULL, FotoPurgada = GETDATE()
+        FROM ProgramacionProduccion_Detalle d
+        JOIN @purgadas p ON p.Consecutivo = d.Consecutivo AND p.Secuencia = d.Secuencia AND p.Parcial IS NULL;
+        UPDATE x SET FotoEscaneo = NULL, FotoPurgada = GETDATE()
+        FROM PesadosParciales x
+        JOIN @purgadas p ON p.Consecutivo = x.Consecutivo AND p.Secuencia = x.Secuencia AND p.Parcial = x.Parcial;
+        COMMIT;
+
+        SELECT * FROM @purgadas ${ORDEN};
+        SELECT DISTINCT p.FotoHash
+        FROM @purgadas p
+        WHERE p.FotoHash IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM ProgramacionProduccion_Detalle d WHERE d.FotoHash = p.FotoHash AND d.FotoPurgada IS NULL)
+          AND NOT EXISTS (SELECT 1 FROM PesadosParciales x WHERE x.FotoHash = p.FotoHash AND x.FotoPurgada IS NULL);
+      `);
+        return { purgadas: r.recordsets[0].map(expiredRecord), huerfanos: r.recordsets[1].map(x => String(x.FotoHash).trim()) };
+    },
+
+    async enUso(hash) {
+        const r = await pool.request()
+            .input('hash', sql.Char(64), hash)
+            .query(`SELECT CASE WHEN EXISTS (${EN_USO}) THEN 1 ELSE 0 END AS enUso;`);
+        return r.recordset[0].enUso === 1;
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const vencidas = (antes, limite) => db.prepare(`
+      SELECT * FROM (${vencidasSql('INTEGER')}) ${ORDEN} LIMIT @limite;
+    `).all({ antes: iso(antes), limite }).map(expiredRecord);
+
+    return {
+        async obtener(consecutivo, secuencia, parcial = null) {
+            if (parcial == null) {
+                return photoRecord(db.prepare(`
+          SELECT ${COLUMNAS} FROM ProgramacionProduccion_Detalle WHERE Consecutivo = ? AND Secuencia = ? LIMIT 1;
+        `).get(Number(consecutivo), Number(secuencia)));
+            }
+            return photoRecord(db.prepare(`
+        SELECT ${COLUMNAS}, Parcial FROM PesadosParciales WHERE Consecutivo = ? AND Secuencia = ? AND Parcial = ? LIMIT 1;
+      `).get(Number(consecutivo), Number(secuencia), Number(parcial)));
+        },
+
+        async vencidas({ antes, limite }) {
+            return vencidas(antes, limite);
+        },
+
+        async purgar({ antes, limite }) {
+            return db.transaction(() => {
+                const purgadas = vencidas(antes, limite);
+                const marcarLinea = db.prepare(`
+          UPDATE ProgramacionProduccion_Detalle SET FotoEscaneo = NULL, FotoPurgada = ? WHERE Consecutivo = ? AND Secuencia = ?;
+        `);
+                const marcarContenedor = db.prepare(`
+          UPDATE PesadosParciales SET FotoEscaneo = NULL, FotoPurgada = ? WHERE Consecutivo = ? AND Secuencia = ? AND Parcial = ?;
+        `);
+                const fecha = ahora();
+                for (const p of purgadas) {
+                    if (p.Parcial == null) marcarLinea.run(fecha, p.Consecutivo, p.Secuencia);
+                    else marcarContenedor.run(fecha, p.Consecutivo, p.Secuencia, p.Parcial);
+                }
+                const enUso = db.prepare(`${EN_USO} LIMIT 1;`);
+                const huerfanos = [...new Set(purgadas.map(p => p.FotoHash).filter(Boolean))].filter(hash => !enUso.get({ hash }));
+                return { purgadas, huerfanos };
+            })();
+        },
+
+        async enUso(hash) {
+            return !!db.prepare(`${EN_USO} LIMIT 1;`).get({ hash });
+        },
+    };
+};
+
+// -------------------- Memoria (MOCK) --------------------
+export const memoria = (store) => {
+    const filas = () => [...store.ProgramacionProduccion_Detalle, ...store.PesadosParciales];
+    const vencidas = ({ antes, limite }) => filas()
+        .filter(d => (d.FotoEscaneo || d.FotoHash) && !d.FotoPurgada && d.TiempoDePesado && new Date(d.TiempoDePesado) < antes)
+        .sort((a, b) => new Date(a.TiempoDePesado) - new Date(b.TiempoDePesado) || a.Consecutivo - b.Consecutivo || a.Secuencia - b.Secuencia
+            || (a.Parcial ?? 0) - (b.Parcial ?? 0))
+        .slice(0, limite);
+
+    return {
+        async obtener(consecutivo, secuencia, parcial = null) {
+            const d = parcial == null
+                ? store.detalleLote(Number(consecutivo)).find(x => x.Secuencia === Number(secuencia))
+                : store.PesadosParciales.find(x => x.Consecutivo === Number(consecutivo) && x.Secuencia === Number(secuencia) && x.Parcial === Number(parcial));
+            return d ? photoRecord({ ...d, Foto: d.FotoEscaneo }) : null;
+        },
+
+        async vencidas(filtro) {
+            return vencidas(filtro).map(expiredRecord);
+        },
+
+        async purgar(filtro) {
+            const purgar = vencidas(filtro);
+            const fecha = new Date();
+            for (const d of purgar) Object.assign(d, { FotoEscaneo: null, FotoPurgada: fecha });
+            const hashes = [...new Set(purgar.map(d => d.FotoHash).filter(Boolean))];
+            const huerfanos = hashes.filter(h => !filas().some(d => d.FotoHash === h && !d.FotoPurgada));
+            return { purgadas: purgar.map(expiredRecord), huerfanos };
+        },
+
+        async enUso(hash) {
+            return filas().some(d => d.FotoHash === hash && !d.FotoPurgada);
+        },
+    };
+};
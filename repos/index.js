@@ -0,0 +1,110 @@
+// repos/index.js — repositorios de datos según DB_BACKEND
+// ------------------------------------------------------------------
+// DB_BACKEND = mssql | sqlite | memoria
+//   mssql   → SQL Server (MSSQL_*); el SP_ProgramarLotesProduccion sigue siendo quien programa lotes.
+//   sqlite  → base embebida (SQLITE_RUTA) con migraciones en sql/sqlite; para instalaciones sin SQL Server.
+//   memoria → mockstore (fixtures); el modo MOCK de siempre.
+// Sin DB_BACKEND: mssql si están las MSSQL_*, si no memoria. memoria sólo se usa cuando es el backend elegido:
+// con mssql, faltan MSSQL_* o SQL Server no conecta → DbUnavailableError (503 db_unavailable), nunca los fixtures.
+//
+// Cada módulo exporta mssql(pool), sqlite(db) y memoria(store) con la misma interfaz async.
+
+import sql from 'mssql';
+import { mockDb } from '../mockstore.js';
+import { openSqlite } from './sqlite.js';
+import * as alergenos from './alergenos.js';
+import * as analitica from './analitica.js';
+import * as auditoria from './auditoria.js';
+import * as basculas from './basculas.js';
+import * as catalogos from './catalogos.js';
+import * as clientes from './clientes.js';
+import * as estaciones from './estaciones.js';
+import * as ingredientes from './ingredientes.js';
+import * as lineas from './lineas.js';
+import * as formulas from './formulas.js';
+import * as fotos from './fotos.js';
+import * as inventario from './inventario.js';
+import * as lotes from './lotes.js';
+import * as pesaje from './pesaje.js';
+import * as tablero from './tablero.js';
+import * as usuarios from './usuarios.js';
+
+const MODULOS = {
+    clientes, ingredientes, formulas, lotes, pesaje, usuarios, estaciones, lineas, fotos, analitica, alergenos, catalogos, inventario,
+    auditoria, tablero, basculas,
+};
+export const BACKENDS = ['mssql', 'sqlite', 'memoria'];
+
+// -------------------- MSSQL Pool --------------------
+const sqlConfig = {
+    server: process.env.MSSQL_SERVER,
+    port: process.env.MSSQL_PORT ? Number(process.env.MSSQL_PORT) : 1433,
+    database: process.env.MSSQL_DATABASE,
+    user: process.env.MSSQL_USER,
+    password: process.env.MSSQL_PASSWORD,
+    options: {
+        encrypt: String(process.env.MSSQL_ENCRYPT) === 'true',
+        trustServerCertificate: String(process.env.MSSQL_TRUST_SERVER_CERTIFICATE) === 'true',
+    },
+    pool: { max: 10, min: 0, idleTimeoutMillis: 30000 },
+};
+const mssqlConfigurado = !!(sqlConfig.server && sqlConfig.database && sqlConfig.user && sqlConfig.password);
+
+export const DB_BACKEND = process.env.DB_BACKEND || (mssqlConfigurado ? 'mssql' : 'memoria');
+if (!BACKENDS.includes(DB_BACKEND)) {
+    throw new Error(`DB_BACKEND inválido (${DB_BACKEND}); uno de: ${BACKENDS.join(', ')}`);
+}
+
+// code = 'db_unavailable': el backend mssql no tiene conexión (la petición responde 503)
+export class DbUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.code = 'db_unavailable';
+    }
+}
+
+// Pool de SQL Server; null sólo con otro backend. Con mssql, faltan ENV o no conecta → DbUnavailableError
+let poolPromise = null;
+export async function getPool() {
+    if (DB_BACKEND !== 'mssql') return null;
+    if (!mssqlConfigurado) throw new DbUnavailableError('DB_BACKEND=mssql sin MSSQL_SERVER/DATABASE/USER/PASSWORD');
+    try {
+        poolPromise ??= sql.connect(sqlConfig);
+        return await poolPromise;
+    } catch (e) {
+        console.error('MSSQL connect error:', e);
+        poolPromise = null;
+        throw new DbUnavailableError('SQL Server no disponible');
+    }
+}
+
+// -------------------- Repositorios --------------------
+function crear(backend, conexion) {
+    return Object.fromEntries(Object.entries(MODULOS).map(([nombre, m]) => [nombre, m[backend](conexion)]));
+}
+
+let enMemoria = null;
+let sqlitePromise = null;
+const porPool = new WeakMap();
+
+// → { clientes, ingredientes, formulas, lotes, pesaje, usuarios, estaciones, lineas }
+export async function getRepos() {
+    if (DB_BACKEND === 'sqlite') {
+        sqlitePromise ??= openSqlite().then(db => crear('sqlite', db)).catch(e => {
+            sqlitePromise = null;
+            throw e;
+        });
+        return sqlitePromise;
+    }
+    if (DB_BACKEND === 'memoria') return (enMemoria ??= crear('memoria', mockDb));
+    const pool = await getPool();
+    if (!porPool.has(pool)) porPool.set(pool, crear('mssql', pool));
+    return porPool.get(pool);
+}
+
+// /health: ¿hay base de datos real detrás? (memoria → false)
+export async function dbConnected() {
+    if (DB_BACKEND === 'sqlite') return getRepos().then(() => true, () => false);
+    if (DB_BACKEND === 'memoria') return false;
+    return getPool().then(() => true, () => false);
+}
@@ -0,0 +1,442 @@
+// repos/ingredientes.js — repositorio de Ingredientes, sus catálogos y tolerancias
+// ------------------------------------------------------------------
+// categorias() · proveedores() → [{ Id, Nombre }]
+// listado({ nombre, categoriaId, estado }, listing) → respuesta de listado (ver listing.js)
+// existeNombre(nombre, exceptoId?) → boolean · crear(datos) → id
+// actualizar(id, datos) → { antes, despues } | null (GTIN undefined = se conserva)
+// activos() → [{ Clave, Nombre, Descripcion }]
+// tolerancias() → [{ Id, Nombre, CategoriaId, TipoIngrediente, ValorIngrediente, TipoCategoria, ValorCategoria }]
+// guardarTolerancia(id, { Tipo, Valor }) · eliminarTolerancia(id) · guardarToleranciaCategoria(id, { Tipo, Valor }) → antes | null
+// catalogo(claves) → Map(Clave → { Nombre, Activo }) con las claves que existen (validateFormula)
+
+import sql from 'mssql';
+import { orderBySql, searchSql, pageSql, bindListing, listingResponse, applyListing, searchSqlite, pageSqlite, listingParams } from '../listing.js';
+
+export const LISTADO = {
+    campos: { Id: 'I.Identificador', Nombre: 'I.Ingrediente', Activo: 'I.Activo', Categoria: 'C.Categoria', Descripcion: 'I.Descripcion' },
+    porDefecto: 'Nombre',
+};
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => ({
+    async categorias() {
+        const r = await pool.request().query(`
+      SELECT Identificador AS Id, ISNULL(Categoria, '') AS Nombre
+      FROM CategoriasIngredientes
+      WHERE Activo = 1;
+    `);
+        return r.recordset;
+    },
+
+    async proveedores() {
+        const r = await pool.request().query(`
+      SELECT Identificador AS Id, Proveedor AS Nombre
+      FROM ProveedoresIngredientes
+      WHERE Activo = 1;
+    `);
+        return r.recordset;
+    },
+
+    async listado({ nombre, categoriaId, estado }, listing) {
+        const request = bindListing(pool.request(), listing, sql)
+            .input('nombre', sql.NVarChar, nombre ? String(nombre) : null)
+            .input('nombreLike', sql.NVarChar, nombre ? `%${String(nombre)}%` : null)
+            .input('categoriaId', sql.Int, categoriaId ? Number(categoriaId) : null)
+            .input('estado', sql.VarChar, estado ? String(estado) : null);
+        const fromWhere = `
+      FROM Ingredientes I
+      LEFT JOIN CategoriasIngredientes C ON I.CategoriaID = C.Identificador
+      WHERE 1=1
+        AND (@nombre IS NULL OR I.Ingrediente LIKE @nombreLike)
+        AND (@categoriaId IS NULL OR I.CategoriaID = @categoriaId)
+        AND (
+            @estado IS NULL
+            OR (@estado = 'activo' AND I.Activo = 1)
+            OR (@estado = 'inactivo' AND I.Activo = 0)
+        )
+        ${searchSql(listing, ['CAST(I.Identificador AS NVARCHAR(50))', 'I.Ingrediente', 'I.Descripcion', 'C.Categoria'])}`;
+        const r = await request.query(`
+      SELECT COUNT(*) AS total ${fromWhere};
+      SELECT 
+        I.Identificador AS Id,
+        I.Ingrediente  AS Nombre,
+        CAST(I.Activo AS INT) AS Activo,
+        ISNULL(C.Categoria, '') AS Categoria,
+        ISNULL(I.Descripcion, '') AS Descripcion
+      ${fromWhere}
+      ${orderBySql(listing, LISTADO.campos, 'I.Identificador')}
+      ${pageSql(listing)}
+    `);
+        return listingResponse(listing, r.recordsets[1], r.recordsets[0][0].total);
+    },
+
+    async existeNombre(nombre, exceptoId = null) {
+        const r = await pool.request()
+            .input('nombre', sql.NVarChar, nombre)
+            .input('id', sql.Int, exceptoId)
+            .query(`SELECT COUNT(*) AS c FROM Ingredientes WHERE Ingrediente = @nombre AND (@id IS NULL OR Identificador != @id);`);
+        return r.recordset[0].c > 0;
+    },
+
+    async crear({ Nombre, Descripcion, CategoriaId, Activo, GTIN }) {
+        const r = await pool.request()
+            .input('nombre', sql.NVarChar, Nombre)
+            .input('activo', sql.Int, Number(Activo))
+            .input('categoriaId', sql.Int, Number(CategoriaId))
+            .input('descripcion', sql.NVarChar, Descripcion ?? '')
+            .input('gtin', sql.NVarChar(14), GTIN ? String(GTIN) : null)
+            .query(`
+        INSERT INTO Ingredientes (Ingrediente, Activo, CategoriaID, Descripcion, GTIN)
+        VALUES (@nombre, @activo, @categoriaId, @descripcion, @gtin);
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS id;
+      `);
+        return r.recordset[0].id;
+    },
+
+    async actualizar(id, { Nombre, Descripcion, CategoriaId, Activo, GTIN }) {
+        const r = await pool.request()
+            .input('nombre', sql.NVarChar, Nombre)
+            .input('activo', sql.Int, Number(Activo))
+            .input('categoriaId', sql.Int, Number(CategoriaId))
+            .input('descripcion', sql.NVarChar, Descripcion ?? '')
+            .input('id', sql.Int, id)
+            .input('gtinSet', sql.Bit, GTIN !== undefined ? 1 : 0) // GTIN omitido → se conserva
+            .input('gtin', sql.NVarChar(14), GTIN ? String(GTIN) : null)
+            .query(`
+        UPDATE Ingredientes
+        SET Ingrediente = @nombre,
+            Activo = @activo,
+            CategoriaID = @categoriaId,
+            Descripcion = @descripcion,
+            GTIN = CASE WHEN @gtinSet = 1 THEN @gtin ELSE GTIN END
+        OUTPUT deleted.Ingrediente AS Nombre, deleted.Activo, deleted.CategoriaID AS CategoriaId, deleted.Descripcion, deleted.GTIN,
+               inserted.Ingrediente AS NuevoNombre, inserted.Activo AS NuevoActivo, inserted.CategoriaID AS NuevaCategoriaId,
+               inserted.Descripcion AS NuevaDescripcion, inserted.GTIN AS NuevoGTIN
+        WHERE Identificador = @id;
+      `);
+        const c = r.recordset[0];
+        if (!c) return null;
+        return {
+            antes: { Nombre: c.Nombre, Activo: c.Activo, CategoriaId: c.CategoriaId, Descripcion: c.Descripcion, GTIN: c.GTIN },
+            despues: { Nombre: c.NuevoNombre, Activo: c.NuevoActivo, CategoriaId: c.NuevaCategoriaId, Descripcion: c.NuevaDescripcion, GTIN: c.NuevoGTIN }
+        };
+    },
+
+    async activos() {
+        const r = await pool.request().query(`
+      SELECT 
+        CAST(Identificador AS NVARCHAR(50)) AS Clave,
+        Ingrediente AS Nombre,
+        ISNULL(Descripcion, '') AS Descripcion
+      FROM Ingredientes
+      WHERE Activo = 1
+      ORDER BY Ingrediente;
+    `);
+        return r.recordset;
+    },
+
+    async tolerancias() {
+        const r = await pool.request().query(`
+      SELECT 
+        I.Identificador AS Id,
+        I.Ingrediente   AS Nombre,
+        I.CategoriaID   AS CategoriaId,
+        TI.Tipo AS TipoIngrediente, TI.Valor AS ValorIngrediente,
+        TC.Tipo AS TipoCategoria,   TC.Valor AS ValorCategoria
+      FROM Ingredientes I
+      LEFT JOIN ToleranciasIngredientes TI ON TI.Ingrediente = I.Identificador
+      LEFT JOIN ToleranciasCategorias   TC ON TC.CategoriaID = I.CategoriaID
+      WHERE I.Activo = 1
+      ORDER BY I.Ingrediente;
+    `);
+        return r.recordset;
+    },
+
+    async guardarTolerancia(id, { Tipo, Valor }) {
+        const r = await pool.request()
+            .input('id', sql.Int, id)
+            .input('tipo', sql.VarChar(3), Tipo)
+            .input('valor', sql.Decimal(18, 3), Number(Valor))
+            .query(`
+        MERGE ToleranciasIngredientes AS t
+        USING (SELECT @id AS Ingrediente) AS s ON t.Ingrediente = s.Ingrediente
+        WHEN MATCHED THEN UPDATE SET Tipo = @tipo, Valor = @valor
+        WHEN NOT MATCHED THEN INSERT (Ingrediente, Tipo, Valor) VALUES (@id, @tipo, @valor)
+        OUTPUT deleted.Tipo, deleted.Valor;
+      `);
+        const antes = r.recordset[0];
+        return antes?.Tipo ? antes : null;
+    },
+
+    async eliminarTolerancia(id) {
+        const r = await pool.request()
+            .input('id', sql.Int, id)
+            .query(`DELETE FROM ToleranciasIngredientes OUTPUT deleted.Tipo, deleted.Valor WHERE Ingrediente = @id;`);
+        return r.recordset[0] ?? null;
+    },
+
+    async guardarToleranciaCategoria(id, { Tipo, Valor }) {
+        const r = await pool.request()
+            .input('id', sql.Int, id)
+            .input('tipo', sql.VarChar(3), Tipo)
+            .input('valor', sql.Decimal(18, 3), Number(Valor))
+            .query(`
+        MERGE ToleranciasCategorias AS t
+        USING (SELECT @id AS CategoriaID) AS s ON t.CategoriaID = s.CategoriaID
+        WHEN MATCHED THEN UPDATE SET Tipo = @tipo, Valor = @valor
+        WHEN NOT MATCHED THEN INSERT (CategoriaID, Tipo, Valor) VALUES (@id, @tipo, @valor)
+        OUTPUT deleted.Tipo, deleted.Valor;
+      `);
+        const antes = r.recordset[0];
+        return antes?.Tipo ? antes : null;
+    },
+
+    async catalogo(claves) {
+        const catalogo = new Map();
+        if (!claves.length) return catalogo;
+        const request = pool.request();
+        const names = claves.map((c, i) => { request.input(`c${i}`, sql.NVarChar(50), c); return `@c${i}`; });
+        const r = await request.query(`
+      SELECT CAST(Identificador AS NVARCHAR(50)) AS Clave, Ingrediente AS Nombre, CAST(Activo AS BIT) AS Activo
+      FROM Ingredientes
+      WHERE CAST(Identificador AS NVARCHAR(50)) IN (${names.join(',')});
+    `);
+        for (const row of r.recordset) catalogo.set(row.Clave, { Nombre: row.Nombre, Activo: !!row.Activo });
+        return catalogo;
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => ({
+    async categorias() {
+        return db.prepare(`SELECT Identificador AS Id, IFNULL(Categoria, '') AS Nombre FROM CategoriasIngredientes WHERE Activo = 1;`).all();
+    },
+
+    async proveedores() {
+        return db.prepare(`SELECT Identificador AS Id, Proveedor AS Nombre FROM ProveedoresIngredientes WHERE Activo = 1;`).all();
+    },
+
+    async listado({ nombre, categoriaId, estado }, listing) {
+        const params = {
+            ...listingParams(listing),
+            nombre: nombre ? String(nombre) : null,
+            categoriaId: categoriaId ? Number(categoriaId) : null,
+            estado: estado ? String(estado) : null,
+        };
+        const fromWhere = `
+      FROM Ingredientes I
+      LEFT JOIN CategoriasIngredientes C ON I.CategoriaID = C.Identificador
+      WHERE 1=1
+        AND (@nombre IS NULL OR I.Ingrediente LIKE '%' || @nombre || '%')
+        AND (@categoriaId IS NULL OR I.CategoriaID = @categoriaId)
+        AND (
+            @estado IS NULL
+            OR (@estado = 'activo' AND I.Activo = 1)
+            OR (@estado = 'inactivo' AND I.Activo = 0)
+        )
+        ${searchSqlite(listing, ['CAST(I.Identificador AS TEXT)', 'I.Ingrediente', 'I.Descripcion', 'C.Categoria'])}`;
+        const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromWhere}`).get(params);
+        const datos = db.prepare(`
+      SELECT 
+        I.Identificador AS Id,
+        I.Ingrediente  AS Nombre,
+        I.Activo AS Activo,
+        IFNULL(C.Categoria, '') AS Categoria,
+        IFNULL(I.Descripcion, '') AS Descripcion
+      ${fromWhere}
+      ${orderBySql(listing, LISTADO.campos, 'I.Identificador')}
+      ${pageSqlite(listing)}
+    `).all(params);
+        return listingResponse(listing, datos, total);
+    },
+
+    async existeNombre(nombre, exceptoId = null) {
+        return !!db.prepare(`SELECT 1 FROM Ingredientes WHERE Ingrediente = @nombre AND (@id IS NULL OR Identificador != @id);`)
+            .get({ nombre, id: exceptoId });
+    },
+
+    async crear({ Nombre, Descripcion, CategoriaId, Activo, GTIN }) {
+        const r = db.prepare(`
+      INSERT INTO Ingredientes (Ingrediente, Activo, CategoriaID, Descripcion, GTIN)
+      VALUES (?, ?, ?, ?, ?);
+    `).run(Nombre, Number(Activo), Number(CategoriaId), Descripcion ?? '', GTIN ? String(GTIN) : null);
+        return Number(r.lastInsertRowid);
+    },
+
+    async actualizar(id, { Nombre, Descripcion, CategoriaId, Activo, GTIN }) {
+        const leer = db.prepare(`SELECT Ingrediente AS Nombre, Activo, CategoriaID AS CategoriaId, Descripcion, GTIN FROM Ingredientes WHERE Identificador = ?;`);
+        return db.transaction(() => {
+            const antes = leer.get(id);
+            if (!antes) return null;
+            db.prepare(`
+        UPDATE Ingredientes
+        SET Ingrediente = @nombre, Activo = @activo, CategoriaID = @categoriaId, Descripcion = @descripcion,
+            GTIN = CASE WHEN @gtinSet = 1 THEN @gtin ELSE GTIN END
+        WHERE Identificador = @id;
+      `).run({
+                nombre: Nombre, activo: Number(Activo), categoriaId: Number(CategoriaId), descripcion: Descripcion ?? '', id,
+                gtinSet: GTIN !== undefined ? 1 : 0, gtin: GTIN ? String(GTIN) : null,
+            });
+            return { antes, despues: leer.get(id) };
+        })();
+    },
+
+    async activos() {
+        return db.prepare(`
+      SELECT CAST(Identificador AS TEXT) AS Clave, Ingrediente AS Nombre, IFNULL(Descripcion, '') AS Descripcion
+      FROM Ingredientes
+      WHERE Activo = 1
+      ORDER BY Ingrediente COLLATE NOCASE;
+    `).all();
+    },
+
+    async tolerancias() {
+        return db.prepare(`
+      SELECT 
+        I.Identificador AS Id,
+        I.Ingrediente   AS Nombre,
+        I.CategoriaID   AS CategoriaId,
+        TI.Tipo AS TipoIngrediente, TI.Valor AS ValorIngrediente,
+        TC.Tipo AS TipoCategoria,   TC.Valor AS ValorCategoria
+      FROM Ingredientes I
+      LEFT JOIN ToleranciasIngredientes TI ON TI.Ingrediente = I.Identificador
+      LEFT JOIN ToleranciasCategorias   TC ON TC.CategoriaID = I.CategoriaID
+      WHERE I.Activo = 1
+      ORDER BY I.Ingrediente COLLATE NOCASE;
+    `).all();
+    },
+
+    async guardarTolerancia(id, t) {
+        return upsertTolerancia(db, 'ToleranciasIngredientes', 'Ingrediente', id, t);
+    },
+
+    async eliminarTolerancia(id) {
+        return db.transaction(() => {
+            const antes = db.prepare(`SELECT Tipo, Valor FROM ToleranciasIngredientes WHERE Ingrediente = ?;`).get(id) ?? null;
+            db.prepare(`DELETE FROM ToleranciasIngredientes WHERE Ingrediente = ?;`).run(id);
+            return antes;
+        })();
+    },
+
+    async guardarToleranciaCategoria(id, t) {
+        return upsertTolerancia(db, 'ToleranciasCategorias', 'CategoriaID', id, t);
+    },
+
+    async catalogo(claves) {
+        const catalogo = new Map();
+        if (!claves.length) return catalogo;
+        const rows = db.prepare(`
+      SELECT CAST(Identificador AS TEXT) AS Clave, Ingrediente AS Nombre, Activo
+      FROM Ingredientes
+      WHERE CAST(Identificador AS TEXT) IN (${claves.map(() => '?').join(',')});
+    `).all(...claves);
+        for (const row of rows) catalogo.set(row.Clave, { Nombre: row.Nombre, Activo: !!row.Activo });
+        return catalogo;
+    },
+});
+
+// MERGE de una tolerancia → valor anterior | null
+function upsertTolerancia(db, tabla, clave, id, { Tipo, Valor }) {
+    return db.transaction(() => {
+        const antes = db.prepare(`SELECT Tipo, Valor FROM ${tabla} WHERE ${clave} = ?;`).get(id) ?? null;
+        db.prepare(`
+      INSERT INTO ${tabla} (${clave}, Tipo, Valor) VALUES (?, ?, ?)
+      ON CONFLICT (${clave}) DO UPDATE SET Tipo = excluded.Tipo, Valor = excluded.Valor;
+    `).run(id, Tipo, Math.round(Number(Valor) * 1000) / 1000);
+        return antes;
+    })();
+}
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => ({
+    async categorias() {
+        return store.CategoriasIngredientes.filter(c => c.Activo).map(c => ({ Id: c.Identificador, Nombre: c.Categoria ?? '' }));
+    },
+
+    async proveedores() {
+        return store.ProveedoresIngredientes.filter(p => p.Activo).map(p => ({ Id: p.Identificador, Nombre: p.Proveedor }));
+    },
+
+    async listado({ nombre, categoriaId, estado }, listing) {
+        const filas = store.Ingredientes
+            .filter(i => !nombre || i.Ingrediente.toLowerCase().includes(String(nombre).toLowerCase()))
+            .filter(i => !categoriaId || i.CategoriaID === Number(categoriaId))
+            .filter(i => estado !== 'activo' || i.Activo)
+            .filter(i => estado !== 'inactivo' || !i.Activo)
+            .map(i => ({
+                Id: i.Identificador,
+                Nombre: i.Ingrediente,
+                Activo: Number(i.Activo),
+                Categoria: store.CategoriasIngredientes.find(c => c.Identificador === i.CategoriaID)?.Categoria ?? '',
+                Descripcion: i.Descripcion ?? ''
+            }));
+        return applyListing(filas, listing, ['Id', 'Nombre', 'Categoria', 'Descripcion']);
+    },
+
+    async existeNombre(nombre, exceptoId = null) {
+        return store.Ingredientes.some(i => i.Ingrediente === nombre && i.Identificador !== exceptoId);
+    },
+
+    async crear({ Nombre, Descripcion, CategoriaId, Activo, GTIN }) {
+        const id = store.nextId('Ingredientes');
+        store.Ingredientes.push({ Identificador: id, Ingrediente: Nombre, Activo: Number(Activo), CategoriaID: Number(CategoriaId), Descripcion: Descripcion ?? '', GTIN: GTIN ? String(GTIN) : null });
+        return id;
+    },
+
+    async actualizar(id, { Nombre, Descripcion, CategoriaId, Activo, GTIN }) {
+        const i = store.ingrediente(id);
+        if (!i) return null;
+        const antes = { Nombre: i.Ingrediente, Activo: i.Activo, CategoriaId: i.CategoriaID, Descripcion: i.Descripcion, GTIN: i.GTIN };
+        Object.assign(i, { Ingrediente: Nombre, Activo: Number(Activo), CategoriaID: Number(CategoriaId), Descripcion: Descripcion ?? '' });
+        if (GTIN !== undefined) i.GTIN = GTIN ? String(GTIN) : null;
+        return { antes, despues: { Nombre, Activo: i.Activo, CategoriaId: i.CategoriaID, Descripcion: i.Descripcion, GTIN: i.GTIN } };
+    },
+
+    async activos() {
+        return store.Ingredientes
+            .filter(i => i.Activo)
+            .map(i => ({ Clave: String(i.Identificador), Nombre: i.Ingrediente, Descripcion: i.Descripcion ?? '' }))
+            .sort((a, b) => a.Nombre.localeCompare(b.Nombre));
+    },
+
+    async tolerancias() {
+        return store.Ingredientes
+            .filter(i => i.Activo)
+            .sort((a, b) => a.Ingrediente.localeCompare(b.Ingrediente))
+            .map(i => {
+                const [ti, tc] = store.tolerancias(i.Identificador);
+                return {
+                    Id: i.Identificador, Nombre: i.Ingrediente, CategoriaId: i.CategoriaID,
+                    TipoIngrediente: ti.Tipo ?? null, ValorIngrediente: ti.Valor ?? null, TipoCategoria: tc.Tipo ?? null, ValorCategoria: tc.Valor ?? null
+                };
+            });
+    },
+
+    async guardarTolerancia(id, { Tipo, Valor }) {
+        const t = store.ToleranciasIngredientes.find(x => x.Ingrediente === id);
+        const antes = t ? { Tipo: t.Tipo, Valor: t.Valor } : null;
+        if (t) Object.assign(t, { Tipo, Valor: Number(Valor) });
+        else store.ToleranciasIngredientes.push({ Ingrediente: id, Tipo, Valor: Number(Valor) });
+        return antes;
+    },
+
+    async eliminarTolerancia(id) {
+        const t = store.ToleranciasIngredientes.find(x => x.Ingrediente === id);
+        store.ToleranciasIngredientes = store.ToleranciasIngredientes.filter(x => x !== t);
+        return t ? { Tipo: t.Tipo, Valor: t.Valor } : null;
+    },
+
+    async guardarToleranciaCategoria(id, { Tipo, Valor }) {
+        const t = store.ToleranciasCategorias.find(x => x.CategoriaID === id);
+        const antes = t ? { Tipo: t.Tipo, Valor: t.Valor } : null;
+        if (t) Object.assign(t, { Tipo, Valor: Number(Valor) });
+        else store.ToleranciasCategorias.push({ CategoriaID: id, Tipo, Valor: Number(Valor) });
+        return antes;
+    },
+
+    async catalogo(claves) {
+        return new Map(store.Ingredientes
+            .filter(i => claves.includes(String(i.Identificador)))
+            .map(i => [String(i.Identificador), { Nombre: i.Ingrediente, Activo: !!i.Activo }]));
+    },
+});
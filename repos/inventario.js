@@ -0,0 +1,528 @@
+// repos/inventario.js — libro de inventario de ingredientes (InventarioLotes / InventarioMovimientos)
+// ------------------------------------------------------------------
+// Existencia = SUM(InventarioMovimientos.Cantidad); entradas positivas, salidas negativas. Reglas FEFO en inventory.js.
+// recepcion({ ingrediente, proveedorId, loteProveedor, caducidad, cantidad, referencia, usuario }) → loteInventarioId
+//   Si el lote de proveedor ya existe para ese ingrediente/proveedor, se suma a él.
+// ajuste({ lote, cantidad, comentario, usuario }) → existencia nueva | null (lote inexistente)
+// conteo({ lote, contada, comentario, usuario }) → { anterior, contada, diferencia } | null; la diferencia queda como 'conteo'
+// existencias(ingrediente?) → [{ Ingrediente, Nombre, Existencia, SinLote, Lotes }] de ingredientes activos
+// lotes({ ingrediente, incluirAgotados }) → [{ LoteInventarioId, Ingrediente, Nombre, ProveedorId, Proveedor, LoteProveedor,
+//   Caducidad, FechaRecepcion, Existencia }] en orden FEFO
+// movimientos({ ingrediente, lote, tipo, desde, hasta }) → [{ Identificador, LoteInventarioId, Ingrediente, Tipo, Cantidad, Fecha,
+//   Usuario, Referencia, Comentario, Consecutivo, Secuencia }] (máx. 1000, más recientes primero)
+//
+// El consumo de /peso y su reversa al corregir van dentro de la transacción de repos/pesaje.js:
+// postConsumption(tx, …) en SQL Server, sqliteConsumption(db, …) / sqliteReversal(db, …) en SQLite y
+// storeConsumption(store, …) / storeReversal(store, …) en memoria.
+
+import sql from 'mssql';
+import { allocateFefo, sortFefo, PERMITIR_NEGATIVO, round3 } from '../inventory.js';
+import { dia } from '../mockstore.js';
+import { ahora, bit, iso } from './sqlite.js';
+
+// -------------------- SQL Server --------------------
+
+// Existencia actual de un lote de inventario (o null si no existe)
+async function lotStock(request, loteInventarioId) {
+    const r = await request
+        .input('lote', sql.Int, loteInventarioId)
+        .query(`
+      SELECT l.Identificador, l.Ingrediente,
+             ISNULL((SELECT SUM(m.Cantidad) FROM InventarioMovimientos m WHERE m.LoteInventarioID = l.Identificador), 0) AS Existencia
+      FROM InventarioLotes l
+      WHERE l.Identificador = @lote;
+    `);
+    return r.recordset[0] || null;
+}
+
+// Descuenta `cantidad` del ingrediente dentro de la transacción de /peso.
+// Con loteProveedor sólo considera ese lote; sin él, FEFO sobre lotes vigentes.
+// Lo que no alcance se registra sin lote (existencia negativa) → { asignaciones, faltante }
+export async function postConsumption(tx, { ingrediente, cantidad, loteProveedor, proveedorId, consecutivo, secuencia, usuario }) {
+    const rLotes = await new sql.Request(tx)
+        .input('ingrediente', sql.Int, Number(ingrediente))
+        .input('loteProveedor', sql.NVarChar(50), loteProveedor)
+        .input('proveedorId', sql.Int, proveedorId)
+        .query(`
+      SELECT
+        l.Identificador AS LoteInventarioId,
+        l.LoteProveedor,
+        l.ProveedorID AS ProveedorId,
+        l.Caducidad,
+        l.FechaRecepcion,
+        ISNULL((SELECT SUM(m.Cantidad) FROM InventarioMovimientos m WHERE m.LoteInventarioID = l.Identificador), 0) AS Existencia
+      FROM InventarioLotes l WITH (UPDLOCK, HOLDLOCK)
+      WHERE l.Ingrediente = @ingrediente
+        AND (@loteProveedor IS NULL OR l.LoteProveedor = @loteProveedor)
+        AND (@proveedorId IS NULL OR l.ProveedorID = @proveedorId);
+    `);
+
+    const { asignaciones, faltante } = allocateFefo(rLotes.recordset, cantidad);
+    const movimientos = asignaciones.map(a => ({ lote: a.LoteInventarioId, cantidad: a.Cantidad }));
+    if (faltante > 0 && PERMITIR_NEGATIVO) movimientos.push({ lote: null, cantidad: faltante });
+
+    for (const m of movimientos) {
+        await new sql.Request(tx)
+            .input('lote', sql.Int, m.lote)
+            .input('ingrediente', sql.Int, Number(ingrediente))
+            .input('cantidad', sql.Decimal(18, 3), -m.cantidad)
+            .input('usuario', sql.NVarChar(50), usuario)
+            .input('consecutivo', sql.BigInt, consecutivo)
+            .input('secuencia', sql.Int, secuencia)
+            .query(`
+        INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Consecutivo, Secuencia)
+        VALUES (@lote, @ingrediente, 'consumo', @cantidad, GETDATE(), @usuario, @consecutivo, @secuencia);
+      `);
+    }
+    return { asignaciones, faltante };
+}
+
+export const mssql = (pool) => ({
+    async recepcion({ ingrediente, proveedorId, loteProveedor, caducidad, cantidad, referencia, usuario }) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const r = await new sql.Request(tx)
+                .input('ingrediente', sql.Int, ingrediente)
+                .input('proveedorId', sql.Int, proveedorId)
+                .input('loteProveedor', sql.NVarChar(50), loteProveedor)
+                .input('caducidad', sql.Date, caducidad)
+                .query(`
+          DECLARE @id INT = (
+            SELECT Identificador FROM InventarioLotes WITH (UPDLOCK, HOLDLOCK)
+            WHERE Ingrediente = @ingrediente AND ProveedorID = @proveedorId AND LoteProveedor = @loteProveedor
+          );
+          IF @id IS NULL
+          BEGIN
+            INSERT INTO InventarioLotes (Ingrediente, ProveedorID, LoteProveedor, Caducidad, FechaRecepcion)
+            VALUES (@ingrediente, @proveedorId, @loteProveedor, @caducidad, GETDATE());
+            SET @id = CAST(SCOPE_IDENTITY() AS INT);
+          END
+          SELECT @id AS id;
+        `);
+            const loteInventarioId = r.recordset[0].id;
+
+            await new sql.Request(tx)
+                .input('lote', sql.Int, loteInventarioId)
+                .input('ingrediente', sql.Int, ingrediente)
+                .input('cantidad', sql.Decimal(18, 3), round3(cantidad))
+                .input('usuario', sql.NVarChar(50), usuario)
+                .input('referencia', sql.NVarChar(100), referencia)
+                .query(`
+          INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Referencia)
+          VALUES (@lote, @ingrediente, 'recepcion', @cantidad, GETDATE(), @usuario, @referencia);
+        `);
+
+            await tx.commit();
+            return loteInventarioId;
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async ajuste({ lote, cantidad, comentario, usuario }) {
+        const actual = await lotStock(pool.request(), lote);
+        if (!actual) return null;
+        await pool.request()
+            .input('lote', sql.Int, actual.Identificador)
+            .input('ingrediente', sql.Int, actual.Ingrediente)
+            .input('cantidad', sql.Decimal(18, 3), round3(cantidad))
+            .input('usuario', sql.NVarChar(50), usuario)
+            .input('comentario', sql.NVarChar(500), comentario)
+            .query(`
+        INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Comentario)
+        VALUES (@lote, @ingrediente, 'ajuste', @cantidad, GETDATE(), @usuario, @comentario);
+      `);
+        return round3(Number(actual.Existencia) + cantidad);
+    },
+
+    async conteo({ lote, contada, comentario, usuario }) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const actual = await lotStock(new sql.Request(tx), lote);
+            if (!actual) {
+                await tx.rollback();
+                return null;
+            }
+            const anterior = round3(actual.Existencia);
+            const diferencia = round3(contada - anterior);
+
+            await new sql.Request(tx)
+                .input('lote', sql.Int, actual.Identificador)
+                .input('ingrediente', sql.Int, actual.Ingrediente)
+                .input('cantidad', sql.Decimal(18, 3), diferencia)
+                .input('usuario', sql.NVarChar(50), usuario)
+                .input('comentario', sql.NVarChar(500), comentario)
+                .query(`
+          INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Comentario)
+          VALUES (@lote, @ingrediente, 'conteo', @cantidad, GETDATE(), @usuario, @comentario);
+        `);
+
+            await tx.commit();
+            return { anterior, contada, diferencia };
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async existencias(ingrediente = null) {
+        const r = await pool.request()
+            .input('ingrediente', sql.Int, ingrediente)
+            .query(`
+        SELECT
+          i.Identificador AS Ingrediente,
+          i.Ingrediente AS Nombre,
+          ISNULL(SUM(m.Cantidad), 0) AS Existencia,
+          ISNULL(SUM(CASE WHEN m.LoteInventarioID IS NULL THEN m.Cantidad END), 0) AS SinLote,
+          COUNT(DISTINCT m.LoteInventarioID) AS Lotes
+        FROM Ingredientes i
+        LEFT JOIN InventarioMovimientos m ON m.Ingrediente = i.Identificador
+        WHERE i.Activo = 1 AND (@ingrediente IS NULL OR i.Identificador = @ingrediente)
+        GROUP BY i.Identificador, i.Ingrediente
+        ORDER BY i.Ingrediente;
+      `);
+        return r.recordset;
+    },
+
+    async lotes({ ingrediente = null, incluirAgotados = false } = {}) {
+        const r = await pool.request()
+            .input('ingrediente', sql.Int, ingrediente)
+            .input('incluirAgotados', sql.Bit, incluirAgotados ? 1 : 0)
+            .query(`
+        SELECT *
+        FROM (
+          SELECT
+            l.Identificador AS LoteInventarioId,
+            l.Ingrediente,
+            i.Ingrediente AS Nombre,
+            l.ProveedorID AS ProveedorId,
+            p.Proveedor,
+            l.LoteProveedor,
+            l.Caducidad,
+            l.FechaRecepcion,
+            ISNULL((SELECT SUM(m.Cantidad) FROM InventarioMovimientos m WHERE m.LoteInventarioID = l.Identificador), 0) AS Existencia
+          FROM InventarioLotes l
+          LEFT JOIN Ingredientes i ON i.Identificador = l.Ingrediente
+          LEFT JOIN ProveedoresIngredientes p ON p.Identificador = l.ProveedorID
+          WHERE (@ingrediente IS NULL OR l.Ingrediente = @ingrediente)
+        ) x
+        WHERE @incluirAgotados = 1 OR x.Existencia <> 0
+        ORDER BY x.Ingrediente, CASE WHEN x.Caducidad IS NULL THEN 1 ELSE 0 END, x.Caducidad, x.FechaRecepcion;
+      `);
+        return r.recordset;
+    },
+
+    async movimientos({ ingrediente = null, lote = null, tipo = null, desde = null, hasta = null } = {}) {
+        const r = await pool.request()
+            .input('ingrediente', sql.Int, ingrediente)
+            .input('lote', sql.Int, lote)
+            .input('tipo', sql.VarChar(12), tipo)
+            .input('desde', sql.DateTime, desde)
+            .input('hasta', sql.DateTime, hasta)
+            .query(`
+        SELECT TOP 1000
+          Identificador, LoteInventarioID AS LoteInventarioId, Ingrediente, Tipo, Cantidad, Fecha,
+          Usuario, Referencia, Comentario, Consecutivo, Secuencia
+        FROM InventarioMovimientos
+        WHERE (@ingrediente IS NULL OR Ingrediente = @ingrediente)
+          AND (@lote IS NULL OR LoteInventarioID = @lote)
+          AND (@tipo IS NULL OR Tipo = @tipo)
+          AND (@desde IS NULL OR Fecha >= @desde)
+          AND (@hasta IS NULL OR CAST(Fecha AS DATE) <= @hasta)
+        ORDER BY Fecha DESC, Identificador DESC;
+      `);
+        return r.recordset;
+    },
+});
+
+// -------------------- SQLite --------------------
+
+const EXISTENCIA_LOTE = `IFNULL((SELECT SUM(m.Cantidad) FROM InventarioMovimientos m WHERE m.LoteInventarioID = l.Identificador), 0)`;
+
+const INSERT_MOVIMIENTO = `
+  INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Referencia, Comentario, Consecutivo, Secuencia)
+  VALUES (@lote, @ingrediente, @tipo, @cantidad, @fecha, @usuario, @referencia, @comentario, @consecutivo, @secuencia);`;
+
+function insertMovement(db, m) {
+    db.prepare(INSERT_MOVIMIENTO).run({
+        lote: null, referencia: null, comentario: null, consecutivo: null, secuencia: null, fecha: ahora(), ...m, cantidad: round3(m.cantidad)
+    });
+}
+
+// Mismo consumo que postConsumption, dentro de la db.transaction de pesaje.js.
+// Si falta existencia y no se permite negativo no registra nada.
+export function sqliteConsumption(db, { ingrediente, cantidad, loteProveedor, proveedorId, consecutivo, secuencia, usuario }) {
+    const candidatos = db.prepare(`
+    SELECT l.Identificador AS LoteInventarioId, l.LoteProveedor, l.ProveedorID AS ProveedorId, l.Caducidad, l.FechaRecepcion,
+           ${EXISTENCIA_LOTE} AS Existencia
+    FROM InventarioLotes l
+    WHERE l.Ingrediente = @ingrediente
+      AND (@loteProveedor IS NULL OR l.LoteProveedor = @loteProveedor)
+      AND (@proveedorId IS NULL OR l.ProveedorID = @proveedorId);
+  `).all({ ingrediente: Number(ingrediente), loteProveedor: loteProveedor ?? null, proveedorId: proveedorId ?? null });
+    const { asignaciones, faltante } = allocateFefo(candidatos, cantidad);
+    if (faltante > 0 && !PERMITIR_NEGATIVO) return { asignaciones, faltante };
+
+    const movimientos = asignaciones.map(a => ({ lote: a.LoteInventarioId, cantidad: a.Cantidad }));
+    if (faltante > 0) movimientos.push({ lote: null, cantidad: faltante });
+    for (const m of movimientos) {
+        insertMovement(db, {
+            lote: m.lote, ingrediente: Number(ingrediente), tipo: 'consumo', cantidad: -m.cantidad, usuario, consecutivo, secuencia
+        });
+    }
+    return { asignaciones, faltante };
+}
+
+// Devuelve como 'ajuste' lo que la línea tiene consumido (neto por lote) → Identificador del último movimiento previo,
+// para deshacerlo con DELETE si el consumo nuevo no alcanza
+export function sqliteReversal(db, { consecutivo, secuencia, usuario, comentario }) {
+    const previo = db.prepare(`SELECT IFNULL(MAX(Identificador), 0) FROM InventarioMovimientos;`).pluck().get();
+    db.prepare(`
+    INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Comentario, Consecutivo, Secuencia)
+    SELECT LoteInventarioID, Ingrediente, 'ajuste', -ROUND(SUM(Cantidad), 3), @fecha, @usuario, @comentario, @consecutivo, @secuencia
+    FROM InventarioMovimientos
+    WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia
+    GROUP BY LoteInventarioID, Ingrediente
+    HAVING ROUND(SUM(Cantidad), 3) <> 0;
+  `).run({ fecha: ahora(), usuario, comentario, consecutivo, secuencia });
+    return previo;
+}
+
+export const sqlite = (db) => {
+    const lotStock = (lote) => db.prepare(`
+    SELECT l.Identificador, l.Ingrediente, ${EXISTENCIA_LOTE} AS Existencia FROM InventarioLotes l WHERE l.Identificador = ?;
+  `).get(lote);
+
+    return {
+        async recepcion({ ingrediente, proveedorId, loteProveedor, caducidad, cantidad, referencia, usuario }) {
+            return db.transaction(() => {
+                const fecha = ahora();
+                db.prepare(`
+          INSERT INTO InventarioLotes (Ingrediente, ProveedorID, LoteProveedor, Caducidad, FechaRecepcion)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (Ingrediente, ProveedorID, LoteProveedor) DO NOTHING;
+        `).run(ingrediente, proveedorId, loteProveedor, caducidad ? iso(dia(caducidad)) : null, fecha);
+                const id = db.prepare(`SELECT Identificador FROM InventarioLotes WHERE Ingrediente = ? AND ProveedorID = ? AND LoteProveedor = ?;`)
+                    .pluck().get(ingrediente, proveedorId, loteProveedor);
+                insertMovement(db, { lote: id, ingrediente, tipo: 'recepcion', cantidad, fecha, usuario, referencia });
+                return id;
+            })();
+        },
+
+        async ajuste({ lote, cantidad, comentario, usuario }) {
+            return db.transaction(() => {
+                const actual = lotStock(lote);
+                if (!actual) return null;
+                insertMovement(db, { lote, ingrediente: actual.Ingrediente, tipo: 'ajuste', cantidad, usuario, comentario });
+                return round3(actual.Existencia + cantidad);
+            })();
+        },
+
+        async conteo({ lote, contada, comentario, usuario }) {
+            return db.transaction(() => {
+                const actual = lotStock(lote);
+                if (!actual) return null;
+                const anterior = round3(actual.Existencia);
+                const diferencia = round3(contada - anterior);
+                insertMovement(db, { lote, ingrediente: actual.Ingrediente, tipo: 'conteo', cantidad: diferencia, usuario, comentario });
+                return { anterior, contada, diferencia };
+            })();
+        },
+
+        async existencias(ingrediente = null) {
+            return db.prepare(`
+        SELECT
+          i.Identificador AS Ingrediente,
+          i.Ingrediente AS Nombre,
+          ROUND(IFNULL(SUM(m.Cantidad), 0), 3) AS Existencia,
+          ROUND(IFNULL(SUM(CASE WHEN m.LoteInventarioID IS NULL THEN m.Cantidad END), 0), 3) AS SinLote,
+          COUNT(DISTINCT m.LoteInventarioID) AS Lotes
+        FROM Ingredientes i
+        LEFT JOIN InventarioMovimientos m ON m.Ingrediente = i.Identificador
+        WHERE i.Activo = 1 AND (@ingrediente IS NULL OR i.Identificador = @ingrediente)
+        GROUP BY i.Identificador, i.Ingrediente
+        ORDER BY i.Ingrediente;
+      `).all({ ingrediente });
+        },
+
+        async lotes({ ingrediente = null, incluirAgotados = false } = {}) {
+            return db.prepare(`
+        SELECT *
+        FROM (
+          SELECT
+            l.Identificador AS LoteInventarioId,
+            l.Ingrediente,
+            i.Ingrediente AS Nombre,
+            l.ProveedorID AS ProveedorId,
+            p.Proveedor,
+            l.LoteProveedor,
+            l.Caducidad,
+            l.FechaRecepcion,
+            ROUND(${EXISTENCIA_LOTE}, 3) AS Existencia
+          FROM InventarioLotes l
+          LEFT JOIN Ingredientes i ON i.Identificador = l.Ingrediente
+          LEFT JOIN ProveedoresIngredientes p ON p.Identificador = l.ProveedorID
+          WHERE (@ingrediente IS NULL OR l.Ingrediente = @ingrediente)
+        ) x
+        WHERE @incluirAgotados = 1 OR x.Existencia <> 0
+        ORDER BY x.Ingrediente, CASE WHEN x.Caducidad IS NULL THEN 1 ELSE 0 END, x.Caducidad, x.FechaRecepcion;
+      `).all({ ingrediente, incluirAgotados: bit(incluirAgotados) });
+        },
+
+        async movimientos({ ingrediente = null, lote = null, tipo = null, desde = null, hasta = null } = {}) {
+            return db.prepare(`
+        SELECT
+          Identificador, LoteInventarioID AS LoteInventarioId, Ingrediente, Tipo, Cantidad, Fecha,
+          Usuario, Referencia, Comentario, Consecutivo, Secuencia
+        FROM InventarioMovimientos
+        WHERE (@ingrediente IS NULL OR Ingrediente = @ingrediente)
+          AND (@lote IS NULL OR LoteInventarioID = @lote)
+          AND (@tipo IS NULL OR Tipo = @tipo)
+          AND (@desde IS NULL OR Fecha >= @desde)
+          AND (@hasta IS NULL OR substr(Fecha, 1, 10) <= @hasta)
+        ORDER BY Fecha DESC, Identificador DESC
+        LIMIT 1000;
+      `).all({ ingrediente, lote, tipo, desde: iso(desde), hasta: dia(hasta) });
+        },
+    };
+};
+
+// -------------------- Memoria (mockstore) --------------------
+
+// INSERT INTO InventarioMovimientos en el store → fila
+function pushMovement(store, m) {
+    const fila = {
+        Identificador: store.nextId('InventarioMovimientos'), LoteInventarioID: null, Referencia: null, Comentario: null,
+        Consecutivo: null, Secuencia: null, Fecha: new Date(), ...m, Cantidad: round3(m.Cantidad)
+    };
+    store.InventarioMovimientos.push(fila);
+    return fila;
+}
+
+// Mismo consumo que postConsumption; si falta existencia y no se permite negativo no registra nada
+export function storeConsumption(store, { ingrediente, cantidad, loteProveedor, proveedorId, consecutivo, secuencia, usuario }) {
+    const candidatos = store.InventarioLotes
+        .filter(l => l.Ingrediente === Number(ingrediente) &&
+            (loteProveedor == null || l.LoteProveedor === loteProveedor) && (proveedorId == null || l.ProveedorID === Number(proveedorId)))
+        .map(l => ({
+            LoteInventarioId: l.Identificador, LoteProveedor: l.LoteProveedor, ProveedorId: l.ProveedorID,
+            Caducidad: l.Caducidad, FechaRecepcion: l.FechaRecepcion, Existencia: store.existenciaLote(l.Identificador)
+        }));
+    const { asignaciones, faltante } = allocateFefo(candidatos, cantidad);
+    if (faltante > 0 && !PERMITIR_NEGATIVO) return { asignaciones, faltante };
+
+    const movimientos = asignaciones.map(a => ({ lote: a.LoteInventarioId, cantidad: a.Cantidad }));
+    if (faltante > 0) movimientos.push({ lote: null, cantidad: faltante });
+    for (const m of movimientos) {
+        pushMovement(store, {
+            LoteInventarioID: m.lote, Ingrediente: Number(ingrediente), Tipo: 'consumo', Cantidad: -m.cantidad,
+            Usuario: usuario, Consecutivo: consecutivo, Secuencia: secuencia
+        });
+    }
+    return { asignaciones, faltante };
+}
+
+// Devuelve como 'ajuste' lo que la línea tiene consumido (neto por lote), igual que la corrección en SQL Server
+export function storeReversal(store, { consecutivo, secuencia, usuario, comentario }) {
+    const netos = new Map();
+    for (const m of store.InventarioMovimientos) {
+        if (m.Consecutivo !== consecutivo || m.Secuencia !== secuencia) continue;
+        const clave = `${m.LoteInventarioID}|${m.Ingrediente}`;
+        const n = netos.get(clave) ?? { LoteInventarioID: m.LoteInventarioID, Ingrediente: m.Ingrediente, Cantidad: 0 };
+        n.Cantidad = round3(n.Cantidad + Number(m.Cantidad));
+        netos.set(clave, n);
+    }
+    for (const n of netos.values()) {
+        if (n.Cantidad === 0) continue;
+        pushMovement(store, {
+            ...n, Tipo: 'ajuste', Cantidad: -n.Cantidad, Usuario: usuario, Comentario: comentario, Consecutivo: consecutivo, Secuencia: secuencia
+        });
+    }
+}
+
+export const memoria = (store) => {
+    const loteRecord = (l) => ({
+        LoteInventarioId: l.Identificador, Ingrediente: l.Ingrediente, Nombre: store.ingrediente(l.Ingrediente)?.Ingrediente ?? null,
+        ProveedorId: l.ProveedorID, Proveedor: store.proveedor(l.ProveedorID)?.Proveedor ?? null, LoteProveedor: l.LoteProveedor,
+        Caducidad: l.Caducidad, FechaRecepcion: l.FechaRecepcion, Existencia: store.existenciaLote(l.Identificador)
+    });
+
+    return {
+        async recepcion({ ingrediente, proveedorId, loteProveedor, caducidad, cantidad, referencia, usuario }) {
+            let l = store.InventarioLotes.find(x =>
+                x.Ingrediente === ingrediente && x.ProveedorID === proveedorId && x.LoteProveedor === loteProveedor);
+            if (!l) {
+                l = {
+                    Identificador: store.nextId('InventarioLotes'), Ingrediente: ingrediente, ProveedorID: proveedorId,
+                    LoteProveedor: loteProveedor, Caducidad: caducidad ? new Date(dia(caducidad)) : null, FechaRecepcion: new Date()
+                };
+                store.InventarioLotes.push(l);
+            }
+            pushMovement(store, {
+                LoteInventarioID: l.Identificador, Ingrediente: ingrediente, Tipo: 'recepcion', Cantidad: cantidad, Usuario: usuario, Referencia: referencia
+            });
+            return l.Identificador;
+        },
+
+        async ajuste({ lote, cantidad, comentario, usuario }) {
+            const l = store.InventarioLotes.find(x => x.Identificador === lote);
+            if (!l) return null;
+            const existencia = store.existenciaLote(lote);
+            pushMovement(store, {
+                LoteInventarioID: lote, Ingrediente: l.Ingrediente, Tipo: 'ajuste', Cantidad: cantidad, Usuario: usuario, Comentario: comentario
+            });
+            return round3(existencia + cantidad);
+        },
+
+        async conteo({ lote, contada, comentario, usuario }) {
+            const l = store.InventarioLotes.find(x => x.Identificador === lote);
+            if (!l) return null;
+            const anterior = store.existenciaLote(lote);
+            const diferencia = round3(contada - anterior);
+            pushMovement(store, {
+                LoteInventarioID: lote, Ingrediente: l.Ingrediente, Tipo: 'conteo', Cantidad: diferencia, Usuario: usuario, Comentario: comentario
+            });
+            return { anterior, contada, diferencia };
+        },
+
+        async existencias(ingrediente = null) {
+            return store.Ingredientes
+                .filter(i => i.Activo && (ingrediente == null || i.Identificador === ingrediente))
+                .sort((a, b) => a.Ingrediente.localeCompare(b.Ingrediente))
+                .map(i => {
+                    const movs = store.InventarioMovimientos.filter(m => m.Ingrediente === i.Identificador);
+                    const suma = (xs) => round3(xs.reduce((a, m) => a + Number(m.Cantidad), 0));
+                    return {
+                        Ingrediente: i.Identificador, Nombre: i.Ingrediente, Existencia: suma(movs),
+                        SinLote: suma(movs.filter(m => m.LoteInventarioID == null)),
+                        Lotes: new Set(movs.filter(m => m.LoteInventarioID != null).map(m => m.LoteInventarioID)).size
+                    };
+                });
+        },
+
+        async lotes({ ingrediente = null, incluirAgotados = false } = {}) {
+            const filas = store.InventarioLotes
+                .filter(l => ingrediente == null || l.Ingrediente === ingrediente)
+                .map(loteRecord)
+                .filter(l => incluirAgotados || l.Existencia !== 0);
+            return [...new Set(filas.map(l => l.Ingrediente))].sort((a, b) => a - b)
+                .flatMap(i => sortFefo(filas.filter(l => l.Ingrediente === i)));
+        },
+
+        async movimientos({ ingrediente = null, lote = null, tipo = null, desde = null, hasta = null } = {}) {
+            return store.InventarioMovimientos
+                .filter(m => (ingrediente == null || m.Ingrediente === ingrediente) && (lote == null || m.LoteInventarioID === lote) &&
+                    (tipo == null || m.Tipo === tipo) && (desde == null || m.Fecha >= desde) && (hasta == null || dia(m.Fecha) <= dia(hasta)))
+                .sort((a, b) => b.Fecha - a.Fecha || b.Identificador - a.Identificador)
+                .slice(0, 1000)
+                .map(m => ({
+                    Identificador: m.Identificador, LoteInventarioId: m.LoteInventarioID, Ingrediente: m.Ingrediente, Tipo: m.Tipo,
+                    Cantidad: m.Cantidad, Fecha: m.Fecha, Usuario: m.Usuario, Referencia: m.Referencia, Comentario: m.Comentario,
+                    Consecutivo: m.Consecutivo, Secuencia: m.Secuencia
+                }));
+        },
+    };
+};
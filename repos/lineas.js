@@ -0,0 +1,303 @@
+// repos/lineas.js — líneas de mezclado (LineasMezclado), su carga y el movimiento de lotes entre líneas/fechas
+// ------------------------------------------------------------------
+// linea = { Identificador, Nombre, Capacidad, UnidadCapacidad ('kg'|'lotes'), TurnosPorDia, Activo }
+//   Capacidad es por turno (NULL = sin límite); la del día es Capacidad × TurnosPorDia.
+// listado() → [linea] · obtener(id) → linea | null
+// crear(linea) → Identificador · actualizar(id, linea) → { antes, despues } | null
+// lotes(ids) → [{ Consecutivo, Lote, Producto, LineadeMezclado, FechaProgramada, PesoKg, Cancelado, LoteCompletado, ProduccionInicio }]
+// carga({ inicio, fin, lineas? }) → [{ LineadeMezclado, Fecha: 'YYYY-MM-DD', Lotes, Kg }] (sin cancelados; completados sí cuentan)
+//   Kg = PesoLote × FactorKg de la unidad del lote (sin unidad o sin factor = kg).
+// mover(movimientos) → { rows: [{ Consecutivo, LineadeMezclado, FechaProgramada }] } | { error: 'started', Consecutivo }
+//   movimientos = [{ Consecutivo, LineadeMezclado, FechaProgramada, LimpiezaPrevia? }] en una transacción
+//   (LimpiezaPrevia null/omitida = se conserva); si entre la validación
+//   y el UPDATE un lote empezó a pesarse (o se canceló/completó) no se mueve ninguno.
+
+import sql from 'mssql';
+import { dia } from '../mockstore.js';
+import { bit, iso } from './sqlite.js';
+
+const COLUMNAS = 'Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo';
+
+function lineRecord(row) {
+    if (!row) return null;
+    return {
+        Identificador: Number(row.Identificador), Nombre: row.Nombre,
+        Capacidad: row.Capacidad != null ? Number(row.Capacidad) : null, UnidadCapacidad: row.UnidadCapacidad,
+        TurnosPorDia: Number(row.TurnosPorDia), Activo: !!row.Activo
+    };
+}
+
+// Lote con su peso en kg (a = ProgramacionProduccion, b = _Control, u = UnidadesDeMedida)
+function lotRecord(row) {
+    return {
+        ...row, Consecutivo: Number(row.Consecutivo), PesoKg: Number(row.PesoKg ?? 0),
+        Cancelado: !!row.Cancelado, LoteCompletado: !!row.LoteCompletado
+    };
+}
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => ({
+    async listado() {
+        const r = await pool.request().query(`SELECT ${COLUMNAS} FROM LineasMezclado ORDER BY Identificador;`);
+        return r.recordset.map(lineRecord);
+    },
+
+    async obtener(id) {
+        const r = await pool.request()
+            .input('id', sql.Int, Number(id))
+            .query(`SELECT ${COLUMNAS} FROM LineasMezclado WHERE Identificador = @id;`);
+        return lineRecord(r.recordset[0]);
+    },
+
+    async crear({ Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }) {
+        await pool.request()
+            .input('id', sql.Int, Number(Identificador))
+            .input('nombre', sql.NVarChar(100), Nombre)
+            .input('capacidad', sql.Decimal(18, 3), Capacidad)
+            .input('unidad', sql.VarChar(10), UnidadCapacidad)
+            .input('turnos', sql.Int, TurnosPorDia)
+            .input('activo', sql.Bit, bit(Activo))
+            .query(`
+        INSERT INTO LineasMezclado (Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo)
+        VALUES (@id, @nombre, @capacidad, @unidad, @turnos, @activo);
+      `);
+        return Number(Identificador);
+    },
+
+    async actualizar(id, { Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }) {
+        const r = await pool.request()
+            .input('id', sql.Int, Number(id))
+            .input('nombre', sql.NVarChar(100), Nombre)
+            .input('capacidad', sql.Decimal(18, 3), Capacidad)
+            .input('unidad', sql.VarChar(10), UnidadCapacidad)
+            .input('turnos', sql.Int, TurnosPorDia)
+            .input('activo', sql.Bit, bit(Activo))
+            .query(`
+        UPDATE LineasMezclado
+        SET Nombre = @nombre, Capacidad = @capacidad, UnidadCapacidad = @unidad, TurnosPorDia = @turnos, Activo = @activo
+        OUTPUT deleted.Identificador, deleted.Nombre, deleted.Capacidad, deleted.UnidadCapacidad, deleted.TurnosPorDia, deleted.Activo
+        WHERE Identificador = @id;
+        SELECT ${COLUMNAS} FROM LineasMezclado WHERE Identificador = @id;
+      `);
+        const antes = lineRecord(r.recordsets[0][0]);
+        return antes ? { antes, despues: lineRecord(r.recordsets[1][0]) } : null;
+    },
+
+    async lotes(ids) {
+        const request = pool.request();
+        const nombres = ids.map((id, i) => { request.input(`id${i}`, sql.BigInt, Number(id)); return `@id${i}`; });
+        const r = await request.query(`
+      SELECT a.Consecutivo, a.ID_Lot AS Lote, a.Producto, b.LineadeMezclado, b.FechaProgramada,
+             a.PesoLote * ISNULL(u.FactorKg, 1) AS PesoKg,
+             ISNULL(a.Cancelado, 0) AS Cancelado, ISNULL(b.LoteCompletado, 0) AS LoteCompletado, b.ProduccionInicio
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      LEFT JOIN UnidadesDeMedida u ON u.Identificador = a.IdUnidadMedida
+      WHERE a.Consecutivo IN (${nombres.join(',')});
+    `);
+        return r.recordset.map(lotRecord);
+    },
+
+    async carga({ inicio, fin, lineas = null }) {
+        const request = pool.request()
+            .input('inicio', sql.Date, String(inicio))
+            .input('fin', sql.Date, String(fin));
+        const filtro = lineas?.length
+            ? `AND b.LineadeMezclado IN (${lineas.map((l, i) => { request.input(`l${i}`, sql.Int, l); return `@l${i}`; }).join(',')})`
+            : '';
+        const r = await request.query(`
+      SELECT b.LineadeMezclado, CONVERT(CHAR(10), b.FechaProgramada, 23) AS Fecha,
+             COUNT(*) AS Lotes, SUM(a.PesoLote * ISNULL(u.FactorKg, 1)) AS Kg
+      FROM ProgramacionProduccion a
+      JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      LEFT JOIN UnidadesDeMedida u ON u.Identificador = a.IdUnidadMedida
+      WHERE CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
+        AND ISNULL(a.Cancelado, 0) = 0
+        ${filtro}
+      GROUP BY b.LineadeMezclado, CONVERT(CHAR(10), b.FechaProgramada, 23);
+    `);
+        return r.recordset.map(x => ({ ...x, Kg: Number(x.Kg ?? 0) }));
+    },
+
+    async mover(movimientos) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const rows = [];
+            for (const m of movimientos) {
+                const r = await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Number(m.Consecutivo))
+                    .input('linea', sql.Int, m.LineadeMezclado)
+                    .input('fecha', sql.DateTime, new Date(m.FechaProgramada))
+                    .input('limpieza', sql.Bit, m.LimpiezaPrevia != null ? bit(m.LimpiezaPrevia) : null)
+                    .query(`
+          UPDATE b SET b.LineadeMezclado = @linea, b.FechaProgramada = @fecha, b.LimpiezaPrevia = ISNULL(@limpieza, b.LimpiezaPrevia)
+          FROM ProgramacionProduccion_Control b WITH (UPDLOCK)
+          JOIN ProgramacionProduccion a ON a.Consecutivo = b.Consecutivo
+          WHERE b.Consecutivo = @consecutivo
+            AND b.ProduccionInicio IS NULL AND ISNULL(b.LoteCompletado, 0) = 0 AND ISNULL(a.Cancelado, 0) = 0;
+        `);
+                if (!r.rowsAffected[0]) {
+                    await tx.rollback();
+                    return { error: 'started', Consecutivo: Number(m.Consecutivo) };
+                }
+                rows.push({ Consecutivo: Number(m.Consecutivo), LineadeMezclado: m.LineadeMezclado, FechaProgramada: m.FechaProgramada });
+            }
+            await tx.commit();
+            return { rows };
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => {
+    const leer = db.prepare(`SELECT ${COLUMNAS} FROM LineasMezclado WHERE Identificador = ?;`);
+
+    return {
+        async listado() {
+            return db.prepare(`SELECT ${COLUMNAS} FROM LineasMezclado ORDER BY Identificador;`).all().map(lineRecord);
+        },
+
+        async obtener(id) {
+            return lineRecord(leer.get(Number(id)));
+        },
+
+        async crear({ Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }) {
+            db.prepare(`
+        INSERT INTO LineasMezclado (Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo)
+        VALUES (?, ?, ?, ?, ?, ?);
+      `).run(Number(Identificador), Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, bit(Activo));
+            return Number(Identificador);
+        },
+
+        async actualizar(id, { Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }) {
+            return db.transaction(() => {
+                const antes = lineRecord(leer.get(Number(id)));
+                if (!antes) return null;
+                db.prepare(`
+          UPDATE LineasMezclado SET Nombre = ?, Capacidad = ?, UnidadCapacidad = ?, TurnosPorDia = ?, Activo = ?
+          WHERE Identificador = ?;
+        `).run(Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, bit(Activo), Number(id));
+                return { antes, despues: lineRecord(leer.get(Number(id))) };
+            })();
+        },
+
+        async lotes(ids) {
+            return db.prepare(`
+        SELECT a.Consecutivo, a.ID_Lot AS Lote, a.Producto, b.LineadeMezclado, b.FechaProgramada,
+               a.PesoLote * IFNULL(u.FactorKg, 1) AS PesoKg,
+               IFNULL(a.Cancelado, 0) AS Cancelado, IFNULL(b.LoteCompletado, 0) AS LoteCompletado, b.ProduccionInicio
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        LEFT JOIN UnidadesDeMedida u ON u.Identificador = a.IdUnidadMedida
+        WHERE a.Consecutivo IN (${ids.map(() => '?').join(',')});
+      `).all(...ids.map(Number)).map(lotRecord);
+        },
+
+        async carga({ inicio, fin, lineas = null }) {
+            const filtro = lineas?.length ? `AND b.LineadeMezclado IN (${lineas.map(() => '?').join(',')})` : '';
+            return db.prepare(`
+        SELECT b.LineadeMezclado, date(b.FechaProgramada) AS Fecha,
+               COUNT(*) AS Lotes, IFNULL(SUM(a.PesoLote * IFNULL(u.FactorKg, 1)), 0) AS Kg
+        FROM ProgramacionProduccion a
+        JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        LEFT JOIN UnidadesDeMedida u ON u.Identificador = a.IdUnidadMedida
+        WHERE date(b.FechaProgramada) BETWEEN date(?) AND date(?)
+          AND IFNULL(a.Cancelado, 0) = 0
+          ${filtro}
+        GROUP BY b.LineadeMezclado, date(b.FechaProgramada);
+      `).all(String(inicio), String(fin), ...(lineas ?? []));
+        },
+
+        async mover(movimientos) {
+            const actualizar = db.prepare(`
+        UPDATE ProgramacionProduccion_Control SET LineadeMezclado = ?, FechaProgramada = ?, LimpiezaPrevia = IFNULL(?, LimpiezaPrevia)
+        WHERE Consecutivo = ? AND ProduccionInicio IS NULL AND IFNULL(LoteCompletado, 0) = 0
+          AND Consecutivo IN (SELECT Consecutivo FROM ProgramacionProduccion WHERE IFNULL(Cancelado, 0) = 0);
+      `);
+            const error = new Error('started');
+            try {
+                return db.transaction(() => {
+                    const rows = [];
+                    for (const m of movimientos) {
+                        const limpieza = m.LimpiezaPrevia != null ? bit(m.LimpiezaPrevia) : null;
+                        if (!actualizar.run(m.LineadeMezclado, iso(m.FechaProgramada), limpieza, Number(m.Consecutivo)).changes) {
+                            throw Object.assign(error, { Consecutivo: Number(m.Consecutivo) });
+                        }
+                        rows.push({ Consecutivo: Number(m.Consecutivo), LineadeMezclado: m.LineadeMezclado, FechaProgramada: m.FechaProgramada });
+                    }
+                    return { rows };
+                })();
+            } catch (e) {
+                if (e !== error) throw e;
+                return { error: 'started', Consecutivo: e.Consecutivo };
+            }
+        },
+    };
+};
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => {
+    const fila = (id) => store.LineasMezclado.find(l => l.Identificador === Number(id));
+    const pesoKg = (a) => Number(a.PesoLote ?? 0) * (store.UnidadesDeMedida.find(u => u.Identificador === a.IdUnidadMedida)?.FactorKg ?? 1);
+
+    return {
+        async listado() {
+            return [...store.LineasMezclado].sort((x, y) => x.Identificador - y.Identificador).map(lineRecord);
+        },
+
+        async obtener(id) {
+            return lineRecord(fila(id));
+        },
+
+        async crear({ Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }) {
+            store.LineasMezclado.push({ Identificador: Number(Identificador), Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo: bit(Activo) });
+            return Number(Identificador);
+        },
+
+        async actualizar(id, { Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }) {
+            const l = fila(id);
+            if (!l) return null;
+            const antes = lineRecord(l);
+            Object.assign(l, { Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo: bit(Activo) });
+            return { antes, despues: lineRecord(l) };
+        },
+
+        async lotes(ids) {
+            return ids.map(id => store.lote(id)).filter(Boolean).map(({ a, b }) => lotRecord({
+                Consecutivo: a.Consecutivo, Lote: a.ID_Lot, Producto: a.Producto, LineadeMezclado: b.LineadeMezclado,
+                FechaProgramada: b.FechaProgramada, PesoKg: pesoKg(a), Cancelado: a.Cancelado, LoteCompletado: b.LoteCompletado,
+                ProduccionInicio: b.ProduccionInicio ?? null
+            }));
+        },
+
+        async carga({ inicio, fin, lineas = null }) {
+            const celdas = new Map();
+            for (const { a, b } of store.lotes()) {
+                const fecha = dia(b.FechaProgramada);
+                if (a.Cancelado || fecha < dia(inicio) || fecha > dia(fin)) continue;
+                if (lineas?.length && !lineas.includes(b.LineadeMezclado)) continue;
+                const clave = `${b.LineadeMezclado}|${fecha}`;
+                const c = celdas.get(clave) ?? { LineadeMezclado: b.LineadeMezclado, Fecha: fecha, Lotes: 0, Kg: 0 };
+                c.Lotes += 1;
+                c.Kg += pesoKg(a);
+                celdas.set(clave, c);
+            }
+            return [...celdas.values()];
+        },
+
+        async mover(movimientos) {
+            const lotes = movimientos.map(m => store.lote(m.Consecutivo));
+            const i = lotes.findIndex(l => !l || l.a.Cancelado || l.b.LoteCompletado || l.b.ProduccionInicio);
+            if (i >= 0) return { error: 'started', Consecutivo: Number(movimientos[i].Consecutivo) };
+            movimientos.forEach((m, j) => Object.assign(lotes[j].b, {
+                LineadeMezclado: m.LineadeMezclado, FechaProgramada: new Date(m.FechaProgramada),
+                ...(m.LimpiezaPrevia != null && { LimpiezaPrevia: bit(m.LimpiezaPrevia) })
+            }));
+            return { rows: movimientos.map(m => ({ Consecutivo: Number(m.Consecutivo), LineadeMezclado: m.LineadeMezclado, FechaProgramada: m.FechaProgramada })) };
+        },
+    };
+};
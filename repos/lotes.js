@@ -0,0 +1,849 @@
+// repos/lotes.js — repositorio de lotes programados (ProgramacionProduccion + _Control + _Detalle)
+// ------------------------------------------------------------------
+// unidadesActivas() → [{ Identificador, UnidaddeMedida, Abreviatura, FactorKg, Decimales }] · unidadActiva(id) → boolean
+// unidades() → todas (activas o no) con FactorKg/Decimales, para el catálogo de units.js
+// programar({ CodigoProducto, FechaProgramada, UsuarioProgramo, CantidadLotes, PesoPorLote, IdUnidadMedida?, LineadeMezclado?, LimpiezaPrevia? })
+//   → [{ Consecutivo, Lote, LineadeMezclado, FechaProgramada, VersionFormula }]
+//   (mssql ejecuta SP_ProgramarLotesProduccion; sqlite y memoria reproducen lo que hace el SP)
+//   LineadeMezclado omitida = la que asigne el SP (1 en sqlite/memoria); LimpiezaPrevia marca sólo el primer lote.
+// listado({ inicio, fin }, listing) → respuesta de listado (con Estacion/Operador/BloqueoExpira del bloqueo de estación
+//   e IdUnidadMedida, la unidad en que está PesoLote)
+// pendiente(consecutivo) → { detalle, maxSecuencia }
+// linea(consecutivo) → LineadeMezclado | null
+// unidadLote(consecutivo) → { IdUnidadMedida, LineadeMezclado } | null (IdUnidadMedida NULL = kg)
+// registro(consecutivo) → { lote, lineas } | null (entrada de renderBatchRecord; con FotoHash para leer la foto del almacén)
+// cancelar(ids, razon) · cancelarRango({ inicio, fin }, razon) → { rows: [{ Consecutivo, LineadeMezclado, FechaProgramada }], rowsAffected }
+//   razon = { motivo, comentario, usuario, origen }
+// cancelablesEnRango({ inicio, fin }) → [{ Consecutivo, Lote, Producto, LineadeMezclado, FechaProgramada }]
+// restaurar(ids, { usuario, comentario }) → { rows: [{ Consecutivo, LineadeMezclado, FechaProgramada }], omitidos: [{ Consecutivo, motivo }] }
+// cancelaciones({ desde, hasta, motivo }) · cancelacionesPorPeriodo({ desde, hasta }, 'dia'|'semana'|'mes')
+//   → [{ Periodo, Motivo, Cancelados, Restaurados }]  (semana = lunes de la semana)
+
+import sql from 'mssql';
+import { round3 } from '../inventory.js';
+import { orderBySql, searchSql, pageSql, bindListing, listingResponse, applyListing, searchSqlite, pageSqlite, listingParams } from '../listing.js';
+import { dia } from '../mockstore.js';
+import { ahora, iso } from './sqlite.js';
+
+export const LISTADO = {
+    campos: {
+        Consecutivo: 'a.Consecutivo', Lote: 'a.ID_Lot', Producto: 'a.Producto', PesoLote: 'a.PesoLote',
+        LineadeMezclado: 'b.LineadeMezclado', FechaProgramada: 'b.FechaProgramada', VersionFormula: 'a.VersionFormula'
+    },
+    porDefecto: 'Consecutivo',
+};
+
+// Omitido al restaurar: no existe, ya inició producción o no está cancelado
+function motivoOmitido(l) {
+    return !l ? 'no_existe' : l.ProduccionInicio ? 'iniciado' : !l.Cancelado ? 'no_cancelado' : null;
+}
+
+// -------------------- SQL Server --------------------
+
+// Lotes recién creados por SP_ProgramarLotesProduccion (el SP no devuelve los consecutivos)
+async function recentlyScheduledLots(request, codigoProducto, fecha, cantidad) {
+    const r = await request
+        .input('codigo', sql.NVarChar, String(codigoProducto))
+        .input('fecha', sql.DateTime, new Date(fecha))
+        .input('n', sql.Int, Number(cantidad))
+        .query(`
+      SELECT TOP (@n) a.Consecutivo, a.ID_Lot AS Lote, b.LineadeMezclado, b.FechaProgramada
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      WHERE a.Producto = @codigo AND CAST(b.FechaProgramada AS DATE) = CAST(@fecha AS DATE)
+      ORDER BY a.Consecutivo DESC;
+    `);
+    return r.recordset;
+}
+
+// Cancela los lotes (a = ProgramacionProduccion, b = _Control) que cumplan `where` y no estén
+// cancelados; registra el motivo → { rows: [{ Consecutivo, LineadeMezclado, FechaProgramada }], rowsAffected }
+async function cancelLots(request, where, { motivo, comentario, usuario, origen }) {
+    const r = await request
+        .input('motivo', sql.VarChar(30), motivo)
+        .input('comentario', sql.NVarChar(500), comentario)
+        .input('usuario', sql.NVarChar(50), usuario)
+        .input('origen', sql.VarChar(20), origen)
+        .query(`
+      DECLARE @cancelados TABLE (Consecutivo BIGINT);
+      UPDATE a SET a.Cancelado = 1
+      OUTPUT inserted.Consecutivo INTO @cancelados
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      WHERE ${where}
+        AND ISNULL(a.Cancelado, 0) = 0;
+      INSERT INTO CancelacionesLotes (Consecutivo, Motivo, Comentario, Usuario, Fecha, Origen)
+      SELECT Consecutivo, @motivo, @comentario, @usuario, GETDATE(), @origen FROM @cancelados;
+      SELECT c.Consecutivo, b.LineadeMezclado, b.FechaProgramada
+      FROM @cancelados c LEFT JOIN ProgramacionProduccion_Control b ON b.Consecutivo = c.Consecutivo;
+    `);
+    return { rows: r.recordset, rowsAffected: r.rowsAffected.slice(0, 1) };
+}
+
+// "@id0,@id1,..." con los consecutivos ya enlazados al request
+function inList(request, ids) {
+    return ids.map((id, i) => { const nm = `id${i}`; request.input(nm, sql.BigInt, id); return `@${nm}`; }).join(',');
+}
+
+// Lotes de un rango de fechas que eliminar-rango puede cancelar (no iniciados ni completados)
+const RANGO_CANCELABLE = `
+        CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
+        AND ISNULL(b.LoteCompletado, 0) = 0
+        AND b.ProduccionInicio IS NULL`;
+
+const PERIODOS = {
+    dia: 'CONVERT(CHAR(10), c.Fecha, 23)',
+    semana: 'CONVERT(CHAR(10), DATEADD(DAY, -((DATEPART(WEEKDAY, c.Fecha) + @@DATEFIRST - 2) % 7), CAST(c.Fecha AS DATE)), 23)',
+    mes: 'CONVERT(CHAR(7), c.Fecha, 23)',
+};
+
+export const mssql = (pool) => ({
+    async unidadesActivas() {
+        const rows = await pool.request().query(`
+      SELECT Identificador, UnidaddeMedida, Abreviatura, FactorKg, Decimales
+      FROM dbo.UnidadesDeMedida
+      WHERE Activo = 1
+      ORDER BY Identificador
+    `);
+        return rows.recordset || [];
+    },
+
+    async unidades() {
+        const r = await pool.request().query(`SELECT Identificador, Abreviatura, FactorKg, Decimales FROM dbo.UnidadesDeMedida;`);
+        return r.recordset;
+    },
+
+    async unidadActiva(id) {
+        const um = await pool.request()
+            .input('Id', sql.Int, id)
+            .query(`
+        SELECT 1
+        FROM dbo.UnidadesDeMedida
+        WHERE Activo = 1 AND Identificador = @Id
+      `);
+        return (um.recordset || []).length > 0;
+    },
+
+    // Ejecuta SP_ProgramarLotesProduccion y sella en cada lote creado la versión activa de la fórmula.
+    // IdUnidadMedida es opcional (api/lotes/programar no lo envía). Con LineadeMezclado se corrige la línea que
+    // eligió el SP en la misma transacción.
+    async programar({ CodigoProducto, FechaProgramada, UsuarioProgramo, CantidadLotes, PesoPorLote, IdUnidadMedida, LineadeMezclado = null, LimpiezaPrevia = false }) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const sp = new sql.Request(tx)
+                .input('CodigoProducto', sql.NVarChar, String(CodigoProducto))
+                .input('FechaProgramada', sql.DateTime, new Date(FechaProgramada))
+                .input('UsuarioProgramo', sql.NVarChar, String(UsuarioProgramo))
+                .input('CantidadLotes', sql.Int, parseInt(CantidadLotes, 10))
+                .input('PesoPorLote', sql.Decimal(18, 3), Number(PesoPorLote));
+            if (IdUnidadMedida != null) sp.input('IdUnidadMedida', sql.Int, IdUnidadMedida);
+            await sp.execute('SP_ProgramarLotesProduccion');
+
+            const lotes = await recentlyScheduledLots(new sql.Request(tx), CodigoProducto, FechaProgramada, CantidadLotes);
+            let version = null;
+            if (lotes.length) {
+                const reqV = new sql.Request(tx)
+                    .input('codigo', sql.NVarChar, String(CodigoProducto))
+                    .input('linea', sql.Int, LineadeMezclado)
+                    .input('limpieza', sql.Bit, LimpiezaPrevia ? 1 : 0)
+                    .input('primero', sql.BigInt, Math.min(...lotes.map(l => Number(l.Consecutivo))));
+                const names = lotes.map((l, i) => { reqV.input(`id${i}`, sql.BigInt, l.Consecutivo); return `@id${i}`; });
+                const rV = await reqV.query(`
+            DECLARE @version INT = (SELECT Version FROM FormulasVersiones WHERE CodigoProducto = @codigo AND Estado = 'activa');
+            UPDATE ProgramacionProduccion SET VersionFormula = @version WHERE Consecutivo IN (${names.join(',')});
+            UPDATE ProgramacionProduccion_Control
+            SET LineadeMezclado = ISNULL(@linea, LineadeMezclado),
+                LimpiezaPrevia = CASE WHEN @limpieza = 1 AND Consecutivo = @primero THEN 1 ELSE LimpiezaPrevia END
+            WHERE Consecutivo IN (${names.join(',')});
+            SELECT @version AS version;
+          `);
+                version = rV.recordset[0]?.version ?? null;
+            }
+
+            await tx.commit();
+            return lotes.map(l => ({ ...l, LineadeMezclado: LineadeMezclado ?? l.LineadeMezclado, VersionFormula: version }));
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async listado({ inicio, fin }, listing) {
+        const fromWhere = `
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo 
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+        LEFT JOIN BloqueosLotes k ON k.Consecutivo = a.Consecutivo
+        WHERE CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
+          AND ISNULL(b.LoteCompletado, 0) = 0
+          AND ISNULL(a.Cancelado, 0) = 0
+          ${searchSql(listing, ['CAST(a.Consecutivo AS NVARCHAR(20))', 'a.ID_Lot', 'a.Producto', 'pt.Descripcion', 'pt.NombreCliente', 'cl.Cliente'])}`;
+        const r = await bindListing(pool.request(), listing, sql)
+            .input('inicio', sql.DateTime, new Date(String(inicio)))
+            .input('fin', sql.DateTime, new Date(String(fin)))
+            .query(`
+        SELECT COUNT(*) AS total ${fromWhere};
+        SELECT 
+          a.Consecutivo,
+          a.ID_Lot AS Lote,
+          a.Producto,
+          a.PesoLote,
+          a.IdUnidadMedida,
+          b.LineadeMezclado,
+          b.FechaProgramada,
+          a.VersionFormula,
+          k.Estacion,
+          k.Usuario AS Operador,
+          k.Expira AS BloqueoExpira
+        ${fromWhere}
+        ${orderBySql(listing, LISTADO.campos, 'a.Consecutivo')}
+        ${pageSql(listing)};
+      `);
+        return listingResponse(listing, r.recordsets[1], r.recordsets[0][0].total);
+    },
+
+    async pendiente(consecutivo) {
+        // 1) Ingrediente pendiente (TOP 1 por Secuencia)
+        const det = await pool.request()
+            .input('Consecutivo', sql.BigInt, consecutivo)
+            .query(`
+        SELECT TOP 1 
+            a.Consecutivo,
+            a.Producto AS ProductoTerminado,
+            a.ID_Lot AS LotePT,
+            c.Ingrediente,
+            i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente,
+            c.PesoProgramado,
+            c.Porcentaje,
+            c.Secuencia,
+            pt.Descripcion AS DescripcionPT
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        LEFT JOIN ProgramacionProduccion_Detalle c ON a.Consecutivo = c.Consecutivo
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        WHERE a.Consecutivo = @Consecutivo
+          AND c.TiempoDePesado IS NULL
+        ORDER BY c.Secuencia;
+      `);
+
+        // 2) Secuencia máxima
+        const max = await pool.request()
+            .input('Consecutivo', sql.BigInt, consecutivo)
+            .query(`SELECT MAX(Secuencia) AS maxSecuencia FROM ProgramacionProduccion_Detalle WHERE Consecutivo = @Consecutivo;`);
+
+        return {
+            detalle: det.recordset[0] || null,
+            maxSecuencia: max.recordset[0]?.maxSecuencia ?? 0
+        };
+    },
+
+    async linea(consecutivo) {
+        const r = await pool.request()
+            .input('consecutivo', sql.BigInt, Number(consecutivo))
+            .query(`SELECT LineadeMezclado FROM ProgramacionProduccion_Control WHERE Consecutivo = @consecutivo;`);
+        return r.recordset[0]?.LineadeMezclado ?? null;
+    },
+
+    async unidadLote(consecutivo) {
+        const r = await pool.request()
+            .input('consecutivo', sql.BigInt, Number(consecutivo))
+            .query(`
+        SELECT a.IdUnidadMedida, b.LineadeMezclado
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        WHERE a.Consecutivo = @consecutivo;
+      `);
+        return r.recordset[0] ?? null;
+    },
+
+    async registro(consecutivo) {
+        const rLote = await pool.request()
+            .input('consecutivo', sql.BigInt, consecutivo)
+            .query(`
+        SELECT 
+          a.Consecutivo,
+          a.ID_Lot AS LotePT,
+          a.Producto,
+          pt.Descripcion AS DescripcionPT,
+          ISNULL(cl.Cliente, pt.NombreCliente) AS Cliente,
+          b.LineadeMezclado,
+          b.FechaProgramada,
+          b.ProduccionInicio,
+          b.ProduccionFinal,
+          CAST(ISNULL(b.LoteCompletado, 0) AS INT) AS LoteCompletado
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+        WHERE a.Consecutivo = @consecutivo;
+      `);
+        const lote = rLote.recordset[0];
+        if (!lote) return null;
+
+        const rDet = await pool.request()
+            .input('consecutivo', sql.BigInt, consecutivo)
+            .query(`
+        SELECT 
+          c.Secuencia,
+          c.Ingrediente,
+          i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente,
+          c.LoteProveedor,
+          c.PesoProgramado,
+          c.PesoReal,
+          c.TaraReal,
+          c.EtiquetaLeida,
+          c.TiempoDePesado,
+          c.UsuarioPesado,
+          c.OverrideSupervisor,
+          c.FotoEscaneo AS Foto,
+          c.FotoHash,
+          c.FotoPurgada
+        FROM ProgramacionProduccion_Detalle c
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        WHERE c.Consecutivo = @consecutivo
+        ORDER BY c.Secuencia;
+      `);
+        return { lote, lineas: rDet.recordset };
+    },
+
+    async cancelar(ids, razon) {
+        const request = pool.request();
+        return cancelLots(request, `a.Consecutivo IN (${inList(request, ids)})`, razon);
+    },
+
+    async cancelarRango({ inicio, fin }, razon) {
+        const request = pool.request()
+            .input('inicio', sql.DateTime, inicio)
+            .input('fin', sql.DateTime, fin);
+        return cancelLots(request, RANGO_CANCELABLE, razon);
+    },
+
+    async cancelablesEnRango({ inicio, fin }) {
+        const r = await pool.request()
+            .input('inicio', sql.DateTime, inicio)
+            .input('fin', sql.DateTime, fin)
+            .query(`
+        SELECT a.Consecutivo, a.ID_Lot AS Lote, a.Producto, b.LineadeMezclado, b.FechaProgramada
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        WHERE ${RANGO_CANCELABLE}
+          AND ISNULL(a.Cancelado, 0) = 0
+        ORDER BY a.Consecutivo;
+      `);
+        return r.recordset;
+    },
+
+    async restaurar(ids, { usuario, comentario }) {
+        const reqDb = pool.request()
+            .input('usuario', sql.NVarChar(50), usuario)
+            .input('comentario', sql.NVarChar(500), comentario);
+        const lista = inList(reqDb, ids);
+
+        const r = await reqDb.query(`
+      DECLARE @restaurados TABLE (Consecutivo BIGINT);
+      UPDATE a SET a.Cancelado = 0
+      OUTPUT inserted.Consecutivo INTO @restaurados
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      WHERE a.Consecutivo IN (${lista})
+        AND a.Cancelado = 1
+        AND b.ProduccionInicio IS NULL;
+      UPDATE CancelacionesLotes
+      SET FechaRestauracion = GETDATE(), UsuarioRestauro = @usuario, ComentarioRestauracion = @comentario
+      WHERE Consecutivo IN (SELECT Consecutivo FROM @restaurados) AND FechaRestauracion IS NULL;
+      SELECT r.Consecutivo, b.LineadeMezclado, b.FechaProgramada
+      FROM @restaurados r LEFT JOIN ProgramacionProduccion_Control b ON b.Consecutivo = r.Consecutivo;
+      SELECT a.Consecutivo, CAST(ISNULL(a.Cancelado, 0) AS INT) AS Cancelado, b.ProduccionInicio
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      WHERE a.Consecutivo IN (${lista});
+    `);
+
+        const restaurados = r.recordsets[0].map(l => Number(l.Consecutivo));
+        const estado = new Map(r.recordsets[1].map(l => [Number(l.Consecutivo), l]));
+        const omitidos = ids.filter(id => !restaurados.includes(id)).map(id => ({ Consecutivo: id, motivo: motivoOmitido(estado.get(id)) ?? 'no_cancelado' }));
+        return { rows: r.recordsets[0], omitidos };
+    },
+
+    async cancelaciones({ desde, hasta, motivo }) {
+        const r = await pool.request()
+            .input('desde', sql.DateTime, new Date(String(desde)))
+            .input('hasta', sql.DateTime, new Date(String(hasta)))
+            .input('motivo', sql.VarChar(30), motivo ? String(motivo) : null)
+            .query(`
+        SELECT c.Consecutivo, a.ID_Lot AS Lote, a.Producto, c.Motivo, c.Comentario, c.Usuario, c.Fecha, c.Origen,
+               c.FechaRestauracion, c.UsuarioRestauro, c.ComentarioRestauracion
+        FROM CancelacionesLotes c
+        LEFT JOIN ProgramacionProduccion a ON a.Consecutivo = c.Consecutivo
+        WHERE CAST(c.Fecha AS DATE) BETWEEN @desde AND @hasta
+          AND (@motivo IS NULL OR c.Motivo = @motivo)
+        ORDER BY c.Fecha DESC;
+      `);
+        return r.recordset;
+    },
+
+    async cancelacionesPorPeriodo({ desde, hasta }, periodo) {
+        const r = await pool.request()
+            .input('desde', sql.DateTime, new Date(String(desde)))
+            .input('hasta', sql.DateTime, new Date(String(hasta)))
+            .query(`
+        SELECT ${PERIODOS[periodo]} AS Periodo, c.Motivo,
+               COUNT(*) AS Cancelados,
+               SUM(CASE WHEN c.FechaRestauracion IS NOT NULL THEN 1 ELSE 0 END) AS Restaurados
+        FROM CancelacionesLotes c
+        WHERE CAST(c.Fecha AS DATE) BETWEEN @desde AND @hasta
+        GROUP BY ${PERIODOS[periodo]}, c.Motivo
+        ORDER BY Periodo, c.Motivo;
+      `);
+        return r.recordset;
+    },
+});
+
+// -------------------- SQLite --------------------
+// CAST(x AS DATE) → date(x); las fechas de los parámetros también se normalizan con date()
+const RANGO_CANCELABLE_SQLITE = `
+        date(b.FechaProgramada) BETWEEN date(@inicio) AND date(@fin)
+        AND IFNULL(b.LoteCompletado, 0) = 0
+        AND b.ProduccionInicio IS NULL`;
+
+const PERIODOS_SQLITE = {
+    dia: 'date(c.Fecha)',
+    semana: `date(c.Fecha, '-' || ((CAST(strftime('%w', c.Fecha) AS INTEGER) + 6) % 7) || ' days')`,
+    mes: `strftime('%Y-%m', c.Fecha)`,
+};
+
+export const sqlite = (db) => {
+    // UPDATE ... OUTPUT no existe: se leen los candidatos y se actualizan dentro de la misma transacción
+    const cancelLotsSqlite = (where, params, { motivo, comentario, usuario, origen }) => db.transaction(() => {
+        const rows = db.prepare(`
+      SELECT a.Consecutivo, b.LineadeMezclado, b.FechaProgramada
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+      WHERE ${where}
+        AND IFNULL(a.Cancelado, 0) = 0
+      ORDER BY a.Consecutivo;
+    `).all(params);
+        const marcar = db.prepare(`UPDATE ProgramacionProduccion SET Cancelado = 1 WHERE Consecutivo = ?;`);
+        const registrar = db.prepare(`
+      INSERT INTO CancelacionesLotes (Consecutivo, Motivo, Comentario, Usuario, Fecha, Origen) VALUES (?, ?, ?, ?, ?, ?);
+    `);
+        const fecha = ahora();
+        for (const row of rows) {
+            marcar.run(row.Consecutivo);
+            registrar.run(row.Consecutivo, motivo, comentario, usuario, fecha, origen);
+        }
+        return { rows, rowsAffected: [rows.length] };
+    })();
+
+    const marcadores = (ids) => ids.map(() => '?').join(',');
+
+    return {
+        async unidadesActivas() {
+            return db.prepare(`
+        SELECT Identificador, UnidaddeMedida, Abreviatura, FactorKg, Decimales
+        FROM UnidadesDeMedida
+        WHERE Activo = 1
+        ORDER BY Identificador
+      `).all();
+        },
+
+        async unidades() {
+            return db.prepare(`SELECT Identificador, Abreviatura, FactorKg, Decimales FROM UnidadesDeMedida;`).all();
+        },
+
+        async unidadActiva(id) {
+            return !!db.prepare(`SELECT 1 FROM UnidadesDeMedida WHERE Activo = 1 AND Identificador = ?`).get(id);
+        },
+
+        // Lo mismo que SP_ProgramarLotesProduccion: un lote (ProgramacionProduccion + _Control) por CantidadLotes
+        // con la receta de ProductosTerminados_Detalle expandida en _Detalle (Porcentaje como fracción,
+        // PesoProgramado = PesoPorLote × fracción) y la versión activa sellada.
+        async programar({ CodigoProducto, FechaProgramada, UsuarioProgramo, CantidadLotes, PesoPorLote, IdUnidadMedida = null, LineadeMezclado = null, LimpiezaPrevia = false }) {
+            const codigo = String(CodigoProducto);
+            return db.transaction(() => {
+                const pt = db.prepare(`SELECT Activo FROM ProductosTerminados WHERE CodigoProducto = ?;`).get(codigo);
+                const receta = db.prepare(`
+          SELECT NumIngrediente, Ingrediente, Porcentaje FROM ProductosTerminados_Detalle
+          WHERE CodigoProducto = ? ORDER BY NumIngrediente;
+        `).all(codigo);
+                if (!pt || !pt.Activo || !receta.length) {
+                    throw new Error(`SP_ProgramarLotesProduccion: el producto ${codigo} no existe, está inactivo o no tiene fórmula`);
+                }
+                const version = db.prepare(`SELECT Version FROM FormulasVersiones WHERE CodigoProducto = ? AND Estado = 'activa';`).pluck().get(codigo) ?? null;
+                const peso = Number(PesoPorLote);
+                const fecha = iso(FechaProgramada);
+                const linea = LineadeMezclado ?? 1;
+
+                const insertarLote = db.prepare(`
+          INSERT INTO ProgramacionProduccion (Producto, PesoLote, IdUnidadMedida, UsuarioProgramo, FechaProgramo, Cancelado, VersionFormula)
+          VALUES (?, ?, ?, ?, ?, 0, ?);
+        `);
+                const nombrarLote = db.prepare(`UPDATE ProgramacionProduccion SET ID_Lot = ? WHERE Consecutivo = ?;`);
+                const insertarControl = db.prepare(`
+          INSERT INTO ProgramacionProduccion_Control (Consecutivo, LineadeMezclado, FechaProgramada, LoteCompletado, LimpiezaPrevia) VALUES (?, ?, ?, 0, ?);
+        `);
+                const insertarDetalle = db.prepare(`
+          INSERT INTO ProgramacionProduccion_Detalle (Consecutivo, ProductoTerminado, Secuencia, Ingrediente, Porcentaje, PesoProgramado)
+          VALUES (?, ?, ?, ?, ?, ?);
+        `);
+
+                const lotes = [];
+                for (let n = 0; n < parseInt(CantidadLotes, 10); n++) {
+                    const Consecutivo = Number(insertarLote.run(codigo, peso, IdUnidadMedida, String(UsuarioProgramo), ahora(), version).lastInsertRowid);
+                    const Lote = `LOT-${Consecutivo}`;
+                    nombrarLote.run(Lote, Consecutivo);
+                    insertarControl.run(Consecutivo, linea, fecha, LimpiezaPrevia && n === 0 ? 1 : null);
+                    for (const r of receta) {
+                        const fraccion = Number(r.Porcentaje) / 100;
+                        insertarDetalle.run(Consecutivo, codigo, r.NumIngrediente, String(r.Ingrediente),
+                            Math.round(fraccion * 100000) / 100000, round3(peso * fraccion));
+                    }
+                    lotes.push({ Consecutivo, Lote, LineadeMezclado: linea, FechaProgramada: fecha, VersionFormula: version });
+                }
+                return lotes;
+            })();
+        },
+
+        async listado({ inicio, fin }, listing) {
+            const params = { ...listingParams(listing), inicio: String(inicio), fin: String(fin) };
+            const fromWhere = `
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo 
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+        LEFT JOIN BloqueosLotes k ON k.Consecutivo = a.Consecutivo
+        WHERE date(b.FechaProgramada) BETWEEN date(@inicio) AND date(@fin)
+          AND IFNULL(b.LoteCompletado, 0) = 0
+          AND IFNULL(a.Cancelado, 0) = 0
+          ${searchSqlite(listing, ['CAST(a.Consecutivo AS TEXT)', 'a.ID_Lot', 'a.Producto', 'pt.Descripcion', 'pt.NombreCliente', 'cl.Cliente'])}`;
+            const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromWhere}`).get(params);
+            const datos = db.prepare(`
+        SELECT 
+          a.Consecutivo,
+          a.ID_Lot AS Lote,
+          a.Producto,
+          a.PesoLote,
+          a.IdUnidadMedida,
+          b.LineadeMezclado,
+          b.FechaProgramada,
+          a.VersionFormula,
+          k.Estacion,
+          k.Usuario AS Operador,
+          k.Expira AS BloqueoExpira
+        ${fromWhere}
+        ${orderBySql(listing, LISTADO.campos, 'a.Consecutivo')}
+        ${pageSqlite(listing)};
+      `).all(params);
+            return listingResponse(listing, datos, total);
+        },
+
+        async pendiente(consecutivo) {
+            const detalle = db.prepare(`
+        SELECT 
+            a.Consecutivo,
+            a.Producto AS ProductoTerminado,
+            a.ID_Lot AS LotePT,
+            c.Ingrediente,
+            i.Ingrediente || '; ' || IFNULL(i.Descripcion, '') AS NombreIngrediente,
+            c.PesoProgramado,
+            c.Porcentaje,
+            c.Secuencia,
+            pt.Descripcion AS DescripcionPT
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Detalle c ON a.Consecutivo = c.Consecutivo
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        WHERE a.Consecutivo = ?
+          AND c.TiempoDePesado IS NULL
+        ORDER BY c.Secuencia
+        LIMIT 1;
+      `).get(consecutivo);
+            const maxSecuencia = db.prepare(`SELECT MAX(Secuencia) FROM ProgramacionProduccion_Detalle WHERE Consecutivo = ?;`).pluck().get(consecutivo);
+            return { detalle: detalle || null, maxSecuencia: maxSecuencia ?? 0 };
+        },
+
+        async linea(consecutivo) {
+            return db.prepare(`SELECT LineadeMezclado FROM ProgramacionProduccion_Control WHERE Consecutivo = ?;`).pluck().get(Number(consecutivo)) ?? null;
+        },
+
+        async unidadLote(consecutivo) {
+            return db.prepare(`
+        SELECT a.IdUnidadMedida, b.LineadeMezclado
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        WHERE a.Consecutivo = ?;
+      `).get(Number(consecutivo)) ?? null;
+        },
+
+        async registro(consecutivo) {
+            const lote = db.prepare(`
+        SELECT 
+          a.Consecutivo,
+          a.ID_Lot AS LotePT,
+          a.Producto,
+          pt.Descripcion AS DescripcionPT,
+          IFNULL(cl.Cliente, pt.NombreCliente) AS Cliente,
+          b.LineadeMezclado,
+          b.FechaProgramada,
+          b.ProduccionInicio,
+          b.ProduccionFinal,
+          IFNULL(b.LoteCompletado, 0) AS LoteCompletado
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+        WHERE a.Consecutivo = ?;
+      `).get(consecutivo);
+            if (!lote) return null;
+            const lineas = db.prepare(`
+        SELECT 
+          c.Secuencia,
+          c.Ingrediente,
+          i.Ingrediente || '; ' || IFNULL(i.Descripcion, '') AS NombreIngrediente,
+          c.LoteProveedor,
+          c.PesoProgramado,
+          c.PesoReal,
+          c.TaraReal,
+          c.EtiquetaLeida,
+          c.TiempoDePesado,
+          c.UsuarioPesado,
+          c.OverrideSupervisor,
+          c.FotoEscaneo AS Foto,
+          c.FotoHash,
+          c.FotoPurgada
+        FROM ProgramacionProduccion_Detalle c
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        WHERE c.Consecutivo = ?
+        ORDER BY c.Secuencia;
+      `).all(consecutivo);
+            return { lote, lineas };
+        },
+
+        async cancelar(ids, razon) {
+            return cancelLotsSqlite(`a.Consecutivo IN (${marcadores(ids)})`, ids, razon);
+        },
+
+        async cancelarRango({ inicio, fin }, razon) {
+            return cancelLotsSqlite(RANGO_CANCELABLE_SQLITE, { inicio: iso(inicio), fin: iso(fin) }, razon);
+        },
+
+        async cancelablesEnRango({ inicio, fin }) {
+            return db.prepare(`
+        SELECT a.Consecutivo, a.ID_Lot AS Lote, a.Producto, b.LineadeMezclado, b.FechaProgramada
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+        WHERE ${RANGO_CANCELABLE_SQLITE}
+          AND IFNULL(a.Cancelado, 0) = 0
+        ORDER BY a.Consecutivo;
+      `).all({ inicio: iso(inicio), fin: iso(fin) });
+        },
+
+        async restaurar(ids, { usuario, comentario }) {
+            return db.transaction(() => {
+                const estado = new Map(db.prepare(`
+          SELECT a.Consecutivo, IFNULL(a.Cancelado, 0) AS Cancelado, b.ProduccionInicio, b.LineadeMezclado, b.FechaProgramada
+          FROM ProgramacionProduccion a
+          LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
+          WHERE a.Consecutivo IN (${marcadores(ids)});
+        `).all(...ids).map(l => [l.Consecutivo, l]));
+                const rows = [];
+                const omitidos = [];
+                const fecha = ahora();
+                for (const id of ids) {
+                    const l = estado.get(id);
+                    const motivo = motivoOmitido(l);
+                    if (motivo) {
+                        omitidos.push({ Consecutivo: id, motivo });
+                        continue;
+                    }
+                    db.prepare(`UPDATE ProgramacionProduccion SET Cancelado = 0 WHERE Consecutivo = ?;`).run(id);
+                    db.prepare(`
+            UPDATE CancelacionesLotes
+            SET FechaRestauracion = ?, UsuarioRestauro = ?, ComentarioRestauracion = ?
+            WHERE Consecutivo = ? AND FechaRestauracion IS NULL;
+          `).run(fecha, usuario, comentario, id);
+                    rows.push({ Consecutivo: id, LineadeMezclado: l.LineadeMezclado, FechaProgramada: l.FechaProgramada });
+                }
+                return { rows, omitidos };
+            })();
+        },
+
+        async cancelaciones({ desde, hasta, motivo }) {
+            return db.prepare(`
+        SELECT c.Consecutivo, a.ID_Lot AS Lote, a.Producto, c.Motivo, c.Comentario, c.Usuario, c.Fecha, c.Origen,
+               c.FechaRestauracion, c.UsuarioRestauro, c.ComentarioRestauracion
+        FROM CancelacionesLotes c
+        LEFT JOIN ProgramacionProduccion a ON a.Consecutivo = c.Consecutivo
+        WHERE date(c.Fecha) BETWEEN date(@desde) AND date(@hasta)
+          AND (@motivo IS NULL OR c.Motivo = @motivo)
+        ORDER BY c.Fecha DESC;
+      `).all({ desde: String(desde), hasta: String(hasta), motivo: motivo ? String(motivo) : null });
+        },
+
+        async cancelacionesPorPeriodo({ desde, hasta }, periodo) {
+            return db.prepare(`
+        SELECT ${PERIODOS_SQLITE[periodo]} AS Periodo, c.Motivo,
+               COUNT(*) AS Cancelados,
+               SUM(CASE WHEN c.FechaRestauracion IS NOT NULL THEN 1 ELSE 0 END) AS Restaurados
+        FROM CancelacionesLotes c
+        WHERE date(c.Fecha) BETWEEN date(@desde) AND date(@hasta)
+        GROUP BY 1, c.Motivo
+        ORDER BY Periodo, c.Motivo;
+      `).all({ desde: String(desde), hasta: String(hasta) });
+        },
+    };
+};
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => {
+    // Mismo criterio que RANGO_CANCELABLE
+    const cancelable = ({ inicio, fin }) => ({ b }) => dia(b.FechaProgramada) >= dia(inicio) && dia(b.FechaProgramada) <= dia(fin)
+        && !b.LoteCompletado && !b.ProduccionInicio;
+
+    return {
+        async unidadesActivas() {
+            return store.UnidadesDeMedida
+                .filter(u => u.Activo)
+                .map(({ Identificador, UnidaddeMedida, Abreviatura, FactorKg, Decimales }) => ({
+                    Identificador, UnidaddeMedida, Abreviatura, FactorKg: FactorKg ?? null, Decimales: Decimales ?? null
+                }));
+        },
+
+        async unidades() {
+            return store.UnidadesDeMedida.map(({ Identificador, Abreviatura, FactorKg, Decimales }) => ({ Identificador, Abreviatura, FactorKg, Decimales }));
+        },
+
+        async unidadActiva(id) {
+            return store.UnidadesDeMedida.some(u => u.Activo && u.Identificador === id);
+        },
+
+        async programar(programa) {
+            return store.programarLotes({ ...programa, LineadeMezclado: programa.LineadeMezclado ?? 1 });
+        },
+
+        async listado({ inicio, fin }, listing) {
+            const filas = store.lotes()
+                .filter(({ a, b }) => dia(b.FechaProgramada) >= dia(String(inicio)) && dia(b.FechaProgramada) <= dia(String(fin)))
+                .filter(({ a, b }) => !b.LoteCompletado && !a.Cancelado)
+                .map(({ a, b }) => {
+                    const pt = store.producto(a.Producto);
+                    const k = store.BloqueosLotes.find(x => x.Consecutivo === a.Consecutivo);
+                    return {
+                        Consecutivo: a.Consecutivo, Lote: a.ID_Lot, Producto: a.Producto, PesoLote: a.PesoLote, IdUnidadMedida: a.IdUnidadMedida ?? null,
+                        LineadeMezclado: b.LineadeMezclado, FechaProgramada: b.FechaProgramada, VersionFormula: a.VersionFormula,
+                        Estacion: k?.Estacion ?? null, Operador: k?.Usuario ?? null, BloqueoExpira: k?.Expira ?? null,
+                        Descripcion: pt?.Descripcion, NombreCliente: pt?.NombreCliente, Cliente: store.cliente(pt?.Cliente)?.Cliente
+                    };
+                });
+            const respuesta = applyListing(filas, listing, ['Consecutivo', 'Lote', 'Producto', 'Descripcion', 'NombreCliente', 'Cliente']);
+            const columnas = ({ Descripcion, NombreCliente, Cliente, ...l }) => l;
+            return Array.isArray(respuesta) ? respuesta.map(columnas) : { ...respuesta, datos: respuesta.datos.map(columnas) };
+        },
+
+        async pendiente(consecutivo) {
+            return {
+                detalle: store.siguientePendiente(consecutivo),
+                maxSecuencia: store.detalleLote(consecutivo).reduce((m, d) => Math.max(m, d.Secuencia), 0)
+            };
+        },
+
+        async linea(consecutivo) {
+            return store.lote(consecutivo)?.b.LineadeMezclado ?? null;
+        },
+
+        async unidadLote(consecutivo) {
+            const l = store.lote(consecutivo);
+            return l ? { IdUnidadMedida: l.a.IdUnidadMedida ?? null, LineadeMezclado: l.b.LineadeMezclado ?? null } : null;
+        },
+
+        async registro(consecutivo) {
+            const l = store.lote(consecutivo);
+            if (!l) return null;
+            const pt = store.producto(l.a.Producto);
+            return {
+                lote: {
+                    Consecutivo: l.a.Consecutivo, LotePT: l.a.ID_Lot, Producto: l.a.Producto, DescripcionPT: pt?.Descripcion ?? null,
+                    Cliente: store.cliente(pt?.Cliente)?.Cliente ?? pt?.NombreCliente ?? null, LineadeMezclado: l.b.LineadeMezclado,
+                    FechaProgramada: l.b.FechaProgramada, ProduccionInicio: l.b.ProduccionInicio, ProduccionFinal: l.b.ProduccionFinal,
+                    LoteCompletado: l.b.LoteCompletado ? 1 : 0
+                },
+                lineas: store.detalleLote(consecutivo).map(d => ({
+                    Secuencia: d.Secuencia, Ingrediente: d.Ingrediente, NombreIngrediente: store.nombreIngrediente(d.Ingrediente),
+                    LoteProveedor: d.LoteProveedor, PesoProgramado: d.PesoProgramado, PesoReal: d.PesoReal, TaraReal: d.TaraReal,
+                    EtiquetaLeida: d.EtiquetaLeida, TiempoDePesado: d.TiempoDePesado, UsuarioPesado: d.UsuarioPesado,
+                    OverrideSupervisor: d.OverrideSupervisor, Foto: d.FotoEscaneo, FotoHash: d.FotoHash, FotoPurgada: d.FotoPurgada
+                }))
+            };
+        },
+
+        async cancelar(ids, razon) {
+            return store.cancelLots(({ a }) => ids.includes(a.Consecutivo), razon);
+        },
+
+        async cancelarRango(rango, razon) {
+            return store.cancelLots(cancelable(rango), razon);
+        },
+
+        async cancelablesEnRango(rango) {
+            return store.lotes()
+                .filter(l => !l.a.Cancelado && cancelable(rango)(l))
+                .map(({ a, b }) => ({ Consecutivo: a.Consecutivo, Lote: a.ID_Lot, Producto: a.Producto, LineadeMezclado: b.LineadeMezclado, FechaProgramada: b.FechaProgramada }));
+        },
+
+        async restaurar(ids, { usuario, comentario }) {
+            const rows = [];
+            const omitidos = [];
+            for (const id of ids) {
+                const l = store.lote(id);
+                const motivo = motivoOmitido(l && { Cancelado: l.a.Cancelado, ProduccionInicio: l.b.ProduccionInicio });
+                if (motivo) {
+                    omitidos.push({ Consecutivo: id, motivo });
+                    continue;
+                }
+                l.a.Cancelado = 0;
+                for (const c of store.CancelacionesLotes) {
+                    if (c.Consecutivo === id && !c.FechaRestauracion) Object.assign(c, { FechaRestauracion: new Date(), UsuarioRestauro: usuario, ComentarioRestauracion: comentario });
+                }
+                rows.push({ Consecutivo: id, LineadeMezclado: l.b.LineadeMezclado, FechaProgramada: l.b.FechaProgramada });
+            }
+            return { rows, omitidos };
+        },
+
+        async cancelaciones({ desde, hasta, motivo }) {
+            return store.CancelacionesLotes
+                .filter(c => dia(c.Fecha) >= dia(String(desde)) && dia(c.Fecha) <= dia(String(hasta)))
+                .filter(c => !motivo || c.Motivo === String(motivo))
+                .sort((x, y) => y.Fecha - x.Fecha)
+                .map(c => {
+                    const a = store.lote(c.Consecutivo)?.a;
+                    return {
+                        Consecutivo: c.Consecutivo, Lote: a?.ID_Lot ?? null, Producto: a?.Producto ?? null, Motivo: c.Motivo, Comentario: c.Comentario,
+                        Usuario: c.Usuario, Fecha: c.Fecha, Origen: c.Origen, FechaRestauracion: c.FechaRestauracion,
+                        UsuarioRestauro: c.UsuarioRestauro, ComentarioRestauracion: c.ComentarioRestauracion
+                    };
+                });
+        },
+
+        async cancelacionesPorPeriodo({ desde, hasta }, periodo) {
+            // Mismas claves de periodo que PERIODOS (semana = lunes)
+            const clave = (f) => {
+                if (periodo === 'mes') return dia(f).slice(0, 7);
+                if (periodo === 'dia') return dia(f);
+                const d = new Date(dia(f));
+                return dia(new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * 86400000));
+            };
+            const grupos = new Map();
+            for (const c of store.CancelacionesLotes) {
+                if (dia(c.Fecha) < dia(String(desde)) || dia(c.Fecha) > dia(String(hasta))) continue;
+                const k = `${clave(c.Fecha)}|${c.Motivo}`;
+                const g = grupos.get(k) || { Periodo: clave(c.Fecha), Motivo: c.Motivo, Cancelados: 0, Restaurados: 0 };
+                g.Cancelados++;
+                if (c.FechaRestauracion) g.Restaurados++;
+                grupos.set(k, g);
+            }
+            return [...grupos.values()].sort((x, y) => x.Periodo.localeCompare(y.Periodo) || x.Motivo.localeCompare(y.Motivo));
+        },
+    };
+};
@@ -0,0 +1,1306 @@
+// repos/pesaje.js — repositorio del pesaje (ProgramacionProduccion_Detalle) y su trazabilidad
+// ------------------------------------------------------------------
+// esperado(consecutivo, secuencia) → { ingrediente, gtin } | null
+// registrar(pesado, evaluar) → resultado de /peso, todo en una transacción:
+//   pesado = { Consecutivo, ProductoTerminado, Secuencia, Ingrediente, Tara, Peso, PesoKg, Etiqueta, foto, loteProveedor, proveedorId, usuario,
+//              clave, fechaCaptura, parcial }
+//   Tara/Peso vienen en la unidad del lote (la de PesoProgramado); PesoKg es lo que se descuenta del inventario.
+//   foto = columnas de photoStore.guardar() { FotoEscaneo, FotoHash, FotoMime, FotoTamano } | null (sin foto).
+//   clave (Idempotency-Key): si ya existe → { error: 'duplicate', registro }. Un ingrediente ya pesado
+//     → { error: 'already_weighed', UsuarioPesado, TiempoDePesado } con o sin clave: sólo corregir() lo cambia.
+//   fechaCaptura (Date, pesado fuera de línea) reemplaza la hora del servidor en TiempoDePesado/Override/inicio/fin.
+//   parcial (o una línea que ya tiene contenedores): el pesado es un contenedor más en PesadosParciales con su tara,
+//     etiqueta, lote y foto; la línea se cierra con la suma cuando evaluar() lo indica (lote de proveedor sólo si todos
+//     comparten uno).
+//   evaluar({ PesoProgramado, GTIN, tolerancias: [ingrediente, categoría], Acumulado: { Parciales, Tara, Peso } })
+//     → { desviacion, overrideAplicado, cerrar } o { status, body } para abortar (se devuelve tal cual).
+//     Acumulado = contenedores vigentes anteriores (unidad del lote); cerrar = false deja la línea abierta.
+//   → { desviacion, overrideAplicado, remaining, completed, next, control: { LineadeMezclado, FechaProgramada }, asignaciones, loteProveedor,
+//       parcial: { Parcial, Parciales, cerrado } | null (pesado de un solo contenedor) }
+//     | { error: 'not_found' } | { error: 'stock_insufficient', faltante }
+//   Descuenta PesoKg del inventario (repos/inventario.js: lote escaneado o FEFO) en la misma transacción.
+// idempotencia(clave) → { Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha, Respuesta } | null
+// guardarRespuesta(clave, respuesta) → guarda el cuerpo del 201 para repetirlo a los reintentos
+// corregir(correccion, evaluar) → POST /peso/correccion, en una transacción:
+//   correccion = { Consecutivo, Secuencia, accion: 'reabrir' | 'corregir', Tara, Peso, PesoKg, Etiqueta, motivo, supervisor, usuario }
+//   Los valores anteriores de la línea quedan en PesadosCorrecciones. reabrir → la línea vuelve a pendiente y, si el lote
+//     estaba completado, LoteCompletado = 0 y ProduccionFinal = NULL. corregir → Tara/Peso nuevos (unidad del lote) y
+//     Etiqueta (undefined = la misma), evaluados con evaluar({ Ingrediente, PesoProgramado, GTIN, tolerancias }) como
+//     en registrar. La foto se conserva hasta el siguiente pesado. Los contenedores vigentes de la línea se anulan
+//     (Anulado) en ambos casos; reabrir también acepta una línea abierta que ya tiene contenedores.
+//   Revierte el consumo de inventario de la línea ('ajuste') y, al corregir, descuenta PesoKg de nuevo.
+//   → { correccion, desviacion, overrideAplicado, reabierto, remaining, control: { LineadeMezclado, FechaProgramada }, asignaciones }
+//     | { error: 'not_found' | 'lot_cancelled' | 'not_weighed' } | { error: 'stock_insufficient', faltante } | { status, body }
+// correcciones(consecutivo) → [correccion] del lote (PesadosCorrecciones), la más reciente al final
+// parciales(consecutivo) → [{ Consecutivo, Secuencia, Parcial, TaraReal, PesoReal, EtiquetaLeida, LoteProveedor, ProveedorID, FotoHash,
+//                            FotoPurgada, UsuarioPesado, TiempoDePesado, Anulado }] contenedores del lote, por línea y número
+// trazabilidadAdelante({ loteProveedor, proveedorId, ingrediente }) → [lotes] (también líneas con un contenedor vigente de ese lote)
+// trazabilidadAtras({ consecutivo, idLot }) → { lote, materiales } | null
+
+import sql from 'mssql';
+import { PERMITIR_NEGATIVO } from '../inventory.js';
+import { postConsumption, sqliteConsumption, sqliteReversal, storeConsumption, storeReversal } from './inventario.js';
+import { ahora, iso } from './sqlite.js';
+
+// Columnas de foto de un pesado sin foto (volver a pesar reemplaza la anterior)
+const SIN_FOTO = { FotoEscaneo: null, FotoHash: null, FotoMime: null, FotoTamano: null };
+
+// Fila de PesadosIdempotencia con Respuesta ya interpretada
+function idempotencyRecord(row) {
+    if (!row) return null;
+    return { ...row, Consecutivo: Number(row.Consecutivo), Respuesta: row.Respuesta ? JSON.parse(row.Respuesta) : null };
+}
+
+// Columnas de una línea sin pesar: reabrir la deja como la programó programarLotes (salvo la foto)
+const PENDIENTE = {
+    TaraReal: null, PesoReal: null, TiempoDePesado: null, EtiquetaLeida: null, DesviacionPeso: null, OverrideSupervisor: null,
+    OverrideMotivo: null, OverrideFecha: null, LoteProveedor: null, ProveedorID: null, UsuarioPesado: null
+};
+const SET_PENDIENTE = Object.keys(PENDIENTE).map(c => `${c} = NULL`).join(', ');
+
+const CORRECCION_COLUMNAS = `Identificador, Consecutivo, Secuencia, Accion, TaraAnterior, PesoAnterior, EtiquetaAnterior, TiempoDePesadoAnterior,
+    UsuarioPesadoAnterior, LoteProveedorAnterior, FotoHashAnterior, TaraNueva, PesoNuevo, EtiquetaNueva, Motivo, Supervisor, Usuario,
+    LoteReabierto, Fecha`;
+
+const numero = (v) => (v != null ? Number(v) : null);
+const round2 = (n) => (n != null ? Math.round(Number(n) * 100) / 100 : null);
+
+function correctionRecord(row) {
+    return {
+        ...row, Identificador: Number(row.Identificador), Consecutivo: Number(row.Consecutivo), Secuencia: Number(row.Secuencia),
+        TaraAnterior: numero(row.TaraAnterior), PesoAnterior: numero(row.PesoAnterior), TaraNueva: numero(row.TaraNueva), PesoNuevo: numero(row.PesoNuevo),
+        FotoHashAnterior: row.FotoHashAnterior ? String(row.FotoHashAnterior).trim() : null, LoteReabierto: !!row.LoteReabierto
+    };
+}
+
+// Fila de PesadosCorrecciones a partir de la línea antes del cambio (d) y lo nuevo
+function correctionRow(d, { Consecutivo, Secuencia, accion, Tara, Peso, Etiqueta, motivo, supervisor, usuario }, reabierto) {
+    const corrige = accion === 'corregir';
+    return {
+        Consecutivo, Secuencia, Accion: accion,
+        TaraAnterior: numero(d.TaraReal), PesoAnterior: numero(d.PesoReal), EtiquetaAnterior: d.EtiquetaLeida ?? null,
+        TiempoDePesadoAnterior: d.TiempoDePesado, UsuarioPesadoAnterior: d.UsuarioPesado ?? null, LoteProveedorAnterior: d.LoteProveedor ?? null,
+        FotoHashAnterior: d.FotoHash ?? null,
+        TaraNueva: corrige ? Number(Tara) : null, PesoNuevo: corrige ? round2(Peso) : null,
+        EtiquetaNueva: corrige ? (Etiqueta === undefined ? d.EtiquetaLeida ?? null : Etiqueta ?? '') : null,
+        Motivo: motivo, Supervisor: supervisor, Usuario: usuario, LoteReabierto: reabierto
+    };
+}
+
+const PARCIAL_COLUMNAS = `Consecutivo, Secuencia, Parcial, TaraReal, PesoReal, EtiquetaLeida, LoteProveedor, ProveedorID, FotoHash, FotoPurgada,
+    UsuarioPesado, TiempoDePesado, Anulado`;
+
+function partialRecord(row) {
+    return {
+        Consecutivo: Number(row.Consecutivo), Secuencia: Number(row.Secuencia), Parcial: Number(row.Parcial),
+        TaraReal: numero(row.TaraReal), PesoReal: numero(row.PesoReal), EtiquetaLeida: row.EtiquetaLeida ?? null,
+        LoteProveedor: row.LoteProveedor ?? null, ProveedorID: numero(row.ProveedorID), FotoHash: row.FotoHash ? String(row.FotoHash).trim() : null,
+        FotoPurgada: row.FotoPurgada ?? null, UsuarioPesado: row.UsuarioPesado, TiempoDePesado: row.TiempoDePesado, Anulado: row.Anulado ?? null
+    };
+}
+
+// corregir() necesita una línea pesada; reabrir también acepta una abierta que ya tiene contenedores
+const weighedOrStarted = (d, accion) => !!d.TiempoDePesado || (accion === 'reabrir' && Number(d.Parciales) > 0);
+
+// Contenedores vigentes anteriores de la línea → Acumulado de evaluar()
+function accumulatedRecord(row) {
+    return { Parciales: Number(row?.Parciales ?? 0), Tara: Number(row?.Tara ?? 0), Peso: round2(row?.Peso ?? 0) };
+}
+
+// Contenedores vigentes → columnas de la línea al cerrarla: la suma, y el lote de proveedor sólo si todos comparten uno
+function closedLine(contenedores) {
+    const lotes = new Set(contenedores.map(p => `${p.LoteProveedor ?? ''}|${p.ProveedorID ?? ''}`));
+    const unico = lotes.size === 1 ? contenedores[0] : null;
+    return {
+        TaraReal: contenedores.reduce((a, p) => a + Number(p.TaraReal), 0),
+        PesoReal: round2(contenedores.reduce((a, p) => a + Number(p.PesoReal), 0)),
+        LoteProveedor: unico?.LoteProveedor ?? null, ProveedorID: unico?.ProveedorID ?? null
+    };
+}
+
+// -------------------- SQL Server --------------------
+
+export const mssql = (pool) => ({
+    async esperado(consecutivo, secuencia) {
+        const r = await pool.request()
+            .input('consecutivo', sql.BigInt, Number(consecutivo))
+            .input('secuencia', sql.Int, Number(secuencia))
+            .query(`
+        SELECT TOP 1 c.Ingrediente, i.GTIN
+        FROM ProgramacionProduccion_Detalle c
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        WHERE c.Consecutivo = @consecutivo AND c.Secuencia = @secuencia;
+      `);
+        const row = r.recordset[0];
+        return row ? { ingrediente: row.Ingrediente, gtin: row.GTIN } : null;
+    },
+
+    async idempotencia(clave) {
+        const r = await pool.request()
+            .input('clave', sql.NVarChar(100), clave)
+            .query(`
+        SELECT Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha, Respuesta
+        FROM PesadosIdempotencia
+        WHERE Clave = @clave;
+      `);
+        return idempotencyRecord(r.recordset[0]);
+    },
+
+    async guardarRespuesta(clave, respuesta) {
+        await pool.request()
+            .input('clave', sql.NVarChar(100), clave)
+            .input('respuesta', sql.NVarChar(sql.MAX), JSON.stringify(respuesta))
+            .query(`UPDATE PesadosIdempotencia SET Respuesta = @respuesta WHERE Clave = @clave;`);
+    },
+
+    async registrar({ Consecutivo, ProductoTerminado, Secuencia, Ingrediente, Tara, Peso, PesoKg, Etiqueta, foto, loteProveedor, proveedorId, usuario, clave, fechaCaptura, parcial }, evaluar) {
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            // 0a) Reintento: la clave bloquea su rango hasta el commit (dos reintentos simultáneos no aplican dos veces)
+            if (clave) {
+                const rClave = await new sql.Request(tx)
+                    .input('clave', sql.NVarChar(100), clave)
+                    .query(`
+            SELECT Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha, Respuesta
+            FROM PesadosIdempotencia WITH (UPDLOCK, HOLDLOCK)
+            WHERE Clave = @clave;
+          `);
+                if (rClave.recordset[0]) {
+                    await tx.rollback();
+                    return { error: 'duplicate', registro: idempotencyRecord(rClave.recordset[0]) };
+                }
+            }
+
+            // 0b) Tolerancia: programado vs real
+            const rProg = await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia)
+                .input('ingrediente', sql.NVarChar(50), Ingrediente)
+                .input('productoTerminado', sql.NVarChar(40), ProductoTerminado)
+                .query(`
+          SELECT TOP 1
+              c.PesoProgramado,
+              c.TiempoDePesado,
+              c.UsuarioPesado,
+              i.GTIN,
+              ti.Tipo AS TipoIngrediente, ti.Valor AS ValorIngrediente,
+              tc.Tipo AS TipoCategoria,   tc.Valor AS ValorCategoria
+          FROM ProgramacionProduccion_Detalle c WITH (UPDLOCK)
+          LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+          LEFT JOIN ToleranciasIngredientes ti ON ti.Ingrediente = i.Identificador
+          LEFT JOIN ToleranciasCategorias tc ON tc.CategoriaID = i.CategoriaID
+          WHERE c.Consecutivo = @consecutivo AND c.Secuencia = @secuencia AND c.Ingrediente = @ingrediente
+            AND c.ProductoTerminado = @productoTerminado;
+        `);
+            const prog = rProg.recordset[0];
+            if (!prog) {
+                await tx.rollback();
+                return { error: 'not_found' };
+            }
+
+            // 0c) Contenedores vigentes de la línea (la fila del detalle ya está bloqueada)
+            const rAcum = await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia)
+                .query(`
+          SELECT COUNT(*) AS Parciales, ISNULL(SUM(TaraReal), 0) AS Tara, ISNULL(SUM(PesoReal), 0) AS Peso
+          FROM PesadosParciales
+          WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia AND Anulado IS NULL;
+          SELECT ISNULL(MAX(Parcial), 0) AS Ultimo FROM PesadosParciales WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia;
+        `);
+            const acumulado = accumulatedRecord(rAcum.recordsets[0][0]);
+            const multiple = !!parcial || acumulado.Parciales > 0;
+            if (prog.TiempoDePesado) {
+                await tx.rollback();
+                return { error: 'already_weighed', UsuarioPesado: prog.UsuarioPesado, TiempoDePesado: prog.TiempoDePesado };
+            }
+            const evaluacion = evaluar({
+                PesoProgramado: prog.PesoProgramado,
+                GTIN: prog.GTIN,
+                tolerancias: [{ Tipo: prog.TipoIngrediente, Valor: prog.ValorIngrediente }, { Tipo: prog.TipoCategoria, Valor: prog.ValorCategoria }],
+                Acumulado: acumulado
+            });
+            if (evaluacion.status) {
+                await tx.rollback();
+                return evaluacion;
+            }
+            const { desviacion, overrideAplicado, cerrar } = evaluacion;
+
+            // 1) Actualiza pesado: un contenedor más o la línea completa
+            const numeroParcial = multiple ? rAcum.recordsets[1][0].Ultimo + 1 : null;
+            if (multiple) {
+                await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .input('secuencia', sql.Int, Secuencia)
+                    .input('parcial', sql.Int, numeroParcial)
+                    .input('tara', sql.Decimal(18, 12), Number(Tara))
+                    .input('peso', sql.Decimal(18, 2), Number(Peso))
+                    .input('etiqueta', sql.NVarChar(299), Etiqueta ?? '')
+                    .input('loteProveedor', sql.NVarChar(50), loteProveedor)
+                    .input('proveedorId', sql.Int, proveedorId)
+                    .input('foto', sql.VarBinary(sql.MAX), (foto ?? SIN_FOTO).FotoEscaneo)
+                    .input('fotoHash', sql.Char(64), (foto ?? SIN_FOTO).FotoHash)
+                    .input('fotoMime', sql.VarChar(50), (foto ?? SIN_FOTO).FotoMime)
+                    .input('fotoTamano', sql.Int, (foto ?? SIN_FOTO).FotoTamano)
+                    .input('usuario', sql.NVarChar(50), usuario)
+                    .input('fecha', sql.DateTime, fechaCaptura ?? null)
+                    .query(`
+            INSERT INTO PesadosParciales (Consecutivo, Secuencia, Parcial, TaraReal, PesoReal, EtiquetaLeida, LoteProveedor, ProveedorID,
+                FotoEscaneo, FotoHash, FotoMime, FotoTamano, UsuarioPesado, TiempoDePesado)
+            VALUES (@consecutivo, @secuencia, @parcial, @tara, @peso, @etiqueta, @loteProveedor, @proveedorId,
+                @foto, @fotoHash, @fotoMime, @fotoTamano, @usuario, COALESCE(@fecha, GETDATE()));
+          `);
+            }
+            const rUpd = multiple ? null : await new sql.Request(tx)
+                .input('tara', sql.Decimal(18, 12), Number(Tara))
+                .input('peso', sql.Decimal(18, 2), Number(Peso))
+                .input('etiqueta', sql.NVarChar(299), Etiqueta ?? '')
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('productoTerminado', sql.NVarChar(40), ProductoTerminado)
+                .input('secuencia', sql.Int, Secuencia)
+                .input('ingrediente', sql.NVarChar(50), Ingrediente)
+                .input('foto', sql.VarBinary(sql.MAX), (foto ?? SIN_FOTO).FotoEscaneo)
+                .input('fotoHash', sql.Char(64), (foto ?? SIN_FOTO).FotoHash)
+                .input('fotoMime', sql.VarChar(50), (foto ?? SIN_FOTO).FotoMime)
+                .input('fotoTamano', sql.Int, (foto ?? SIN_FOTO).FotoTamano)
+                .input('desviacion', sql.Decimal(18, 3), desviacion.diferencia)
+                .input('overrideSupervisor', sql.NVarChar(50), overrideAplicado?.supervisor ?? null)
+                .input('overrideMotivo', sql.NVarChar(500), overrideAplicado?.motivo ?? null)
+                .input('loteProveedor', sql.NVarChar(50), loteProveedor)
+                .input('proveedorId', sql.Int, proveedorId)
+                .input('usuario', sql.NVarChar(50), usuario)
+                .input('fecha', sql.DateTime, fechaCaptura ?? null)
+                .query(`
+          UPDATE ProgramacionProduccion_Detalle
+          SET 
+              TaraReal = @tara,
+              PesoReal = @peso,
+              TiempoDePesado = COALESCE(@fecha, GETDATE()),
+              EtiquetaLeida = @etiqueta,
+              FotoEscaneo = @foto,
+              FotoHash = @fotoHash,
+              FotoMime = @fotoMime,
+              FotoTamano = @fotoTamano,
+              FotoPurgada = NULL,
+              DesviacionPeso = @desviacion,
+              OverrideSupervisor = @overrideSupervisor,
+              OverrideMotivo = @overrideMotivo,
+              OverrideFecha = CASE WHEN @overrideSupervisor IS NULL THEN NULL ELSE COALESCE(@fecha, GETDATE()) END,
+              LoteProveedor = @loteProveedor,
+              ProveedorID = @proveedorId,
+              UsuarioPesado = @usuario
+          WHERE 
+              Consecutivo = @consecutivo AND 
+              ProductoTerminado = @productoTerminado AND
+              Secuencia = @secuencia AND 
+              Ingrediente = @ingrediente;
+          SELECT @@ROWCOUNT AS rowsAffected;
+        `);
+
+            if (rUpd && rUpd.recordset[0]?.rowsAffected === 0) {
+                await tx.rollback();
+                return { error: 'not_found' };
+            }
+
+            // 1b) Consumo de inventario (lote escaneado o FEFO)
+            const consumo = await postConsumption(tx, {
+                ingrediente: Ingrediente,
+                cantidad: Number(PesoKg ?? Peso),
+                loteProveedor,
+                proveedorId,
+                consecutivo: Consecutivo,
+                secuencia: Secuencia,
+                usuario
+            });
+            if (consumo.faltante > 0 && !PERMITIR_NEGATIVO) {
+                await tx.rollback();
+                return { error: 'stock_insufficient', faltante: consumo.faltante };
+            }
+            // Sin lote escaneado: si FEFO tomó un solo lote, queda registrado para trazabilidad (en el contenedor si es parcial)
+            const fefo = !loteProveedor && consumo.asignaciones.length === 1 ? consumo.asignaciones[0] : null;
+            if (fefo) {
+                await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .input('secuencia', sql.Int, Secuencia)
+                    .input('parcial', sql.Int, numeroParcial)
+                    .input('loteProveedor', sql.NVarChar(50), fefo.LoteProveedor)
+                    .input('proveedorId', sql.Int, fefo.ProveedorId)
+                    .query(`
+            UPDATE ${multiple ? 'PesadosParciales' : 'ProgramacionProduccion_Detalle'}
+            SET LoteProveedor = @loteProveedor, ProveedorID = @proveedorId
+            WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia${multiple ? ' AND Parcial = @parcial' : ''};
+          `);
+            }
+
+            // 1c) Contenedores que completan la línea: el detalle recibe la suma; lote de proveedor sólo si todos comparten uno
+            if (multiple && cerrar) {
+                await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .input('secuencia', sql.Int, Secuencia)
+                    .input('etiqueta', sql.NVarChar(299), Etiqueta ?? '')
+                    .input('desviacion', sql.Decimal(18, 3), desviacion.diferencia)
+                    .input('overrideSupervisor', sql.NVarChar(50), overrideAplicado?.supervisor ?? null)
+                    .input('overrideMotivo', sql.NVarChar(500), overrideAplicado?.motivo ?? null)
+                    .input('usuario', sql.NVarChar(50), usuario)
+                    .input('fecha', sql.DateTime, fechaCaptura ?? null)
+                    .query(`
+            UPDATE d
+            SET TaraReal = p.Tara, PesoReal = p.Peso, TiempoDePesado = COALESCE(@fecha, GETDATE()), EtiquetaLeida = @etiqueta,
+                FotoEscaneo = NULL, FotoHash = NULL, FotoMime = NULL, FotoTamano = NULL, FotoPurgada = NULL,
+                DesviacionPeso = @desviacion, OverrideSupervisor = @overrideSupervisor, OverrideMotivo = @overrideMotivo,
+                OverrideFecha = CASE WHEN @overrideSupervisor IS NULL THEN NULL ELSE COALESCE(@fecha, GETDATE()) END,
+                LoteProveedor = CASE WHEN p.Lotes = 1 THEN p.LoteProveedor END, ProveedorID = CASE WHEN p.Lotes = 1 THEN p.ProveedorID END,
+                UsuarioPesado = @usuario
+            FROM ProgramacionProduccion_Detalle d
+            CROSS APPLY (
+                SELECT SUM(TaraReal) AS Tara, SUM(PesoReal) AS Peso, MAX(LoteProveedor) AS LoteProveedor, MAX(ProveedorID) AS ProveedorID,
+                       COUNT(DISTINCT CONCAT(LoteProveedor, '|', ProveedorID)) AS Lotes
+                FROM PesadosParciales
+                WHERE Consecutivo = d.Consecutivo AND Secuencia = d.Secuencia AND Anulado IS NULL
+            ) p
+            WHERE d.Consecutivo = @consecutivo AND d.Secuencia = @secuencia;
+          `);
+            }
+
+            // 1d) Clave de idempotencia en la misma transacción que el pesado
+            if (clave) {
+                await new sql.Request(tx)
+                    .input('clave', sql.NVarChar(100), clave)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .input('secuencia', sql.Int, Secuencia)
+                    .input('usuario', sql.NVarChar(50), usuario)
+                    .input('fechaCaptura', sql.DateTime, fechaCaptura ?? null)
+                    .query(`
+            INSERT INTO PesadosIdempotencia (Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha)
+            VALUES (@clave, @consecutivo, @secuencia, @usuario, @fechaCaptura, GETDATE());
+          `);
+            }
+
+            // 2) Marca inicio si aplica
+            if (Secuencia === 1) {
+                await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .input('fecha', sql.DateTime, fechaCaptura ?? null)
+                    .query(`
+            UPDATE ProgramacionProduccion_Control
+            SET ProduccionInicio = COALESCE(ProduccionInicio, @fecha, GETDATE())
+            WHERE Consecutivo = @consecutivo;
+          `);
+            }
+
+            // 3) Pendientes
+            const rPend = await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .query(`
+          SELECT COUNT(*) AS c
+          FROM ProgramacionProduccion_Detalle
+          WHERE Consecutivo = @consecutivo AND TiempoDePesado IS NULL;
+          SELECT LineadeMezclado, FechaProgramada
+          FROM ProgramacionProduccion_Control
+          WHERE Consecutivo = @consecutivo;
+        `);
+            const remaining = rPend.recordsets[0][0]?.c ?? 0;
+            const control = rPend.recordsets[1][0] || {};
+
+            // 4) Finaliza lote si no quedan (al último pesado: con la cola fuera de línea puede no ser éste)
+            let completed = false;
+            if (remaining === 0) {
+                await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .query(`
+            UPDATE ProgramacionProduccion_Control
+            SET ProduccionFinal = (SELECT MAX(TiempoDePesado) FROM ProgramacionProduccion_Detalle WHERE Consecutivo = @consecutivo),
+                LoteCompletado = 1
+            WHERE Consecutivo = @consecutivo;
+          `);
+                completed = true;
+            }
+
+            // 5) Siguiente ingrediente pendiente
+            let next = null;
+            if (!completed) {
+                const rNext = await new sql.Request(tx)
+                    .input('consecutivo', sql.BigInt, Consecutivo)
+                    .query(`
+            SELECT TOP 1 
+                a.Consecutivo,
+                a.Producto AS ProductoTerminado,
+                a.ID_Lot   AS LotePT,
+                c.Ingrediente,
+                i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente,
+                c.PesoProgramado,
+                c.Porcentaje,
+                c.Secuencia
+            FROM ProgramacionProduccion a
+            LEFT JOIN ProgramacionProduccion_Detalle c ON a.Consecutivo = c.Consecutivo
+            LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+            WHERE a.Consecutivo = @consecutivo AND c.TiempoDePesado IS NULL
+            ORDER BY c.Secuencia;
+          `);
+                next = rNext.recordset[0] || null;
+            }
+
+            await tx.commit();
+            return {
+                desviacion, overrideAplicado, remaining, completed, next, control,
+                asignaciones: consumo.asignaciones, loteProveedor: loteProveedor ?? fefo?.LoteProveedor ?? null,
+                parcial: multiple ? { Parcial: numeroParcial, Parciales: acumulado.Parciales + 1, cerrado: !!cerrar } : null
+            };
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async corregir(correccion, evaluar) {
+        const { Consecutivo, Secuencia, accion, Tara, Peso, PesoKg, Etiqueta, motivo, supervisor, usuario } = correccion;
+        const tx = new sql.Transaction(pool);
+        await tx.begin();
+        try {
+            const rLinea = await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia)
+                .query(`
+          SELECT TOP 1
+              c.Ingrediente, c.PesoProgramado, c.TaraReal, c.PesoReal, c.EtiquetaLeida, c.TiempoDePesado, c.UsuarioPesado,
+              c.LoteProveedor, c.ProveedorID, c.FotoHash,
+              ISNULL(a.Cancelado, 0) AS Cancelado, ISNULL(b.LoteCompletado, 0) AS LoteCompletado, b.LineadeMezclado, b.FechaProgramada,
+              i.GTIN,
+              ti.Tipo AS TipoIngrediente, ti.Valor AS ValorIngrediente,
+              tc.Tipo AS TipoCategoria,   tc.Valor AS ValorCategoria,
+              (SELECT COUNT(*) FROM PesadosParciales p
+               WHERE p.Consecutivo = c.Consecutivo AND p.Secuencia = c.Secuencia AND p.Anulado IS NULL) AS Parciales
+          FROM ProgramacionProduccion_Detalle c WITH (UPDLOCK)
+          JOIN ProgramacionProduccion a ON a.Consecutivo = c.Consecutivo
+          JOIN ProgramacionProduccion_Control b WITH (UPDLOCK) ON b.Consecutivo = c.Consecutivo
+          LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+          LEFT JOIN ToleranciasIngredientes ti ON ti.Ingrediente = i.Identificador
+          LEFT JOIN ToleranciasCategorias tc ON tc.CategoriaID = i.CategoriaID
+          WHERE c.Consecutivo = @consecutivo AND c.Secuencia = @secuencia;
+        `);
+            const d = rLinea.recordset[0];
+            const error = !d ? 'not_found' : d.Cancelado ? 'lot_cancelled' : !weighedOrStarted(d, accion) ? 'not_weighed' : null;
+            if (error) {
+                await tx.rollback();
+                return { error };
+            }
+
+            let evaluacion = { desviacion: null, overrideAplicado: null };
+            if (accion === 'corregir') {
+                evaluacion = evaluar({
+                    Ingrediente: d.Ingrediente,
+                    PesoProgramado: d.PesoProgramado,
+                    GTIN: d.GTIN,
+                    tolerancias: [{ Tipo: d.TipoIngrediente, Valor: d.ValorIngrediente }, { Tipo: d.TipoCategoria, Valor: d.ValorCategoria }]
+                });
+                if (evaluacion.status) {
+                    await tx.rollback();
+                    return evaluacion;
+                }
+            }
+            const { desviacion, overrideAplicado } = evaluacion;
+            const reabierto = accion === 'reabrir' && !!d.LoteCompletado;
+            const fila = correctionRow(d, correccion, reabierto);
+
+            // 1) Historial con los valores anteriores
+            const rHist = await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia)
+                .input('accion', sql.VarChar(10), accion)
+                .input('taraAnterior', sql.Decimal(18, 12), fila.TaraAnterior)
+                .input('pesoAnterior', sql.Decimal(18, 2), fila.PesoAnterior)
+                .input('etiquetaAnterior', sql.NVarChar(299), fila.EtiquetaAnterior)
+                .input('tiempoAnterior', sql.DateTime, fila.TiempoDePesadoAnterior)
+                .input('usuarioAnterior', sql.NVarChar(50), fila.UsuarioPesadoAnterior)
+                .input('loteProveedorAnterior', sql.NVarChar(50), fila.LoteProveedorAnterior)
+                .input('fotoHashAnterior', sql.Char(64), fila.FotoHashAnterior)
+                .input('taraNueva', sql.Decimal(18, 12), fila.TaraNueva)
+                .input('pesoNuevo', sql.Decimal(18, 2), fila.PesoNuevo)
+                .input('etiquetaNueva', sql.NVarChar(299), fila.EtiquetaNueva)
+                .input('motivo', sql.NVarChar(500), motivo)
+                .input('supervisor', sql.NVarChar(50), supervisor)
+                .input('usuario', sql.NVarChar(50), usuario)
+                .input('reabierto', sql.Bit, reabierto)
+                .query(`
+          INSERT INTO PesadosCorrecciones (Consecutivo, Secuencia, Accion, TaraAnterior, PesoAnterior, EtiquetaAnterior, TiempoDePesadoAnterior,
+              UsuarioPesadoAnterior, LoteProveedorAnterior, FotoHashAnterior, TaraNueva, PesoNuevo, EtiquetaNueva, Motivo, Supervisor, Usuario,
+              LoteReabierto, Fecha)
+          OUTPUT ${CORRECCION_COLUMNAS.replace(/(\w+)/g, 'inserted.$1')}
+          VALUES (@consecutivo, @secuencia, @accion, @taraAnterior, @pesoAnterior, @etiquetaAnterior, @tiempoAnterior,
+              @usuarioAnterior, @loteProveedorAnterior, @fotoHashAnterior, @taraNueva, @pesoNuevo, @etiquetaNueva, @motivo, @supervisor, @usuario,
+              @reabierto, GETDATE());
+        `);
+
+            // 2) Línea: pendiente otra vez o con los valores corregidos
+            const rUpd = new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia);
+            if (accion === 'reabrir') {
+                await rUpd.query(`UPDATE ProgramacionProduccion_Detalle SET ${SET_PENDIENTE} WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia;`);
+            } else {
+                await rUpd
+                    .input('tara', sql.Decimal(18, 12), fila.TaraNueva)
+                    .input('peso', sql.Decimal(18, 2), fila.PesoNuevo)
+                    .input('etiqueta', sql.NVarChar(299), fila.EtiquetaNueva)
+                    .input('desviacion', sql.Decimal(18, 3), desviacion.diferencia)
+                    .input('overrideSupervisor', sql.NVarChar(50), overrideAplicado?.supervisor ?? null)
+                    .input('overrideMotivo', sql.NVarChar(500), overrideAplicado?.motivo ?? null)
+                    .query(`
+            UPDATE ProgramacionProduccion_Detalle
+            SET TaraReal = @tara, PesoReal = @peso, EtiquetaLeida = @etiqueta, DesviacionPeso = @desviacion,
+                OverrideSupervisor = @overrideSupervisor, OverrideMotivo = @overrideMotivo,
+                OverrideFecha = CASE WHEN @overrideSupervisor IS NULL THEN NULL ELSE GETDATE() END
+            WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia;
+          `);
+            }
+            await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia)
+                .query(`
+          UPDATE PesadosParciales SET Anulado = GETDATE()
+          WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia AND Anulado IS NULL;
+        `);
+
+            // 3) Inventario: devuelve lo consumido por la línea y, al corregir, descuenta el peso nuevo del mismo lote
+            await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('secuencia', sql.Int, Secuencia)
+                .input('usuario', sql.NVarChar(50), usuario)
+                .input('comentario', sql.NVarChar(500), `Corrección de pesado (${accion}): ${motivo}`.slice(0, 500))
+                .query(`
+          INSERT INTO InventarioMovimientos (LoteInventarioID, Ingrediente, Tipo, Cantidad, Fecha, Usuario, Comentario, Consecutivo, Secuencia)
+          SELECT LoteInventarioID, Ingrediente, 'ajuste', -SUM(Cantidad), GETDATE(), @usuario, @comentario, @consecutivo, @secuencia
+          FROM InventarioMovimientos
+          WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia
+          GROUP BY LoteInventarioID, Ingrediente
+          HAVING SUM(Cantidad) <> 0;
+        `);
+            let asignaciones = [];
+            if (accion === 'corregir') {
+                const consumo = await postConsumption(tx, {
+                    ingrediente: d.Ingrediente,
+                    cantidad: Number(PesoKg ?? Peso),
+                    loteProveedor: d.LoteProveedor ?? null,
+                    proveedorId: d.ProveedorID ?? null,
+                    consecutivo: Consecutivo,
+                    secuencia: Secuencia,
+                    usuario
+                });
+                if (consumo.faltante > 0 && !PERMITIR_NEGATIVO) {
+                    await tx.rollback();
+                    return { error: 'stock_insufficient', faltante: consumo.faltante };
+                }
+                asignaciones = consumo.asignaciones;
+            }
+
+            // 4) Lote completado con una línea reabierta → vuelve a estar en proceso
+            const rCtl = await new sql.Request(tx)
+                .input('consecutivo', sql.BigInt, Consecutivo)
+                .input('reabierto', sql.Bit, reabierto)
+                .query(`
+          IF @reabierto = 1
+              UPDATE ProgramacionProduccion_Control SET LoteCompletado = 0, ProduccionFinal = NULL WHERE Consecutivo = @consecutivo;
+          SELECT COUNT(*) AS c FROM ProgramacionProduccion_Detalle WHERE Consecutivo = @consecutivo AND TiempoDePesado IS NULL;
+        `);
+
+            await tx.commit();
+            return {
+                correccion: correctionRecord(rHist.recordset[0]), desviacion, overrideAplicado, reabierto,
+                remaining: rCtl.recordset[0]?.c ?? 0, control: { LineadeMezclado: d.LineadeMezclado, FechaProgramada: d.FechaProgramada }, asignaciones
+            };
+        } catch (err) {
+            await tx.rollback();
+            throw err;
+        }
+    },
+
+    async correcciones(consecutivo) {
+        const r = await pool.request()
+            .input('consecutivo', sql.BigInt, Number(consecutivo))
+            .query(`
+        SELECT ${CORRECCION_COLUMNAS}
+        FROM PesadosCorrecciones
+        WHERE Consecutivo = @consecutivo
+        ORDER BY Fecha, Identificador;
+      `);
+        return r.recordset.map(correctionRecord);
+    },
+
+    async parciales(consecutivo) {
+        const r = await pool.request()
+            .input('consecutivo', sql.BigInt, Number(consecutivo))
+            .query(`
+        SELECT ${PARCIAL_COLUMNAS}
+        FROM PesadosParciales
+        WHERE Consecutivo = @consecutivo
+        ORDER BY Secuencia, Parcial;
+      `);
+        return r.recordset.map(partialRecord);
+    },
+
+    async trazabilidadAdelante({ loteProveedor, proveedorId, ingrediente }) {
+        const r = await pool.request()
+            .input('loteProveedor', sql.NVarChar(50), String(loteProveedor))
+            .input('proveedorId', sql.Int, proveedorId ? Number(proveedorId) : null)
+            .input('ingrediente', sql.NVarChar(50), ingrediente ? String(ingrediente) : null)
+            .query(`
+        SELECT 
+          a.Consecutivo,
+          a.ID_Lot AS LotePT,
+          a.Producto,
+          pt.Cliente AS ClienteId,
+          cl.Cliente,
+          d.Secuencia,
+          d.Ingrediente,
+          i.Ingrediente AS NombreIngrediente,
+          d.ProveedorID AS ProveedorId,
+          pr.Proveedor,
+          ISNULL(d.LoteProveedor, @loteProveedor) AS LoteProveedor,
+          d.PesoReal,
+          d.TiempoDePesado,
+          CAST(ISNULL(a.Cancelado, 0) AS INT) AS Cancelado
+        FROM ProgramacionProduccion_Detalle d
+        INNER JOIN ProgramacionProduccion a ON a.Consecutivo = d.Consecutivo
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+        LEFT JOIN Ingredientes i ON i.Identificador = d.Ingrediente
+        LEFT JOIN ProveedoresIngredientes pr ON pr.Identificador = d.ProveedorID
+        WHERE ((d.LoteProveedor = @loteProveedor AND d.TiempoDePesado IS NOT NULL AND (@proveedorId IS NULL OR d.ProveedorID = @proveedorId))
+            OR EXISTS (SELECT 1 FROM PesadosParciales p
+                       WHERE p.Consecutivo = d.Consecutivo AND p.Secuencia = d.Secuencia AND p.Anulado IS NULL
+                         AND p.LoteProveedor = @loteProveedor AND (@proveedorId IS NULL OR p.ProveedorID = @proveedorId)))
+          AND (@ingrediente IS NULL OR d.Ingrediente = @ingrediente)
+        ORDER BY d.TiempoDePesado;
+      `);
+        return r.recordset;
+    },
+
+    async trazabilidadAtras({ consecutivo, idLot }) {
+        const rLote = await pool.request()
+            .input('consecutivo', sql.BigInt, consecutivo)
+            .input('idLot', sql.NVarChar(50), idLot)
+            .query(`
+        SELECT TOP 1
+          a.Consecutivo,
+          a.ID_Lot AS LotePT,
+          a.Producto,
+          pt.Cliente AS ClienteId,
+          cl.Cliente
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+        LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+        WHERE (@consecutivo IS NOT NULL AND a.Consecutivo = @consecutivo)
+           OR (@consecutivo IS NULL AND a.ID_Lot = @idLot);
+      `);
+        const lote = rLote.recordset[0];
+        if (!lote) return null;
+
+        const rMat = await pool.request()
+            .input('consecutivo', sql.BigInt, lote.Consecutivo)
+            .query(`
+        SELECT 
+          d.Secuencia,
+          d.Ingrediente,
+          i.Ingrediente AS NombreIngrediente,
+          d.ProveedorID AS ProveedorId,
+          pr.Proveedor,
+          d.LoteProveedor,
+          d.PesoProgramado,
+          d.PesoReal,
+          d.TaraReal,
+          d.UsuarioPesado AS Operador,
+          d.TiempoDePesado
+        FROM ProgramacionProduccion_Detalle d
+        LEFT JOIN Ingredientes i ON i.Identificador = d.Ingrediente
+        LEFT JOIN ProveedoresIngredientes pr ON pr.Identificador = d.ProveedorID
+        WHERE d.Consecutivo = @consecutivo
+        ORDER BY d.Secuencia;
+      `);
+        return { lote, materiales: rMat.recordset };
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => ({
+    async esperado(consecutivo, secuencia) {
+        const row = db.prepare(`
+      SELECT c.Ingrediente, i.GTIN
+      FROM ProgramacionProduccion_Detalle c
+      LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+      WHERE c.Consecutivo = ? AND c.Secuencia = ?
+      LIMIT 1;
+    `).get(Number(consecutivo), Number(secuencia));
+        return row ? { ingrediente: row.Ingrediente, gtin: row.GTIN } : null;
+    },
+
+    async idempotencia(clave) {
+        return idempotencyRecord(db.prepare(`
+      SELECT Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha, Respuesta
+      FROM PesadosIdempotencia
+      WHERE Clave = ?;
+    `).get(clave));
+    },
+
+    async guardarRespuesta(clave, respuesta) {
+        db.prepare(`UPDATE PesadosIdempotencia SET Respuesta = ? WHERE Clave = ?;`).run(JSON.stringify(respuesta), clave);
+    },
+
+    async registrar({ Consecutivo, ProductoTerminado, Secuencia, Ingrediente, Tara, Peso, PesoKg, Etiqueta, foto, loteProveedor, proveedorId, usuario, clave, fechaCaptura, parcial }, evaluar) {
+        return db.transaction(() => {
+            if (clave) {
+                const previo = db.prepare(`
+          SELECT Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha, Respuesta
+          FROM PesadosIdempotencia
+          WHERE Clave = ?;
+        `).get(clave);
+                if (previo) return { error: 'duplicate', registro: idempotencyRecord(previo) };
+            }
+
+            const prog = db.prepare(`
+        SELECT
+            c.PesoProgramado,
+            c.TiempoDePesado,
+            c.UsuarioPesado,
+            i.GTIN,
+            ti.Tipo AS TipoIngrediente, ti.Valor AS ValorIngrediente,
+            tc.Tipo AS TipoCategoria,   tc.Valor AS ValorCategoria
+        FROM ProgramacionProduccion_Detalle c
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        LEFT JOIN ToleranciasIngredientes ti ON ti.Ingrediente = i.Identificador
+        LEFT JOIN ToleranciasCategorias tc ON tc.CategoriaID = i.CategoriaID
+        WHERE c.Consecutivo = ? AND c.Secuencia = ? AND c.Ingrediente = ? AND c.ProductoTerminado = ?
+        LIMIT 1;
+      `).get(Consecutivo, Secuencia, Ingrediente, ProductoTerminado);
+            if (!prog) return { error: 'not_found' };
+            const acumulado = accumulatedRecord(db.prepare(`
+        SELECT COUNT(*) AS Parciales, IFNULL(SUM(TaraReal), 0) AS Tara, IFNULL(SUM(PesoReal), 0) AS Peso
+        FROM PesadosParciales
+        WHERE Consecutivo = ? AND Secuencia = ? AND Anulado IS NULL;
+      `).get(Consecutivo, Secuencia));
+            const multiple = !!parcial || acumulado.Parciales > 0;
+            if (prog.TiempoDePesado) {
+                return { error: 'already_weighed', UsuarioPesado: prog.UsuarioPesado, TiempoDePesado: prog.TiempoDePesado };
+            }
+            const evaluacion = evaluar({
+                PesoProgramado: prog.PesoProgramado,
+                GTIN: prog.GTIN,
+                tolerancias: [{ Tipo: prog.TipoIngrediente, Valor: prog.ValorIngrediente }, { Tipo: prog.TipoCategoria, Valor: prog.ValorCategoria }],
+                Acumulado: acumulado
+            });
+            if (evaluacion.status) return evaluacion;
+            const { desviacion, overrideAplicado, cerrar } = evaluacion;
+
+            // Consumo de inventario (lote escaneado o FEFO) antes de tocar la línea: sin existencia no queda nada registrado
+            const consumo = sqliteConsumption(db, {
+                ingrediente: Ingrediente, cantidad: Number(PesoKg ?? Peso), loteProveedor, proveedorId,
+                consecutivo: Consecutivo, secuencia: Secuencia, usuario
+            });
+            if (consumo.faltante > 0 && !PERMITIR_NEGATIVO) return { error: 'stock_insufficient', faltante: consumo.faltante };
+            // Sin lote escaneado: si FEFO tomó un solo lote, queda registrado para trazabilidad (en el contenedor si es parcial)
+            const fefo = !loteProveedor && consumo.asignaciones.length === 1 ? consumo.asignaciones[0] : null;
+            const lote = { loteProveedor: fefo?.LoteProveedor ?? loteProveedor, proveedorId: fefo?.ProveedorId ?? proveedorId };
+
+            const fecha = iso(fechaCaptura) ?? ahora();
+            let numeroParcial = null;
+            if (multiple) {
+                numeroParcial = db.prepare(`SELECT IFNULL(MAX(Parcial), 0) + 1 FROM PesadosParciales WHERE Consecutivo = ? AND Secuencia = ?;`)
+                    .pluck().get(Consecutivo, Secuencia);
+                db.prepare(`
+          INSERT INTO PesadosParciales (Consecutivo, Secuencia, Parcial, TaraReal, PesoReal, EtiquetaLeida, LoteProveedor, ProveedorID,
+              FotoEscaneo, FotoHash, FotoMime, FotoTamano, UsuarioPesado, TiempoDePesado)
+          VALUES (@consecutivo, @secuencia, @parcial, @tara, @peso, @etiqueta, @loteProveedor, @proveedorId,
+              @foto, @fotoHash, @fotoMime, @fotoTamano, @usuario, @fecha);
+        `).run({
+                    consecutivo: Consecutivo, secuencia: Secuencia, parcial: numeroParcial, tara: Number(Tara), peso: round2(Peso),
+                    etiqueta: Etiqueta ?? '', ...lote, foto: (foto ?? SIN_FOTO).FotoEscaneo, fotoHash: (foto ?? SIN_FOTO).FotoHash,
+                    fotoMime: (foto ?? SIN_FOTO).FotoMime, fotoTamano: (foto ?? SIN_FOTO).FotoTamano, usuario, fecha
+                });
+                if (cerrar) {
+                    const contenedores = db.prepare(`
+            SELECT TaraReal, PesoReal, LoteProveedor, ProveedorID FROM PesadosParciales WHERE Consecutivo = ? AND Secuencia = ? AND Anulado IS NULL;
+          `).all(Consecutivo, Secuencia);
+                    db.prepare(`
+            UPDATE ProgramacionProduccion_Detalle
+            SET TaraReal = @TaraReal, PesoReal = @PesoReal, TiempoDePesado = @fecha, EtiquetaLeida = @etiqueta, FotoEscaneo = NULL,
+                FotoHash = NULL, FotoMime = NULL, FotoTamano = NULL, FotoPurgada = NULL,
+                DesviacionPeso = @desviacion, OverrideSupervisor = @overrideSupervisor, OverrideMotivo = @overrideMotivo,
+                OverrideFecha = CASE WHEN @overrideSupervisor IS NULL THEN NULL ELSE @fecha END,
+                LoteProveedor = @LoteProveedor, ProveedorID = @ProveedorID, UsuarioPesado = @usuario
+            WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia;
+          `).run({
+                        ...closedLine(contenedores), fecha, etiqueta: Etiqueta ?? '', desviacion: desviacion.diferencia,
+                        overrideSupervisor: overrideAplicado?.supervisor ?? null, overrideMotivo: overrideAplicado?.motivo ?? null,
+                        usuario, consecutivo: Consecutivo, secuencia: Secuencia
+                    });
+                }
+            }
+            const upd = multiple ? null : db.prepare(`
+        UPDATE ProgramacionProduccion_Detalle
+        SET TaraReal = @tara, PesoReal = @peso, TiempoDePesado = @fecha, EtiquetaLeida = @etiqueta, FotoEscaneo = @foto,
+            FotoHash = @fotoHash, FotoMime = @fotoMime, FotoTamano = @fotoTamano, FotoPurgada = NULL,
+            DesviacionPeso = @desviacion, OverrideSupervisor = @overrideSupervisor, OverrideMotivo = @overrideMotivo,
+            OverrideFecha = CASE WHEN @overrideSupervisor IS NULL THEN NULL ELSE @fecha END,
+            LoteProveedor = @loteProveedor, ProveedorID = @proveedorId, UsuarioPesado = @usuario
+        WHERE Consecutivo = @consecutivo AND ProductoTerminado = @productoTerminado AND Secuencia = @secuencia AND Ingrediente = @ingrediente;
+      `).run({
+                tara: Number(Tara), peso: Math.round(Number(Peso) * 100) / 100, fecha, etiqueta: Etiqueta ?? '', foto: (foto ?? SIN_FOTO).FotoEscaneo,
+                fotoHash: (foto ?? SIN_FOTO).FotoHash, fotoMime: (foto ?? SIN_FOTO).FotoMime, fotoTamano: (foto ?? SIN_FOTO).FotoTamano,
+                desviacion: desviacion.diferencia, overrideSupervisor: overrideAplicado?.supervisor ?? null, overrideMotivo: overrideAplicado?.motivo ?? null,
+                ...lote, usuario, consecutivo: Consecutivo, productoTerminado: ProductoTerminado, secuencia: Secuencia, ingrediente: Ingrediente,
+            });
+            if (upd && upd.changes === 0) return { error: 'not_found' };
+            if (clave) {
+                db.prepare(`
+          INSERT INTO PesadosIdempotencia (Clave, Consecutivo, Secuencia, Usuario, FechaCaptura, Fecha)
+          VALUES (?, ?, ?, ?, ?, ?);
+        `).run(clave, Consecutivo, Secuencia, usuario, iso(fechaCaptura), ahora());
+            }
+
+            if (Secuencia === 1) {
+                db.prepare(`UPDATE ProgramacionProduccion_Control SET ProduccionInicio = COALESCE(ProduccionInicio, ?) WHERE Consecutivo = ?;`).run(fecha, Consecutivo);
+            }
+            const remaining = db.prepare(`SELECT COUNT(*) FROM ProgramacionProduccion_Detalle WHERE Consecutivo = ? AND TiempoDePesado IS NULL;`).pluck().get(Consecutivo);
+            const control = db.prepare(`SELECT LineadeMezclado, FechaProgramada FROM ProgramacionProduccion_Control WHERE Consecutivo = ?;`).get(Consecutivo) || {};
+            const completed = remaining === 0;
+            if (completed) {
+                db.prepare(`
+          UPDATE ProgramacionProduccion_Control
+          SET ProduccionFinal = (SELECT MAX(TiempoDePesado) FROM ProgramacionProduccion_Detalle WHERE Consecutivo = @consecutivo), LoteCompletado = 1
+          WHERE Consecutivo = @consecutivo;
+        `).run({ consecutivo: Consecutivo });
+            }
+            const next = completed ? null : db.prepare(`
+        SELECT 
+            a.Consecutivo,
+            a.Producto AS ProductoTerminado,
+            a.ID_Lot   AS LotePT,
+            c.Ingrediente,
+            i.Ingrediente || '; ' || IFNULL(i.Descripcion, '') AS NombreIngrediente,
+            c.PesoProgramado,
+            c.Porcentaje,
+            c.Secuencia
+        FROM ProgramacionProduccion a
+        LEFT JOIN ProgramacionProduccion_Detalle c ON a.Consecutivo = c.Consecutivo
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        WHERE a.Consecutivo = ? AND c.TiempoDePesado IS NULL
+        ORDER BY c.Secuencia
+        LIMIT 1;
+      `).get(Consecutivo) || null;
+
+            return {
+                desviacion, overrideAplicado, remaining, completed, next, control,
+                asignaciones: consumo.asignaciones, loteProveedor: loteProveedor ?? fefo?.LoteProveedor ?? null,
+                parcial: multiple ? { Parcial: numeroParcial, Parciales: acumulado.Parciales + 1, cerrado: !!cerrar } : null
+            };
+        })();
+    },
+
+    async corregir(correccion, evaluar) {
+        const { Consecutivo, Secuencia, accion } = correccion;
+        return db.transaction(() => {
+            const d = db.prepare(`
+        SELECT
+            c.Ingrediente, c.PesoProgramado, c.TaraReal, c.PesoReal, c.EtiquetaLeida, c.TiempoDePesado, c.UsuarioPesado,
+            c.LoteProveedor, c.ProveedorID, c.FotoHash,
+            IFNULL(a.Cancelado, 0) AS Cancelado, IFNULL(b.LoteCompletado, 0) AS LoteCompletado, b.LineadeMezclado, b.FechaProgramada,
+            i.GTIN,
+            ti.Tipo AS TipoIngrediente, ti.Valor AS ValorIngrediente,
+            tc.Tipo AS TipoCategoria,   tc.Valor AS ValorCategoria,
+            (SELECT COUNT(*) FROM PesadosParciales p
+             WHERE p.Consecutivo = c.Consecutivo AND p.Secuencia = c.Secuencia AND p.Anulado IS NULL) AS Parciales
+        FROM ProgramacionProduccion_Detalle c
+        JOIN ProgramacionProduccion a ON a.Consecutivo = c.Consecutivo
+        JOIN ProgramacionProduccion_Control b ON b.Consecutivo = c.Consecutivo
+        LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
+        LEFT JOIN ToleranciasIngredientes ti ON ti.Ingrediente = i.Identificador
+        LEFT JOIN ToleranciasCategorias tc ON tc.CategoriaID = i.CategoriaID
+        WHERE c.Consecutivo = ? AND c.Secuencia = ?
+        LIMIT 1;
+      `).get(Consecutivo, Secuencia);
+            if (!d) return { error: 'not_found' };
+            if (d.Cancelado) return { error: 'lot_cancelled' };
+            if (!weighedOrStarted(d, accion)) return { error: 'not_weighed' };
+
+            let evaluacion = { desviacion: null, overrideAplicado: null };
+            if (accion === 'corregir') {
+                evaluacion = evaluar({
+                    Ingrediente: d.Ingrediente,
+                    PesoProgramado: d.PesoProgramado,
+                    GTIN: d.GTIN,
+                    tolerancias: [{ Tipo: d.TipoIngrediente, Valor: d.ValorIngrediente }, { Tipo: d.TipoCategoria, Valor: d.ValorCategoria }]
+                });
+                if (evaluacion.status) return evaluacion;
+            }
+            const { desviacion, overrideAplicado } = evaluacion;
+            const reabierto = accion === 'reabrir' && !!d.LoteCompletado;
+
+            // Inventario: devuelve lo consumido por la línea y, al corregir, descuenta el peso nuevo del mismo lote
+            const previo = sqliteReversal(db, {
+                consecutivo: Consecutivo, secuencia: Secuencia, usuario: correccion.usuario,
+                comentario: `Corrección de pesado (${accion}): ${correccion.motivo}`.slice(0, 500)
+            });
+            let asignaciones = [];
+            if (accion === 'corregir') {
+                const consumo = sqliteConsumption(db, {
+                    ingrediente: d.Ingrediente, cantidad: Number(correccion.PesoKg ?? correccion.Peso), loteProveedor: d.LoteProveedor ?? null,
+                    proveedorId: d.ProveedorID ?? null, consecutivo: Consecutivo, secuencia: Secuencia, usuario: correccion.usuario
+                });
+                if (consumo.faltante > 0 && !PERMITIR_NEGATIVO) {
+                    db.prepare(`DELETE FROM InventarioMovimientos WHERE Identificador > ?;`).run(previo);
+                    return { error: 'stock_insufficient', faltante: consumo.faltante };
+                }
+                asignaciones = consumo.asignaciones;
+            }
+
+            const fila = correctionRow(d, correccion, reabierto);
+            const fecha = ahora();
+
+            const { lastInsertRowid } = db.prepare(`
+        INSERT INTO PesadosCorrecciones (Consecutivo, Secuencia, Accion, TaraAnterior, PesoAnterior, EtiquetaAnterior, TiempoDePesadoAnterior,
+            UsuarioPesadoAnterior, LoteProveedorAnterior, FotoHashAnterior, TaraNueva, PesoNuevo, EtiquetaNueva, Motivo, Supervisor, Usuario,
+            LoteReabierto, Fecha)
+        VALUES (@Consecutivo, @Secuencia, @Accion, @TaraAnterior, @PesoAnterior, @EtiquetaAnterior, @TiempoDePesadoAnterior,
+            @UsuarioPesadoAnterior, @LoteProveedorAnterior, @FotoHashAnterior, @TaraNueva, @PesoNuevo, @EtiquetaNueva, @Motivo, @Supervisor, @Usuario,
+            @LoteReabierto, @Fecha);
+      `).run({ ...fila, LoteReabierto: reabierto ? 1 : 0, Fecha: fecha });
+
+            if (accion === 'reabrir') {
+                db.prepare(`UPDATE ProgramacionProduccion_Detalle SET ${SET_PENDIENTE} WHERE Consecutivo = ? AND Secuencia = ?;`).run(Consecutivo, Secuencia);
+            } else {
+                db.prepare(`
+          UPDATE ProgramacionProduccion_Detalle
+          SET TaraReal = @tara, PesoReal = @peso, EtiquetaLeida = @etiqueta, DesviacionPeso = @desviacion,
+              OverrideSupervisor = @overrideSupervisor, OverrideMotivo = @overrideMotivo,
+              OverrideFecha = CASE WHEN @overrideSupervisor IS NULL THEN NULL ELSE @fecha END
+          WHERE Consecutivo = @consecutivo AND Secuencia = @secuencia;
+        `).run({
+                    tara: fila.TaraNueva, peso: fila.PesoNuevo, etiqueta: fila.EtiquetaNueva, desviacion: desviacion.diferencia,
+                    overrideSupervisor: overrideAplicado?.supervisor ?? null, overrideMotivo: overrideAplicado?.motivo ?? null, fecha,
+                    consecutivo: Consecutivo, secuencia: Secuencia
+                });
+            }
+            db.prepare(`UPDATE PesadosParciales SET Anulado = ? WHERE Consecutivo = ? AND Secuencia = ? AND Anulado IS NULL;`)
+                .run(fecha, Consecutivo, Secuencia);
+            if (reabierto) {
+                db.prepare(`UPDATE ProgramacionProduccion_Control SET LoteCompletado = 0, ProduccionFinal = NULL WHERE Consecutivo = ?;`).run(Consecutivo);
+            }
+            const remaining = db.prepare(`SELECT COUNT(*) FROM ProgramacionProduccion_Detalle WHERE Consecutivo = ? AND TiempoDePesado IS NULL;`).pluck().get(Consecutivo);
+            const correccionGuardada = db.prepare(`SELECT ${CORRECCION_COLUMNAS} FROM PesadosCorrecciones WHERE Identificador = ?;`).get(lastInsertRowid);
+
+            return {
+                correccion: correctionRecord(correccionGuardada), desviacion, overrideAplicado, reabierto, remaining,
+                control: { LineadeMezclado: d.LineadeMezclado, FechaProgramada: d.FechaProgramada }, asignaciones
+            };
+        })();
+    },
+
+    async correcciones(consecutivo) {
+        return db.prepare(`
+      SELECT ${CORRECCION_COLUMNAS}
+      FROM PesadosCorrecciones
+      WHERE Consecutivo = ?
+      ORDER BY Fecha, Identificador;
+    `).all(Number(consecutivo)).map(correctionRecord);
+    },
+
+    async parciales(consecutivo) {
+        return db.prepare(`
+      SELECT ${PARCIAL_COLUMNAS}
+      FROM PesadosParciales
+      WHERE Consecutivo = ?
+      ORDER BY Secuencia, Parcial;
+    `).all(Number(consecutivo)).map(partialRecord);
+    },
+
+    async trazabilidadAdelante({ loteProveedor, proveedorId, ingrediente }) {
+        return db.prepare(`
+      SELECT 
+        a.Consecutivo,
+        a.ID_Lot AS LotePT,
+        a.Producto,
+        pt.Cliente AS ClienteId,
+        cl.Cliente,
+        d.Secuencia,
+        d.Ingrediente,
+        i.Ingrediente AS NombreIngrediente,
+        d.ProveedorID AS ProveedorId,
+        pr.Proveedor,
+        IFNULL(d.LoteProveedor, @loteProveedor) AS LoteProveedor,
+        d.PesoReal,
+        d.TiempoDePesado,
+        IFNULL(a.Cancelado, 0) AS Cancelado
+      FROM ProgramacionProduccion_Detalle d
+      INNER JOIN ProgramacionProduccion a ON a.Consecutivo = d.Consecutivo
+      LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+      LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+      LEFT JOIN Ingredientes i ON i.Identificador = d.Ingrediente
+      LEFT JOIN ProveedoresIngredientes pr ON pr.Identificador = d.ProveedorID
+      WHERE ((d.LoteProveedor = @loteProveedor AND d.TiempoDePesado IS NOT NULL AND (@proveedorId IS NULL OR d.ProveedorID = @proveedorId))
+          OR EXISTS (SELECT 1 FROM PesadosParciales p
+                     WHERE p.Consecutivo = d.Consecutivo AND p.Secuencia = d.Secuencia AND p.Anulado IS NULL
+                       AND p.LoteProveedor = @loteProveedor AND (@proveedorId IS NULL OR p.ProveedorID = @proveedorId)))
+        AND (@ingrediente IS NULL OR d.Ingrediente = @ingrediente)
+      ORDER BY d.TiempoDePesado;
+    `).all({
+            loteProveedor: String(loteProveedor),
+            proveedorId: proveedorId ? Number(proveedorId) : null,
+            ingrediente: ingrediente ? String(ingrediente) : null,
+        });
+    },
+
+    async trazabilidadAtras({ consecutivo, idLot }) {
+        const lote = db.prepare(`
+      SELECT
+        a.Consecutivo,
+        a.ID_Lot AS LotePT,
+        a.Producto,
+        pt.Cliente AS ClienteId,
+        cl.Cliente
+      FROM ProgramacionProduccion a
+      LEFT JOIN ProductosTerminados pt ON pt.CodigoProducto = a.Producto
+      LEFT JOIN Clientes cl ON cl.Identificador = pt.Cliente
+      WHERE (@consecutivo IS NOT NULL AND a.Consecutivo = @consecutivo)
+         OR (@consecutivo IS NULL AND a.ID_Lot = @idLot)
+      LIMIT 1;
+    `).get({ consecutivo: consecutivo ?? null, idLot: idLot ?? null });
+        if (!lote) return null;
+
+        const materiales = db.prepare(`
+      SELECT 
+        d.Secuencia,
+        d.Ingrediente,
+        i.Ingrediente AS NombreIngrediente,
+        d.ProveedorID AS ProveedorId,
+        pr.Proveedor,
+        d.LoteProveedor,
+        d.PesoProgramado,
+        d.PesoReal,
+        d.TaraReal,
+        d.UsuarioPesado AS Operador,
+        d.TiempoDePesado
+      FROM ProgramacionProduccion_Detalle d
+      LEFT JOIN Ingredientes i ON i.Identificador = d.Ingrediente
+      LEFT JOIN ProveedoresIngredientes pr ON pr.Identificador = d.ProveedorID
+      WHERE d.Consecutivo = ?
+      ORDER BY d.Secuencia;
+    `).all(lote.Consecutivo);
+        return { lote, materiales };
+    },
+});
+
+// -------------------- Memoria (mockstore) --------------------
+export const memoria = (store) => ({
+    async esperado(consecutivo, secuencia) {
+        const d = store.detalleLote(consecutivo).find(x => x.Secuencia === Number(secuencia));
+        return d ? { ingrediente: d.Ingrediente, gtin: store.ingrediente(d.Ingrediente)?.GTIN ?? null } : null;
+    },
+
+    async idempotencia(clave) {
+        return idempotencyRecord(store.PesadosIdempotencia.find(r => r.Clave === clave));
+    },
+
+    async guardarRespuesta(clave, respuesta) {
+        const r = store.PesadosIdempotencia.find(x => x.Clave === clave);
+        if (r) r.Respuesta = JSON.stringify(respuesta);
+    },
+
+    // Mismos pasos que la transacción de mssql
+    async registrar({ Consecutivo, ProductoTerminado, Secuencia, Ingrediente, Tara, Peso, PesoKg, Etiqueta, foto, loteProveedor, proveedorId, usuario, clave, fechaCaptura, parcial }, evaluar) {
+        const previo = clave && store.PesadosIdempotencia.find(r => r.Clave === clave);
+        if (previo) return { error: 'duplicate', registro: idempotencyRecord(previo) };
+        const l = store.lote(Consecutivo);
+        const d = l && store.detalleLote(Consecutivo).find(x =>
+            x.Secuencia === Secuencia && x.Ingrediente === Ingrediente && x.ProductoTerminado === ProductoTerminado);
+        if (!d) return { error: 'not_found' };
+        const contenedores = () => store.PesadosParciales.filter(p => p.Consecutivo === Consecutivo && p.Secuencia === Secuencia);
+        const vigentes = contenedores().filter(p => !p.Anulado);
+        const multiple = !!parcial || vigentes.length > 0;
+        if (d.TiempoDePesado) return { error: 'already_weighed', UsuarioPesado: d.UsuarioPesado, TiempoDePesado: d.TiempoDePesado };
+        const evaluacion = evaluar({
+            PesoProgramado: d.PesoProgramado,
+            GTIN: store.ingrediente(d.Ingrediente)?.GTIN ?? null,
+            tolerancias: store.tolerancias(d.Ingrediente),
+            Acumulado: accumulatedRecord({
+                Parciales: vigentes.length, Tara: vigentes.reduce((a, p) => a + p.TaraReal, 0), Peso: vigentes.reduce((a, p) => a + p.PesoReal, 0)
+            })
+        });
+        if (evaluacion.status) return evaluacion;
+        const { desviacion, overrideAplicado, cerrar } = evaluacion;
+
+        // Consumo de inventario (lote escaneado o FEFO) antes de tocar la línea: sin existencia no queda nada registrado
+        const consumo = storeConsumption(store, {
+            ingrediente: Ingrediente, cantidad: Number(PesoKg ?? Peso), loteProveedor, proveedorId,
+            consecutivo: Consecutivo, secuencia: Secuencia, usuario
+        });
+        if (consumo.faltante > 0 && !PERMITIR_NEGATIVO) return { error: 'stock_insufficient', faltante: consumo.faltante };
+        // Sin lote escaneado: si FEFO tomó un solo lote, queda registrado para trazabilidad (en el contenedor si es parcial)
+        const fefo = !loteProveedor && consumo.asignaciones.length === 1 ? consumo.asignaciones[0] : null;
+        const lote = { LoteProveedor: fefo?.LoteProveedor ?? loteProveedor, ProveedorID: fefo?.ProveedorId ?? proveedorId };
+
+        const fecha = fechaCaptura ?? new Date();
+        const linea = {
+            DesviacionPeso: desviacion.diferencia, OverrideSupervisor: overrideAplicado?.supervisor ?? null,
+            OverrideMotivo: overrideAplicado?.motivo ?? null, OverrideFecha: overrideAplicado ? fecha : null, UsuarioPesado: usuario
+        };
+        let numeroParcial = null;
+        if (multiple) {
+            numeroParcial = Math.max(0, ...contenedores().map(p => p.Parcial)) + 1;
+            store.PesadosParciales.push({
+                Identificador: store.nextId('PesadosParciales'), Consecutivo, Secuencia, Parcial: numeroParcial, TaraReal: Number(Tara),
+                PesoReal: round2(Peso), EtiquetaLeida: Etiqueta ?? '', ...lote,
+                ...(foto ?? SIN_FOTO), FotoPurgada: null, UsuarioPesado: usuario, TiempoDePesado: fecha, Anulado: null
+            });
+            if (cerrar) {
+                Object.assign(d, {
+                    ...closedLine(contenedores().filter(p => !p.Anulado)), TiempoDePesado: fecha, EtiquetaLeida: Etiqueta ?? '',
+                    ...SIN_FOTO, FotoPurgada: null, ...linea
+                });
+            }
+        } else {
+            Object.assign(d, {
+                TaraReal: Number(Tara), PesoReal: Math.round(Number(Peso) * 100) / 100, TiempoDePesado: fecha, EtiquetaLeida: Etiqueta ?? '',
+                ...(foto ?? SIN_FOTO), FotoPurgada: null, ...lote, ...linea
+            });
+        }
+        if (clave) {
+            store.PesadosIdempotencia.push({
+                Clave: clave, Consecutivo, Secuencia, Usuario: usuario, FechaCaptura: fechaCaptura ?? null, Fecha: new Date(), Respuesta: null
+            });
+        }
+        if (Secuencia === 1) l.b.ProduccionInicio ??= fecha;
+        const detalle = store.detalleLote(Consecutivo);
+        const remaining = detalle.filter(x => x.TiempoDePesado == null).length;
+        const completed = remaining === 0;
+        if (completed) {
+            Object.assign(l.b, { ProduccionFinal: new Date(Math.max(...detalle.map(x => x.TiempoDePesado))), LoteCompletado: 1 });
+        }
+        let next = null;
+        if (!completed) {
+            const { DescripcionPT, ...siguiente } = store.siguientePendiente(Consecutivo);
+            next = siguiente;
+        }
+        return {
+            desviacion, overrideAplicado, remaining, completed, next,
+            control: { LineadeMezclado: l.b.LineadeMezclado, FechaProgramada: l.b.FechaProgramada },
+            asignaciones: consumo.asignaciones, loteProveedor: loteProveedor ?? fefo?.LoteProveedor ?? null,
+            parcial: multiple ? { Parcial: numeroParcial, Parciales: vigentes.length + 1, cerrado: !!cerrar } : null
+        };
+    },
+
+    async corregir(correccion, evaluar) {
+        const { Consecutivo, Secuencia, accion } = correccion;
+        const l = store.lote(Consecutivo);
+        const d = l && store.detalleLote(Consecutivo).find(x => x.Secuencia === Secuencia);
+        if (!d) return { error: 'not_found' };
+        if (l.a.Cancelado) return { error: 'lot_cancelled' };
+        const vigentes = store.PesadosParciales.filter(p => p.Consecutivo === Consecutivo && p.Secuencia === Secuencia && !p.Anulado);
+        if (!weighedOrStarted({ ...d, Parciales: vigentes.length }, accion)) return { error: 'not_weighed' };
+
+        let evaluacion = { desviacion: null, overrideAplicado: null };
+        if (accion === 'corregir') {
+            evaluacion = evaluar({
+                Ingrediente: d.Ingrediente,
+                PesoProgramado: d.PesoProgramado,
+                GTIN: store.ingrediente(d.Ingrediente)?.GTIN ?? null,
+                tolerancias: store.tolerancias(d.Ingrediente)
+            });
+            if (evaluacion.status) return evaluacion;
+        }
+        const { desviacion, overrideAplicado } = evaluacion;
+        const reabierto = accion === 'reabrir' && !!l.b.LoteCompletado;
+
+        // Inventario: devuelve lo consumido por la línea y, al corregir, descuenta el peso nuevo del mismo lote
+        const movimientos = store.InventarioMovimientos.length;
+        storeReversal(store, {
+            consecutivo: Consecutivo, secuencia: Secuencia, usuario: correccion.usuario,
+            comentario: `Corrección de pesado (${accion}): ${correccion.motivo}`.slice(0, 500)
+        });
+        let asignaciones = [];
+        if (accion === 'corregir') {
+            const consumo = storeConsumption(store, {
+                ingrediente: d.Ingrediente, cantidad: Number(correccion.PesoKg ?? correccion.Peso), loteProveedor: d.LoteProveedor ?? null,
+                proveedorId: d.ProveedorID ?? null, consecutivo: Consecutivo, secuencia: Secuencia, usuario: correccion.usuario
+            });
+            if (consumo.faltante > 0 && !PERMITIR_NEGATIVO) {
+                store.InventarioMovimientos.length = movimientos;
+                return { error: 'stock_insufficient', faltante: consumo.faltante };
+            }
+            asignaciones = consumo.asignaciones;
+        }
+
+        const fecha = new Date();
+        const fila = { Identificador: store.nextId('PesadosCorrecciones'), ...correctionRow(d, correccion, reabierto), Fecha: fecha };
+        store.PesadosCorrecciones.push(fila);
+
+        if (accion === 'reabrir') Object.assign(d, PENDIENTE);
+        else {
+            Object.assign(d, {
+                TaraReal: fila.TaraNueva, PesoReal: fila.PesoNuevo, EtiquetaLeida: fila.EtiquetaNueva, DesviacionPeso: desviacion.diferencia,
+                OverrideSupervisor: overrideAplicado?.supervisor ?? null, OverrideMotivo: overrideAplicado?.motivo ?? null,
+                OverrideFecha: overrideAplicado ? fecha : null
+            });
+        }
+        for (const p of vigentes) p.Anulado = fecha;
+        if (reabierto) Object.assign(l.b, { LoteCompletado: 0, ProduccionFinal: null });
+        return {
+            correccion: correctionRecord(fila), desviacion, overrideAplicado, reabierto,
+            remaining: store.detalleLote(Consecutivo).filter(x => x.TiempoDePesado == null).length,
+            control: { LineadeMezclado: l.b.LineadeMezclado, FechaProgramada: l.b.FechaProgramada }, asignaciones
+        };
+    },
+
+    async correcciones(consecutivo) {
+        return store.PesadosCorrecciones
+            .filter(c => c.Consecutivo === Number(consecutivo))
+            .sort((x, y) => x.Fecha - y.Fecha || x.Identificador - y.Identificador)
+            .map(correctionRecord);
+    },
+
+    async parciales(consecutivo) {
+        return store.PesadosParciales
+            .filter(p => p.Consecutivo === Number(consecutivo))
+            .sort((x, y) => x.Secuencia - y.Secuencia || x.Parcial - y.Parcial)
+            .map(partialRecord);
+    },
+
+    async trazabilidadAdelante({ loteProveedor, proveedorId, ingrediente }) {
+        const delLote = (x) => x.LoteProveedor === String(loteProveedor) && (!proveedorId || x.ProveedorID === Number(proveedorId));
+        return store.ProgramacionProduccion_Detalle
+            .filter(d => (delLote(d) && d.TiempoDePesado != null) || store.PesadosParciales.some(p =>
+                p.Consecutivo === d.Consecutivo && p.Secuencia === d.Secuencia && !p.Anulado && delLote(p)))
+            .filter(d => !ingrediente || String(d.Ingrediente) === String(ingrediente))
+            .sort((x, y) => x.TiempoDePesado - y.TiempoDePesado)
+            .map(d => {
+                const { a } = store.lote(d.Consecutivo);
+                const pt = store.producto(a.Producto);
+                return {
+                    Consecutivo: a.Consecutivo, LotePT: a.ID_Lot, Producto: a.Producto,
+                    ClienteId: pt?.Cliente ?? null, Cliente: pt ? store.cliente(pt.Cliente)?.Cliente ?? null : null,
+                    Secuencia: d.Secuencia, Ingrediente: d.Ingrediente, NombreIngrediente: store.ingrediente(d.Ingrediente)?.Ingrediente ?? null,
+                    ProveedorId: d.ProveedorID ?? null, Proveedor: store.proveedor(d.ProveedorID)?.Proveedor ?? null,
+                    LoteProveedor: d.LoteProveedor ?? String(loteProveedor), PesoReal: d.PesoReal, TiempoDePesado: d.TiempoDePesado, Cancelado: a.Cancelado ? 1 : 0
+                };
+            });
+    },
+
+    async trazabilidadAtras({ consecutivo, idLot }) {
+        const a = consecutivo
+            ? store.lote(consecutivo)?.a
+            : store.ProgramacionProduccion.find(l => l.ID_Lot === idLot);
+        if (!a) return null;
+        const pt = store.producto(a.Producto);
+        return {
+            lote: {
+                Consecutivo: a.Consecutivo, LotePT: a.ID_Lot, Producto: a.Producto,
+                ClienteId: pt?.Cliente ?? null, Cliente: pt ? store.cliente(pt.Cliente)?.Cliente ?? null : null
+            },
+            materiales: store.detalleLote(a.Consecutivo).map(d => ({
+                Secuencia: d.Secuencia, Ingrediente: d.Ingrediente, NombreIngrediente: store.ingrediente(d.Ingrediente)?.Ingrediente ?? null,
+                ProveedorId: d.ProveedorID ?? null, Proveedor: store.proveedor(d.ProveedorID)?.Proveedor ?? null,
+                LoteProveedor: d.LoteProveedor ?? null, PesoProgramado: d.PesoProgramado, PesoReal: d.PesoReal ?? null, TaraReal: d.TaraReal ?? null,
+                Operador: d.UsuarioPesado ?? null, TiempoDePesado: d.TiempoDePesado ?? null
+            }))
+        };
+    },
+});
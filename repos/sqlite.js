@@ -0,0 +1,77 @@
+// repos/sqlite.js — base SQLite embebida (DB_BACKEND=sqlite) y sus migraciones
+// ------------------------------------------------------------------
+// SQLITE_RUTA = archivo de la base (default data/pesado.db; ':memory:' para pruebas).
+// Al abrir aplica en orden los sql/sqlite/NNN_*.sql que no estén en MigracionesEsquema,
+// cada uno en su propia transacción. Fechas en texto ISO (UTC), booleanos como 0/1.
+// Primer arranque (Usuarios vacía): crea el administrador ADMIN_USUARIO (default admin) con ADMIN_PASSWORD;
+// sin ADMIN_PASSWORD se genera una contraseña que sólo aparece en el log de ese arranque.
+
+import crypto from 'crypto';
+import { readdirSync, readFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+const MIGRACIONES = fileURLToPath(new URL('../sql/sqlite/', import.meta.url));
+export const RUTA = process.env.SQLITE_RUTA || fileURLToPath(new URL('../data/pesado.db', import.meta.url));
+
+// Lanza un error con code = 'SQLITE_MISSING' si better-sqlite3 no está instalado
+export async function openSqlite(ruta = RUTA) {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (e) {
+        throw Object.assign(new Error('better-sqlite3 no instalado; es requerido con DB_BACKEND=sqlite'), { code: 'SQLITE_MISSING' });
+    }
+    if (ruta !== ':memory:') mkdirSync(dirname(ruta), { recursive: true });
+    const db = new Database(ruta);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+    await seedAdmin(db);
+    return db;
+}
+
+// Sin usuarios nadie puede iniciar sesión: se crea un admin con hash BCrypt (bcryptjs)
+async function seedAdmin(db) {
+    if (db.prepare('SELECT COUNT(*) FROM Usuarios').pluck().get() > 0) return;
+    const { default: bcrypt } = await import('bcryptjs');
+    const usuario = process.env.ADMIN_USUARIO || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    db.prepare(`INSERT INTO Usuarios (Username, Nombre, PasswordHash, PlanActivo, Rol) VALUES (?, 'Administrador', ?, 1, 'admin')`)
+        .run(usuario, await bcrypt.hash(password, 10));
+    if (process.env.ADMIN_PASSWORD) logger.info(`Usuario administrador inicial creado: ${usuario}`);
+    else logger.warn(`Usuario administrador inicial creado: ${usuario} / ${password} (defina ADMIN_PASSWORD o cambie esta contraseña)`);
+}
+
+// Aplica las migraciones pendientes → [archivo] aplicados
+export function migrate(db, carpeta = MIGRACIONES) {
+    db.exec(`CREATE TABLE IF NOT EXISTS MigracionesEsquema (Nombre TEXT PRIMARY KEY, Aplicada TEXT NOT NULL);`);
+    const aplicadas = new Set(db.prepare('SELECT Nombre FROM MigracionesEsquema').pluck().all());
+    const pendientes = readdirSync(carpeta)
+        .filter(f => /^\d+_.+\.sql$/.test(f) && !aplicadas.has(f))
+        .sort();
+    const registrar = db.prepare('INSERT INTO MigracionesEsquema (Nombre, Aplicada) VALUES (?, ?)');
+    for (const archivo of pendientes) {
+        db.transaction(() => {
+            db.exec(readFileSync(join(carpeta, archivo), 'utf8'));
+            registrar.run(archivo, ahora());
+        })();
+        logger.info(`Migración SQLite aplicada: ${archivo}`);
+    }
+    return pendientes;
+}
+
+// GETDATE() / parámetro DATETIME → texto ISO
+export function ahora() {
+    return new Date().toISOString();
+}
+
+export function iso(d) {
+    return d == null ? null : new Date(d).toISOString();
+}
+
+// Parámetro BIT
+export function bit(v) {
+    return v ? 1 : 0;
+}
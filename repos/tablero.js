@@ -0,0 +1,82 @@
+// repos/tablero.js — eventos persistidos del tablero de producción (EventosTablero)
+// ------------------------------------------------------------------
+// publicar({ tipo, Consecutivo, LineadeMezclado, FechaProgramada, datos }) → Id (id SSE) | null (memoria: lo numera board.js)
+// desde(id) → [{ id, tipo, ts, Consecutivo, LineadeMezclado, FechaProgramada, datos }] posteriores a `id` (máx. 5000),
+//   para reconexiones que el buffer en memoria de board.js ya no cubre (memoria → [])
+
+import sql from 'mssql';
+import { ahora, iso } from './sqlite.js';
+
+function boardEvent(row) {
+    return {
+        id: Number(row.Id),
+        tipo: row.Tipo,
+        ts: new Date(row.Fecha).toISOString(),
+        Consecutivo: row.Consecutivo != null ? Number(row.Consecutivo) : null,
+        LineadeMezclado: row.LineadeMezclado,
+        FechaProgramada: row.FechaProgramada,
+        datos: JSON.parse(row.Datos || '{}')
+    };
+}
+
+// -------------------- SQL Server --------------------
+export const mssql = (pool) => ({
+    async publicar({ tipo, Consecutivo, LineadeMezclado, FechaProgramada, datos }) {
+        const r = await pool.request()
+            .input('tipo', sql.VarChar(30), tipo)
+            .input('consecutivo', sql.BigInt, Consecutivo)
+            .input('linea', sql.Int, LineadeMezclado)
+            .input('fechaProgramada', sql.DateTime, FechaProgramada ? new Date(FechaProgramada) : null)
+            .input('datos', sql.NVarChar(sql.MAX), JSON.stringify(datos))
+            .query(`
+        INSERT INTO EventosTablero (Tipo, Fecha, Consecutivo, LineadeMezclado, FechaProgramada, Datos)
+        VALUES (@tipo, GETDATE(), @consecutivo, @linea, @fechaProgramada, @datos);
+        SELECT CAST(SCOPE_IDENTITY() AS BIGINT) AS id;
+      `);
+        return r.recordset[0].id;
+    },
+
+    async desde(id) {
+        const r = await pool.request()
+            .input('id', sql.BigInt, Number(id))
+            .query(`
+        SELECT TOP 5000 Id, Tipo, Fecha, Consecutivo, LineadeMezclado, FechaProgramada, Datos
+        FROM EventosTablero
+        WHERE Id > @id
+        ORDER BY Id;
+      `);
+        return r.recordset.map(boardEvent);
+    },
+});
+
+// -------------------- SQLite --------------------
+export const sqlite = (db) => ({
+    async publicar({ tipo, Consecutivo, LineadeMezclado, FechaProgramada, datos }) {
+        const r = db.prepare(`
+      INSERT INTO EventosTablero (Tipo, Fecha, Consecutivo, LineadeMezclado, FechaProgramada, Datos)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `).run(tipo, ahora(), Consecutivo, LineadeMezclado, iso(FechaProgramada), JSON.stringify(datos));
+        return Number(r.lastInsertRowid);
+    },
+
+    async desde(id) {
+        return db.prepare(`
+      SELECT Id, Tipo, Fecha, Consecutivo, LineadeMezclado, FechaProgramada, Datos
+      FROM EventosTablero
+      WHERE Id > ?
+      ORDER BY Id
+      LIMIT 5000;
+    `).all(Number(id)).map(boardEvent);
+    },
+});
+
+// -------------------- Memoria --------------------
+export const memoria = () => ({
+    async publicar() {
+        return null;
+    },
+
+    async desde() {
+        return [];
+    },
+});
@@ -0,0 +1,64 @@
+// repos/usuarios.js — repositorio de Usuarios y tokens revocados
+// ------------------------------------------------------------------
+// buscar(username) → { Username, Nombre, Correo, PasswordHash | Password, PlanActivo, Rol } | null
+//   (memoria trae Password en claro desde los fixtures; mssql/sqlite sólo PasswordHash BCrypt)
+// revocar({ jti, exp }) · revocados() → [{ Jti, ExpiraEn }] vigentes
+
+import sql from 'mssql';
+import { iso } from './sqlite.js';
+
+export const mssql = (pool) => ({
+    async buscar(username) {
+        const r = await pool.request()
+            .input('username', sql.NVarChar, String(username))
+            .query(`SELECT Username, Nombre, Correo, PasswordHash, PlanActivo, ISNULL(Rol, 'operator') AS Rol FROM Usuarios WHERE Username = @username;`);
+        return r.recordset[0] ?? null;
+    },
+
+    async revocar({ jti, exp }) {
+        await pool.request()
+            .input('jti', sql.NVarChar(64), jti)
+            .input('exp', sql.DateTime, new Date(exp * 1000))
+            .query(`
+        IF NOT EXISTS (SELECT 1 FROM TokensRevocados WHERE Jti = @jti)
+          INSERT INTO TokensRevocados (Jti, ExpiraEn) VALUES (@jti, @exp);
+      `);
+    },
+
+    async revocados() {
+        const r = await pool.request().query(`
+      SELECT Jti, ExpiraEn FROM TokensRevocados WHERE ExpiraEn > GETDATE();
+    `);
+        return r.recordset;
+    },
+});
+
+export const sqlite = (db) => ({
+    async buscar(username) {
+        return db.prepare(`
+      SELECT Username, Nombre, Correo, PasswordHash, PlanActivo, IFNULL(Rol, 'operator') AS Rol
+      FROM Usuarios WHERE Username = ?;
+    `).get(String(username)) ?? null;
+    },
+
+    async revocar({ jti, exp }) {
+        db.prepare(`INSERT OR IGNORE INTO TokensRevocados (Jti, ExpiraEn) VALUES (?, ?);`).run(jti, iso(exp * 1000));
+    },
+
+    async revocados() {
+        return db.prepare(`SELECT Jti, ExpiraEn FROM TokensRevocados WHERE ExpiraEn > ?;`).all(new Date().toISOString());
+    },
+});
+
+// Las revocaciones en memoria ya las guarda auth.js
+export const memoria = (store) => ({
+    async buscar(username) {
+        return store.usuario(username);
+    },
+
+    async revocar() {},
+
+    async revocados() {
+        return [];
+    },
+});
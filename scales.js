@@ -0,0 +1,262 @@
+// scales.js — básculas de piso/banco: TCP o serial, MT-SICS o salida continua, simulador
+// ------------------------------------------------------------------
+// Cada báscula emite 'lectura' { basculaId, peso, unidad, estable, neto, tara, ts }.
+// La estabilidad la decide el servidor: la báscula no debe marcar "dinámico" y el
+// valor no debe moverse más de una división (Resolucion) durante BASCULA_ESTABLE_MS.
+// serialport es opcional (import dinámico) igual que bcryptjs en /login.
+
+import net from 'net';
+import { EventEmitter } from 'events';
+
+export const PROTOCOLOS = ['mt-sics', 'continuo', 'simulador'];
+export const TRANSPORTES = ['tcp', 'serial', 'simulador'];
+
+const STABLE_MS = Number(process.env.BASCULA_ESTABLE_MS || 800);
+const RECONNECT_MS = Number(process.env.BASCULA_RECONEXION_MS || 3000);
+
+export class ScaleError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// -------------------- Protocolos --------------------
+// MT-SICS (Mettler Toledo): "S S      12.345 kg" (estable) | "S D      12.345 kg" (dinámico)
+// Respuesta a tara: "T S      0.120 kg"; a cero: "Z A"
+export function parseMtSics(line) {
+    const t = line.trim();
+    const m = /^(S|SI|T)\s+([SD])\s+(-?\d+(?:\.\d+)?)\s*(\S+)/.exec(t);
+    if (!m) return null;
+    const lectura = { peso: Number(m[3]), unidad: m[4].toLowerCase(), estable: m[2] === 'S' };
+    return m[1] === 'T' ? { tara: lectura } : lectura;
+}
+
+// Salida continua genérica: "ST,GS,+  12.345kg" | "US,NT,-0.120 kg" | "   12.345 kg"
+// ST = estable, US = inestable, OL = sobrecarga (se descarta); GS = bruto, NT = neto
+export function parseContinuous(line) {
+    const m = /^(?:(ST|US|OL)\s*,\s*(GS|NT|TR)\s*,\s*)?([+-]?)\s*(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/.exec(line.trim());
+    if (!m || m[1] === 'OL') return null;
+    return {
+        peso: Number(`${m[3]}${m[4]}`),
+        unidad: (m[5] || 'kg').toLowerCase(),
+        estable: m[1] ? m[1] === 'ST' : null,
+        neto: m[2] ? m[2] === 'NT' : undefined,
+    };
+}
+
+// -------------------- Báscula --------------------
+class Scale extends EventEmitter {
+    constructor(cfg) {
+        super();
+        this.cfg = cfg;
+        this.id = cfg.Id;
+        this.resolucion = Number(cfg.Resolucion) || 0.001;
+        this.tara = 0;
+        this.ultima = null;
+        this.conectada = false;
+        this.error = null;
+        this.buffer = '';
+        this.candidata = null; // { peso, desde }
+        this.stopped = false;
+    }
+
+    start() {
+        if (this.cfg.Transporte === 'simulador' || this.cfg.Protocolo === 'simulador') return this.#startSimulator();
+        if (this.cfg.Transporte === 'serial') return this.#startSerial();
+        return this.#startTcp();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.simTimer);
+        this.conn?.destroy?.();
+        this.conn?.close?.();
+        this.conectada = false;
+        this.removeAllListeners();
+    }
+
+    #startTcp() {
+        const sock = net.createConnection({ host: this.cfg.Host, port: Number(this.cfg.Puerto) });
+        this.conn = sock;
+        sock.setEncoding('ascii');
+        sock.on('connect', () => this.#onOpen());
+        sock.on('data', chunk => this.#onData(chunk));
+        sock.on('error', err => { this.error = err.message; });
+        sock.on('close', () => this.#onClose());
+    }
+
+    async #startSerial() {
+        let SerialPort;
+        try {
+            ({ SerialPort } = await import('serialport'));
+        } catch {
+            this.error = 'serialport no instalado; agréguelo para básculas seriales';
+            return;
+        }
+        const port = new SerialPort({ path: this.cfg.RutaSerial, baudRate: Number(this.cfg.Baudios) || 9600 });
+        this.conn = port;
+        port.on('open', () => this.#onOpen());
+        port.on('data', chunk => this.#onData(chunk.toString('ascii')));
+        port.on('error', err => { this.error = err.message; });
+        port.on('close', () => this.#onClose());
+    }
+
+    #onOpen() {
+        this.conectada = true;
+        this.error = null;
+        // MT-SICS: pide envío continuo de lecturas inmediatas
+        if (this.cfg.Protocolo === 'mt-sics') this.#write('SIR');
+    }
+
+    #onClose() {
+        this.conectada = false;
+        if (this.stopped) return;
+        this.reconnectTimer = setTimeout(() => this.start(), RECONNECT_MS);
+    }
+
+    #onData(chunk) {
+        this.buffer += chunk;
+        const lines = this.buffer.split(/\r?\n/);
+        this.buffer = lines.pop();
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            const r = this.cfg.Protocolo === 'mt-sics' ? parseMtSics(line) : parseContinuous(line);
+            if (!r) continue;
+            if (r.tara) { this.tara = r.tara.peso; continue; }
+            this.#onReading(r);
+        }
+    }
+
+    #write(cmd) {
+        if (!this.conectada || !this.conn) throw new ScaleError('scale_offline', 'Báscula desconectada');
+        this.conn.write(`${cmd}\r\n`);
+    }
+
+    #onReading(r) {
+        const now = Date.now();
+        if (!this.candidata || Math.abs(r.peso - this.candidata.peso) > this.resolucion) {
+            this.candidata = { peso: r.peso, desde: now };
+        }
+        const quieta = now - this.candidata.desde >= STABLE_MS;
+        this.ultima = {
+            basculaId: this.id,
+            peso: roundTo(r.peso, this.resolucion),
+            unidad: r.unidad,
+            estable: r.estable !== false && quieta,
+            neto: r.neto ?? this.tara !== 0,
+            tara: this.tara,
+            ts: new Date(now).toISOString(),
+        };
+        this.emit('lectura', this.ultima);
+    }
+
+    tare() {
+        if (this.simulador) { this.tara = this.simulador.bruto; return; }
+        if (this.cfg.Protocolo !== 'mt-sics') throw new ScaleError('not_supported', 'El protocolo no admite tara remota');
+        this.#write('T');
+    }
+
+    zero() {
+        if (this.simulador) { this.tara = 0; this.simulador.objetivo = 0; this.simulador.bruto = 0; return; }
+        if (this.cfg.Protocolo !== 'mt-sics') throw new ScaleError('not_supported', 'El protocolo no admite cero remoto');
+        this.#write('Z');
+    }
+
+    // Resuelve con la siguiente lectura estable (o la actual si ya lo es y es reciente)
+    waitStable(timeoutMs = 5000) {
+        if (this.ultima?.estable && Date.now() - Date.parse(this.ultima.ts) < 1000) return Promise.resolve(this.ultima);
+        return new Promise((resolve, reject) => {
+            const onLectura = (l) => {
+                if (!l.estable) return;
+                clearTimeout(timer);
+                this.off('lectura', onLectura);
+                resolve(l);
+            };
+            const timer = setTimeout(() => {
+                this.off('lectura', onLectura);
+                reject(new ScaleError('scale_unstable', `Sin lectura estable en ${timeoutMs} ms`));
+            }, timeoutMs);
+            this.on('lectura', onLectura);
+        });
+    }
+
+    // -------------------- Simulador --------------------
+    // Se acerca al peso objetivo con ruido y luego se asienta (lecturas cada 200 ms).
+    #startSimulator() {
+        this.simulador = { objetivo: 0, bruto: 0 };
+        this.conectada = true;
+        this.simTimer = setInterval(() => {
+            const s = this.simulador;
+            const delta = s.objetivo - s.bruto;
+            s.bruto = Math.abs(delta) > this.resolucion
+                ? s.bruto + delta * 0.5 + (Math.random() - 0.5) * Math.min(Math.abs(delta), this.resolucion * 10) * 0.2
+                : s.objetivo;
+            this.#onReading({ peso: s.bruto - this.tara, unidad: this.cfg.Unidad || 'kg', estable: null });
+        }, 200);
+        this.simTimer.unref?.();
+    }
+
+    // Coloca carga (bruta) en la báscula simulada
+    simulate(peso) {
+        if (!this.simulador) throw new ScaleError('not_supported', 'La báscula no es simulada');
+        this.simulador.objetivo = Number(peso);
+    }
+
+    status() {
+        return {
+            Id: this.id,
+            Nombre: this.cfg.Nombre,
+            LineadeMezclado: this.cfg.LineadeMezclado,
+            Protocolo: this.cfg.Protocolo,
+            Transporte: this.cfg.Transporte,
+            Resolucion: this.resolucion,
+            conectada: this.conectada,
+            error: this.error,
+            lectura: this.ultima,
+        };
+    }
+}
+
+function roundTo(n, step) {
+    const dec = Math.max(0, -Math.floor(Math.log10(step)));
+    return Number((Math.round(n / step) * step).toFixed(dec));
+}
+
+// -------------------- Registro de básculas --------------------
+class ScaleManager extends EventEmitter {
+    constructor() {
+        super();
+        this.scales = new Map();
+    }
+
+    // Reemplaza la configuración completa: [{ Id, Nombre, LineadeMezclado, Protocolo, Transporte, Host, Puerto, RutaSerial, Baudios, Unidad, Resolucion }]
+    configure(configs) {
+        for (const s of this.scales.values()) s.stop();
+        this.scales.clear();
+        for (const cfg of configs) {
+            const scale = new Scale(cfg);
+            scale.on('lectura', l => this.emit('lectura', l));
+            this.scales.set(Number(cfg.Id), scale);
+            scale.start();
+        }
+    }
+
+    get(id) {
+        return this.scales.get(Number(id)) || null;
+    }
+
+    forLine(linea) {
+        for (const s of this.scales.values()) {
+            if (Number(s.cfg.LineadeMezclado) === Number(linea)) return s;
+        }
+        return null;
+    }
+
+    list() {
+        return [...this.scales.values()].map(s => s.status());
+    }
+}
+
+export const scales = new ScaleManager();
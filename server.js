@@ -2,11 +2,31 @@
 // ------------------------------------------------------------------
 // Estilo y utilidades basados en tu server.js original: pool MSSQL reutilizable,
 // asyncHandler, /health, API key opcional y modo MOCK si faltan ENV. :contentReference[oaicite:3]{index=3}
+// Acceso a datos vía repos/ (DB_BACKEND = mssql | sqlite | memoria).
 
 import express from 'express';
 import morgan from 'morgan';
 import cors from 'cors';
-import sql from 'mssql';
+import { ROLES, issueTokens, verifyToken, revokeToken, requireRole, requireRoleByMethod } from './auth.js';
+import { resolveTolerance, evaluateWeight, validateTolerance } from './tolerance.js';
+import { parseLabel, verifyLabel, isValidGtin, LabelError } from './label.js';
+import { round3 } from './inventory.js';
+import { unitCatalog, findUnit, lotUnit, decimalsFor, convertWeight, weightConverter, UnitError, UNIDAD_CANONICA } from './units.js';
+import { AGRUPACIONES, AGRUPACIONES_LOTE, weightVariance, cycleTimes, scheduleAdherence } from './analytics.js';
+import { ALERGENOS, MODO_ALERGENOS, parseTags, tagsFromRows, profiles, EMPTY_PROFILE, changeover, cellKey, groupCells, sequenceChangeovers, recommendSequence } from './allergens.js';
+import { photoStore, photoUpload, readPhoto, decodePhotoBase64, makeThumbnail, photoHash, sniffMime, PhotoError, MINIATURA_LADO } from './photos.js';
+import { scales, ScaleError, PROTOCOLOS, TRANSPORTES } from './scales.js';
+import { board, parseBoardFilter, matchesBoardFilter } from './board.js';
+import { renderBatchRecord } from './batchrecord.js';
+import { diffVersions, nextVersionState, validateFormula } from './formulas.js';
+import { auditTrail, recordAudit, setAudit, skipAudit, parseAuditFilter } from './audit.js';
+import { parseListing } from './listing.js';
+import { spec, docsHtml, validateContract, errorEnvelope, toErrorEnvelope } from './openapi.js';
+import { DB_BACKEND, getRepos, dbConnected } from './repos/index.js';
+import { LISTADO as LISTADO_INGREDIENTES } from './repos/ingredientes.js';
+import { LISTADO as LISTADO_PRODUCTOS } from './repos/formulas.js';
+import { LISTADO as LISTADO_LOTES } from './repos/lotes.js';
+import { CATALOGOS } from './repos/catalogos.js';
 
 // -------------------- App & Middlewares --------------------
 const app = express();
@@ -14,6 +34,12 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(morgan('dev'));
 
+// Toda respuesta >= 400 sale como { error, mensaje, ... } (ver openapi.js)
+app.use(errorEnvelope());
+
+// Bitácora de auditoría de toda escritura (ver sección AUDITORIA)
+app.use(auditTrail(persistAudit));
+
 // API Key opcional por header x-api-key
 const API_KEY = process.env.API_KEY || null;
 app.use((req, res, next) => {
@@ -24,39 +50,15 @@ app.use((req, res, next) => {
     next();
 });
 
-// -------------------- MSSQL Pool --------------------
-const sqlConfig = {
-    server: process.env.MSSQL_SERVER,
-    port: process.env.MSSQL_PORT ? Number(process.env.MSSQL_PORT) : 1433,
-    database: process.env.MSSQL_DATABASE,
-    user: process.env.MSSQL_USER,
-    password: process.env.MSSQL_PASSWORD,
-    options: {
-        encrypt: String(process.env.MSSQL_ENCRYPT) === 'true',
-        trustServerCertificate: String(process.env.MSSQL_TRUST_SERVER_CERTIFICATE) === 'true',
-    },
-    pool: { max: 10, min: 0, idleTimeoutMillis: 30000 },
-};
-
-let poolPromise = null;
-async function getPool() {
-    try {
-        if (!poolPromise) {
-            if (!sqlConfig.server || !sqlConfig.database || !sqlConfig.user || !sqlConfig.password) {
-                return null; // Modo MOCK si faltan ENV
-            }
-            poolPromise = sql.connect(sqlConfig);
-        }
-        return await poolPromise;
-    } catch (e) {
-        console.error('MSSQL connect error:', e);
-        poolPromise = null;
-        return null;
-    }
-}
+// -------------------- Base de datos --------------------
+// Todo acceso a datos pasa por getRepos() según DB_BACKEND; ver repos/index.js
+// Con mssql sin conexión lanza DbUnavailableError → 503 db_unavailable (nunca se cae a memoria).
 
 function asyncHandler(fn) {
     return (req, res) => fn(req, res).catch(err => {
+        if (err?.code === 'db_unavailable') {
+            return res.status(503).json({ error: 'db_unavailable', mensaje: `❌ Base de datos no disponible: ${err.message}` });
+        }
         console.error(`${req.method} ${req.path} error:`, err);
         res.status(500).json({ error: 'server_error', detalle: err?.message });
     });
@@ -64,179 +66,398 @@ function asyncHandler(fn) {
 
 // -------------------- Health --------------------
 app.get('/health', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    res.json({ ok: true, dbConnected: !!pool });
+    res.json({ ok: true, dbConnected: await dbConnected(), backend: DB_BACKEND });
 }));
 
+// -------------------- Server-Sent Events --------------------
+// Abre un stream SSE → send(evento, datos, id?). Envía ping cada 15 s y limpia al cerrar.
+function openEventStream(req, res, onClose) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+    // 'close' de la respuesta: el cliente se fue o el servidor cerró el stream con res.end()
+    res.on('close', () => {
+        clearInterval(ping);
+        onClose?.();
+    });
+    return (event, data, id) => {
+        if (id != null) res.write(`id: ${id}\n`);
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+// -------------------- Control de acceso por rol --------------------
+// Tokens emitidos por POST /login (ver sección LOGIN). admin pasa siempre.
+app.use('/peso', requireRole('operator'));
+app.use('/estaciones', requireRole('operator', 'quality'));
+app.use('/lotesprogramados', requireRoleByMethod({ read: ['operator', 'planner', 'quality'], write: ['planner'] }));
+app.use('/api/lotes', requireRole('planner'));
+app.use('/api/Lineas', requireRoleByMethod({ read: ['operator', 'planner', 'quality'], write: ['planner'] }));
+app.use('/api/ProductosTerminados', requireRoleByMethod({ read: ['operator', 'planner', 'quality'], write: ['planner', 'quality'] }));
+app.use('/api/Ingredientes', requireRoleByMethod({ read: ['operator', 'planner', 'quality'], write: ['planner', 'quality'] }));
+app.use('/api/Trazabilidad', requireRole('planner', 'quality'));
+// Básculas: el operador sólo captura (tara/cero; las lecturas son GET); configurarlas y el simulador son de admin
+const CAPTURA_BASCULA = /^\/[^/]+\/(tara|cero)$/;
+const basculasCaptura = requireRole('operator');
+const basculasPorMetodo = requireRoleByMethod({ read: ['operator', 'planner', 'quality'], write: ['admin'] });
+app.use('/basculas', (req, res, next) => (req.method === 'POST' && CAPTURA_BASCULA.test(req.path) ? basculasCaptura : basculasPorMetodo)(req, res, next));
+app.use('/api/Inventario', requireRoleByMethod({ read: ['operator', 'planner', 'quality'], write: ['planner', 'quality'] }));
+app.use('/api/Auditoria', requireRole('quality'));
+app.use('/api/Analitica', requireRole('planner', 'quality'));
+app.use('/api/Fotos', requireRole('quality'));
+// Catálogos maestros: las listas de activos siguen siendo públicas; el listado completo y la escritura no
+app.use(['/api/Clientes', '/unidadesdemedida'], requireRoleByMethod({ read: null, write: ['planner', 'quality'] }));
+app.use(['/api/Clientes/listado', '/unidadesdemedida/listado'], requireRole('operator', 'planner', 'quality'));
+
+// -------------------- Contrato OpenAPI --------------------
+// Especificación en /openapi.json y UI en /docs (públicas). Las peticiones se validan
+// contra el contrato después del control de acceso → 400 { error, mensaje, campos }.
+app.get('/openapi.json', (req, res) => res.json(spec));
+app.get('/docs', (req, res) => res.type('html').send(docsHtml));
+// /peso en multipart/form-data (foto como archivo): los campos se leen antes de validarlos (ver FOTOS DEL PESADO)
+app.post('/peso', photoUpload());
+app.use(validateContract());
+
+// Valida usuario/contraseña contra Usuarios → { Username, Nombre, Correo, PlanActivo, Rol } | null
+// En memoria compara el Password en claro de los fixtures (uno por rol); en BD el hash BCrypt.
+// Lanza un error con code = 'BCRYPT_MISSING' si bcryptjs no está instalado.
+async function verifyCredentials(repos, Username, Password) {
+    const row = await repos.usuarios.buscar(Username);
+    if (!row) return null;
+
+    let ok;
+    if (row.PasswordHash == null) {
+        ok = row.Password != null && String(Password) === row.Password;
+    } else {
+        let bcrypt = null;
+        try {
+            ({ default: bcrypt } = await import('bcryptjs'));
+        } catch (e) {
+            throw Object.assign(new Error('bcryptjs no instalado; agréguelo para validar contraseñas'), { code: 'BCRYPT_MISSING' });
+        }
+        ok = await bcrypt.compare(String(Password), String(row.PasswordHash));
+    }
+    if (!ok) return null;
+    return sessionUser(row);
+}
+
+// Fila de Usuarios → datos que viajan en los tokens (rol desconocido → operator)
+function sessionUser(row) {
+    return {
+        Username: String(row.Username),
+        Nombre: row.Nombre,
+        Correo: row.Correo,
+        PlanActivo: !!row.PlanActivo,
+        Rol: ROLES.includes(row.Rol) ? row.Rol : 'operator'
+    };
+}
+
 // ============================================================
 // ===============  CLIENTES (ClientesController)  ============
 // ============================================================
 // GET api/Clientes/activos → [{ identificador, cliente }]  :contentReference[oaicite:4]{index=4}
 app.get('/api/Clientes/activos', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    if (!pool) {
-        return res.json([
-            { identificador: 1, cliente: 'Acme' },
-            { identificador: 2, cliente: 'Globex' },
-        ]);
-    }
-    const r = await pool.request().query(`
-    SELECT Identificador AS identificador, Cliente AS cliente
-    FROM Clientes
-    WHERE Activo = 1
-    ORDER BY Cliente;
-  `);
-    res.json(r.recordset);
+    const repos = await getRepos();
+    res.json(await repos.clientes.activos());
 }));
 
+// ============================================================
+// ======  CATALOGOS MAESTROS (clientes, categorías, proveedores, unidades)  ======
+// ============================================================
+// Las mismas rutas para los cuatro catálogos (repos/catalogos.js), bajo su base:
+//   GET  {base}/listado?estado=activo|inactivo → [registro] (sin estado = todos)
+//   POST {base}/nuevo → { mensaje, id } (201) · PUT {base}/actualizar/{id} → { mensaje }
+//   POST {base}/{id}/activar · POST {base}/{id}/desactivar → { mensaje }
+// Nombre (y Abreviatura en unidades) no se repiten → 409. Activo sólo cambia con activar/desactivar; desactivar
+// un registro que aún usan filas activas → 409 in_use con `referencias` (ver referencias() en el repositorio).
+const CATALOGOS_RUTAS = [
+    { catalogo: 'clientes', base: '/api/Clientes', nombre: 'cliente' },
+    { catalogo: 'categorias', base: '/api/Ingredientes/categorias', nombre: 'categoría', femenino: true },
+    { catalogo: 'proveedores', base: '/api/Ingredientes/proveedores', nombre: 'proveedor' },
+    { catalogo: 'unidades', base: '/unidadesdemedida', nombre: 'unidad', femenino: true },
+];
+
+// Cuerpo de un registro → { registro } | { error }. Unidades: FactorKg = kg que equivalen a 1 unidad.
+function readCatalogEntry(catalogo, body) {
+    const { Nombre, Abreviatura, FactorKg, Decimales = 3 } = body || {};
+    const nombre = String(Nombre ?? '').trim();
+    if (!nombre || nombre.length > 100) return { error: 'Nombre requerido (máx. 100 caracteres)' };
+    if (catalogo !== 'unidades') return { registro: { Nombre: nombre } };
+
+    const abreviatura = String(Abreviatura ?? '').trim();
+    if (!abreviatura || abreviatura.length > 10 || /\s/.test(abreviatura)) return { error: 'Abreviatura requerida (máx. 10 caracteres, sin espacios)' };
+    if (!(Number(FactorKg) > 0)) return { error: 'FactorKg debe ser > 0' };
+    if (abreviatura.toLowerCase() === UNIDAD_CANONICA && Number(FactorKg) !== 1) return { error: `La unidad ${UNIDAD_CANONICA} debe tener FactorKg 1` };
+    if (!Number.isInteger(Number(Decimales)) || Number(Decimales) < 0 || Number(Decimales) > 6) return { error: 'Decimales debe ser un entero de 0 a 6' };
+    return { registro: { Nombre: nombre, Abreviatura: abreviatura, FactorKg: Number(FactorKg), Decimales: Number(Decimales) } };
+}
+
+// Activo al registrar: true/false o 1/0; sin valor → true. Cualquier otro → null (400)
+function readCatalogActive(v) {
+    if (v == null) return true;
+    if (v === true || v === 1) return true;
+    if (v === false || v === 0) return false;
+    return null;
+}
+
+// kg: los lotes nuevos se programan en ella y IdUnidadMedida NULL la significa; no se desactiva ni cambia de abreviatura
+const isCanonicalUnit = (u) => String(u.Abreviatura ?? '').trim().toLowerCase() === UNIDAD_CANONICA;
+const canonicalUnit = (res) => res.status(409).json({
+    error: 'unit_in_use', mensaje: `❌ ${UNIDAD_CANONICA} es la unidad canónica: no se puede desactivar ni cambiar su abreviatura`
+});
+
+function catalogRoutes({ catalogo, base, nombre, femenino = false }) {
+    const un = femenino ? 'una' : 'un';
+    const o = femenino ? 'a' : 'o';
+    const Nombre = nombre[0].toUpperCase() + nombre.slice(1);
+    const { tabla } = CATALOGOS[catalogo];
+    const noEncontrado = (res) => res.status(404).json({ mensaje: `❌ ${Nombre} no encontrad${o}` });
+    const duplicado = (res, campo, otro = false) => res.status(409).json({
+        mensaje: `Ya existe ${otro ? `otr${o}` : un} ${nombre} con ${campo === 'Abreviatura' ? 'esa abreviatura' : 'ese nombre'}.`
+    });
+    const leerId = (req) => {
+        const id = Number(req.params.id);
+        return Number.isInteger(id) && id > 0 ? id : null;
+    };
+
+    app.get(`${base}/listado`, asyncHandler(async (req, res) => {
+        const { estado = null } = req.query;
+        const repos = await getRepos();
+        res.json(await repos.catalogos.listado(catalogo, { estado }));
+    }));
+
+    app.post(`${base}/nuevo`, asyncHandler(async (req, res) => {
+        const { registro, error } = readCatalogEntry(catalogo, req.body);
+        const Activo = readCatalogActive(req.body.Activo);
+        if (error || Activo == null) {
+            return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error || 'Activo debe ser true/false (o 1/0)' });
+        }
+
+        const repos = await getRepos();
+        const campo = await repos.catalogos.duplicado(catalogo, registro);
+        if (campo) return duplicado(res, campo);
+        const id = await repos.catalogos.crear(catalogo, { ...registro, Activo });
+        setAudit(req, tabla, id, { despues: { ...registro, Activo } });
+        res.status(201).json({ mensaje: `${Nombre} registrad${o} correctamente`, id });
+    }));
+
+    app.put(`${base}/actualizar/:id`, asyncHandler(async (req, res) => {
+        const id = leerId(req);
+        const { registro, error } = readCatalogEntry(catalogo, req.body);
+        if (!id || error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error || 'id inválido' });
+
+        const repos = await getRepos();
+        const actual = await repos.catalogos.obtener(catalogo, id);
+        if (!actual) return noEncontrado(res);
+        const campo = await repos.catalogos.duplicado(catalogo, registro, id);
+        if (campo) return duplicado(res, campo, true);
+        if (catalogo === 'unidades' && isCanonicalUnit(actual) && !isCanonicalUnit(registro)) return canonicalUnit(res);
+        // Los lotes guardan sus pesos en la unidad: cambiarle el factor cambiaría lo que ya se programó y pesó
+        if (catalogo === 'unidades' && actual.FactorKg !== registro.FactorKg && await repos.catalogos.unidadConLotes(id)) {
+            return res.status(409).json({
+                error: 'unit_in_use',
+                mensaje: `❌ Hay lotes registrados en ${actual.Abreviatura}; su FactorKg no puede cambiar (registre otra unidad)`
+            });
+        }
+        const cambio = await repos.catalogos.actualizar(catalogo, id, registro);
+        setAudit(req, tabla, id, cambio);
+        res.json({ mensaje: `${Nombre} actualizad${o} correctamente` });
+    }));
+
+    app.post(`${base}/:id/activar`, asyncHandler(async (req, res) => {
+        const id = leerId(req);
+        if (!id) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'id inválido' });
+
+        const repos = await getRepos();
+        const cambio = await repos.catalogos.actualizar(catalogo, id, { Activo: true });
+        if (!cambio) return noEncontrado(res);
+        setAudit(req, tabla, id, cambio);
+        res.json({ mensaje: `${Nombre} activad${o} correctamente` });
+    }));
+
+    app.post(`${base}/:id/desactivar`, asyncHandler(async (req, res) => {
+        const id = leerId(req);
+        if (!id) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'id inválido' });
+
+        const repos = await getRepos();
+        const actual = await repos.catalogos.obtener(catalogo, id);
+        if (!actual) return noEncontrado(res);
+        if (catalogo === 'unidades' && isCanonicalUnit(actual)) return canonicalUnit(res);
+        const referencias = await repos.catalogos.referencias(catalogo, id);
+        if (referencias.length) {
+            return res.status(409).json({
+                error: 'in_use',
+                mensaje: `❌ No se puede desactivar: ${referencias.length} registro(s) activo(s) usan ${femenino ? 'esta' : 'este'} ${nombre}`,
+                referencias
+            });
+        }
+        const cambio = await repos.catalogos.actualizar(catalogo, id, { Activo: false });
+        setAudit(req, tabla, id, cambio);
+        res.json({ mensaje: `${Nombre} desactivad${o} correctamente` });
+    }));
+}
+
+CATALOGOS_RUTAS.forEach(catalogRoutes);
+
 // ============================================================
 // ============  INGREDIENTES (IngredientesController)  =======
 // ============================================================
 // GET api/Ingredientes/categorias → [{ Id, Nombre }]  :contentReference[oaicite:5]{index=5}
 app.get('/api/Ingredientes/categorias', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    if (!pool) return res.json([{ Id: 1, Nombre: 'Base' }]);
-    const r = await pool.request().query(`
-    SELECT Identificador AS Id, ISNULL(Categoria, '') AS Nombre
-    FROM CategoriasIngredientes
-    WHERE Activo = 1;
-  `);
-    res.json(r.recordset);
+    const repos = await getRepos();
+    res.json(await repos.ingredientes.categorias());
 }));
 
 // GET api/Ingredientes/proveedores → [{ Id, Nombre }]  :contentReference[oaicite:6]{index=6}
 app.get('/api/Ingredientes/proveedores', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    if (!pool) return res.json([{ Id: 1, Nombre: 'Proveedor Demo' }]);
-    const r = await pool.request().query(`
-    SELECT Identificador AS Id, Proveedor AS Nombre
-    FROM ProveedoresIngredientes
-    WHERE Activo = 1;
-  `);
-    res.json(r.recordset);
+    const repos = await getRepos();
+    res.json(await repos.ingredientes.proveedores());
 }));
 
 // GET api/Ingredientes/listado?nombre&categoriaId&estado → [{ Id, Nombre, Activo, Categoria, Descripcion }]  :contentReference[oaicite:7]{index=7}
+// Con pagina/tamano → { datos, pagina, tamano, total, paginas, orden, q } (ver listing.js); q busca en clave, nombre, descripción y categoría.
 app.get('/api/Ingredientes/listado', asyncHandler(async (req, res) => {
     const { nombre = null, categoriaId = null, estado = null } = req.query;
-    const pool = await getPool();
-    if (!pool) {
-        return res.json([{
-            Id: 1, Nombre: 'Azúcar', Activo: 1, Categoria: 'Dulces', Descripcion: 'Refinado'
-        }]);
-    }
-    const request = pool.request()
-        .input('nombre', sql.NVarChar, nombre ? String(nombre) : null)
-        .input('nombreLike', sql.NVarChar, nombre ? `%${String(nombre)}%` : null)
-        .input('categoriaId', sql.Int, categoriaId ? Number(categoriaId) : null)
-        .input('estado', sql.VarChar, estado ? String(estado) : null);
-    const r = await request.query(`
-    SELECT 
-      I.Identificador AS Id,
-      I.Ingrediente  AS Nombre,
-      CAST(I.Activo AS INT) AS Activo,
-      ISNULL(C.Categoria, '') AS Categoria,
-      ISNULL(I.Descripcion, '') AS Descripcion
-    FROM Ingredientes I
-    LEFT JOIN CategoriasIngredientes C ON I.CategoriaID = C.Identificador
-    WHERE 1=1
-      AND (@nombre IS NULL OR I.Ingrediente LIKE @nombreLike)
-      AND (@categoriaId IS NULL OR I.CategoriaID = @categoriaId)
-      AND (
-          @estado IS NULL
-          OR (@estado = 'activo' AND I.Activo = 1)
-          OR (@estado = 'inactivo' AND I.Activo = 0)
-      )
-  `);
-    res.json(r.recordset);
+    const listing = parseListing(req.query, LISTADO_INGREDIENTES);
+    if (listing.error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: listing.error });
+
+    const repos = await getRepos();
+    res.json(await repos.ingredientes.listado({ nombre, categoriaId, estado }, listing));
 }));
 
 // POST api/Ingredientes/nuevo → { mensaje, id } (201)  :contentReference[oaicite:8]{index=8}
 app.post('/api/Ingredientes/nuevo', asyncHandler(async (req, res) => {
     const data = req.body || {};
-    const { Nombre, Descripcion = '', CategoriaId, Activo } = data;
+    const { Nombre, Descripcion = '', CategoriaId, Activo, GTIN = null } = data;
     if (!Nombre || (CategoriaId == null) || (Activo == null)) {
         return res.status(400).json({ mensaje: 'Solicitud inválida' });
     }
-
-    const pool = await getPool();
-    if (!pool) {
-        return res.status(201).json({ mensaje: 'Ingrediente registrado correctamente', id: Date.now() });
+    if (GTIN && !isValidGtin(GTIN)) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'GTIN inválido' });
     }
 
-    // Validar duplicado
-    const dup = await pool.request()
-        .input('nombre', sql.NVarChar, Nombre)
-        .query(`SELECT COUNT(*) AS c FROM Ingredientes WHERE Ingrediente = @nombre;`);
-    if (dup.recordset[0].c > 0) {
+    const repos = await getRepos();
+    if (await repos.ingredientes.existeNombre(Nombre)) {
         return res.status(409).json({ mensaje: 'Ya existe un ingrediente con ese nombre.' });
     }
-
-    // Insertar
-    const r = await pool.request()
-        .input('nombre', sql.NVarChar, Nombre)
-        .input('activo', sql.Int, Number(Activo))
-        .input('categoriaId', sql.Int, Number(CategoriaId))
-        .input('descripcion', sql.NVarChar, Descripcion ?? '')
-        .query(`
-      INSERT INTO Ingredientes (Ingrediente, Activo, CategoriaID, Descripcion)
-      VALUES (@nombre, @activo, @categoriaId, @descripcion);
-      SELECT CAST(SCOPE_IDENTITY() AS INT) AS id;
-    `);
-    return res.status(201).json({ mensaje: 'Ingrediente registrado correctamente', id: r.recordset[0].id });
+    const id = await repos.ingredientes.crear({ Nombre, Descripcion, CategoriaId, Activo, GTIN });
+    setAudit(req, 'Ingredientes', id, { despues: data });
+    return res.status(201).json({ mensaje: 'Ingrediente registrado correctamente', id });
 }));
 
 // PUT api/Ingredientes/actualizar/{id} → { mensaje }  :contentReference[oaicite:9]{index=9}
 app.put('/api/Ingredientes/actualizar/:id', asyncHandler(async (req, res) => {
     const id = Number(req.params.id);
     const data = req.body || {};
-    const { Nombre, Descripcion = '', CategoriaId, Activo } = data;
-
-    const pool = await getPool();
-    if (!pool) return res.json({ mensaje: 'Ingrediente actualizado correctamente' });
+    const { Nombre, Descripcion = '', CategoriaId, Activo, GTIN } = data;
+    if (GTIN && !isValidGtin(GTIN)) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'GTIN inválido' });
+    }
 
-    // Validar nombre único
-    const dup = await pool.request()
-        .input('nombre', sql.NVarChar, Nombre)
-        .input('id', sql.Int, id)
-        .query(`SELECT COUNT(*) AS c FROM Ingredientes WHERE Ingrediente = @nombre AND Identificador != @id;`);
-    if (dup.recordset[0].c > 0) {
+    const repos = await getRepos();
+    if (await repos.ingredientes.existeNombre(Nombre, id)) {
         return res.status(409).json({ mensaje: 'Ya existe otro ingrediente con ese nombre.' });
     }
-
-    await pool.request()
-        .input('nombre', sql.NVarChar, Nombre)
-        .input('activo', sql.Int, Number(Activo))
-        .input('categoriaId', sql.Int, Number(CategoriaId))
-        .input('descripcion', sql.NVarChar, Descripcion ?? '')
-        .input('id', sql.Int, id)
-        .query(`
-      UPDATE Ingredientes
-      SET Ingrediente = @nombre,
-          Activo = @activo,
-          CategoriaID = @categoriaId,
-          Descripcion = @descripcion
-      WHERE Identificador = @id;
-    `);
+    const cambio = await repos.ingredientes.actualizar(id, { Nombre, Descripcion, CategoriaId, Activo, GTIN });
+    if (cambio) setAudit(req, 'Ingredientes', id, cambio);
     res.json({ mensaje: 'Ingrediente actualizado correctamente' });
 }));
 
 // GET api/Ingredientes/activos → [{ Clave, Nombre, Descripcion }]  :contentReference[oaicite:10]{index=10}
 app.get('/api/Ingredientes/activos', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    if (!pool) {
-        return res.json([{ Clave: '1', Nombre: 'Azúcar', Descripcion: '' }]);
+    const repos = await getRepos();
+    res.json(await repos.ingredientes.activos());
+}));
+
+// GET api/Ingredientes/tolerancias → [{ Id, Nombre, CategoriaId, Tipo, Valor, Origen }] (tolerancia efectiva por ingrediente)
+app.get('/api/Ingredientes/tolerancias', asyncHandler(async (req, res) => {
+    const repos = await getRepos();
+    const filas = await repos.ingredientes.tolerancias();
+    res.json(filas.map(row => ({
+        Id: row.Id,
+        Nombre: row.Nombre,
+        CategoriaId: row.CategoriaId,
+        ...resolveTolerance(
+            { Tipo: row.TipoIngrediente, Valor: row.ValorIngrediente },
+            { Tipo: row.TipoCategoria, Valor: row.ValorCategoria }
+        )
+    })));
+}));
+
+// PUT api/Ingredientes/tolerancias/{id} { Tipo: 'abs'|'pct', Valor } → { mensaje }
+app.put('/api/Ingredientes/tolerancias/:id', asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const error = validateTolerance(req.body);
+    if (!Number.isInteger(id) || id <= 0 || error) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error || 'id inválido' });
+    }
+
+    const repos = await getRepos();
+    const despues = { Tipo: req.body.Tipo, Valor: Number(req.body.Valor) };
+    const antes = await repos.ingredientes.guardarTolerancia(id, despues);
+    setAudit(req, 'ToleranciasIngredientes', id, { antes, despues });
+    res.json({ mensaje: 'Tolerancia actualizada correctamente' });
+}));
+
+// DELETE api/Ingredientes/tolerancias/{id} → { mensaje } (vuelve a la de la categoría / global)
+app.delete('/api/Ingredientes/tolerancias/:id', asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const repos = await getRepos();
+    const antes = await repos.ingredientes.eliminarTolerancia(id);
+    setAudit(req, 'ToleranciasIngredientes', id, { antes, despues: null });
+    res.json({ mensaje: 'Tolerancia eliminada correctamente' });
+}));
+
+// PUT api/Ingredientes/categorias/{id}/tolerancia { Tipo, Valor } → { mensaje } (default de la categoría)
+app.put('/api/Ingredientes/categorias/:id/tolerancia', asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const error = validateTolerance(req.body);
+    if (!Number.isInteger(id) || id <= 0 || error) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error || 'id inválido' });
+    }
+
+    const repos = await getRepos();
+    const despues = { Tipo: req.body.Tipo, Valor: Number(req.body.Valor) };
+    const antes = await repos.ingredientes.guardarToleranciaCategoria(id, despues);
+    setAudit(req, 'ToleranciasCategorias', id, { antes, despues });
+    res.json({ mensaje: 'Tolerancia de categoría actualizada correctamente' });
+}));
+
+// -------------------- Alérgenos y atributos (allergens.js) --------------------
+// GET api/Ingredientes/alergenos → [{ Codigo, Nombre }] (catálogo; los atributos son libres)
+app.get('/api/Ingredientes/alergenos', (req, res) => {
+    res.json(Object.entries(ALERGENOS).map(([Codigo, Nombre]) => ({ Codigo, Nombre })));
+});
+
+// GET api/Ingredientes/{id}/etiquetas → { Id, Alergenos, Atributos }
+app.get('/api/Ingredientes/:id/etiquetas', asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'id inválido' });
+
+    const repos = await getRepos();
+    if (!(await repos.ingredientes.catalogo([String(id)])).size) return res.status(404).json({ mensaje: 'Ingrediente no encontrado' });
+    res.json({ Id: id, ...tagsFromRows(await repos.alergenos.etiquetas([id])) });
+}));
+
+// PUT api/Ingredientes/{id}/etiquetas { Alergenos: [código], Atributos: [código] } → { mensaje, Id, Alergenos, Atributos }
+// Reemplaza todas las etiquetas del ingrediente; los perfiles de producto se recalculan al leerlos.
+app.put('/api/Ingredientes/:id/etiquetas', asyncHandler(async (req, res) => {
+    const id = Number(req.params.id);
+    const etiquetas = parseTags(req.body);
+    if (!Number.isInteger(id) || id <= 0 || etiquetas.error) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: etiquetas.error || 'id inválido' });
     }
-    const r = await pool.request().query(`
-    SELECT 
-      CAST(Identificador AS NVARCHAR(50)) AS Clave,
-      Ingrediente AS Nombre,
-      ISNULL(Descripcion, '') AS Descripcion
-    FROM Ingredientes
-    WHERE Activo = 1
-    ORDER BY Ingrediente;
-  `);
-    res.json(r.recordset);
+
+    const repos = await getRepos();
+    const cambio = await repos.alergenos.asignar(id, etiquetas);
+    if (!cambio) return res.status(404).json({ mensaje: 'Ingrediente no encontrado' });
+    setAudit(req, 'IngredientesEtiquetas', id, { antes: tagsFromRows(cambio.antes), despues: etiquetas });
+    res.json({ mensaje: 'Etiquetas actualizadas correctamente', Id: id, ...etiquetas });
 }));
 
 // ============================================================
@@ -244,247 +465,446 @@ app.get('/api/Ingredientes/activos', asyncHandler(async (req, res) => {
 // ============================================================
 // GET api/Formulas/activas → [{ nombre }]  :contentReference[oaicite:11]{index=11}
 app.get('/api/Formulas/activas', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    if (!pool) return res.json([{ nombre: 'PT-001' }, { nombre: 'PT-002' }]);
-    const r = await pool.request().query(`
-    SELECT CodigoProducto AS nombre
-    FROM ProductosTerminados
-    WHERE Activo = 1
-    ORDER BY CodigoProducto COLLATE Latin1_General_CI_AS;
-  `);
-    res.json(r.recordset);
+    const repos = await getRepos();
+    res.json(await repos.formulas.activas());
+}));
+
+// ============================================================
+// ================  LINEAS DE MEZCLADO (capacidad)  ===========
+// ============================================================
+// Identificador = LineadeMezclado de los lotes. Capacidad por turno en kg o en lotes (null = sin límite);
+// la del día es Capacidad × TurnosPorDia. Ver /lotesprogramados/mover y /lotesprogramados/carga.
+const UNIDADES_CAPACIDAD = ['kg', 'lotes'];
+
+// Cuerpo de una línea → { linea } | { error }
+function readLine(body) {
+    const { Nombre, Capacidad = null, UnidadCapacidad = 'kg', TurnosPorDia = 1, Activo = true } = body || {};
+    const nombre = String(Nombre ?? '').trim();
+    if (!nombre || nombre.length > 100) return { error: 'Nombre requerido (máx. 100 caracteres)' };
+    if (Capacidad != null && !(Number(Capacidad) > 0)) return { error: 'Capacidad debe ser > 0 o null (sin límite)' };
+    if (!UNIDADES_CAPACIDAD.includes(UnidadCapacidad)) return { error: `UnidadCapacidad debe ser una de: ${UNIDADES_CAPACIDAD.join(', ')}` };
+    if (!Number.isInteger(Number(TurnosPorDia)) || Number(TurnosPorDia) < 1 || Number(TurnosPorDia) > 4) return { error: 'TurnosPorDia debe ser un entero de 1 a 4' };
+    return {
+        linea: {
+            Nombre: nombre, Capacidad: Capacidad != null ? Number(Capacidad) : null, UnidadCapacidad,
+            TurnosPorDia: Number(TurnosPorDia), Activo: !!Activo
+        }
+    };
+}
+
+// Capacidad de un día (null = sin límite) y la carga { Lotes, Kg } que cuenta contra ella
+function dailyCapacity(linea) {
+    return linea?.Capacidad != null ? round3(linea.Capacidad * linea.TurnosPorDia) : null;
+}
+
+function usedCapacity(linea, { Lotes, Kg }) {
+    return linea?.UnidadCapacidad === 'lotes' ? Lotes : round3(Kg);
+}
+
+// GET api/Lineas → [{ Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo }]
+app.get('/api/Lineas', asyncHandler(async (req, res) => {
+    const repos = await getRepos();
+    res.json(await repos.lineas.listado());
+}));
+
+// POST api/Lineas/nuevo { Identificador, Nombre, Capacidad, UnidadCapacidad, TurnosPorDia, Activo } → { mensaje, id } (201)
+app.post('/api/Lineas/nuevo', asyncHandler(async (req, res) => {
+    const id = Number(req.body?.Identificador);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'Identificador debe ser un entero > 0' });
+    const { linea, error } = readLine(req.body);
+    if (error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error });
+
+    const repos = await getRepos();
+    if (await repos.lineas.obtener(id)) return res.status(409).json({ mensaje: 'Ya existe una línea con ese identificador.' });
+    await repos.lineas.crear({ Identificador: id, ...linea });
+    setAudit(req, 'LineasMezclado', id, { despues: { Identificador: id, ...linea } });
+    res.status(201).json({ mensaje: 'Línea registrada correctamente', id });
+}));
+
+// PUT api/Lineas/actualizar/{id} → { mensaje }
+app.put('/api/Lineas/actualizar/:id', asyncHandler(async (req, res) => {
+    const { linea, error } = readLine(req.body);
+    if (error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error });
+
+    const repos = await getRepos();
+    const cambio = await repos.lineas.actualizar(Number(req.params.id), linea);
+    if (!cambio) return res.status(404).json({ mensaje: '❌ Línea no encontrada' });
+    setAudit(req, 'LineasMezclado', Number(req.params.id), cambio);
+    res.json({ mensaje: 'Línea actualizada correctamente' });
 }));
 
+// ============================================================
+// ==================  TABLERO (feed de producción)  ===========
+// ============================================================
+// Publica un evento del tablero; con BD se persiste en EventosTablero (su Id es el id SSE).
+// Las publicaciones van en fila: cada evento se inserta y entra al feed antes que el siguiente, así los ids
+// llegan a board.push en orden y el filtro `e.id <= enviadoHasta` del stream no descarta ninguno.
+// Nunca hace fallar la petición que lo origina.
+let boardQueue = Promise.resolve();
+function publishBoard(tipo, { Consecutivo = null, LineadeMezclado = null, FechaProgramada = null, ...datos } = {}) {
+    const evento = { tipo, ts: new Date().toISOString(), Consecutivo, LineadeMezclado, FechaProgramada, datos };
+    boardQueue = boardQueue.then(async () => {
+        const repos = await getRepos();
+        return board.push(evento, await repos.tablero.publicar(evento));
+    }).catch(e => {
+        console.error(`No se pudo publicar evento ${tipo}:`, e.message);
+    });
+    return boardQueue;
+}
+
+// Eventos persistidos posteriores a `id` (cuando el buffer en memoria ya no los tiene)
+async function boardEventsSince(id) {
+    const repos = await getRepos();
+    return repos.tablero.desde(id);
+}
+
+// Publica lote_cancelado por cada fila { Consecutivo, LineadeMezclado, FechaProgramada }
+function publishCancelled(rows, origen, razon) {
+    for (const row of rows) publishBoard('lote_cancelado', { ...row, origen, Motivo: razon?.motivo ?? null });
+}
+
+// Sin filas canceladas (ya estaban canceladas o no existen) no hay cambio que registrar
+function auditCancelled(req, consecutivos, razon) {
+    if (!consecutivos.length) return skipAudit(req);
+    setAudit(req, 'ProgramacionProduccion', consecutivos.join(','), {
+        antes: { Cancelado: false },
+        despues: { Cancelado: true, consecutivos, Motivo: razon.motivo, Comentario: razon.comentario }
+    });
+}
+
+// Publica lote_programado por cada lote creado
+function publishScheduled(lotes, { CodigoProducto, PesoPorLote, UsuarioProgramo }) {
+    for (const l of lotes) {
+        publishBoard('lote_programado', {
+            Consecutivo: l.Consecutivo,
+            LineadeMezclado: l.LineadeMezclado,
+            FechaProgramada: l.FechaProgramada,
+            Lote: l.Lote,
+            Producto: String(CodigoProducto),
+            VersionFormula: l.VersionFormula,
+            PesoPorLote: Number(PesoPorLote),
+            UsuarioProgramo
+        });
+    }
+}
+
 // ============================================================
 // ======================= LOTES (LotesController) ============
 // ============================================================
 // POST api/lotes/programar → { mensaje } (201)  :contentReference[oaicite:12]{index=12}
 app.post('/api/lotes/programar', asyncHandler(async (req, res) => {
-    const { FormulaId, Fecha, Cantidad, Peso, UsuarioProgramo } = req.body || {};
+    const { FormulaId, Fecha, Cantidad, Peso } = req.body || {};
     if (!FormulaId || !Fecha || !Cantidad || !Peso) {
         return res.status(400).json({ error: 'bad_request' });
     }
-    const pool = await getPool();
-    if (!pool) return res.status(201).json({ mensaje: '✅ Lotes programados correctamente.' });
-
-    await pool.request()
-        .input('CodigoProducto', sql.NVarChar, String(FormulaId))
-        .input('FechaProgramada', sql.DateTime, new Date(Fecha))
-        .input('UsuarioProgramo', sql.NVarChar, UsuarioProgramo ? String(UsuarioProgramo) : 'usuarioWeb')
-        .input('CantidadLotes', sql.Int, Number(Cantidad))
-        .input('PesoPorLote', sql.Decimal(18, 3), Number(Peso))
-        .execute('SP_ProgramarLotesProduccion');
-    res.status(201).json({ mensaje: '✅ Lotes programados correctamente.' });
+    const repos = await getRepos();
+    const programa = {
+        CodigoProducto: FormulaId,
+        FechaProgramada: Fecha,
+        UsuarioProgramo: req.user.sub, // del token; el UsuarioProgramo del body se ignora
+        CantidadLotes: Cantidad,
+        PesoPorLote: Peso
+    };
+    const lotes = await repos.lotes.programar(programa);
+    publishScheduled(lotes, programa);
+    setAudit(req, 'ProgramacionProduccion', lotes.map(l => l.Consecutivo).join(','), { despues: { ...programa, lotes } });
+    res.status(201).json({ mensaje: '✅ Lotes programados correctamente.', lotes });
 }));
 
 // ============================================================
 // ============ LOTES PROGRAMADOS (LotesProgramadosController) =
 // ============================================================
+// -------------------- Unidades de medida --------------------
+// kg es la unidad canónica (units.js). Los pesos salen en la unidad que pide el cliente (?unidad= o Unidad:
+// abreviatura o Identificador; por defecto kg), siempre acompañados del campo Unidad, y se redondean a la
+// resolución de la báscula de la línea del lote (sin báscula, a los Decimales de la unidad).
+
+async function loadUnits(repos) {
+    return unitCatalog(await repos.lotes.unidades());
+}
+
+// Decimales de `unidad` para los pesos de un lote de la línea `linea`
+function lineDecimals(unidad, linea) {
+    const scale = linea != null ? scales.forLine(linea) : null;
+    return decimalsFor(unidad, scale?.resolucion);
+}
+
+// UnitError → { status, body }: unidad pedida desconocida (400) o lote en una unidad sin factor (409)
+function unitErrorResult(e) {
+    if (!(e instanceof UnitError)) throw e;
+    return { status: e.code === 'unit_unknown' ? 400 : 409, body: { error: e.code, mensaje: `❌ ${e.message}` } };
+}
+
 // GET /lotesprogramados?inicio=YYYY-MM-DD&fin=YYYY-MM-DD → lista  :contentReference[oaicite:13]{index=13}
+// Admite además pagina/tamano/orden/q (ver listing.js); q busca en lote, producto, descripción y cliente.
+// PesoLote va en ?unidad= (por defecto kg) con su Unidad.
 app.get('/lotesprogramados', asyncHandler(async (req, res) => {
     const { inicio, fin } = req.query;
     if (!inicio || !fin) return res.status(400).json({ error: 'params_required' });
+    const listing = parseListing(req.query, LISTADO_LOTES);
+    if (listing.error) return res.status(400).json({ error: 'bad_request', detalle: listing.error });
 
-    const pool = await getPool();
-    if (!pool) {
-        return res.json([{
-            Consecutivo: 123, Lote: 'LOT-001', Producto: 'PT-001', PesoLote: 25, LineadeMezclado: 1, FechaProgramada: new Date().toISOString()
-        }]);
-    }
-
-    const r = await pool.request()
-        .input('inicio', sql.DateTime, new Date(String(inicio)))
-        .input('fin', sql.DateTime, new Date(String(fin)))
-        .query(`
-      SELECT 
-        a.Consecutivo,
-        a.ID_Lot AS Lote,
-        a.Producto,
-        a.PesoLote,
-        b.LineadeMezclado,
-        b.FechaProgramada
-      FROM ProgramacionProduccion a
-      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo 
-      WHERE CAST(FechaProgramada AS DATE) BETWEEN @inicio AND @fin
-        AND ISNULL(b.LoteCompletado, 0) = 0
-        AND ISNULL(a.Cancelado, 0) = 0
-      ORDER BY Consecutivo;
-    `);
-    res.json(r.recordset);
+    const repos = await getRepos();
+    try {
+        const catalogo = await loadUnits(repos);
+        const unidad = findUnit(catalogo, req.query.unidad);
+        const respuesta = await repos.lotes.listado({ inicio, fin }, listing);
+        const enUnidad = ({ IdUnidadMedida, ...l }) => {
+            const convertir = weightConverter(lotUnit(catalogo, IdUnidadMedida), unidad, lineDecimals(unidad, l.LineadeMezclado));
+            return { ...l, PesoLote: convertir(l.PesoLote), Unidad: unidad.Abreviatura };
+        };
+        res.json(Array.isArray(respuesta) ? respuesta.map(enUnidad) : { ...respuesta, datos: respuesta.datos.map(enUnidad) });
+    } catch (e) {
+        const r = unitErrorResult(e);
+        res.status(r.status).json(r.body);
+    }
 }));
 
+// GET /unidadesdemedida/activas → [{ Identificador, UnidaddeMedida, Abreviatura, FactorKg, Decimales }]
 app.get('/unidadesdemedida/activas', asyncHandler(async (req, res) => {
-    const pool = await getPool();
-    if (!pool) return res.json([
-        { Identificador: 1, UnidaddeMedida: 'Kilogramos', Abreviatura: 'kg' },
-        { Identificador: 2, UnidaddeMedida: 'Gramos', Abreviatura: 'g' },
-        { Identificador: 3, UnidaddeMedida: 'Libras', Abreviatura: 'lb' }
-    ]);
-
-    const rows = await pool.request().query(`
-    SELECT Identificador, UnidaddeMedida, Abreviatura
-    FROM dbo.UnidadesDeMedida
-    WHERE Activo = 1
-    ORDER BY Identificador
-  `);
-    res.json(rows.recordset || []);
+    const repos = await getRepos();
+    res.json(await repos.lotes.unidadesActivas());
 }));
 
 
 
 // POST /lotesprogramados/programar → { mensaje } (201)  :contentReference[oaicite:14]{index=14}
 // POST /lotesprogramados/programar  (con unidad de medida)
+// LineadeMezclado (opcional) fija la línea de los lotes y LimpiezaPrevia programa la limpieza antes del primero.
+// Responde además `advertencias` de alérgenos (ver "Cambios de producto por alérgenos"): con LineadeMezclado se
+// revisan antes de programar (y pueden bloquear); sin ella la línea la asigna el SP y sólo se advierten después.
 app.post('/lotesprogramados/programar', asyncHandler(async (req, res) => {
     const {
         CodigoProducto,
         FechaProgramada,
-        UsuarioProgramo,
         CantidadLotes,
         PesoPorLote,
         UnidadMedidaId,   // nombre preferido desde el front
-        IdUnidadMedida    // alias aceptado
+        IdUnidadMedida,   // alias aceptado
+        LineadeMezclado = null,
+        LimpiezaPrevia = false
     } = req.body || {};
 
     // Normaliza unidad (acepta ambos nombres)
     const unidadId = Number(UnidadMedidaId ?? IdUnidadMedida);
+    const UsuarioProgramo = req.user.sub; // del token; el UsuarioProgramo del body se ignora
 
     // Validaciones mínimas (directas y sin rodeos)
-    if (!CodigoProducto || !FechaProgramada || !UsuarioProgramo ||
+    if (!CodigoProducto || !FechaProgramada ||
         !CantidadLotes || !PesoPorLote || !Number.isFinite(unidadId) || unidadId <= 0) {
         return res.status(400).json({ mensaje: '❌ Error al programar', detalle: 'Parámetros incompletos o inválidos' });
     }
+    const linea = LineadeMezclado != null ? Number(LineadeMezclado) : null;
+    if ((linea != null && (!Number.isInteger(linea) || linea <= 0)) || typeof LimpiezaPrevia !== 'boolean') {
+        return res.status(400).json({ mensaje: '❌ Error al programar', detalle: 'LineadeMezclado o LimpiezaPrevia inválidos' });
+    }
 
-    const pool = await getPool();
-    if (!pool) {
-        // Sin conexión real: simula ok para no bloquear pruebas de front
-        return res.status(201).json({ mensaje: '✅ Lotes programados correctamente (sin pool)' });
+    const repos = await getRepos();
+    if (linea != null) {
+        const destino = await repos.lineas.obtener(linea);
+        if (!destino) return res.status(400).json({ error: 'line_not_found', mensaje: `❌ No existe la línea ${linea}` });
+        if (!destino.Activo) return res.status(409).json({ error: 'line_inactive', mensaje: `❌ La línea ${destino.Nombre} está inactiva` });
     }
 
     // (Opcional pero recomendable) Valida que la unidad exista y esté activa
-    const um = await pool.request()
-        .input('Id', sql.Int, unidadId)
-        .query(`
-      SELECT 1
-      FROM dbo.UnidadesDeMedida
-      WHERE Activo = 1 AND Identificador = @Id
-    `);
-    if ((um.recordset || []).length === 0) {
+    const unidadActiva = await repos.lotes.unidadActiva(unidadId);
+    if (!unidadActiva) {
         return res.status(400).json({ mensaje: '❌ Unidad de medida inválida o inactiva' });
     }
 
-    // Ejecuta el SP con el nuevo parámetro @IdUnidadMedida
-    await pool.request()
-        .input('CodigoProducto', sql.NVarChar, String(CodigoProducto))
-        .input('FechaProgramada', sql.DateTime, new Date(FechaProgramada))
-        .input('UsuarioProgramo', sql.NVarChar, String(UsuarioProgramo))
-        .input('CantidadLotes', sql.Int, parseInt(CantidadLotes, 10))
-        .input('PesoPorLote', sql.Decimal(18, 3), Number(PesoPorLote))
-        .input('IdUnidadMedida', sql.Int, unidadId)
-        .execute('SP_ProgramarLotesProduccion');
+    // Los lotes se guardan en kg (unidad canónica): la unidad del planeador sólo es la de captura.
+    // Una unidad sin FactorKg (o un catálogo sin kg) se programa tal cual, como antes.
+    const catalogo = await loadUnits(repos);
+    const unidad = catalogo.porId.get(unidadId);
+    const kg = catalogo.canonica;
+    const enKg = !!unidad && kg.Identificador != null;
+
+    // Ejecuta el SP con el nuevo parámetro @IdUnidadMedida (y sella la versión de fórmula)
+    const programa = {
+        CodigoProducto, FechaProgramada, UsuarioProgramo, CantidadLotes,
+        PesoPorLote: enKg ? round3(convertWeight(PesoPorLote, unidad, kg)) : Number(PesoPorLote),
+        IdUnidadMedida: enKg ? kg.Identificador : unidadId,
+        LineadeMezclado: linea, LimpiezaPrevia
+    };
+
+    let advertencias = null;
+    if (linea != null) {
+        const previstos = Array.from({ length: parseInt(CantidadLotes, 10) }, (_, n) => ({
+            Consecutivo: null, Lote: null, Producto: String(CodigoProducto), LineadeMezclado: linea,
+            FechaProgramada: new Date(FechaProgramada), LimpiezaPrevia: LimpiezaPrevia && n === 0
+        }));
+        advertencias = await changeoverWarnings(repos, previstos);
+        const bloqueo = changeoverBlock(advertencias);
+        if (bloqueo) return res.status(bloqueo.status).json(bloqueo.body);
+    }
+    const lotes = await repos.lotes.programar(programa);
+    if (advertencias == null) {
+        const primero = Math.min(...lotes.map(l => Number(l.Consecutivo)));
+        advertencias = await changeoverWarnings(repos, lotes.map(l => ({
+            ...l, Consecutivo: Number(l.Consecutivo), Producto: String(CodigoProducto), LimpiezaPrevia: LimpiezaPrevia && Number(l.Consecutivo) === primero
+        })));
+    }
 
-    res.status(201).json({ mensaje: '✅ Lotes programados correctamente' });
+    publishScheduled(lotes, programa);
+    setAudit(req, 'ProgramacionProduccion', lotes.map(l => l.Consecutivo).join(','), { despues: { ...programa, lotes } });
+    res.status(201).json({ mensaje: '✅ Lotes programados correctamente', lotes, advertencias });
 }));
 
 
+// GET /lotesprogramados/eventos?desde&hasta&linea=1,2 → SSE del tablero de producción
+// Eventos: lote_programado, pesado_iniciado, ingrediente_pesado, lote_completado, lote_cancelado, lote_restaurado,
+// lote_reprogramado, pesado_corregido, lote_reabierto, pesado_parcial.
+// Reanuda desde Last-Event-ID (o ?ultimoId=) sin perder eventos.
+app.get('/lotesprogramados/eventos', asyncHandler(async (req, res) => {
+    const filtro = parseBoardFilter(req.query);
+    const ultimoId = req.header('last-event-id') ?? req.query.ultimoId ?? null;
+
+    // Mientras se reenvía el historial, los eventos nuevos esperan en cola
+    let cola = [];
+    let enviadoHasta = ultimoId != null ? Number(ultimoId) : board.ultimoId;
+    const enviar = (e) => {
+        if (e.id <= enviadoHasta) return;
+        enviadoHasta = e.id;
+        if (matchesBoardFilter(e, filtro)) send(e.tipo, e, e.id);
+    };
+    const onEvento = (e) => (cola ? cola.push(e) : enviar(e));
+    const send = openEventStream(req, res, () => board.off('evento', onEvento));
+    board.on('evento', onEvento);
+
+    // Los encabezados ya salieron: un error al leer el historial se avisa en el stream y se cierra
+    // (el cliente reintenta con su Last-Event-ID), nunca llega al middleware de errores
+    try {
+        if (ultimoId != null) {
+            const pendientes = board.since(ultimoId) ?? await boardEventsSince(ultimoId);
+            pendientes.forEach(enviar);
+        }
+    } catch (e) {
+        console.error('No se pudo reanudar el tablero:', e.message);
+        send('error', { error: e?.code === 'db_unavailable' ? 'db_unavailable' : 'server_error', mensaje: '❌ No se pudieron recuperar los eventos anteriores' });
+        return res.end();
+    }
+    cola.forEach(enviar);
+    cola = null;
+}));
+
 // GET /lotesprogramados/detallelote?consecutivo=... → { detalle, maxSecuencia }  :contentReference[oaicite:15]{index=15}
+// detalle.PesoProgramado va en ?unidad= (por defecto kg) con detalle.Unidad; si la línea ya tiene contenedores
+// (pesado por partes), detalle.Parciales y detalle.PesoAcumulado dicen cuánto lleva
 app.get('/lotesprogramados/detallelote', asyncHandler(async (req, res) => {
     const consecutivo = req.query.consecutivo ? Number(req.query.consecutivo) : null;
     if (!consecutivo) return res.status(400).json({ error: 'consecutivo_required' });
 
-    const pool = await getPool();
-    if (!pool) {
-        return res.json({
+    const repos = await getRepos();
+    try {
+        const catalogo = await loadUnits(repos);
+        const unidad = findUnit(catalogo, req.query.unidad);
+        const { detalle, maxSecuencia } = await repos.lotes.pendiente(consecutivo);
+        if (!detalle) return res.json({ detalle, maxSecuencia });
+        const lote = await repos.lotes.unidadLote(consecutivo);
+        const convertir = weightConverter(lotUnit(catalogo, lote?.IdUnidadMedida), unidad, lineDecimals(unidad, lote?.LineadeMezclado));
+        const contenedores = (await repos.pesaje.parciales(consecutivo)).filter(p => p.Secuencia === Number(detalle.Secuencia) && !p.Anulado);
+        res.json({
             detalle: {
-                Consecutivo: consecutivo,
-                ProductoTerminado: 'PT-001',
-                LotePT: 'LOT-001',
-                Ingrediente: '1',
-                NombreIngrediente: 'Azúcar; Refinado',
-                PesoProgramado: 10.5,
-                Porcentaje: 0.42,
-                Secuencia: 1,
-                DescripcionPT: 'Producto demo'
+                ...detalle, PesoProgramado: convertir(detalle.PesoProgramado), Unidad: unidad.Abreviatura,
+                Parciales: contenedores.length, PesoAcumulado: convertir(contenedores.reduce((a, p) => a + p.PesoReal, 0))
             },
-            maxSecuencia: 5
+            maxSecuencia
         });
+    } catch (e) {
+        const r = unitErrorResult(e);
+        res.status(r.status).json(r.body);
     }
+}));
 
-    // 1) Ingrediente pendiente (TOP 1 por Secuencia)
-    const det = await pool.request()
-        .input('Consecutivo', sql.BigInt, consecutivo)
-        .query(`
-      SELECT TOP 1 
-          a.Consecutivo,
-          a.Producto AS ProductoTerminado,
-          a.ID_Lot AS LotePT,
-          c.Ingrediente,
-          i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente,
-          c.PesoProgramado,
-          c.Porcentaje,
-          c.Secuencia,
-          pt.Descripcion AS DescripcionPT
-      FROM ProgramacionProduccion a
-      LEFT JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
-      LEFT JOIN ProgramacionProduccion_Detalle c ON a.Consecutivo = c.Consecutivo
-      LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
-      WHERE a.Consecutivo = @Consecutivo
-        AND c.TiempoDePesado IS NULL
-      ORDER BY c.Secuencia;
-    `);
-
-    // 2) Secuencia máxima
-    const max = await pool.request()
-        .input('Consecutivo', sql.BigInt, consecutivo)
-        .query(`SELECT MAX(Secuencia) AS maxSecuencia FROM ProgramacionProduccion_Detalle WHERE Consecutivo = @Consecutivo;`);
 
-    res.json({
-        detalle: det.recordset[0] || null,
-        maxSecuencia: max.recordset[0]?.maxSecuencia ?? 0
+// GET /lotesprogramados/{consecutivo}/registro.pdf → registro de lote (PDF) para auditoría de calidad
+app.get('/lotesprogramados/:consecutivo/registro.pdf', asyncHandler(async (req, res) => {
+    const consecutivo = Number(req.params.consecutivo);
+    if (!Number.isInteger(consecutivo) || consecutivo <= 0) {
+        return res.status(400).json({ mensaje: 'consecutivo_required' });
+    }
+
+    const repos = await getRepos();
+    const registro = await repos.lotes.registro(consecutivo);
+    if (!registro) return res.status(404).json({ mensaje: '❌ Lote no encontrado' });
+    // Con FOTOS_ALMACEN=archivo la fila sólo trae FotoHash
+    for (const l of registro.lineas) l.Foto = await photoStore.leer(l);
+    registro.correcciones = await repos.pesaje.correcciones(consecutivo);
+    registro.parciales = await repos.pesaje.parciales(consecutivo);
+
+    const pdf = await renderBatchRecord(registro);
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="registro-lote-${consecutivo}.pdf"`,
+        'Content-Length': pdf.length
     });
+    res.send(pdf);
 }));
 
+// -------------------- Cancelación / restauración --------------------
+// Toda cancelación exige Motivo (código de MOTIVOS_CANCELACION) y Comentario; queda en
+// CancelacionesLotes con usuario y fecha. Restaurar sólo aplica a lotes sin ProduccionInicio.
+const MOTIVOS_CANCELACION = {
+    error_programacion: 'Error de programación',
+    cambio_plan: 'Cambio en el plan de producción',
+    falta_material: 'Falta de materia prima',
+    pedido_cancelado: 'Pedido del cliente cancelado',
+    calidad: 'Retención por calidad',
+    mantenimiento: 'Línea en mantenimiento',
+    otro: 'Otro',
+};
+
+// { Motivo, Comentario } → { motivo, comentario } | { error }
+function readCancelReason(src) {
+    const motivo = src?.Motivo != null ? String(src.Motivo).trim() : '';
+    const comentario = src?.Comentario != null ? String(src.Comentario).trim() : '';
+    if (!MOTIVOS_CANCELACION[motivo]) {
+        return { error: `Motivo requerido; uno de: ${Object.keys(MOTIVOS_CANCELACION).join(', ')}` };
+    }
+    if (!comentario) return { error: 'Comentario requerido' };
+    return { motivo, comentario: comentario.slice(0, 500) };
+}
+
+// GET /lotesprogramados/motivos-cancelacion → [{ Codigo, Descripcion }]
+app.get('/lotesprogramados/motivos-cancelacion', (req, res) => {
+    res.json(Object.entries(MOTIVOS_CANCELACION).map(([Codigo, Descripcion]) => ({ Codigo, Descripcion })));
+});
 
-// POST /lotesprogramados/eliminar → { eliminados, rowsAffected }
+// POST /lotesprogramados/eliminar { consecutivos, Motivo, Comentario } → { eliminados, rowsAffected }
 app.post('/lotesprogramados/eliminar', asyncHandler(async (req, res) => {
     const consecutivos = Array.isArray(req.body?.consecutivos) ? req.body.consecutivos : [];
     const ids = [...new Set(consecutivos.map(n => Number(n)).filter(n => Number.isInteger(n) && n > 0))];
     if (ids.length === 0) return res.status(400).json({ mensaje: 'consecutivos_required' });
+    const razon = readCancelReason(req.body);
+    if (razon.error) return res.status(400).json({ mensaje: 'cancel_reason_required', detalle: razon.error });
 
-    const pool = await getPool();
-    if (!pool) return res.json({ eliminados: ids.length, rowsAffected: [0], mock: true });
-
-    const reqDb = pool.request();
-    const names = ids.map((id, i) => { const nm = `id${i}`; reqDb.input(nm, sql.BigInt, id); return `@${nm}`; });
-    const inList = names.join(',');
-
-    const q = `
-    UPDATE ProgramacionProduccion SET Cancelado = 1 WHERE Consecutivo IN (${inList});
-  `;
-    const r = await reqDb.query(q);
+    const repos = await getRepos();
+    const r = await repos.lotes.cancelar(ids, { ...razon, usuario: req.user.sub, origen: 'eliminar' });
+    publishCancelled(r.rows, 'eliminar', razon);
+    auditCancelled(req, r.rows.map(l => l.Consecutivo), razon);
     res.json({ eliminados: ids.length, rowsAffected: r.rowsAffected });
 }));
 
-// DELETE /lotesprogramados/:consecutivo → { ok: true }
+// DELETE /lotesprogramados/:consecutivo { Motivo, Comentario } (o ?Motivo&Comentario) → { ok: true }
 app.delete('/lotesprogramados/:consecutivo', asyncHandler(async (req, res) => {
     const consecutivo = Number(req.params.consecutivo);
     if (!Number.isInteger(consecutivo) || consecutivo <= 0) {
         return res.status(400).json({ mensaje: 'consecutivo_required' });
     }
+    const razon = readCancelReason(req.body?.Motivo != null ? req.body : req.query);
+    if (razon.error) return res.status(400).json({ mensaje: 'cancel_reason_required', detalle: razon.error });
 
-    const pool = await getPool();
-    if (!pool) return res.json({ ok: true, rowsAffected: [0], mock: true });
-
-    const r = await pool.request()
-        .input('id', sql.BigInt, consecutivo)
-        .query(`
-      UPDATE ProgramacionProduccion SET Cancelado = 1 WHERE Consecutivo = @id;
-    `);
+    const repos = await getRepos();
+    const r = await repos.lotes.cancelar([consecutivo], { ...razon, usuario: req.user.sub, origen: 'delete' });
 
+    publishCancelled(r.rows, 'delete', razon);
+    auditCancelled(req, r.rows.map(l => l.Consecutivo), razon);
     res.json({ ok: true, rowsAffected: r.rowsAffected });
 }));
 
 
-// POST /lotesprogramados/eliminar-rango → { eliminados }
+// POST /lotesprogramados/eliminar-rango { inicio, fin, Motivo, Comentario, dryRun? } → { eliminados }
+// dryRun (body o ?dryRun=1) → { dryRun: true, eliminados, consecutivos, lotes } sin cancelar nada.
 app.post('/lotesprogramados/eliminar-rango', asyncHandler(async (req, res) => {
     const inicioRaw = req.body?.inicio || req.query?.inicio;
     const finRaw = req.body?.fin || req.query?.fin;
@@ -496,402 +916,1903 @@ app.post('/lotesprogramados/eliminar-rango', asyncHandler(async (req, res) => {
     if (isNaN(inicio.getTime()) || isNaN(fin.getTime())) {
         return res.status(400).json({ mensaje: 'invalid_dates' });
     }
+    const dryRun = ['1', 'true'].includes(String(req.body?.dryRun ?? req.query?.dryRun ?? '').toLowerCase());
+    const razon = dryRun ? null : readCancelReason(req.body);
+    if (razon?.error) return res.status(400).json({ mensaje: 'cancel_reason_required', detalle: razon.error });
+
+    const repos = await getRepos();
+    if (dryRun) {
+        const lotes = await repos.lotes.cancelablesEnRango({ inicio, fin });
+        return res.json({ dryRun: true, eliminados: lotes.length, consecutivos: lotes.map(l => l.Consecutivo), lotes });
+    }
+
+    const r = await repos.lotes.cancelarRango({ inicio, fin }, { ...razon, usuario: req.user.sub, origen: 'eliminar-rango' });
+    publishCancelled(r.rows, 'eliminar-rango', razon);
+    auditCancelled(req, r.rows.map(l => l.Consecutivo), razon);
+    res.json({ eliminados: r.rowsAffected[0] || 0 });
+}));
 
-    const pool = await getPool();
-    if (!pool) return res.json({ eliminados: 0, mock: true });
+// POST /lotesprogramados/restaurar { consecutivos, Comentario? } → { restaurados: [..], omitidos: [{ Consecutivo, motivo }] }
+// Sólo lotes cancelados que no han iniciado producción; omitidos: 'no_cancelado' | 'iniciado' | 'no_existe'.
+app.post('/lotesprogramados/restaurar', asyncHandler(async (req, res) => {
+    const consecutivos = Array.isArray(req.body?.consecutivos) ? req.body.consecutivos : [];
+    const ids = [...new Set(consecutivos.map(n => Number(n)).filter(n => Number.isInteger(n) && n > 0))];
+    if (ids.length === 0) return res.status(400).json({ mensaje: 'consecutivos_required' });
+    const comentario = req.body?.Comentario != null ? String(req.body.Comentario).trim().slice(0, 500) || null : null;
 
-    const r = await pool.request()
-        .input('inicio', sql.DateTime, inicio)
-        .input('fin', sql.DateTime, fin)
-        .query(`
-      UPDATE a
-      SET a.Cancelado = 1
-      FROM ProgramacionProduccion a
-      INNER JOIN ProgramacionProduccion_Control b ON a.Consecutivo = b.Consecutivo
-      WHERE CAST(b.FechaProgramada AS DATE) BETWEEN @inicio AND @fin
-     AND ISNULL(b.LoteCompletado, 0) = 0
-        AND b.ProduccionInicio IS NULL
-        AND ISNULL(a.Cancelado, 0) = 0;
-    `);
+    const repos = await getRepos();
+    const { rows, omitidos } = await repos.lotes.restaurar(ids, { usuario: req.user.sub, comentario });
+    const restaurados = rows.map(l => Number(l.Consecutivo));
 
-    res.json({ eliminados: Array.isArray(r.rowsAffected) ? (r.rowsAffected[0] || 0) : 0 });
+    for (const row of rows) publishBoard('lote_restaurado', row);
+    setAudit(req, 'ProgramacionProduccion', restaurados.join(','), { antes: { Cancelado: true }, despues: { Cancelado: false, consecutivos: restaurados, Comentario: comentario } });
+    res.json({ restaurados, omitidos });
 }));
 
-// ============================================================
-// =================== PESAJE (PesoController) =================
-// ============================================================
-// POST /peso → registra pesado y devuelve siguiente pendiente
-app.post('/peso', asyncHandler(async (req, res) => {
-    const {
-        Consecutivo,
-        ProductoTerminado,
-        Secuencia,
-        Ingrediente,
-        Tara,
-        Peso,
-        Etiqueta,
-        FotoBase64
-    } = req.body || {};
+// GET /lotesprogramados/cancelaciones?desde&hasta&motivo → [{ Consecutivo, Lote, Producto, Motivo, Comentario, Usuario, Fecha, Origen, FechaRestauracion, UsuarioRestauro }]
+app.get('/lotesprogramados/cancelaciones', asyncHandler(async (req, res) => {
+    const { desde, hasta, motivo } = req.query;
+    if (!desde || !hasta) return res.status(400).json({ mensaje: 'desde_hasta_required' });
 
-    if (
-        Consecutivo == null || !ProductoTerminado || Secuencia == null ||
-        !Ingrediente || Tara == null || Peso == null
-    ) {
-        return res.status(400).json({ error: 'bad_request' });
+    const repos = await getRepos();
+    res.json(await repos.lotes.cancelaciones({ desde, hasta, motivo }));
+}));
+
+// GET /lotesprogramados/cancelaciones/reporte?desde&hasta&periodo=dia|semana|mes
+// → { desde, hasta, periodo, total, restaurados, porMotivo: [{ Motivo, Descripcion, Cancelados, Restaurados }],
+//     porPeriodo: [{ Periodo, Motivo, Cancelados, Restaurados }] }   (semana = lunes de la semana)
+app.get('/lotesprogramados/cancelaciones/reporte', asyncHandler(async (req, res) => {
+    const { desde, hasta } = req.query;
+    const periodo = String(req.query.periodo || 'dia');
+    if (!desde || !hasta) return res.status(400).json({ mensaje: 'desde_hasta_required' });
+    if (!['dia', 'semana', 'mes'].includes(periodo)) return res.status(400).json({ mensaje: 'periodo debe ser dia, semana o mes' });
+
+    const repos = await getRepos();
+    const porPeriodo = await repos.lotes.cancelacionesPorPeriodo({ desde, hasta }, periodo);
+
+    const motivos = new Map();
+    for (const row of porPeriodo) {
+        const m = motivos.get(row.Motivo) || { Motivo: row.Motivo, Descripcion: MOTIVOS_CANCELACION[row.Motivo] ?? row.Motivo, Cancelados: 0, Restaurados: 0 };
+        m.Cancelados += row.Cancelados;
+        m.Restaurados += row.Restaurados;
+        motivos.set(row.Motivo, m);
     }
+    const porMotivo = [...motivos.values()].sort((a, b) => b.Cancelados - a.Cancelados);
+    res.json({
+        desde: String(desde),
+        hasta: String(hasta),
+        periodo,
+        total: porMotivo.reduce((a, m) => a + m.Cancelados, 0),
+        restaurados: porMotivo.reduce((a, m) => a + m.Restaurados, 0),
+        porMotivo,
+        porPeriodo
+    });
+}));
+
+// -------------------- Reprogramación por línea y carga --------------------
+// El planeador arrastra lotes entre líneas y días; /carga es la rejilla línea × día con su ocupación.
+const MOVIMIENTOS_MAX = 200;
+const CARGA_DIAS_MAX = 62;
+const FECHA_DIA = /^\d{4}-\d{2}-\d{2}$/;
+
+const diaIso = (d) => new Date(d).toISOString().slice(0, 10);
+
+// Días YYYY-MM-DD de inicio a fin (inclusive)
+function daysBetween(inicio, fin) {
+    const dias = [];
+    for (let t = Date.parse(inicio); t <= Date.parse(fin); t += 86400000) dias.push(diaIso(t));
+    return dias;
+}
+
+// Por qué un lote ya no se puede mover → motivo | null
+function lockedReason(l) {
+    return l.Cancelado ? 'cancelado' : l.LoteCompletado ? 'completado' : l.ProduccionInicio ? 'iniciado' : null;
+}
 
-    const pool = await getPool();
-    if (!pool) {
-        return res.status(201).json({
-            ok: true, mensaje: '✅ Peso registrado', remaining: 0, completed: false, next: null, mock: true
+// POST /lotesprogramados/mover { Movimientos: [{ Consecutivo, LineadeMezclado?, FechaProgramada? (YYYY-MM-DD), LimpiezaPrevia? }] }
+//   → { mensaje, movidos: [{ Consecutivo, Lote, antes: { LineadeMezclado, FechaProgramada }, despues }], advertencias }
+// Asigna o mueve uno o varios lotes (arrastrar y soltar) de una vez: o se mueven todos o ninguno.
+// 404 lote inexistente · 409 lot_locked (cancelado, completado o ya en pesaje) · 400 line_not_found ·
+// 409 line_inactive · 409 capacity_exceeded con los días de línea que se pasarían de su capacidad ·
+// 409 allergen_conflict (sólo con ALERGENOS_MODO=bloquear; si no, van en advertencias).
+// Cambiar de día conserva la hora programada del lote.
+app.post('/lotesprogramados/mover', asyncHandler(async (req, res) => {
+    const movimientos = req.body?.Movimientos;
+    if (!Array.isArray(movimientos) || !movimientos.length || movimientos.length > MOVIMIENTOS_MAX) {
+        return res.status(400).json({ error: 'bad_request', mensaje: `Movimientos debe tener entre 1 y ${MOVIMIENTOS_MAX} elementos` });
+    }
+    const invalidos = movimientos
+        .map((m, i) => {
+            const linea = m?.LineadeMezclado;
+            const fecha = m?.FechaProgramada;
+            const ok = Number.isInteger(Number(m?.Consecutivo)) && Number(m?.Consecutivo) > 0
+                && (linea != null || fecha != null)
+                && (linea == null || (Number.isInteger(Number(linea)) && Number(linea) > 0))
+                && (fecha == null || (FECHA_DIA.test(String(fecha)) && !Number.isNaN(Date.parse(fecha))))
+                && (m.LimpiezaPrevia == null || typeof m.LimpiezaPrevia === 'boolean');
+            return ok ? null : i;
+        })
+        .filter(i => i != null);
+    if (invalidos.length) {
+        return res.status(400).json({
+            error: 'bad_request', mensaje: 'Cada movimiento requiere Consecutivo y LineadeMezclado y/o FechaProgramada (YYYY-MM-DD)', indices: invalidos
         });
     }
+    const ids = movimientos.map(m => Number(m.Consecutivo));
+    if (new Set(ids).size !== ids.length) return res.status(400).json({ error: 'bad_request', mensaje: 'Un lote aparece en más de un movimiento' });
+
+    const repos = await getRepos();
+    const lotes = new Map((await repos.lineas.lotes(ids)).map(l => [l.Consecutivo, l]));
+    const faltantes = ids.filter(id => !lotes.has(id));
+    if (faltantes.length) return res.status(404).json({ error: 'not_found', mensaje: '❌ Lote no encontrado', consecutivos: faltantes });
+    const bloqueados = ids.map(id => ({ Consecutivo: id, motivo: lockedReason(lotes.get(id)) })).filter(x => x.motivo);
+    if (bloqueados.length) {
+        return res.status(409).json({ error: 'lot_locked', mensaje: '❌ Hay lotes que ya no se pueden mover', lotes: bloqueados });
+    }
 
-    // Foto opcional
-    let fotoBytes = null;
-    if (FotoBase64) {
-        let b64 = String(FotoBase64);
-        if (b64.includes(',')) b64 = b64.substring(b64.indexOf(',') + 1);
-        try { fotoBytes = Buffer.from(b64, 'base64'); } catch { fotoBytes = null; }
+    const lineas = new Map((await repos.lineas.listado()).map(l => [l.Identificador, l]));
+    for (const m of movimientos) {
+        if (m.LineadeMezclado == null) continue;
+        const destino = lineas.get(Number(m.LineadeMezclado));
+        if (!destino) return res.status(400).json({ error: 'line_not_found', mensaje: `❌ No existe la línea ${m.LineadeMezclado}` });
+        if (!destino.Activo) return res.status(409).json({ error: 'line_inactive', mensaje: `❌ La línea ${destino.Nombre} está inactiva` });
     }
 
-    const tx = new sql.Transaction(await pool);
-    await tx.begin();
-    try {
-        // 1) Actualiza pesado
-        const rUpd = await new sql.Request(tx)
-            .input('tara', sql.Decimal(18, 12), Number(Tara))
-            .input('peso', sql.Decimal(18, 2), Number(Peso))
-            .input('etiqueta', sql.NVarChar(299), Etiqueta ?? '')
-            .input('consecutivo', sql.BigInt, Number(Consecutivo))
-            .input('productoTerminado', sql.NVarChar(40), String(ProductoTerminado).trim())
-            .input('secuencia', sql.Int, Number(Secuencia))
-            .input('ingrediente', sql.NVarChar(50), String(Ingrediente).trim())
-            .input('foto', sql.VarBinary(sql.MAX), fotoBytes ?? null)
-            .query(`
-        UPDATE ProgramacionProduccion_Detalle
-        SET 
-            TaraReal = @tara,
-            PesoReal = @peso,
-            TiempoDePesado = GETDATE(),
-            EtiquetaLeida = @etiqueta,
-            FotoEscaneo = @foto
-        WHERE 
-            Consecutivo = @consecutivo AND 
-            ProductoTerminado = @productoTerminado AND
-            Secuencia = @secuencia AND 
-            Ingrediente = @ingrediente;
-        SELECT @@ROWCOUNT AS rowsAffected;
-      `);
-
-        if (rUpd.recordset[0]?.rowsAffected === 0) {
-            await tx.rollback();
-            return res.status(404).json({ mensaje: '❌ No se encontró el registro para actualizar.' });
-        }
+    const cambios = movimientos.map(m => {
+        const l = lotes.get(Number(m.Consecutivo));
+        const antes = { LineadeMezclado: l.LineadeMezclado, FechaProgramada: new Date(l.FechaProgramada).toISOString() };
+        const fecha = m.FechaProgramada != null ? `${m.FechaProgramada}${antes.FechaProgramada.slice(10)}` : antes.FechaProgramada;
+        const despues = { LineadeMezclado: m.LineadeMezclado != null ? Number(m.LineadeMezclado) : l.LineadeMezclado, FechaProgramada: fecha };
+        return { lote: l, antes, despues, limpieza: m.LimpiezaPrevia ?? null };
+    });
 
-        // 2) Marca inicio si aplica
-        if (Number(Secuencia) === 1) {
-            await new sql.Request(tx)
-                .input('consecutivo', sql.BigInt, Number(Consecutivo))
-                .query(`
-          UPDATE ProgramacionProduccion_Control
-          SET ProduccionInicio = COALESCE(ProduccionInicio, GETDATE())
-          WHERE Consecutivo = @consecutivo;
-        `);
-        }
+    // Carga actual de los días destino, quitando los lotes que salen y sumando los que llegan
+    const destinos = [...new Set(cambios.map(c => `${c.despues.LineadeMezclado}|${diaIso(c.despues.FechaProgramada)}`))];
+    const dias = cambios.map(c => diaIso(c.despues.FechaProgramada)).sort();
+    const actual = await repos.lineas.carga({
+        inicio: dias[0], fin: dias[dias.length - 1], lineas: [...new Set(cambios.map(c => c.despues.LineadeMezclado))]
+    });
+    const carga = new Map(actual.map(c => [`${c.LineadeMezclado}|${c.Fecha}`, { Lotes: c.Lotes, Kg: c.Kg }]));
+    const celda = (linea, fecha) => {
+        const clave = `${linea}|${diaIso(fecha)}`;
+        if (!carga.has(clave)) carga.set(clave, { Lotes: 0, Kg: 0 });
+        return carga.get(clave);
+    };
+    for (const { lote, antes, despues } of cambios) {
+        const sale = celda(antes.LineadeMezclado, antes.FechaProgramada);
+        sale.Lotes -= 1;
+        sale.Kg -= lote.PesoKg;
+        const entra = celda(despues.LineadeMezclado, despues.FechaProgramada);
+        entra.Lotes += 1;
+        entra.Kg += lote.PesoKg;
+    }
+    const excedidos = destinos
+        .map(clave => {
+            const [linea, Fecha] = clave.split('|');
+            const l = lineas.get(Number(linea));
+            const capacidad = dailyCapacity(l);
+            const usada = usedCapacity(l, carga.get(clave));
+            return capacidad != null && usada > capacidad + 1e-9
+                ? { LineadeMezclado: Number(linea), Fecha, Capacidad: capacidad, UnidadCapacidad: l.UnidadCapacidad, Carga: usada }
+                : null;
+        })
+        .filter(Boolean);
+    if (excedidos.length) {
+        return res.status(409).json({ error: 'capacity_exceeded', mensaje: '❌ La reprogramación excede la capacidad de la línea', excedidos });
+    }
 
-        // 3) Pendientes
-        const rPend = await new sql.Request(tx)
-            .input('consecutivo', sql.BigInt, Number(Consecutivo))
-            .query(`
-        SELECT COUNT(*) AS c
-        FROM ProgramacionProduccion_Detalle
-        WHERE Consecutivo = @consecutivo AND TiempoDePesado IS NULL;
-      `);
-        const remaining = rPend.recordset[0]?.c ?? 0;
-
-        // 4) Finaliza lote si no quedan
-        let completed = false;
-        if (remaining === 0) {
-            await new sql.Request(tx)
-                .input('consecutivo', sql.BigInt, Number(Consecutivo))
-                .query(`
-          UPDATE ProgramacionProduccion_Control
-          SET ProduccionFinal = GETDATE(), LoteCompletado = 1
-          WHERE Consecutivo = @consecutivo;
-        `);
-            completed = true;
-        }
+    const advertencias = await changeoverWarnings(repos, cambios.map(c => ({
+        Consecutivo: c.lote.Consecutivo, Lote: c.lote.Lote, Producto: c.lote.Producto, ...c.despues, LimpiezaPrevia: c.limpieza, antes: c.antes
+    })));
+    const bloqueo = changeoverBlock(advertencias);
+    if (bloqueo) return res.status(bloqueo.status).json(bloqueo.body);
 
-        // 5) Siguiente ingrediente pendiente
-        let next = null;
-        if (!completed) {
-            const rNext = await new sql.Request(tx)
-                .input('consecutivo', sql.BigInt, Number(Consecutivo))
-                .query(`
-          SELECT TOP 1 
-              a.Consecutivo,
-              a.Producto AS ProductoTerminado,
-              a.ID_Lot   AS LotePT,
-              c.Ingrediente,
-              i.Ingrediente + '; ' + ISNULL(i.Descripcion, '') AS NombreIngrediente,
-              c.PesoProgramado,
-              c.Porcentaje,
-              c.Secuencia
-          FROM ProgramacionProduccion a
-          LEFT JOIN ProgramacionProduccion_Detalle c ON a.Consecutivo = c.Consecutivo
-          LEFT JOIN Ingredientes i ON c.Ingrediente = i.Identificador
-          WHERE a.Consecutivo = @consecutivo AND c.TiempoDePesado IS NULL
-          ORDER BY c.Secuencia;
-        `);
-            next = rNext.recordset[0] || null;
-        }
+    const r = await repos.lineas.mover(cambios.map(c => ({ Consecutivo: c.lote.Consecutivo, ...c.despues, LimpiezaPrevia: c.limpieza })));
+    if (r.error) {
+        return res.status(409).json({ error: 'lot_locked', mensaje: '❌ Hay lotes que ya no se pueden mover', lotes: [{ Consecutivo: r.Consecutivo, motivo: 'iniciado' }] });
+    }
 
-        await tx.commit();
-        return res.status(201).json({
-            ok: true,
-            mensaje: '✅ Peso registrado con éxito.',
-            remaining,
-            completed,
-            next
+    for (const { lote, antes, despues } of cambios) {
+        publishBoard('lote_reprogramado', {
+            Consecutivo: lote.Consecutivo, ...despues, Lote: lote.Lote,
+            LineaAnterior: antes.LineadeMezclado, FechaAnterior: antes.FechaProgramada
         });
-    } catch (err) {
-        await tx.rollback();
-        throw err;
     }
+    setAudit(req, 'ProgramacionProduccion_Control', ids.join(','), {
+        antes: cambios.map(c => ({ Consecutivo: c.lote.Consecutivo, ...c.antes })),
+        despues: cambios.map(c => ({ Consecutivo: c.lote.Consecutivo, ...c.despues, ...(c.limpieza != null && { LimpiezaPrevia: c.limpieza }) }))
+    });
+    res.json({
+        mensaje: '✅ Lotes reprogramados correctamente',
+        movidos: cambios.map(c => ({ Consecutivo: c.lote.Consecutivo, Lote: c.lote.Lote, antes: c.antes, despues: c.despues })),
+        advertencias
+    });
 }));
 
-// ============================================================
-// =====  PRODUCTOS TERMINADOS (ProductosTerminadosController) =
-// ============================================================
-// POST api/ProductosTerminados/nuevo → { mensaje } (201)  :contentReference[oaicite:17]{index=17}
-app.post('/api/ProductosTerminados/nuevo', asyncHandler(async (req, res) => {
-    const data = req.body || {};
-    const { Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes } = data;
-    if (!Codigo || !Descripcion || (ClienteId == null) || !NombreCliente || !Array.isArray(Ingredientes)) {
-        return res.status(400).json({ mensaje: 'Error al guardar', detalle: 'Parámetros incompletos' });
+// GET /lotesprogramados/carga?inicio&fin&linea=1,2
+//   → [{ LineadeMezclado, Nombre, Fecha, Lotes, Kg, Capacidad, UnidadCapacidad, TurnosPorDia, CapacidadDia, Ocupacion, Excedido }]
+// Una fila por línea (activas y las que tengan lotes) y día del rango, aunque esté vacío. Kg en kg; Ocupacion (%)
+// en la unidad de capacidad de la línea; sin capacidad → CapacidadDia/Ocupacion null. Cancelados no cuentan.
+app.get('/lotesprogramados/carga', asyncHandler(async (req, res) => {
+    const { inicio, fin } = req.query;
+    if (!FECHA_DIA.test(String(inicio ?? '')) || !FECHA_DIA.test(String(fin ?? '')) || Number.isNaN(Date.parse(inicio)) || Number.isNaN(Date.parse(fin))) {
+        return res.status(400).json({ error: 'params_required', mensaje: 'inicio y fin requeridos (YYYY-MM-DD)' });
     }
-
-    const pool = await getPool();
-    if (!pool) return res.status(201).json({ mensaje: 'Producto registrado correctamente' });
-
-    const tx = new sql.Transaction(await pool);
-    await tx.begin();
-    try {
-        const reqH = new sql.Request(tx);
-        await reqH
-            .input('Codigo', sql.NVarChar, Codigo)
-            .input('Descripcion', sql.NVarChar, Descripcion)
-            .input('ClienteId', sql.Int, Number(ClienteId))
-            .input('NombreCliente', sql.NVarChar, NombreCliente)
-            .query(`
-        INSERT INTO ProductosTerminados (CodigoProducto, Descripcion, Cliente, NombreCliente, FechaCreacion, UsuarioCreador, Activo)
-        VALUES (@Codigo, @Descripcion, @ClienteId, @NombreCliente, GETDATE(), 'sistema', 1);
-      `);
-
-        let num = 1;
-        for (const ing of Ingredientes) {
-            const rqd = new sql.Request(tx);
-            await rqd
-                .input('CodigoProducto', sql.NVarChar, Codigo)
-                .input('Num', sql.Int, num++)
-                .input('Ingrediente', sql.NVarChar, String(ing.Clave))
-                .input('Porcentaje', sql.Decimal(18, 5), String(ing.Porcentaje)) // ← solo precisión/valor
-                .input('Comentario', sql.NVarChar, ing.Comentario ?? null)
-                .query(`
-          INSERT INTO ProductosTerminados_Detalle (CodigoProducto, NumIngrediente, Ingrediente, Porcentaje, Comentario)
-          VALUES (@CodigoProducto, @Num, @Ingrediente, @Porcentaje, @Comentario);
-        `);
+    const dias = daysBetween(inicio, fin);
+    if (!dias.length || dias.length > CARGA_DIAS_MAX) {
+        return res.status(400).json({ error: 'bad_request', mensaje: `El rango debe tener entre 1 y ${CARGA_DIAS_MAX} días` });
+    }
+    const { lineas: filtro } = parseBoardFilter(req.query);
+
+    const repos = await getRepos();
+    const [lineas, carga] = await Promise.all([repos.lineas.listado(), repos.lineas.carga({ inicio, fin, lineas: filtro })]);
+    const porLinea = new Map(lineas.map(l => [l.Identificador, l]));
+    const ids = new Set([
+        ...lineas.filter(l => l.Activo).map(l => l.Identificador),
+        ...carga.map(c => c.LineadeMezclado).filter(n => n != null)
+    ]);
+    const celdas = new Map(carga.map(c => [`${c.LineadeMezclado}|${c.Fecha}`, c]));
+
+    const filas = [];
+    for (const id of [...ids].filter(n => !filtro || filtro.includes(n)).sort((a, b) => a - b)) {
+        const l = porLinea.get(id) ?? null;
+        const capacidad = dailyCapacity(l);
+        for (const Fecha of dias) {
+            const c = celdas.get(`${id}|${Fecha}`) ?? { Lotes: 0, Kg: 0 };
+            const usada = usedCapacity(l, c);
+            filas.push({
+                LineadeMezclado: id, Nombre: l?.Nombre ?? null, Fecha, Lotes: c.Lotes, Kg: round3(c.Kg),
+                Capacidad: l?.Capacidad ?? null, UnidadCapacidad: l?.UnidadCapacidad ?? null, TurnosPorDia: l?.TurnosPorDia ?? null,
+                CapacidadDia: capacidad,
+                Ocupacion: capacidad != null ? Math.round(usada / capacidad * 1000) / 10 : null,
+                Excedido: capacidad != null && usada > capacidad + 1e-9
+            });
         }
-
-        await tx.commit();
-        res.status(201).json({ mensaje: 'Producto registrado correctamente' });
-    } catch (err) {
-        await tx.rollback();
-        throw err;
     }
+    res.json(filas);
 }));
 
-// PUT api/ProductosTerminados/editar/{codigo} → { mensaje }  :contentReference[oaicite:18]{index=18}
-app.put('/api/ProductosTerminados/editar/:codigo', asyncHandler(async (req, res) => {
-    const codigo = String(req.params.codigo);
-    const data = req.body || {};
-    const { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes } = data;
-    if (!Descripcion || (ClienteId == null) || !NombreCliente || typeof Activo !== 'boolean' || !Array.isArray(Ingredientes)) {
-        return res.status(400).json({ mensaje: 'Error al actualizar', detalle: 'Parámetros incompletos' });
-    }
+// -------------------- Cambios de producto por alérgenos (allergens.js) --------------------
+// Un lote que sigue a otro en la misma línea y día con un perfil incompatible necesita LimpiezaPrevia.
+// programar y mover responden con `advertencias` (los cambios sin limpieza que ellos mismos crean); con
+// ALERGENOS_MODO=bloquear responden 409 allergen_conflict y no escriben nada.
+
+// Lotes → mismos lotes con Perfil: el de su receta sellada o, si aún no existen (Consecutivo null), el de su producto
+async function withProfiles(repos, lotes) {
+    const existentes = [...new Set(lotes.filter(l => l.Consecutivo != null).map(l => l.Consecutivo))];
+    const productos = [...new Set(lotes.filter(l => l.Consecutivo == null).map(l => String(l.Producto)))];
+    const [porLote, porProducto] = await Promise.all([
+        repos.alergenos.ingredientesLotes(existentes).then(f => profiles(f, 'Consecutivo')),
+        repos.alergenos.recetas(productos).then(f => profiles(f, 'CodigoProducto')),
+    ]);
+    return lotes.map(l => ({
+        ...l, Perfil: (l.Consecutivo != null ? porLote.get(l.Consecutivo) : porProducto.get(String(l.Producto))) ?? EMPTY_PROFILE
+    }));
+}
 
-    const pool = await getPool();
-    if (!pool) return res.json({ mensaje: 'Producto actualizado correctamente' });
+const loteRef = (l) => ({ Consecutivo: l.Consecutivo ?? null, Lote: l.Lote ?? null, Producto: l.Producto ?? null });
 
-    const tx = new sql.Transaction(await pool);
-    await tx.begin();
-    try {
-        await new sql.Request(tx)
-            .input('Codigo', sql.NVarChar, codigo)
-            .input('Descripcion', sql.NVarChar, Descripcion)
-            .input('ClienteId', sql.Int, Number(ClienteId))
-            .input('NombreCliente', sql.NVarChar, NombreCliente)
-            .input('Activo', sql.Int, Activo ? 1 : 0)
-            .query(`
-        UPDATE ProductosTerminados
-        SET Descripcion = @Descripcion,
-            Cliente = @ClienteId,
-            NombreCliente = @NombreCliente,
-            Activo = @Activo
-        WHERE CodigoProducto = @Codigo;
-      `);
-
-        await new sql.Request(tx)
-            .input('Codigo', sql.NVarChar, codigo)
-            .query(`DELETE FROM ProductosTerminados_Detalle WHERE CodigoProducto = @Codigo;`);
-
-        let num = 1;
-        for (const ing of Ingredientes) {
-            await new sql.Request(tx)
-                .input('CodigoProducto', sql.NVarChar, codigo)
-                .input('Num', sql.Int, num++)
-                .input('Ingrediente', sql.NVarChar, String(ing.Clave))
-                .input('Porcentaje', sql.Decimal(18, 5), String(ing.Porcentaje)) // ← solo precisión/valor
-                .input('Comentario', sql.NVarChar, ing.Comentario ?? null)
-                .query(`
-          INSERT INTO ProductosTerminados_Detalle (CodigoProducto, NumIngrediente, Ingrediente, Porcentaje, Comentario)
-          VALUES (@CodigoProducto, @Num, @Ingrediente, @Porcentaje, @Comentario);
-        `);
+function changeoverRecord(c) {
+    return {
+        LineadeMezclado: c.Siguiente.LineadeMezclado, Fecha: diaIso(c.Siguiente.FechaProgramada),
+        Anterior: loteRef(c.Anterior), Siguiente: loteRef(c.Siguiente), Alergenos: c.Alergenos, Atributos: c.Atributos
+    };
+}
+
+// Cambios incompatibles sin limpieza que aparecen en las celdas (línea × día) que tocan los `cambios`
+//   cambio = { Consecutivo (null = aún no existe), Lote, Producto, LineadeMezclado, FechaProgramada,
+//              LimpiezaPrevia (null = la que ya tiene), antes? { LineadeMezclado, FechaProgramada } (sólo al mover) }
+// Un cambio con Consecutivo y sin `antes` es un lote recién creado: no cuenta en la situación anterior.
+async function changeoverWarnings(repos, cambios) {
+    const celdas = new Set(cambios
+        .flatMap(c => [c, c.antes].filter(x => x?.LineadeMezclado != null))
+        .map(x => cellKey(x.LineadeMezclado, x.FechaProgramada)));
+    if (!celdas.size) return [];
+    const dias = [...celdas].map(k => k.split('|')[1]).sort();
+    const lineas = [...new Set([...celdas].map(k => Number(k.split('|')[0])))];
+    const actuales = (await repos.alergenos.lotes({ inicio: dias[0], fin: dias[dias.length - 1], lineas }))
+        .filter(l => celdas.has(cellKey(l.LineadeMezclado, l.FechaProgramada)));
+
+    const porId = new Map(actuales.map(l => [l.Consecutivo, l]));
+    const cambiados = new Set(cambios.filter(c => c.Consecutivo != null).map(c => c.Consecutivo));
+    const nuevos = new Set(cambios.filter(c => c.Consecutivo != null && !c.antes).map(c => c.Consecutivo));
+    const movidos = cambios
+        .filter(c => c.LineadeMezclado != null)
+        .map((c, i) => {
+            const { antes, ...lote } = c;
+            const actual = porId.get(c.Consecutivo);
+            return { ...actual, ...lote, Clave: c.Consecutivo ?? `nuevo-${i}`, LimpiezaPrevia: c.LimpiezaPrevia ?? actual?.LimpiezaPrevia ?? false };
+        });
+    const conClave = (l) => ({ ...l, Clave: l.Consecutivo });
+    const [previos, siguientes] = await Promise.all([
+        withProfiles(repos, actuales.filter(l => !nuevos.has(l.Consecutivo)).map(conClave)),
+        withProfiles(repos, [...actuales.filter(l => !cambiados.has(l.Consecutivo)).map(conClave), ...movidos]),
+    ]);
+
+    const par = (c) => `${c.Anterior.Clave}>${c.Siguiente.Clave}`;
+    const sinLimpieza = (lotes) => [...groupCells(lotes).values()].flatMap(sequenceChangeovers).filter(c => !c.Limpieza);
+    const existian = new Set(sinLimpieza(previos).map(par));
+    return sinLimpieza(siguientes).filter(c => !existian.has(par(c))).map(changeoverRecord);
+}
+
+// advertencias → null si se puede escribir; si no { status: 409, body } (ALERGENOS_MODO=bloquear)
+function changeoverBlock(advertencias) {
+    if (!advertencias.length || MODO_ALERGENOS !== 'bloquear') return null;
+    return {
+        status: 409,
+        body: {
+            error: 'allergen_conflict', conflictos: advertencias,
+            mensaje: '❌ Hay lotes que seguirían a un perfil de alérgenos incompatible en la misma línea sin limpieza (LimpiezaPrevia)'
         }
+    };
+}
 
-        await tx.commit();
-        res.json({ mensaje: 'Producto actualizado correctamente' });
-    } catch (err) {
-        await tx.rollback();
-        throw err;
+// PUT /lotesprogramados/:consecutivo/limpieza { LimpiezaPrevia: boolean } → { mensaje, Consecutivo, LimpiezaPrevia }
+// Programa (o quita) la limpieza de la línea antes del lote. 409 lot_locked si ya empezó, se completó o se canceló.
+app.put('/lotesprogramados/:consecutivo/limpieza', asyncHandler(async (req, res) => {
+    const consecutivo = Number(req.params.consecutivo);
+    const valor = req.body?.LimpiezaPrevia;
+    if (!Number.isInteger(consecutivo) || consecutivo <= 0 || typeof valor !== 'boolean') {
+        return res.status(400).json({ error: 'bad_request', mensaje: 'Consecutivo y LimpiezaPrevia (true/false) requeridos' });
     }
-}));
 
-// GET api/ProductosTerminados/listado → lista con filtros  :contentReference[oaicite:19]{index=19}
-app.get('/api/ProductosTerminados/listado', asyncHandler(async (req, res) => {
-    const { codigo = null, cliente = null, nombreCliente = null, activo = null } = req.query;
-    const pool = await getPool();
-    if (!pool) {
-        return res.json([{
-            CodigoProducto: 'PT-001',
-            Descripcion: 'Demo',
-            NombreCliente: 'Cliente X',
-            Cliente: 'Cliente X (tabla)',
-            ClienteId: 1,
-            FechaCreacion: new Date().toISOString(),
-            Activo: 1
-        }]);
-    }
-    const r = await pool.request()
-        .input('codigo', sql.NVarChar, codigo ? `%${String(codigo)}%` : null)
-        .input('cliente', sql.NVarChar, cliente ? `%${String(cliente)}%` : null)
-        .input('nombreCliente', sql.NVarChar, nombreCliente ? `%${String(nombreCliente)}%` : null)
-        .input('activo', sql.Int, (activo && String(activo) !== 'todos') ? Number(activo) : null)
-        .query(`
-      SELECT 
-        pt.CodigoProducto AS CodigoProducto, 
-        pt.Descripcion AS Descripcion, 
-        pt.NombreCliente AS NombreCliente,
-        c.Cliente AS Cliente,
-        pt.Cliente AS ClienteId,
-        pt.FechaCreacion AS FechaCreacion,
-        pt.Activo AS Activo
-      FROM ProductosTerminados pt
-      LEFT JOIN Clientes c ON pt.Cliente = c.Identificador
-      WHERE 1=1
-        AND (@codigo IS NULL OR pt.CodigoProducto LIKE @codigo)
-        AND (@cliente IS NULL OR c.Cliente LIKE @cliente)
-        AND (@nombreCliente IS NULL OR pt.NombreCliente LIKE @nombreCliente)
-        AND (@activo IS NULL OR pt.Activo = @activo)
-    `);
-    res.json(r.recordset);
-}));
+    const repos = await getRepos();
+    const [lote] = await repos.lineas.lotes([consecutivo]);
+    if (!lote) return res.status(404).json({ error: 'not_found', mensaje: '❌ Lote no encontrado' });
+    const motivo = lockedReason(lote);
+    if (motivo) return res.status(409).json({ error: 'lot_locked', mensaje: '❌ El lote ya no se puede modificar', lotes: [{ Consecutivo: consecutivo, motivo }] });
 
-// GET api/ProductosTerminados/detalle/{codigo} → detalle ingredientes  :contentReference[oaicite:20]{index=20}
-app.get('/api/ProductosTerminados/detalle/:codigo', asyncHandler(async (req, res) => {
-    const codigo = String(req.params.codigo);
-    const pool = await getPool();
-    if (!pool) {
-        return res.json([{ Clave: '1', Nombre: 'Azúcar', Porcentaje: '50.00000', Comentario: '' }]);
-    }
-    const r = await pool.request()
-        .input('codigo', sql.NVarChar, codigo)
-        .query(`
-      SELECT 
-        pd.Ingrediente AS Clave,
-        i.Ingrediente AS Nombre,
-        CONVERT(VARCHAR(32), CONVERT(DECIMAL(18,5), pd.Porcentaje)) AS Porcentaje,
-        ISNULL(pd.Comentario, '') AS Comentario
-      FROM ProductosTerminados_Detalle pd
-      LEFT JOIN Ingredientes i ON pd.Ingrediente = i.Identificador
-      WHERE pd.CodigoProducto = @codigo
-      ORDER BY pd.NumIngrediente;
-    `);
-    res.json(r.recordset);
+    const cambio = await repos.alergenos.limpieza(consecutivo, valor);
+    setAudit(req, 'ProgramacionProduccion_Control', consecutivo, cambio);
+    res.json({ mensaje: valor ? '✅ Limpieza programada' : '✅ Limpieza retirada', Consecutivo: consecutivo, LimpiezaPrevia: valor });
 }));
 
-// GET api/ProductosTerminados/existecodigo?codigo=... → boolean  :contentReference[oaicite:21]{index=21}
-app.get('/api/ProductosTerminados/existecodigo', asyncHandler(async (req, res) => {
-    const { codigo } = req.query;
-    if (!codigo) return res.status(400).json({ mensaje: 'Error al verificar código' });
-    const pool = await getPool();
-    if (!pool) return res.json(true);
-    const r = await pool.request()
-        .input('codigo', sql.NVarChar, String(codigo))
-        .query(`SELECT COUNT(*) AS c FROM ProductosTerminados WHERE CodigoProducto = @codigo;`);
-    res.json(r.recordset[0].c > 0);
+// GET /lotesprogramados/secuencia?fecha=YYYY-MM-DD&linea=1,2
+//   → [{ LineadeMezclado, Nombre, Fecha, Actual: { Lotes, Cambios, SinLimpieza }, Recomendada: { Lotes, Limpiezas } }]
+// Lotes = [{ Consecutivo, Lote, Producto, Alergenos, Atributos, LimpiezaPrevia, Fijo, Cambio }] en orden de producción;
+// Cambio = { Alergenos, Atributos } frente al lote anterior (null si es compatible). Los lotes ya iniciados o
+// completados (Fijo) no se reordenan. La recomendación no se aplica: se mueve con /mover y /limpieza.
+app.get('/lotesprogramados/secuencia', asyncHandler(async (req, res) => {
+    const { fecha } = req.query;
+    if (!FECHA_DIA.test(String(fecha ?? '')) || Number.isNaN(Date.parse(fecha))) {
+        return res.status(400).json({ error: 'params_required', mensaje: 'fecha requerida (YYYY-MM-DD)' });
+    }
+    const { lineas: filtro } = parseBoardFilter(req.query);
+
+    const repos = await getRepos();
+    const [lineas, lotes] = await Promise.all([repos.lineas.listado(), repos.alergenos.lotes({ inicio: fecha, fin: fecha, lineas: filtro })]);
+    const nombres = new Map(lineas.map(l => [l.Identificador, l.Nombre]));
+    const conPerfil = (await withProfiles(repos, lotes.filter(l => l.LineadeMezclado != null)))
+        .map(l => ({ ...l, Fijo: !!(l.ProduccionInicio || l.LoteCompletado) }));
+
+    const salida = (secuencia) => secuencia.map((l, i) => ({
+        Consecutivo: l.Consecutivo, Lote: l.Lote, Producto: l.Producto, Alergenos: l.Perfil.Alergenos, Atributos: l.Perfil.Atributos,
+        LimpiezaPrevia: !!l.LimpiezaPrevia, Fijo: l.Fijo, Cambio: i ? changeover(secuencia[i - 1].Perfil, l.Perfil) : null
+    }));
+    res.json([...groupCells(conPerfil).values()].map(actual => {
+        const cambios = sequenceChangeovers(actual);
+        const recomendada = recommendSequence(actual);
+        return {
+            LineadeMezclado: actual[0].LineadeMezclado, Nombre: nombres.get(actual[0].LineadeMezclado) ?? null, Fecha: fecha,
+            Actual: { Lotes: salida(actual), Cambios: cambios.length, SinLimpieza: cambios.filter(c => !c.Limpieza).length },
+            Recomendada: { Lotes: salida(recomendada), Limpiezas: recomendada.filter(l => l.LimpiezaPrevia && !l.Fijo).length }
+        };
+    }).sort((a, b) => a.LineadeMezclado - b.LineadeMezclado));
 }));
 
 // ============================================================
-// ====================== LOGIN (LoginController) =============
+// =====================  BASCULAS (por línea)  ===============
 // ============================================================
-// POST /login → { Nombre, Correo, PlanActivo } (BCrypt)  :contentReference[oaicite:22]{index=22}
-app.post('/login', asyncHandler(async (req, res) => {
-    const body = req.body || {};
-    const Username = body.Username ?? body.username;
-    const Password = body.Password ?? body.password;
-    if (!Username || !Password) return res.status(400).json({ error: 'bad_request' });
-
-    const pool = await getPool();
-    if (!pool) {
-        // MOCK sencillo
-        const ok = Username === 'demo' && Password === 'demo';
-        if (!ok) return res.status(401).json({ mensaje: '❌ Usuario o contraseña incorrectos' });
-        return res.json({ Nombre: 'Demo', Correo: 'demo@example.com', PlanActivo: true });
-    }
-
-    const r = await pool.request()
-        .input('username', sql.NVarChar, String(Username))
-        .query(`SELECT Nombre, Correo, PasswordHash, PlanActivo FROM Usuarios WHERE Username = @username;`);
-
-    if (!r.recordset.length) {
-        return res.status(401).json({ mensaje: '❌ Usuario o contraseña incorrectos' });
-    }
+// Configuración en tabla Basculas (repos/basculas.js); sólo DB_BACKEND=memoria trae básculas simuladas (fixtures).
+async function loadScaleConfig() {
+    const repos = await getRepos();
+    return repos.basculas.activas();
+}
 
-    const row = r.recordset[0];
-    let bcrypt = null;
+async function reloadScales() {
     try {
-        ({ default: bcrypt } = await import('bcryptjs'));
+        scales.configure(await loadScaleConfig());
     } catch (e) {
-        return res.status(500).json({
-            error: 'server_setup_error',
-            detalle: 'bcryptjs no instalado; agréguelo para validar contraseñas'
-        });
+        console.error('No se pudo cargar la configuración de básculas:', e.message);
     }
+}
 
-    const ok = await bcrypt.compare(String(Password), String(row.PasswordHash));
-    if (!ok) return res.status(401).json({ mensaje: '❌ Usuario o contraseña incorrectos' });
+// Valida la configuración de una báscula → mensaje de error o null
+function validateScaleConfig(b) {
+    if (!b?.Nombre || b.LineadeMezclado == null) return 'Nombre y LineadeMezclado son requeridos';
+    if (!PROTOCOLOS.includes(b.Protocolo)) return `Protocolo debe ser uno de: ${PROTOCOLOS.join(', ')}`;
+    if (!TRANSPORTES.includes(b.Transporte)) return `Transporte debe ser uno de: ${TRANSPORTES.join(', ')}`;
+    if (b.Transporte === 'tcp' && (!b.Host || !Number(b.Puerto))) return 'Transporte tcp requiere Host y Puerto';
+    if (b.Transporte === 'serial' && !b.RutaSerial) return 'Transporte serial requiere RutaSerial';
+    if (b.Resolucion != null && !(Number(b.Resolucion) > 0)) return 'Resolucion debe ser > 0';
+    return null;
+}
 
-    res.json({
-        Nombre: row.Nombre,
-        Correo: row.Correo,
-        PlanActivo: !!row.PlanActivo
+function scaleOr404(req, res) {
+    const scale = scales.get(req.params.id);
+    if (!scale) res.status(404).json({ mensaje: '❌ Báscula no encontrada' });
+    return scale;
+}
+
+// Traduce ScaleError a respuesta HTTP
+function scaleErrorResponse(res, e) {
+    if (!(e instanceof ScaleError)) throw e;
+    const status = e.code === 'not_supported' ? 400 : e.code === 'scale_unstable' ? 408 : 503;
+    return res.status(status).json({ error: e.code, mensaje: `❌ ${e.message}` });
+}
+
+// GET /basculas → [{ Id, Nombre, LineadeMezclado, Protocolo, Transporte, Resolucion, conectada, error, lectura }]
+app.get('/basculas', (req, res) => {
+    res.json(scales.list());
+});
+
+// GET /basculas/stream?linea&soloEstables=true → SSE 'lectura' de todas las básculas
+app.get('/basculas/stream', (req, res) => {
+    const linea = req.query.linea != null ? Number(req.query.linea) : null;
+    const soloEstables = String(req.query.soloEstables) === 'true';
+    const onLectura = (l) => {
+        if (soloEstables && !l.estable) return;
+        if (linea != null && Number(scales.get(l.basculaId)?.cfg.LineadeMezclado) !== linea) return;
+        send('lectura', l);
+    };
+    const send = openEventStream(req, res, () => scales.off('lectura', onLectura));
+    scales.on('lectura', onLectura);
+});
+
+// GET /basculas/{id}/lectura → última lectura
+app.get('/basculas/:id/lectura', (req, res) => {
+    const scale = scaleOr404(req, res);
+    if (!scale) return;
+    if (!scale.ultima) return res.status(503).json({ error: 'scale_offline', mensaje: '❌ Báscula sin lecturas' });
+    res.json(scale.ultima);
+});
+
+// GET /basculas/{id}/stream?soloEstables=true → SSE 'lectura' de una báscula
+app.get('/basculas/:id/stream', (req, res) => {
+    const scale = scaleOr404(req, res);
+    if (!scale) return;
+    const soloEstables = String(req.query.soloEstables) === 'true';
+    const onLectura = (l) => {
+        if (!soloEstables || l.estable) send('lectura', l);
+    };
+    const send = openEventStream(req, res, () => scale.off('lectura', onLectura));
+    if (scale.ultima) send('lectura', scale.ultima);
+    scale.on('lectura', onLectura);
+});
+
+// POST /basculas/{id}/tara | /cero → { ok }
+app.post('/basculas/:id/tara', (req, res) => {
+    const scale = scaleOr404(req, res);
+    if (!scale) return;
+    try { scale.tare(); } catch (e) { return scaleErrorResponse(res, e); }
+    res.json({ ok: true });
+});
+
+app.post('/basculas/:id/cero', (req, res) => {
+    const scale = scaleOr404(req, res);
+    if (!scale) return;
+    try { scale.zero(); } catch (e) { return scaleErrorResponse(res, e); }
+    res.json({ ok: true });
+});
+
+// POST /basculas/{id}/simulador { Peso } (admin) → { ok } (sólo básculas simuladas: coloca carga bruta)
+app.post('/basculas/:id/simulador', (req, res) => {
+    const scale = scaleOr404(req, res);
+    if (!scale) return;
+    const peso = Number(req.body?.Peso);
+    if (!Number.isFinite(peso)) return res.status(400).json({ error: 'bad_request' });
+    try { scale.simulate(peso); } catch (e) { return scaleErrorResponse(res, e); }
+    res.json({ ok: true });
+});
+
+// POST /basculas (admin) → { mensaje, id } (201)
+app.post('/basculas', requireRole('admin'), asyncHandler(async (req, res) => {
+    const b = req.body || {};
+    const error = validateScaleConfig(b);
+    if (error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error });
+
+    const repos = await getRepos();
+    const bascula = readScaleConfig(b);
+    const id = await repos.basculas.crear(bascula);
+    await reloadScales();
+    setAudit(req, 'Basculas', id, { despues: bascula });
+    res.status(201).json({ mensaje: 'Báscula registrada correctamente', id });
+}));
+
+// PUT /basculas/{id} (admin) → { mensaje }; 404 si no existe
+app.put('/basculas/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const b = req.body || {};
+    const error = validateScaleConfig(b);
+    if (error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: error });
+
+    const repos = await getRepos();
+    const antes = await repos.basculas.obtener(Number(req.params.id));
+    if (!antes) return res.status(404).json({ mensaje: '❌ Báscula no encontrada' });
+    const { Id, ...anterior } = antes;
+    const bascula = readScaleConfig(b);
+    await repos.basculas.actualizar(Id, bascula);
+    await reloadScales();
+    setAudit(req, 'Basculas', Id, { antes: anterior, despues: bascula });
+    res.json({ mensaje: 'Báscula actualizada correctamente' });
+}));
+
+// Cuerpo ya validado → columnas de Basculas con sus valores por omisión
+function readScaleConfig(b) {
+    return {
+        Nombre: String(b.Nombre),
+        LineadeMezclado: Number(b.LineadeMezclado),
+        Protocolo: b.Protocolo,
+        Transporte: b.Transporte,
+        Host: b.Host ?? null,
+        Puerto: b.Puerto != null ? Number(b.Puerto) : null,
+        RutaSerial: b.RutaSerial ?? null,
+        Baudios: b.Baudios != null ? Number(b.Baudios) : null,
+        Unidad: b.Unidad ?? 'kg',
+        Resolucion: b.Resolucion != null ? Number(b.Resolucion) : 0.001,
+        Activo: b.Activo !== false
+    };
+}
+
+// Toma la lectura estable de la báscula indicada o de la línea del lote → { lectura } | { status, body }
+async function captureScaleReading(repos, { basculaId, consecutivo }) {
+    let scale = basculaId != null ? scales.get(basculaId) : null;
+    if (!scale && basculaId == null) {
+        const linea = await repos.lotes.linea(Number(consecutivo));
+        scale = linea != null ? scales.forLine(linea) : null;
+    }
+    if (!scale) return { status: 404, body: { error: 'scale_not_found', mensaje: '❌ No hay báscula configurada para el lote' } };
+
+    try {
+        const lectura = await scale.waitStable(Number(process.env.BASCULA_CAPTURA_TIMEOUT_MS || 5000));
+        if (lectura.unidad !== 'kg') {
+            return { status: 409, body: { error: 'scale_unit_mismatch', mensaje: `❌ La báscula reporta ${lectura.unidad}; se esperaba kg` } };
+        }
+        return { lectura };
+    } catch (e) {
+        if (!(e instanceof ScaleError)) throw e;
+        return { status: 408, body: { error: e.code, mensaje: `❌ ${e.message}` } };
+    }
+}
+
+// ============================================================
+// ========= ESTACIONES (bloqueo de lotes por estación) =======
+// ============================================================
+// Una estación (tableta) reclama el lote antes de pesarlo y /peso rechaza a quien no tenga el
+// bloqueo (misma Estacion y mismo usuario). El bloqueo vence a los BLOQUEO_LOTE_SEGUNDOS sin
+// latido; vencido sigue siendo de su estación (y de su cola fuera de línea) hasta que otra lo
+// reclame. Un supervisor (quality) puede tomarlo aunque esté vigente. Al completar el lote se libera.
+const BLOQUEO_SEGUNDOS = Number(process.env.BLOQUEO_LOTE_SEGUNDOS || 120);
+
+function holdsLease(bloqueo, { estacion, usuario }) {
+    return !!bloqueo && bloqueo.Estacion === estacion && bloqueo.Usuario === usuario;
+}
+
+// { Consecutivo, Estacion } del body → { consecutivo, estacion } | null
+function readLeaseRequest(body) {
+    const { Consecutivo, Estacion } = body || {};
+    const consecutivo = Number(Consecutivo);
+    const estacion = String(Estacion ?? '').trim().slice(0, 50);
+    if (!Number.isInteger(consecutivo) || consecutivo <= 0 || !estacion) return null;
+    return { consecutivo, estacion };
+}
+
+// Errores de repos.estaciones.reclamar → { status, body }
+function leaseError(r) {
+    if (r.error === 'not_found') return { status: 404, body: { error: 'not_found', mensaje: '❌ Lote no encontrado' } };
+    if (r.error === 'closed') return { status: 409, body: { error: 'lot_closed', mensaje: '❌ El lote está completado o cancelado' } };
+    return {
+        status: 409,
+        body: { error: 'lease_held', mensaje: `❌ El lote lo tiene la estación ${r.bloqueo.Estacion} (${r.bloqueo.Usuario})`, bloqueo: r.bloqueo }
+    };
+}
+
+// POST /estaciones/reclamar { Consecutivo, Estacion } → { mensaje, bloqueo, segundos }
+// Libre, vencido o ya propio (renueva) → se asigna; vigente de otra estación → 409 lease_held
+app.post('/estaciones/reclamar', asyncHandler(async (req, res) => {
+    const pedido = readLeaseRequest(req.body);
+    if (!pedido) return res.status(400).json({ error: 'bad_request', mensaje: 'Consecutivo y Estacion requeridos' });
+
+    const repos = await getRepos();
+    const r = await repos.estaciones.reclamar({ ...pedido, usuario: req.user.sub, segundos: BLOQUEO_SEGUNDOS });
+    if (r.error) {
+        const e = leaseError(r);
+        return res.status(e.status).json(e.body);
+    }
+    setAudit(req, 'BloqueosLotes', pedido.consecutivo, { antes: r.anterior, despues: r.bloqueo });
+    res.json({ mensaje: '✅ Lote asignado a la estación', bloqueo: r.bloqueo, segundos: BLOQUEO_SEGUNDOS });
+}));
+
+// POST /estaciones/latido { Consecutivo, Estacion } → { bloqueo, segundos } | 409 lease_lost (lo tomó otra estación)
+// La tableta lo envía mientras tenga el lote abierto (cada segundos / 2 o antes).
+app.post('/estaciones/latido', asyncHandler(async (req, res) => {
+    skipAudit(req);
+    const pedido = readLeaseRequest(req.body);
+    if (!pedido) return res.status(400).json({ error: 'bad_request', mensaje: 'Consecutivo y Estacion requeridos' });
+
+    const repos = await getRepos();
+    const bloqueo = await repos.estaciones.latido({ ...pedido, usuario: req.user.sub, segundos: BLOQUEO_SEGUNDOS });
+    if (!bloqueo) {
+        return res.status(409).json({
+            error: 'lease_lost', mensaje: '❌ La estación ya no tiene el lote', bloqueo: await repos.estaciones.bloqueo(pedido.consecutivo)
+        });
+    }
+    res.json({ bloqueo, segundos: BLOQUEO_SEGUNDOS });
+}));
+
+// POST /estaciones/liberar { Consecutivo, Estacion } → { ok } | 409 lease_lost
+app.post('/estaciones/liberar', asyncHandler(async (req, res) => {
+    const pedido = readLeaseRequest(req.body);
+    if (!pedido) return res.status(400).json({ error: 'bad_request', mensaje: 'Consecutivo y Estacion requeridos' });
+
+    const repos = await getRepos();
+    const antes = await repos.estaciones.bloqueo(pedido.consecutivo);
+    if (!(await repos.estaciones.liberar(pedido.consecutivo, { ...pedido, usuario: req.user.sub }))) {
+        return res.status(409).json({ error: 'lease_lost', mensaje: '❌ La estación no tiene el lote', bloqueo: antes });
+    }
+    setAudit(req, 'BloqueosLotes', pedido.consecutivo, { antes, despues: null });
+    res.json({ ok: true });
+}));
+
+// POST /estaciones/tomar { Consecutivo, Estacion, Usuario?, Motivo } → { mensaje, bloqueo, anterior, segundos }
+// Supervisor: reasigna el lote aunque otra estación lo tenga vigente (tableta sin batería, cambio de turno).
+// Usuario = operador que seguirá pesando (por defecto el supervisor).
+app.post('/estaciones/tomar', requireRole('quality'), asyncHandler(async (req, res) => {
+    const pedido = readLeaseRequest(req.body);
+    const motivo = String(req.body?.Motivo ?? '').trim().slice(0, 500);
+    if (!pedido || !motivo) return res.status(400).json({ error: 'bad_request', mensaje: 'Consecutivo, Estacion y Motivo requeridos' });
+
+    const repos = await getRepos();
+    const usuario = req.body.Usuario != null ? String(req.body.Usuario).trim() : req.user.sub;
+    if (!(await repos.usuarios.buscar(usuario))) {
+        return res.status(404).json({ error: 'user_not_found', mensaje: `❌ No existe el usuario ${usuario}` });
+    }
+    const r = await repos.estaciones.reclamar({ ...pedido, usuario, segundos: BLOQUEO_SEGUNDOS, forzar: true });
+    if (r.error) {
+        const e = leaseError(r);
+        return res.status(e.status).json(e.body);
+    }
+    setAudit(req, 'BloqueosLotes', pedido.consecutivo, { antes: r.anterior, despues: { ...r.bloqueo, Supervisor: req.user.sub, Motivo: motivo } });
+    res.json({ mensaje: '✅ Lote reasignado', bloqueo: r.bloqueo, anterior: r.anterior, segundos: BLOQUEO_SEGUNDOS });
+}));
+
+// ============================================================
+// =================== PESAJE (PesoController) =================
+// ============================================================
+// Valida la autorización de un supervisor (quality/admin) para pesos fuera de tolerancia.
+// → { supervisor } | { status, body } con el error a responder
+async function verifySupervisorOverride(repos, override) {
+    const { Username, Password, Motivo } = override || {};
+    if (!Username || !Password || !String(Motivo || '').trim()) {
+        return { status: 400, body: { error: 'bad_request', mensaje: 'Override requiere Username, Password y Motivo' } };
+    }
+    let user = null;
+    try {
+        user = await verifyCredentials(repos, Username, Password);
+    } catch (e) {
+        if (e.code !== 'BCRYPT_MISSING') throw e;
+        return { status: 500, body: { error: 'server_setup_error', detalle: e.message } };
+    }
+    if (!user) return { status: 401, body: { error: 'override_unauthorized', mensaje: '❌ Credenciales de supervisor incorrectas' } };
+    if (!['quality', 'admin'].includes(user.Rol)) {
+        return { status: 403, body: { error: 'override_forbidden', mensaje: '❌ El usuario no tiene rol de supervisor' } };
+    }
+    return { supervisor: user.Username, motivo: String(Motivo).trim().slice(0, 500) };
+}
+
+// Etiqueta obligatoria en /peso (ETIQUETA_REQUERIDA=true); si no, una etiqueta vacía no se verifica
+const ETIQUETA_REQUERIDA = String(process.env.ETIQUETA_REQUERIDA) === 'true';
+
+// Interpreta Etiqueta (código plano o GS1-128) → { etiqueta } | { status, body }
+function readLabel(Etiqueta) {
+    try {
+        const etiqueta = parseLabel(Etiqueta);
+        if (!etiqueta && ETIQUETA_REQUERIDA) {
+            return { status: 400, body: { error: 'label_required', mensaje: '❌ Debe escanear la etiqueta del ingrediente' } };
+        }
+        return { etiqueta };
+    } catch (e) {
+        if (!(e instanceof LabelError)) throw e;
+        return { status: 400, body: { error: 'label_invalid', mensaje: `❌ Etiqueta ilegible: ${e.message}` } };
+    }
+}
+
+// POST /peso/verificar-etiqueta { Consecutivo, Secuencia, Etiqueta } → { ok, etiqueta } | 422 { error, mensaje, etiqueta }
+// Permite a la tableta validar el escaneo antes de pesar.
+app.post('/peso/verificar-etiqueta', asyncHandler(async (req, res) => {
+    const { Consecutivo, Secuencia, Etiqueta } = req.body || {};
+    if (Consecutivo == null || Secuencia == null || !Etiqueta) return res.status(400).json({ error: 'bad_request' });
+
+    const leida = readLabel(Etiqueta);
+    if (leida.status) return res.status(leida.status).json(leida.body);
+
+    const repos = await getRepos();
+    const esperado = await repos.pesaje.esperado(Consecutivo, Secuencia);
+    if (!esperado) return res.status(404).json({ mensaje: '❌ No se encontró el ingrediente del lote.' });
+
+    const fallo = verifyLabel(leida.etiqueta, esperado);
+    if (fallo) return res.status(422).json({ ...fallo, etiqueta: leida.etiqueta });
+    res.json({ ok: true, etiqueta: leida.etiqueta });
+}));
+
+// Desviación de evaluateWeight (en kg) convertida a la unidad de la respuesta
+function convertDeviation(d, convertir) {
+    return {
+        ...d,
+        programado: convertir(d.programado), real: convertir(d.real), diferencia: convertir(d.diferencia),
+        minimo: convertir(d.minimo), maximo: convertir(d.maximo),
+        tolerancia: d.tolerancia.Tipo === 'abs' ? { ...d.tolerancia, Valor: convertir(d.tolerancia.Valor) } : d.tolerancia
+    };
+}
+
+// Eventos del tablero tras un pesado confirmado. Un contenedor que deja la línea abierta → pesado_parcial
+function publishWeighing({ Consecutivo, LineadeMezclado, FechaProgramada, Secuencia, Ingrediente, Peso, remaining, completed, usuario, parcial }) {
+    const lote = { Consecutivo, LineadeMezclado, FechaProgramada };
+    if (Secuencia === 1 && (parcial?.Parciales ?? 1) === 1) publishBoard('pesado_iniciado', { ...lote, usuario });
+    if (parcial && !parcial.cerrado) {
+        publishBoard('pesado_parcial', { ...lote, Secuencia, Ingrediente, Peso, Parcial: parcial.Parcial, Parciales: parcial.Parciales, usuario });
+        return;
+    }
+    publishBoard('ingrediente_pesado', { ...lote, Secuencia, Ingrediente, Peso, remaining, usuario });
+    if (completed) publishBoard('lote_completado', lote);
+}
+
+// Avance de la línea pesada en la respuesta de /peso: lo acumulado (todos los contenedores) contra lo programado
+function lineProgress(desviacion, parcial, Secuencia, convertir) {
+    const cerrado = parcial ? parcial.cerrado : true;
+    return {
+        Secuencia, Parcial: parcial?.Parcial ?? null, Parciales: parcial?.Parciales ?? 0, cerrado,
+        PesoProgramado: convertir(desviacion.programado), Acumulado: convertir(desviacion.real),
+        Pendiente: cerrado ? 0 : convertir(Math.max(0, desviacion.programado - desviacion.real)),
+        Minimo: convertir(desviacion.minimo), Maximo: convertir(desviacion.maximo)
+    };
+}
+
+// -------------------- Pesado fuera de línea --------------------
+// Las tabletas pierden Wi-Fi en planta: encolan los pesados y los reintentan o sincronizan después.
+// ClaveIdempotencia (o el header Idempotency-Key) hace seguro el reintento: la clave se guarda en la
+// misma transacción que el pesado y un segundo envío responde 200 { duplicado } sin volver a aplicarlo.
+// FechaCaptura = hora del pesado en la tableta; reemplaza la del servidor en TiempoDePesado.
+const CLAVE_IDEMPOTENCIA_MAX = 100;
+const CAPTURA_ADELANTO_MS = Number(process.env.PESO_CAPTURA_ADELANTO_MS || 5 * 60 * 1000); // reloj de la tableta adelantado
+const SINCRONIZACION_MAX = Number(process.env.PESO_SINCRONIZACION_MAX || 200);
+
+// Valida ClaveIdempotencia / FechaCaptura → { clave, fechaCaptura } | { status, body }
+function readOfflineFields(ClaveIdempotencia, FechaCaptura) {
+    const clave = ClaveIdempotencia != null ? String(ClaveIdempotencia).trim() : null;
+    if (clave != null && (!clave || clave.length > CLAVE_IDEMPOTENCIA_MAX)) {
+        return { status: 400, body: { error: 'bad_request', mensaje: `ClaveIdempotencia debe tener entre 1 y ${CLAVE_IDEMPOTENCIA_MAX} caracteres` } };
+    }
+    let fechaCaptura = null;
+    if (FechaCaptura != null) {
+        fechaCaptura = new Date(FechaCaptura);
+        if (Number.isNaN(fechaCaptura.getTime())) {
+            return { status: 400, body: { error: 'bad_request', mensaje: 'FechaCaptura debe ser una fecha ISO 8601' } };
+        }
+        if (fechaCaptura.getTime() > Date.now() + CAPTURA_ADELANTO_MS) {
+            return { status: 400, body: { error: 'capture_in_future', mensaje: '❌ FechaCaptura está en el futuro; revise el reloj de la tableta' } };
+        }
+    }
+    return { clave: clave || null, fechaCaptura };
+}
+
+// Reintento de una clave ya aplicada → 200 con la respuesta original, o 409 si la clave era de otro pesado
+function replayWeighing(registro, { Consecutivo, Secuencia }) {
+    if (registro.Consecutivo !== Number(Consecutivo) || registro.Secuencia !== Number(Secuencia)) {
+        return {
+            status: 409,
+            body: {
+                error: 'idempotency_key_reused', mensaje: '❌ La clave de idempotencia ya se usó para otro pesado',
+                registro: { Consecutivo: registro.Consecutivo, Secuencia: registro.Secuencia }
+            }
+        };
+    }
+    return {
+        status: 200,
+        body: {
+            ok: true,
+            duplicado: true,
+            mensaje: '✅ El pesado ya estaba registrado.',
+            registro: {
+                Consecutivo: registro.Consecutivo, Secuencia: registro.Secuencia, Usuario: registro.Usuario,
+                FechaCaptura: registro.FechaCaptura, Fecha: registro.Fecha
+            },
+            respuesta: registro.Respuesta
+        }
+    };
+}
+
+// Registra un pesado (body de /peso o elemento de /peso/sincronizar) → { status, body }
+// Peso fuera de tolerancia → 422 con la desviación, salvo Override { Username, Password, Motivo } de un supervisor
+// Tara/Peso vienen en Unidad (por defecto kg; la lectura de báscula siempre es kg) y se guardan en la unidad del
+// lote. La tolerancia se evalúa en kg (las absolutas están en kg) y los pesos de la respuesta van en Unidad.
+// La foto llega como FotoBase64 o como archivo multipart (archivoFoto = req.file); se valida antes de pesar.
+// Parcial: true → el pesado es un contenedor de la línea (cada uno con su tara, etiqueta y foto); la línea acumula hacia
+// PesoProgramado y se cierra sola cuando la suma queda en tolerancia. Por debajo del mínimo sigue abierta (con Override
+// se cierra corta); por encima del máximo → 422 salvo Override. Una línea con contenedores sigue así aunque falte Parcial.
+async function registerWeighing(repos, datos, usuario, archivoFoto = null) {
+    const {
+        Consecutivo,
+        ProductoTerminado,
+        Secuencia,
+        Ingrediente,
+        Etiqueta,
+        FotoBase64,
+        Override,
+        LoteProveedor,      // lote del proveedor; si falta, se toma el AI (10) de la etiqueta GS1
+        ProveedorId,
+        CapturarBascula,    // true → Tara/Peso se toman de la lectura estable de la báscula
+        BasculaId,          // opcional; por defecto, la báscula de la línea del lote
+        Estacion,           // tableta que pesa; debe tener el bloqueo del lote (POST /estaciones/reclamar)
+        ClaveIdempotencia,
+        FechaCaptura,
+        Unidad,
+        Parcial
+    } = datos || {};
+    let { Tara, Peso } = datos || {};
+
+    if (
+        Consecutivo == null || !ProductoTerminado || Secuencia == null || !Ingrediente || !String(Estacion ?? '').trim() ||
+        (!CapturarBascula && (Tara == null || Peso == null))
+    ) {
+        return { status: 400, body: { error: 'bad_request' } };
+    }
+    const offline = readOfflineFields(ClaveIdempotencia, FechaCaptura);
+    if (offline.status) return offline;
+    const { clave, fechaCaptura } = offline;
+
+    // Reintento: se responde antes de leer báscula o validar credenciales
+    if (clave) {
+        const previo = await repos.pesaje.idempotencia(clave);
+        if (previo) return replayWeighing(previo, { Consecutivo, Secuencia });
+    }
+
+    const titular = { consecutivo: Number(Consecutivo), estacion: String(Estacion).trim(), usuario };
+    const bloqueo = await repos.estaciones.bloqueo(titular.consecutivo);
+    if (!holdsLease(bloqueo, titular)) {
+        return {
+            status: 409,
+            body: { error: 'lease_required', mensaje: '❌ La estación no tiene el lote; reclámelo antes de pesar', bloqueo }
+        };
+    }
+
+    let catalogo, unidad, unidadLote, linea;
+    try {
+        catalogo = await loadUnits(repos);
+        unidad = findUnit(catalogo, Unidad);
+        const lote = await repos.lotes.unidadLote(titular.consecutivo);
+        unidadLote = lotUnit(catalogo, lote?.IdUnidadMedida);
+        linea = lote?.LineadeMezclado ?? null;
+    } catch (e) {
+        return unitErrorResult(e);
+    }
+    const kg = catalogo.canonica;
+    let entrada = unidad;
+
+    const leida = readLabel(Etiqueta);
+    if (leida.status) return leida;
+    const { etiqueta } = leida;
+
+    let foto = null;
+    if (archivoFoto || FotoBase64) {
+        try {
+            foto = archivoFoto ? readPhoto(archivoFoto.buffer, archivoFoto.mimetype) : readPhoto(decodePhotoBase64(FotoBase64));
+        } catch (e) {
+            return photoErrorResult(e);
+        }
+    }
+    const loteProveedor = String(LoteProveedor ?? etiqueta?.lote ?? '').trim().slice(0, 50) || null;
+    const proveedorId = ProveedorId != null && Number.isInteger(Number(ProveedorId)) ? Number(ProveedorId) : null;
+
+    let lectura = null;
+    if (CapturarBascula) {
+        const captura = await captureScaleReading(repos, { basculaId: BasculaId, consecutivo: Consecutivo });
+        if (captura.status) return captura;
+        lectura = captura.lectura;
+        // Lectura neta (tarada en báscula) → Peso directo; bruta → se descuenta la Tara enviada
+        Tara = lectura.neto ? lectura.tara : convertWeight(Number(Tara ?? 0), unidad, kg);
+        Peso = lectura.neto ? lectura.peso : lectura.peso - Tara;
+        entrada = kg;
+    }
+    const pesoKg = convertWeight(Number(Peso), entrada, kg);
+    const decimales = lineDecimals(unidad, linea);
+    const enUnidad = weightConverter(kg, unidad, decimales);
+
+    let override = null;
+    if (Override) {
+        override = await verifySupervisorOverride(repos, Override);
+        if (override.status) return override;
+    }
+
+    // Etiqueta y tolerancia se evalúan contra lo programado, dentro de la transacción del repositorio
+    const evaluar = ({ PesoProgramado, GTIN, tolerancias, Acumulado }) => {
+        const fallo = etiqueta && verifyLabel(etiqueta, { ingrediente: Ingrediente, gtin: GTIN });
+        if (fallo) return { status: 422, body: { ...fallo, etiqueta } };
+        const multiple = !!Parcial || Acumulado.Parciales > 0;
+        const acumuladoKg = multiple ? convertWeight(Acumulado.Peso, unidadLote, kg) : 0;
+        const desviacion = evaluateWeight(
+            round3(convertWeight(PesoProgramado, unidadLote, kg)), round3(acumuladoKg + pesoKg), resolveTolerance(...tolerancias)
+        );
+        if (multiple && !desviacion.dentro && desviacion.real < desviacion.minimo && !override) {
+            return { desviacion, overrideAplicado: null, cerrar: false };
+        }
+        if (!desviacion.dentro && !override) {
+            return {
+                status: 422,
+                body: { error: 'out_of_tolerance', mensaje: '❌ Peso fuera de tolerancia', Unidad: unidad.Abreviatura, desviacion: convertDeviation(desviacion, enUnidad) }
+            };
+        }
+        return { desviacion, overrideAplicado: desviacion.dentro ? null : override, cerrar: true };
+    };
+
+    // El archivo va antes de la transacción (la fila sólo guarda el hash); si el pesado no se registra se descarta
+    const columnasFoto = foto && await photoStore.guardar(foto);
+    let r;
+    try {
+        r = await repos.pesaje.registrar({
+            Consecutivo: Number(Consecutivo),
+            ProductoTerminado: String(ProductoTerminado).trim(),
+            Secuencia: Number(Secuencia),
+            Ingrediente: String(Ingrediente).trim(),
+            Tara: convertWeight(Number(Tara), entrada, unidadLote),
+            Peso: convertWeight(Number(Peso), entrada, unidadLote),
+            PesoKg: round3(pesoKg),
+            Etiqueta,
+            foto: columnasFoto,
+            loteProveedor,
+            proveedorId,
+            usuario,
+            clave,
+            fechaCaptura,
+            parcial: !!Parcial
+        }, evaluar);
+    } catch (e) {
+        await discardPhoto(repos, columnasFoto);
+        throw e;
+    }
+    if (r.status || r.error) await discardPhoto(repos, columnasFoto);
+    if (r.status) return r;
+    if (r.error === 'duplicate') return replayWeighing(r.registro, { Consecutivo, Secuencia });
+    if (r.error === 'not_found') return { status: 404, body: { mensaje: '❌ No se encontró el registro para actualizar.' } };
+    if (r.error === 'already_weighed') {
+        return {
+            status: 409,
+            body: { error: 'already_weighed', mensaje: '❌ El ingrediente ya fue pesado', UsuarioPesado: r.UsuarioPesado, TiempoDePesado: r.TiempoDePesado }
+        };
+    }
+    if (r.error === 'stock_insufficient') {
+        return { status: 409, body: { error: 'stock_insufficient', mensaje: '❌ Existencia insuficiente del ingrediente', faltante: r.faltante } };
+    }
+
+    const { desviacion, overrideAplicado, remaining, completed, next, control, parcial } = r;
+    publishWeighing({
+        Consecutivo: Number(Consecutivo), LineadeMezclado: control.LineadeMezclado, FechaProgramada: control.FechaProgramada,
+        Secuencia: Number(Secuencia), Ingrediente: String(Ingrediente).trim(), Peso: round3(pesoKg), remaining, completed, usuario, parcial
+    });
+    // Pesar cuenta como latido; el lote completado ya no necesita bloqueo
+    if (completed) await repos.estaciones.liberar(titular.consecutivo);
+    else await repos.estaciones.latido({ ...titular, segundos: BLOQUEO_SEGUNDOS });
+    const body = {
+        ok: true,
+        mensaje: parcial && !parcial.cerrado ? '✅ Contenedor registrado; el ingrediente sigue abierto.' : '✅ Peso registrado con éxito.',
+        remaining,
+        completed,
+        Unidad: unidad.Abreviatura,
+        ingrediente: lineProgress(desviacion, parcial, Number(Secuencia), enUnidad),
+        next: next && { ...next, PesoProgramado: weightConverter(unidadLote, unidad, decimales)(next.PesoProgramado) },
+        desviacion: convertDeviation(desviacion, enUnidad),
+        etiqueta,
+        loteProveedor: r.loteProveedor,
+        lectura,
+        consumo: r.asignaciones.map(a => ({ LoteInventarioId: a.LoteInventarioId, LoteProveedor: a.LoteProveedor, Cantidad: enUnidad(a.Cantidad) })),
+        override: overrideAplicado ? { Supervisor: overrideAplicado.supervisor, Motivo: overrideAplicado.motivo } : null
+    };
+    if (clave) await repos.pesaje.guardarRespuesta(clave, body);
+    return { status: 201, body };
+}
+
+// POST /peso → registra pesado y devuelve siguiente pendiente
+// Header Idempotency-Key (o ClaveIdempotencia en el body) para reintentos seguros; FechaCaptura opcional
+// JSON (foto en FotoBase64) o multipart/form-data con el archivo Foto (ver photoUpload en photos.js)
+app.post('/peso', asyncHandler(async (req, res) => {
+    const datos = { ...req.body, ClaveIdempotencia: req.get('Idempotency-Key') ?? req.body?.ClaveIdempotencia };
+    if (datos.Consecutivo != null && datos.Secuencia != null) {
+        setAudit(req, 'ProgramacionProduccion_Detalle', `${datos.Consecutivo}/${datos.Secuencia}`);
+    }
+    const repos = await getRepos();
+    const r = await registerWeighing(repos, datos, req.user.sub, req.file);
+    res.status(r.status).json(r.body);
+}));
+
+// Resultado de un elemento de la cola para que la tableta concilie
+function syncState({ status, body }) {
+    if (status === 201) return 'aplicado';
+    if (body?.duplicado) return 'duplicado';
+    if (status === 409) return 'conflicto';   // ya pesado, lote de otra estación, sin existencia, clave de otro pesado
+    return 'rechazado';                       // 400/404/422…: no se aplicará al reintentar
+}
+
+// POST /peso/sincronizar { Estacion, Pesados: [{ ClaveIdempotencia, FechaCaptura, ...campos de /peso }] }
+//   → { total, aplicados, duplicados, conflictos, rechazados, resultados: [{ ClaveIdempotencia, Consecutivo, Secuencia, estado, status, respuesta }] }
+// Cola de una tableta que pesó sin red. Se aplica en orden de captura (FechaCaptura, luego Consecutivo/Secuencia),
+// cada pesado por el mismo camino que /peso y sin detenerse en los que fallan. Sin báscula remota (CapturarBascula):
+// el peso es el que registró la tableta. Si la petición se corta a la mitad, reenviar la cola es seguro.
+// El bloqueo vencido durante la desconexión sigue siendo de la estación mientras nadie más reclame el lote.
+app.post('/peso/sincronizar', asyncHandler(async (req, res) => {
+    const { Estacion, Pesados } = req.body || {};
+    if (!String(Estacion ?? '').trim()) return res.status(400).json({ error: 'bad_request', mensaje: 'Estacion requerida' });
+    if (!Array.isArray(Pesados) || !Pesados.length || Pesados.length > SINCRONIZACION_MAX) {
+        return res.status(400).json({ error: 'bad_request', mensaje: `Pesados debe tener entre 1 y ${SINCRONIZACION_MAX} elementos` });
+    }
+    const incompletos = Pesados
+        .map((p, i) => (!p?.ClaveIdempotencia || Number.isNaN(Date.parse(p?.FechaCaptura)) ? i : null))
+        .filter(i => i != null);
+    if (incompletos.length) {
+        return res.status(400).json({ error: 'bad_request', mensaje: 'Cada pesado requiere ClaveIdempotencia y FechaCaptura (ISO 8601)', indices: incompletos });
+    }
+
+    const cola = Pesados
+        .map((p, i) => ({ p, i }))
+        .sort((a, b) =>
+            Date.parse(a.p.FechaCaptura) - Date.parse(b.p.FechaCaptura) ||
+            Number(a.p.Consecutivo) - Number(b.p.Consecutivo) ||
+            Number(a.p.Secuencia) - Number(b.p.Secuencia) ||
+            a.i - b.i);
+
+    const repos = await getRepos();
+    const resultados = [];
+    for (const { p } of cola) {
+        const r = await registerWeighing(repos, { ...p, Estacion, CapturarBascula: false }, req.user.sub);
+        resultados.push({
+            ClaveIdempotencia: String(p.ClaveIdempotencia),
+            Consecutivo: p.Consecutivo ?? null,
+            Secuencia: p.Secuencia ?? null,
+            estado: syncState(r),
+            status: r.status,
+            respuesta: r.body
+        });
+    }
+
+    const aplicados = resultados.filter(x => x.estado === 'aplicado');
+    setAudit(req, 'ProgramacionProduccion_Detalle', aplicados.map(x => `${x.Consecutivo}/${x.Secuencia}`).join(',') || null, {
+        despues: resultados.map(({ ClaveIdempotencia, estado, status }) => ({ ClaveIdempotencia, estado, status }))
+    });
+    const cuenta = (estado) => resultados.filter(x => x.estado === estado).length;
+    res.json({
+        total: resultados.length,
+        aplicados: aplicados.length,
+        duplicados: cuenta('duplicado'),
+        conflictos: cuenta('conflicto'),
+        rechazados: cuenta('rechazado'),
+        resultados
+    });
+}));
+
+// -------------------- Corrección de pesados --------------------
+// Un pesado registrado sólo cambia con Motivo y credenciales de un supervisor (quality/admin); los valores
+// anteriores quedan en PesadosCorrecciones. reabrir → la línea vuelve a pendiente y se pesa otra vez por /peso
+// (un lote completado se reabre y la estación debe reclamarlo de nuevo). corregir → Tara/Peso/Etiqueta nuevos
+// sin volver a pesar, con la tolerancia evaluada como en /peso: fuera de ella queda como override del supervisor.
+// Ambas anulan los contenedores de un pesado por partes; reabrir sirve también para descartar los de una línea abierta.
+const ACCIONES_CORRECCION = ['reabrir', 'corregir'];
+
+// Errores de repos.pesaje.corregir → { status, body }
+function correctionError(r) {
+    if (r.error === 'not_found') return { status: 404, body: { error: 'not_found', mensaje: '❌ No se encontró el ingrediente del lote.' } };
+    if (r.error === 'lot_cancelled') return { status: 409, body: { error: 'lot_cancelled', mensaje: '❌ El lote está cancelado' } };
+    if (r.error === 'not_weighed') return { status: 409, body: { error: 'not_weighed', mensaje: '❌ El ingrediente aún no se ha pesado' } };
+    return { status: 409, body: { error: 'stock_insufficient', mensaje: '❌ Existencia insuficiente del ingrediente', faltante: r.faltante } };
+}
+
+// Pesos de una fila de PesadosCorrecciones (unidad del lote) con `convertir`
+function convertCorrection(c, convertir) {
+    return {
+        ...c, TaraAnterior: convertir(c.TaraAnterior), PesoAnterior: convertir(c.PesoAnterior),
+        TaraNueva: convertir(c.TaraNueva), PesoNuevo: convertir(c.PesoNuevo)
+    };
+}
+
+// POST /peso/correccion { Consecutivo, Secuencia, Accion, Motivo, Supervisor: { Username, Password }, Tara, Peso, Unidad, Etiqueta }
+//   → { mensaje, correccion, reabierto, remaining, Unidad, desviacion }
+// Tara/Peso (sólo corregir) en Unidad, por defecto kg. Etiqueta omitida conserva la leída; si viene, se verifica.
+app.post('/peso/correccion', asyncHandler(async (req, res) => {
+    const { Consecutivo, Secuencia, Accion, Motivo, Supervisor, Tara, Peso, Unidad, Etiqueta } = req.body || {};
+    const consecutivo = Number(Consecutivo);
+    const secuencia = Number(Secuencia);
+    if (!Number.isInteger(consecutivo) || !Number.isInteger(secuencia) || !ACCIONES_CORRECCION.includes(Accion)) {
+        return res.status(400).json({ error: 'bad_request', mensaje: `Consecutivo, Secuencia y Accion (${ACCIONES_CORRECCION.join(' | ')}) requeridos` });
+    }
+    if (!String(Motivo ?? '').trim() || !Supervisor?.Username || !Supervisor?.Password) {
+        return res.status(400).json({ error: 'bad_request', mensaje: 'La corrección requiere Motivo y Supervisor { Username, Password }' });
+    }
+    const corrige = Accion === 'corregir';
+    if (corrige && (Tara == null || Peso == null || !Number.isFinite(Number(Tara)) || !Number.isFinite(Number(Peso)))) {
+        return res.status(400).json({ error: 'bad_request', mensaje: 'corregir requiere Tara y Peso' });
+    }
+    setAudit(req, 'ProgramacionProduccion_Detalle', `${consecutivo}/${secuencia}`);
+
+    const repos = await getRepos();
+    const aprobacion = await verifySupervisorOverride(repos, { ...Supervisor, Motivo });
+    if (aprobacion.status) return res.status(aprobacion.status).json(aprobacion.body);
+
+    let unidad, unidadLote, linea, kg;
+    try {
+        const catalogo = await loadUnits(repos);
+        kg = catalogo.canonica;
+        unidad = findUnit(catalogo, Unidad);
+        const lote = await repos.lotes.unidadLote(consecutivo);
+        unidadLote = lotUnit(catalogo, lote?.IdUnidadMedida);
+        linea = lote?.LineadeMezclado ?? null;
+    } catch (e) {
+        const r = unitErrorResult(e);
+        return res.status(r.status).json(r.body);
+    }
+    const decimales = lineDecimals(unidad, linea);
+    const enUnidad = weightConverter(kg, unidad, decimales);
+
+    let etiqueta = null;
+    if (corrige && Etiqueta !== undefined) {
+        const leida = readLabel(Etiqueta);
+        if (leida.status) return res.status(leida.status).json(leida.body);
+        etiqueta = leida.etiqueta;
+    }
+    const pesoKg = corrige ? convertWeight(Number(Peso), unidad, kg) : null;
+
+    const evaluar = ({ Ingrediente, PesoProgramado, GTIN, tolerancias }) => {
+        const fallo = etiqueta && verifyLabel(etiqueta, { ingrediente: Ingrediente, gtin: GTIN });
+        if (fallo) return { status: 422, body: { ...fallo, etiqueta } };
+        const desviacion = evaluateWeight(round3(convertWeight(PesoProgramado, unidadLote, kg)), round3(pesoKg), resolveTolerance(...tolerancias));
+        return { desviacion, overrideAplicado: desviacion.dentro ? null : aprobacion };
+    };
+
+    const r = await repos.pesaje.corregir({
+        Consecutivo: consecutivo,
+        Secuencia: secuencia,
+        accion: Accion,
+        Tara: corrige ? convertWeight(Number(Tara), unidad, unidadLote) : null,
+        Peso: corrige ? convertWeight(Number(Peso), unidad, unidadLote) : null,
+        PesoKg: corrige ? round3(pesoKg) : null,
+        Etiqueta: corrige && Etiqueta !== undefined ? Etiqueta ?? '' : undefined,
+        motivo: aprobacion.motivo,
+        supervisor: aprobacion.supervisor,
+        usuario: req.user.sub
+    }, evaluar);
+    if (r.status) return res.status(r.status).json(r.body);
+    if (r.error) {
+        const e = correctionError(r);
+        return res.status(e.status).json(e.body);
+    }
+
+    const { correccion, desviacion, reabierto, remaining, control } = r;
+    const lote = { Consecutivo: consecutivo, LineadeMezclado: control.LineadeMezclado, FechaProgramada: control.FechaProgramada };
+    publishBoard('pesado_corregido', { ...lote, Secuencia: secuencia, Accion, remaining, usuario: req.user.sub, Supervisor: aprobacion.supervisor });
+    if (reabierto) publishBoard('lote_reabierto', { ...lote, Secuencia: secuencia, Motivo: aprobacion.motivo });
+    setAudit(req, 'ProgramacionProduccion_Detalle', `${consecutivo}/${secuencia}`, {
+        antes: {
+            TaraReal: correccion.TaraAnterior, PesoReal: correccion.PesoAnterior, EtiquetaLeida: correccion.EtiquetaAnterior,
+            TiempoDePesado: correccion.TiempoDePesadoAnterior, UsuarioPesado: correccion.UsuarioPesadoAnterior
+        },
+        despues: { Accion, TaraReal: correccion.TaraNueva, PesoReal: correccion.PesoNuevo, EtiquetaLeida: correccion.EtiquetaNueva, reabierto }
+    });
+    res.json({
+        mensaje: reabierto ? '✅ Pesado reabierto; el lote vuelve a estar en proceso.' : corrige ? '✅ Pesado corregido.' : '✅ Pesado reabierto.',
+        correccion: convertCorrection(correccion, weightConverter(unidadLote, unidad, decimales)),
+        reabierto,
+        remaining,
+        Unidad: unidad.Abreviatura,
+        desviacion: desviacion && convertDeviation(desviacion, enUnidad)
+    });
+}));
+
+// GET /lotesprogramados/:consecutivo/parciales?unidad= → { Unidad, parciales: [...] } contenedores de las líneas pesadas
+// por partes, por Secuencia y número; los anulados (reabrir/corregir) se conservan con Anulado
+app.get('/lotesprogramados/:consecutivo/parciales', asyncHandler(async (req, res) => {
+    const consecutivo = Number(req.params.consecutivo);
+    const repos = await getRepos();
+    try {
+        const catalogo = await loadUnits(repos);
+        const unidad = findUnit(catalogo, req.query.unidad);
+        const lote = await repos.lotes.unidadLote(consecutivo);
+        if (!lote) return res.status(404).json({ error: 'not_found', mensaje: '❌ Lote no encontrado' });
+        const convertir = weightConverter(lotUnit(catalogo, lote.IdUnidadMedida), unidad, lineDecimals(unidad, lote.LineadeMezclado));
+        const parciales = await repos.pesaje.parciales(consecutivo);
+        res.json({
+            Unidad: unidad.Abreviatura,
+            parciales: parciales.map(p => ({ ...p, TaraReal: convertir(p.TaraReal), PesoReal: convertir(p.PesoReal) }))
+        });
+    } catch (e) {
+        const r = unitErrorResult(e);
+        res.status(r.status).json(r.body);
+    }
+}));
+
+// GET /lotesprogramados/:consecutivo/correcciones?unidad= → { Unidad, correcciones: [...] } (historial, la más reciente al final)
+app.get('/lotesprogramados/:consecutivo/correcciones', asyncHandler(async (req, res) => {
+    const consecutivo = Number(req.params.consecutivo);
+    const repos = await getRepos();
+    try {
+        const catalogo = await loadUnits(repos);
+        const unidad = findUnit(catalogo, req.query.unidad);
+        const lote = await repos.lotes.unidadLote(consecutivo);
+        if (!lote) return res.status(404).json({ error: 'not_found', mensaje: '❌ Lote no encontrado' });
+        const convertir = weightConverter(lotUnit(catalogo, lote.IdUnidadMedida), unidad, lineDecimals(unidad, lote.LineadeMezclado));
+        const correcciones = await repos.pesaje.correcciones(consecutivo);
+        res.json({ Unidad: unidad.Abreviatura, correcciones: correcciones.map(c => convertCorrection(c, convertir)) });
+    } catch (e) {
+        const r = unitErrorResult(e);
+        res.status(r.status).json(r.body);
+    }
+}));
+
+// ============================================================
+// ==============  FOTOS DEL PESADO (photos.js)  ==============
+// ============================================================
+// Almacén según FOTOS_ALMACEN (bd | archivo). Retención: FOTOS_RETENCION_DIAS > 0 depura cada
+// FOTOS_PURGA_HORAS las fotos de pesados más viejos; 0 (default) las conserva siempre.
+const FOTOS_RETENCION_DIAS = Number(process.env.FOTOS_RETENCION_DIAS || 0);
+const FOTOS_PURGA_HORAS = Number(process.env.FOTOS_PURGA_HORAS || 24);
+const PURGA_LOTE = 500;       // filas por transacción
+const MINIATURA_MIN = 32;
+const MINIATURA_MAX = 1024;
+
+const PHOTO_STATUS = { photo_invalid: 400, photo_too_large: 413, photo_type: 415, thumbnail_unavailable: 503 };
+
+// PhotoError → { status, body }; cualquier otro error se propaga
+function photoErrorResult(e) {
+    if (!(e instanceof PhotoError)) throw e;
+    return { status: PHOTO_STATUS[e.code] ?? 400, body: { error: e.code, mensaje: e.message } };
+}
+
+// Pesado rechazado: borra del almacén la foto que se guardó para él, salvo que otra fila use el mismo hash
+async function discardPhoto(repos, columnas) {
+    if (!columnas?.FotoHash || photoStore.tipo !== 'archivo') return;
+    if (!(await repos.fotos.enUso(columnas.FotoHash))) await photoStore.borrar(columnas.FotoHash);
+}
+
+// Foto de un ingrediente del lote (o de uno de sus contenedores con parcial) → { bytes, mime, hash } | { status, body }
+async function loadPhoto(repos, { consecutivo, secuencia, parcial }) {
+    const c = Number(consecutivo);
+    const s = Number(secuencia);
+    const p = parcial != null ? Number(parcial) : null;
+    if (!Number.isInteger(c) || c <= 0 || !Number.isInteger(s) || s <= 0 || (p != null && (!Number.isInteger(p) || p <= 0))) {
+        return { status: 400, body: { error: 'bad_request', mensaje: 'consecutivo, secuencia y parcial deben ser enteros positivos' } };
+    }
+    const fila = await repos.fotos.obtener(c, s, p);
+    if (!fila) {
+        return { status: 404, body: { error: 'not_found', mensaje: p != null ? '❌ La línea no tiene ese contenedor' : '❌ El lote no tiene esa secuencia' } };
+    }
+    if (fila.FotoPurgada) {
+        return { status: 410, body: { error: 'photo_purged', mensaje: 'La foto se depuró por retención', FotoPurgada: fila.FotoPurgada, FotoHash: fila.FotoHash } };
+    }
+    const bytes = await photoStore.leer(fila);
+    if (!bytes?.length) return { status: 404, body: { error: 'photo_not_found', mensaje: 'El pesado no tiene foto' } };
+    // Fotos anteriores a los metadatos (sqlite no los calcula al migrar) → por la firma
+    return { bytes, mime: fila.FotoMime ?? sniffMime(bytes) ?? 'application/octet-stream', hash: fila.FotoHash ?? photoHash(bytes) };
+}
+
+// ETag = contenido: la tableta vuelve a pedirla con If-None-Match y recibe 304 mientras no se vuelva a pesar
+function sendPhoto(req, res, bytes, mime, etag) {
+    res.set({ 'Content-Type': mime, 'Cache-Control': 'private, no-cache', 'ETag': `"${etag}"`, 'X-Content-Type-Options': 'nosniff' });
+    if (req.fresh) return res.status(304).end();
+    res.send(bytes);
+}
+
+// GET /lotesprogramados/{consecutivo}/fotos/{secuencia}?parcial= → foto original (image/jpeg | image/png)
+// 404 sin foto, 410 si se depuró (FotoHash queda como evidencia). parcial = contenedor de un pesado por partes
+app.get('/lotesprogramados/:consecutivo/fotos/:secuencia', asyncHandler(async (req, res) => {
+    const repos = await getRepos();
+    const r = await loadPhoto(repos, { ...req.params, parcial: req.query.parcial });
+    if (r.status) return res.status(r.status).json(r.body);
+    sendPhoto(req, res, r.bytes, r.mime, r.hash);
+}));
+
+// GET /lotesprogramados/{consecutivo}/fotos/{secuencia}/miniatura?lado=200&parcial= → JPEG de `lado` px como máximo
+// Con FOTOS_ALMACEN=archivo la miniatura se genera una vez y se guarda junto al original
+app.get('/lotesprogramados/:consecutivo/fotos/:secuencia/miniatura', asyncHandler(async (req, res) => {
+    const lado = req.query.lado == null ? MINIATURA_LADO : Number(req.query.lado);
+    if (!Number.isInteger(lado) || lado < MINIATURA_MIN || lado > MINIATURA_MAX) {
+        return res.status(400).json({ error: 'bad_request', mensaje: `lado debe ser un entero entre ${MINIATURA_MIN} y ${MINIATURA_MAX}` });
+    }
+    const repos = await getRepos();
+    const r = await loadPhoto(repos, { ...req.params, parcial: req.query.parcial });
+    if (r.status) return res.status(r.status).json(r.body);
+    try {
+        const miniatura = await photoStore.miniatura(r.hash, lado, () => makeThumbnail(r.bytes, lado));
+        sendPhoto(req, res, miniatura, 'image/jpeg', `${r.hash}-${lado}`);
+    } catch (e) {
+        const x = photoErrorResult(e);
+        res.status(x.status).json(x.body);
+    }
+}));
+
+// Depura las fotos de pesados anteriores a hace `dias` días, por tandas de PURGA_LOTE
+//   → { dias, antes, purgadas, bytes, archivosBorrados }; dryRun → { dias, antes, pendientes: [...], hayMas }
+async function purgePhotos(repos, dias, { dryRun = false } = {}) {
+    const antes = new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+    if (dryRun) {
+        const vencidas = await repos.fotos.vencidas({ antes, limite: PURGA_LOTE + 1 });
+        return { dias, antes, pendientes: vencidas.slice(0, PURGA_LOTE), hayMas: vencidas.length > PURGA_LOTE };
+    }
+    let purgadas = 0, bytes = 0, archivosBorrados = 0;
+    for (;;) {
+        const r = await repos.fotos.purgar({ antes, limite: PURGA_LOTE });
+        purgadas += r.purgadas.length;
+        bytes += r.purgadas.reduce((a, p) => a + (p.FotoTamano ?? 0), 0);
+        for (const hash of r.huerfanos) {
+            await photoStore.borrar(hash);
+            if (photoStore.tipo === 'archivo') archivosBorrados++;
+        }
+        if (r.purgadas.length < PURGA_LOTE) break;
+    }
+    return { dias, antes, purgadas, bytes, archivosBorrados };
+}
+
+// POST /api/Fotos/purgar?dryRun=1 { Dias? } → resultado de purgePhotos (Dias por defecto = FOTOS_RETENCION_DIAS)
+app.post('/api/Fotos/purgar', asyncHandler(async (req, res) => {
+    const dias = req.body?.Dias != null ? Number(req.body.Dias) : FOTOS_RETENCION_DIAS;
+    if (!Number.isInteger(dias) || dias < 1) {
+        return res.status(400).json({ error: 'bad_request', mensaje: 'Dias debe ser un entero >= 1 (FOTOS_RETENCION_DIAS no está configurado)' });
+    }
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    const repos = await getRepos();
+    const r = await purgePhotos(repos, dias, { dryRun });
+    if (dryRun) skipAudit(req);
+    else setAudit(req, 'ProgramacionProduccion_Detalle', null, { despues: r });
+    res.json({ dryRun, ...r });
+}));
+
+// Tarea programada; queda en la bitácora como usuario 'sistema'
+function schedulePhotoPurge() {
+    if (!(FOTOS_RETENCION_DIAS > 0)) return;
+    const correr = async () => {
+        try {
+            const r = await purgePhotos(await getRepos(), FOTOS_RETENCION_DIAS);
+            if (!r.purgadas) return;
+            console.log(`🧹 Fotos depuradas: ${r.purgadas} (${r.bytes} bytes) anteriores a ${r.antes.toISOString()}`);
+            await recordAudit({
+                Fecha: new Date().toISOString(), Usuario: 'sistema', Rol: null, Metodo: 'JOB', Ruta: 'purga-fotos', Estado: 200,
+                Entidad: 'ProgramacionProduccion_Detalle', EntidadId: null, Antes: null, Despues: r, Ip: null
+            }, persistAudit);
+        } catch (e) {
+            console.error('Depuración de fotos:', e.message);
+        }
+    };
+    setTimeout(correr, 60 * 1000).unref();
+    setInterval(correr, FOTOS_PURGA_HORAS * 60 * 60 * 1000).unref();
+}
+
+// ============================================================
+// =====  PRODUCTOS TERMINADOS (ProductosTerminadosController) =
+// ============================================================
+// Versiones de fórmula: ver repos/formulas.js (cada edición crea una versión 'borrador'
+// que se aprueba y activa; sólo la activa se copia a ProductosTerminados_Detalle).
+
+// -------------------- Validación de fórmula --------------------
+// Valida Ingredientes contra el catálogo → reporte de validateFormula
+async function checkFormula(repos, ingredientes) {
+    const claves = [...new Set((Array.isArray(ingredientes) ? ingredientes : [])
+        .map(i => (i?.Clave == null ? '' : String(i.Clave).trim()))
+        .filter(Boolean))];
+    return validateFormula(ingredientes, await repos.ingredientes.catalogo(claves));
+}
+
+// POST api/ProductosTerminados/validar { Ingredientes } → { valido, suma, tolerancia, errores: [{ linea, Clave, error, mensaje }] }
+// Para validación en vivo desde el editor; nuevo/editar aplican la misma regla y responden 422 si falla.
+app.post('/api/ProductosTerminados/validar', asyncHandler(async (req, res) => {
+    const { Ingredientes } = req.body || {};
+    if (!Array.isArray(Ingredientes)) return res.status(400).json({ mensaje: 'Ingredientes requerido (arreglo)' });
+    const repos = await getRepos();
+    res.json(await checkFormula(repos, Ingredientes));
+}));
+
+// POST api/ProductosTerminados/nuevo → { mensaje } (201)  :contentReference[oaicite:17]{index=17}
+app.post('/api/ProductosTerminados/nuevo', asyncHandler(async (req, res) => {
+    const data = req.body || {};
+    const { Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes } = data;
+    if (!Codigo || !Descripcion || (ClienteId == null) || !NombreCliente || !Array.isArray(Ingredientes)) {
+        return res.status(400).json({ mensaje: 'Error al guardar', detalle: 'Parámetros incompletos' });
+    }
+
+    const repos = await getRepos();
+    const validacion = await checkFormula(repos, Ingredientes);
+    if (!validacion.valido) return res.status(422).json({ error: 'formula_invalid', mensaje: 'Error al guardar', ...validacion });
+    setAudit(req, 'ProductosTerminados', Codigo, { despues: data });
+    const version = await repos.formulas.crear({ Codigo, Descripcion, ClienteId, NombreCliente, Ingredientes }, req.user.sub);
+    res.status(201).json({ mensaje: 'Producto registrado correctamente', version });
+}));
+
+// PUT api/ProductosTerminados/editar/{codigo} → { mensaje, version, estado }  :contentReference[oaicite:18]{index=18}
+// Actualiza los datos del producto; los Ingredientes NO se sobrescriben: se crea una versión
+// 'borrador' (con NotaCambio) que debe aprobarse y activarse. Sin cambios en la receta → no hay versión nueva.
+app.put('/api/ProductosTerminados/editar/:codigo', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const data = req.body || {};
+    const { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes, NotaCambio = null } = data;
+    if (!Descripcion || (ClienteId == null) || !NombreCliente || typeof Activo !== 'boolean' || !Array.isArray(Ingredientes)) {
+        return res.status(400).json({ mensaje: 'Error al actualizar', detalle: 'Parámetros incompletos' });
+    }
+
+    const repos = await getRepos();
+    const validacion = await checkFormula(repos, Ingredientes);
+    if (!validacion.valido) return res.status(422).json({ error: 'formula_invalid', mensaje: 'Error al actualizar', ...validacion });
+    const propuesta = Ingredientes.map((ing, i) => ({ NumIngrediente: i + 1, Clave: String(ing.Clave), Porcentaje: ing.Porcentaje, Comentario: ing.Comentario ?? '' }));
+
+    const { antes, ultima, anterior, version, estado } = await repos.formulas.editar(
+        codigo, { Descripcion, ClienteId, NombreCliente, Activo, Ingredientes, NotaCambio }, propuesta, req.user.sub);
+    setAudit(req, 'ProductosTerminados', codigo, {
+        antes: antes ? { ...antes, version: ultima, Ingredientes: anterior } : null,
+        despues: { Descripcion, ClienteId, NombreCliente, Activo, version, estado, NotaCambio, Ingredientes: propuesta }
+    });
+    res.json({ mensaje: 'Producto actualizado correctamente', version, estado });
+}));
+
+// GET api/ProductosTerminados/{codigo}/versiones → [{ Version, Estado, NotaCambio, Autor, FechaCreacion, ... , Ingredientes }]
+app.get('/api/ProductosTerminados/:codigo/versiones', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const repos = await getRepos();
+    res.json(await repos.formulas.versiones(codigo));
+}));
+
+// GET api/ProductosTerminados/{codigo}/versiones/diff?de=1&a=2 → [{ Clave, Nombre, cambio, PorcentajeAnterior, PorcentajeNuevo, Delta, ... }]
+app.get('/api/ProductosTerminados/:codigo/versiones/diff', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const de = Number(req.query.de);
+    const a = Number(req.query.a);
+    if (!Number.isInteger(de) || !Number.isInteger(a)) return res.status(400).json({ mensaje: 'de_a_required' });
+
+    const repos = await getRepos();
+    const [anterior, nueva] = await Promise.all([repos.formulas.lineas(codigo, de), repos.formulas.lineas(codigo, a)]);
+    if (!anterior.length || !nueva.length) return res.status(404).json({ mensaje: '❌ Versión no encontrada' });
+    res.json(diffVersions(anterior, nueva));
+}));
+
+// GET api/ProductosTerminados/{codigo}/versiones/{version} → { Version, Estado, ..., Ingredientes: [...] }
+app.get('/api/ProductosTerminados/:codigo/versiones/:version', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const version = Number(req.params.version);
+    const repos = await getRepos();
+    const v = await repos.formulas.version(codigo, version);
+    if (!v) return res.status(404).json({ mensaje: '❌ Versión no encontrada' });
+    res.json({ ...v, Ingredientes: await repos.formulas.lineas(codigo, version) });
+}));
+
+// POST api/ProductosTerminados/{codigo}/versiones/{version}/aprobar → { mensaje, estado } (sólo quality; no el autor)
+app.post('/api/ProductosTerminados/:codigo/versiones/:version/aprobar', requireRole('quality'), asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const version = Number(req.params.version);
+    const repos = await getRepos();
+    const entidadId = `${codigo}/v${version}`;
+    const v = await repos.formulas.version(codigo, version);
+    if (!v) return res.status(404).json({ mensaje: '❌ Versión no encontrada' });
+    const estado = nextVersionState(v.Estado, 'aprobar');
+    if (!estado) return res.status(409).json({ mensaje: `❌ No se puede aprobar una versión en estado ${v.Estado}` });
+    if (v.Autor === req.user.sub && req.user.rol !== 'admin') {
+        return res.status(403).json({ mensaje: '❌ El autor no puede aprobar su propia versión' });
+    }
+
+    const antes = { Estado: v.Estado };
+    await repos.formulas.aprobar(codigo, version, req.user.sub);
+    setAudit(req, 'FormulasVersiones', entidadId, { antes, despues: { Estado: estado } });
+    res.json({ mensaje: 'Versión aprobada correctamente', estado });
+}));
+
+// POST api/ProductosTerminados/{codigo}/versiones/{version}/activar → { mensaje, estado }
+// La versión pasa a ser la receta por defecto para programar; la activa anterior queda 'retirada'.
+app.post('/api/ProductosTerminados/:codigo/versiones/:version/activar', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const version = Number(req.params.version);
+    const repos = await getRepos();
+    const entidadId = `${codigo}/v${version}`;
+    const r = await repos.formulas.activar(codigo, version, req.user.sub);
+    if (r.error === 'not_found') return res.status(404).json({ mensaje: '❌ Versión no encontrada' });
+    if (r.error) return res.status(409).json({ mensaje: `❌ No se puede activar una versión en estado ${r.Estado} (debe estar aprobada)` });
+    setAudit(req, 'FormulasVersiones', entidadId, { antes: { Estado: r.antes }, despues: { Estado: r.estado } });
+    res.json({ mensaje: 'Versión activada correctamente', estado: r.estado });
+}));
+
+// GET api/ProductosTerminados/listado → lista con filtros  :contentReference[oaicite:19]{index=19}
+// Con pagina/tamano → sobre con total (ver listing.js); q busca en código, descripción y cliente. Orden por defecto: CodigoProducto.
+app.get('/api/ProductosTerminados/listado', asyncHandler(async (req, res) => {
+    const { codigo = null, cliente = null, nombreCliente = null, activo = null } = req.query;
+    const listing = parseListing(req.query, LISTADO_PRODUCTOS);
+    if (listing.error) return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: listing.error });
+
+    const repos = await getRepos();
+    res.json(await repos.formulas.listado({ codigo, cliente, nombreCliente, activo }, listing));
+}));
+
+// GET api/ProductosTerminados/detalle/{codigo} → detalle ingredientes  :contentReference[oaicite:20]{index=20}
+app.get('/api/ProductosTerminados/detalle/:codigo', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const repos = await getRepos();
+    res.json(await repos.formulas.detalle(codigo));
+}));
+
+// GET api/ProductosTerminados/{codigo}/alergenos → { CodigoProducto, Alergenos, Atributos, Ingredientes: [{ Ingrediente, Nombre, Alergenos, Atributos }] }
+// Perfil derivado de la receta vigente (ProductosTerminados_Detalle); ver allergens.js
+app.get('/api/ProductosTerminados/:codigo/alergenos', asyncHandler(async (req, res) => {
+    const codigo = String(req.params.codigo);
+    const repos = await getRepos();
+    const filas = await repos.alergenos.recetas([codigo]);
+    if (!filas.length) return res.status(404).json({ mensaje: 'Producto no encontrado o sin fórmula' });
+
+    const { Alergenos, Atributos } = profiles(filas, 'CodigoProducto').get(codigo);
+    const ingredientes = new Map();
+    for (const f of filas) {
+        if (!ingredientes.has(f.Ingrediente)) ingredientes.set(f.Ingrediente, { Nombre: f.NombreIngrediente ?? null, filas: [] });
+        if (f.Tipo) ingredientes.get(f.Ingrediente).filas.push(f);
+    }
+    res.json({
+        CodigoProducto: codigo, Alergenos, Atributos,
+        Ingredientes: [...ingredientes].map(([Ingrediente, i]) => ({ Ingrediente, Nombre: i.Nombre, ...tagsFromRows(i.filas) }))
+    });
+}));
+
+// GET api/ProductosTerminados/existecodigo?codigo=... → boolean  :contentReference[oaicite:21]{index=21}
+app.get('/api/ProductosTerminados/existecodigo', asyncHandler(async (req, res) => {
+    const { codigo } = req.query;
+    if (!codigo) return res.status(400).json({ mensaje: 'Error al verificar código' });
+    const repos = await getRepos();
+    res.json(await repos.formulas.existe(codigo));
+}));
+
+// ============================================================
+// ============  INVENTARIO (libro de movimientos)  ===========
+// ============================================================
+// Existencia = SUM(InventarioMovimientos.Cantidad); entradas positivas, salidas negativas.
+
+// Libro en repos/inventario.js; el consumo en /peso lo registra repos/pesaje.js.
+
+// POST api/Inventario/recepciones { Ingrediente, ProveedorId, LoteProveedor, Caducidad?, Cantidad, Referencia? } → { mensaje, loteInventarioId } (201)
+// Si el lote de proveedor ya existe para ese ingrediente/proveedor, se suma a él.
+app.post('/api/Inventario/recepciones', asyncHandler(async (req, res) => {
+    const { Ingrediente, ProveedorId, LoteProveedor, Caducidad = null, Cantidad, Referencia = null } = req.body || {};
+    const cantidad = Number(Cantidad);
+    const caducidad = Caducidad ? new Date(String(Caducidad)) : null;
+    if (!Ingrediente || ProveedorId == null || !String(LoteProveedor || '').trim() || !(cantidad > 0) ||
+        (caducidad && isNaN(caducidad.getTime()))) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'Ingrediente, ProveedorId, LoteProveedor y Cantidad > 0 son requeridos' });
+    }
+
+    const repos = await getRepos();
+    const loteInventarioId = await repos.inventario.recepcion({
+        ingrediente: Number(Ingrediente),
+        proveedorId: Number(ProveedorId),
+        loteProveedor: String(LoteProveedor).trim(),
+        caducidad,
+        cantidad,
+        referencia: Referencia ? String(Referencia) : null,
+        usuario: req.user.sub
+    });
+    // Existencia del lote tras la recepción (el lote puede existir ya: misma combinación ingrediente/proveedor/lote)
+    const lote = (await repos.inventario.lotes({ ingrediente: Number(Ingrediente), incluirAgotados: true }))
+        .find(l => Number(l.LoteInventarioId) === Number(loteInventarioId));
+    const existencia = round3(lote ? Number(lote.Existencia) : cantidad);
+    setAudit(req, 'InventarioLotes', loteInventarioId, {
+        antes: { Existencia: round3(existencia - cantidad) },
+        despues: {
+            Existencia: existencia, Movimiento: 'recepcion', Cantidad: cantidad, Ingrediente: Number(Ingrediente), ProveedorId: Number(ProveedorId),
+            LoteProveedor: String(LoteProveedor).trim(), Caducidad: caducidad, Referencia
+        }
+    });
+    res.status(201).json({ mensaje: 'Recepción registrada correctamente', loteInventarioId });
+}));
+
+// POST api/Inventario/ajustes { LoteInventarioId, Cantidad (±), Comentario } → { mensaje, existencia } (201)
+app.post('/api/Inventario/ajustes', asyncHandler(async (req, res) => {
+    const { LoteInventarioId, Cantidad, Comentario } = req.body || {};
+    const cantidad = Number(Cantidad);
+    if (!LoteInventarioId || !Number.isFinite(cantidad) || cantidad === 0 || !String(Comentario || '').trim()) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'LoteInventarioId, Cantidad distinta de 0 y Comentario son requeridos' });
+    }
+
+    const repos = await getRepos();
+    const existencia = await repos.inventario.ajuste({
+        lote: Number(LoteInventarioId), cantidad, comentario: String(Comentario).trim(), usuario: req.user.sub
+    });
+    if (existencia == null) return res.status(404).json({ mensaje: '❌ Lote de inventario no encontrado' });
+    setAudit(req, 'InventarioLotes', Number(LoteInventarioId), {
+        antes: { Existencia: round3(existencia - cantidad) },
+        despues: { Existencia: existencia, Movimiento: 'ajuste', Cantidad: cantidad, Comentario: String(Comentario).trim() }
+    });
+    res.status(201).json({ mensaje: 'Ajuste registrado correctamente', existencia });
+}));
+
+// POST api/Inventario/conteos { LoteInventarioId, CantidadContada, Comentario? } → { mensaje, anterior, contada, diferencia } (201)
+// Registra la diferencia contra el sistema como movimiento 'conteo'.
+app.post('/api/Inventario/conteos', asyncHandler(async (req, res) => {
+    const { LoteInventarioId, CantidadContada, Comentario = null } = req.body || {};
+    const contada = Number(CantidadContada);
+    if (!LoteInventarioId || !Number.isFinite(contada) || contada < 0) {
+        return res.status(400).json({ mensaje: 'Solicitud inválida', detalle: 'LoteInventarioId y CantidadContada >= 0 son requeridos' });
+    }
+
+    const repos = await getRepos();
+    const r = await repos.inventario.conteo({
+        lote: Number(LoteInventarioId), contada, comentario: Comentario ? String(Comentario) : `Conteo físico: ${contada}`, usuario: req.user.sub
     });
+    if (!r) return res.status(404).json({ mensaje: '❌ Lote de inventario no encontrado' });
+    setAudit(req, 'InventarioLotes', Number(LoteInventarioId), {
+        antes: { Existencia: r.anterior },
+        despues: { Existencia: r.contada, Movimiento: 'conteo', Diferencia: r.diferencia, Comentario }
+    });
+    res.status(201).json({ mensaje: 'Conteo registrado correctamente', ...r });
+}));
+
+// GET api/Inventario/existencias?ingrediente → [{ Ingrediente, Nombre, Existencia, SinLote, Lotes }]
+app.get('/api/Inventario/existencias', asyncHandler(async (req, res) => {
+    const repos = await getRepos();
+    res.json(await repos.inventario.existencias(req.query.ingrediente ? Number(req.query.ingrediente) : null));
+}));
+
+// GET api/Inventario/existencias/lotes?ingrediente&incluirAgotados=true → [{ LoteInventarioId, ..., Existencia }] en orden FEFO
+app.get('/api/Inventario/existencias/lotes', asyncHandler(async (req, res) => {
+    const repos = await getRepos();
+    res.json(await repos.inventario.lotes({
+        ingrediente: req.query.ingrediente ? Number(req.query.ingrediente) : null,
+        incluirAgotados: String(req.query.incluirAgotados) === 'true'
+    }));
+}));
+
+// GET api/Inventario/movimientos?ingrediente&lote&tipo&desde&hasta → [{ ... }] (máx. 1000, más recientes primero)
+app.get('/api/Inventario/movimientos', asyncHandler(async (req, res) => {
+    const { ingrediente = null, lote = null, tipo = null, desde = null, hasta = null } = req.query;
+    const repos = await getRepos();
+    res.json(await repos.inventario.movimientos({
+        ingrediente: ingrediente ? Number(ingrediente) : null,
+        lote: lote ? Number(lote) : null,
+        tipo: tipo ? String(tipo) : null,
+        desde: desde ? new Date(String(desde)) : null,
+        hasta: hasta ? new Date(String(hasta)) : null
+    }));
+}));
+
+// ============================================================
+// =============  TRAZABILIDAD (lotes de proveedor)  ===========
+// ============================================================
+// GET api/Trazabilidad/adelante?loteProveedor&proveedorId&ingrediente → { loteProveedor, lotes: [...], clientes: [...] }
+// Desde un lote de proveedor hacia todos los lotes terminados (ID_Lot/Consecutivo) y clientes afectados.
+app.get('/api/Trazabilidad/adelante', asyncHandler(async (req, res) => {
+    const { loteProveedor, proveedorId = null, ingrediente = null } = req.query;
+    if (!loteProveedor) return res.status(400).json({ mensaje: 'loteProveedor_required' });
+
+    const repos = await getRepos();
+    const lotes = await repos.pesaje.trazabilidadAdelante({ loteProveedor, proveedorId, ingrediente });
+
+    const clientes = new Map();
+    for (const l of lotes) {
+        const key = l.ClienteId ?? 'sin_cliente';
+        const c = clientes.get(key) || { ClienteId: l.ClienteId ?? null, Cliente: l.Cliente ?? null, Lotes: [] };
+        if (!c.Lotes.includes(l.LotePT)) c.Lotes.push(l.LotePT);
+        clientes.set(key, c);
+    }
+    res.json({ loteProveedor: String(loteProveedor), lotes, clientes: [...clientes.values()] });
+}));
+
+// GET api/Trazabilidad/atras?consecutivo=... | ?lote=ID_Lot → { lote, materiales: [...] }
+// Desde un lote terminado hacia cada lote de materia prima, peso, operador y hora.
+app.get('/api/Trazabilidad/atras', asyncHandler(async (req, res) => {
+    const consecutivo = req.query.consecutivo ? Number(req.query.consecutivo) : null;
+    const idLot = req.query.lote ? String(req.query.lote) : null;
+    if (!consecutivo && !idLot) return res.status(400).json({ mensaje: 'consecutivo_o_lote_required' });
+
+    const repos = await getRepos();
+    const traza = await repos.pesaje.trazabilidadAtras({ consecutivo, idLot });
+    if (!traza) return res.status(404).json({ mensaje: '❌ Lote no encontrado' });
+    res.json(traza);
+}));
+
+// ============================================================
+// ==========  ANALITICA (indicadores de producción)  =========
+// ============================================================
+// Sobre los lotes con FechaProgramada entre inicio y fin (YYYY-MM-DD), agrupados por ?agrupar=
+// producto | ingrediente | linea | operador. Pesos en kg (los lotes en otra unidad se convierten;
+// los de una unidad sin factor van en `omitidos`). Reglas en analytics.js.
+const ANALITICA_DIAS_MAX = 366;
+const ANALITICA_PAUSA_MIN = Number(process.env.ANALITICA_PAUSA_MIN || 30);
+
+// inicio/fin/agrupar de la query → { inicio, fin, agrupar } | { status, body }
+function readAnalyticsQuery(query, agrupaciones = AGRUPACIONES) {
+    const inicio = String(query.inicio ?? '');
+    const fin = String(query.fin ?? '');
+    const agrupar = String(query.agrupar || 'producto');
+    if (!FECHA_DIA.test(inicio) || !FECHA_DIA.test(fin) || fin < inicio) {
+        return { status: 400, body: { error: 'bad_request', mensaje: 'inicio y fin (YYYY-MM-DD, fin >= inicio) son requeridos' } };
+    }
+    if (daysBetween(inicio, fin).length > ANALITICA_DIAS_MAX) {
+        return { status: 400, body: { error: 'bad_request', mensaje: `El rango no puede exceder ${ANALITICA_DIAS_MAX} días` } };
+    }
+    if (!agrupaciones.includes(agrupar)) {
+        return { status: 400, body: { error: 'bad_request', mensaje: `agrupar debe ser uno de: ${agrupaciones.join(', ')}` } };
+    }
+    return { inicio, fin, agrupar };
+}
+
+// Lotes del rango y sus pesados con ProgramadoKg/RealKg y los atributos del lote → { lotes, pesados, omitidos }
+async function loadAnalytics(repos, { inicio, fin }) {
+    const [catalogo, lotes, pesados] = await Promise.all([
+        loadUnits(repos), repos.analitica.lotes({ inicio, fin }), repos.analitica.pesados({ inicio, fin })
+    ]);
+    const kg = catalogo.canonica;
+    const unidades = new Map();
+    const omitidos = [];
+    for (const l of lotes) {
+        try {
+            unidades.set(l.Consecutivo, lotUnit(catalogo, l.IdUnidadMedida));
+        } catch (e) {
+            if (!(e instanceof UnitError)) throw e;
+            omitidos.push(l.Consecutivo);
+        }
+    }
+    const porConsecutivo = new Map(lotes.map(l => [l.Consecutivo, l]));
+    const enKg = pesados
+        .filter(p => unidades.has(p.Consecutivo))
+        .map(p => {
+            const l = porConsecutivo.get(p.Consecutivo);
+            const unidad = unidades.get(p.Consecutivo);
+            return {
+                ...p, Producto: l.Producto, DescripcionPT: l.DescripcionPT, LineadeMezclado: l.LineadeMezclado, NombreLinea: l.NombreLinea,
+                ProgramadoKg: convertWeight(p.PesoProgramado, unidad, kg), RealKg: convertWeight(p.PesoReal, unidad, kg)
+            };
+        });
+    return { lotes: lotes.filter(l => unidades.has(l.Consecutivo)), pesados: enKg, omitidos };
+}
+
+// GET api/Analitica/variacion?inicio&fin&agrupar → { inicio, fin, agrupar, Unidad, total, grupos, omitidos }
+// Por grupo: Pesados, ProgramadoKg, RealKg, Variacion (kg y %), Regalo (de más), Faltante (de menos), DesviacionAbsMediaPct
+app.get('/api/Analitica/variacion', asyncHandler(async (req, res) => {
+    const filtro = readAnalyticsQuery(req.query);
+    if (filtro.status) return res.status(filtro.status).json(filtro.body);
+    const repos = await getRepos();
+    const { pesados, omitidos } = await loadAnalytics(repos, filtro);
+    res.json({ ...filtro, Unidad: UNIDAD_CANONICA, ...weightVariance(pesados, filtro.agrupar), omitidos });
+}));
+
+// GET api/Analitica/tiempos?inicio&fin&agrupar&pausa=30 → { inicio, fin, agrupar, pausaMin, total, grupos, omitidos }
+// Por grupo: CicloLote (inicio → fin de los completados; sólo producto/linea), EntrePesados (minutos desde el
+// pesado anterior del lote) y ritmo: HorasActivas, PesadosPorHora, KgPorHora (huecos > pausa no cuentan).
+// Con agrupar=operador es el rendimiento por operador.
+app.get('/api/Analitica/tiempos', asyncHandler(async (req, res) => {
+    const filtro = readAnalyticsQuery(req.query);
+    if (filtro.status) return res.status(filtro.status).json(filtro.body);
+    const pausaMin = req.query.pausa != null ? Number(req.query.pausa) : ANALITICA_PAUSA_MIN;
+    if (!(pausaMin > 0)) return res.status(400).json({ error: 'bad_request', mensaje: 'pausa debe ser un número de minutos > 0' });
+    const repos = await getRepos();
+    const { lotes, pesados, omitidos } = await loadAnalytics(repos, filtro);
+    res.json({ ...filtro, pausaMin, ...cycleTimes(lotes, pesados, filtro.agrupar, pausaMin), omitidos });
 }));
 
+// GET api/Analitica/cumplimiento?inicio&fin&agrupar=producto|linea → { inicio, fin, agrupar, hoy, total, grupos }
+// Por grupo: Programados, Completados, EnProceso, Pendientes, Cancelados, Atrasados (vs FechaProgramada),
+// CompletadosATiempo, CumplimientoPct (a tiempo / no cancelados) y AtrasoPromedioDias
+app.get('/api/Analitica/cumplimiento', asyncHandler(async (req, res) => {
+    const filtro = readAnalyticsQuery(req.query, AGRUPACIONES_LOTE);
+    if (filtro.status) return res.status(filtro.status).json(filtro.body);
+    const repos = await getRepos();
+    const lotes = await repos.analitica.lotes(filtro);
+    const hoy = diaIso(Date.now());
+    res.json({ ...filtro, hoy, ...scheduleAdherence(lotes, filtro.agrupar, hoy) });
+}));
+
+// ============================================================
+// ===============  AUDITORIA (bitácora de escrituras)  ========
+// ============================================================
+// Guarda la entrada en tabla Auditoria → Id (o null en memoria; queda sólo en el buffer de audit.js)
+async function persistAudit(e) {
+    const repos = await getRepos();
+    return repos.auditoria.guardar(e);
+}
+
+// GET api/Auditoria?entidad&entidadId&usuario&desde&hasta&limite → [{ id, Fecha, Usuario, Rol, Metodo, Ruta, Estado, Entidad, EntidadId, Antes, Despues, Ip }]
+app.get('/api/Auditoria', asyncHandler(async (req, res) => {
+    res.json(await queryAudit(parseAuditFilter(req.query)));
+}));
+
+// GET api/Auditoria/{entidad}/{entidadId} → historial de una entidad (más reciente primero)
+app.get('/api/Auditoria/:entidad/:entidadId', asyncHandler(async (req, res) => {
+    res.json(await queryAudit(parseAuditFilter({ ...req.query, entidad: req.params.entidad, entidadId: req.params.entidadId })));
+}));
+
+async function queryAudit(f) {
+    const repos = await getRepos();
+    return repos.auditoria.consultar(f);
+}
+
+// ============================================================
+// ====================== LOGIN (LoginController) =============
+// ============================================================
+// Persiste la revocación en BD (mssql/sqlite) además de en memoria
+async function persistRevocation(payload) {
+    revokeToken(payload);
+    if (!payload?.jti) return;
+    const repos = await getRepos();
+    await repos.usuarios.revocar(payload);
+}
+
+// Carga revocaciones vigentes al arrancar (para que sobrevivan reinicios)
+async function loadRevocations() {
+    try {
+        const repos = await getRepos();
+        for (const row of await repos.usuarios.revocados()) {
+            revokeToken({ jti: row.Jti, exp: Math.floor(new Date(row.ExpiraEn).getTime() / 1000) });
+        }
+    } catch (e) {
+        console.error('No se pudieron cargar tokens revocados:', e.message);
+    }
+}
+
+// POST /login → { Nombre, Correo, PlanActivo, Rol, accessToken, refreshToken, tokenType, expiresIn } (BCrypt)  :contentReference[oaicite:22]{index=22}
+// Un usuario sin PlanActivo no recibe tokens (igual que en /refresh)
+app.post('/login', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const Username = body.Username ?? body.username;
+    const Password = body.Password ?? body.password;
+    if (!Username || !Password) return res.status(400).json({ error: 'bad_request' });
+
+    const repos = await getRepos();
+    let user = null;
+    try {
+        user = await verifyCredentials(repos, Username, Password);
+    } catch (e) {
+        if (e.code !== 'BCRYPT_MISSING') throw e;
+        return res.status(500).json({ error: 'server_setup_error', detalle: e.message });
+    }
+    if (!user) return res.status(401).json({ mensaje: '❌ Usuario o contraseña incorrectos' });
+    if (!user.PlanActivo) return res.status(401).json({ error: 'unauthorized', mensaje: 'El usuario está inactivo' });
+
+    res.json({
+        Nombre: user.Nombre,
+        Correo: user.Correo,
+        PlanActivo: user.PlanActivo,
+        Rol: user.Rol,
+        ...issueTokens(user)
+    });
+}));
+
+// POST /refresh { refreshToken } → nuevo par de tokens (rota el refresh)
+// Los tokens nuevos salen de la fila actual de Usuarios: un cambio de rol aplica al renovar y un usuario
+// eliminado o sin PlanActivo ya no renueva.
+app.post('/refresh', asyncHandler(async (req, res) => {
+    const payload = verifyToken(req.body?.refreshToken, 'refresh');
+    if (!payload) return res.status(401).json({ error: 'unauthorized', mensaje: 'Refresh token inválido o expirado' });
+
+    const repos = await getRepos();
+    const row = await repos.usuarios.buscar(payload.sub);
+    if (!row?.PlanActivo) return res.status(401).json({ error: 'unauthorized', mensaje: 'El usuario no existe o está inactivo' });
+
+    await persistRevocation(payload);
+    res.json(issueTokens(sessionUser(row)));
+}));
+
+// POST /logout { refreshToken? } → revoca el access token actual y el refresh indicado
+app.post('/logout', requireRole(), asyncHandler(async (req, res) => {
+    await persistRevocation(req.user);
+    const refresh = verifyToken(req.body?.refreshToken, 'refresh');
+    if (refresh && refresh.sub === req.user.sub) await persistRevocation(refresh);
+    res.json({ ok: true });
+}));
+
+// GET /me → datos del usuario autenticado
+app.get('/me', requireRole(), (req, res) => {
+    const { sub, nombre, correo, rol, exp } = req.user;
+    res.json({ Username: sub, Nombre: nombre, Correo: correo, Rol: rol, expiraEn: new Date(exp * 1000).toISOString() });
+});
+
 // -------------------- Inicio servidor -----------------------
 const PORT = process.env.PORT || 3000;
+loadRevocations();
+reloadScales();
+schedulePhotoPurge();
+// Ruta inexistente y errores de middleware (JSON mal formado, ...) → mismo sobre de error
+app.use((req, res) => res.status(404).json({ error: 'not_found', mensaje: `No existe ${req.method} ${req.path}` }));
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(`${req.method} ${req.path} error:`, err);
+    res.status(status).json(toErrorEnvelope(status, {
+        error: err.type === 'entity.parse.failed' ? 'invalid_json' : undefined,
+        mensaje: err.type === 'entity.parse.failed' ? 'El cuerpo no es JSON válido' : err.expose ? err.message : undefined,
+    }));
+});
+
 app.listen(PORT, () => {
     console.log(`✅ API up and running on port ${PORT}`);
 });
\ No newline at end of file
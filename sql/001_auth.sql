@@ -0,0 +1,14 @@
+-- 001_auth.sql — roles de usuario y revocación de tokens (POST /login, /logout)
+
+IF COL_LENGTH('dbo.Usuarios', 'Rol') IS NULL
+    ALTER TABLE dbo.Usuarios ADD Rol NVARCHAR(20) NOT NULL
+        CONSTRAINT DF_Usuarios_Rol DEFAULT 'operator'
+        CONSTRAINT CK_Usuarios_Rol CHECK (Rol IN ('operator', 'planner', 'quality', 'admin'));
+GO
+
+IF OBJECT_ID('dbo.TokensRevocados', 'U') IS NULL
+    CREATE TABLE dbo.TokensRevocados (
+        Jti       NVARCHAR(64) NOT NULL PRIMARY KEY,
+        ExpiraEn  DATETIME     NOT NULL
+    );
+GO
@@ -0,0 +1,25 @@
+-- 002_tolerancias.sql — tolerancias de pesado y override de supervisor (POST /peso)
+
+IF OBJECT_ID('dbo.ToleranciasIngredientes', 'U') IS NULL
+    CREATE TABLE dbo.ToleranciasIngredientes (
+        Ingrediente  INT           NOT NULL PRIMARY KEY,   -- Ingredientes.Identificador
+        Tipo         VARCHAR(3)    NOT NULL CHECK (Tipo IN ('abs', 'pct')),
+        Valor        DECIMAL(18,3) NOT NULL CHECK (Valor >= 0)
+    );
+GO
+
+IF OBJECT_ID('dbo.ToleranciasCategorias', 'U') IS NULL
+    CREATE TABLE dbo.ToleranciasCategorias (
+        CategoriaID  INT           NOT NULL PRIMARY KEY,   -- CategoriasIngredientes.Identificador
+        Tipo         VARCHAR(3)    NOT NULL CHECK (Tipo IN ('abs', 'pct')),
+        Valor        DECIMAL(18,3) NOT NULL CHECK (Valor >= 0)
+    );
+GO
+
+IF COL_LENGTH('dbo.ProgramacionProduccion_Detalle', 'DesviacionPeso') IS NULL
+    ALTER TABLE dbo.ProgramacionProduccion_Detalle ADD
+        DesviacionPeso      DECIMAL(18,3) NULL,
+        OverrideSupervisor  NVARCHAR(50)  NULL,
+        OverrideMotivo      NVARCHAR(500) NULL,
+        OverrideFecha       DATETIME      NULL;
+GO
@@ -0,0 +1,5 @@
+-- 003_etiquetas.sql — GTIN por ingrediente para verificar etiquetas GS1-128 (POST /peso)
+
+IF COL_LENGTH('dbo.Ingredientes', 'GTIN') IS NULL
+    ALTER TABLE dbo.Ingredientes ADD GTIN NVARCHAR(14) NULL;
+GO
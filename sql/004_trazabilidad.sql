@@ -0,0 +1,14 @@
+-- 004_trazabilidad.sql — lote de proveedor y operador por pesada (GET api/Trazabilidad/*)
+
+IF COL_LENGTH('dbo.ProgramacionProduccion_Detalle', 'LoteProveedor') IS NULL
+    ALTER TABLE dbo.ProgramacionProduccion_Detalle ADD
+        LoteProveedor  NVARCHAR(50) NULL,
+        ProveedorID    INT          NULL,   -- ProveedoresIngredientes.Identificador
+        UsuarioPesado  NVARCHAR(50) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PPDetalle_LoteProveedor')
+    CREATE INDEX IX_PPDetalle_LoteProveedor
+        ON dbo.ProgramacionProduccion_Detalle (LoteProveedor, ProveedorID)
+        INCLUDE (Consecutivo, Ingrediente, PesoReal, TiempoDePesado);
+GO
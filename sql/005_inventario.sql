@@ -0,0 +1,37 @@
+-- 005_inventario.sql — libro de inventario de ingredientes (api/Inventario/*, consumo en POST /peso)
+
+IF OBJECT_ID('dbo.InventarioLotes', 'U') IS NULL
+    CREATE TABLE dbo.InventarioLotes (
+        Identificador   INT IDENTITY(1,1) PRIMARY KEY,
+        Ingrediente     INT           NOT NULL,   -- Ingredientes.Identificador
+        ProveedorID     INT           NOT NULL,   -- ProveedoresIngredientes.Identificador
+        LoteProveedor   NVARCHAR(50)  NOT NULL,
+        Caducidad       DATE          NULL,
+        FechaRecepcion  DATETIME      NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_InventarioLotes UNIQUE (Ingrediente, ProveedorID, LoteProveedor)
+    );
+GO
+
+IF OBJECT_ID('dbo.InventarioMovimientos', 'U') IS NULL
+    CREATE TABLE dbo.InventarioMovimientos (
+        Identificador     BIGINT IDENTITY(1,1) PRIMARY KEY,
+        LoteInventarioID  INT           NULL REFERENCES dbo.InventarioLotes (Identificador), -- NULL: consumo sin existencia
+        Ingrediente       INT           NOT NULL,
+        Tipo              VARCHAR(12)   NOT NULL CHECK (Tipo IN ('recepcion', 'ajuste', 'conteo', 'consumo')),
+        Cantidad          DECIMAL(18,3) NOT NULL,  -- entradas +, salidas −
+        Fecha             DATETIME      NOT NULL DEFAULT GETDATE(),
+        Usuario           NVARCHAR(50)  NULL,
+        Referencia        NVARCHAR(100) NULL,
+        Comentario        NVARCHAR(500) NULL,
+        Consecutivo       BIGINT        NULL,      -- consumo: ProgramacionProduccion_Detalle
+        Secuencia         INT           NULL
+    );
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_InventarioMovimientos_Lote')
+    CREATE INDEX IX_InventarioMovimientos_Lote ON dbo.InventarioMovimientos (LoteInventarioID) INCLUDE (Cantidad);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_InventarioMovimientos_Ingrediente')
+    CREATE INDEX IX_InventarioMovimientos_Ingrediente ON dbo.InventarioMovimientos (Ingrediente, Fecha) INCLUDE (Cantidad, LoteInventarioID);
+GO
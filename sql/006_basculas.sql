@@ -0,0 +1,18 @@
+-- 006_basculas.sql — básculas por línea de mezclado (GET /basculas, captura en POST /peso)
+
+IF OBJECT_ID('dbo.Basculas', 'U') IS NULL
+    CREATE TABLE dbo.Basculas (
+        Identificador    INT IDENTITY(1,1) PRIMARY KEY,
+        Nombre           NVARCHAR(100) NOT NULL,
+        LineadeMezclado  INT           NOT NULL,
+        Protocolo        VARCHAR(20)   NOT NULL CHECK (Protocolo IN ('mt-sics', 'continuo', 'simulador')),
+        Transporte       VARCHAR(20)   NOT NULL CHECK (Transporte IN ('tcp', 'serial', 'simulador')),
+        Host             NVARCHAR(100) NULL,
+        Puerto           INT           NULL,
+        RutaSerial       NVARCHAR(100) NULL,     -- p. ej. /dev/ttyUSB0 o COM3
+        Baudios          INT           NULL,
+        Unidad           VARCHAR(5)    NOT NULL DEFAULT 'kg',
+        Resolucion       DECIMAL(18,6) NOT NULL DEFAULT 0.001,  -- división de la báscula
+        Activo           BIT           NOT NULL DEFAULT 1
+    );
+GO
@@ -0,0 +1,13 @@
+-- 007_tablero.sql — eventos del tablero de producción (GET /lotesprogramados/eventos)
+
+IF OBJECT_ID('dbo.EventosTablero', 'U') IS NULL
+    CREATE TABLE dbo.EventosTablero (
+        Id               BIGINT IDENTITY(1,1) PRIMARY KEY,   -- id SSE (Last-Event-ID)
+        Tipo             VARCHAR(30)   NOT NULL,
+        Fecha            DATETIME      NOT NULL DEFAULT GETDATE(),
+        Consecutivo      BIGINT        NULL,
+        LineadeMezclado  INT           NULL,
+        FechaProgramada  DATETIME      NULL,
+        Datos            NVARCHAR(MAX) NULL                  -- JSON
+    );
+GO
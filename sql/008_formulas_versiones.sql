@@ -0,0 +1,36 @@
+-- 008_formulas_versiones.sql — versiones de fórmula (borrador → aprobada → activa → retirada)
+-- ProductosTerminados_Detalle conserva la receta de la versión activa (la lee SP_ProgramarLotesProduccion).
+
+IF OBJECT_ID('dbo.FormulasVersiones', 'U') IS NULL
+    CREATE TABLE dbo.FormulasVersiones (
+        Identificador    INT IDENTITY(1,1) PRIMARY KEY,
+        CodigoProducto   NVARCHAR(50)  NOT NULL,
+        Version          INT           NOT NULL,
+        Estado           VARCHAR(12)   NOT NULL
+            CONSTRAINT CK_FormulasVersiones_Estado CHECK (Estado IN ('borrador', 'aprobada', 'activa', 'retirada')),
+        NotaCambio       NVARCHAR(500) NULL,
+        Autor            NVARCHAR(50)  NOT NULL,
+        FechaCreacion    DATETIME      NOT NULL DEFAULT GETDATE(),
+        UsuarioAprobo    NVARCHAR(50)  NULL,
+        FechaAprobacion  DATETIME      NULL,
+        UsuarioActivo    NVARCHAR(50)  NULL,
+        FechaActivacion  DATETIME      NULL,
+        CONSTRAINT UQ_FormulasVersiones UNIQUE (CodigoProducto, Version)
+    );
+GO
+
+IF OBJECT_ID('dbo.FormulasVersiones_Detalle', 'U') IS NULL
+    CREATE TABLE dbo.FormulasVersiones_Detalle (
+        Id               INT IDENTITY(1,1) PRIMARY KEY,
+        VersionID        INT           NOT NULL REFERENCES dbo.FormulasVersiones(Identificador),
+        NumIngrediente   INT           NOT NULL,
+        Ingrediente      NVARCHAR(50)  NOT NULL,
+        Porcentaje       DECIMAL(18,5) NOT NULL,
+        Comentario       NVARCHAR(255) NULL
+    );
+GO
+
+-- Versión de fórmula con la que se programó cada lote
+IF COL_LENGTH('dbo.ProgramacionProduccion', 'VersionFormula') IS NULL
+    ALTER TABLE dbo.ProgramacionProduccion ADD VersionFormula INT NULL;
+GO
@@ -0,0 +1,26 @@
+-- 009_auditoria.sql — bitácora de escrituras (GET /api/Auditoria)
+
+IF OBJECT_ID('dbo.Auditoria', 'U') IS NULL
+    CREATE TABLE dbo.Auditoria (
+        Id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        Fecha       DATETIME      NOT NULL DEFAULT GETDATE(),
+        Usuario     NVARCHAR(50)  NULL,                  -- sub del token (o Username en /login)
+        Rol         VARCHAR(20)   NULL,
+        Metodo      VARCHAR(10)   NOT NULL,
+        Ruta        NVARCHAR(400) NOT NULL,
+        Estado      INT           NOT NULL,              -- código HTTP de la respuesta
+        Entidad     NVARCHAR(100) NULL,
+        EntidadId   NVARCHAR(400) NULL,                  -- uno o varios ids separados por coma
+        Antes       NVARCHAR(MAX) NULL,                  -- JSON
+        Despues     NVARCHAR(MAX) NULL,                  -- JSON
+        Ip          NVARCHAR(64)  NULL
+    );
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Auditoria_Entidad')
+    CREATE INDEX IX_Auditoria_Entidad ON dbo.Auditoria (Entidad, Fecha);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Auditoria_Usuario')
+    CREATE INDEX IX_Auditoria_Usuario ON dbo.Auditoria (Usuario, Fecha);
+GO
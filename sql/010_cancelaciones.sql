@@ -0,0 +1,24 @@
+-- 010_cancelaciones.sql — motivo/usuario de cada cancelación de lote y su restauración
+
+IF OBJECT_ID('dbo.CancelacionesLotes', 'U') IS NULL
+    CREATE TABLE dbo.CancelacionesLotes (
+        Id                      BIGINT IDENTITY(1,1) PRIMARY KEY,
+        Consecutivo             BIGINT        NOT NULL,
+        Motivo                  VARCHAR(30)   NOT NULL,   -- código de MOTIVOS_CANCELACION (server.js)
+        Comentario              NVARCHAR(500) NOT NULL,
+        Usuario                 NVARCHAR(50)  NOT NULL,
+        Fecha                   DATETIME      NOT NULL DEFAULT GETDATE(),
+        Origen                  VARCHAR(20)   NOT NULL,   -- eliminar | delete | eliminar-rango
+        FechaRestauracion       DATETIME      NULL,
+        UsuarioRestauro         NVARCHAR(50)  NULL,
+        ComentarioRestauracion  NVARCHAR(500) NULL
+    );
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_CancelacionesLotes_Fecha')
+    CREATE INDEX IX_CancelacionesLotes_Fecha ON dbo.CancelacionesLotes (Fecha, Motivo);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_CancelacionesLotes_Consecutivo')
+    CREATE INDEX IX_CancelacionesLotes_Consecutivo ON dbo.CancelacionesLotes (Consecutivo);
+GO
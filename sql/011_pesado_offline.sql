@@ -0,0 +1,17 @@
+-- 011_pesado_offline.sql — claves de idempotencia de /peso y /peso/sincronizar (tabletas sin red)
+
+IF OBJECT_ID('dbo.PesadosIdempotencia', 'U') IS NULL
+    CREATE TABLE dbo.PesadosIdempotencia (
+        Clave           NVARCHAR(100) NOT NULL PRIMARY KEY,   -- Idempotency-Key / ClaveIdempotencia de la tableta
+        Consecutivo     BIGINT        NOT NULL,
+        Secuencia       INT           NOT NULL,
+        Usuario         NVARCHAR(50)  NOT NULL,
+        FechaCaptura    DATETIME      NULL,                   -- hora del pesado en la tableta (FechaCaptura)
+        Fecha           DATETIME      NOT NULL DEFAULT GETDATE(),
+        Respuesta       NVARCHAR(MAX) NULL                    -- cuerpo JSON del 201 original
+    );
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PesadosIdempotencia_Fecha')
+    CREATE INDEX IX_PesadosIdempotencia_Fecha ON dbo.PesadosIdempotencia (Fecha);
+GO
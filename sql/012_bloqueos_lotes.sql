@@ -0,0 +1,12 @@
+-- 012_bloqueos_lotes.sql — bloqueo de un lote por la estación (tableta) que lo está pesando
+
+IF OBJECT_ID('dbo.BloqueosLotes', 'U') IS NULL
+    CREATE TABLE dbo.BloqueosLotes (
+        Consecutivo     BIGINT       NOT NULL PRIMARY KEY,   -- un bloqueo por lote
+        Estacion        NVARCHAR(50) NOT NULL,
+        Usuario         NVARCHAR(50) NOT NULL,
+        Desde           DATETIME     NOT NULL DEFAULT GETDATE(),   -- desde cuándo lo tiene esta estación
+        Expira          DATETIME     NOT NULL,                     -- vencido → otra estación puede reclamarlo
+        UltimoLatido    DATETIME     NOT NULL DEFAULT GETDATE()
+    );
+GO
@@ -0,0 +1,35 @@
+-- 013_lineas_unidades.sql — líneas de mezclado con su capacidad y factores de conversión de unidades
+
+IF OBJECT_ID('dbo.LineasMezclado', 'U') IS NULL
+    CREATE TABLE dbo.LineasMezclado (
+        Identificador       INT            NOT NULL PRIMARY KEY,   -- = ProgramacionProduccion_Control.LineadeMezclado
+        Nombre              NVARCHAR(100)  NOT NULL,
+        Capacidad           DECIMAL(18, 3) NULL,                   -- por turno; NULL = sin límite
+        UnidadCapacidad     VARCHAR(10)    NOT NULL DEFAULT 'kg',  -- kg | lotes
+        TurnosPorDia        INT            NOT NULL DEFAULT 1,
+        Activo              BIT            NOT NULL DEFAULT 1
+    );
+GO
+
+-- Una línea (sin límite de capacidad) por cada LineadeMezclado que ya usa el SP
+INSERT INTO dbo.LineasMezclado (Identificador, Nombre)
+SELECT DISTINCT b.LineadeMezclado, CONCAT(N'Línea ', b.LineadeMezclado)
+FROM dbo.ProgramacionProduccion_Control b
+WHERE b.LineadeMezclado IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM dbo.LineasMezclado l WHERE l.Identificador = b.LineadeMezclado);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PPControl_Linea_Fecha')
+    CREATE INDEX IX_PPControl_Linea_Fecha ON dbo.ProgramacionProduccion_Control (LineadeMezclado, FechaProgramada);
+GO
+
+-- FactorKg = kg que equivalen a 1 unidad (kg es la unidad canónica); Decimales = redondeo sin báscula
+IF COL_LENGTH('dbo.UnidadesDeMedida', 'FactorKg') IS NULL
+    ALTER TABLE dbo.UnidadesDeMedida ADD FactorKg DECIMAL(18, 9) NULL, Decimales INT NULL;
+GO
+
+UPDATE dbo.UnidadesDeMedida SET FactorKg = 1, Decimales = 3 WHERE FactorKg IS NULL AND LOWER(Abreviatura) = 'kg';
+UPDATE dbo.UnidadesDeMedida SET FactorKg = 0.001, Decimales = 0 WHERE FactorKg IS NULL AND LOWER(Abreviatura) = 'g';
+UPDATE dbo.UnidadesDeMedida SET FactorKg = 0.45359237, Decimales = 3 WHERE FactorKg IS NULL AND LOWER(Abreviatura) = 'lb';
+UPDATE dbo.UnidadesDeMedida SET FactorKg = 0.028349523, Decimales = 2 WHERE FactorKg IS NULL AND LOWER(Abreviatura) = 'oz';
+GO
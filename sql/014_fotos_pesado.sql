@@ -0,0 +1,27 @@
+-- 014_fotos_pesado.sql — metadatos de la foto del pesado (ver photos.js)
+-- Con FOTOS_ALMACEN=archivo los bytes quedan fuera de la BD y FotoEscaneo es NULL; FotoHash los identifica.
+
+IF COL_LENGTH('dbo.ProgramacionProduccion_Detalle', 'FotoHash') IS NULL
+    ALTER TABLE dbo.ProgramacionProduccion_Detalle ADD
+        FotoHash        CHAR(64)      NULL,   -- sha-256 en hexadecimal (nombre del archivo en el almacén)
+        FotoMime        VARCHAR(50)   NULL,   -- image/jpeg | image/png
+        FotoTamano      INT           NULL,   -- bytes
+        FotoPurgada     DATETIME      NULL;   -- depurada por retención; FotoHash se conserva como evidencia
+GO
+
+-- Fotos ya guardadas en FotoEscaneo: hash, tamaño y tipo por la firma (las que no son JPEG/PNG quedan sin tipo)
+UPDATE dbo.ProgramacionProduccion_Detalle
+SET FotoHash = LOWER(CONVERT(CHAR(64), HASHBYTES('SHA2_256', FotoEscaneo), 2)),
+    FotoTamano = DATALENGTH(FotoEscaneo),
+    FotoMime = CASE
+        WHEN SUBSTRING(FotoEscaneo, 1, 3) = 0xFFD8FF THEN 'image/jpeg'
+        WHEN SUBSTRING(FotoEscaneo, 1, 8) = 0x89504E470D0A1A0A THEN 'image/png'
+    END
+WHERE FotoEscaneo IS NOT NULL AND DATALENGTH(FotoEscaneo) > 0 AND FotoHash IS NULL;
+GO
+
+-- Depuración por antigüedad y conteo de referencias de un archivo
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PPDetalle_FotoHash')
+    CREATE INDEX IX_PPDetalle_FotoHash ON dbo.ProgramacionProduccion_Detalle (FotoHash) INCLUDE (TiempoDePesado, FotoPurgada)
+    WHERE FotoHash IS NOT NULL;
+GO
@@ -0,0 +1,32 @@
+-- 015_correcciones_pesado.sql — historial de correcciones de pesados ya registrados (POST /peso/correccion)
+-- Cada corrección guarda los valores que tenía la línea antes de reabrirla o enmendarla.
+
+IF OBJECT_ID('dbo.PesadosCorrecciones', 'U') IS NULL
+    CREATE TABLE dbo.PesadosCorrecciones (
+        Identificador           INT IDENTITY(1,1) PRIMARY KEY,
+        Consecutivo             BIGINT          NOT NULL,
+        Secuencia               INT             NOT NULL,
+        Accion                  VARCHAR(10)     NOT NULL CHECK (Accion IN ('reabrir', 'corregir')),
+        -- Valores anteriores de ProgramacionProduccion_Detalle
+        TaraAnterior            DECIMAL(18, 12) NULL,
+        PesoAnterior            DECIMAL(18, 2)  NULL,
+        EtiquetaAnterior        NVARCHAR(299)   NULL,
+        TiempoDePesadoAnterior  DATETIME        NULL,
+        UsuarioPesadoAnterior   NVARCHAR(50)    NULL,
+        LoteProveedorAnterior   NVARCHAR(50)    NULL,
+        FotoHashAnterior        CHAR(64)        NULL,
+        -- Valores nuevos (NULL al reabrir: la línea vuelve a pendiente)
+        TaraNueva               DECIMAL(18, 12) NULL,
+        PesoNuevo               DECIMAL(18, 2)  NULL,
+        EtiquetaNueva           NVARCHAR(299)   NULL,
+        Motivo                  NVARCHAR(500)   NOT NULL,
+        Supervisor              NVARCHAR(50)    NOT NULL,   -- quien aprobó con sus credenciales
+        Usuario                 NVARCHAR(50)    NOT NULL,   -- quien la solicitó
+        LoteReabierto           BIT             NOT NULL DEFAULT 0,   -- el lote estaba completado y volvió a abrirse
+        Fecha                   DATETIME        NOT NULL DEFAULT GETDATE()
+    );
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PesadosCorrecciones_Lote')
+    CREATE INDEX IX_PesadosCorrecciones_Lote ON dbo.PesadosCorrecciones (Consecutivo, Secuencia, Fecha);
+GO
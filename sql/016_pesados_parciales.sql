@@ -0,0 +1,35 @@
+-- 016_pesados_parciales.sql — pesado de un ingrediente en varios contenedores (POST /peso con Parcial)
+-- Cada contenedor guarda su tara, etiqueta, lote de proveedor y foto. ProgramacionProduccion_Detalle recibe
+-- la suma al cerrar la línea (acumulado dentro de tolerancia).
+
+IF OBJECT_ID('dbo.PesadosParciales', 'U') IS NULL
+    CREATE TABLE dbo.PesadosParciales (
+        Identificador   INT IDENTITY(1,1) PRIMARY KEY,
+        Consecutivo     BIGINT          NOT NULL,
+        Secuencia       INT             NOT NULL,
+        Parcial         INT             NOT NULL,   -- 1, 2, … por línea (los anulados conservan su número)
+        TaraReal        DECIMAL(18, 12) NOT NULL,
+        PesoReal        DECIMAL(18, 2)  NOT NULL,   -- unidad del lote, como PesoProgramado
+        EtiquetaLeida   NVARCHAR(299)   NULL,
+        LoteProveedor   NVARCHAR(50)    NULL,
+        ProveedorID     INT             NULL,
+        FotoEscaneo     VARBINARY(MAX)  NULL,
+        FotoHash        CHAR(64)        NULL,
+        FotoMime        VARCHAR(50)     NULL,
+        FotoTamano      INT             NULL,
+        FotoPurgada     DATETIME        NULL,
+        UsuarioPesado   NVARCHAR(50)    NOT NULL,
+        TiempoDePesado  DATETIME        NOT NULL,
+        Anulado         DATETIME        NULL,       -- la línea se reabrió (PesadosCorrecciones); ya no suma
+        CONSTRAINT UQ_PesadosParciales UNIQUE (Consecutivo, Secuencia, Parcial)
+    );
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PesadosParciales_LoteProveedor')
+    CREATE INDEX IX_PesadosParciales_LoteProveedor ON dbo.PesadosParciales (LoteProveedor) WHERE LoteProveedor IS NOT NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PesadosParciales_FotoHash')
+    CREATE INDEX IX_PesadosParciales_FotoHash ON dbo.PesadosParciales (FotoHash) INCLUDE (TiempoDePesado, FotoPurgada)
+    WHERE FotoHash IS NOT NULL;
+GO
@@ -0,0 +1,17 @@
+-- 017_alergenos.sql — alérgenos y atributos de ingredientes; limpieza de línea antes de un lote
+-- El perfil de un producto se deriva de sus ingredientes (allergens.js): no se guarda.
+
+IF OBJECT_ID('dbo.IngredientesEtiquetas', 'U') IS NULL
+    CREATE TABLE dbo.IngredientesEtiquetas (
+        Ingrediente     INT          NOT NULL,   -- Ingredientes.Identificador
+        Tipo            VARCHAR(10)  NOT NULL,   -- alergeno | atributo
+        Codigo          VARCHAR(30)  NOT NULL,   -- alergeno: catálogo de allergens.js; atributo: libre (organico, kosher…)
+        CONSTRAINT PK_IngredientesEtiquetas PRIMARY KEY (Ingrediente, Tipo, Codigo),
+        CONSTRAINT CK_IngredientesEtiquetas_Tipo CHECK (Tipo IN ('alergeno', 'atributo'))
+    );
+GO
+
+-- 1 = se limpia la línea antes de este lote: corta el arrastre de alérgenos del lote anterior
+IF COL_LENGTH('dbo.ProgramacionProduccion_Control', 'LimpiezaPrevia') IS NULL
+    ALTER TABLE dbo.ProgramacionProduccion_Control ADD LimpiezaPrevia BIT NULL;
+GO
@@ -0,0 +1,170 @@
+-- 001_esquema_inicial.sql — esquema SQLite equivalente a la base SQL Server con las migraciones 001–010
+-- Sólo las tablas de los repositorios (repos/*.js). Fechas en texto ISO UTC; BIT → INTEGER 0/1.
+
+CREATE TABLE Clientes (
+    Identificador  INTEGER PRIMARY KEY AUTOINCREMENT,
+    Cliente        TEXT    NOT NULL,
+    Activo         INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE CategoriasIngredientes (
+    Identificador  INTEGER PRIMARY KEY AUTOINCREMENT,
+    Categoria      TEXT    NOT NULL,
+    Activo         INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE ProveedoresIngredientes (
+    Identificador  INTEGER PRIMARY KEY AUTOINCREMENT,
+    Proveedor      TEXT    NOT NULL,
+    Activo         INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE Ingredientes (
+    Identificador  INTEGER PRIMARY KEY AUTOINCREMENT,
+    Ingrediente    TEXT    NOT NULL,
+    Activo         INTEGER NOT NULL DEFAULT 1,
+    CategoriaID    INTEGER NULL REFERENCES CategoriasIngredientes(Identificador),
+    Descripcion    TEXT    NULL,
+    GTIN           TEXT    NULL
+);
+
+CREATE TABLE ToleranciasIngredientes (
+    Ingrediente  INTEGER NOT NULL PRIMARY KEY,
+    Tipo         TEXT    NOT NULL CHECK (Tipo IN ('abs', 'pct')),
+    Valor        REAL    NOT NULL CHECK (Valor >= 0)
+);
+
+CREATE TABLE ToleranciasCategorias (
+    CategoriaID  INTEGER NOT NULL PRIMARY KEY,
+    Tipo         TEXT    NOT NULL CHECK (Tipo IN ('abs', 'pct')),
+    Valor        REAL    NOT NULL CHECK (Valor >= 0)
+);
+
+CREATE TABLE UnidadesDeMedida (
+    Identificador   INTEGER PRIMARY KEY AUTOINCREMENT,
+    UnidaddeMedida  TEXT    NOT NULL,
+    Abreviatura     TEXT    NOT NULL,
+    Activo          INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE Usuarios (
+    Username      TEXT    NOT NULL PRIMARY KEY,
+    Nombre        TEXT    NULL,
+    Correo        TEXT    NULL,
+    PasswordHash  TEXT    NOT NULL,
+    PlanActivo    INTEGER NOT NULL DEFAULT 1,
+    Rol           TEXT    NOT NULL DEFAULT 'operator' CHECK (Rol IN ('operator', 'planner', 'quality', 'admin'))
+);
+
+CREATE TABLE TokensRevocados (
+    Jti       TEXT NOT NULL PRIMARY KEY,
+    ExpiraEn  TEXT NOT NULL
+);
+
+CREATE TABLE ProductosTerminados (
+    CodigoProducto  TEXT    NOT NULL PRIMARY KEY,
+    Descripcion     TEXT    NOT NULL,
+    Cliente         INTEGER NULL REFERENCES Clientes(Identificador),
+    NombreCliente   TEXT    NULL,
+    FechaCreacion   TEXT    NOT NULL,
+    UsuarioCreador  TEXT    NULL,
+    Activo          INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE ProductosTerminados_Detalle (
+    CodigoProducto  TEXT    NOT NULL REFERENCES ProductosTerminados(CodigoProducto),
+    NumIngrediente  INTEGER NOT NULL,
+    Ingrediente     TEXT    NOT NULL,
+    Porcentaje      REAL    NOT NULL,
+    Comentario      TEXT    NULL,
+    PRIMARY KEY (CodigoProducto, NumIngrediente)
+);
+
+CREATE TABLE FormulasVersiones (
+    Identificador    INTEGER PRIMARY KEY AUTOINCREMENT,
+    CodigoProducto   TEXT    NOT NULL,
+    Version          INTEGER NOT NULL,
+    Estado           TEXT    NOT NULL CHECK (Estado IN ('borrador', 'aprobada', 'activa', 'retirada')),
+    NotaCambio       TEXT    NULL,
+    Autor            TEXT    NOT NULL,
+    FechaCreacion    TEXT    NOT NULL,
+    UsuarioAprobo    TEXT    NULL,
+    FechaAprobacion  TEXT    NULL,
+    UsuarioActivo    TEXT    NULL,
+    FechaActivacion  TEXT    NULL,
+    UNIQUE (CodigoProducto, Version)
+);
+
+CREATE TABLE FormulasVersiones_Detalle (
+    Id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    VersionID       INTEGER NOT NULL REFERENCES FormulasVersiones(Identificador),
+    NumIngrediente  INTEGER NOT NULL,
+    Ingrediente     TEXT    NOT NULL,
+    Porcentaje      REAL    NOT NULL,
+    Comentario      TEXT    NULL
+);
+
+-- Consecutivo arranca en 1001 (ver la fila de sqlite_sequence al final)
+CREATE TABLE ProgramacionProduccion (
+    Consecutivo      INTEGER PRIMARY KEY AUTOINCREMENT,
+    ID_Lot           TEXT    NULL,
+    Producto         TEXT    NOT NULL,
+    PesoLote         REAL    NOT NULL,
+    IdUnidadMedida   INTEGER NULL,
+    UsuarioProgramo  TEXT    NULL,
+    FechaProgramo    TEXT    NULL,
+    Cancelado        INTEGER NOT NULL DEFAULT 0,
+    VersionFormula   INTEGER NULL
+);
+
+CREATE TABLE ProgramacionProduccion_Control (
+    Consecutivo       INTEGER NOT NULL PRIMARY KEY REFERENCES ProgramacionProduccion(Consecutivo),
+    LineadeMezclado   INTEGER NULL,
+    FechaProgramada   TEXT    NOT NULL,
+    ProduccionInicio  TEXT    NULL,
+    ProduccionFinal   TEXT    NULL,
+    LoteCompletado    INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE ProgramacionProduccion_Detalle (
+    Consecutivo         INTEGER NOT NULL REFERENCES ProgramacionProduccion(Consecutivo),
+    ProductoTerminado   TEXT    NOT NULL,
+    Secuencia           INTEGER NOT NULL,
+    Ingrediente         TEXT    NOT NULL,
+    Porcentaje          REAL    NOT NULL,
+    PesoProgramado      REAL    NOT NULL,
+    TaraReal            REAL    NULL,
+    PesoReal            REAL    NULL,
+    TiempoDePesado      TEXT    NULL,
+    EtiquetaLeida       TEXT    NULL,
+    FotoEscaneo         BLOB    NULL,
+    DesviacionPeso      REAL    NULL,
+    OverrideSupervisor  TEXT    NULL,
+    OverrideMotivo      TEXT    NULL,
+    OverrideFecha       TEXT    NULL,
+    LoteProveedor       TEXT    NULL,
+    ProveedorID         INTEGER NULL,
+    UsuarioPesado       TEXT    NULL,
+    PRIMARY KEY (Consecutivo, Secuencia)
+);
+
+CREATE INDEX IX_PPControl_FechaProgramada ON ProgramacionProduccion_Control (FechaProgramada);
+CREATE INDEX IX_PPDetalle_LoteProveedor ON ProgramacionProduccion_Detalle (LoteProveedor, ProveedorID);
+
+CREATE TABLE CancelacionesLotes (
+    Id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+    Consecutivo             INTEGER NOT NULL,
+    Motivo                  TEXT    NOT NULL,
+    Comentario              TEXT    NOT NULL,
+    Usuario                 TEXT    NOT NULL,
+    Fecha                   TEXT    NOT NULL,
+    Origen                  TEXT    NOT NULL,
+    FechaRestauracion       TEXT    NULL,
+    UsuarioRestauro         TEXT    NULL,
+    ComentarioRestauracion  TEXT    NULL
+);
+
+CREATE INDEX IX_CancelacionesLotes_Fecha ON CancelacionesLotes (Fecha, Motivo);
+CREATE INDEX IX_CancelacionesLotes_Consecutivo ON CancelacionesLotes (Consecutivo);
+
+INSERT INTO sqlite_sequence (name, seq) VALUES ('ProgramacionProduccion', 1000);
@@ -0,0 +1,6 @@
+-- 002_unidades_de_medida.sql — unidades para /lotesprogramados/programar en una instalación nueva
+
+INSERT INTO UnidadesDeMedida (UnidaddeMedida, Abreviatura, Activo) VALUES
+    ('Kilogramos', 'kg', 1),
+    ('Gramos', 'g', 1),
+    ('Libras', 'lb', 1);
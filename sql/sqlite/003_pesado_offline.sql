@@ -0,0 +1,13 @@
+-- 003_pesado_offline.sql — claves de idempotencia de /peso y /peso/sincronizar (ver sql/011_pesado_offline.sql)
+
+CREATE TABLE PesadosIdempotencia (
+    Clave           TEXT    NOT NULL PRIMARY KEY,
+    Consecutivo     INTEGER NOT NULL,
+    Secuencia       INTEGER NOT NULL,
+    Usuario         TEXT    NOT NULL,
+    FechaCaptura    TEXT    NULL,
+    Fecha           TEXT    NOT NULL,
+    Respuesta       TEXT    NULL
+);
+
+CREATE INDEX IX_PesadosIdempotencia_Fecha ON PesadosIdempotencia (Fecha);
@@ -0,0 +1,10 @@
+-- 004_bloqueos_lotes.sql — bloqueo de un lote por estación (ver sql/012_bloqueos_lotes.sql)
+
+CREATE TABLE BloqueosLotes (
+    Consecutivo     INTEGER NOT NULL PRIMARY KEY,
+    Estacion        TEXT    NOT NULL,
+    Usuario         TEXT    NOT NULL,
+    Desde           TEXT    NOT NULL,
+    Expira          TEXT    NOT NULL,
+    UltimoLatido    TEXT    NOT NULL
+);
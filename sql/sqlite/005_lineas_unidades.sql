@@ -0,0 +1,22 @@
+-- 005_lineas_unidades.sql — líneas de mezclado y factores de conversión (ver sql/013_lineas_unidades.sql)
+
+CREATE TABLE LineasMezclado (
+    Identificador       INTEGER NOT NULL PRIMARY KEY,
+    Nombre              TEXT    NOT NULL,
+    Capacidad           REAL    NULL,
+    UnidadCapacidad     TEXT    NOT NULL DEFAULT 'kg',
+    TurnosPorDia        INTEGER NOT NULL DEFAULT 1,
+    Activo              INTEGER NOT NULL DEFAULT 1
+);
+
+INSERT INTO LineasMezclado (Identificador, Nombre) VALUES (1, 'Línea 1'), (2, 'Línea 2');
+
+CREATE INDEX IX_PPControl_Linea_Fecha ON ProgramacionProduccion_Control (LineadeMezclado, FechaProgramada);
+
+ALTER TABLE UnidadesDeMedida ADD COLUMN FactorKg REAL NULL;
+ALTER TABLE UnidadesDeMedida ADD COLUMN Decimales INTEGER NULL;
+
+UPDATE UnidadesDeMedida SET FactorKg = 1, Decimales = 3 WHERE lower(Abreviatura) = 'kg';
+UPDATE UnidadesDeMedida SET FactorKg = 0.001, Decimales = 0 WHERE lower(Abreviatura) = 'g';
+UPDATE UnidadesDeMedida SET FactorKg = 0.45359237, Decimales = 3 WHERE lower(Abreviatura) = 'lb';
+UPDATE UnidadesDeMedida SET FactorKg = 0.028349523, Decimales = 2 WHERE lower(Abreviatura) = 'oz';
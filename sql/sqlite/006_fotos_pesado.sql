@@ -0,0 +1,9 @@
+-- 006_fotos_pesado.sql — metadatos de la foto del pesado (ver sql/014_fotos_pesado.sql)
+-- SQLite no calcula sha-256: las fotos anteriores quedan sin FotoHash y server.js lo obtiene al leerlas.
+
+ALTER TABLE ProgramacionProduccion_Detalle ADD COLUMN FotoHash TEXT NULL;
+ALTER TABLE ProgramacionProduccion_Detalle ADD COLUMN FotoMime TEXT NULL;
+ALTER TABLE ProgramacionProduccion_Detalle ADD COLUMN FotoTamano INTEGER NULL;
+ALTER TABLE ProgramacionProduccion_Detalle ADD COLUMN FotoPurgada TEXT NULL;
+
+CREATE INDEX IX_PPDetalle_FotoHash ON ProgramacionProduccion_Detalle (FotoHash);
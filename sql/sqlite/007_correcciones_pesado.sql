@@ -0,0 +1,25 @@
+-- 007_correcciones_pesado.sql — historial de correcciones de pesados (ver sql/015_correcciones_pesado.sql)
+
+CREATE TABLE PesadosCorrecciones (
+    Identificador           INTEGER PRIMARY KEY AUTOINCREMENT,
+    Consecutivo             INTEGER NOT NULL,
+    Secuencia               INTEGER NOT NULL,
+    Accion                  TEXT    NOT NULL CHECK (Accion IN ('reabrir', 'corregir')),
+    TaraAnterior            REAL    NULL,
+    PesoAnterior            REAL    NULL,
+    EtiquetaAnterior        TEXT    NULL,
+    TiempoDePesadoAnterior  TEXT    NULL,
+    UsuarioPesadoAnterior   TEXT    NULL,
+    LoteProveedorAnterior   TEXT    NULL,
+    FotoHashAnterior        TEXT    NULL,
+    TaraNueva               REAL    NULL,
+    PesoNuevo               REAL    NULL,
+    EtiquetaNueva           TEXT    NULL,
+    Motivo                  TEXT    NOT NULL,
+    Supervisor              TEXT    NOT NULL,
+    Usuario                 TEXT    NOT NULL,
+    LoteReabierto           INTEGER NOT NULL DEFAULT 0,
+    Fecha                   TEXT    NOT NULL
+);
+
+CREATE INDEX IX_PesadosCorrecciones_Lote ON PesadosCorrecciones (Consecutivo, Secuencia, Fecha);
@@ -0,0 +1,25 @@
+-- 008_pesados_parciales.sql — pesado de un ingrediente en varios contenedores (ver sql/016_pesados_parciales.sql)
+
+CREATE TABLE PesadosParciales (
+    Identificador   INTEGER PRIMARY KEY AUTOINCREMENT,
+    Consecutivo     INTEGER NOT NULL,
+    Secuencia       INTEGER NOT NULL,
+    Parcial         INTEGER NOT NULL,
+    TaraReal        REAL    NOT NULL,
+    PesoReal        REAL    NOT NULL,
+    EtiquetaLeida   TEXT    NULL,
+    LoteProveedor   TEXT    NULL,
+    ProveedorID     INTEGER NULL,
+    FotoEscaneo     BLOB    NULL,
+    FotoHash        TEXT    NULL,
+    FotoMime        TEXT    NULL,
+    FotoTamano      INTEGER NULL,
+    FotoPurgada     TEXT    NULL,
+    UsuarioPesado   TEXT    NOT NULL,
+    TiempoDePesado  TEXT    NOT NULL,
+    Anulado         TEXT    NULL,
+    UNIQUE (Consecutivo, Secuencia, Parcial)
+);
+
+CREATE INDEX IX_PesadosParciales_LoteProveedor ON PesadosParciales (LoteProveedor);
+CREATE INDEX IX_PesadosParciales_FotoHash ON PesadosParciales (FotoHash);
@@ -0,0 +1,10 @@
+-- 009_alergenos.sql — alérgenos y atributos de ingredientes (ver sql/017_alergenos.sql)
+
+CREATE TABLE IngredientesEtiquetas (
+    Ingrediente     INTEGER NOT NULL,
+    Tipo            TEXT    NOT NULL CHECK (Tipo IN ('alergeno', 'atributo')),
+    Codigo          TEXT    NOT NULL,
+    PRIMARY KEY (Ingrediente, Tipo, Codigo)
+);
+
+ALTER TABLE ProgramacionProduccion_Control ADD COLUMN LimpiezaPrevia INTEGER NULL;
@@ -0,0 +1,29 @@
+-- 010_auditoria_tablero.sql — bitácora de escrituras y eventos del tablero (ver sql/007_tablero.sql y sql/009_auditoria.sql)
+
+CREATE TABLE EventosTablero (
+    Id               INTEGER PRIMARY KEY AUTOINCREMENT,   -- id SSE (Last-Event-ID)
+    Tipo             TEXT    NOT NULL,
+    Fecha            TEXT    NOT NULL,
+    Consecutivo      INTEGER NULL,
+    LineadeMezclado  INTEGER NULL,
+    FechaProgramada  TEXT    NULL,
+    Datos            TEXT    NULL                          -- JSON
+);
+
+CREATE TABLE Auditoria (
+    Id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    Fecha       TEXT    NOT NULL,
+    Usuario     TEXT    NULL,
+    Rol         TEXT    NULL,
+    Metodo      TEXT    NOT NULL,
+    Ruta        TEXT    NOT NULL,
+    Estado      INTEGER NOT NULL,
+    Entidad     TEXT    NULL,
+    EntidadId   TEXT    NULL,                              -- uno o varios ids separados por coma
+    Antes       TEXT    NULL,                              -- JSON
+    Despues     TEXT    NULL,                              -- JSON
+    Ip          TEXT    NULL
+);
+
+CREATE INDEX IX_Auditoria_Entidad ON Auditoria (Entidad, Fecha);
+CREATE INDEX IX_Auditoria_Usuario ON Auditoria (Usuario, Fecha);
@@ -0,0 +1,44 @@
+-- 011_inventario_basculas.sql — libro de inventario y básculas por línea (ver sql/005_inventario.sql y sql/006_basculas.sql)
+
+CREATE TABLE InventarioLotes (
+    Identificador   INTEGER PRIMARY KEY AUTOINCREMENT,
+    Ingrediente     INTEGER NOT NULL,
+    ProveedorID     INTEGER NOT NULL,
+    LoteProveedor   TEXT    NOT NULL,
+    Caducidad       TEXT    NULL,
+    FechaRecepcion  TEXT    NOT NULL,
+    UNIQUE (Ingrediente, ProveedorID, LoteProveedor)
+);
+
+CREATE TABLE InventarioMovimientos (
+    Identificador     INTEGER PRIMARY KEY AUTOINCREMENT,
+    LoteInventarioID  INTEGER NULL REFERENCES InventarioLotes (Identificador),  -- NULL: consumo sin existencia
+    Ingrediente       INTEGER NOT NULL,
+    Tipo              TEXT    NOT NULL CHECK (Tipo IN ('recepcion', 'ajuste', 'conteo', 'consumo')),
+    Cantidad          REAL    NOT NULL,                                          -- entradas +, salidas −
+    Fecha             TEXT    NOT NULL,
+    Usuario           TEXT    NULL,
+    Referencia        TEXT    NULL,
+    Comentario        TEXT    NULL,
+    Consecutivo       INTEGER NULL,
+    Secuencia         INTEGER NULL
+);
+
+CREATE INDEX IX_InventarioMovimientos_Lote ON InventarioMovimientos (LoteInventarioID);
+CREATE INDEX IX_InventarioMovimientos_Ingrediente ON InventarioMovimientos (Ingrediente, Fecha);
+CREATE INDEX IX_InventarioMovimientos_Linea ON InventarioMovimientos (Consecutivo, Secuencia);
+
+CREATE TABLE Basculas (
+    Identificador    INTEGER PRIMARY KEY AUTOINCREMENT,
+    Nombre           TEXT    NOT NULL,
+    LineadeMezclado  INTEGER NOT NULL,
+    Protocolo        TEXT    NOT NULL CHECK (Protocolo IN ('mt-sics', 'continuo', 'simulador')),
+    Transporte       TEXT    NOT NULL CHECK (Transporte IN ('tcp', 'serial', 'simulador')),
+    Host             TEXT    NULL,
+    Puerto           INTEGER NULL,
+    RutaSerial       TEXT    NULL,
+    Baudios          INTEGER NULL,
+    Unidad           TEXT    NOT NULL DEFAULT 'kg',
+    Resolucion       REAL    NOT NULL DEFAULT 0.001,
+    Activo           INTEGER NOT NULL DEFAULT 1
+);
@@ -0,0 +1,134 @@
+// Alérgenos y atributos: etiquetas por ingrediente, perfil derivado del producto, advertencias de cambio de producto
+// en la misma línea al programar/mover (o 409 con ALERGENOS_MODO=bloquear) y secuencia recomendada del día
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+import { changeover, parseTags, profiles, recommendSequence } from '../allergens.js';
+
+test('parseTags: normaliza, valida el catálogo de alérgenos y el formato de los atributos', () => {
+    assert.deepEqual(parseTags({ Alergenos: [' Leche', 'gluten', 'leche'], Atributos: ['Kosher'] }), { Alergenos: ['gluten', 'leche'], Atributos: ['kosher'] });
+    assert.deepEqual(parseTags({}), { Alergenos: [], Atributos: [] });
+    assert.match(parseTags({ Alergenos: ['mani'] }).error, /desconocidos: mani/);
+    assert.match(parseTags({ Atributos: ['sin gluten'] }).error, /inválidos/);
+    assert.ok(parseTags({ Alergenos: 'leche' }).error);
+});
+
+test('profiles: alérgenos por unión, atributos por intersección; changeover en un solo sentido', () => {
+    const perfiles = profiles([
+        { P: 'A', Ingrediente: '1', Tipo: 'alergeno', Codigo: 'leche' },
+        { P: 'A', Ingrediente: '1', Tipo: 'atributo', Codigo: 'kosher' },
+        { P: 'A', Ingrediente: '2', Tipo: null, Codigo: null },
+        { P: 'B', Ingrediente: '2', Tipo: 'atributo', Codigo: 'vegano' },
+    ], 'P');
+    assert.deepEqual(perfiles.get('A'), { Alergenos: ['leche'], Atributos: [], Ingredientes: 2 });
+    assert.deepEqual(perfiles.get('B'), { Alergenos: [], Atributos: ['vegano'], Ingredientes: 1 });
+
+    assert.deepEqual(changeover(perfiles.get('A'), perfiles.get('B')), { Alergenos: ['leche'], Atributos: ['vegano'] });
+    assert.equal(changeover(perfiles.get('B'), perfiles.get('A')), null);
+    assert.equal(changeover(null, perfiles.get('A')), null);
+});
+
+test('recommendSequence: los fijos no se mueven; lo menos alergénico primero y limpieza sólo si no queda otro', () => {
+    const lote = (Consecutivo, Alergenos, Atributos = [], Fijo = false) => ({ Consecutivo, Fijo, Perfil: { Alergenos, Atributos } });
+    const orden = (lotes) => recommendSequence(lotes).map(l => [l.Consecutivo, !!l.LimpiezaPrevia]);
+    assert.deepEqual(orden([lote(1, ['leche']), lote(2, []), lote(3, ['leche', 'soya'])]), [[2, false], [1, false], [3, false]]);
+    assert.deepEqual(orden([lote(1, ['soya'], [], true), lote(2, [], ['vegano']), lote(3, ['soya'])]), [[1, false], [3, false], [2, true]]);
+});
+
+let srv;
+let planeador;
+const hoy = new Date().toISOString().slice(0, 10);
+// Azúcar (1) con leche: PT-001 queda con gluten y leche, PT-002 (Harina y Sal) con gluten y vegano
+const conLeche = (servidor, token) => servidor.api('PUT', '/api/Ingredientes/1/etiquetas', { token, body: { Alergenos: ['leche'], Atributos: [] } });
+const programar = (servidor, token, extra = {}) => servidor.api('POST', '/lotesprogramados/programar', {
+    token, body: { CodigoProducto: 'PT-002', FechaProgramada: `${hoy}T10:00:00Z`, CantidadLotes: 1, PesoPorLote: 20, UnidadMedidaId: 1, LineadeMezclado: 1, ...extra }
+});
+before(async () => {
+    srv = await iniciarServidor();
+    planeador = await srv.login('planeador');
+});
+after(() => srv?.detener());
+
+test('etiquetas del ingrediente y perfil derivado del producto', async () => {
+    const catalogo = (await srv.api('GET', '/api/Ingredientes/alergenos', { token: planeador })).body;
+    assert.deepEqual(catalogo.find(a => a.Codigo === 'leche'), { Codigo: 'leche', Nombre: 'Leche' });
+    assert.deepEqual((await srv.api('GET', '/api/Ingredientes/3/etiquetas', { token: planeador })).body, { Id: 3, Alergenos: ['gluten'], Atributos: ['vegano'] });
+
+    const desconocido = await srv.api('PUT', '/api/Ingredientes/1/etiquetas', { token: planeador, body: { Alergenos: ['mani'] } });
+    assert.equal(desconocido.status, 400);
+    assert.match(desconocido.body.detalle, /mani/);
+    assert.equal((await srv.api('PUT', '/api/Ingredientes/99/etiquetas', { token: planeador, body: { Alergenos: [] } })).status, 404);
+    const operador = await srv.login('operador');
+    assert.equal((await conLeche(srv, operador)).status, 403);
+
+    const r = await conLeche(srv, planeador);
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.deepEqual([r.body.Alergenos, r.body.Atributos], [['leche'], []]);
+
+    const pt1 = (await srv.api('GET', '/api/ProductosTerminados/PT-001/alergenos', { token: planeador })).body;
+    assert.deepEqual([pt1.Alergenos, pt1.Atributos], [['gluten', 'leche'], []]);
+    assert.deepEqual(pt1.Ingredientes[0], { Ingrediente: '1', Nombre: 'Azúcar; Refinado', Alergenos: ['leche'], Atributos: [] });
+    const pt2 = (await srv.api('GET', '/api/ProductosTerminados/PT-002/alergenos', { token: planeador })).body;
+    assert.deepEqual([pt2.Alergenos, pt2.Atributos], [['gluten'], ['vegano']]);
+    assert.equal((await srv.api('GET', '/api/ProductosTerminados/PT-404/alergenos', { token: planeador })).status, 404);
+});
+
+test('programar detrás de un perfil incompatible advierte; la secuencia recomienda el orden sin limpiezas', async () => {
+    const r = await programar(srv, planeador);
+    assert.equal(r.status, 201, JSON.stringify(r.body));
+    assert.equal(r.body.advertencias.length, 1);
+    const [aviso] = r.body.advertencias;
+    assert.deepEqual([aviso.LineadeMezclado, aviso.Fecha, aviso.Anterior.Consecutivo, aviso.Siguiente.Producto], [1, hoy, 1002, 'PT-002']);
+    assert.deepEqual([aviso.Alergenos, aviso.Atributos], [['leche'], ['vegano']]);
+    const nuevo = Number(r.body.lotes[0].Consecutivo);
+
+    const secuencia = async () => (await srv.api('GET', `/lotesprogramados/secuencia?fecha=${hoy}&linea=1`, { token: planeador })).body[0];
+    const dia = await secuencia();
+    assert.deepEqual(dia.Actual.Lotes.map(l => l.Consecutivo), [1001, 1002, nuevo]);
+    assert.deepEqual(dia.Actual.Lotes[2].Cambio, { Alergenos: ['leche'], Atributos: ['vegano'] });
+    assert.deepEqual([dia.Actual.Cambios, dia.Actual.SinLimpieza], [1, 1]);
+    assert.deepEqual(dia.Recomendada.Lotes.map(l => [l.Consecutivo, l.Cambio]), [[nuevo, null], [1001, null], [1002, null]]);
+    assert.equal(dia.Recomendada.Limpiezas, 0);
+
+    // Con la limpieza programada el cambio queda resuelto
+    const limpieza = await srv.api('PUT', `/lotesprogramados/${nuevo}/limpieza`, { token: planeador, body: { LimpiezaPrevia: true } });
+    assert.equal(limpieza.status, 200);
+    const limpia = (await secuencia()).Actual;
+    assert.deepEqual([limpia.Cambios, limpia.SinLimpieza], [1, 0]);
+    assert.equal((await srv.api('PUT', '/lotesprogramados/9999/limpieza', { token: planeador, body: { LimpiezaPrevia: true } })).status, 404);
+    assert.equal((await srv.api('GET', '/lotesprogramados/secuencia', { token: planeador })).status, 400);
+
+    // Mover 1003 (PT-002) a hoy lo deja detrás de 1002 (PT-001): sólo ese cambio es nuevo
+    const mover = await srv.api('POST', '/lotesprogramados/mover', { token: planeador, body: { Movimientos: [{ Consecutivo: 1003, FechaProgramada: hoy }] } });
+    assert.equal(mover.status, 200, JSON.stringify(mover.body));
+    assert.deepEqual(mover.body.advertencias.map(a => [a.Anterior.Consecutivo, a.Siguiente.Consecutivo]), [[1002, 1003]]);
+});
+
+test('ALERGENOS_MODO=bloquear: 409 allergen_conflict sin escribir; con LimpiezaPrevia se programa y se mueve', async () => {
+    const bloqueo = await iniciarServidor({ ALERGENOS_MODO: 'bloquear' });
+    try {
+        const token = await bloqueo.login('planeador');
+        assert.equal((await conLeche(bloqueo, token)).status, 200);
+
+        const rechazado = await programar(bloqueo, token);
+        assert.equal(rechazado.status, 409);
+        assert.equal(rechazado.body.error, 'allergen_conflict');
+        assert.equal(rechazado.body.conflictos[0].Anterior.Consecutivo, 1002);
+        const lotes = async () => (await bloqueo.api('GET', `/lotesprogramados/secuencia?fecha=${hoy}&linea=1`, { token })).body[0].Actual.Lotes.length;
+        assert.equal(await lotes(), 2);
+
+        const conLimpieza = await programar(bloqueo, token, { LimpiezaPrevia: true });
+        assert.equal(conLimpieza.status, 201, JSON.stringify(conLimpieza.body));
+        assert.deepEqual(conLimpieza.body.advertencias, []);
+        assert.equal(await lotes(), 3);
+
+        const movimiento = { Consecutivo: 1003, FechaProgramada: hoy };
+        const mover = (m) => bloqueo.api('POST', '/lotesprogramados/mover', { token, body: { Movimientos: [m] } });
+        assert.equal((await mover(movimiento)).status, 409);
+        const movido = await mover({ ...movimiento, LimpiezaPrevia: true });
+        assert.equal(movido.status, 200, JSON.stringify(movido.body));
+        assert.deepEqual(movido.body.advertencias, []);
+    } finally {
+        bloqueo.detener();
+    }
+});
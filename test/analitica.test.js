@@ -0,0 +1,96 @@
+// Analítica: variación y regalo, tiempos de ciclo y ritmo, cumplimiento contra FechaProgramada; rango y agrupación en la API
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+import { cycleTimes, scheduleAdherence, timeStats, weightVariance } from '../analytics.js';
+
+const pesado = (Consecutivo, Ingrediente, UsuarioPesado, hora, ProgramadoKg, RealKg) => ({
+    Consecutivo, Ingrediente, NombreIngrediente: `Ing ${Ingrediente}`, UsuarioPesado, TiempoDePesado: `2026-03-02T${hora}:00Z`,
+    ProgramadoKg, RealKg, Producto: 'PT-001', DescripcionPT: 'Premezcla dulce', LineadeMezclado: 1, NombreLinea: 'L1'
+});
+const PESADOS = [
+    pesado(1, '1', 'ana', '08:00', 10, 10.5),
+    pesado(1, '2', 'ana', '08:10', 5, 4.5),
+    pesado(2, '1', 'luis', '09:00', 10, 10),
+    pesado(2, '2', 'luis', '10:30', 5, 5.2),
+];
+
+test('timeStats: promedio, mediana, p90 y máximo', () => {
+    assert.equal(timeStats([]), null);
+    assert.deepEqual(timeStats([10, 2, 4, 8, 6]), { Muestras: 5, PromedioMin: 6, MedianaMin: 6, P90Min: 10, MaxMin: 10 });
+});
+
+test('weightVariance: regalo y faltante en kg y % sobre lo programado, por grupo', () => {
+    const r = weightVariance(PESADOS, 'operador');
+    assert.deepEqual(r.total, {
+        Pesados: 4, ProgramadoKg: 30, RealKg: 30.2, VariacionKg: 0.2, VariacionPct: 0.67,
+        RegaloKg: 0.7, RegaloPct: 2.33, FaltanteKg: 0.5, FaltantePct: 1.67, DesviacionAbsMediaPct: 4.75
+    });
+    assert.deepEqual(r.grupos.map(g => [g.Clave, g.VariacionKg, g.RegaloKg, g.FaltanteKg]), [['ana', 0, 0.5, 0.5], ['luis', 0.2, 0.2, 0]]);
+    assert.deepEqual(weightVariance(PESADOS, 'ingrediente').grupos.map(g => [g.Clave, g.Nombre, g.Pesados]), [['1', 'Ing 1', 2], ['2', 'Ing 2', 2]]);
+});
+
+test('cycleTimes: ciclo de lotes completados, minutos entre pesados y ritmo sin las pausas', () => {
+    const lotes = [
+        { Consecutivo: 1, Producto: 'PT-001', LineadeMezclado: 1, ProduccionInicio: '2026-03-02T08:00:00Z', ProduccionFinal: '2026-03-02T08:10:00Z', LoteCompletado: 1 },
+        { Consecutivo: 2, Producto: 'PT-001', LineadeMezclado: 1, ProduccionInicio: '2026-03-02T09:00:00Z', ProduccionFinal: null, LoteCompletado: 0 },
+    ];
+    const r = cycleTimes(lotes, PESADOS, 'producto', 30);
+    assert.equal(r.total.CicloLote.Muestras, 1);
+    assert.equal(r.total.CicloLote.PromedioMin, 10);
+    assert.deepEqual(r.total.EntrePesados, { Muestras: 2, PromedioMin: 50, MedianaMin: 10, P90Min: 90, MaxMin: 90 });
+    // Sólo 08:00 → 08:10 cuenta como tiempo activo; los huecos de 50 y 90 min son pausas
+    assert.deepEqual([r.total.HorasActivas, r.total.PesadosPorHora, r.total.KgPorHora], [0.17, 6, 27]);
+
+    const porOperador = cycleTimes(lotes, PESADOS, 'operador', 120);
+    assert.deepEqual(porOperador.grupos.map(g => [g.Clave, g.Pesados, g.CicloLote, g.HorasActivas]), [['ana', 2, null, 0.17], ['luis', 2, null, 1.5]]);
+});
+
+test('scheduleAdherence: completados, en proceso, pendientes, cancelados y atrasos', () => {
+    const lote = (FechaProgramada, extra = {}) => ({
+        Producto: 'PT-001', LineadeMezclado: 1, FechaProgramada, ProduccionInicio: null, ProduccionFinal: null, LoteCompletado: 0, Cancelado: 0, ...extra
+    });
+    const lotes = [
+        lote('2026-03-02', { ProduccionInicio: '2026-03-02T08:00:00Z', ProduccionFinal: '2026-03-02T09:00:00Z', LoteCompletado: 1 }),
+        lote('2026-03-02', { ProduccionInicio: '2026-03-04T08:00:00Z', ProduccionFinal: '2026-03-04T09:00:00Z', LoteCompletado: 1 }),
+        lote('2026-03-03', { ProduccionInicio: '2026-03-03T08:00:00Z' }),
+        lote('2026-03-06'),
+        lote('2026-03-01', { Cancelado: 1 }),
+    ];
+    const { total } = scheduleAdherence(lotes, 'producto', '2026-03-05');
+    assert.deepEqual(total, {
+        Programados: 5, Completados: 2, EnProceso: 1, Pendientes: 1, Cancelados: 1,
+        Atrasados: 2, CompletadosATiempo: 1, CumplimientoPct: 25, AtrasoPromedioDias: 2
+    });
+});
+
+let srv;
+let planeador;
+before(async () => {
+    srv = await iniciarServidor();
+    planeador = await srv.login('planeador');
+});
+after(() => srv?.detener());
+
+test('API: rango y agrupación validados; un pesado aparece en la variación del día', async () => {
+    const hoy = new Date().toISOString().slice(0, 10);
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1001, Estacion: 'T1' } })).status, 200);
+    const peso = await srv.api('POST', '/peso', {
+        token: operador, body: { Estacion: 'T1', Consecutivo: 1001, ProductoTerminado: 'PT-001', Secuencia: 1, Ingrediente: '1', Tara: 0, Peso: 10.6 }
+    });
+    assert.equal(peso.status, 201, JSON.stringify(peso.body));
+
+    const r = await srv.api('GET', `/api/Analitica/variacion?inicio=${hoy}&fin=${hoy}&agrupar=operador`, { token: planeador });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.Unidad, 'kg');
+    assert.deepEqual(r.body.grupos.map(g => [g.Clave, g.Pesados, g.ProgramadoKg, g.RealKg, g.RegaloKg]), [['operador', 1, 10.5, 10.6, 0.1]]);
+
+    const cumplimiento = await srv.api('GET', `/api/Analitica/cumplimiento?inicio=${hoy}&fin=${hoy}`, { token: planeador });
+    assert.equal(cumplimiento.body.total.EnProceso, 1);
+    assert.equal((await srv.api('GET', `/api/Analitica/cumplimiento?inicio=${hoy}&fin=${hoy}&agrupar=operador`, { token: planeador })).status, 400);
+    assert.equal((await srv.api('GET', '/api/Analitica/variacion?inicio=2026-03-10&fin=2026-03-01', { token: planeador })).status, 400);
+    assert.equal((await srv.api('GET', '/api/Analitica/variacion?inicio=2024-01-01&fin=2026-01-01', { token: planeador })).status, 400);
+    assert.equal((await srv.api('GET', `/api/Analitica/tiempos?inicio=${hoy}&fin=${hoy}&pausa=0`, { token: planeador })).status, 400);
+    assert.equal((await srv.api('GET', `/api/Analitica/variacion?inicio=${hoy}&fin=${hoy}`, { token: operador })).status, 403);
+});
@@ -0,0 +1,70 @@
+// Auditoría: quién cambió qué, de qué valor a cuál; credenciales ocultas y sin entradas para escrituras sin efecto
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let calidad;
+before(async () => {
+    srv = await iniciarServidor();
+    calidad = await srv.login('calidad');
+});
+after(() => srv?.detener());
+
+// La entrada se guarda al terminar la respuesta
+const auditoria = async (query) => {
+    await new Promise(r => setTimeout(r, 50));
+    return (await srv.api('GET', `/api/Auditoria?${query}`, { token: calidad })).body;
+};
+
+test('ajuste de inventario: usuario, entidad y existencia antes/después', async () => {
+    const r = await srv.api('POST', '/api/Inventario/ajustes', { token: calidad, body: { LoteInventarioId: 2, Cantidad: -5, Comentario: 'Merma' } });
+    assert.equal(r.status, 201);
+    const [e] = await auditoria('entidad=InventarioLotes&entidadId=2');
+    assert.equal(e.Usuario, 'calidad');
+    assert.equal(e.Rol, 'quality');
+    assert.equal(e.Metodo, 'POST');
+    assert.equal(e.Estado, 201);
+    assert.deepEqual(e.Antes, { Existencia: r.body.existencia + 5 });
+    assert.equal(e.Despues.Existencia, r.body.existencia);
+    assert.equal(e.Despues.Movimiento, 'ajuste');
+});
+
+test('cancelación: una entrada por lote cancelado y ninguna si no cambió nada', async () => {
+    const planeador = await srv.login('planeador');
+    const razon = { Motivo: 'cambio_plan', Comentario: 'Se reprograma' };
+    assert.equal((await srv.api('DELETE', '/lotesprogramados/1003', { token: planeador, body: razon })).status, 200);
+    const [e] = (await srv.api('GET', '/api/Auditoria/ProgramacionProduccion/1003', { token: calidad })).body;
+    assert.equal(e.Usuario, 'planeador');
+    assert.deepEqual(e.Antes, { Cancelado: false });
+    assert.equal(e.Despues.Cancelado, true);
+    assert.equal(e.Despues.Motivo, 'cambio_plan');
+
+    const otra = await srv.api('DELETE', '/lotesprogramados/1003', { token: planeador, body: razon });
+    assert.deepEqual(otra.body.rowsAffected, [0]);
+    const entradas = (await auditoria('entidad=ProgramacionProduccion')).filter(x => x.Ruta === '/lotesprogramados/1003');
+    assert.equal(entradas.length, 1);
+    assert.ok(!(await auditoria('entidad=ProgramacionProduccion')).some(x => x.EntidadId === ''));
+});
+
+test('login: la contraseña nunca se guarda', async () => {
+    await srv.api('POST', '/login', { body: { Username: 'operador', Password: 'incorrecta' } });
+    const [e] = await auditoria('usuario=operador');
+    assert.equal(e.Ruta, '/login');
+    assert.equal(e.Estado, 401);
+    assert.equal(e.Despues.Password, '***');
+});
+
+test('escritura sin setAudit: Despues es el cuerpo y la entidad sale de la ruta', async () => {
+    const admin = await srv.login('demo');
+    const r = await srv.api('POST', '/api/Inventario/conteos', { token: admin, body: { LoteInventarioId: 999, CantidadContada: 1 } });
+    assert.equal(r.status, 404);
+    const [e] = await auditoria('usuario=demo');
+    assert.equal(e.Entidad, 'Inventario');
+    assert.equal(e.EntidadId, null);
+    assert.deepEqual(e.Despues, { LoteInventarioId: 999, CantidadContada: 1 });
+});
+
+test('sólo calidad (o admin) consulta la bitácora', async () => {
+    assert.equal((await srv.api('GET', '/api/Auditoria', { token: await srv.login('operador') })).status, 403);
+});
@@ -0,0 +1,63 @@
+// Sesión y roles: login, usuarios inactivos, rotación y revocación de tokens, control de acceso por rol
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+before(async () => { srv = await iniciarServidor(); });
+after(() => srv?.detener());
+
+const credenciales = (usuario, password = usuario) => ({ body: { Username: usuario, Password: password } });
+
+test('login: contraseña incorrecta y usuario inactivo → 401 sin tokens', async () => {
+    const malo = await srv.api('POST', '/login', credenciales('operador', 'otra'));
+    assert.equal(malo.status, 401);
+    const inactivo = await srv.api('POST', '/login', credenciales('baja'));
+    assert.equal(inactivo.status, 401);
+    assert.equal(inactivo.body.accessToken, undefined);
+});
+
+test('login → /me con los datos del usuario', async () => {
+    const r = await srv.api('POST', '/login', credenciales('planeador'));
+    assert.equal(r.status, 200);
+    assert.equal(r.body.Rol, 'planner');
+    assert.equal(r.body.tokenType, 'Bearer');
+    const me = await srv.api('GET', '/me', { token: r.body.accessToken });
+    assert.equal(me.body.Username, 'planeador');
+    assert.equal(me.body.Rol, 'planner');
+});
+
+test('sin token o con token inválido → 401', async () => {
+    assert.equal((await srv.api('GET', '/me')).status, 401);
+    assert.equal((await srv.api('GET', '/api/Auditoria')).status, 401);
+    assert.equal((await srv.api('GET', '/me', { token: 'no.es.token' })).status, 401);
+});
+
+test('rol insuficiente → 403; admin pasa siempre', async () => {
+    const operador = await srv.login('operador');
+    const planeador = await srv.login('planeador');
+    const admin = await srv.login('demo');
+    assert.equal((await srv.api('GET', '/api/Auditoria', { token: operador })).status, 403);
+    assert.equal((await srv.api('POST', '/peso', { token: planeador, body: {} })).status, 403);
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: planeador, body: { Consecutivo: 1001, Estacion: 'T9' } })).status, 403);
+    assert.equal((await srv.api('GET', '/api/Auditoria', { token: admin })).status, 200);
+    assert.equal((await srv.api('GET', '/lotesprogramados?inicio=2000-01-01&fin=2100-01-01', { token: operador })).status, 200);
+});
+
+test('/refresh rota el refresh token: el anterior ya no sirve', async () => {
+    const { body } = await srv.api('POST', '/login', credenciales('calidad'));
+    const r = await srv.api('POST', '/refresh', { body: { refreshToken: body.refreshToken } });
+    assert.equal(r.status, 200);
+    assert.ok(r.body.accessToken && r.body.refreshToken);
+    assert.equal((await srv.api('GET', '/me', { token: r.body.accessToken })).body.Rol, 'quality');
+    assert.equal((await srv.api('POST', '/refresh', { body: { refreshToken: body.refreshToken } })).status, 401);
+    assert.equal((await srv.api('POST', '/refresh', { body: { refreshToken: body.accessToken } })).status, 401);
+});
+
+test('/logout revoca el access token y el refresh indicado', async () => {
+    const { body } = await srv.api('POST', '/login', credenciales('operador'));
+    const salida = await srv.api('POST', '/logout', { token: body.accessToken, body: { refreshToken: body.refreshToken } });
+    assert.equal(salida.status, 200);
+    assert.equal((await srv.api('GET', '/me', { token: body.accessToken })).status, 401);
+    assert.equal((await srv.api('POST', '/refresh', { body: { refreshToken: body.refreshToken } })).status, 401);
+});
@@ -0,0 +1,44 @@
+// Básculas: el operador lee y captura (tara/cero); configurar y simular es sólo de admin
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+before(async () => { srv = await iniciarServidor(); });
+after(() => srv?.detener());
+
+const BASCULA = { Nombre: 'Báscula 3', LineadeMezclado: 1, Protocolo: 'simulador', Transporte: 'simulador', Resolucion: 0.01 };
+
+test('lectura: operador, planeador y calidad', async () => {
+    for (const usuario of ['operador', 'planeador', 'calidad']) {
+        const r = await srv.api('GET', '/basculas', { token: await srv.login(usuario) });
+        assert.equal(r.status, 200);
+        assert.ok(r.body.some(b => b.Id === 1));
+    }
+});
+
+test('captura: tara y cero para el operador, no para el planeador', async () => {
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/basculas/1/tara', { token: operador })).status, 200);
+    assert.equal((await srv.api('POST', '/basculas/1/cero', { token: operador })).status, 200);
+    assert.equal((await srv.api('POST', '/basculas/1/tara', { token: await srv.login('planeador') })).status, 403);
+});
+
+test('configuración y simulador: 403 para el operador', async () => {
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/basculas', { token: operador, body: BASCULA })).status, 403);
+    assert.equal((await srv.api('PUT', '/basculas/1', { token: operador, body: BASCULA })).status, 403);
+    assert.equal((await srv.api('POST', '/basculas/1/simulador', { token: operador, body: { Peso: 5 } })).status, 403);
+});
+
+test('admin registra, reconfigura y simula', async () => {
+    const admin = await srv.login('demo');
+    const alta = await srv.api('POST', '/basculas', { token: admin, body: BASCULA });
+    assert.equal(alta.status, 201);
+    const cambio = await srv.api('PUT', `/basculas/${alta.body.id}`, { token: admin, body: { ...BASCULA, Nombre: 'Báscula 3b' } });
+    assert.equal(cambio.status, 200);
+    const lista = (await srv.api('GET', '/basculas', { token: admin })).body;
+    assert.equal(lista.find(b => b.Id === alta.body.id)?.Nombre, 'Báscula 3b');
+    assert.equal((await srv.api('PUT', '/basculas/999', { token: admin, body: BASCULA })).status, 404);
+    assert.equal((await srv.api('POST', '/basculas/1/simulador', { token: admin, body: { Peso: 5 } })).status, 200);
+});
@@ -0,0 +1,97 @@
+// Cancelación de lotes: motivo obligatorio, eliminar-rango con dryRun, restaurar (sólo sin iniciar) y reporte por motivo
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let planeador;
+let semana;
+before(async () => {
+    srv = await iniciarServidor();
+    planeador = await srv.login('planeador');
+    const r = await srv.api('POST', '/api/lotes/programar', { token: planeador, body: { FormulaId: 'PT-002', Fecha: '2030-03-05T08:00:00Z', Cantidad: 3, Peso: 20 } });
+    assert.equal(r.status, 201, JSON.stringify(r.body));
+    semana = r.body.lotes.map(l => l.Consecutivo);
+});
+after(() => srv?.detener());
+
+const HOY = new Date().toISOString().slice(0, 10);
+const RAZON = { Motivo: 'cambio_plan', Comentario: 'Se movió la semana' };
+const RANGO = { inicio: '2030-03-04', fin: '2030-03-10' };
+// Lotes vigentes (cancelables) de la semana, según el dryRun
+const vigentes = async () => (await srv.api('POST', '/lotesprogramados/eliminar-rango', { token: planeador, body: { ...RANGO, dryRun: true } })).body
+    .consecutivos.sort();
+
+test('sin Motivo válido o sin Comentario → 400 y nada se cancela', async () => {
+    const motivos = (await srv.api('GET', '/lotesprogramados/motivos-cancelacion', { token: planeador })).body;
+    assert.ok(motivos.some(m => m.Codigo === 'cambio_plan'));
+
+    const [primero] = semana;
+    for (const body of [{ consecutivos: [primero] }, { consecutivos: [primero], Motivo: 'capricho', Comentario: 'x' }, { consecutivos: [primero], Motivo: 'otro', Comentario: ' ' }]) {
+        const r = await srv.api('POST', '/lotesprogramados/eliminar', { token: planeador, body });
+        assert.equal(r.status, 400);
+    }
+    assert.equal((await srv.api('DELETE', `/lotesprogramados/${primero}`, { token: planeador })).status, 400);
+    assert.equal((await srv.api('POST', '/lotesprogramados/eliminar-rango', { token: planeador, body: RANGO })).status, 400);
+    assert.deepEqual(await vigentes(), [...semana].sort());
+});
+
+test('eliminar-rango con dryRun lista los consecutivos sin cancelar; sin dryRun los cancela', async () => {
+    const simulacro = await srv.api('POST', '/lotesprogramados/eliminar-rango', { token: planeador, body: { ...RANGO, dryRun: true } });
+    assert.equal(simulacro.status, 200);
+    assert.equal(simulacro.body.dryRun, true);
+    assert.equal(simulacro.body.eliminados, semana.length);
+    assert.deepEqual(simulacro.body.lotes.map(l => l.Producto), semana.map(() => 'PT-002'));
+    assert.deepEqual(await vigentes(), [...semana].sort());
+
+    const r = await srv.api('POST', '/lotesprogramados/eliminar-rango', { token: planeador, body: { ...RANGO, ...RAZON } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.eliminados, semana.length);
+    assert.deepEqual(await vigentes(), []);
+
+    const historial = (await srv.api('GET', `/lotesprogramados/cancelaciones?desde=${HOY}&hasta=${HOY}&motivo=cambio_plan`, { token: planeador })).body;
+    for (const c of semana) {
+        const fila = historial.find(h => h.Consecutivo === c);
+        assert.equal(fila.Usuario, 'planeador');
+        assert.equal(fila.Comentario, 'Se movió la semana');
+        assert.equal(fila.Origen, 'eliminar-rango');
+    }
+});
+
+test('restaurar devuelve los cancelados sin iniciar y omite el resto', async () => {
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1001, Estacion: 'T1' } })).status, 200);
+    const peso = await srv.api('POST', '/peso', {
+        token: operador, body: { Estacion: 'T1', Consecutivo: 1001, ProductoTerminado: 'PT-001', Secuencia: 1, Ingrediente: '1', Tara: 0, Peso: 10.5 }
+    });
+    assert.equal(peso.status, 201, JSON.stringify(peso.body));
+    assert.equal((await srv.api('DELETE', '/lotesprogramados/1001', { token: planeador, body: { Motivo: 'calidad', Comentario: 'Retenido' } })).status, 200);
+
+    const [restaurar] = semana;
+    const r = await srv.api('POST', '/lotesprogramados/restaurar', { token: planeador, body: { consecutivos: [restaurar, 1001, 1002, 999999], Comentario: 'Error' } });
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.restaurados, [restaurar]);
+    assert.deepEqual(r.body.omitidos, [
+        { Consecutivo: 1001, motivo: 'iniciado' },
+        { Consecutivo: 1002, motivo: 'no_cancelado' },
+        { Consecutivo: 999999, motivo: 'no_existe' },
+    ]);
+    assert.deepEqual(await vigentes(), [restaurar]);
+
+    const fila = (await srv.api('GET', `/lotesprogramados/cancelaciones?desde=${HOY}&hasta=${HOY}`, { token: planeador })).body.find(h => h.Consecutivo === restaurar);
+    assert.equal(fila.UsuarioRestauro, 'planeador');
+    assert.ok(fila.FechaRestauracion);
+});
+
+test('reporte de cancelaciones por motivo y periodo', async () => {
+    const r = await srv.api('GET', `/lotesprogramados/cancelaciones/reporte?desde=${HOY}&hasta=${HOY}&periodo=mes`, { token: planeador });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.total, semana.length + 1);
+    assert.equal(r.body.restaurados, 1);
+    assert.deepEqual(r.body.porMotivo.map(m => [m.Motivo, m.Cancelados, m.Restaurados]), [['cambio_plan', semana.length, 1], ['calidad', 1, 0]]);
+    assert.equal(r.body.porMotivo[0].Descripcion, 'Cambio en el plan de producción');
+    assert.deepEqual(r.body.porPeriodo.map(p => p.Periodo), [HOY.slice(0, 7), HOY.slice(0, 7)]);
+
+    assert.equal((await srv.api('GET', `/lotesprogramados/cancelaciones/reporte?desde=${HOY}&hasta=${HOY}&periodo=anio`, { token: planeador })).status, 400);
+    assert.equal((await srv.api('GET', '/lotesprogramados/cancelaciones/reporte', { token: planeador })).status, 400);
+});
@@ -0,0 +1,72 @@
+// Catálogos maestros (categorías, proveedores, unidades): alta, cambio, activar/desactivar y sus reglas
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let planeador;
+before(async () => {
+    srv = await iniciarServidor();
+    planeador = await srv.login('planeador');
+});
+after(() => srv?.detener());
+
+const CATEGORIAS = '/api/Ingredientes/categorias';
+const listado = async (base, estado = '') => (await srv.api('GET', `${base}/listado${estado && `?estado=${estado}`}`, { token: planeador })).body;
+
+test('alta, duplicado, cambio y baja/alta de una categoría', async () => {
+    const alta = await srv.api('POST', `${CATEGORIAS}/nuevo`, { token: planeador, body: { Nombre: 'Colorantes' } });
+    assert.equal(alta.status, 201);
+    const id = alta.body.id;
+    assert.deepEqual((await listado(CATEGORIAS)).find(c => c.Id === id), { Id: id, Nombre: 'Colorantes', Activo: true });
+
+    assert.equal((await srv.api('POST', `${CATEGORIAS}/nuevo`, { token: planeador, body: { Nombre: 'colorantes ' } })).status, 409);
+    assert.equal((await srv.api('PUT', `${CATEGORIAS}/actualizar/${id}`, { token: planeador, body: { Nombre: 'Base' } })).status, 409);
+    assert.equal((await srv.api('PUT', `${CATEGORIAS}/actualizar/${id}`, { token: planeador, body: { Nombre: 'Pigmentos' } })).status, 200);
+    assert.equal((await srv.api('PUT', `${CATEGORIAS}/actualizar/9999`, { token: planeador, body: { Nombre: 'X' } })).status, 404);
+
+    assert.equal((await srv.api('POST', `${CATEGORIAS}/${id}/desactivar`, { token: planeador })).status, 200);
+    assert.deepEqual((await listado(CATEGORIAS)).find(c => c.Id === id), { Id: id, Nombre: 'Pigmentos', Activo: false });
+    assert.equal((await srv.api('POST', `${CATEGORIAS}/${id}/activar`, { token: planeador })).status, 200);
+    assert.equal((await listado(CATEGORIAS)).find(c => c.Id === id).Activo, true);
+});
+
+test('Activo al registrar: booleano o 1/0; cualquier otra cosa → 400', async () => {
+    const inactiva = await srv.api('POST', `${CATEGORIAS}/nuevo`, { token: planeador, body: { Nombre: 'Reservada', Activo: 0 } });
+    assert.equal(inactiva.status, 201);
+    assert.equal((await listado(CATEGORIAS)).find(c => c.Id === inactiva.body.id).Activo, false);
+    for (const Activo of ['false', 'true', 2, 'si']) {
+        const r = await srv.api('POST', `${CATEGORIAS}/nuevo`, { token: planeador, body: { Nombre: `Otra ${Activo}`, Activo } });
+        assert.equal(r.status, 400, `Activo = ${JSON.stringify(Activo)}`);
+    }
+});
+
+test('no se desactiva lo que está en uso', async () => {
+    const base = await srv.api('POST', `${CATEGORIAS}/1/desactivar`, { token: planeador });
+    assert.equal(base.status, 409);
+    assert.equal(base.body.error, 'in_use');
+    assert.ok(base.body.referencias.length > 0);
+
+    const proveedor = await srv.api('POST', '/api/Ingredientes/proveedores/1/desactivar', { token: planeador });
+    assert.equal(proveedor.status, 409);
+    assert.equal(proveedor.body.error, 'in_use');
+});
+
+test('unidades: validación de FactorKg y kg no se desactiva', async () => {
+    const unidades = '/unidadesdemedida';
+    assert.equal((await srv.api('POST', `${unidades}/nuevo`, { token: planeador, body: { Nombre: 'Onzas', Abreviatura: 'oz', FactorKg: 0 } })).status, 400);
+    assert.equal((await srv.api('POST', `${unidades}/nuevo`, { token: planeador, body: { Nombre: 'Onzas', Abreviatura: 'o z', FactorKg: 0.028 } })).status, 400);
+    const oz = await srv.api('POST', `${unidades}/nuevo`, { token: planeador, body: { Nombre: 'Onzas', Abreviatura: 'oz', FactorKg: 0.028349523, Decimales: 2 } });
+    assert.equal(oz.status, 201);
+    assert.equal((await listado(unidades)).find(u => u.Id === oz.body.id).Abreviatura, 'oz');
+
+    const kg = await srv.api('POST', `${unidades}/1/desactivar`, { token: planeador });
+    assert.equal(kg.status, 409);
+    assert.equal(kg.body.error, 'unit_in_use');
+});
+
+test('el operador lee activos pero no escribe', async () => {
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', `${CATEGORIAS}/nuevo`, { token: operador, body: { Nombre: 'Nueva' } })).status, 403);
+    assert.equal((await srv.api('POST', '/unidadesdemedida/nuevo', { body: { Nombre: 'Onzas', Abreviatura: 'oz', FactorKg: 0.028 } })).status, 401);
+});
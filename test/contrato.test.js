@@ -0,0 +1,98 @@
+// Contrato OpenAPI: toda ruta de server.js está documentada, las peticiones se validan con un solo sobre de error
+// y las respuestas de los datos demo cumplen el contrato (OPENAPI_RESPUESTAS_ESTRICTAS convierte una desviación en 500)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { iniciarServidor } from './servidor.js';
+import { spec, toErrorEnvelope } from '../openapi.js';
+
+let srv;
+let admin;
+before(async () => {
+    srv = await iniciarServidor({ OPENAPI_RESPUESTAS_ESTRICTAS: 'true' });
+    admin = await srv.login('demo');
+});
+after(() => srv?.detener());
+
+test('cada ruta registrada en server.js tiene su operación en el contrato', async () => {
+    const fuente = await readFile(new URL('../server.js', import.meta.url), 'utf8');
+    const faltan = [];
+    for (const [, metodo, ruta] of fuente.matchAll(/app\.(get|post|put|delete)\('([^']+)'/g)) {
+        if (['/openapi.json', '/docs'].includes(ruta)) continue;
+        if (!spec.paths[ruta.replace(/:(\w+)/g, '{$1}')]?.[metodo]) faltan.push(`${metodo.toUpperCase()} ${ruta}`);
+    }
+    assert.deepEqual(faltan, []);
+});
+
+test('toErrorEnvelope: { error, mensaje } conservando los demás campos', () => {
+    assert.deepEqual(toErrorEnvelope(400, { mensaje: 'consecutivo_required' }), { error: 'consecutivo_required', mensaje: 'consecutivo_required' });
+    assert.deepEqual(toErrorEnvelope(404, { mensaje: '❌ Lote no encontrado' }), { error: 'not_found', mensaje: '❌ Lote no encontrado' });
+    assert.deepEqual(toErrorEnvelope(409, { error: 'in_use', mensaje: 'En uso', referencias: [1] }), { error: 'in_use', mensaje: 'En uso', referencias: [1] });
+    assert.deepEqual(toErrorEnvelope(400, { mensaje: 'Error al guardar', detalle: 'Parámetros incompletos' }),
+        { error: 'bad_request', mensaje: 'Error al guardar', detalle: 'Parámetros incompletos' });
+    assert.deepEqual(toErrorEnvelope(500, 'boom'), { error: 'server_error', mensaje: 'boom', detalle: 'boom' });
+});
+
+test('GET /openapi.json y /docs', async () => {
+    const r = await srv.api('GET', '/openapi.json');
+    assert.equal(r.status, 200);
+    assert.match(r.body.openapi, /^3\./);
+    assert.deepEqual(Object.keys(r.body.paths), Object.keys(spec.paths));
+    const docs = await srv.api('GET', '/docs');
+    assert.equal(docs.status, 200);
+    assert.match(docs.body, /swagger-ui/);
+});
+
+test('petición fuera de contrato → 400 validation_error con los campos', async () => {
+    const r = await srv.api('PUT', '/api/Ingredientes/actualizar/1', { token: admin, body: { Ingrediente: '', Activo: 'si' } });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, 'validation_error');
+    assert.equal(r.body.mensaje, 'Solicitud inválida');
+    assert.ok(r.body.campos.length > 0);
+    for (const c of r.body.campos) assert.match(c.campo, /^body\./);
+
+    const query = await srv.api('GET', '/api/Analitica/variacion?inicio=ayer&fin=2026-01-31', { token: admin });
+    assert.equal(query.status, 400);
+    assert.equal(query.body.error, 'validation_error');
+    assert.ok(query.body.campos.some(c => c.campo === 'query.inicio'));
+});
+
+test('errores de handler y rutas inexistentes usan el mismo sobre', async () => {
+    const lote = await srv.api('GET', '/api/Trazabilidad/atras?consecutivo=999999', { token: admin });
+    assert.equal(lote.status, 404);
+    assert.deepEqual(lote.body, { error: 'not_found', mensaje: '❌ Lote no encontrado' });
+    const ruta = await srv.api('GET', '/no-existe', { token: admin });
+    assert.equal(ruta.status, 404);
+    assert.equal(ruta.body.error, 'not_found');
+    const sinToken = await srv.api('GET', '/lotesprogramados');
+    assert.equal(sinToken.status, 401);
+    assert.equal(typeof sinToken.body.error, 'string');
+    assert.equal(typeof sinToken.body.mensaje, 'string');
+});
+
+test('las respuestas de los datos demo cumplen el contrato', async () => {
+    const hoy = new Date().toISOString().slice(0, 10);
+    const rutas = [
+        '/health', '/me', '/api/Clientes/activos', '/api/Clientes/listado', '/api/Ingredientes/categorias', '/api/Ingredientes/proveedores',
+        '/api/Ingredientes/categorias/listado', '/api/Ingredientes/proveedores/listado', '/api/Ingredientes/listado', '/api/Ingredientes/activos',
+        '/api/Ingredientes/tolerancias', '/api/Ingredientes/alergenos', '/api/Ingredientes/3/etiquetas', '/api/Formulas/activas',
+        `/lotesprogramados?inicio=${hoy}&fin=${hoy}`, `/lotesprogramados?inicio=${hoy}&fin=${hoy}&pagina=1&tamano=2`,
+        '/unidadesdemedida/activas', '/unidadesdemedida/listado',
+        '/lotesprogramados/detallelote?consecutivo=1001', '/lotesprogramados/1001/parciales', '/lotesprogramados/1001/correcciones',
+        '/lotesprogramados/motivos-cancelacion', `/lotesprogramados/cancelaciones?desde=${hoy}&hasta=${hoy}`,
+        `/lotesprogramados/cancelaciones/reporte?desde=${hoy}&hasta=${hoy}`, `/lotesprogramados/carga?inicio=${hoy}&fin=${hoy}`,
+        `/lotesprogramados/secuencia?linea=1&fecha=${hoy}`, '/api/Lineas', '/basculas', '/basculas/1/lectura',
+        '/api/ProductosTerminados/listado', '/api/ProductosTerminados/detalle/PT-001', '/api/ProductosTerminados/PT-001/versiones',
+        '/api/ProductosTerminados/PT-001/versiones/1', '/api/ProductosTerminados/PT-001/alergenos', '/api/ProductosTerminados/existecodigo?codigo=PT-001',
+        '/api/Inventario/existencias', '/api/Inventario/existencias/lotes', '/api/Inventario/movimientos',
+        '/api/Trazabilidad/adelante?loteProveedor=LP-0001', '/api/Trazabilidad/atras?consecutivo=1001',
+        `/api/Analitica/variacion?inicio=${hoy}&fin=${hoy}`, `/api/Analitica/tiempos?inicio=${hoy}&fin=${hoy}`,
+        `/api/Analitica/cumplimiento?inicio=${hoy}&fin=${hoy}`, '/api/Auditoria',
+    ];
+    const fallas = [];
+    for (const ruta of rutas) {
+        const r = await srv.api('GET', ruta, { token: admin });
+        if (r.status !== 200) fallas.push(`${ruta} → ${r.status} ${JSON.stringify(r.body)}`);
+    }
+    assert.deepEqual(fallas, []);
+});
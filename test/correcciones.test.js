@@ -0,0 +1,79 @@
+// /peso/correccion: corregir o reabrir un pesado con Motivo y supervisor; historial, inventario y lote completado reabierto
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let operador;
+const LOTE = { Estacion: 'T1', Consecutivo: 1003, ProductoTerminado: 'PT-002', Tara: 0 };
+before(async () => {
+    srv = await iniciarServidor();
+    operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1003, Estacion: 'T1' } })).status, 200);
+    assert.equal((await srv.api('POST', '/peso', { token: operador, body: { ...LOTE, Secuencia: 1, Ingrediente: '3', Peso: 45 } })).status, 201);
+    const ultimo = await srv.api('POST', '/peso', { token: operador, body: { ...LOTE, Secuencia: 2, Ingrediente: '2', Peso: 5 } });
+    assert.equal(ultimo.body.completed, true);
+});
+after(() => srv?.detener());
+
+const SUPERVISOR = { Username: 'calidad', Password: 'calidad' };
+const corregir = (body) => srv.api('POST', '/peso/correccion', { token: operador, body: { Consecutivo: 1003, Motivo: 'Contenedor equivocado', Supervisor: SUPERVISOR, ...body } });
+const existencia = async (ingrediente) => (await srv.api('GET', `/api/Inventario/existencias?ingrediente=${ingrediente}`, { token: operador })).body[0].Existencia;
+const historial = async () => (await srv.api('GET', '/lotesprogramados/1003/correcciones', { token: operador })).body.correcciones;
+
+test('Motivo, supervisor válido y Tara/Peso al corregir son obligatorios', async () => {
+    assert.equal((await corregir({ Secuencia: 1, Accion: 'reabrir', Motivo: ' ' })).status, 400);
+    assert.equal((await corregir({ Secuencia: 1, Accion: 'corregir', Tara: 0 })).status, 400);
+    assert.equal((await corregir({ Secuencia: 1, Accion: 'reabrir', Supervisor: { Username: 'calidad', Password: 'x' } })).status, 401);
+    const operadorComoSupervisor = await corregir({ Secuencia: 1, Accion: 'reabrir', Supervisor: { Username: 'operador', Password: 'operador' } });
+    assert.equal(operadorComoSupervisor.status, 403);
+    assert.equal(operadorComoSupervisor.body.error, 'override_forbidden');
+
+    const sinPesar = await corregir({ Consecutivo: 1002, Secuencia: 1, Accion: 'reabrir' });
+    assert.equal(sinPesar.status, 409);
+    assert.equal(sinPesar.body.error, 'not_weighed');
+    assert.equal((await corregir({ Secuencia: 9, Accion: 'reabrir' })).status, 404);
+    assert.deepEqual(await historial(), []);
+});
+
+test('corregir: guarda los valores anteriores, ajusta el consumo y evalúa la tolerancia', async () => {
+    const antes = await existencia(3);
+    const r = await corregir({ Secuencia: 1, Accion: 'corregir', Tara: 0.5, Peso: 44.8 });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.equal(r.body.reabierto, false);
+    assert.equal(r.body.desviacion.dentro, true);
+    assert.deepEqual([r.body.correccion.TaraAnterior, r.body.correccion.PesoAnterior, r.body.correccion.TaraNueva, r.body.correccion.PesoNuevo], [0, 45, 0.5, 44.8]);
+    assert.equal(await existencia(3), antes + 0.2);
+
+    // Fuera de tolerancia queda como override del supervisor
+    const fuera = await corregir({ Secuencia: 1, Accion: 'corregir', Tara: 0.5, Peso: 40 });
+    assert.equal(fuera.status, 200);
+    assert.equal(fuera.body.desviacion.dentro, false);
+
+    const h = await historial();
+    assert.deepEqual(h.map(c => [c.Accion, c.PesoAnterior, c.PesoNuevo]), [['corregir', 45, 44.8], ['corregir', 44.8, 40]]);
+    assert.equal(h[0].Motivo, 'Contenedor equivocado');
+    assert.equal(h[0].Supervisor, 'calidad');
+    assert.equal(h[0].Usuario, 'operador');
+    assert.equal(h[0].LoteReabierto, false);
+});
+
+test('reabrir una línea de un lote completado: el lote vuelve a proceso y se pesa otra vez', async () => {
+    const antes = await existencia(2);
+    const r = await corregir({ Secuencia: 2, Accion: 'reabrir' });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.equal(r.body.reabierto, true);
+    assert.equal(r.body.remaining, 1);
+    assert.equal(await existencia(2), antes + 5);
+
+    const pendiente = (await srv.api('GET', '/lotesprogramados/detallelote?consecutivo=1003', { token: operador })).body.detalle;
+    assert.equal(pendiente.Secuencia, 2);
+
+    const ultima = (await historial()).at(-1);
+    assert.deepEqual([ultima.Accion, ultima.PesoAnterior, ultima.PesoNuevo, ultima.LoteReabierto], ['reabrir', 5, null, true]);
+
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1003, Estacion: 'T1' } })).status, 200);
+    const otraVez = await srv.api('POST', '/peso', { token: operador, body: { ...LOTE, Secuencia: 2, Ingrediente: '2', Peso: 5.02 } });
+    assert.equal(otraVez.status, 201, JSON.stringify(otraVez.body));
+    assert.equal(otraVez.body.completed, true);
+});
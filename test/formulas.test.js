@@ -0,0 +1,77 @@
+// Validación de fórmula: suma 100 ± tolerancia, claves desconocidas/inactivas/repetidas y porcentajes; /validar, nuevo y editar
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+import { validateFormula } from '../formulas.js';
+
+const CATALOGO = new Map([['1', { Nombre: 'Azúcar', Activo: true }], ['2', { Nombre: 'Sal', Activo: true }], ['4', { Nombre: 'Colorante rojo', Activo: false }]]);
+const errores = (r) => r.errores.map(e => [e.linea, e.error]);
+
+test('fórmula válida: porcentajes como texto o número, dentro de la tolerancia', () => {
+    const r = validateFormula([{ Clave: '1', Porcentaje: '60.005' }, { Clave: ' 2 ', Porcentaje: 40 }], CATALOGO);
+    assert.deepEqual(r, { valido: true, suma: 100.005, tolerancia: 0.01, errores: [] });
+    assert.equal(validateFormula([{ Clave: '1', Porcentaje: 99 }, { Clave: '2', Porcentaje: 1.5 }], CATALOGO, 0.5).valido, true);
+});
+
+test('reporte por línea', () => {
+    const r = validateFormula([
+        { Clave: '1', Porcentaje: 50 },
+        { Clave: '1', Porcentaje: 10 },
+        { Clave: '9', Porcentaje: 10 },
+        { Clave: '4', Porcentaje: 10 },
+        { Clave: '', Porcentaje: 10 },
+        { Clave: '2', Porcentaje: 'diez' },
+        { Clave: '2', Porcentaje: 0 },
+        { Clave: '2', Porcentaje: -5 },
+    ], CATALOGO);
+    assert.equal(r.valido, false);
+    assert.deepEqual(errores(r), [
+        [2, 'duplicate_key'],
+        [3, 'unknown_ingredient'],
+        [4, 'inactive_ingredient'],
+        [5, 'missing_key'],
+        [6, 'invalid_percentage'],
+        [7, 'duplicate_key'], [7, 'non_positive_percentage'],
+        [8, 'duplicate_key'], [8, 'non_positive_percentage'],
+        [null, 'percentage_sum'],
+    ]);
+    assert.equal(r.suma, 90);
+    assert.deepEqual(errores(validateFormula([], CATALOGO)), [[null, 'empty_formula']]);
+});
+
+let srv;
+let planeador;
+before(async () => {
+    srv = await iniciarServidor();
+    planeador = await srv.login('planeador');
+});
+after(() => srv?.detener());
+
+const PT = '/api/ProductosTerminados';
+const MALA = [{ Clave: '1', Porcentaje: '50' }, { Clave: '4', Porcentaje: '50' }];
+
+test('POST /validar responde el reporte sin guardar', async () => {
+    const r = await srv.api('POST', `${PT}/validar`, { token: planeador, body: { Ingredientes: MALA } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.valido, false);
+    assert.deepEqual(errores(r.body), [[2, 'inactive_ingredient']]);
+    assert.equal((await srv.api('POST', `${PT}/validar`, { token: planeador, body: { Ingredientes: [{ Clave: '1', Porcentaje: 100 }] } })).body.valido, true);
+    assert.equal((await srv.api('POST', `${PT}/validar`, { token: planeador, body: {} })).status, 400);
+});
+
+test('nuevo y editar rechazan una fórmula inválida con 422 y el mismo reporte', async () => {
+    const nuevo = await srv.api('POST', `${PT}/nuevo`, {
+        token: planeador, body: { Codigo: 'PT-777', Descripcion: 'Prueba', ClienteId: 1, NombreCliente: 'Acme', Ingredientes: MALA }
+    });
+    assert.equal(nuevo.status, 422);
+    assert.equal(nuevo.body.error, 'formula_invalid');
+    assert.deepEqual(errores(nuevo.body), [[2, 'inactive_ingredient']]);
+    assert.equal((await srv.api('GET', `${PT}/existecodigo?codigo=PT-777`, { token: planeador })).body, false);
+
+    const editar = await srv.api('PUT', `${PT}/editar/PT-001`, {
+        token: planeador, body: { Descripcion: 'Premezcla dulce', ClienteId: 1, NombreCliente: 'Acme', Activo: true, Ingredientes: [{ Clave: '1', Porcentaje: 90 }] }
+    });
+    assert.equal(editar.status, 422);
+    assert.deepEqual(errores(editar.body), [[null, 'percentage_sum']]);
+    assert.equal((await srv.api('GET', `${PT}/PT-001/versiones`, { token: planeador })).body.length, 1);
+});
@@ -0,0 +1,136 @@
+// Fotos del pesado: validación por firma, subida multipart, original/miniatura con ETag, almacén por archivo y depuración
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { get } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { iniciarServidor } from './servidor.js';
+import { PhotoError, createPhotoStore, decodePhotoBase64, readPhoto } from '../photos.js';
+
+// PNG de 1×1
+const PNG_B64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const PNG = Buffer.from(PNG_B64, 'base64');
+const codigo = (code) => (e) => e instanceof PhotoError && e.code === code;
+
+test('readPhoto / decodePhotoBase64: tipo por firma, tamaño y base64', () => {
+    assert.deepEqual(decodePhotoBase64(`data:image/png;base64,${PNG_B64}`), PNG);
+    assert.throws(() => decodePhotoBase64('no es base64!'), codigo('photo_invalid'));
+
+    const foto = readPhoto(PNG, 'image/png');
+    assert.equal(foto.mime, 'image/png');
+    assert.equal(foto.tamano, PNG.length);
+    assert.match(foto.hash, /^[0-9a-f]{64}$/);
+    assert.equal(readPhoto(PNG, 'application/octet-stream').mime, 'image/png');
+    assert.throws(() => readPhoto(PNG, 'image/jpeg'), codigo('photo_type'));
+    assert.throws(() => readPhoto(Buffer.from('GIF89a')), codigo('photo_type'));
+    assert.throws(() => readPhoto(Buffer.alloc(0)), codigo('photo_invalid'));
+});
+
+test('almacén por archivo: direccionado por contenido y borrado con sus miniaturas', async () => {
+    const ruta = await mkdtemp(join(tmpdir(), 'fotos-'));
+    const previa = process.env.FOTOS_RUTA;
+    process.env.FOTOS_RUTA = ruta;
+    try {
+        const almacen = createPhotoStore('archivo');
+        const foto = readPhoto(PNG);
+        const columnas = await almacen.guardar(foto);
+        assert.deepEqual(columnas, { FotoEscaneo: null, FotoHash: foto.hash, FotoMime: 'image/png', FotoTamano: PNG.length });
+        assert.deepEqual(await readdir(join(ruta, foto.hash.slice(0, 2))), [foto.hash]);
+        assert.deepEqual(await almacen.leer(columnas), PNG);
+        assert.deepEqual(await almacen.leer({ FotoEscaneo: Buffer.from('bd'), FotoHash: foto.hash }), Buffer.from('bd'));
+
+        let generadas = 0;
+        const generar = async () => { generadas++; return Buffer.from('jpg'); };
+        await almacen.miniatura(foto.hash, 64, generar);
+        await almacen.miniatura(foto.hash, 64, generar);
+        assert.equal(generadas, 1);
+
+        await almacen.borrar(foto.hash);
+        assert.equal(await almacen.leer(columnas), null);
+        assert.deepEqual(await readdir(join(ruta, 'miniaturas', foto.hash.slice(0, 2))), []);
+    } finally {
+        if (previa == null) delete process.env.FOTOS_RUTA;
+        else process.env.FOTOS_RUTA = previa;
+        await rm(ruta, { recursive: true, force: true });
+    }
+    assert.throws(() => createPhotoStore('s3'), /FOTOS_ALMACEN inválido/);
+});
+
+let srv;
+let operador;
+before(async () => {
+    srv = await iniciarServidor();
+    operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1002, Estacion: 'T1' } })).status, 200);
+});
+after(() => srv?.detener());
+
+const PESADO = { Estacion: 'T1', Consecutivo: 1002, ProductoTerminado: 'PT-001', Secuencia: 1, Ingrediente: '1', Tara: 0, Peso: 10.5 };
+const obtener = (ruta) => fetch(srv.base + ruta, { headers: { authorization: `Bearer ${operador}` } });
+// fetch agrega Cache-Control: no-cache a una petición condicional, y con él la respuesta nunca es 304
+const estadoCondicional = (ruta, etag) => new Promise((resolve, reject) => {
+    get(srv.base + ruta, { headers: { authorization: `Bearer ${operador}`, 'if-none-match': etag } }, (r) => {
+        r.resume();
+        resolve(r.statusCode);
+    }).on('error', reject);
+});
+
+test('/peso rechaza lo que no es JPEG/PNG sin registrar el pesado', async () => {
+    const r = await srv.api('POST', '/peso', { token: operador, body: { ...PESADO, FotoBase64: Buffer.from('hola').toString('base64') } });
+    assert.equal(r.status, 415);
+    assert.equal(r.body.error, 'photo_type');
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/1')).status, 404);
+});
+
+test('multipart: la foto se sirve tal cual, con ETag, y su miniatura en JPEG', async () => {
+    const form = new FormData();
+    for (const [k, v] of Object.entries(PESADO)) form.append(k, String(v));
+    form.append('Foto', new Blob([PNG], { type: 'image/png' }), 'etiqueta.png');
+    const subida = await fetch(`${srv.base}/peso`, { method: 'POST', headers: { authorization: `Bearer ${operador}` }, body: form });
+    assert.equal(subida.status, 201, await subida.clone().text());
+
+    const original = await obtener('/lotesprogramados/1002/fotos/1');
+    assert.equal(original.status, 200);
+    assert.equal(original.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await original.arrayBuffer()), PNG);
+    const etag = original.headers.get('etag');
+    assert.equal(await estadoCondicional('/lotesprogramados/1002/fotos/1', etag), 304);
+
+    const miniatura = await obtener('/lotesprogramados/1002/fotos/1/miniatura?lado=64');
+    assert.equal(miniatura.status, 200);
+    assert.equal(miniatura.headers.get('content-type'), 'image/jpeg');
+    assert.deepEqual([...Buffer.from(await miniatura.arrayBuffer()).subarray(0, 3)], [0xff, 0xd8, 0xff]);
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/1/miniatura?lado=1')).status, 400);
+
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/2')).status, 404);
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/99')).status, 404);
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/x')).status, 400);
+});
+
+test('depuración: sólo las fotos vencidas; la fila conserva FotoHash y responde 410', async () => {
+    const hace3Dias = new Date(Date.now() - 3 * 86400000).toISOString();
+    const vieja = await srv.api('POST', '/peso', {
+        token: operador, body: { ...PESADO, Secuencia: 2, Ingrediente: '2', Peso: 0.75, FechaCaptura: hace3Dias, FotoBase64: PNG_B64 }
+    });
+    assert.equal(vieja.status, 201, JSON.stringify(vieja.body));
+
+    const calidad = await srv.login('calidad');
+    assert.equal((await srv.api('POST', '/api/Fotos/purgar', { token: calidad, body: { Dias: 0 } })).status, 400);
+    assert.equal((await srv.api('POST', '/api/Fotos/purgar', { token: operador, body: { Dias: 2 } })).status, 403);
+
+    const simulacro = await srv.api('POST', '/api/Fotos/purgar?dryRun=1', { token: calidad, body: { Dias: 2 } });
+    assert.equal(simulacro.status, 200);
+    assert.deepEqual(simulacro.body.pendientes.map(p => [p.Consecutivo, p.Secuencia]), [[1002, 2]]);
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/2')).status, 200);
+
+    const r = await srv.api('POST', '/api/Fotos/purgar', { token: calidad, body: { Dias: 2 } });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.purgadas, 1);
+    assert.equal(r.body.bytes, PNG.length);
+
+    const purgada = await obtener('/lotesprogramados/1002/fotos/2');
+    assert.equal(purgada.status, 410);
+    assert.equal((await purgada.json()).FotoHash, readPhoto(PNG).hash);
+    assert.equal((await obtener('/lotesprogramados/1002/fotos/1')).status, 200);
+});
@@ -0,0 +1,37 @@
+// Inventario: orden FEFO y reparto de un consumo entre lotes
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateFefo, sortFefo } from '../inventory.js';
+
+const HOY = '2026-10-18';
+const lote = (LoteInventarioId, Existencia, Caducidad, FechaRecepcion = '2026-01-01') => ({ LoteInventarioId, Existencia, Caducidad, FechaRecepcion });
+
+test('sortFefo: caducidad más próxima primero, sin caducidad al final, empate por recepción', () => {
+    const lotes = [lote(1, 5, null), lote(2, 5, '2027-03-01'), lote(3, 5, '2026-12-01', '2026-02-01'), lote(4, 5, '2026-12-01', '2026-01-15')];
+    assert.deepEqual(sortFefo(lotes).map(l => l.LoteInventarioId), [4, 3, 2, 1]);
+    assert.deepEqual(lotes.map(l => l.LoteInventarioId), [1, 2, 3, 4]);
+});
+
+test('allocateFefo: reparte entre lotes en orden FEFO', () => {
+    const r = allocateFefo([lote(1, 10, '2027-01-01'), lote(2, 4, '2026-11-01')], 7, HOY);
+    assert.deepEqual(r.asignaciones.map(a => [a.LoteInventarioId, a.Cantidad]), [[2, 4], [1, 3]]);
+    assert.equal(r.faltante, 0);
+});
+
+test('allocateFefo: omite caducados y lotes sin existencia; caduca hoy sigue vigente', () => {
+    const r = allocateFefo([lote(1, 10, '2026-10-17'), lote(2, 0, '2026-10-20'), lote(3, -2, null), lote(4, 3, HOY)], 2, HOY);
+    assert.deepEqual(r.asignaciones.map(a => [a.LoteInventarioId, a.Cantidad]), [[4, 2]]);
+});
+
+test('allocateFefo: faltante cuando la existencia no alcanza', () => {
+    const r = allocateFefo([lote(1, 1.25, null), lote(2, 0.5, '2026-12-01')], 2, HOY);
+    assert.deepEqual(r.asignaciones.map(a => a.Cantidad), [0.5, 1.25]);
+    assert.equal(r.faltante, 0.25);
+    assert.deepEqual(allocateFefo([], 3, HOY), { asignaciones: [], faltante: 3 });
+});
+
+test('allocateFefo: redondea a 3 decimales', () => {
+    const r = allocateFefo([lote(1, 0.1, null), lote(2, 0.2, null, '2026-02-01')], 0.3, HOY);
+    assert.deepEqual(r.asignaciones.map(a => a.Cantidad), [0.1, 0.2]);
+    assert.equal(r.faltante, 0);
+});
@@ -0,0 +1,68 @@
+// Etiquetas: código plano, GS1-128 (legible y crudo), fechas YYMMDD y dígito verificador GTIN
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLabel, isValidGtin, LabelError } from '../label.js';
+
+const HOY = '2026-10-18';
+
+test('código plano', () => {
+    assert.deepEqual(parseLabel('  ING-001 ', HOY), { formato: 'plain', codigo: 'ING-001' });
+    assert.equal(parseLabel('   ', HOY), null);
+});
+
+test('GS1 legible con paréntesis', () => {
+    const e = parseLabel('(01)07501234567893(10)L123(17)261231(3102)002500', HOY);
+    assert.equal(e.formato, 'gs1');
+    assert.equal(e.gtin, '07501234567893');
+    assert.equal(e.lote, 'L123');
+    assert.equal(e.caducidad, '2026-12-31');
+    assert.deepEqual(e.pesoNeto, { valor: 25, unidad: 'kg' });
+});
+
+test('GS1 crudo con FNC1 y prefijo de simbología', () => {
+    const e = parseLabel(']C10107501234567893' + '10L123\x1d' + '240ING-001\x1d' + '17261231', HOY);
+    assert.equal(e.gtin, '07501234567893');
+    assert.equal(e.lote, 'L123');
+    assert.equal(e.codigoProducto, 'ING-001');
+    assert.equal(e.caducidad, '2026-12-31');
+});
+
+test('GS1 mal formado', () => {
+    assert.throws(() => parseLabel('(01)07501234567890', HOY), LabelError);
+    assert.throws(() => parseLabel('(01)0750123456789', HOY), LabelError);
+    assert.throws(() => parseLabel('(99)ABC', HOY), LabelError);
+    assert.throws(() => parseLabel('(1)L1', HOY), LabelError);
+});
+
+test('fechas: DD = 00 es el último día del mes', () => {
+    assert.equal(parseLabel('(17)260200', HOY).caducidad, '2026-02-28');
+    assert.equal(parseLabel('(17)280200', HOY).caducidad, '2028-02-29');
+    assert.equal(parseLabel('(17)261100', HOY).caducidad, '2026-11-30');
+});
+
+test('fechas: día o mes fuera de rango', () => {
+    assert.throws(() => parseLabel('(17)260230', HOY), LabelError);
+    assert.throws(() => parseLabel('(17)270229', HOY), LabelError);
+    assert.throws(() => parseLabel('(17)260431', HOY), LabelError);
+    assert.throws(() => parseLabel('(17)261301', HOY), LabelError);
+    assert.throws(() => parseLabel('(17)260001', HOY), LabelError);
+});
+
+test('fechas: ventana de siglo GS1 (año actual -49 / +50)', () => {
+    assert.equal(parseLabel('(17)760101', HOY).caducidad, '2076-01-01');
+    assert.equal(parseLabel('(17)770101', HOY).caducidad, '1977-01-01');
+    assert.equal(parseLabel('(11)990101', '2050-01-01').fechaProduccion, '2099-01-01');
+    assert.equal(parseLabel('(11)000101', '2099-06-01').fechaProduccion, '2100-01-01');
+    assert.equal(parseLabel('(11)490101', '2099-06-01').fechaProduccion, '2149-01-01');
+    assert.equal(parseLabel('(11)500101', '2099-06-01').fechaProduccion, '2050-01-01');
+});
+
+test('isValidGtin', () => {
+    assert.equal(isValidGtin('07501234567893'), true);
+    assert.equal(isValidGtin('7501234567893'), true);
+    assert.equal(isValidGtin('96385074'), true);
+    assert.equal(isValidGtin('07501234567890'), false);
+    assert.equal(isValidGtin('0750123456789A'), false);
+    assert.equal(isValidGtin('1234567890'), false);
+    assert.equal(isValidGtin(null), false);
+});
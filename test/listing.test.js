@@ -0,0 +1,62 @@
+// Listados: parámetros de paginación/orden/búsqueda, SQL generado y aplicación en memoria
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseListing, orderBySql, searchSql, pageSql, searchSqlite, pageSqlite, listingParams, applyListing, TAMANO_DEFAULT, TAMANO_MAX
+} from '../listing.js';
+
+const campos = { Nombre: 'c.Nombre', Categoria: 'c.Categoria', Id: 'c.Identificador' };
+const opciones = { campos, porDefecto: 'Nombre' };
+
+test('parseListing: sin pagina/tamano responde el arreglo de siempre', () => {
+    const l = parseListing({}, opciones);
+    assert.deepEqual(l, { paginado: false, pagina: 1, tamano: TAMANO_DEFAULT, offset: 0, orden: [{ campo: 'Nombre', desc: false }], q: null });
+});
+
+test('parseListing: página, orden múltiple y búsqueda', () => {
+    const l = parseListing({ pagina: '3', tamano: '10', orden: 'Categoria, -Nombre', q: '  sal ' }, opciones);
+    assert.equal(l.paginado, true);
+    assert.equal(l.offset, 20);
+    assert.deepEqual(l.orden, [{ campo: 'Categoria', desc: false }, { campo: 'Nombre', desc: true }]);
+    assert.equal(l.q, 'sal');
+    assert.equal(parseListing({ q: 'x'.repeat(150) }, opciones).q.length, 100);
+});
+
+test('parseListing: errores', () => {
+    assert.match(parseListing({ pagina: '0' }, opciones).error, /pagina/);
+    assert.match(parseListing({ tamano: String(TAMANO_MAX + 1) }, opciones).error, /tamano/);
+    assert.match(parseListing({ tamano: '1.5' }, opciones).error, /tamano/);
+    assert.match(parseListing({ orden: 'Password' }, opciones).error, /No se puede ordenar por Password/);
+    assert.match(parseListing({ orden: 'constructor' }, opciones).error, /constructor/);
+});
+
+test('SQL Server: ORDER BY con desempate, búsqueda y página', () => {
+    const l = parseListing({ tamano: '5', orden: '-Categoria', q: 'a' }, opciones);
+    assert.equal(orderBySql(l, campos, 'c.Identificador'), 'ORDER BY c.Categoria DESC, c.Identificador');
+    assert.equal(orderBySql(parseListing({ orden: 'Id' }, opciones), campos, 'c.Identificador'), 'ORDER BY c.Identificador ASC');
+    assert.equal(searchSql(l, ['c.Nombre', 'c.Categoria']), 'AND (c.Nombre LIKE @q OR c.Categoria LIKE @q)');
+    assert.equal(pageSql(l), 'OFFSET @offset ROWS FETCH NEXT @tamano ROWS ONLY');
+    assert.equal(searchSql(parseListing({}, opciones), ['c.Nombre']), '');
+    assert.equal(pageSql(parseListing({}, opciones)), '');
+});
+
+test('SQLite: LIKE con ESCAPE y comodines escapados', () => {
+    const l = parseListing({ pagina: '2', tamano: '5', q: '10%_a\\b' }, opciones);
+    assert.equal(searchSqlite(l, ['Nombre']), "AND (Nombre LIKE @q ESCAPE '\\')");
+    assert.equal(pageSqlite(l), 'LIMIT @tamano OFFSET @offset');
+    assert.deepEqual(listingParams(l), { q: '%10\\%\\_a\\\\b%', offset: 5, tamano: 5 });
+});
+
+test('applyListing: búsqueda sin mayúsculas, orden y sobre paginado', () => {
+    const filas = [
+        { Id: 1, Nombre: 'Sal', Categoria: 'B' },
+        { Id: 2, Nombre: 'Azúcar', Categoria: 'A' },
+        { Id: 3, Nombre: 'Sal de mar', Categoria: null },
+        { Id: 4, Nombre: 'Harina', Categoria: 'A' },
+    ];
+    const todo = applyListing(filas, parseListing({ orden: 'Categoria,-Id' }, opciones), ['Nombre']);
+    assert.deepEqual(todo.map(f => f.Id), [3, 4, 2, 1]);
+
+    const r = applyListing(filas, parseListing({ pagina: '1', tamano: '1', q: 'SAL' }, opciones), ['Nombre']);
+    assert.deepEqual(r, { datos: [filas[0]], pagina: 1, tamano: 1, total: 2, paginas: 2, orden: 'Nombre', q: 'SAL' });
+});
@@ -0,0 +1,70 @@
+// Pesado por partes: cada contenedor con su tara y lote; la línea acumula hacia PesoProgramado y se cierra sola en tolerancia
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let operador;
+before(async () => {
+    srv = await iniciarServidor();
+    operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1003, Estacion: 'T1' } })).status, 200);
+});
+after(() => srv?.detener());
+
+// Lote 1003 (PT-002, 50 kg): Secuencia 1 = Harina 45 kg (±2 %: 44.1–45.9), Secuencia 2 = Sal 5 kg (±0.05)
+const HARINA = { Estacion: 'T1', Consecutivo: 1003, ProductoTerminado: 'PT-002', Secuencia: 1, Ingrediente: '3', Parcial: true };
+const SAL = { ...HARINA, Secuencia: 2, Ingrediente: '2' };
+const pesar = (body) => srv.api('POST', '/peso', { token: operador, body });
+
+test('los contenedores acumulan; el que deja la línea en tolerancia la cierra', async () => {
+    const primero = await pesar({ ...HARINA, Tara: 0.3, Peso: 20, LoteProveedor: 'MN-2407' });
+    assert.equal(primero.status, 201, JSON.stringify(primero.body));
+    assert.deepEqual([primero.body.remaining, primero.body.completed], [2, false]);
+    assert.deepEqual(primero.body.ingrediente, {
+        Secuencia: 1, Parcial: 1, Parciales: 1, cerrado: false, PesoProgramado: 45, Acumulado: 20, Pendiente: 25, Minimo: 44.1, Maximo: 45.9
+    });
+
+    const segundo = await pesar({ ...HARINA, Tara: 0.25, Peso: 20, LoteProveedor: 'MN-2408' });
+    assert.deepEqual([segundo.body.ingrediente.Parcial, segundo.body.ingrediente.Acumulado, segundo.body.ingrediente.Pendiente], [2, 40, 5]);
+
+    const excede = await pesar({ ...HARINA, Tara: 0.2, Peso: 6 });
+    assert.equal(excede.status, 422);
+    assert.equal(excede.body.error, 'out_of_tolerance');
+
+    const cierra = await pesar({ ...HARINA, Tara: 0.2, Peso: 5 });
+    assert.equal(cierra.status, 201);
+    assert.deepEqual([cierra.body.remaining, cierra.body.ingrediente.cerrado, cierra.body.ingrediente.Parciales, cierra.body.ingrediente.Pendiente], [1, true, 3, 0]);
+    assert.equal(cierra.body.next.Secuencia, 2);
+
+    const otro = await pesar({ ...HARINA, Tara: 0, Peso: 1 });
+    assert.equal(otro.status, 409);
+    assert.equal(otro.body.error, 'already_weighed');
+});
+
+test('cada contenedor queda con su tara y lote; la línea con el total', async () => {
+    const { parciales } = (await srv.api('GET', '/lotesprogramados/1003/parciales', { token: operador })).body;
+    assert.deepEqual(parciales.map(p => [p.Secuencia, p.Parcial, p.TaraReal, p.PesoReal, p.Anulado]), [
+        [1, 1, 0.3, 20, null], [1, 2, 0.25, 20, null], [1, 3, 0.2, 5, null]
+    ]);
+    assert.deepEqual(parciales.map(p => p.LoteProveedor).slice(0, 2), ['MN-2407', 'MN-2408']);
+
+    const calidad = await srv.login('calidad');
+    const { materiales } = (await srv.api('GET', '/api/Trazabilidad/atras?consecutivo=1003', { token: calidad })).body;
+    assert.equal(materiales.find(m => m.Secuencia === 1).PesoReal, 45);
+    const adelante = (await srv.api('GET', '/api/Trazabilidad/adelante?loteProveedor=MN-2408', { token: calidad })).body;
+    assert.deepEqual(adelante.lotes.map(l => l.Consecutivo), [1003]);
+});
+
+test('por debajo del mínimo sigue abierta; con Override del supervisor se cierra corta', async () => {
+    const abierta = await pesar({ ...SAL, Tara: 0, Peso: 2 });
+    assert.equal(abierta.body.ingrediente.cerrado, false);
+    const corta = await pesar({ ...SAL, Tara: 0, Peso: 1 });
+    assert.equal(corta.status, 201);
+    assert.deepEqual([corta.body.ingrediente.cerrado, corta.body.ingrediente.Acumulado, corta.body.completed], [false, 3, false]);
+
+    const cierre = await pesar({ ...SAL, Tara: 0, Peso: 1, Override: { Username: 'calidad', Password: 'calidad', Motivo: 'Se terminó la sal' } });
+    assert.equal(cierre.status, 201, JSON.stringify(cierre.body));
+    assert.deepEqual([cierre.body.ingrediente.cerrado, cierre.body.ingrediente.Acumulado, cierre.body.completed], [true, 4, true]);
+    assert.deepEqual(cierre.body.override, { Supervisor: 'calidad', Motivo: 'Se terminó la sal' });
+});
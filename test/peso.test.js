@@ -0,0 +1,40 @@
+// /peso contra DB_BACKEND=memoria: un ingrediente ya pesado no se vuelve a pesar ni consume inventario dos veces
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+before(async () => { srv = await iniciarServidor(); });
+after(() => srv?.detener());
+
+test('segundo /peso de la misma línea → 409 already_weighed, con o sin Idempotency-Key', async () => {
+    const { api, login } = srv;
+    const operador = await login('operador');
+    const reclamo = await api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1001, Estacion: 'T1' } });
+    assert.equal(reclamo.status, 200);
+
+    const peso = { Estacion: 'T1', Consecutivo: 1001, ProductoTerminado: 'PT-001', Secuencia: 1, Ingrediente: '1', Tara: 0, Peso: 10.5 };
+    const consumos = async () => (await api('GET', '/api/Inventario/movimientos?ingrediente=1&tipo=consumo', { token: operador })).body;
+    const antes = (await consumos()).length;
+
+    const primero = await api('POST', '/peso', { token: operador, body: peso, headers: { 'Idempotency-Key': 'peso-1' } });
+    assert.equal(primero.status, 201, JSON.stringify(primero.body));
+    assert.equal(primero.body.ok, true);
+    const despues = (await consumos()).length;
+    assert.ok(despues > antes);
+
+    const repetido = await api('POST', '/peso', { token: operador, body: { ...peso, Peso: 10.4 } });
+    assert.equal(repetido.status, 409);
+    assert.equal(repetido.body.error, 'already_weighed');
+    assert.equal(repetido.body.UsuarioPesado, 'operador');
+
+    const otraClave = await api('POST', '/peso', { token: operador, body: peso, headers: { 'Idempotency-Key': 'peso-2' } });
+    assert.equal(otraClave.status, 409);
+    assert.equal(otraClave.body.error, 'already_weighed');
+
+    const reintento = await api('POST', '/peso', { token: operador, body: peso, headers: { 'Idempotency-Key': 'peso-1' } });
+    assert.equal(reintento.status, 200);
+    assert.equal(reintento.body.ok, true);
+
+    assert.equal((await consumos()).length, despues);
+});
@@ -0,0 +1,61 @@
+// Registro de lote en PDF: se arma desde los datos demo, incrusta la foto del pesado y responde 400/404 sin lote
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+import { renderBatchRecord } from '../batchrecord.js';
+
+// PNG de 1×1
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+let srv;
+let calidad;
+before(async () => {
+    srv = await iniciarServidor();
+    calidad = await srv.login('calidad');
+});
+after(() => srv?.detener());
+
+async function pdf(ruta) {
+    const r = await fetch(srv.base + ruta, { headers: { authorization: `Bearer ${calidad}` } });
+    return { status: r.status, headers: r.headers, cuerpo: Buffer.from(await r.arrayBuffer()) };
+}
+
+const esPdf = (b) => b.subarray(0, 5).toString() === '%PDF-' && b.subarray(-8).toString().includes('%%EOF');
+
+test('GET registro.pdf de un lote demo → PDF con nombre por Consecutivo', async () => {
+    const r = await pdf('/lotesprogramados/1003/registro.pdf');
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('content-type'), 'application/pdf');
+    assert.match(r.headers.get('content-disposition'), /registro-lote-1003\.pdf/);
+    assert.equal(Number(r.headers.get('content-length')), r.cuerpo.length);
+    assert.ok(esPdf(r.cuerpo));
+    assert.ok(!r.cuerpo.includes('/Subtype /Image'));
+});
+
+test('la foto del pesado queda incrustada en el registro', async () => {
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1001, Estacion: 'T1' } })).status, 200);
+    const peso = await srv.api('POST', '/peso', {
+        token: operador,
+        body: { Estacion: 'T1', Consecutivo: 1001, ProductoTerminado: 'PT-001', Secuencia: 1, Ingrediente: '1', Tara: 0.2, Peso: 10.5, FotoBase64: PNG }
+    });
+    assert.equal(peso.status, 201, JSON.stringify(peso.body));
+
+    const r = await pdf('/lotesprogramados/1001/registro.pdf');
+    assert.equal(r.status, 200);
+    assert.ok(esPdf(r.cuerpo));
+    assert.ok(r.cuerpo.includes('/Subtype /Image'));
+});
+
+test('consecutivo inválido → 400; lote inexistente → 404', async () => {
+    assert.equal((await pdf('/lotesprogramados/abc/registro.pdf')).status, 400);
+    assert.equal((await pdf('/lotesprogramados/999999/registro.pdf')).status, 404);
+});
+
+test('renderBatchRecord: lote sin producción, correcciones ni contenedores', async () => {
+    const b = await renderBatchRecord({
+        lote: { Consecutivo: 1, LotePT: 'L-1', Producto: 'PT-001', DescripcionPT: 'Premezcla dulce', Cliente: 'Acme', ProduccionInicio: null, ProduccionFinal: null },
+        lineas: [{ Secuencia: 1, Ingrediente: '1', NombreIngrediente: 'Azúcar', PesoProgramado: 10, PesoReal: null, TaraReal: null, Foto: null }]
+    });
+    assert.ok(esPdf(b));
+});
@@ -0,0 +1,79 @@
+// Arranca server.js con DB_BACKEND=memoria en un puerto libre para las pruebas de API
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+function puertoLibre() {
+    return new Promise((resolve, reject) => {
+        const s = createServer().listen(0, () => {
+            const { port } = s.address();
+            s.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// → { base, api(metodo, ruta, { token, body, headers }) → { status, body, headers }, login(usuario) → accessToken,
+//     stream(ruta, { token, headers }) → lector SSE, detener() }
+export async function iniciarServidor(env = {}) {
+    const puerto = await puertoLibre();
+    const base = `http://127.0.0.1:${puerto}`;
+    const proceso = spawn(process.execPath, ['server.js'], {
+        cwd: fileURLToPath(new URL('..', import.meta.url)),
+        env: { ...process.env, DB_BACKEND: 'memoria', PORT: String(puerto), JWT_SECRET: 'test', FOTOS_ALMACEN: 'bd', ...env },
+        stdio: 'ignore',
+    });
+
+    async function api(metodo, ruta, { token, body, headers = {} } = {}) {
+        const r = await fetch(base + ruta, {
+            method: metodo,
+            headers: { 'content-type': 'application/json', ...(token && { authorization: `Bearer ${token}` }), ...headers },
+            body: body && JSON.stringify(body),
+        });
+        const texto = await r.text();
+        return { status: r.status, body: texto && r.headers.get('content-type')?.includes('json') ? JSON.parse(texto) : texto, headers: r.headers };
+    }
+
+    async function login(usuario) {
+        return (await api('POST', '/login', { body: { Username: usuario, Password: usuario } })).body.accessToken;
+    }
+
+    // Stream SSE → { leer(n) → [{ id, evento, datos }] (espera hasta n eventos), cerrar() }
+    async function stream(ruta, { token, headers = {} } = {}) {
+        const control = new AbortController();
+        const r = await fetch(base + ruta, { headers: { authorization: `Bearer ${token}`, ...headers }, signal: control.signal });
+        const lector = r.body.pipeThrough(new TextDecoderStream()).getReader();
+        let pendiente = '';
+        const recibidos = [];
+        async function leer(n, ms = 5000) {
+            const limite = setTimeout(() => control.abort(), ms);
+            try {
+                while (recibidos.length < n) {
+                    const { value, done } = await lector.read();
+                    if (done) break;
+                    pendiente += value;
+                    let fin;
+                    while ((fin = pendiente.indexOf('\n\n')) >= 0) {
+                        const bloque = pendiente.slice(0, fin);
+                        pendiente = pendiente.slice(fin + 2);
+                        const campos = Object.fromEntries(bloque.split('\n').filter(l => !l.startsWith(':')).map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 1).trim()]));
+                        if (campos.event) recibidos.push({ id: campos.id != null ? Number(campos.id) : null, evento: campos.event, datos: JSON.parse(campos.data) });
+                    }
+                }
+            } finally {
+                clearTimeout(limite);
+            }
+            return recibidos.splice(0, n);
+        }
+        return { status: r.status, leer, cerrar: () => control.abort() };
+    }
+
+    const detener = () => proceso.kill();
+    for (let i = 0; i < 100; i++) {
+        try {
+            if ((await fetch(`${base}/health`)).ok) return { base, api, login, stream, detener };
+        } catch { /* aún no escucha */ }
+        await new Promise(r => setTimeout(r, 100));
+    }
+    detener();
+    throw new Error('El servidor no arrancó');
+}
@@ -0,0 +1,76 @@
+// /peso/sincronizar: cola de una tableta sin red, aplicada en orden de captura con resultado por pesado; reenviarla es seguro
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let operador;
+before(async () => {
+    srv = await iniciarServidor();
+    operador = await srv.login('operador');
+    for (const [Consecutivo, Estacion] of [[1002, 'T2'], [1001, 'T1']]) {
+        assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo, Estacion } })).status, 200);
+    }
+});
+after(() => srv?.detener());
+
+const haceMinutos = (n) => new Date(Date.now() - n * 60000).toISOString();
+const pesado = (ClaveIdempotencia, FechaCaptura, Consecutivo, Secuencia, Ingrediente, Peso) =>
+    ({ ClaveIdempotencia, FechaCaptura, Consecutivo, ProductoTerminado: 'PT-001', Secuencia, Ingrediente, Tara: 0, Peso });
+
+const COLA = [
+    pesado('t2-sal', haceMinutos(10), 1002, 2, '2', 0.75),
+    pesado('t2-azucar', haceMinutos(20), 1002, 1, '1', 10.5),
+    pesado('t2-ajeno', haceMinutos(15), 1001, 1, '1', 10.5),
+    pesado('t2-fantasma', haceMinutos(5), 1002, 99, '1', 1),
+];
+
+test('aplica en orden de FechaCaptura y reporta cada pesado', async () => {
+    const r = await srv.api('POST', '/peso/sincronizar', { token: operador, body: { Estacion: 'T2', Pesados: COLA } });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.deepEqual(
+        r.body.resultados.map(x => [x.ClaveIdempotencia, x.estado, x.status]),
+        [['t2-azucar', 'aplicado', 201], ['t2-ajeno', 'conflicto', 409], ['t2-sal', 'aplicado', 201], ['t2-fantasma', 'rechazado', 404]]
+    );
+    assert.equal(r.body.resultados[1].respuesta.error, 'lease_required');
+    assert.deepEqual([r.body.total, r.body.aplicados, r.body.duplicados, r.body.conflictos, r.body.rechazados], [4, 2, 0, 1, 1]);
+
+    // TiempoDePesado es la hora de captura de la tableta, no la de sincronización
+    const calidad = await srv.login('calidad');
+    const { materiales } = (await srv.api('GET', '/api/Trazabilidad/atras?consecutivo=1002', { token: calidad })).body;
+    assert.equal(new Date(materiales.find(m => m.Secuencia === 1).TiempoDePesado).toISOString(), COLA[1].FechaCaptura);
+    assert.equal(new Date(materiales.find(m => m.Secuencia === 2).TiempoDePesado).toISOString(), COLA[0].FechaCaptura);
+});
+
+test('reenviar la cola no aplica nada dos veces', async () => {
+    const consumos = async () => (await srv.api('GET', '/api/Inventario/movimientos?tipo=consumo', { token: operador })).body.length;
+    const antes = await consumos();
+    const r = await srv.api('POST', '/peso/sincronizar', { token: operador, body: { Estacion: 'T2', Pesados: COLA } });
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.resultados.map(x => [x.ClaveIdempotencia, x.estado]),
+        [['t2-azucar', 'duplicado'], ['t2-ajeno', 'conflicto'], ['t2-sal', 'duplicado'], ['t2-fantasma', 'rechazado']]);
+    assert.equal(r.body.resultados[0].respuesta.duplicado, true);
+    assert.equal(await consumos(), antes);
+});
+
+test('una clave ya usada para otro pesado es conflicto', async () => {
+    const r = await srv.api('POST', '/peso/sincronizar', {
+        token: operador, body: { Estacion: 'T2', Pesados: [pesado('t2-sal', haceMinutos(1), 1002, 3, '3', 13.75)] }
+    });
+    assert.equal(r.body.resultados[0].estado, 'conflicto');
+    assert.equal(r.body.resultados[0].respuesta.error, 'idempotency_key_reused');
+});
+
+test('cola inválida → 400; FechaCaptura en el futuro → rechazado', async () => {
+    const sincronizar = (body) => srv.api('POST', '/peso/sincronizar', { token: operador, body });
+    assert.equal((await sincronizar({ Pesados: COLA })).status, 400);
+    assert.equal((await sincronizar({ Estacion: 'T2', Pesados: [] })).status, 400);
+    const sinClave = await sincronizar({ Estacion: 'T2', Pesados: [COLA[0], { ...COLA[1], ClaveIdempotencia: undefined }] });
+    assert.equal(sinClave.status, 400);
+    assert.deepEqual(sinClave.body.campos, [{ campo: 'body.Pesados.1.ClaveIdempotencia', mensaje: 'es requerido' }]);
+
+    const futuro = new Date(Date.now() + 60 * 60000).toISOString();
+    const r = await sincronizar({ Estacion: 'T2', Pesados: [pesado('t2-futuro', futuro, 1002, 3, '3', 13.75)] });
+    assert.equal(r.body.resultados[0].estado, 'rechazado');
+    assert.equal(r.body.resultados[0].respuesta.error, 'capture_in_future');
+});
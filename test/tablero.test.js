@@ -0,0 +1,49 @@
+// Tablero de producción (SSE): eventos en vivo en orden de id y reanudación con Last-Event-ID
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+before(async () => { srv = await iniciarServidor(); });
+after(() => srv?.detener());
+
+const EVENTOS = '/lotesprogramados/eventos';
+const pesar = (token, Secuencia, Ingrediente, Peso) => srv.api('POST', '/peso', {
+    token, body: { Estacion: 'T1', Consecutivo: 1001, ProductoTerminado: 'PT-001', Secuencia, Ingrediente, Tara: 0, Peso }
+});
+
+test('en vivo, reanudación desde Last-Event-ID y filtro por línea', async () => {
+    const operador = await srv.login('operador');
+    const planeador = await srv.login('planeador');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1001, Estacion: 'T1' } })).status, 200);
+
+    const vivo = await srv.stream(EVENTOS, { token: planeador });
+    assert.equal(vivo.status, 200);
+    assert.equal((await pesar(operador, 1, '1', 10.5)).status, 201);
+    const [iniciado, pesado] = await vivo.leer(2);
+    assert.equal(iniciado.evento, 'pesado_iniciado');
+    assert.equal(pesado.evento, 'ingrediente_pesado');
+    assert.equal(pesado.id, iniciado.id + 1);
+    assert.equal(pesado.datos.Consecutivo, 1001);
+    assert.equal(pesado.datos.datos.Secuencia, 1);
+    vivo.cerrar();
+
+    // Desconectado: lo que se publique mientras tanto llega al reconectar
+    assert.equal((await pesar(operador, 2, '2', 0.75)).status, 201);
+    const reanudado = await srv.stream(EVENTOS, { token: planeador, headers: { 'Last-Event-ID': String(iniciado.id) } });
+    const perdidos = await reanudado.leer(2);
+    assert.deepEqual(perdidos.map(e => [e.id, e.evento]), [[pesado.id, 'ingrediente_pesado'], [pesado.id + 1, 'ingrediente_pesado']]);
+    assert.equal(perdidos[1].datos.datos.Secuencia, 2);
+    reanudado.cerrar();
+
+    const porQuery = await srv.stream(`${EVENTOS}?ultimoId=${pesado.id}`, { token: planeador });
+    assert.deepEqual((await porQuery.leer(1)).map(e => e.id), [pesado.id + 1]);
+    porQuery.cerrar();
+
+    const otraLinea = await srv.stream(`${EVENTOS}?linea=99&ultimoId=${iniciado.id - 1}`, { token: planeador });
+    await assert.rejects(otraLinea.leer(1, 500));
+});
+
+test('sin token → 401', async () => {
+    assert.equal((await srv.api('GET', EVENTOS)).status, 401);
+});
@@ -0,0 +1,53 @@
+// Tolerancias: prioridad ingrediente → categoría → global y evaluación del peso real
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTolerance, evaluateWeight, validateTolerance, DEFAULT_TOLERANCE } from '../tolerance.js';
+
+test('resolveTolerance: ingrediente antes que categoría antes que global', () => {
+    const ingrediente = { Tipo: 'abs', Valor: '0.5' };
+    const categoria = { Tipo: 'pct', Valor: 3 };
+    assert.deepEqual(resolveTolerance(ingrediente, categoria), { Tipo: 'abs', Valor: 0.5, Origen: 'ingrediente' });
+    assert.deepEqual(resolveTolerance({ Tipo: 'abs', Valor: null }, categoria), { Tipo: 'pct', Valor: 3, Origen: 'categoria' });
+    assert.deepEqual(resolveTolerance(null, { Tipo: null, Valor: 1 }), DEFAULT_TOLERANCE);
+    assert.notEqual(resolveTolerance(null, null), DEFAULT_TOLERANCE);
+});
+
+test('resolveTolerance: Valor 0 es una tolerancia definida', () => {
+    assert.deepEqual(resolveTolerance({ Tipo: 'abs', Valor: 0 }, { Tipo: 'pct', Valor: 5 }), { Tipo: 'abs', Valor: 0, Origen: 'ingrediente' });
+});
+
+test('evaluateWeight: tolerancia absoluta', () => {
+    const t = { Tipo: 'abs', Valor: 0.2 };
+    const r = evaluateWeight(10, 10.2, t);
+    assert.equal(r.dentro, true);
+    assert.equal(r.diferencia, 0.2);
+    assert.equal(r.porcentaje, 2);
+    assert.equal(r.minimo, 9.8);
+    assert.equal(r.maximo, 10.2);
+    assert.equal(r.tolerancia, t);
+    assert.equal(evaluateWeight(10, 9.79, t).dentro, false);
+});
+
+test('evaluateWeight: tolerancia porcentual', () => {
+    const t = { Tipo: 'pct', Valor: 2 };
+    assert.equal(evaluateWeight(50, 51, t).dentro, true);
+    assert.equal(evaluateWeight(50, 48.999, t).dentro, false);
+    const r = evaluateWeight(50, 49, t);
+    assert.deepEqual([r.minimo, r.maximo, r.diferencia, r.porcentaje], [49, 51, -1, -2]);
+});
+
+test('evaluateWeight: programado 0 no calcula porcentaje', () => {
+    const r = evaluateWeight(0, 0.1, { Tipo: 'pct', Valor: 2 });
+    assert.equal(r.dentro, false);
+    assert.equal(r.porcentaje, null);
+    assert.equal(evaluateWeight(0, 0.1, { Tipo: 'abs', Valor: 0.1 }).dentro, true);
+});
+
+test('validateTolerance', () => {
+    assert.equal(validateTolerance({ Tipo: 'abs', Valor: 0 }), null);
+    assert.equal(validateTolerance({ Tipo: 'pct', Valor: '100' }), null);
+    assert.match(validateTolerance({ Tipo: 'kg', Valor: 1 }), /Tipo/);
+    assert.match(validateTolerance({ Tipo: 'abs', Valor: -1 }), /Valor/);
+    assert.match(validateTolerance({ Tipo: 'pct', Valor: 101 }), /porcentual/);
+    assert.match(validateTolerance(null), /Tipo/);
+});
@@ -0,0 +1,66 @@
+// Trazabilidad por lote de proveedor: el pesado guarda el lote y se rastrea hacia adelante (lotes y clientes) y hacia atrás
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+
+let srv;
+let calidad;
+before(async () => {
+    srv = await iniciarServidor();
+    const operador = await srv.login('operador');
+    calidad = await srv.login('calidad');
+    assert.equal((await srv.api('POST', '/estaciones/reclamar', { token: operador, body: { Consecutivo: 1001, Estacion: 'T1' } })).status, 200);
+    const peso = await srv.api('POST', '/peso', {
+        token: operador,
+        body: { Estacion: 'T1', Consecutivo: 1001, ProductoTerminado: 'PT-001', Secuencia: 1, Ingrediente: '1', Tara: 0, Peso: 10.5, LoteProveedor: ' LP-TRZ ', ProveedorId: 1 }
+    });
+    assert.equal(peso.status, 201, JSON.stringify(peso.body));
+});
+after(() => srv?.detener());
+
+test('hacia adelante: del lote de proveedor a los lotes terminados y sus clientes', async () => {
+    const r = await srv.api('GET', '/api/Trazabilidad/adelante?loteProveedor=LP-TRZ', { token: calidad });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.loteProveedor, 'LP-TRZ');
+    assert.equal(r.body.lotes.length, 1);
+    const [lote] = r.body.lotes;
+    assert.equal(lote.Consecutivo, 1001);
+    assert.equal(lote.Producto, 'PT-001');
+    assert.equal(String(lote.Ingrediente), '1');
+    assert.equal(lote.ProveedorId, 1);
+    assert.equal(lote.LoteProveedor, 'LP-TRZ');
+    assert.equal(lote.PesoReal, 10.5);
+    assert.deepEqual(r.body.clientes, [{ ClienteId: 1, Cliente: 'Acme', Lotes: [lote.LotePT] }]);
+
+    const otroProveedor = await srv.api('GET', '/api/Trazabilidad/adelante?loteProveedor=LP-TRZ&proveedorId=2', { token: calidad });
+    assert.deepEqual(otroProveedor.body.lotes, []);
+    const otroIngrediente = await srv.api('GET', '/api/Trazabilidad/adelante?loteProveedor=LP-TRZ&ingrediente=2', { token: calidad });
+    assert.deepEqual(otroIngrediente.body.lotes, []);
+});
+
+test('hacia atrás: del lote terminado a cada lote de materia prima, peso, operador y hora', async () => {
+    const r = await srv.api('GET', '/api/Trazabilidad/atras?consecutivo=1001', { token: calidad });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.lote.Consecutivo, 1001);
+    assert.equal(r.body.lote.Cliente, 'Acme');
+    const pesado = r.body.materiales.find(m => m.Secuencia === 1);
+    assert.equal(pesado.LoteProveedor, 'LP-TRZ');
+    assert.equal(pesado.ProveedorId, 1);
+    assert.equal(pesado.PesoReal, 10.5);
+    assert.equal(pesado.Operador, 'operador');
+    assert.ok(pesado.TiempoDePesado);
+    const pendiente = r.body.materiales.find(m => m.Secuencia === 2);
+    assert.equal(pendiente.LoteProveedor, null);
+    assert.equal(pendiente.PesoReal, null);
+
+    const porLote = await srv.api('GET', `/api/Trazabilidad/atras?lote=${encodeURIComponent(r.body.lote.LotePT)}`, { token: calidad });
+    assert.equal(porLote.body.lote.Consecutivo, 1001);
+});
+
+test('parámetros requeridos, lote inexistente y permisos', async () => {
+    assert.equal((await srv.api('GET', '/api/Trazabilidad/adelante', { token: calidad })).status, 400);
+    assert.equal((await srv.api('GET', '/api/Trazabilidad/atras', { token: calidad })).status, 400);
+    assert.equal((await srv.api('GET', '/api/Trazabilidad/atras?consecutivo=999999', { token: calidad })).status, 404);
+    const operador = await srv.login('operador');
+    assert.equal((await srv.api('GET', '/api/Trazabilidad/adelante?loteProveedor=LP-TRZ', { token: operador })).status, 403);
+});
@@ -0,0 +1,64 @@
+// Unidades: catálogo desde UnidadesDeMedida, conversión vía kg y decimales por resolución de báscula
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unitCatalog, findUnit, lotUnit, decimalsFor, roundWeight, convertWeight, weightConverter, UnitError } from '../units.js';
+
+const catalogo = unitCatalog([
+    { Identificador: 1, Abreviatura: 'kg ', FactorKg: 1, Decimales: 3 },
+    { Identificador: 2, Abreviatura: 'g', FactorKg: 0.001, Decimales: 0 },
+    { Identificador: 3, Abreviatura: 'lb', FactorKg: 0.45359237, Decimales: null },
+    { Identificador: 4, Abreviatura: 'pza', FactorKg: null },
+]);
+
+test('unitCatalog: descarta unidades sin FactorKg y normaliza', () => {
+    assert.deepEqual([...catalogo.porId.keys()], [1, 2, 3]);
+    assert.equal(catalogo.canonica.Abreviatura, 'kg');
+    assert.equal(catalogo.porId.get(3).Decimales, 3);
+    assert.deepEqual(unitCatalog([]).canonica, { Identificador: null, Abreviatura: 'kg', FactorKg: 1, Decimales: 3 });
+});
+
+test('findUnit: por abreviatura (sin mayúsculas) o Identificador; vacía = kg', () => {
+    assert.equal(findUnit(catalogo, 'LB').Identificador, 3);
+    assert.equal(findUnit(catalogo, '2').Abreviatura, 'g');
+    assert.equal(findUnit(catalogo, '  '), catalogo.canonica);
+    assert.equal(findUnit(catalogo, undefined), catalogo.canonica);
+    assert.throws(() => findUnit(catalogo, 'pza'), e => e instanceof UnitError && e.code === 'unit_unknown');
+    assert.throws(() => findUnit(catalogo, '4'), e => e.code === 'unit_unknown');
+});
+
+test('lotUnit: NULL = kg; unidad sin factor no se puede convertir', () => {
+    assert.equal(lotUnit(catalogo, null), catalogo.canonica);
+    assert.equal(lotUnit(catalogo, 2).Abreviatura, 'g');
+    assert.throws(() => lotUnit(catalogo, 4), e => e instanceof UnitError && e.code === 'unit_unconvertible');
+});
+
+test('convertWeight y weightConverter', () => {
+    const kg = findUnit(catalogo, 'kg');
+    const g = findUnit(catalogo, 'g');
+    const lb = findUnit(catalogo, 'lb');
+    assert.equal(convertWeight(1.5, kg, g), 1500);
+    assert.equal(convertWeight(null, kg, g), null);
+    assert.equal(convertWeight('2', kg, kg), 2);
+    const aLb = weightConverter(kg, lb);
+    assert.equal(aLb(10), 22.046);
+    assert.equal(aLb(null), null);
+    assert.equal(aLb.unidad, 'lb');
+    assert.equal(weightConverter(lb, g)(1), 454);
+    assert.equal(weightConverter(kg, lb, 1)(10), 22);
+});
+
+test('decimalsFor: resolución de la báscula o decimales de la unidad', () => {
+    const kg = findUnit(catalogo, 'kg');
+    const g = findUnit(catalogo, 'g');
+    assert.equal(decimalsFor(kg), 3);
+    assert.equal(decimalsFor(kg, 0.01), 2);
+    assert.equal(decimalsFor(kg, 0.005), 3);
+    assert.equal(decimalsFor(g, 0.01), 0);
+    assert.equal(decimalsFor(g, 0.0001), 1);
+    assert.equal(decimalsFor(kg, 0), 3);
+});
+
+test('roundWeight', () => {
+    assert.equal(roundWeight(1.2345, 2), 1.23);
+    assert.equal(roundWeight('2.5', 0), 3);
+});
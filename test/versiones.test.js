@@ -0,0 +1,89 @@
+// Versiones de fórmula: editar crea un borrador inmutable que calidad aprueba y planeación activa; los lotes guardan su versión
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciarServidor } from './servidor.js';
+import { diffVersions, nextVersionState } from '../formulas.js';
+
+let srv;
+let planeador;
+let calidad;
+before(async () => {
+    srv = await iniciarServidor();
+    planeador = await srv.login('planeador');
+    calidad = await srv.login('calidad');
+});
+after(() => srv?.detener());
+
+const PT = '/api/ProductosTerminados';
+const edicion = (Ingredientes, NotaCambio) => ({ Descripcion: 'Premezcla dulce', ClienteId: 1, NombreCliente: 'Acme', Activo: true, Ingredientes, NotaCambio });
+const RECETA_V2 = [{ Clave: '1', Porcentaje: 40 }, { Clave: '2', Porcentaje: 5 }, { Clave: '3', Porcentaje: 55, Comentario: 'Tamizar' }];
+
+test('transiciones de estado', () => {
+    assert.equal(nextVersionState('borrador', 'aprobar'), 'aprobada');
+    assert.equal(nextVersionState('aprobada', 'activar'), 'activa');
+    assert.equal(nextVersionState('retirada', 'activar'), 'activa');
+    assert.equal(nextVersionState('borrador', 'activar'), null);
+    assert.equal(nextVersionState('activa', 'aprobar'), null);
+});
+
+test('diffVersions compara por Clave', () => {
+    const d = diffVersions(
+        [{ Clave: '1', Porcentaje: 42, NumIngrediente: 1 }, { Clave: '2', Porcentaje: 58, NumIngrediente: 2 }],
+        [{ Clave: '1', Porcentaje: 42, NumIngrediente: 1 }, { Clave: '3', Porcentaje: 58, NumIngrediente: 2 }]
+    );
+    assert.deepEqual(d.map(x => [x.Clave, x.cambio, x.Delta]), [['1', 'igual', 0], ['2', 'eliminado', null], ['3', 'agregado', null]]);
+});
+
+test('editar → borrador; aprobar (no el autor) → activar; la anterior queda retirada e intacta', async () => {
+    const [v1] = (await srv.api('GET', `${PT}/PT-001/versiones`, { token: planeador })).body;
+    assert.equal(v1.Version, 1);
+    assert.equal(v1.Estado, 'activa');
+    const recetaV1 = (await srv.api('GET', `${PT}/PT-001/versiones/1`, { token: planeador })).body.Ingredientes;
+
+    const editar = await srv.api('PUT', `${PT}/editar/PT-001`, { token: planeador, body: edicion(RECETA_V2, 'Menos azúcar') });
+    assert.equal(editar.status, 200, JSON.stringify(editar.body));
+    assert.deepEqual([editar.body.version, editar.body.estado], [2, 'borrador']);
+
+    const v2 = (await srv.api('GET', `${PT}/PT-001/versiones/2`, { token: planeador })).body;
+    assert.equal(v2.NotaCambio, 'Menos azúcar');
+    assert.equal(v2.Autor, 'planeador');
+    assert.ok(v2.FechaCreacion);
+
+    // La receta vigente no cambia hasta activar
+    const azucar = async () => Number((await srv.api('GET', `${PT}/detalle/PT-001`, { token: planeador })).body.find(i => i.Clave === '1').Porcentaje);
+    assert.equal(await azucar(), 42);
+
+    assert.equal((await srv.api('POST', `${PT}/PT-001/versiones/2/activar`, { token: planeador })).status, 409);
+    assert.equal((await srv.api('POST', `${PT}/PT-001/versiones/2/aprobar`, { token: planeador })).status, 403);
+    const aprobar = await srv.api('POST', `${PT}/PT-001/versiones/2/aprobar`, { token: calidad });
+    assert.equal(aprobar.status, 200);
+    assert.equal(aprobar.body.estado, 'aprobada');
+    assert.equal((await srv.api('POST', `${PT}/PT-001/versiones/2/aprobar`, { token: calidad })).status, 409);
+
+    const activar = await srv.api('POST', `${PT}/PT-001/versiones/2/activar`, { token: planeador });
+    assert.equal(activar.status, 200);
+    assert.equal(activar.body.estado, 'activa');
+    assert.equal(await azucar(), 40);
+
+    const versiones = (await srv.api('GET', `${PT}/PT-001/versiones`, { token: planeador })).body;
+    assert.deepEqual(versiones.map(v => [v.Version, v.Estado]).sort(), [[1, 'retirada'], [2, 'activa']]);
+    assert.deepEqual((await srv.api('GET', `${PT}/PT-001/versiones/1`, { token: planeador })).body.Ingredientes, recetaV1);
+
+    const diff = (await srv.api('GET', `${PT}/PT-001/versiones/diff?de=1&a=2`, { token: planeador })).body;
+    assert.deepEqual(diff.filter(x => x.cambio !== 'igual').map(x => [x.Clave, x.cambio, x.Delta]), [['1', 'modificado', -2], ['2', 'modificado', 2]]);
+});
+
+test('los lotes programados registran la versión activa', async () => {
+    const r = await srv.api('POST', '/api/lotes/programar', { token: planeador, body: { FormulaId: 'PT-002', Fecha: '2026-11-02', Cantidad: 1, Peso: 20 } });
+    assert.equal(r.status, 201, JSON.stringify(r.body));
+    const activa = (await srv.api('GET', `${PT}/PT-002/versiones`, { token: planeador })).body.find(v => v.Estado === 'activa');
+    assert.deepEqual(r.body.lotes.map(l => l.VersionFormula), [activa.Version]);
+});
+
+test('versión o diff inexistente → 404; diff sin de/a → 400', async () => {
+    assert.equal((await srv.api('GET', `${PT}/PT-001/versiones/99`, { token: planeador })).status, 404);
+    assert.equal((await srv.api('GET', `${PT}/PT-001/versiones/diff?de=1&a=99`, { token: planeador })).status, 404);
+    assert.equal((await srv.api('GET', `${PT}/PT-001/versiones/diff?de=1`, { token: planeador })).status, 400);
+    assert.equal((await srv.api('POST', `${PT}/PT-001/versiones/99/aprobar`, { token: calidad })).status, 404);
+    assert.equal((await srv.api('POST', `${PT}/PT-001/versiones/99/activar`, { token: planeador })).status, 404);
+});
@@ -0,0 +1,51 @@
+// tolerance.js — tolerancias de pesado (absolutas o porcentuales)
+// ------------------------------------------------------------------
+// Prioridad: tolerancia del ingrediente → de su categoría → global (ENV).
+
+export const TIPOS_TOLERANCIA = ['abs', 'pct'];
+
+export const DEFAULT_TOLERANCE = {
+    Tipo: process.env.TOLERANCIA_TIPO_DEFAULT === 'abs' ? 'abs' : 'pct',
+    Valor: Number(process.env.TOLERANCIA_VALOR_DEFAULT || 2),
+    Origen: 'global',
+};
+
+// Devuelve la primera tolerancia definida. Cada candidata: { Tipo, Valor } o null.
+export function resolveTolerance(ingrediente, categoria) {
+    if (ingrediente?.Tipo && ingrediente.Valor != null) return { Tipo: ingrediente.Tipo, Valor: Number(ingrediente.Valor), Origen: 'ingrediente' };
+    if (categoria?.Tipo && categoria.Valor != null) return { Tipo: categoria.Tipo, Valor: Number(categoria.Valor), Origen: 'categoria' };
+    return { ...DEFAULT_TOLERANCE };
+}
+
+// Compara el peso real contra el programado → { dentro, programado, real, diferencia, porcentaje, minimo, maximo, tolerancia }
+export function evaluateWeight(programado, real, tolerancia) {
+    const p = Number(programado);
+    const r = Number(real);
+    const margen = tolerancia.Tipo === 'abs' ? tolerancia.Valor : Math.abs(p) * tolerancia.Valor / 100;
+    const diferencia = round(r - p, 3);
+    return {
+        dentro: Math.abs(r - p) <= margen + 1e-9,
+        programado: p,
+        real: r,
+        diferencia,
+        porcentaje: p ? round((r - p) / p * 100, 3) : null,
+        minimo: round(p - margen, 3),
+        maximo: round(p + margen, 3),
+        tolerancia,
+    };
+}
+
+// Valida el cuerpo { Tipo, Valor } de una tolerancia → mensaje de error o null
+export function validateTolerance(body) {
+    const { Tipo, Valor } = body || {};
+    if (!TIPOS_TOLERANCIA.includes(Tipo)) return `Tipo debe ser uno de: ${TIPOS_TOLERANCIA.join(', ')}`;
+    const v = Number(Valor);
+    if (!Number.isFinite(v) || v < 0) return 'Valor debe ser un número >= 0';
+    if (Tipo === 'pct' && v > 100) return 'Valor porcentual no puede exceder 100';
+    return null;
+}
+
+function round(n, d) {
+    const f = 10 ** d;
+    return Math.round(n * f) / f;
+}
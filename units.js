@@ -0,0 +1,73 @@
+// units.js — unidades de peso y su conversión
+// ------------------------------------------------------------------
+// Unidad canónica: kg. Cada fila de UnidadesDeMedida trae FactorKg (kg que equivalen a 1 unidad) y
+// Decimales (redondeo por defecto). Un lote guarda PesoLote/PesoProgramado/PesoReal en su IdUnidadMedida
+// (NULL = kg); los lotes nuevos se programan ya en kg. La API convierte en la frontera: lo que envía el
+// cliente viene en su unidad y lo que responde va en la que pidió, siempre con el campo Unidad.
+
+export const UNIDAD_CANONICA = 'kg';
+
+// code: unit_unknown (la pide el cliente) | unit_unconvertible (la del lote no tiene FactorKg)
+export class UnitError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Filas de UnidadesDeMedida → catálogo { porId, porAbreviatura, canonica }. Sin FactorKg no se puede convertir.
+export function unitCatalog(rows) {
+    const unidades = (rows || [])
+        .filter(u => Number(u.FactorKg) > 0)
+        .map(u => ({
+            Identificador: Number(u.Identificador),
+            Abreviatura: String(u.Abreviatura).trim(),
+            FactorKg: Number(u.FactorKg),
+            Decimales: u.Decimales != null ? Number(u.Decimales) : 3,
+        }));
+    const porAbreviatura = new Map(unidades.map(u => [u.Abreviatura.toLowerCase(), u]));
+    const canonica = porAbreviatura.get(UNIDAD_CANONICA) ?? { Identificador: null, Abreviatura: UNIDAD_CANONICA, FactorKg: 1, Decimales: 3 };
+    return { porId: new Map(unidades.map(u => [u.Identificador, u])), porAbreviatura, canonica };
+}
+
+// Unidad pedida por el cliente (abreviatura o Identificador); vacía → kg. Desconocida → UnitError
+export function findUnit(catalogo, valor) {
+    if (valor == null || String(valor).trim() === '') return catalogo.canonica;
+    const texto = String(valor).trim();
+    const u = /^\d+$/.test(texto) ? catalogo.porId.get(Number(texto)) : catalogo.porAbreviatura.get(texto.toLowerCase());
+    if (!u) throw new UnitError('unit_unknown', `Unidad desconocida o sin factor de conversión: ${texto}`);
+    return u;
+}
+
+// Unidad en que están guardados los pesos de un lote (IdUnidadMedida NULL = kg)
+export function lotUnit(catalogo, idUnidadMedida) {
+    if (idUnidadMedida == null) return catalogo.canonica;
+    const u = catalogo.porId.get(Number(idUnidadMedida));
+    if (!u) throw new UnitError('unit_unconvertible', `La unidad ${idUnidadMedida} del lote no tiene factor de conversión`);
+    return u;
+}
+
+// Decimales para mostrar en `unidad`: los que resuelve la división de la báscula (en kg) o los de la unidad
+export function decimalsFor(unidad, resolucionKg = null) {
+    if (!(Number(resolucionKg) > 0)) return unidad.Decimales;
+    const paso = Number(resolucionKg) / unidad.FactorKg;
+    return Math.max(0, Math.ceil(-Math.log10(paso) - 1e-9));
+}
+
+export function roundWeight(valor, decimales) {
+    const f = 10 ** decimales;
+    return Math.round(Number(valor) * f) / f;
+}
+
+// Convierte de una unidad a otra sin redondear (null se conserva)
+export function convertWeight(valor, de, a) {
+    if (valor == null) return null;
+    return de.FactorKg === a.FactorKg ? Number(valor) : Number(valor) * de.FactorKg / a.FactorKg;
+}
+
+// Conversor de → a con el redondeo de `a` → fn(valor); fn.unidad = abreviatura destino
+export function weightConverter(de, a, decimales = a.Decimales) {
+    const fn = (valor) => (valor == null ? null : roundWeight(convertWeight(valor, de, a), decimales));
+    fn.unidad = a.Abreviatura;
+    return fn;
+}